@@ -1,6 +1,8 @@
 const path = require('path');
 const fs = require('fs');
 const mysql = require('mysql2/promise');
+const { SYSTEM_ROLES } = require('./permissions');
+const { compareSizes } = require('../utils/sizeOrder');
 
 /**
  * Database Configuration and Utilities
@@ -66,6 +68,7 @@ class Database {
       await this.createShopifyConnectionsTable();
       await this.createCarriersTable();
       await this.createProductsTable();
+      await this.createProductVariantsTable();
       await this.createUsersTable();
       await this.createSettlementsTable();
       await this.createTransactionsTable();
@@ -75,6 +78,27 @@ class Database {
       await this.createWhMappingTable();
       await this.createCustomerMessageTrackingTable();
       await this.createCloneTransactionsTable();
+      await this.createJobsTable();
+      await this.createJobFilesTable();
+      await this.createSchedulerLocksTable();
+      await this.createJobRunsTable();
+      await this.createUserSessionsTable();
+      await this.createRolesTables();
+      await this.createOrderEventsTable();
+      await this.createAutoReversalPoliciesTable();
+      await this.createLabelTemplatesTable();
+      await this.createNdrCasesTable();
+      await this.createShipmentScansTable();
+      await this.createRTOInventoryMovementsTable();
+      await this.createRTOReservationsTable();
+      await this.createPincodeCarrierScoresTable();
+      await this.createPincodeServiceabilityCacheTable();
+      await this.createPayoutBatchesTable();
+      await this.createSettlementPaymentsTable();
+      await this.createVendorRateCardsTable();
+      await this.createVendorPenaltyRulesTable();
+      await this.createVendorPenaltiesTable();
+      await this.createVendorCapacityTable();
       this.mysqlInitialized = true;
     } catch (error) {
       console.error('❌ MySQL connection pool failed:', error.message);
@@ -334,6 +358,7 @@ class Database {
           totalImages INTEGER DEFAULT 0,
           sku_id VARCHAR(100) NOT NULL,
           account_code VARCHAR(50) NOT NULL,
+          product_type VARCHAR(255) NULL,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
           INDEX idx_account_code (account_code),
@@ -392,6 +417,21 @@ class Database {
           console.error('❌ Error adding updated_at column to products table:', error.message);
         }
       }
+
+      // Add product_type column (Shopify product type, used as the product category by vendor rate cards)
+      try {
+        await this.mysqlConnection.execute(`
+          ALTER TABLE products 
+          ADD COLUMN product_type VARCHAR(255) NULL AFTER account_code
+        `);
+        console.log('✅ Added product_type column to products table');
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log('ℹ️ product_type column already exists in products table');
+        } else {
+          console.error('❌ Error adding product_type column to products table:', error.message);
+        }
+      }
       // Clean up any sku_id values that still have decimal size suffixes (e.g. P6E-OBLBPK-LT-FG-5.5)
       await this.cleanDecimalSizesFromProductSkuIds();
     } catch (error) {
@@ -519,11 +559,70 @@ class Database {
 
       await this.mysqlConnection.execute(createTableQuery);
       console.log('✅ Users table created/verified');
+
+      await this.addAccessRoleToUsersIfNotExists();
+      await this.addVendorTeamColumnsToUsersIfNotExists();
     } catch (error) {
       console.error('❌ Error creating users table:', error.message);
     }
   }
 
+  /**
+   * Add access_role column to existing users table if it doesn't exist (migration)
+   * access_role overrides the permission set of users.role (e.g. an admin with limited rights)
+   */
+  async addAccessRoleToUsersIfNotExists() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const [columns] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM users LIKE 'access_role'`
+      );
+
+      if (columns.length === 0) {
+        console.log('🔄 Adding access_role column to existing users table...');
+        await this.mysqlConnection.execute(
+          `ALTER TABLE users ADD COLUMN access_role VARCHAR(50) NULL AFTER role, ADD INDEX idx_access_role (access_role)`
+        );
+        console.log('✅ access_role column added to users table');
+      }
+    } catch (error) {
+      console.error('❌ Error adding access_role column to users table:', error.message);
+    }
+  }
+
+  /**
+   * Add vendor team columns to existing users table if they don't exist (migration)
+   * Team members are vendor users with vendor_owner_id set to the vendor (owner) account and no
+   * warehouseId of their own; vendor_role is their sub-role (see VENDOR_TEAM_ROLES in config/permissions.js)
+   */
+  async addVendorTeamColumnsToUsersIfNotExists() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const columnsToAdd = [
+        { name: 'vendor_owner_id', definition: 'VARCHAR(50) NULL AFTER warehouseId, ADD INDEX idx_vendor_owner_id (vendor_owner_id)' },
+        { name: 'vendor_role', definition: 'VARCHAR(20) NULL AFTER vendor_owner_id' }
+      ];
+
+      for (const column of columnsToAdd) {
+        const [columns] = await this.mysqlConnection.execute(
+          `SHOW COLUMNS FROM users LIKE '${column.name}'`
+        );
+
+        if (columns.length === 0) {
+          console.log(`🔄 Adding ${column.name} column to existing users table...`);
+          await this.mysqlConnection.execute(
+            `ALTER TABLE users ADD COLUMN ${column.name} ${column.definition}`
+          );
+          console.log(`✅ ${column.name} column added to users table`);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error adding vendor team columns to users table:', error.message);
+    }
+  }
+
   /**
    * Create settlements table if it doesn't exist
    */
@@ -569,6 +668,9 @@ class Database {
 
   /**
    * Create transactions table if it doesn't exist
+   * The transactions table doubles as the vendor ledger: every row is an immutable
+   * credit or debit entry. Only settlement_id changes, when a settlement reserves
+   * (or releases) the entry. rate_card_id is the vendor rate card that priced an order credit.
    */
   async createTransactionsTable() {
     if (!this.mysqlConnection) return;
@@ -580,21 +682,74 @@ class Database {
           vendor_id VARCHAR(50),
           amount DECIMAL(10,2),
           type VARCHAR(50),
+          direction ENUM('credit', 'debit') NOT NULL DEFAULT 'credit',
           description TEXT,
+          order_unique_id VARCHAR(100) NULL,
+          order_id VARCHAR(100) NULL,
+          account_code VARCHAR(50) NULL,
+          settlement_id VARCHAR(50) NULL,
+          reference_key VARCHAR(255) NULL,
+          rate_card_id INT NULL,
           createdAt TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           INDEX idx_vendor_id (vendor_id),
           INDEX idx_type (type),
-          INDEX idx_createdAt (createdAt)
+          INDEX idx_createdAt (createdAt),
+          INDEX idx_settlement_id (settlement_id),
+          INDEX idx_order_unique_id (order_unique_id),
+          UNIQUE KEY uq_reference_key (reference_key)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `;
 
       await this.mysqlConnection.execute(createTableQuery);
       console.log('✅ Transactions table created/verified');
+
+      // Add ledger columns if they don't exist (for existing tables)
+      await this.addLedgerColumnsToTransactionsIfNotExists();
     } catch (error) {
       console.error('❌ Error creating transactions table:', error.message);
     }
   }
 
+  /**
+   * Add ledger columns to existing transactions table if they don't exist (migration)
+   * Legacy 'settlement' rows are payouts, so they are flagged as debits.
+   */
+  async addLedgerColumnsToTransactionsIfNotExists() {
+    if (!this.mysqlConnection) return;
+
+    const columnsToAdd = [
+      { name: 'direction', ddl: `ALTER TABLE transactions ADD COLUMN direction ENUM('credit', 'debit') NOT NULL DEFAULT 'credit' AFTER type` },
+      { name: 'order_unique_id', ddl: 'ALTER TABLE transactions ADD COLUMN order_unique_id VARCHAR(100) NULL AFTER description, ADD INDEX idx_order_unique_id (order_unique_id)' },
+      { name: 'order_id', ddl: 'ALTER TABLE transactions ADD COLUMN order_id VARCHAR(100) NULL AFTER order_unique_id' },
+      { name: 'account_code', ddl: 'ALTER TABLE transactions ADD COLUMN account_code VARCHAR(50) NULL AFTER order_id' },
+      { name: 'settlement_id', ddl: 'ALTER TABLE transactions ADD COLUMN settlement_id VARCHAR(50) NULL AFTER account_code, ADD INDEX idx_settlement_id (settlement_id)' },
+      { name: 'reference_key', ddl: 'ALTER TABLE transactions ADD COLUMN reference_key VARCHAR(255) NULL AFTER settlement_id, ADD UNIQUE KEY uq_reference_key (reference_key)' },
+      { name: 'rate_card_id', ddl: 'ALTER TABLE transactions ADD COLUMN rate_card_id INT NULL AFTER reference_key' }
+    ];
+
+    try {
+      const [existingColumns] = await this.mysqlConnection.execute(`SHOW COLUMNS FROM transactions`);
+      const existingColumnNames = new Set(existingColumns.map(c => c.Field));
+
+      for (const column of columnsToAdd) {
+        if (existingColumnNames.has(column.name)) continue;
+
+        console.log(`🔄 Adding ${column.name} column to transactions table...`);
+        await this.mysqlConnection.execute(column.ddl);
+        console.log(`✅ ${column.name} column added to transactions table`);
+
+        if (column.name === 'direction') {
+          await this.mysqlConnection.execute(
+            `UPDATE transactions SET direction = 'debit' WHERE type = 'settlement'`
+          );
+          console.log('✅ Legacy settlement payouts marked as debit entries');
+        }
+      }
+    } catch (error) {
+      console.error('❌ Error adding ledger columns to transactions table:', error.message);
+    }
+  }
+
   /**
    * Create orders table if it doesn't exist
    */
@@ -628,6 +783,7 @@ class Database {
           is_in_new_order BOOLEAN DEFAULT 1,
           account_code VARCHAR(50) NOT NULL,
           normalized_product_code VARCHAR(100) DEFAULT NULL,
+          variant_id INT DEFAULT NULL,
           INDEX idx_unique_id (unique_id),
           INDEX idx_order_id (order_id),
           INDEX idx_pincode (pincode),
@@ -638,6 +794,7 @@ class Database {
           INDEX idx_product_code (product_code),
           INDEX idx_customer_name (customer_name(191)),
           INDEX idx_normalized_product_code (normalized_product_code),
+          INDEX idx_variant_id (variant_id),
           created_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
@@ -661,6 +818,9 @@ class Database {
       // Add normalized_product_code column + index + backfill if not present (for existing tables)
       await this.addNormalizedProductCodeIfNotExists();
 
+      // Add variant_id column (order line resolved to a product variant at sync time)
+      await this.addVariantIdToOrdersIfNotExists();
+
       // Add created_timestamp column to orders if it doesn't exist
       try {
         await this.mysqlConnection.execute(`
@@ -917,6 +1077,8 @@ class Database {
           current_shipment_status VARCHAR(100) NULL,
           manifest_id VARCHAR(100) NULL,
           account_code VARCHAR(50) NOT NULL,
+          expected_delivery_date DATETIME NULL,
+          tracking_url VARCHAR(1000) NULL,
           INDEX idx_order_id (order_id),
           INDEX idx_awb (awb),
           INDEX idx_carrier_id (carrier_id),
@@ -998,6 +1160,36 @@ class Database {
         }
       }
 
+      // Add expected_delivery_date column if it doesn't exist (for existing tables)
+      try {
+        await this.mysqlConnection.execute(`
+          ALTER TABLE labels 
+          ADD COLUMN expected_delivery_date DATETIME NULL
+        `);
+        console.log('✅ Added expected_delivery_date column to labels table');
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log('ℹ️ expected_delivery_date column already exists in labels table');
+        } else {
+          console.error('❌ Error adding expected_delivery_date column to labels table:', error.message);
+        }
+      }
+
+      // Add tracking_url column if it doesn't exist (for existing tables)
+      try {
+        await this.mysqlConnection.execute(`
+          ALTER TABLE labels 
+          ADD COLUMN tracking_url VARCHAR(1000) NULL
+        `);
+        console.log('✅ Added tracking_url column to labels table');
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log('ℹ️ tracking_url column already exists in labels table');
+        } else {
+          console.error('❌ Error adding tracking_url column to labels table:', error.message);
+        }
+      }
+
       // Add account_code column if it doesn't exist (for existing tables)
       await this.addAccountCodeToLabelsIfNotExists();
       // Ensure labels uniqueness is store-aware (order_id + account_code), not order_id-only.
@@ -1303,17 +1495,20 @@ class Database {
       const createRTOInventoryTableQuery = `
         CREATE TABLE IF NOT EXISTS rto_inventory (
           id INT AUTO_INCREMENT PRIMARY KEY,
+          account_code VARCHAR(50) NOT NULL DEFAULT '',
           rto_wh VARCHAR(255) NOT NULL,
           product_code VARCHAR(100) NOT NULL,
           size VARCHAR(20),
           quantity INT NOT NULL DEFAULT 0,
+          reserved_quantity INT NOT NULL DEFAULT 0,
           created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
           updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
           
-          -- Composite unique key for upsert logic
-          UNIQUE KEY uk_rto_wh_product_size (rto_wh, product_code, size),
+          -- Composite unique key for upsert logic (stock is kept per store)
+          UNIQUE KEY uk_rto_store_wh_product_size (account_code, rto_wh, product_code, size),
           
           -- Indexes for performance
+          INDEX idx_account_code (account_code),
           INDEX idx_rto_wh (rto_wh),
           INDEX idx_product_code (product_code),
           INDEX idx_size (size)
@@ -1322,11 +1517,84 @@ class Database {
 
       await this.mysqlConnection.execute(createRTOInventoryTableQuery);
       console.log('✅ RTO inventory table created/verified');
+
+      // Scope existing stock by store and add reservations (for existing tables)
+      await this.migrateRTOInventoryToStoreScope();
     } catch (error) {
       console.error('❌ Error creating RTO inventory table:', error.message);
     }
   }
 
+  /**
+   * Add account_code and reserved_quantity to an existing rto_inventory table and move the
+   * unique key to (account_code, rto_wh, product_code, size) (migration).
+   * Existing rows are assigned to a store when their product_code belongs to exactly one
+   * store's catalog; the rest keep account_code '' (unassigned) and cannot be reserved.
+   */
+  async migrateRTOInventoryToStoreScope() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const [accountCodeColumn] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM rto_inventory LIKE 'account_code'`
+      );
+
+      if (accountCodeColumn.length === 0) {
+        await this.mysqlConnection.execute(`
+          ALTER TABLE rto_inventory
+          ADD COLUMN account_code VARCHAR(50) NOT NULL DEFAULT '' AFTER id,
+          ADD INDEX idx_account_code (account_code)
+        `);
+        console.log('✅ Added account_code column to rto_inventory table');
+
+        const [backfill] = await this.mysqlConnection.execute(`
+          UPDATE rto_inventory ri
+          JOIN (
+            SELECT sku_id, MIN(account_code) as account_code
+            FROM products
+            GROUP BY sku_id
+            HAVING COUNT(DISTINCT account_code) = 1
+          ) p ON p.sku_id = ri.product_code
+          SET ri.account_code = p.account_code
+          WHERE ri.account_code = ''
+        `);
+        console.log(`✅ Assigned ${backfill.affectedRows} existing RTO inventory rows to their store`);
+      }
+
+      const [reservedColumn] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM rto_inventory LIKE 'reserved_quantity'`
+      );
+
+      if (reservedColumn.length === 0) {
+        await this.mysqlConnection.execute(`
+          ALTER TABLE rto_inventory
+          ADD COLUMN reserved_quantity INT NOT NULL DEFAULT 0 AFTER quantity
+        `);
+        console.log('✅ Added reserved_quantity column to rto_inventory table');
+      }
+
+      const [storeKey] = await this.mysqlConnection.execute(
+        `SHOW INDEX FROM rto_inventory WHERE Key_name = 'uk_rto_store_wh_product_size'`
+      );
+      if (storeKey.length === 0) {
+        await this.mysqlConnection.execute(
+          `ALTER TABLE rto_inventory ADD UNIQUE KEY uk_rto_store_wh_product_size (account_code, rto_wh, product_code, size)`
+        );
+        console.log('✅ Added UNIQUE KEY uk_rto_store_wh_product_size to rto_inventory');
+      }
+
+      const [legacyKey] = await this.mysqlConnection.execute(
+        `SHOW INDEX FROM rto_inventory WHERE Key_name = 'uk_rto_wh_product_size'`
+      );
+      if (legacyKey.length > 0) {
+        await this.mysqlConnection.execute(`ALTER TABLE rto_inventory DROP INDEX uk_rto_wh_product_size`);
+        console.log('✅ Dropped legacy UNIQUE KEY uk_rto_wh_product_size from rto_inventory');
+      }
+    } catch (error) {
+      console.error('❌ Error migrating rto_inventory to store scope:', error.message);
+    }
+  }
+
   /**
    * Create customer info table for storing customer contact details
    */
@@ -1543,1550 +1811,1743 @@ class Database {
   }
 
   /**
-   * Create claims table for tracking claim history
+   * Create jobs table for the persistent background job queue
+   * Replaces the in-memory task store so long label/manifest jobs survive restarts and deploys
    */
-  async createClaimsTable() {
+  async createJobsTable() {
     if (!this.mysqlConnection) return;
 
     try {
-      // First check if claims table exists and has the correct structure
-      const [tables] = await this.mysqlConnection.execute(`
-        SELECT COUNT(*) as count FROM information_schema.tables 
-        WHERE table_schema = DATABASE() AND table_name = 'claims'
-      `);
-
-      const tableExists = tables[0].count > 0;
-
-      if (tableExists) {
-        // Check if the table has the correct structure (check for 'status' column)
-        const [columns] = await this.mysqlConnection.execute(`
-          SELECT COUNT(*) as count FROM information_schema.columns 
-          WHERE table_schema = DATABASE() AND table_name = 'claims' AND column_name = 'status'
-        `);
-
-        const hasCorrectStructure = columns[0].count > 0;
-
-        if (!hasCorrectStructure) {
-          console.log('🔄 Claims table exists but has old structure, recreating...');
-          // Drop the old table
-          await this.mysqlConnection.execute('DROP TABLE claims');
-        }
-      }
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS jobs (
+          id VARCHAR(64) PRIMARY KEY,
+          type VARCHAR(100) NOT NULL,
+          user_id VARCHAR(50) NULL,
+          payload LONGTEXT,
+          status ENUM('queued', 'running', 'completed', 'failed', 'cancelled') NOT NULL DEFAULT 'queued',
+          progress INT NOT NULL DEFAULT 0,
+          progress_message VARCHAR(255) NULL,
+          result LONGTEXT NULL,
+          error TEXT NULL,
+          attempts INT NOT NULL DEFAULT 0,
+          max_attempts INT NOT NULL DEFAULT 1,
+          run_after DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          locked_by VARCHAR(100) NULL,
+          locked_until DATETIME NULL,
+          cancel_requested TINYINT(1) NOT NULL DEFAULT 0,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          started_at DATETIME NULL,
+          completed_at DATETIME NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
-      const createClaimsTableQuery = `
-        CREATE TABLE IF NOT EXISTS claims (
-          id INT AUTO_INCREMENT PRIMARY KEY,
-          order_unique_id VARCHAR(100) NOT NULL UNIQUE,
-          order_id VARCHAR(100) NOT NULL,
-          status VARCHAR(50) DEFAULT 'unclaimed',
-          claimed_by VARCHAR(50),
-          claimed_at TIMESTAMP NULL,
-          last_claimed_by VARCHAR(50),
-          last_claimed_at TIMESTAMP NULL,
-          clone_status VARCHAR(50) DEFAULT 'not_cloned',
-          cloned_order_id VARCHAR(100),
-          is_cloned_row BOOLEAN DEFAULT FALSE,
-          label_downloaded BOOLEAN DEFAULT FALSE,
-          priority_carrier TEXT,
-          account_code VARCHAR(50) NOT NULL,
-          is_critical TINYINT(1) DEFAULT 0,
-          INDEX idx_order_unique_id (order_unique_id),
-          INDEX idx_order_id (order_id),
-          INDEX idx_claimed_by (claimed_by),
-          INDEX idx_status (status),
-          INDEX idx_account_code (account_code),
-          INDEX idx_is_critical (is_critical),
-          created_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+          INDEX idx_status_run_after (status, run_after),
+          INDEX idx_user_created (user_id, created_at),
+          INDEX idx_locked_until (locked_until)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `;
 
-      await this.mysqlConnection.execute(createClaimsTableQuery);
-      console.log('✅ Claims table created/verified');
-
-      // Add created_timestamp column to claims if it doesn't exist
-      try {
-        await this.mysqlConnection.execute(`
-          ALTER TABLE claims
-          ADD COLUMN created_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        `);
-        console.log('✅ Added created_timestamp column to claims table');
-      } catch (error) {
-        if (error.code === 'ER_DUP_FIELDNAME') {
-          console.log('ℹ️ created_timestamp column already exists in claims table');
-        } else {
-          console.error('❌ Error adding created_timestamp column to claims table:', error.message);
-        }
-      }
-
-      // Add updated_timestamp column to claims if it doesn't exist
-      try {
-        await this.mysqlConnection.execute(`
-          ALTER TABLE claims
-          ADD COLUMN updated_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-        `);
-        console.log('✅ Added updated_timestamp column to claims table');
-      } catch (error) {
-        if (error.code === 'ER_DUP_FIELDNAME') {
-          console.log('ℹ️ updated_timestamp column already exists in claims table');
-        } else {
-          console.error('❌ Error adding updated_timestamp column to claims table:', error.message);
-        }
-      }
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ jobs table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating jobs table:', error.message);
+    }
+  }
 
-      // Add priority_carrier column if it doesn't exist (migration for existing tables)
-      await this.addPriorityCarrierColumnToClaims();
+  /**
+   * Create job_files table for files produced by background jobs (label and manifest PDFs).
+   * Kept out of jobs.result so polling a task does not return the file; removed with the job.
+   */
+  async createJobFilesTable() {
+    if (!this.mysqlConnection) return;
 
-      // Add account_code column if it doesn't exist (for existing tables)
-      await this.addAccountCodeToClaimsIfNotExists();
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS job_files (
+          job_id VARCHAR(64) PRIMARY KEY,
+          filename VARCHAR(255) NULL,
+          content_type VARCHAR(100) NOT NULL,
+          size INT NOT NULL,
+          data LONGBLOB NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
 
-      // Add is_critical column if it doesn't exist (migration for existing tables)
-      await this.addIsCriticalToClaims();
+          FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
 
-      // Migrate existing claims data from orders table if claims table is empty
-      await this.migrateClaimsData();
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ job_files table created/verified');
     } catch (error) {
-      console.error('❌ Error creating claims table:', error.message);
+      console.error('❌ Error creating job_files table:', error.message);
     }
   }
 
   /**
-   * Add account_code column to existing claims table if it doesn't exist (migration)
+   * Create scheduler_locks table
+   * One row per scheduled job; the lease (locked_until) makes sure only one instance runs a job at a time
    */
-  async addAccountCodeToClaimsIfNotExists() {
+  async createSchedulerLocksTable() {
     if (!this.mysqlConnection) return;
 
     try {
-      // Check if account_code column exists in claims table
-      const [columns] = await this.mysqlConnection.execute(
-        `SHOW COLUMNS FROM claims LIKE 'account_code'`
-      );
-
-      if (columns.length === 0) {
-        console.log('🔄 Adding account_code column to existing claims table...');
-
-        // Add account_code column as NOT NULL (will require data migration for existing rows)
-        await this.mysqlConnection.execute(
-          `ALTER TABLE claims ADD COLUMN account_code VARCHAR(50) NOT NULL AFTER priority_carrier`
-        );
-
-        // Add index for account_code
-        await this.mysqlConnection.execute(
-          `ALTER TABLE claims ADD INDEX idx_account_code (account_code)`
-        );
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS scheduler_locks (
+          job_name VARCHAR(100) PRIMARY KEY,
+          locked_by VARCHAR(100) NULL,
+          locked_until DATETIME NULL,
+          last_slot VARCHAR(20) NULL COMMENT 'Cron slot (UTC minute) of the last scheduled run',
+          last_started_at DATETIME NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
 
-        console.log('✅ account_code column added to claims table');
-      } else {
-        console.log('✅ account_code column already exists in claims table');
-      }
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ scheduler_locks table created/verified');
     } catch (error) {
-      console.error('❌ Error adding account_code column to claims table:', error.message);
+      console.error('❌ Error creating scheduler_locks table:', error.message);
     }
   }
 
   /**
-   * Migrate claims data from orders table to claims table
+   * Create job_runs table for scheduled job history
    */
-  async migrateClaimsData() {
+  async createJobRunsTable() {
     if (!this.mysqlConnection) return;
 
     try {
-      // Check if claims table is empty
-      const [claimsCount] = await this.mysqlConnection.execute('SELECT COUNT(*) as count FROM claims');
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS job_runs (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          job_name VARCHAR(100) NOT NULL,
+          trigger_type ENUM('schedule', 'startup', 'manual') NOT NULL DEFAULT 'schedule',
+          triggered_by VARCHAR(50) NULL,
+          instance_id VARCHAR(100) NOT NULL,
+          status ENUM('running', 'success', 'failed', 'skipped') NOT NULL DEFAULT 'running',
+          started_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+          finished_at DATETIME NULL,
+          duration_ms INT NULL,
+          processed_count INT NULL,
+          success_count INT NULL,
+          error_count INT NULL,
+          message VARCHAR(500) NULL,
+          summary LONGTEXT NULL,
+          error TEXT NULL,
+
+          INDEX idx_job_started (job_name, started_at),
+          INDEX idx_status (status)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
 
-      if (claimsCount[0].count > 0) {
-        console.log('✅ Claims table already has data, skipping migration');
-        return;
-      }
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ job_runs table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating job_runs table:', error.message);
+    }
+  }
 
-      console.log('🔄 Migrating claims data from orders table...');
+  /**
+   * Create user_sessions and user_session_rotated_tokens tables
+   * One row per signed-in device; holds the hashed refresh token and revocation state.
+   * The hashes a session's refresh token was rotated away from are kept to detect reuse.
+   */
+  async createUserSessionsTable() {
+    if (!this.mysqlConnection) return;
 
-      // Skip migration since claims table will be populated as orders are claimed
-      console.log('ℹ️ Claims table will be populated as orders are claimed - no migration needed');
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS user_sessions (
+          id VARCHAR(64) PRIMARY KEY,
+          user_id VARCHAR(50) NOT NULL,
+          refresh_token_hash CHAR(64) NOT NULL,
+          refresh_expires_at DATETIME NOT NULL,
+          device_name VARCHAR(255) NULL,
+          user_agent VARCHAR(500) NULL,
+          ip_address VARCHAR(64) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          last_used_at DATETIME NULL,
+          revoked_at DATETIME NULL,
+          revoked_reason VARCHAR(100) NULL,
+
+          INDEX idx_user_revoked (user_id, revoked_at),
+          INDEX idx_refresh_expires (refresh_expires_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+
+      await this.mysqlConnection.execute(`
+        CREATE TABLE IF NOT EXISTS user_session_rotated_tokens (
+          session_id VARCHAR(64) NOT NULL,
+          refresh_token_hash CHAR(64) NOT NULL,
+          rotated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
 
+          PRIMARY KEY (session_id, refresh_token_hash),
+          FOREIGN KEY (session_id) REFERENCES user_sessions(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
+      console.log('✅ user_sessions tables created/verified');
     } catch (error) {
-      console.error('❌ Error migrating claims data:', error.message);
+      console.error('❌ Error creating user_sessions tables:', error.message);
     }
   }
 
   /**
-   * Add priority_carrier column to existing claims table if it doesn't exist (migration)
+   * Create roles and role_permissions tables and seed the system roles
+   * (superadmin, admin, vendor) from config/permissions.js
    */
-  async addPriorityCarrierColumnToClaims() {
+  async createRolesTables() {
     if (!this.mysqlConnection) return;
 
     try {
-      // Check if priority_carrier column exists
-      const [columns] = await this.mysqlConnection.execute(
-        `SHOW COLUMNS FROM claims LIKE 'priority_carrier'`
-      );
+      await this.mysqlConnection.execute(`
+        CREATE TABLE IF NOT EXISTS roles (
+          name VARCHAR(50) PRIMARY KEY,
+          description VARCHAR(255) NULL,
+          is_system TINYINT(1) NOT NULL DEFAULT 0,
+          created_by VARCHAR(50) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
 
-      if (columns.length === 0) {
-        console.log('🔄 Adding priority_carrier column to existing claims table...');
+      await this.mysqlConnection.execute(`
+        CREATE TABLE IF NOT EXISTS role_permissions (
+          role_name VARCHAR(50) NOT NULL,
+          permission VARCHAR(100) NOT NULL,
+          PRIMARY KEY (role_name, permission),
+          INDEX idx_permission (permission)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `);
 
-        // Add priority_carrier column
-        await this.mysqlConnection.execute(
-          `ALTER TABLE claims ADD COLUMN priority_carrier TEXT AFTER label_downloaded`
+      // Seed system roles once; after that admins can edit the admin and vendor permission sets
+      for (const [name, role] of Object.entries(SYSTEM_ROLES)) {
+        const [result] = await this.mysqlConnection.execute(
+          'INSERT IGNORE INTO roles (name, description, is_system) VALUES (?, ?, 1)',
+          [name, role.description]
         );
-
-        console.log('✅ priority_carrier column added to claims table');
-      } else {
-        console.log('✅ priority_carrier column already exists in claims table');
+        if (result.affectedRows === 1 && role.permissions.length > 0) {
+          await this.mysqlConnection.query(
+            'INSERT IGNORE INTO role_permissions (role_name, permission) VALUES ?',
+            [role.permissions.map(permission => [name, permission])]
+          );
+        }
       }
+
+      console.log('✅ roles and role_permissions tables created/verified');
     } catch (error) {
-      console.error('❌ Error adding priority_carrier column to claims:', error.message);
+      console.error('❌ Error creating roles tables:', error.message);
     }
   }
 
   /**
-   * Add is_critical column to existing claims table if it doesn't exist (migration)
+   * Create order_events table (audit trail of claim state transitions and tracking updates)
+   * Order-level events (clone, tracking) have no order_unique_id and apply to every row of the order.
    */
-  async addIsCriticalToClaims() {
+  async createOrderEventsTable() {
     if (!this.mysqlConnection) return;
 
     try {
-      // Check if is_critical column exists
-      const [columns] = await this.mysqlConnection.execute(
-        `SHOW COLUMNS FROM claims LIKE 'is_critical'`
-      );
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS order_events (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          order_unique_id VARCHAR(100) NULL,
+          order_id VARCHAR(100) NOT NULL,
+          account_code VARCHAR(50) NULL,
+          event_type VARCHAR(50) NOT NULL,
+          from_status VARCHAR(100) NULL,
+          to_status VARCHAR(100) NULL,
+          claimed_by VARCHAR(50) NULL,
+          actor_type ENUM('vendor', 'admin', 'superadmin', 'system') NOT NULL DEFAULT 'system',
+          actor_id VARCHAR(50) NULL,
+          actor_name VARCHAR(255) NULL,
+          source VARCHAR(100) NULL,
+          details TEXT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
 
-      if (columns.length === 0) {
-        console.log('🔄 Adding is_critical column to existing claims table...');
+          INDEX idx_order_unique_id (order_unique_id, id),
+          INDEX idx_order_account (order_id, account_code),
+          INDEX idx_event_type_created (event_type, created_at),
+          INDEX idx_actor (actor_id, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
 
-        // Add is_critical column
-        await this.mysqlConnection.execute(
-          `ALTER TABLE claims ADD COLUMN is_critical TINYINT(1) DEFAULT 0`
-        );
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ order_events table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating order_events table:', error.message);
+    }
+  }
 
-        // Add index for is_critical
-        await this.mysqlConnection.execute(
-          `ALTER TABLE claims ADD INDEX idx_is_critical (is_critical)`
-        );
+  /**
+   * Create auto_reversal_policies table (per-store claim expiry and criticality rules)
+   * Stores without a row use the defaults in services/autoReversalService.js.
+   */
+  async createAutoReversalPoliciesTable() {
+    if (!this.mysqlConnection) return;
 
-        console.log('✅ is_critical column added to claims table');
-      } else {
-        console.log('✅ is_critical column already exists in claims table');
-      }
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS auto_reversal_policies (
+          account_code VARCHAR(50) PRIMARY KEY,
+          auto_reversal_enabled TINYINT(1) NOT NULL DEFAULT 1,
+          claim_expiry_hours INT NOT NULL DEFAULT 24,
+          warning_hours INT NOT NULL DEFAULT 4,
+          criticality_days INT NOT NULL DEFAULT 15,
+          exclude_weekends TINYINT(1) NOT NULL DEFAULT 0,
+          holidays TEXT NULL,
+          exempt_vendors TEXT NULL,
+          updated_by VARCHAR(50) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ auto_reversal_policies table created/verified');
     } catch (error) {
-      console.error('❌ Error adding is_critical column to claims:', error.message);
+      console.error('❌ Error creating auto_reversal_policies table:', error.message);
     }
   }
 
   /**
-   * Create notifications table for tracking system alerts
+   * Create label_templates table (label page layouts; account_code NULL = all stores)
    */
-  async createNotificationsTable() {
+  async createLabelTemplatesTable() {
     if (!this.mysqlConnection) return;
 
     try {
-      const createNotificationsTableQuery = `
-        CREATE TABLE IF NOT EXISTS notifications (
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS label_templates (
           id INT AUTO_INCREMENT PRIMARY KEY,
-          
-          -- Notification Core Info
-         type ENUM(
-           'reverse_order_failure',
-           'shipment_assignment_error',
-           'carrier_unavailable',
-           'low_balance',
-           'warehouse_issue',
-           'payment_failed',
-           'order_stuck',
-           'vendor_error',
-           'vendor_api_error',
-           'vendor_connection_error',
-           'vendor_validation_error',
-           'vendor_timeout_error',
-           'vendor_authentication_error',
-           'order_claim_error',
-           'order_processing_error',
-           'label_download_error',
-           'authentication_error',
-           'data_fetch_error',
-           'data_refresh_error',
-           'settlement_error',
-           'address_error',
-           'file_upload_error',
-           'file_download_error',
-           'vendor_operation_error',
-           'system_notification',
-           'other'
-         ) NOT NULL,
-          severity ENUM('low', 'medium', 'high', 'critical') DEFAULT 'medium',
-          title VARCHAR(255) NOT NULL,
-          message TEXT NOT NULL,
-          
-          -- Related Entity Info
-          order_id VARCHAR(100),
-          vendor_id VARCHAR(50),
-          vendor_name VARCHAR(255),
-          vendor_warehouse_id VARCHAR(50),
-          
-          -- Additional Context
-          metadata JSON,
-          error_details TEXT,
-          
-          -- Status Tracking
-          status ENUM('pending', 'in_progress', 'resolved', 'dismissed') DEFAULT 'pending',
-          
-          -- Resolution Info
-          resolved_by VARCHAR(50),
-          resolved_by_name VARCHAR(255),
-          resolved_at DATETIME,
-          resolution_notes TEXT,
-          
-          -- Timestamps
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-          
-          -- Indexes for performance
-          INDEX idx_type (type),
-          INDEX idx_status (status),
-          INDEX idx_vendor (vendor_id),
-          INDEX idx_order (order_id),
-          INDEX idx_created_at (created_at),
-          INDEX idx_severity (severity),
-          
-          -- Foreign key constraints
-          FOREIGN KEY (vendor_id) REFERENCES users(id) ON DELETE SET NULL,
-          FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+          code VARCHAR(50) NOT NULL,
+          account_code VARCHAR(50) NULL,
+          name VARCHAR(255) NOT NULL,
+          layout TEXT NOT NULL,
+          created_by VARCHAR(50) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_code_account (code, account_code),
+          INDEX idx_account_code (account_code)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `;
 
-      await this.mysqlConnection.execute(createNotificationsTableQuery);
-      console.log('✅ Notifications table created/verified');
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ label_templates table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating label_templates table:', error.message);
+    }
+  }
 
-      // Create notification_views table
-      const createNotificationViewsTableQuery = `
-        CREATE TABLE IF NOT EXISTS notification_views (
+  /**
+   * Create ndr_cases table (one case per shipment that hit a non-delivery report)
+   * Opened and closed by tracking sync; actions are taken through /api/ndr.
+   */
+  async createNdrCasesTable() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS ndr_cases (
           id INT AUTO_INCREMENT PRIMARY KEY,
-          notification_id INT NOT NULL,
-          admin_id VARCHAR(50) NOT NULL,
-          viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          
-          UNIQUE KEY unique_view (notification_id, admin_id),
-          FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
-          FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE,
-          
-          INDEX idx_notification (notification_id),
-          INDEX idx_admin (admin_id)
+          order_id VARCHAR(100) NOT NULL,
+          account_code VARCHAR(50) NOT NULL,
+          awb VARCHAR(100) NOT NULL,
+          status ENUM('open', 'action_requested', 'closed') NOT NULL DEFAULT 'open',
+          ndr_reason VARCHAR(255) NULL,
+          shipment_status VARCHAR(100) NULL,
+          attempts INT NOT NULL DEFAULT 1,
+          first_ndr_at DATETIME NOT NULL,
+          last_ndr_at DATETIME NOT NULL,
+          last_action VARCHAR(30) NULL,
+          last_action_details TEXT NULL,
+          last_action_at DATETIME NULL,
+          last_action_by VARCHAR(50) NULL,
+          outreach_sent_at DATETIME NULL,
+          resolution VARCHAR(30) NULL,
+          closed_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          UNIQUE KEY uq_account_awb (account_code, awb),
+          INDEX idx_status_first_ndr (status, first_ndr_at),
+          INDEX idx_order_account (order_id, account_code)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `;
 
-      await this.mysqlConnection.execute(createNotificationViewsTableQuery);
-      console.log('✅ Notification views table created/verified');
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ ndr_cases table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating ndr_cases table:', error.message);
+    }
+  }
 
-      // Create push_subscriptions table
-      const createPushSubscriptionsTableQuery = `
-        CREATE TABLE IF NOT EXISTS push_subscriptions (
-          id INT AUTO_INCREMENT PRIMARY KEY,
-          admin_id VARCHAR(50) NOT NULL,
-          endpoint TEXT NOT NULL,
-          p256dh_key VARCHAR(255) NOT NULL,
-          auth_key VARCHAR(255) NOT NULL,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-          
-          UNIQUE KEY unique_admin_endpoint (admin_id, endpoint(255)),
-          FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE,
-          
-          INDEX idx_admin (admin_id),
-          INDEX idx_created_at (created_at)
+  /**
+   * Create shipment_scans table (courier scan history per AWB, deduplicated by scan_key)
+   * Unlike order_tracking snapshots, scans are never pruned so the full timeline stays available.
+   */
+  async createShipmentScansTable() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS shipment_scans (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          account_code VARCHAR(50) NOT NULL,
+          awb VARCHAR(100) NOT NULL,
+          order_id VARCHAR(100) NOT NULL,
+          scan_time DATETIME NOT NULL,
+          status VARCHAR(100) NULL,
+          raw_status VARCHAR(100) NULL,
+          location VARCHAR(255) NULL,
+          activity VARCHAR(500) NULL,
+          ndr_code VARCHAR(50) NULL,
+          source ENUM('activity', 'status') NOT NULL DEFAULT 'activity',
+          scan_key CHAR(40) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          UNIQUE KEY uq_account_awb_scan (account_code, awb, scan_key),
+          INDEX idx_awb_scan_time (awb, scan_time),
+          INDEX idx_order_account (order_id, account_code)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `;
 
-      await this.mysqlConnection.execute(createPushSubscriptionsTableQuery);
-      console.log('✅ Push subscriptions table created/verified');
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ shipment_scans table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating shipment_scans table:', error.message);
+    }
+  }
 
-      // Create push_notification_logs table
-      const createPushNotificationLogsTableQuery = `
-        CREATE TABLE IF NOT EXISTS push_notification_logs (
+  /**
+   * Create pincode_carrier_scores table (delivery performance per pincode and carrier, rebuilt daily)
+   * carrier_id '' holds the pincode across all carriers and carries the COD-risk level.
+   */
+  async createPincodeCarrierScoresTable() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS pincode_carrier_scores (
           id INT AUTO_INCREMENT PRIMARY KEY,
-          notification_id INT NOT NULL,
-          admin_id VARCHAR(50) NOT NULL,
-          status ENUM('sent', 'failed', 'invalid_subscription') DEFAULT 'sent',
-          error_message TEXT,
-          sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          
-          INDEX idx_notification_id (notification_id),
-          INDEX idx_admin_id (admin_id),
-          INDEX idx_status (status),
-          INDEX idx_sent_at (sent_at),
-          
-          FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
-          FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE
+          pincode VARCHAR(20) NOT NULL,
+          carrier_id VARCHAR(100) NOT NULL DEFAULT '',
+          carrier_name VARCHAR(255) NULL,
+          shipments INT NOT NULL DEFAULT 0,
+          delivered INT NOT NULL DEFAULT 0,
+          rto INT NOT NULL DEFAULT 0,
+          cod_shipments INT NOT NULL DEFAULT 0,
+          cod_rto INT NOT NULL DEFAULT 0,
+          avg_delivery_hours DECIMAL(8,1) NULL,
+          delivery_score DECIMAL(5,4) NOT NULL,
+          cod_rto_rate DECIMAL(5,4) NULL,
+          cod_risk ENUM('low', 'medium', 'high') NULL,
+          computed_at DATETIME NOT NULL,
+
+          UNIQUE KEY uq_pincode_carrier (pincode, carrier_id),
+          INDEX idx_computed_at (computed_at)
         ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
       `;
 
-      await this.mysqlConnection.execute(createPushNotificationLogsTableQuery);
-      console.log('✅ Push notification logs table created/verified');
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ pincode_carrier_scores table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating pincode_carrier_scores table:', error.message);
+    }
+  }
 
-      // Add push_notifications_enabled column to users table if it doesn't exist
-      try {
-        // Check if column already exists
-        const [columns] = await this.mysqlConnection.execute(`
-          SELECT COLUMN_NAME 
-          FROM INFORMATION_SCHEMA.COLUMNS 
-          WHERE TABLE_NAME = 'users' 
-          AND COLUMN_NAME = 'push_notifications_enabled'
-          AND TABLE_SCHEMA = DATABASE()
-        `);
+  /**
+   * Create pincode_serviceability_cache table (last shipping-partner serviceability answer per store and pincode)
+   * carriers holds the partner's carrier list as returned; expired rows are still served when the API errors.
+   */
+  async createPincodeServiceabilityCacheTable() {
+    if (!this.mysqlConnection) return;
 
-        if (columns.length === 0) {
-          await this.mysqlConnection.execute(`
-            ALTER TABLE users 
-            ADD COLUMN push_notifications_enabled BOOLEAN DEFAULT FALSE
-          `);
-          console.log('✅ Push notifications enabled column added to users table');
-        } else {
-          console.log('✅ Push notifications enabled column already exists in users table');
-        }
-      } catch (error) {
-        console.error('❌ Error adding push_notifications_enabled column:', error.message);
-      }
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS pincode_serviceability_cache (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          account_code VARCHAR(50) NOT NULL,
+          pincode VARCHAR(20) NOT NULL,
+          carriers JSON NOT NULL,
+          fetched_at DATETIME NOT NULL,
+          expires_at DATETIME NOT NULL,
+          hit_count INT NOT NULL DEFAULT 0,
+          last_requested_at DATETIME NOT NULL,
+          last_error VARCHAR(500) NULL,
+          last_error_at DATETIME NULL,
+
+          UNIQUE KEY uq_store_pincode (account_code, pincode),
+          INDEX idx_expires_at (expires_at),
+          INDEX idx_last_requested_at (last_requested_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
 
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ pincode_serviceability_cache table created/verified');
     } catch (error) {
-      console.error('❌ Error creating notifications tables:', error.message);
+      console.error('❌ Error creating pincode_serviceability_cache table:', error.message);
     }
   }
 
+  /**
+   * Create payout_batches table (admin payout runs covering many vendors' settlements)
+   */
+  async createPayoutBatchesTable() {
+    if (!this.mysqlConnection) return;
 
-  // Excel methods removed - users now use MySQL only
-
-  // Excel-based user methods removed - now using MySQL only
-
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS payout_batches (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          reference VARCHAR(50) NOT NULL,
+          status ENUM('open', 'processing', 'completed', 'cancelled') NOT NULL DEFAULT 'open',
+          payment_count INT NOT NULL DEFAULT 0,
+          total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+          notes TEXT NULL,
+          created_by VARCHAR(50) NULL,
+          exported_at DATETIME NULL,
+          completed_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
-  // All Excel-based user CRUD methods removed - now using MySQL only
+          UNIQUE KEY uq_reference (reference),
+          INDEX idx_status (status),
+          INDEX idx_created_at (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
 
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ payout_batches table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating payout_batches table:', error.message);
+    }
+  }
 
   /**
-   * Get users by status
-   * @param {string} status - User status (active, inactive)
-   * @returns {Array} Array of users with specified status
+   * Create settlement_payments table (one row per payment made against a settlement)
+   * A paid payment is matched to its ledger debit through ledger_entry_id (transactions.id).
+   * Batch payments start as pending and become paid or failed when the batch is completed.
    */
-  getUsersByStatus(status) {
-    const users = this.getAllUsers();
-    return users.filter(user => user.status === status);
-  }
-
-  // Settlement Management Methods
-
-  // Excel-based settlement methods removed - now using MySQL only
+  async createSettlementPaymentsTable() {
+    if (!this.mysqlConnection) return;
 
-  // All Excel-based settlement methods removed - now using MySQL only
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS settlement_payments (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          settlement_id VARCHAR(50) NOT NULL,
+          vendor_id VARCHAR(50) NOT NULL,
+          payout_batch_id INT NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          status ENUM('pending', 'paid', 'failed', 'cancelled') NOT NULL DEFAULT 'paid',
+          transaction_id VARCHAR(255) NULL,
+          payment_proof_path VARCHAR(500) NULL,
+          ledger_entry_id VARCHAR(50) NULL,
+          failure_reason VARCHAR(500) NULL,
+          notes TEXT NULL,
+          recorded_by VARCHAR(50) NULL,
+          paid_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
 
-  // Transaction History Methods - Excel methods removed, will be migrated to MySQL later
+          INDEX idx_settlement_id (settlement_id),
+          INDEX idx_vendor_id (vendor_id),
+          INDEX idx_payout_batch_id (payout_batch_id),
+          INDEX idx_ledger_entry_id (ledger_entry_id),
+          INDEX idx_status (status)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
 
-  // Transaction methods removed - will be migrated to MySQL later
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ settlement_payments table created/verified');
 
-  // ==================== CARRIERS CRUD OPERATIONS (MySQL) ====================
+      await this.migrateSettlementPayments();
+    } catch (error) {
+      console.error('❌ Error creating settlement_payments table:', error.message);
+    }
+  }
 
   /**
-   * Get all carriers from MySQL
-   * @returns {Promise<Array>} Array of carrier data
+   * Move approved settlements onto the payment lifecycle (migration)
+   * Settlements approved before payments were tracked become 'paid' / 'partially_paid', and the
+   * amount paid at approval becomes their first payment, linked to its payout debit.
    */
-  async getAllCarriers() {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async migrateSettlementPayments() {
+    if (!this.mysqlConnection) return;
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        `SELECT 
-          c.*,
-          s.store_name,
-          s.account_code as store_account_code
-        FROM carriers c
-        LEFT JOIN store_info s ON c.account_code = s.account_code
-        ORDER BY c.priority ASC`
+      const [statusResult] = await this.mysqlConnection.execute(
+        `UPDATE settlements
+         SET status = IF(paymentStatus = 'settled_fully', 'paid', 'partially_paid')
+         WHERE status = 'approved' AND paymentStatus IN ('settled_fully', 'settled_partially')`
       );
-      return rows;
+      if (statusResult.affectedRows > 0) {
+        console.log(`✅ ${statusResult.affectedRows} approved settlements moved to paid/partially_paid`);
+      }
+
+      const [paymentResult] = await this.mysqlConnection.execute(
+        `INSERT INTO settlement_payments
+           (settlement_id, vendor_id, amount, status, transaction_id, payment_proof_path, ledger_entry_id, notes, recorded_by, paid_at)
+         SELECT
+           s.id, s.vendorId, s.amountPaid, 'paid', s.transactionId, s.paymentProofPath,
+           (SELECT t.id FROM transactions t
+            WHERE t.settlement_id = s.id AND t.type = 'settlement' AND t.direction = 'debit'
+            ORDER BY t.createdAt ASC LIMIT 1),
+           'Paid at approval', s.approvedBy, COALESCE(s.approvedAt, s.updatedAt)
+         FROM settlements s
+         WHERE s.amountPaid > 0
+           AND NOT EXISTS (SELECT 1 FROM settlement_payments p WHERE p.settlement_id = s.id)`
+      );
+      if (paymentResult.affectedRows > 0) {
+        console.log(`✅ ${paymentResult.affectedRows} settlement payments recorded from approvals`);
+      }
     } catch (error) {
-      console.error('Error getting all carriers:', error);
-      throw new Error('Failed to get carriers from database');
+      console.error('❌ Error migrating settlement payments:', error.message);
     }
   }
 
   /**
-   * Get carriers by account_code (store-specific)
-   * @param {string} accountCode - The account code to filter by
-   * @returns {Promise<Array>} Array of carriers for the specified store
+   * Create vendor_rate_cards table (what a vendor earns per handed-over order line)
+   * A card applies to a vendor, optionally narrowed to a store, a product category (products.product_type)
+   * or a base SKU (and size), from effective_from until effective_to (inclusive, open-ended when NULL).
+   * pricing_type: fixed (fixed_price per unit), percentage (percentage of the line's selling value)
+   * or cost_plus (unit_cost + markup_percent% + markup_amount per unit).
    */
-  async getCarriersByAccountCode(accountCode) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async createVendorRateCardsTable() {
+    if (!this.mysqlConnection) return;
 
-    if (!accountCode) {
-      throw new Error('account_code is required');
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS vendor_rate_cards (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          vendor_id VARCHAR(50) NOT NULL,
+          account_code VARCHAR(50) NULL,
+          product_category VARCHAR(255) NULL,
+          sku_id VARCHAR(100) NULL,
+          size VARCHAR(20) NULL,
+          pricing_type ENUM('fixed', 'percentage', 'cost_plus') NOT NULL,
+          fixed_price DECIMAL(10,2) NULL,
+          percentage DECIMAL(6,2) NULL,
+          unit_cost DECIMAL(10,2) NULL,
+          markup_percent DECIMAL(6,2) NULL,
+          markup_amount DECIMAL(10,2) NULL,
+          effective_from DATE NOT NULL,
+          effective_to DATE NULL,
+          notes TEXT NULL,
+          created_by VARCHAR(50) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_vendor_id (vendor_id),
+          INDEX idx_vendor_sku (vendor_id, sku_id),
+          INDEX idx_effective (effective_from, effective_to)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ vendor_rate_cards table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating vendor_rate_cards table:', error.message);
     }
+  }
+
+  /**
+   * Create vendor_penalty_rules table (what a vendor is charged for an auto-reversed claim, an RTO
+   * with a quality reason or a late handover). A rule applies to all stores or one store, and only
+   * to events from effective_from on, so enabling a rule does not charge past events.
+   *  - auto_reversal: amount per auto-reversed claim
+   *  - rto_quality: amount per RTO shipment whose NDR reason contains one of reason_keywords
+   *  - late_handover: amount per day a line is handed over past threshold_days from the order date
+   *    (the store's criticality_days when NULL)
+   * max_amount caps a single penalty.
+   */
+  async createVendorPenaltyRulesTable() {
+    if (!this.mysqlConnection) return;
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        `SELECT 
-          c.*,
-          s.store_name,
-          s.account_code as store_account_code
-        FROM carriers c
-        LEFT JOIN store_info s ON c.account_code = s.account_code
-        WHERE c.account_code = ?
-        ORDER BY c.priority ASC`,
-        [accountCode]
-      );
-      return rows;
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS vendor_penalty_rules (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(255) NOT NULL,
+          rule_type ENUM('auto_reversal', 'rto_quality', 'late_handover') NOT NULL,
+          account_code VARCHAR(50) NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          max_amount DECIMAL(10,2) NULL,
+          threshold_days INT NULL,
+          reason_keywords TEXT NULL,
+          is_active TINYINT(1) NOT NULL DEFAULT 1,
+          effective_from DATETIME NOT NULL,
+          created_by VARCHAR(50) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_type_active (rule_type, is_active)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ vendor_penalty_rules table created/verified');
     } catch (error) {
-      console.error('Error getting carriers by account_code:', error);
-      throw new Error('Failed to get carriers from database');
+      console.error('❌ Error creating vendor_penalty_rules table:', error.message);
     }
   }
 
   /**
-   * Get a utility parameter value from the database
-   * @param {string} parameter - The parameter name
-   * @returns {Promise<string|null>} The parameter value or null if not found
+   * Create vendor_penalties table (one row per penalised event, unique per source_key)
+   * Every penalty writes a 'penalty' ledger debit (ledger_entry_id); waiving it writes a
+   * 'penalty_waiver' credit (waiver_entry_id), so ledger entries are never changed.
+   * status: applied → disputed (vendor) → applied (dispute rejected) or waived (admin)
    */
-  async getUtilityParameter(parameter) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async createVendorPenaltiesTable() {
+    if (!this.mysqlConnection) return;
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT value FROM utility WHERE parameter = ?',
-        [parameter]
-      );
-      return rows.length > 0 ? rows[0].value : null;
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS vendor_penalties (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          rule_id INT NULL,
+          penalty_type ENUM('auto_reversal', 'rto_quality', 'late_handover') NOT NULL,
+          vendor_id VARCHAR(50) NOT NULL,
+          warehouse_id VARCHAR(50) NULL,
+          order_unique_id VARCHAR(100) NULL,
+          order_id VARCHAR(100) NULL,
+          account_code VARCHAR(50) NULL,
+          source_key VARCHAR(255) NOT NULL,
+          event_at DATETIME NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          description TEXT NULL,
+          details TEXT NULL,
+          status ENUM('applied', 'disputed', 'waived') NOT NULL DEFAULT 'applied',
+          ledger_entry_id VARCHAR(50) NULL,
+          waiver_entry_id VARCHAR(50) NULL,
+          dispute_reason TEXT NULL,
+          disputed_at DATETIME NULL,
+          resolution_notes TEXT NULL,
+          resolved_by VARCHAR(50) NULL,
+          resolved_at DATETIME NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          UNIQUE KEY uq_source_key (source_key),
+          INDEX idx_vendor_status (vendor_id, status),
+          INDEX idx_status_created (status, created_at),
+          INDEX idx_order_account (order_id, account_code)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ vendor_penalties table created/verified');
     } catch (error) {
-      console.error('Error getting utility parameter:', error);
-      throw new Error(`Failed to get utility parameter: ${parameter}`);
+      console.error('❌ Error creating vendor_penalties table:', error.message);
     }
   }
 
   /**
-   * Update or insert a utility parameter
-   * @param {string} parameter - The parameter name
-   * @param {string} value - The parameter value
-   * @param {string} modifiedBy - Who is modifying the parameter (default: 'system')
-   * @returns {Promise<boolean>} True if successful
+   * Create vendor_capacity table (per-vendor claim limits and auto-allocation opt-in).
+   * NULL limits fall back to the VendorMaxOpenClaims / VendorMaxPerSkuPerDay utility values;
+   * vendors without a row use those defaults and are not auto-allocated orders.
    */
-  async updateUtilityParameter(parameter, value, modifiedBy = 'system') {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async createVendorCapacityTable() {
+    if (!this.mysqlConnection) return;
 
     try {
-      await this.mysqlConnection.execute(
-        `INSERT INTO utility (parameter, value, created_by)
-         VALUES (?, ?, ?)
-         ON DUPLICATE KEY UPDATE value = ?, created_by = ?, modified_at = CURRENT_TIMESTAMP`,
-        [parameter, value, modifiedBy, value, modifiedBy]
-      );
-      return true;
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS vendor_capacity (
+          vendor_id VARCHAR(50) PRIMARY KEY,
+          max_open_claims INT NULL,
+          max_per_sku_per_day INT NULL,
+          auto_allocation TINYINT(1) NOT NULL DEFAULT 0,
+          notes TEXT NULL,
+          updated_by VARCHAR(50) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_auto_allocation (auto_allocation)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ vendor_capacity table created/verified');
     } catch (error) {
-      console.error('Error updating utility parameter:', error);
-      throw new Error(`Failed to update utility parameter: ${parameter}`);
+      console.error('❌ Error creating vendor_capacity table:', error.message);
     }
   }
 
   /**
-   * Get all utility parameters from the database
-   * @returns {Promise<Array>} Array of all parameters
+   * Create rto_inventory_movements table (log of every change to RTO stock)
+   * quantity_change is the change to on-hand stock, reserved_change the change to reserved stock;
+   * rto_wh/product_code/size are copied so the log survives the cleanup of empty inventory rows.
    */
-  async getAllUtilityParameters() {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async createRTOInventoryMovementsTable() {
+    if (!this.mysqlConnection) return;
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM utility ORDER BY parameter ASC'
-      );
-      return rows;
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS rto_inventory_movements (
+          id BIGINT AUTO_INCREMENT PRIMARY KEY,
+          rto_inventory_id INT NOT NULL,
+          account_code VARCHAR(50) NOT NULL DEFAULT '',
+          rto_wh VARCHAR(255) NOT NULL,
+          product_code VARCHAR(100) NOT NULL,
+          size VARCHAR(20),
+          movement_type ENUM('rto_received', 'manual_adjustment', 'reserved', 'released', 'shipped') NOT NULL,
+          quantity_change INT NOT NULL DEFAULT 0,
+          reserved_change INT NOT NULL DEFAULT 0,
+          quantity_after INT NOT NULL,
+          reserved_after INT NOT NULL,
+          source VARCHAR(50) NULL,
+          order_id VARCHAR(100) NULL,
+          order_unique_id VARCHAR(100) NULL,
+          reservation_id INT NULL,
+          created_by VARCHAR(100) NULL,
+          notes VARCHAR(500) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+          INDEX idx_rto_inventory_created (rto_inventory_id, created_at),
+          INDEX idx_account_created (account_code, created_at),
+          INDEX idx_movement_type (movement_type),
+          INDEX idx_order_id (order_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ rto_inventory_movements table created/verified');
     } catch (error) {
-      console.error('Error getting all utility parameters:', error);
-      throw new Error('Failed to get all utility parameters from database');
+      console.error('❌ Error creating rto_inventory_movements table:', error.message);
     }
   }
 
-  // =====================================================
-  // SHIPMENT STATUS MAPPING HELPERS
-  // =====================================================
-
   /**
-   * In-memory cache for shipment status mapping
-   * Refreshed every hour or on server restart
+   * Create rto_reservations table (RTO units held for an unclaimed order line)
+   * A reservation stays 'reserved' until the order is handed over ('shipped') or it is 'released'.
    */
-  shipmentStatusMappingCache = null;
-  shipmentStatusMappingCacheTime = null;
-  CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
-
-  /**
-   * Get the shipment status mapping from database (with caching)
-   * @returns {Promise<Array>} Array of status mapping objects
-   */
-  async getShipmentStatusMapping() {
-    // Check cache validity
-    if (
-      this.shipmentStatusMappingCache &&
-      this.shipmentStatusMappingCacheTime &&
-      Date.now() - this.shipmentStatusMappingCacheTime < this.CACHE_TTL_MS
-    ) {
-      return this.shipmentStatusMappingCache;
-    }
+  async createRTOReservationsTable() {
+    if (!this.mysqlConnection) return;
 
     try {
-      const mappingJson = await this.getUtilityParameter('ShipmentStatusMapping');
-      if (mappingJson) {
-        this.shipmentStatusMappingCache = JSON.parse(mappingJson);
-        this.shipmentStatusMappingCacheTime = Date.now();
-        return this.shipmentStatusMappingCache;
-      }
-      return [];
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS rto_reservations (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          rto_inventory_id INT NOT NULL,
+          account_code VARCHAR(50) NOT NULL,
+          order_unique_id VARCHAR(100) NOT NULL,
+          order_id VARCHAR(100) NOT NULL,
+          quantity INT NOT NULL,
+          status ENUM('reserved', 'shipped', 'released') NOT NULL DEFAULT 'reserved',
+          reserved_by VARCHAR(100) NULL,
+          released_by VARCHAR(100) NULL,
+          release_reason VARCHAR(255) NULL,
+          shipped_at TIMESTAMP NULL,
+          released_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          INDEX idx_order_unique_status (order_unique_id, status),
+          INDEX idx_rto_inventory_status (rto_inventory_id, status),
+          INDEX idx_account_status (account_code, status),
+          INDEX idx_order_id (order_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ rto_reservations table created/verified');
     } catch (error) {
-      console.error('Error getting shipment status mapping:', error);
-      return this.shipmentStatusMappingCache || [];
+      console.error('❌ Error creating rto_reservations table:', error.message);
     }
   }
 
   /**
-   * Clear the shipment status mapping cache (call this after updating the mapping)
+   * Create product_variants table (one row per Shopify variant: size, variant SKU, barcode, price, stock)
+   * sku_id is the base SKU of the product (products.sku_id); order lines link to a variant by variant_sku.
    */
-  clearShipmentStatusMappingCache() {
-    this.shipmentStatusMappingCache = null;
-    this.shipmentStatusMappingCacheTime = null;
-    console.log('✅ Shipment status mapping cache cleared');
+  async createProductVariantsTable() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS product_variants (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          account_code VARCHAR(50) NOT NULL,
+          sku_id VARCHAR(100) NOT NULL,
+          variant_sku VARCHAR(100) NOT NULL,
+          size VARCHAR(20) NULL,
+          title VARCHAR(255) NULL,
+          barcode VARCHAR(100) NULL,
+          price DECIMAL(10,2) NULL,
+          inventory_quantity INT NULL,
+          shopify_variant_id VARCHAR(100) NULL,
+          shopify_product_id VARCHAR(100) NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+          UNIQUE KEY uq_account_variant_sku (account_code, variant_sku),
+          INDEX idx_account_sku (account_code, sku_id),
+          INDEX idx_barcode (barcode)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ product_variants table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating product_variants table:', error.message);
+    }
   }
 
   /**
-   * Get shipment status info for a given raw status
-   * @param {string} rawStatus - The raw status from Shipway API
-   * @returns {Promise<Object|null>} Status info object { raw, renamed, color, is_handover } or null
+   * Create claims table for tracking claim history
    */
-  async getShipmentStatusInfo(rawStatus) {
-    if (!rawStatus || typeof rawStatus !== 'string') {
-      return null;
-    }
+  async createClaimsTable() {
+    if (!this.mysqlConnection) return;
 
-    const mapping = await this.getShipmentStatusMapping();
-    const normalizedInput = rawStatus.trim().toLowerCase().replace(/_/g, ' ');
+    try {
+      // First check if claims table exists and has the correct structure
+      const [tables] = await this.mysqlConnection.execute(`
+        SELECT COUNT(*) as count FROM information_schema.tables 
+        WHERE table_schema = DATABASE() AND table_name = 'claims'
+      `);
 
-    // Case-insensitive lookup
-    const matchedStatus = mapping.find(item => {
-      const normalizedRaw = item.raw.toLowerCase().replace(/_/g, ' ');
-      return normalizedRaw === normalizedInput;
-    });
+      const tableExists = tables[0].count > 0;
 
-    return matchedStatus || null;
-  }
+      if (tableExists) {
+        // Check if the table has the correct structure (check for 'status' column)
+        const [columns] = await this.mysqlConnection.execute(`
+          SELECT COUNT(*) as count FROM information_schema.columns 
+          WHERE table_schema = DATABASE() AND table_name = 'claims' AND column_name = 'status'
+        `);
 
-  /**
-   * Normalize shipment status using database mapping
-   * Falls back to original status if not found in mapping
-   * @param {string} rawStatus - The raw status from Shipway API
-   * @returns {Promise<string>} Normalized/renamed status
-   */
-  async normalizeShipmentStatusFromDB(rawStatus) {
-    if (!rawStatus || typeof rawStatus !== 'string') {
-      return rawStatus || 'Unknown';
-    }
+        const hasCorrectStructure = columns[0].count > 0;
 
-    const statusInfo = await this.getShipmentStatusInfo(rawStatus);
-    if (statusInfo) {
-      return statusInfo.renamed;
-    }
+        if (!hasCorrectStructure) {
+          console.log('🔄 Claims table exists but has old structure, recreating...');
+          // Drop the old table
+          await this.mysqlConnection.execute('DROP TABLE claims');
+        }
+      }
 
-    // Fallback: return original status with basic cleanup
-    return rawStatus.trim();
-  }
+      const createClaimsTableQuery = `
+        CREATE TABLE IF NOT EXISTS claims (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          order_unique_id VARCHAR(100) NOT NULL UNIQUE,
+          order_id VARCHAR(100) NOT NULL,
+          status VARCHAR(50) DEFAULT 'unclaimed',
+          claimed_by VARCHAR(50),
+          claimed_at TIMESTAMP NULL,
+          expiry_warned_at TIMESTAMP NULL,
+          last_claimed_by VARCHAR(50),
+          last_claimed_at TIMESTAMP NULL,
+          clone_status VARCHAR(50) DEFAULT 'not_cloned',
+          cloned_order_id VARCHAR(100),
+          is_cloned_row BOOLEAN DEFAULT FALSE,
+          label_downloaded BOOLEAN DEFAULT FALSE,
+          priority_carrier TEXT,
+          account_code VARCHAR(50) NOT NULL,
+          is_critical TINYINT(1) DEFAULT 0,
+          INDEX idx_order_unique_id (order_unique_id),
+          INDEX idx_order_id (order_id),
+          INDEX idx_claimed_by (claimed_by),
+          INDEX idx_status (status),
+          INDEX idx_account_code (account_code),
+          INDEX idx_is_critical (is_critical),
+          created_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
 
-  /**
-   * Check if a status should set is_handover = 1 using database mapping
-   * @param {string} rawStatus - The raw status to check
-   * @returns {Promise<boolean>} True if is_handover should be 1
-   */
-  async shouldSetHandoverFromDB(rawStatus) {
-    if (!rawStatus || typeof rawStatus !== 'string') {
-      return false;
-    }
+      await this.mysqlConnection.execute(createClaimsTableQuery);
+      console.log('✅ Claims table created/verified');
 
-    const statusInfo = await this.getShipmentStatusInfo(rawStatus);
-    if (statusInfo) {
-      return statusInfo.is_handover === 1;
-    }
+      // Add created_timestamp column to claims if it doesn't exist
+      try {
+        await this.mysqlConnection.execute(`
+          ALTER TABLE claims
+          ADD COLUMN created_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        `);
+        console.log('✅ Added created_timestamp column to claims table');
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log('ℹ️ created_timestamp column already exists in claims table');
+        } else {
+          console.error('❌ Error adding created_timestamp column to claims table:', error.message);
+        }
+      }
 
-    // Fallback: if status not in mapping, default to false (not handed over)
-    return false;
-  }
+      // Add updated_timestamp column to claims if it doesn't exist
+      try {
+        await this.mysqlConnection.execute(`
+          ALTER TABLE claims
+          ADD COLUMN updated_timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+        `);
+        console.log('✅ Added updated_timestamp column to claims table');
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log('ℹ️ updated_timestamp column already exists in claims table');
+        } else {
+          console.error('❌ Error adding updated_timestamp column to claims table:', error.message);
+        }
+      }
 
-  /**
-   * Get color code for a status using database mapping
-   * @param {string} rawStatus - The raw status to get color for
-   * @returns {Promise<string|null>} Color code or null if not found
-   */
-  async getStatusColorCode(rawStatus) {
-    if (!rawStatus || typeof rawStatus !== 'string') {
-      return null;
-    }
+      // Add priority_carrier column if it doesn't exist (migration for existing tables)
+      await this.addPriorityCarrierColumnToClaims();
 
-    const statusInfo = await this.getShipmentStatusInfo(rawStatus);
-    if (statusInfo) {
-      return statusInfo.color;
-    }
+      // Add account_code column if it doesn't exist (for existing tables)
+      await this.addAccountCodeToClaimsIfNotExists();
 
-    return null;
+      // Add is_critical column if it doesn't exist (migration for existing tables)
+      await this.addIsCriticalToClaims();
+
+      // Add expiry_warned_at column if it doesn't exist (migration for existing tables)
+      await this.addExpiryWarnedAtToClaimsIfNotExists();
+
+      // Add claimed_by_user_id column if it doesn't exist (migration for existing tables)
+      await this.addClaimedByUserIdToClaimsIfNotExists();
+
+      // Migrate existing claims data from orders table if claims table is empty
+      await this.migrateClaimsData();
+    } catch (error) {
+      console.error('❌ Error creating claims table:', error.message);
+    }
   }
 
   /**
-   * Get all shipping partners from utility table
-   * @returns {Promise<Array>} Array of shipping partner names
+   * Add account_code column to existing claims table if it doesn't exist (migration)
    */
-  async getShippingPartners() {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async addAccountCodeToClaimsIfNotExists() {
+    if (!this.mysqlConnection) return;
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT value FROM utility WHERE parameter = ? ORDER BY value ASC',
-        ['shipping_partner']
+      // Check if account_code column exists in claims table
+      const [columns] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM claims LIKE 'account_code'`
       );
-      return rows.map(row => row.value);
+
+      if (columns.length === 0) {
+        console.log('🔄 Adding account_code column to existing claims table...');
+
+        // Add account_code column as NOT NULL (will require data migration for existing rows)
+        await this.mysqlConnection.execute(
+          `ALTER TABLE claims ADD COLUMN account_code VARCHAR(50) NOT NULL AFTER priority_carrier`
+        );
+
+        // Add index for account_code
+        await this.mysqlConnection.execute(
+          `ALTER TABLE claims ADD INDEX idx_account_code (account_code)`
+        );
+
+        console.log('✅ account_code column added to claims table');
+      } else {
+        console.log('✅ account_code column already exists in claims table');
+      }
     } catch (error) {
-      console.error('Error getting shipping partners:', error);
-      throw new Error('Failed to get shipping partners from database');
+      console.error('❌ Error adding account_code column to claims table:', error.message);
     }
   }
 
   /**
-   * Get carrier by carrier_id
-   * @param {string} carrierId - Carrier ID
-   * @returns {Promise<Object|null>} Carrier object or null if not found
+   * Migrate claims data from orders table to claims table
    */
-  async getCarrierById(carrierId, accountCode = null) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async migrateClaimsData() {
+    if (!this.mysqlConnection) return;
 
     try {
-      let query, params;
-      if (accountCode) {
-        // Check by both carrier_id and account_code (store-specific)
-        query = 'SELECT * FROM carriers WHERE carrier_id = ? AND account_code = ?';
-        params = [carrierId, accountCode];
-      } else {
-        // Legacy: check by carrier_id only (for backward compatibility)
-        query = 'SELECT * FROM carriers WHERE carrier_id = ?';
-        params = [carrierId];
+      // Check if claims table is empty
+      const [claimsCount] = await this.mysqlConnection.execute('SELECT COUNT(*) as count FROM claims');
+
+      if (claimsCount[0].count > 0) {
+        console.log('✅ Claims table already has data, skipping migration');
+        return;
       }
 
-      const [rows] = await this.mysqlConnection.execute(query, params);
-      return rows.length > 0 ? rows[0] : null;
+      console.log('🔄 Migrating claims data from orders table...');
+
+      // Skip migration since claims table will be populated as orders are claimed
+      console.log('ℹ️ Claims table will be populated as orders are claimed - no migration needed');
+
     } catch (error) {
-      console.error('Error getting carrier by ID:', error);
-      throw new Error('Failed to get carrier from database');
+      console.error('❌ Error migrating claims data:', error.message);
     }
   }
 
   /**
-   * Create new carrier
-   * @param {Object} carrierData - Carrier data
-   * @returns {Promise<Object>} Created carrier object
+   * Add priority_carrier column to existing claims table if it doesn't exist (migration)
    */
-  async createCarrier(carrierData) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async addPriorityCarrierColumnToClaims() {
+    if (!this.mysqlConnection) return;
 
     try {
-      const { carrier_id, carrier_name, status, weight_in_kg, priority, account_code } = carrierData;
+      // Check if priority_carrier column exists
+      const [columns] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM claims LIKE 'priority_carrier'`
+      );
 
-      if (!account_code) {
-        throw new Error('account_code is required for creating carrier');
-      }
+      if (columns.length === 0) {
+        console.log('🔄 Adding priority_carrier column to existing claims table...');
 
-      const [result] = await this.mysqlConnection.execute(
-        'INSERT INTO carriers (carrier_id, carrier_name, status, weight_in_kg, priority, account_code) VALUES (?, ?, ?, ?, ?, ?)',
-        [carrier_id, carrier_name, status || 'Active', weight_in_kg || null, priority, account_code]
-      );
+        // Add priority_carrier column
+        await this.mysqlConnection.execute(
+          `ALTER TABLE claims ADD COLUMN priority_carrier TEXT AFTER label_downloaded`
+        );
 
-      return {
-        id: result.insertId,
-        carrier_id,
-        carrier_name,
-        status: status || 'Active',
-        weight_in_kg,
-        priority
-      };
-    } catch (error) {
-      console.error('Error creating carrier:', error);
-      if (error.code === 'ER_DUP_ENTRY') {
-        throw new Error('Carrier with this ID already exists');
+        console.log('✅ priority_carrier column added to claims table');
+      } else {
+        console.log('✅ priority_carrier column already exists in claims table');
       }
-      throw new Error('Failed to create carrier in database');
+    } catch (error) {
+      console.error('❌ Error adding priority_carrier column to claims:', error.message);
     }
   }
 
   /**
-   * Update carrier
-   * @param {string} carrierId - Carrier ID
-   * @param {Object} updateData - Data to update
-   * @returns {Promise<Object|null>} Updated carrier object or null if not found
+   * Add is_critical column to existing claims table if it doesn't exist (migration)
    */
-  async updateCarrier(carrierId, updateData, accountCode = null) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async addIsCriticalToClaims() {
+    if (!this.mysqlConnection) return;
 
     try {
-      const fields = [];
-      const values = [];
-
-      if (updateData.carrier_name !== undefined) {
-        fields.push('carrier_name = ?');
-        values.push(updateData.carrier_name);
-      }
-      if (updateData.status !== undefined) {
-        fields.push('status = ?');
-        values.push(updateData.status);
-      }
-      if (updateData.weight_in_kg !== undefined) {
-        fields.push('weight_in_kg = ?');
-        values.push(updateData.weight_in_kg);
-      }
-      if (updateData.priority !== undefined) {
-        fields.push('priority = ?');
-        values.push(updateData.priority);
-      }
-      if (updateData.account_code !== undefined) {
-        fields.push('account_code = ?');
-        values.push(updateData.account_code);
-      }
-
-      if (fields.length === 0) {
-        throw new Error('No fields to update');
-      }
+      // Check if is_critical column exists
+      const [columns] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM claims LIKE 'is_critical'`
+      );
 
-      // Build WHERE clause - use account_code if provided
-      let whereClause = 'carrier_id = ?';
-      values.push(carrierId);
+      if (columns.length === 0) {
+        console.log('🔄 Adding is_critical column to existing claims table...');
 
-      if (accountCode) {
-        whereClause += ' AND account_code = ?';
-        values.push(accountCode);
-      } else if (updateData.account_code) {
-        // Use account_code from updateData if not provided as parameter
-        whereClause += ' AND account_code = ?';
-        values.push(updateData.account_code);
-      }
+        // Add is_critical column
+        await this.mysqlConnection.execute(
+          `ALTER TABLE claims ADD COLUMN is_critical TINYINT(1) DEFAULT 0`
+        );
 
-      const [result] = await this.mysqlConnection.execute(
-        `UPDATE carriers SET ${fields.join(', ')} WHERE ${whereClause}`,
-        values
-      );
+        // Add index for is_critical
+        await this.mysqlConnection.execute(
+          `ALTER TABLE claims ADD INDEX idx_is_critical (is_critical)`
+        );
 
-      if (result.affectedRows === 0) {
-        return null;
+        console.log('✅ is_critical column added to claims table');
+      } else {
+        console.log('✅ is_critical column already exists in claims table');
       }
-
-      // Use accountCode from parameter or updateData
-      const finalAccountCode = accountCode || updateData.account_code || null;
-      return await this.getCarrierById(carrierId, finalAccountCode);
     } catch (error) {
-      console.error('Error updating carrier:', error);
-      throw new Error('Failed to update carrier in database');
+      console.error('❌ Error adding is_critical column to claims:', error.message);
     }
   }
 
   /**
-   * Swap carrier priorities atomically using a transaction
-   * @param {string} carrierId1 - First carrier ID
-   * @param {string} carrierId2 - Second carrier ID
-   * @param {number} priority1 - First carrier's priority
-   * @param {number} priority2 - Second carrier's priority
-   * @returns {Promise<void>}
+   * Add expiry_warned_at column to existing claims table if it doesn't exist (migration)
+   * Set when the vendor was warned that the claim is about to be auto-reversed.
    */
-  async swapCarrierPriorities(carrierId1, carrierId2, priority1, priority2) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async addExpiryWarnedAtToClaimsIfNotExists() {
+    if (!this.mysqlConnection) return;
 
     try {
-      await this.mysqlConnection.beginTransaction();
-
-      // Update both carriers in a single transaction
-      await this.mysqlConnection.execute(
-        'UPDATE carriers SET priority = ? WHERE carrier_id = ?',
-        [priority2, carrierId1]
+      const [columns] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM claims LIKE 'expiry_warned_at'`
       );
 
-      await this.mysqlConnection.execute(
-        'UPDATE carriers SET priority = ? WHERE carrier_id = ?',
-        [priority1, carrierId2]
-      );
+      if (columns.length === 0) {
+        console.log('🔄 Adding expiry_warned_at column to existing claims table...');
 
-      await this.mysqlConnection.commit();
+        await this.mysqlConnection.execute(
+          `ALTER TABLE claims ADD COLUMN expiry_warned_at TIMESTAMP NULL AFTER claimed_at`
+        );
+
+        console.log('✅ expiry_warned_at column added to claims table');
+      } else {
+        console.log('✅ expiry_warned_at column already exists in claims table');
+      }
     } catch (error) {
-      await this.mysqlConnection.rollback();
-      console.error('Error swapping carrier priorities:', error);
-      throw new Error('Failed to swap carrier priorities');
+      console.error('❌ Error adding expiry_warned_at column to claims:', error.message);
     }
   }
 
   /**
-   * Reorder carrier priorities sequentially (1, 2, 3, ...)
-   * @param {Array} carriers - Array of carriers in the desired order
-   * @returns {Promise<void>}
+   * Add claimed_by_user_id column to existing claims table if it doesn't exist (migration)
+   * The individual user (vendor owner or team member) who claimed the order; claimed_by stays
+   * the vendor's warehouse ID. NULL for admin assignments and claims made before vendor teams.
    */
-  async reorderCarrierPriorities(carriers, accountCode = null) {
-    if (!this.mysqlConnection && !this.mysqlPool) {
-      throw new Error('MySQL connection not available');
-    }
-
-    // Get a connection from the pool for transaction support
-    const db = this.mysqlPool || this.mysqlConnection;
-    const connection = await db.getConnection();
+  async addClaimedByUserIdToClaimsIfNotExists() {
+    if (!this.mysqlConnection) return;
 
     try {
-      await connection.beginTransaction();
-
-      // Update priorities sequentially starting from 1
-      for (let i = 0; i < carriers.length; i++) {
-        const newPriority = i + 1;
-        const carrier = carriers[i];
-        const carrierAccountCode = accountCode || carrier.account_code;
+      const [columns] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM claims LIKE 'claimed_by_user_id'`
+      );
 
-        if (!carrierAccountCode) {
-          throw new Error('account_code is required for reordering priorities');
-        }
+      if (columns.length === 0) {
+        console.log('🔄 Adding claimed_by_user_id column to existing claims table...');
 
-        // Update with both carrier_id and account_code to ensure store-specific update
-        await connection.execute(
-          'UPDATE carriers SET priority = ? WHERE carrier_id = ? AND account_code = ?',
-          [newPriority, carrier.carrier_id, carrierAccountCode]
+        await this.mysqlConnection.execute(
+          `ALTER TABLE claims ADD COLUMN claimed_by_user_id VARCHAR(50) NULL AFTER claimed_by, ADD INDEX idx_claimed_by_user_id (claimed_by_user_id)`
         );
-      }
-
-      await connection.commit();
-      console.log(`✅ Reordered ${carriers.length} carrier priorities sequentially${accountCode ? ` for store ${accountCode}` : ''}`);
-    } catch (error) {
-      await connection.rollback();
-      console.error('Error reordering carrier priorities:', error);
-      throw new Error('Failed to reorder carrier priorities');
-    } finally {
-      connection.release();
-    }
-  }
-
-  /**
-   * Delete carrier
-   * @param {string} carrierId - Carrier ID
-   * @returns {Promise<boolean>} True if deleted, false if not found
-   */
-  async deleteCarrier(carrierId, accountCode = null) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
 
-    try {
-      let query, params;
-      if (accountCode) {
-        // Delete by both carrier_id and account_code (store-specific)
-        query = 'DELETE FROM carriers WHERE carrier_id = ? AND account_code = ?';
-        params = [carrierId, accountCode];
+        console.log('✅ claimed_by_user_id column added to claims table');
       } else {
-        // Legacy: delete by carrier_id only (for backward compatibility)
-        query = 'DELETE FROM carriers WHERE carrier_id = ?';
-        params = [carrierId];
+        console.log('✅ claimed_by_user_id column already exists in claims table');
       }
-
-      const [result] = await this.mysqlConnection.execute(query, params);
-
-      return result.affectedRows > 0;
     } catch (error) {
-      console.error('Error deleting carrier:', error);
-      throw new Error('Failed to delete carrier from database');
+      console.error('❌ Error adding claimed_by_user_id column to claims:', error.message);
     }
   }
 
   /**
-   * Bulk insert/update carriers (for sync operations)
-   * @param {Array} carriers - Array of carrier data
-   * @returns {Promise<Object>} Result with counts
+   * Create notifications table for tracking system alerts
    */
-  async bulkUpsertCarriers(carriers) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+  async createNotificationsTable() {
+    if (!this.mysqlConnection) return;
 
     try {
-      let inserted = 0;
-      let updated = 0;
+      const createNotificationsTableQuery = `
+        CREATE TABLE IF NOT EXISTS notifications (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          
+          -- Notification Core Info
+         type ENUM(
+           'reverse_order_failure',
+           'shipment_assignment_error',
+           'carrier_unavailable',
+           'low_balance',
+           'warehouse_issue',
+           'payment_failed',
+           'order_stuck',
+           'vendor_error',
+           'vendor_api_error',
+           'vendor_connection_error',
+           'vendor_validation_error',
+           'vendor_timeout_error',
+           'vendor_authentication_error',
+           'order_claim_error',
+           'order_processing_error',
+           'label_download_error',
+           'authentication_error',
+           'data_fetch_error',
+           'data_refresh_error',
+           'settlement_error',
+           'address_error',
+           'file_upload_error',
+           'file_download_error',
+           'vendor_operation_error',
+           'system_notification',
+           'other'
+         ) NOT NULL,
+          severity ENUM('low', 'medium', 'high', 'critical') DEFAULT 'medium',
+          title VARCHAR(255) NOT NULL,
+          message TEXT NOT NULL,
+          
+          -- Related Entity Info
+          order_id VARCHAR(100),
+          vendor_id VARCHAR(50),
+          vendor_name VARCHAR(255),
+          vendor_warehouse_id VARCHAR(50),
+          
+          -- Additional Context
+          metadata JSON,
+          error_details TEXT,
+          
+          -- Status Tracking
+          status ENUM('pending', 'in_progress', 'resolved', 'dismissed') DEFAULT 'pending',
+          
+          -- Resolution Info
+          resolved_by VARCHAR(50),
+          resolved_by_name VARCHAR(255),
+          resolved_at DATETIME,
+          resolution_notes TEXT,
+          
+          -- Timestamps
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          
+          -- Indexes for performance
+          INDEX idx_type (type),
+          INDEX idx_status (status),
+          INDEX idx_vendor (vendor_id),
+          INDEX idx_order (order_id),
+          INDEX idx_created_at (created_at),
+          INDEX idx_severity (severity),
+          
+          -- Foreign key constraints
+          FOREIGN KEY (vendor_id) REFERENCES users(id) ON DELETE SET NULL,
+          FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
 
-      for (const carrier of carriers) {
-        // Check by both carrier_id and account_code (store-specific)
-        const accountCode = carrier.account_code || null;
-        const existing = await this.getCarrierById(carrier.carrier_id, accountCode);
+      await this.mysqlConnection.execute(createNotificationsTableQuery);
+      console.log('✅ Notifications table created/verified');
 
-        if (existing) {
-          await this.updateCarrier(carrier.carrier_id, carrier, accountCode);
-          updated++;
+      // Create notification_views table
+      const createNotificationViewsTableQuery = `
+        CREATE TABLE IF NOT EXISTS notification_views (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          notification_id INT NOT NULL,
+          admin_id VARCHAR(50) NOT NULL,
+          viewed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          
+          UNIQUE KEY unique_view (notification_id, admin_id),
+          FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
+          FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE,
+          
+          INDEX idx_notification (notification_id),
+          INDEX idx_admin (admin_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createNotificationViewsTableQuery);
+      console.log('✅ Notification views table created/verified');
+
+      // Create push_subscriptions table
+      const createPushSubscriptionsTableQuery = `
+        CREATE TABLE IF NOT EXISTS push_subscriptions (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          admin_id VARCHAR(50) NOT NULL,
+          endpoint TEXT NOT NULL,
+          p256dh_key VARCHAR(255) NOT NULL,
+          auth_key VARCHAR(255) NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          
+          UNIQUE KEY unique_admin_endpoint (admin_id, endpoint(255)),
+          FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE,
+          
+          INDEX idx_admin (admin_id),
+          INDEX idx_created_at (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createPushSubscriptionsTableQuery);
+      console.log('✅ Push subscriptions table created/verified');
+
+      // Create push_notification_logs table
+      const createPushNotificationLogsTableQuery = `
+        CREATE TABLE IF NOT EXISTS push_notification_logs (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          notification_id INT NOT NULL,
+          admin_id VARCHAR(50) NOT NULL,
+          status ENUM('sent', 'failed', 'invalid_subscription') DEFAULT 'sent',
+          error_message TEXT,
+          sent_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          
+          INDEX idx_notification_id (notification_id),
+          INDEX idx_admin_id (admin_id),
+          INDEX idx_status (status),
+          INDEX idx_sent_at (sent_at),
+          
+          FOREIGN KEY (notification_id) REFERENCES notifications(id) ON DELETE CASCADE,
+          FOREIGN KEY (admin_id) REFERENCES users(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createPushNotificationLogsTableQuery);
+      console.log('✅ Push notification logs table created/verified');
+
+      // Add push_notifications_enabled column to users table if it doesn't exist
+      try {
+        // Check if column already exists
+        const [columns] = await this.mysqlConnection.execute(`
+          SELECT COLUMN_NAME 
+          FROM INFORMATION_SCHEMA.COLUMNS 
+          WHERE TABLE_NAME = 'users' 
+          AND COLUMN_NAME = 'push_notifications_enabled'
+          AND TABLE_SCHEMA = DATABASE()
+        `);
+
+        if (columns.length === 0) {
+          await this.mysqlConnection.execute(`
+            ALTER TABLE users 
+            ADD COLUMN push_notifications_enabled BOOLEAN DEFAULT FALSE
+          `);
+          console.log('✅ Push notifications enabled column added to users table');
         } else {
-          await this.createCarrier(carrier);
-          inserted++;
+          console.log('✅ Push notifications enabled column already exists in users table');
         }
+      } catch (error) {
+        console.error('❌ Error adding push_notifications_enabled column:', error.message);
       }
 
-      return {
-        success: true,
-        inserted,
-        updated,
-        total: carriers.length
-      };
     } catch (error) {
-      console.error('Error bulk upserting carriers:', error);
-      throw new Error('Failed to bulk upsert carriers');
+      console.error('❌ Error creating notifications tables:', error.message);
     }
   }
 
+
+  // Excel methods removed - users now use MySQL only
+
+  // Excel-based user methods removed - now using MySQL only
+
+
+  // All Excel-based user CRUD methods removed - now using MySQL only
+
+
   /**
-   * Get carriers by status
-   * @param {string} status - Carrier status
-   * @returns {Promise<Array>} Array of carriers with specified status
+   * Get users by status
+   * @param {string} status - User status (active, inactive)
+   * @returns {Array} Array of users with specified status
    */
-  async getCarriersByStatus(status) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
-
-    try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM carriers WHERE status = ? ORDER BY priority ASC',
-        [status]
-      );
-      return rows;
-    } catch (error) {
-      console.error('Error getting carriers by status:', error);
-      throw new Error('Failed to get carriers by status');
-    }
+  getUsersByStatus(status) {
+    const users = this.getAllUsers();
+    return users.filter(user => user.status === status);
   }
 
-  // ==================== PRODUCTS CRUD OPERATIONS (MySQL) ====================
+  // Settlement Management Methods
+
+  // Excel-based settlement methods removed - now using MySQL only
+
+  // All Excel-based settlement methods removed - now using MySQL only
+
+  // Transaction History Methods - Excel methods removed, will be migrated to MySQL later
+
+  // Transaction methods removed - will be migrated to MySQL later
+
+  // ==================== CARRIERS CRUD OPERATIONS (MySQL) ====================
 
   /**
-   * Get all products from MySQL
-   * @returns {Promise<Array>} Array of all products
+   * Get all carriers from MySQL
+   * @returns {Promise<Array>} Array of carrier data
    */
-  async getAllProducts() {
+  async getAllCarriers() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM products ORDER BY name ASC'
+        `SELECT 
+          c.*,
+          s.store_name,
+          s.account_code as store_account_code
+        FROM carriers c
+        LEFT JOIN store_info s ON c.account_code = s.account_code
+        ORDER BY c.priority ASC`
       );
       return rows;
     } catch (error) {
-      console.error('Error getting all products:', error);
-      throw new Error('Failed to get products from database');
+      console.error('Error getting all carriers:', error);
+      throw new Error('Failed to get carriers from database');
     }
   }
 
   /**
-   * Get product by ID (Shopify product ID)
-   * @param {string} id - Product ID (Shopify ID)
-   * @returns {Promise<Object|null>} Product object or null if not found
+   * Get carriers by account_code (store-specific)
+   * @param {string} accountCode - The account code to filter by
+   * @returns {Promise<Array>} Array of carriers for the specified store
    */
-  async getProductById(id) {
+  async getCarriersByAccountCode(accountCode) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
+    if (!accountCode) {
+      throw new Error('account_code is required');
+    }
+
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM products WHERE id = ?',
-        [id]
+        `SELECT 
+          c.*,
+          s.store_name,
+          s.account_code as store_account_code
+        FROM carriers c
+        LEFT JOIN store_info s ON c.account_code = s.account_code
+        WHERE c.account_code = ?
+        ORDER BY c.priority ASC`,
+        [accountCode]
       );
-      return rows.length > 0 ? rows[0] : null;
+      return rows;
     } catch (error) {
-      console.error('Error getting product by ID:', error);
-      throw new Error('Failed to get product from database');
+      console.error('Error getting carriers by account_code:', error);
+      throw new Error('Failed to get carriers from database');
     }
   }
 
   /**
-   * Create new product
-   * @param {Object} productData - Product data
-   * @returns {Promise<Object>} Created product object
+   * Get a utility parameter value from the database
+   * @param {string} parameter - The parameter name
+   * @returns {Promise<string|null>} The parameter value or null if not found
    */
-  async createProduct(productData) {
+  async getUtilityParameter(parameter) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const { name, image, altText, totalImages, sku_id, account_code } = productData;
-
-      if (!account_code) {
-        throw new Error('account_code is required for creating product');
-      }
-      if (!sku_id || (typeof sku_id === 'string' && sku_id.trim() === '')) {
-        const skipError = new Error('sku_id is required for creating product');
-        skipError.code = 'SKU_REQUIRED';
-        throw skipError;
-      }
-
-      const [result] = await this.mysqlConnection.execute(
-        'INSERT INTO products (name, image, altText, totalImages, sku_id, account_code) VALUES (?, ?, ?, ?, ?, ?)',
-        [name, image || null, altText || null, totalImages || 0, sku_id, account_code]
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT value FROM utility WHERE parameter = ?',
+        [parameter]
       );
-
-      return {
-        id: result.insertId,
-        name,
-        image,
-        altText,
-        totalImages: totalImages || 0,
-        sku_id,
-        account_code
-      };
+      return rows.length > 0 ? rows[0].value : null;
     } catch (error) {
-      // Keep logs concise for expected/handled data issues.
-      if (error.code === 'ER_BAD_NULL_ERROR' || error.code === 'SKU_REQUIRED') {
-        console.warn(`[Products] Skipped insert: missing sku_id for account=${productData?.account_code || 'unknown'} name="${productData?.name || 'unknown'}"`);
-        throw new Error('Skipped product insert: missing sku_id');
-      }
-      console.error(`Error creating product (${error.code || 'UNKNOWN'}): ${error.message}`);
-      if (error.code === 'ER_DUP_ENTRY') {
-        throw new Error('Product with this (account_code, sku_id) already exists');
-      }
-      throw new Error('Failed to create product in database');
+      console.error('Error getting utility parameter:', error);
+      throw new Error(`Failed to get utility parameter: ${parameter}`);
     }
   }
 
   /**
-   * Update product
-   * @param {string} id - Product ID (Shopify ID)
-   * @param {Object} updateData - Data to update
-   * @returns {Promise<Object|null>} Updated product object or null if not found
+   * Update or insert a utility parameter
+   * @param {string} parameter - The parameter name
+   * @param {string} value - The parameter value
+   * @param {string} modifiedBy - Who is modifying the parameter (default: 'system')
+   * @returns {Promise<boolean>} True if successful
    */
-  async updateProduct(id, updateData) {
+  async updateUtilityParameter(parameter, value, modifiedBy = 'system') {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const fields = [];
-      const values = [];
-
-      if (updateData.name !== undefined) {
-        fields.push('name = ?');
-        values.push(updateData.name);
-      }
-      if (updateData.image !== undefined) {
-        fields.push('image = ?');
-        values.push(updateData.image);
-      }
-      if (updateData.altText !== undefined) {
-        fields.push('altText = ?');
-        values.push(updateData.altText);
-      }
-      if (updateData.totalImages !== undefined) {
-        fields.push('totalImages = ?');
-        values.push(updateData.totalImages);
-      }
-      if (updateData.sku_id !== undefined) {
-        fields.push('sku_id = ?');
-        values.push(updateData.sku_id);
-      }
-
-      if (fields.length === 0) {
-        throw new Error('No fields to update');
-      }
-
-      values.push(id);
-
-      const [result] = await this.mysqlConnection.execute(
-        `UPDATE products SET ${fields.join(', ')} WHERE id = ?`,
-        values
+      await this.mysqlConnection.execute(
+        `INSERT INTO utility (parameter, value, created_by)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE value = ?, created_by = ?, modified_at = CURRENT_TIMESTAMP`,
+        [parameter, value, modifiedBy, value, modifiedBy]
       );
-
-      if (result.affectedRows === 0) {
-        return null;
-      }
-
-      return await this.getProductById(id);
+      return true;
     } catch (error) {
-      console.error('Error updating product:', error);
-      throw new Error('Failed to update product in database');
+      console.error('Error updating utility parameter:', error);
+      throw new Error(`Failed to update utility parameter: ${parameter}`);
     }
   }
 
   /**
-   * Delete product
-   * @param {string} id - Product ID (Shopify ID)
-   * @returns {Promise<boolean>} True if deleted, false if not found
+   * Get all utility parameters from the database
+   * @returns {Promise<Array>} Array of all parameters
    */
-  async deleteProduct(id) {
+  async getAllUtilityParameters() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [result] = await this.mysqlConnection.execute(
-        'DELETE FROM products WHERE id = ?',
-        [id]
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM utility ORDER BY parameter ASC'
       );
-
-      return result.affectedRows > 0;
+      return rows;
     } catch (error) {
-      console.error('Error deleting product:', error);
-      throw new Error('Failed to delete product from database');
+      console.error('Error getting all utility parameters:', error);
+      throw new Error('Failed to get all utility parameters from database');
     }
   }
 
+  // =====================================================
+  // SHIPMENT STATUS MAPPING HELPERS
+  // =====================================================
+
   /**
-   * Bulk insert/update products (for sync operations)
-   * Deduplicates on (account_code, sku_id) using INSERT ... ON DUPLICATE KEY UPDATE
-   * @param {Array} products - Array of product data
-   * @returns {Promise<Object>} Result with counts
+   * In-memory cache for shipment status mapping
+   * Refreshed every hour or on server restart
    */
-  async bulkUpsertProducts(products) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
+  shipmentStatusMappingCache = null;
+  shipmentStatusMappingCacheTime = null;
+  CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+  /**
+   * Get the shipment status mapping from database (with caching)
+   * @returns {Promise<Array>} Array of status mapping objects
+   */
+  async getShipmentStatusMapping() {
+    // Check cache validity
+    if (
+      this.shipmentStatusMappingCache &&
+      this.shipmentStatusMappingCacheTime &&
+      Date.now() - this.shipmentStatusMappingCacheTime < this.CACHE_TTL_MS
+    ) {
+      return this.shipmentStatusMappingCache;
     }
 
     try {
-      let inserted = 0;
-      let updated = 0;
-      let skipped = 0;
-      const inputCount = Array.isArray(products) ? products.length : 0;
+      const mappingJson = await this.getUtilityParameter('ShipmentStatusMapping');
+      if (mappingJson) {
+        this.shipmentStatusMappingCache = JSON.parse(mappingJson);
+        this.shipmentStatusMappingCacheTime = Date.now();
+        return this.shipmentStatusMappingCache;
+      }
+      return [];
+    } catch (error) {
+      console.error('Error getting shipment status mapping:', error);
+      return this.shipmentStatusMappingCache || [];
+    }
+  }
 
-      // Filter out products without sku_id (sku_id is NOT NULL)
-      const filteredProducts = (products || []).filter(
-        (p) => typeof p?.sku_id === 'string' && p.sku_id.trim().length > 0 && p?.account_code
-      );
-      const skippedMissingSku = Math.max(0, inputCount - filteredProducts.length);
+  /**
+   * Clear the shipment status mapping cache (call this after updating the mapping)
+   */
+  clearShipmentStatusMappingCache() {
+    this.shipmentStatusMappingCache = null;
+    this.shipmentStatusMappingCacheTime = null;
+    console.log('✅ Shipment status mapping cache cleared');
+  }
 
-      // Deduplicate in memory first — keep last occurrence per (account_code, sku_id)
-      const deduped = new Map();
-      for (const product of filteredProducts) {
-        if (product.sku_id && product.account_code) {
-          const key = `${product.account_code}::${product.sku_id}`;
-          const existing = deduped.get(key);
-          const incomingHasImage = !!(product.image && String(product.image).trim() !== '');
-          const existingHasImage = !!(existing?.image && String(existing.image).trim() !== '');
+  /**
+   * Get shipment status info for a given raw status
+   * @param {string} rawStatus - The raw status from Shipway API
+   * @returns {Promise<Object|null>} Status info object { raw, renamed, color, is_handover } or null
+   */
+  async getShipmentStatusInfo(rawStatus) {
+    if (!rawStatus || typeof rawStatus !== 'string') {
+      return null;
+    }
 
-          // Prefer the product variant that has an image URL.
-          // If both/no image are present, keep the latest one.
-          if (!existing || incomingHasImage || !existingHasImage) {
-            deduped.set(key, product);
-          }
-        }
-      }
+    const mapping = await this.getShipmentStatusMapping();
+    const normalizedInput = rawStatus.trim().toLowerCase().replace(/_/g, ' ');
 
-      // Reset skipped counter
-      skipped = 0;
+    // Case-insensitive lookup
+    const matchedStatus = mapping.find(item => {
+      const normalizedRaw = item.raw.toLowerCase().replace(/_/g, ' ');
+      return normalizedRaw === normalizedInput;
+    });
 
-      for (const product of deduped.values()) {
-        try {
-          if (product.sku_id && product.account_code) {
-            // Use INSERT ... ON DUPLICATE KEY UPDATE for products with sku_id
-            const [result] = await this.mysqlConnection.execute(
-              `INSERT INTO products (name, image, altText, totalImages, sku_id, account_code) 
-               VALUES (?, ?, ?, ?, ?, ?)
-               ON DUPLICATE KEY UPDATE 
-                 name = VALUES(name), 
-                 image = CASE
-                   WHEN VALUES(image) IS NOT NULL AND TRIM(VALUES(image)) != '' THEN VALUES(image)
-                   ELSE image
-                 END,
-                 altText = CASE
-                   WHEN VALUES(image) IS NOT NULL AND TRIM(VALUES(image)) != '' THEN VALUES(altText)
-                   ELSE altText
-                 END,
-                 totalImages = GREATEST(COALESCE(totalImages, 0), COALESCE(VALUES(totalImages), 0))`,
-              [
-                product.name,
-                product.image || null,
-                product.altText || null,
-                product.totalImages || 0,
-                product.sku_id,
-                product.account_code
-              ]
-            );
-
-            if (result.affectedRows === 1) {
-              inserted++;
-            } else if (result.affectedRows === 2) {
-              // ON DUPLICATE KEY UPDATE counts as 2 affected rows
-              updated++;
-            }
-          }
-        } catch (err) {
-          if (err?.code === 'ER_BAD_NULL_ERROR') {
-            console.warn(`[Products] Skipped upsert: missing sku_id for account=${product?.account_code || 'unknown'} name="${product?.name || 'unknown'}"`);
-          } else {
-            console.error(`Error upserting product "${product?.name || 'unknown'}" (${err.code || 'UNKNOWN'}): ${err.message}`);
-          }
-          skipped++;
-        }
-      }
-
-      return {
-        success: true,
-        inserted,
-        updated,
-        skipped: skipped + skippedMissingSku,
-        skipped_missing_sku: skippedMissingSku,
-        total: deduped.size
-      };
-    } catch (error) {
-      console.error('Error bulk upserting products:', error);
-      throw new Error('Failed to bulk upsert products');
-    }
+    return matchedStatus || null;
   }
 
   /**
-   * Search products by name
-   * @param {string} searchTerm - Search term
-   * @returns {Promise<Array>} Array of matching products
+   * Normalize shipment status using database mapping
+   * Falls back to original status if not found in mapping
+   * @param {string} rawStatus - The raw status from Shipway API
+   * @returns {Promise<string>} Normalized/renamed status
    */
-  async searchProductsByName(searchTerm) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
-
-    try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM products WHERE name LIKE ? ORDER BY name ASC',
-        [`%${searchTerm}%`]
-      );
-      return rows;
-    } catch (error) {
-      console.error('Error searching products by name:', error);
-      throw new Error('Failed to search products');
+  async normalizeShipmentStatusFromDB(rawStatus) {
+    if (!rawStatus || typeof rawStatus !== 'string') {
+      return rawStatus || 'Unknown';
     }
-  }
-
-  // ==================== USERS CRUD OPERATIONS (MySQL) ====================
 
-  /**
-   * Get all users from MySQL
-   * @returns {Promise<Array>} Array of all users
-   */
-  async getAllUsers() {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
+    const statusInfo = await this.getShipmentStatusInfo(rawStatus);
+    if (statusInfo) {
+      return statusInfo.renamed;
     }
 
-    try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM users ORDER BY name ASC'
-      );
-      return rows;
-    } catch (error) {
-      console.error('Error getting all users:', error);
-      throw new Error('Failed to get users from database');
-    }
+    // Fallback: return original status with basic cleanup
+    return rawStatus.trim();
   }
 
   /**
-   * Get vendor statistics (counts only, optimized for performance)
-   * @returns {Promise<Object>} Object with vendor counts
+   * Check if a status should set is_handover = 1 using database mapping
+   * @param {string} rawStatus - The raw status to check
+   * @returns {Promise<boolean>} True if is_handover should be 1
    */
-  async getVendorStats() {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
+  async shouldSetHandoverFromDB(rawStatus) {
+    if (!rawStatus || typeof rawStatus !== 'string') {
+      return false;
     }
 
-    try {
-      // Execute both queries in parallel for better performance
-      const [totalResult, activeResult] = await Promise.all([
-        this.mysqlConnection.execute(
-          "SELECT COUNT(*) as count FROM users WHERE role = 'vendor'"
-        ),
-        this.mysqlConnection.execute(
-          "SELECT COUNT(*) as count FROM users WHERE role = 'vendor' AND status = 'active'"
-        )
-      ]);
-
-      return {
-        totalVendors: parseInt(totalResult[0][0]?.count || 0),
-        activeVendors: parseInt(activeResult[0][0]?.count || 0)
-      };
-    } catch (error) {
-      console.error('Error getting vendor stats:', error);
-      throw new Error('Failed to get vendor stats from database');
+    const statusInfo = await this.getShipmentStatusInfo(rawStatus);
+    if (statusInfo) {
+      return statusInfo.is_handover === 1;
     }
+
+    // Fallback: if status not in mapping, default to false (not handed over)
+    return false;
   }
 
   /**
-   * Get user by ID
-   * @param {string} id - User ID
-   * @returns {Promise<Object|null>} User object or null if not found
+   * Get color code for a status using database mapping
+   * @param {string} rawStatus - The raw status to get color for
+   * @returns {Promise<string|null>} Color code or null if not found
    */
-  async getUserById(id) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
+  async getStatusColorCode(rawStatus) {
+    if (!rawStatus || typeof rawStatus !== 'string') {
+      return null;
     }
 
-    try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM users WHERE id = ?',
-        [id]
-      );
-      return rows.length > 0 ? rows[0] : null;
-    } catch (error) {
-      console.error('Error getting user by ID:', error);
-      throw new Error('Failed to get user from database');
+    const statusInfo = await this.getShipmentStatusInfo(rawStatus);
+    if (statusInfo) {
+      return statusInfo.color;
     }
+
+    return null;
   }
 
   /**
-   * Get user by email
-   * @param {string} email - User email
-   * @returns {Promise<Object|null>} User object or null if not found
+   * Get all shipping partners from utility table
+   * @returns {Promise<Array>} Array of shipping partner names
    */
-  async getUserByEmail(email) {
+  async getShippingPartners() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM users WHERE email = ?',
-        [email]
+        'SELECT value FROM utility WHERE parameter = ? ORDER BY value ASC',
+        ['shipping_partner']
       );
-      return rows.length > 0 ? rows[0] : null;
+      return rows.map(row => row.value);
     } catch (error) {
-      console.error('Error getting user by email:', error);
-      throw new Error('Failed to get user from database');
+      console.error('Error getting shipping partners:', error);
+      throw new Error('Failed to get shipping partners from database');
     }
   }
 
   /**
-   * Get user by phone
-   * @param {string} phone - User phone number
-   * @returns {Promise<Object|null>} User object or null if not found
+   * Get carrier by carrier_id
+   * @param {string} carrierId - Carrier ID
+   * @returns {Promise<Object|null>} Carrier object or null if not found
    */
-  async getUserByPhone(phone) {
+  async getCarrierById(carrierId, accountCode = null) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM users WHERE phone = ? OR contactNumber = ?',
-        [phone, phone]
-      );
+      let query, params;
+      if (accountCode) {
+        // Check by both carrier_id and account_code (store-specific)
+        query = 'SELECT * FROM carriers WHERE carrier_id = ? AND account_code = ?';
+        params = [carrierId, accountCode];
+      } else {
+        // Legacy: check by carrier_id only (for backward compatibility)
+        query = 'SELECT * FROM carriers WHERE carrier_id = ?';
+        params = [carrierId];
+      }
+
+      const [rows] = await this.mysqlConnection.execute(query, params);
       return rows.length > 0 ? rows[0] : null;
     } catch (error) {
-      console.error('Error getting user by phone:', error);
-      throw new Error('Failed to get user from database');
+      console.error('Error getting carrier by ID:', error);
+      throw new Error('Failed to get carrier from database');
     }
   }
 
   /**
-   * Get user by warehouse ID
-   * @param {string} warehouseId - Warehouse ID
-   * @returns {Promise<Object|null>} User object or null if not found
+   * Create new carrier
+   * @param {Object} carrierData - Carrier data
+   * @returns {Promise<Object>} Created carrier object
    */
-  async getUserByWarehouseId(warehouseId) {
+  async createCarrier(carrierData) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM users WHERE warehouseId = ?',
-        [warehouseId]
-      );
-      return rows.length > 0 ? rows[0] : null;
-    } catch (error) {
-      console.error('Error getting user by warehouse ID:', error);
-      throw new Error('Failed to get user from database');
-    }
-  }
+      const { carrier_id, carrier_name, status, weight_in_kg, priority, account_code } = carrierData;
 
-  /**
-   * Get user by token
-   * @param {string} token - User token
-   * @returns {Promise<Object|null>} User object or null if not found
-   */
-  async getUserByToken(token) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+      if (!account_code) {
+        throw new Error('account_code is required for creating carrier');
+      }
 
-    try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM users WHERE token = ?',
-        [token]
+      const [result] = await this.mysqlConnection.execute(
+        'INSERT INTO carriers (carrier_id, carrier_name, status, weight_in_kg, priority, account_code) VALUES (?, ?, ?, ?, ?, ?)',
+        [carrier_id, carrier_name, status || 'Active', weight_in_kg || null, priority, account_code]
       );
-      return rows.length > 0 ? rows[0] : null;
+
+      return {
+        id: result.insertId,
+        carrier_id,
+        carrier_name,
+        status: status || 'Active',
+        weight_in_kg,
+        priority
+      };
     } catch (error) {
-      console.error('Error getting user by token:', error);
-      throw new Error('Failed to get user from database');
+      console.error('Error creating carrier:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Carrier with this ID already exists');
+      }
+      throw new Error('Failed to create carrier in database');
     }
   }
 
   /**
-   * Create new user
-   * @param {Object} userData - User data
-   * @returns {Promise<Object>} Created user object
+   * Update carrier
+   * @param {string} carrierId - Carrier ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Updated carrier object or null if not found
    */
-  async createUser(userData) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
-
-    try {
-      const {
-        id, name, email, phone, password, role, status,
-        token, active_session, contactNumber, warehouseId,
-        address, city, pincode
-      } = userData;
-
-      // Generate ID if not provided
-      const userId = id || `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-      const [result] = await this.mysqlConnection.execute(
-        'INSERT INTO users (id, name, email, phone, password, role, status, token, active_session, contactNumber, warehouseId, address, city, pincode) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [userId, name, email, phone || null, password || null, role, status || 'active', token || null, active_session || null, contactNumber || null, warehouseId || null, address || null, city || null, pincode || null]
-      );
-
-      return {
-        id: userId,
-        name,
-        email,
-        phone,
-        role,
-        status: status || 'active',
-        token,
-        active_session,
-        contactNumber,
-        warehouseId,
-        address,
-        city,
-        pincode
-      };
-    } catch (error) {
-      console.error('Error creating user:', error);
-      if (error.code === 'ER_DUP_ENTRY') {
-        throw new Error('User with this email already exists');
-      }
-      throw new Error('Failed to create user in database');
-    }
-  }
-
-  /**
-   * Update user
-   * @param {string} id - User ID
-   * @param {Object} updateData - Data to update
-   * @returns {Promise<Object|null>} Updated user object or null if not found
-   */
-  async updateUser(id, updateData) {
+  async updateCarrier(carrierId, updateData, accountCode = null) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
@@ -3095,71 +3556,46 @@ class Database {
       const fields = [];
       const values = [];
 
-      if (updateData.name !== undefined) {
-        fields.push('name = ?');
-        values.push(updateData.name);
-      }
-      if (updateData.email !== undefined) {
-        fields.push('email = ?');
-        values.push(updateData.email);
-      }
-      if (updateData.phone !== undefined) {
-        fields.push('phone = ?');
-        values.push(updateData.phone);
-      }
-      if (updateData.password !== undefined) {
-        fields.push('password = ?');
-        values.push(updateData.password);
-      }
-      if (updateData.role !== undefined) {
-        fields.push('role = ?');
-        values.push(updateData.role);
+      if (updateData.carrier_name !== undefined) {
+        fields.push('carrier_name = ?');
+        values.push(updateData.carrier_name);
       }
       if (updateData.status !== undefined) {
         fields.push('status = ?');
         values.push(updateData.status);
       }
-      if (updateData.token !== undefined) {
-        fields.push('token = ?');
-        values.push(updateData.token);
-      }
-      if (updateData.active_session !== undefined) {
-        fields.push('active_session = ?');
-        values.push(updateData.active_session);
-      }
-      if (updateData.contactNumber !== undefined) {
-        fields.push('contactNumber = ?');
-        values.push(updateData.contactNumber);
-      }
-      if (updateData.warehouseId !== undefined) {
-        fields.push('warehouseId = ?');
-        values.push(updateData.warehouseId);
-      }
-      if (updateData.address !== undefined) {
-        fields.push('address = ?');
-        values.push(updateData.address);
-      }
-      if (updateData.city !== undefined) {
-        fields.push('city = ?');
-        values.push(updateData.city);
+      if (updateData.weight_in_kg !== undefined) {
+        fields.push('weight_in_kg = ?');
+        values.push(updateData.weight_in_kg);
       }
-      if (updateData.pincode !== undefined) {
-        fields.push('pincode = ?');
-        values.push(updateData.pincode);
+      if (updateData.priority !== undefined) {
+        fields.push('priority = ?');
+        values.push(updateData.priority);
       }
-      if (updateData.lastLogin !== undefined) {
-        fields.push('lastLogin = ?');
-        values.push(updateData.lastLogin);
+      if (updateData.account_code !== undefined) {
+        fields.push('account_code = ?');
+        values.push(updateData.account_code);
       }
 
       if (fields.length === 0) {
         throw new Error('No fields to update');
       }
 
-      values.push(id);
+      // Build WHERE clause - use account_code if provided
+      let whereClause = 'carrier_id = ?';
+      values.push(carrierId);
+
+      if (accountCode) {
+        whereClause += ' AND account_code = ?';
+        values.push(accountCode);
+      } else if (updateData.account_code) {
+        // Use account_code from updateData if not provided as parameter
+        whereClause += ' AND account_code = ?';
+        values.push(updateData.account_code);
+      }
 
       const [result] = await this.mysqlConnection.execute(
-        `UPDATE users SET ${fields.join(', ')} WHERE id = ?`,
+        `UPDATE carriers SET ${fields.join(', ')} WHERE ${whereClause}`,
         values
       );
 
@@ -3167,246 +3603,289 @@ class Database {
         return null;
       }
 
-      return await this.getUserById(id);
+      // Use accountCode from parameter or updateData
+      const finalAccountCode = accountCode || updateData.account_code || null;
+      return await this.getCarrierById(carrierId, finalAccountCode);
     } catch (error) {
-      console.error('Error updating user:', error);
-      throw new Error('Failed to update user in database');
+      console.error('Error updating carrier:', error);
+      throw new Error('Failed to update carrier in database');
     }
   }
 
   /**
-   * Delete user
-   * @param {string} id - User ID
-   * @returns {Promise<boolean>} True if deleted, false if not found
+   * Swap carrier priorities atomically using a transaction
+   * @param {string} carrierId1 - First carrier ID
+   * @param {string} carrierId2 - Second carrier ID
+   * @param {number} priority1 - First carrier's priority
+   * @param {number} priority2 - Second carrier's priority
+   * @returns {Promise<void>}
    */
-  async deleteUser(id) {
+  async swapCarrierPriorities(carrierId1, carrierId2, priority1, priority2) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [result] = await this.mysqlConnection.execute(
-        'DELETE FROM users WHERE id = ?',
-        [id]
+      await this.mysqlConnection.beginTransaction();
+
+      // Update both carriers in a single transaction
+      await this.mysqlConnection.execute(
+        'UPDATE carriers SET priority = ? WHERE carrier_id = ?',
+        [priority2, carrierId1]
       );
 
-      return result.affectedRows > 0;
+      await this.mysqlConnection.execute(
+        'UPDATE carriers SET priority = ? WHERE carrier_id = ?',
+        [priority1, carrierId2]
+      );
+
+      await this.mysqlConnection.commit();
     } catch (error) {
-      console.error('Error deleting user:', error);
-      throw new Error('Failed to delete user from database');
+      await this.mysqlConnection.rollback();
+      console.error('Error swapping carrier priorities:', error);
+      throw new Error('Failed to swap carrier priorities');
     }
   }
 
   /**
-   * Get users by role
-   * @param {string} role - User role
-   * @returns {Promise<Array>} Array of users with specified role
+   * Reorder carrier priorities sequentially (1, 2, 3, ...)
+   * @param {Array} carriers - Array of carriers in the desired order
+   * @returns {Promise<void>}
    */
-  async getUsersByRole(role) {
-    if (!this.mysqlConnection) {
+  async reorderCarrierPriorities(carriers, accountCode = null) {
+    if (!this.mysqlConnection && !this.mysqlPool) {
       throw new Error('MySQL connection not available');
     }
 
+    // Get a connection from the pool for transaction support
+    const db = this.mysqlPool || this.mysqlConnection;
+    const connection = await db.getConnection();
+
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM users WHERE role = ? ORDER BY name ASC',
-        [role]
-      );
-      return rows;
+      await connection.beginTransaction();
+
+      // Update priorities sequentially starting from 1
+      for (let i = 0; i < carriers.length; i++) {
+        const newPriority = i + 1;
+        const carrier = carriers[i];
+        const carrierAccountCode = accountCode || carrier.account_code;
+
+        if (!carrierAccountCode) {
+          throw new Error('account_code is required for reordering priorities');
+        }
+
+        // Update with both carrier_id and account_code to ensure store-specific update
+        await connection.execute(
+          'UPDATE carriers SET priority = ? WHERE carrier_id = ? AND account_code = ?',
+          [newPriority, carrier.carrier_id, carrierAccountCode]
+        );
+      }
+
+      await connection.commit();
+      console.log(`✅ Reordered ${carriers.length} carrier priorities sequentially${accountCode ? ` for store ${accountCode}` : ''}`);
     } catch (error) {
-      console.error('Error getting users by role:', error);
-      throw new Error('Failed to get users by role');
+      await connection.rollback();
+      console.error('Error reordering carrier priorities:', error);
+      throw new Error('Failed to reorder carrier priorities');
+    } finally {
+      connection.release();
     }
   }
 
   /**
-   * Get users by status
-   * @param {string} status - User status
-   * @returns {Promise<Array>} Array of users with specified status
+   * Delete carrier
+   * @param {string} carrierId - Carrier ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
    */
-  async getUsersByStatus(status) {
+  async deleteCarrier(carrierId, accountCode = null) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM users WHERE status = ? ORDER BY name ASC',
-        [status]
-      );
-      return rows;
+      let query, params;
+      if (accountCode) {
+        // Delete by both carrier_id and account_code (store-specific)
+        query = 'DELETE FROM carriers WHERE carrier_id = ? AND account_code = ?';
+        params = [carrierId, accountCode];
+      } else {
+        // Legacy: delete by carrier_id only (for backward compatibility)
+        query = 'DELETE FROM carriers WHERE carrier_id = ?';
+        params = [carrierId];
+      }
+
+      const [result] = await this.mysqlConnection.execute(query, params);
+
+      return result.affectedRows > 0;
     } catch (error) {
-      console.error('Error getting users by status:', error);
-      throw new Error('Failed to get users by status');
+      console.error('Error deleting carrier:', error);
+      throw new Error('Failed to delete carrier from database');
     }
   }
 
   /**
-   * Search users by name or email
-   * @param {string} searchTerm - Search term
-   * @returns {Promise<Array>} Array of matching users
+   * Bulk insert/update carriers (for sync operations)
+   * @param {Array} carriers - Array of carrier data
+   * @returns {Promise<Object>} Result with counts
    */
-  async searchUsers(searchTerm) {
+  async bulkUpsertCarriers(carriers) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM users WHERE name LIKE ? OR email LIKE ? ORDER BY name ASC',
-        [`%${searchTerm}%`, `%${searchTerm}%`]
-      );
-      return rows;
-    } catch (error) {
-      console.error('Error searching users:', error);
-      throw new Error('Failed to search users');
-    }
-  }
+      let inserted = 0;
+      let updated = 0;
 
-  // ==================== SETTLEMENTS CRUD OPERATIONS (MySQL) ====================
+      for (const carrier of carriers) {
+        // Check by both carrier_id and account_code (store-specific)
+        const accountCode = carrier.account_code || null;
+        const existing = await this.getCarrierById(carrier.carrier_id, accountCode);
 
-  /**
-   * Get all settlements from MySQL
-   * @returns {Promise<Array>} Array of all settlements
-   */
-  async getAllSettlements() {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
-    }
+        if (existing) {
+          await this.updateCarrier(carrier.carrier_id, carrier, accountCode);
+          updated++;
+        } else {
+          await this.createCarrier(carrier);
+          inserted++;
+        }
+      }
 
-    try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM settlements ORDER BY createdAt DESC'
-      );
-      return rows;
+      return {
+        success: true,
+        inserted,
+        updated,
+        total: carriers.length
+      };
     } catch (error) {
-      console.error('Error getting all settlements:', error);
-      throw new Error('Failed to get settlements from database');
+      console.error('Error bulk upserting carriers:', error);
+      throw new Error('Failed to bulk upsert carriers');
     }
   }
 
   /**
-   * Get settlement by ID
-   * @param {string} id - Settlement ID
-   * @returns {Promise<Object|null>} Settlement object or null if not found
+   * Get carriers by status
+   * @param {string} status - Carrier status
+   * @returns {Promise<Array>} Array of carriers with specified status
    */
-  async getSettlementById(id) {
+  async getCarriersByStatus(status) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM settlements WHERE id = ?',
-        [id]
+        'SELECT * FROM carriers WHERE status = ? ORDER BY priority ASC',
+        [status]
       );
-      return rows.length > 0 ? rows[0] : null;
+      return rows;
     } catch (error) {
-      console.error('Error getting settlement by ID:', error);
-      throw new Error('Failed to get settlement from database');
+      console.error('Error getting carriers by status:', error);
+      throw new Error('Failed to get carriers by status');
     }
   }
 
+  // ==================== PRODUCTS CRUD OPERATIONS (MySQL) ====================
+
   /**
-   * Get settlements by vendor ID
-   * @param {string} vendorId - Vendor ID
-   * @returns {Promise<Array>} Array of settlements for the vendor
+   * Get all products from MySQL
+   * @returns {Promise<Array>} Array of all products
    */
-  async getSettlementsByVendor(vendorId) {
+  async getAllProducts() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM settlements WHERE vendorId = ? ORDER BY createdAt DESC',
-        [vendorId]
+        'SELECT * FROM products ORDER BY name ASC'
       );
       return rows;
     } catch (error) {
-      console.error('Error getting settlements by vendor:', error);
-      throw new Error('Failed to get settlements by vendor');
+      console.error('Error getting all products:', error);
+      throw new Error('Failed to get products from database');
     }
   }
 
   /**
-   * Get settlements by status
-   * @param {string} status - Settlement status
-   * @returns {Promise<Array>} Array of settlements with specified status
+   * Get product by ID (Shopify product ID)
+   * @param {string} id - Product ID (Shopify ID)
+   * @returns {Promise<Object|null>} Product object or null if not found
    */
-  async getSettlementsByStatus(status) {
+  async getProductById(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM settlements WHERE status = ? ORDER BY createdAt DESC',
-        [status]
+        'SELECT * FROM products WHERE id = ?',
+        [id]
       );
-      return rows;
+      return rows.length > 0 ? rows[0] : null;
     } catch (error) {
-      console.error('Error getting settlements by status:', error);
-      throw new Error('Failed to get settlements by status');
+      console.error('Error getting product by ID:', error);
+      throw new Error('Failed to get product from database');
     }
   }
 
   /**
-   * Create new settlement
-   * @param {Object} settlementData - Settlement data
-   * @returns {Promise<Object>} Created settlement object
+   * Create new product
+   * @param {Object} productData - Product data
+   * @returns {Promise<Object>} Created product object
    */
-  async createSettlement(settlementData) {
+  async createProduct(productData) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const {
-        id, vendorId, vendorName, amount, upiId, orderIds, numberOfOrders,
-        currency, status, paymentStatus, amountPaid, transactionId,
-        paymentProofPath, approvedBy, approvedAt, rejectionReason,
-        rejectedBy, rejectedAt
-      } = settlementData;
+      const { name, image, altText, totalImages, sku_id, account_code } = productData;
+
+      if (!account_code) {
+        throw new Error('account_code is required for creating product');
+      }
+      if (!sku_id || (typeof sku_id === 'string' && sku_id.trim() === '')) {
+        const skipError = new Error('sku_id is required for creating product');
+        skipError.code = 'SKU_REQUIRED';
+        throw skipError;
+      }
 
       const [result] = await this.mysqlConnection.execute(
-        'INSERT INTO settlements (id, vendorId, vendorName, amount, upiId, orderIds, numberOfOrders, currency, status, paymentStatus, amountPaid, transactionId, paymentProofPath, approvedBy, approvedAt, rejectionReason, rejectedBy, rejectedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-        [
-          id || `settlement_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          vendorId || null,
-          vendorName || null,
-          amount || null,
-          upiId || null,
-          orderIds || null,
-          numberOfOrders || null,
-          currency || 'INR',
-          status || 'pending',
-          paymentStatus || 'pending',
-          amountPaid || 0,
-          transactionId || null,
-          paymentProofPath || null,
-          approvedBy || null,
-          approvedAt || null,
-          rejectionReason || null,
-          rejectedBy || null,
-          rejectedAt || null
-        ]
+        'INSERT INTO products (name, image, altText, totalImages, sku_id, account_code) VALUES (?, ?, ?, ?, ?, ?)',
+        [name, image || null, altText || null, totalImages || 0, sku_id, account_code]
       );
 
-      return await this.getSettlementById(id || `settlement_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+      return {
+        id: result.insertId,
+        name,
+        image,
+        altText,
+        totalImages: totalImages || 0,
+        sku_id,
+        account_code
+      };
     } catch (error) {
-      console.error('Error creating settlement:', error);
-      throw new Error('Failed to create settlement in database');
+      // Keep logs concise for expected/handled data issues.
+      if (error.code === 'ER_BAD_NULL_ERROR' || error.code === 'SKU_REQUIRED') {
+        console.warn(`[Products] Skipped insert: missing sku_id for account=${productData?.account_code || 'unknown'} name="${productData?.name || 'unknown'}"`);
+        throw new Error('Skipped product insert: missing sku_id');
+      }
+      console.error(`Error creating product (${error.code || 'UNKNOWN'}): ${error.message}`);
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('Product with this (account_code, sku_id) already exists');
+      }
+      throw new Error('Failed to create product in database');
     }
   }
 
   /**
-   * Update settlement
-   * @param {string} id - Settlement ID
+   * Update product
+   * @param {string} id - Product ID (Shopify ID)
    * @param {Object} updateData - Data to update
-   * @returns {Promise<Object|null>} Updated settlement object or null if not found
+   * @returns {Promise<Object|null>} Updated product object or null if not found
    */
-  async updateSettlement(id, updateData) {
+  async updateProduct(id, updateData) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
@@ -3415,73 +3894,25 @@ class Database {
       const fields = [];
       const values = [];
 
-      if (updateData.vendorId !== undefined) {
-        fields.push('vendorId = ?');
-        values.push(updateData.vendorId);
-      }
-      if (updateData.vendorName !== undefined) {
-        fields.push('vendorName = ?');
-        values.push(updateData.vendorName);
-      }
-      if (updateData.amount !== undefined) {
-        fields.push('amount = ?');
-        values.push(updateData.amount);
-      }
-      if (updateData.upiId !== undefined) {
-        fields.push('upiId = ?');
-        values.push(updateData.upiId);
-      }
-      if (updateData.orderIds !== undefined) {
-        fields.push('orderIds = ?');
-        values.push(updateData.orderIds);
-      }
-      if (updateData.numberOfOrders !== undefined) {
-        fields.push('numberOfOrders = ?');
-        values.push(updateData.numberOfOrders);
-      }
-      if (updateData.currency !== undefined) {
-        fields.push('currency = ?');
-        values.push(updateData.currency);
-      }
-      if (updateData.status !== undefined) {
-        fields.push('status = ?');
-        values.push(updateData.status);
-      }
-      if (updateData.paymentStatus !== undefined) {
-        fields.push('paymentStatus = ?');
-        values.push(updateData.paymentStatus);
-      }
-      if (updateData.amountPaid !== undefined) {
-        fields.push('amountPaid = ?');
-        values.push(updateData.amountPaid);
-      }
-      if (updateData.transactionId !== undefined) {
-        fields.push('transactionId = ?');
-        values.push(updateData.transactionId);
-      }
-      if (updateData.paymentProofPath !== undefined) {
-        fields.push('paymentProofPath = ?');
-        values.push(updateData.paymentProofPath);
-      }
-      if (updateData.approvedBy !== undefined) {
-        fields.push('approvedBy = ?');
-        values.push(updateData.approvedBy);
+      if (updateData.name !== undefined) {
+        fields.push('name = ?');
+        values.push(updateData.name);
       }
-      if (updateData.approvedAt !== undefined) {
-        fields.push('approvedAt = ?');
-        values.push(updateData.approvedAt);
+      if (updateData.image !== undefined) {
+        fields.push('image = ?');
+        values.push(updateData.image);
       }
-      if (updateData.rejectionReason !== undefined) {
-        fields.push('rejectionReason = ?');
-        values.push(updateData.rejectionReason);
+      if (updateData.altText !== undefined) {
+        fields.push('altText = ?');
+        values.push(updateData.altText);
       }
-      if (updateData.rejectedBy !== undefined) {
-        fields.push('rejectedBy = ?');
-        values.push(updateData.rejectedBy);
+      if (updateData.totalImages !== undefined) {
+        fields.push('totalImages = ?');
+        values.push(updateData.totalImages);
       }
-      if (updateData.rejectedAt !== undefined) {
-        fields.push('rejectedAt = ?');
-        values.push(updateData.rejectedAt);
+      if (updateData.sku_id !== undefined) {
+        fields.push('sku_id = ?');
+        values.push(updateData.sku_id);
       }
 
       if (fields.length === 0) {
@@ -3491,7 +3922,7 @@ class Database {
       values.push(id);
 
       const [result] = await this.mysqlConnection.execute(
-        `UPDATE settlements SET ${fields.join(', ')} WHERE id = ?`,
+        `UPDATE products SET ${fields.join(', ')} WHERE id = ?`,
         values
       );
 
@@ -3499,209 +3930,458 @@ class Database {
         return null;
       }
 
-      return await this.getSettlementById(id);
+      return await this.getProductById(id);
     } catch (error) {
-      console.error('Error updating settlement:', error);
-      throw new Error('Failed to update settlement in database');
+      console.error('Error updating product:', error);
+      throw new Error('Failed to update product in database');
     }
   }
 
   /**
-   * Delete settlement
-   * @param {string} id - Settlement ID
+   * Delete product
+   * @param {string} id - Product ID (Shopify ID)
    * @returns {Promise<boolean>} True if deleted, false if not found
    */
-  async deleteSettlement(id) {
+  async deleteProduct(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [result] = await this.mysqlConnection.execute(
-        'DELETE FROM settlements WHERE id = ?',
+        'DELETE FROM products WHERE id = ?',
         [id]
       );
 
       return result.affectedRows > 0;
     } catch (error) {
-      console.error('Error deleting settlement:', error);
-      throw new Error('Failed to delete settlement from database');
+      console.error('Error deleting product:', error);
+      throw new Error('Failed to delete product from database');
     }
   }
 
   /**
-   * Search settlements by vendor name or UPI ID
+   * Bulk insert/update products (for sync operations)
+   * Deduplicates on (account_code, sku_id) using INSERT ... ON DUPLICATE KEY UPDATE
+   * @param {Array} products - Array of product data
+   * @returns {Promise<Object>} Result with counts
+   */
+  async bulkUpsertProducts(products) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      let inserted = 0;
+      let updated = 0;
+      let skipped = 0;
+      const inputCount = Array.isArray(products) ? products.length : 0;
+
+      // Filter out products without sku_id (sku_id is NOT NULL)
+      const filteredProducts = (products || []).filter(
+        (p) => typeof p?.sku_id === 'string' && p.sku_id.trim().length > 0 && p?.account_code
+      );
+      const skippedMissingSku = Math.max(0, inputCount - filteredProducts.length);
+
+      // Deduplicate in memory first — keep last occurrence per (account_code, sku_id)
+      const deduped = new Map();
+      for (const product of filteredProducts) {
+        if (product.sku_id && product.account_code) {
+          const key = `${product.account_code}::${product.sku_id}`;
+          const existing = deduped.get(key);
+          const incomingHasImage = !!(product.image && String(product.image).trim() !== '');
+          const existingHasImage = !!(existing?.image && String(existing.image).trim() !== '');
+
+          // Prefer the product variant that has an image URL.
+          // If both/no image are present, keep the latest one.
+          if (!existing || incomingHasImage || !existingHasImage) {
+            deduped.set(key, product);
+          }
+        }
+      }
+
+      // Reset skipped counter
+      skipped = 0;
+
+      for (const product of deduped.values()) {
+        try {
+          if (product.sku_id && product.account_code) {
+            // Use INSERT ... ON DUPLICATE KEY UPDATE for products with sku_id
+            const [result] = await this.mysqlConnection.execute(
+              `INSERT INTO products (name, image, altText, totalImages, sku_id, account_code, product_type) 
+               VALUES (?, ?, ?, ?, ?, ?, ?)
+               ON DUPLICATE KEY UPDATE 
+                 name = VALUES(name), 
+                 product_type = COALESCE(VALUES(product_type), product_type), 
+                 image = CASE
+                   WHEN VALUES(image) IS NOT NULL AND TRIM(VALUES(image)) != '' THEN VALUES(image)
+                   ELSE image
+                 END,
+                 altText = CASE
+                   WHEN VALUES(image) IS NOT NULL AND TRIM(VALUES(image)) != '' THEN VALUES(altText)
+                   ELSE altText
+                 END,
+                 totalImages = GREATEST(COALESCE(totalImages, 0), COALESCE(VALUES(totalImages), 0))`,
+              [
+                product.name,
+                product.image || null,
+                product.altText || null,
+                product.totalImages || 0,
+                product.sku_id,
+                product.account_code,
+                product.product_type || null
+              ]
+            );
+
+            if (result.affectedRows === 1) {
+              inserted++;
+            } else if (result.affectedRows === 2) {
+              // ON DUPLICATE KEY UPDATE counts as 2 affected rows
+              updated++;
+            }
+          }
+        } catch (err) {
+          if (err?.code === 'ER_BAD_NULL_ERROR') {
+            console.warn(`[Products] Skipped upsert: missing sku_id for account=${product?.account_code || 'unknown'} name="${product?.name || 'unknown'}"`);
+          } else {
+            console.error(`Error upserting product "${product?.name || 'unknown'}" (${err.code || 'UNKNOWN'}): ${err.message}`);
+          }
+          skipped++;
+        }
+      }
+
+      return {
+        success: true,
+        inserted,
+        updated,
+        skipped: skipped + skippedMissingSku,
+        skipped_missing_sku: skippedMissingSku,
+        total: deduped.size
+      };
+    } catch (error) {
+      console.error('Error bulk upserting products:', error);
+      throw new Error('Failed to bulk upsert products');
+    }
+  }
+
+  /**
+   * Search products by name
    * @param {string} searchTerm - Search term
-   * @returns {Promise<Array>} Array of matching settlements
+   * @returns {Promise<Array>} Array of matching products
    */
-  async searchSettlements(searchTerm) {
+  async searchProductsByName(searchTerm) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM settlements WHERE vendorName LIKE ? OR upiId LIKE ? ORDER BY createdAt DESC',
-        [`%${searchTerm}%`, `%${searchTerm}%`]
+        'SELECT * FROM products WHERE name LIKE ? ORDER BY name ASC',
+        [`%${searchTerm}%`]
       );
       return rows;
     } catch (error) {
-      console.error('Error searching settlements:', error);
-      throw new Error('Failed to search settlements');
+      console.error('Error searching products by name:', error);
+      throw new Error('Failed to search products');
     }
   }
 
-  // ==================== TRANSACTIONS CRUD OPERATIONS (MySQL) ====================
+  // ==================== USERS CRUD OPERATIONS (MySQL) ====================
 
   /**
-   * Get all transactions from MySQL
-   * @returns {Array} Array of all transactions
+   * Get all users from MySQL
+   * @returns {Promise<Array>} Array of all users
    */
-  async getAllTransactions() {
+  async getAllUsers() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM transactions ORDER BY createdAt DESC'
+        'SELECT * FROM users ORDER BY name ASC'
       );
       return rows;
     } catch (error) {
-      console.error('Error getting all transactions:', error);
-      throw new Error('Failed to get all transactions');
+      console.error('Error getting all users:', error);
+      throw new Error('Failed to get users from database');
     }
   }
 
   /**
-   * Get transaction by ID from MySQL
-   * @param {string} id - Transaction ID
-   * @returns {Object|null} Transaction object or null if not found
+   * Get vendor statistics (counts only, optimized for performance)
+   * Vendor team members are not counted as vendors.
+   * @returns {Promise<Object>} Object with vendor counts
    */
-  async getTransactionById(id) {
+  async getVendorStats() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Execute both queries in parallel for better performance
+      const [totalResult, activeResult] = await Promise.all([
+        this.mysqlConnection.execute(
+          "SELECT COUNT(*) as count FROM users WHERE role = 'vendor' AND vendor_owner_id IS NULL"
+        ),
+        this.mysqlConnection.execute(
+          "SELECT COUNT(*) as count FROM users WHERE role = 'vendor' AND vendor_owner_id IS NULL AND status = 'active'"
+        )
+      ]);
+
+      return {
+        totalVendors: parseInt(totalResult[0][0]?.count || 0),
+        activeVendors: parseInt(activeResult[0][0]?.count || 0)
+      };
+    } catch (error) {
+      console.error('Error getting vendor stats:', error);
+      throw new Error('Failed to get vendor stats from database');
+    }
+  }
+
+  /**
+   * Get user by ID
+   * @param {string} id - User ID
+   * @returns {Promise<Object|null>} User object or null if not found
+   */
+  async getUserById(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM transactions WHERE id = ?',
+        'SELECT * FROM users WHERE id = ?',
         [id]
       );
       return rows.length > 0 ? rows[0] : null;
     } catch (error) {
-      console.error('Error getting transaction by ID:', error);
-      throw new Error('Failed to get transaction by ID');
+      console.error('Error getting user by ID:', error);
+      throw new Error('Failed to get user from database');
     }
   }
 
   /**
-   * Get transactions by vendor ID from MySQL
-   * @param {string} vendorId - Vendor ID
-   * @returns {Array} Array of transactions for the vendor
+   * Get user by email
+   * @param {string} email - User email
+   * @returns {Promise<Object|null>} User object or null if not found
    */
-  async getTransactionsByVendor(vendorId) {
+  async getUserByEmail(email) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM transactions WHERE vendor_id = ? ORDER BY createdAt DESC',
-        [vendorId]
+        'SELECT * FROM users WHERE email = ?',
+        [email]
       );
-      return rows;
+      return rows.length > 0 ? rows[0] : null;
     } catch (error) {
-      console.error('Error getting transactions by vendor:', error);
-      throw new Error('Failed to get transactions by vendor');
+      console.error('Error getting user by email:', error);
+      throw new Error('Failed to get user from database');
     }
   }
 
   /**
-   * Get transactions by type from MySQL
-   * @param {string} type - Transaction type
-   * @returns {Array} Array of transactions with specified type
+   * Get user by phone
+   * @param {string} phone - User phone number
+   * @returns {Promise<Object|null>} User object or null if not found
    */
-  async getTransactionsByType(type) {
+  async getUserByPhone(phone) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM transactions WHERE type = ? ORDER BY createdAt DESC',
-        [type]
+        'SELECT * FROM users WHERE phone = ? OR contactNumber = ?',
+        [phone, phone]
       );
-      return rows;
+      return rows.length > 0 ? rows[0] : null;
     } catch (error) {
-      console.error('Error getting transactions by type:', error);
-      throw new Error('Failed to get transactions by type');
+      console.error('Error getting user by phone:', error);
+      throw new Error('Failed to get user from database');
     }
   }
 
   /**
-   * Create new transaction in MySQL
-   * @param {Object} transactionData - Transaction data
-   * @returns {Object} Created transaction object
+   * Get user by warehouse ID
+   * @param {string} warehouseId - Warehouse ID
+   * @returns {Promise<Object|null>} User object or null if not found
    */
-  async createTransaction(transactionData) {
+  async getUserByWarehouseId(warehouseId) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const { id, vendor_id, amount, type, description } = transactionData;
-
-      const [result] = await this.mysqlConnection.execute(
-        'INSERT INTO transactions (id, vendor_id, amount, type, description) VALUES (?, ?, ?, ?, ?)',
-        [
-          id || `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-          vendor_id,
-          amount,
-          type,
-          description
-        ]
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM users WHERE warehouseId = ?',
+        [warehouseId]
       );
-
-      // Return the created transaction
-      const createdTransaction = await this.getTransactionById(id || `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
-      return createdTransaction;
+      return rows.length > 0 ? rows[0] : null;
     } catch (error) {
-      console.error('Error creating transaction:', error);
-      throw new Error('Failed to create transaction');
+      console.error('Error getting user by warehouse ID:', error);
+      throw new Error('Failed to get user from database');
     }
   }
 
   /**
-   * Update transaction in MySQL
-   * @param {string} id - Transaction ID
-   * @param {Object} updateData - Data to update
-   * @returns {Object|null} Updated transaction object or null if not found
+   * Get user by token
+   * @param {string} token - User token
+   * @returns {Promise<Object|null>} User object or null if not found
    */
-  async updateTransaction(id, updateData) {
+  async getUserByToken(token) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const fields = [];
-      const values = [];
-
-      if (updateData.vendor_id !== undefined) {
-        fields.push('vendor_id = ?');
-        values.push(updateData.vendor_id);
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM users WHERE token = ?',
+        [token]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting user by token:', error);
+      throw new Error('Failed to get user from database');
+    }
+  }
+
+  /**
+   * Create new user
+   * @param {Object} userData - User data
+   * @returns {Promise<Object>} Created user object
+   */
+  async createUser(userData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const {
+        id, name, email, phone, password, role, status,
+        token, active_session, contactNumber, warehouseId,
+        vendor_owner_id, vendor_role, address, city, pincode
+      } = userData;
+
+      // Generate ID if not provided
+      const userId = id || `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+      const [result] = await this.mysqlConnection.execute(
+        'INSERT INTO users (id, name, email, phone, password, role, status, token, active_session, contactNumber, warehouseId, vendor_owner_id, vendor_role, address, city, pincode) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [userId, name, email, phone || null, password || null, role, status || 'active', token || null, active_session || null, contactNumber || null, warehouseId || null, vendor_owner_id || null, vendor_role || null, address || null, city || null, pincode || null]
+      );
+
+      return {
+        id: userId,
+        name,
+        email,
+        phone,
+        role,
+        status: status || 'active',
+        token,
+        active_session,
+        contactNumber,
+        warehouseId,
+        vendor_owner_id: vendor_owner_id || null,
+        vendor_role: vendor_role || null,
+        address,
+        city,
+        pincode
+      };
+    } catch (error) {
+      console.error('Error creating user:', error);
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new Error('User with this email already exists');
       }
-      if (updateData.amount !== undefined) {
-        fields.push('amount = ?');
-        values.push(updateData.amount);
+      throw new Error('Failed to create user in database');
+    }
+  }
+
+  /**
+   * Update user
+   * @param {string} id - User ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Updated user object or null if not found
+   */
+  async updateUser(id, updateData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const fields = [];
+      const values = [];
+
+      if (updateData.name !== undefined) {
+        fields.push('name = ?');
+        values.push(updateData.name);
       }
-      if (updateData.type !== undefined) {
-        fields.push('type = ?');
-        values.push(updateData.type);
+      if (updateData.email !== undefined) {
+        fields.push('email = ?');
+        values.push(updateData.email);
       }
-      if (updateData.description !== undefined) {
-        fields.push('description = ?');
-        values.push(updateData.description);
+      if (updateData.phone !== undefined) {
+        fields.push('phone = ?');
+        values.push(updateData.phone);
+      }
+      if (updateData.password !== undefined) {
+        fields.push('password = ?');
+        values.push(updateData.password);
+      }
+      if (updateData.role !== undefined) {
+        fields.push('role = ?');
+        values.push(updateData.role);
+      }
+      if (updateData.access_role !== undefined) {
+        fields.push('access_role = ?');
+        values.push(updateData.access_role);
+      }
+      if (updateData.status !== undefined) {
+        fields.push('status = ?');
+        values.push(updateData.status);
+      }
+      if (updateData.token !== undefined) {
+        fields.push('token = ?');
+        values.push(updateData.token);
+      }
+      if (updateData.active_session !== undefined) {
+        fields.push('active_session = ?');
+        values.push(updateData.active_session);
+      }
+      if (updateData.contactNumber !== undefined) {
+        fields.push('contactNumber = ?');
+        values.push(updateData.contactNumber);
+      }
+      if (updateData.warehouseId !== undefined) {
+        fields.push('warehouseId = ?');
+        values.push(updateData.warehouseId);
+      }
+      if (updateData.vendor_owner_id !== undefined) {
+        fields.push('vendor_owner_id = ?');
+        values.push(updateData.vendor_owner_id);
+      }
+      if (updateData.vendor_role !== undefined) {
+        fields.push('vendor_role = ?');
+        values.push(updateData.vendor_role);
+      }
+      if (updateData.address !== undefined) {
+        fields.push('address = ?');
+        values.push(updateData.address);
+      }
+      if (updateData.city !== undefined) {
+        fields.push('city = ?');
+        values.push(updateData.city);
+      }
+      if (updateData.pincode !== undefined) {
+        fields.push('pincode = ?');
+        values.push(updateData.pincode);
+      }
+      if (updateData.lastLogin !== undefined) {
+        fields.push('lastLogin = ?');
+        values.push(updateData.lastLogin);
       }
 
       if (fields.length === 0) {
@@ -3711,7 +4391,7 @@ class Database {
       values.push(id);
 
       const [result] = await this.mysqlConnection.execute(
-        `UPDATE transactions SET ${fields.join(', ')} WHERE id = ?`,
+        `UPDATE users SET ${fields.join(', ')} WHERE id = ?`,
         values
       );
 
@@ -3719,5169 +4399,10201 @@ class Database {
         return null;
       }
 
-      return await this.getTransactionById(id);
+      return await this.getUserById(id);
     } catch (error) {
-      console.error('Error updating transaction:', error);
-      throw new Error('Failed to update transaction');
+      console.error('Error updating user:', error);
+      throw new Error('Failed to update user in database');
     }
   }
 
   /**
-   * Delete transaction from MySQL
-   * @param {string} id - Transaction ID
-   * @returns {boolean} True if deleted, false if not found
+   * Delete user
+   * @param {string} id - User ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
    */
-  async deleteTransaction(id) {
+  async deleteUser(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [result] = await this.mysqlConnection.execute(
-        'DELETE FROM transactions WHERE id = ?',
+        'DELETE FROM users WHERE id = ?',
         [id]
       );
+
       return result.affectedRows > 0;
     } catch (error) {
-      console.error('Error deleting transaction:', error);
-      throw new Error('Failed to delete transaction');
+      console.error('Error deleting user:', error);
+      throw new Error('Failed to delete user from database');
     }
   }
 
   /**
-   * Search transactions in MySQL
+   * Get users by role (vendor team members are listed with getVendorTeamMembers, not as vendors)
+   * @param {string} role - User role
+   * @returns {Promise<Array>} Array of users with specified role
+   */
+  async getUsersByRole(role) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM users WHERE role = ? AND vendor_owner_id IS NULL ORDER BY name ASC',
+        [role]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting users by role:', error);
+      throw new Error('Failed to get users by role');
+    }
+  }
+
+  /**
+   * Get users by status
+   * @param {string} status - User status
+   * @returns {Promise<Array>} Array of users with specified status
+   */
+  async getUsersByStatus(status) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM users WHERE status = ? ORDER BY name ASC',
+        [status]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting users by status:', error);
+      throw new Error('Failed to get users by status');
+    }
+  }
+
+  /**
+   * Search users by name or email
    * @param {string} searchTerm - Search term
-   * @returns {Array} Array of matching transactions
+   * @returns {Promise<Array>} Array of matching users
    */
-  async searchTransactions(searchTerm) {
+  async searchUsers(searchTerm) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM transactions WHERE description LIKE ? OR type LIKE ? ORDER BY createdAt DESC',
+        'SELECT * FROM users WHERE name LIKE ? OR email LIKE ? ORDER BY name ASC',
         [`%${searchTerm}%`, `%${searchTerm}%`]
       );
       return rows;
     } catch (error) {
-      console.error('Error searching transactions:', error);
-      throw new Error('Failed to search transactions');
+      console.error('Error searching users:', error);
+      throw new Error('Failed to search users');
     }
   }
 
-  // ==================== ORDERS CRUD METHODS ====================
+  // ==================== SETTLEMENTS CRUD OPERATIONS (MySQL) ====================
 
   /**
-   * Create a new order in MySQL
-   * @param {Object} orderData - Order data
-   * @returns {Object} Created order
+   * Get all settlements from MySQL
+   * @returns {Promise<Array>} Array of all settlements
    */
-  async createOrder(orderData) {
+  async getAllSettlements() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!orderData.account_code) {
-      throw new Error('account_code is required for creating order');
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM settlements ORDER BY createdAt DESC'
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting all settlements:', error);
+      throw new Error('Failed to get settlements from database');
+    }
+  }
+
+  /**
+   * Get settlement by ID
+   * @param {string} id - Settlement ID
+   * @returns {Promise<Object|null>} Settlement object or null if not found
+   */
+  async getSettlementById(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
     }
 
     try {
-      // Extract size from product_code
-      const extractedSize = this.extractSizeFromSku(orderData.product_code);
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM settlements WHERE id = ?',
+        [id]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting settlement by ID:', error);
+      throw new Error('Failed to get settlement from database');
+    }
+  }
 
-      // Use INSERT ... ON DUPLICATE KEY UPDATE for orders table
-      await this.mysqlConnection.execute(
-        `INSERT INTO orders (
-          id, unique_id, order_id, customer_name, order_date,
-          product_name, product_code, normalized_product_code, size, quantity, selling_price, order_total, payment_type,
-          is_partial_paid, prepaid_amount, order_total_ratio, order_total_split, collectable_amount,
-          pincode, is_in_new_order, account_code
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          order_date = VALUES(order_date),
-          product_name = VALUES(product_name),
-          product_code = VALUES(product_code),
-          normalized_product_code = VALUES(normalized_product_code),
-          size = VALUES(size),
-          quantity = VALUES(quantity),
-          selling_price = VALUES(selling_price),
-          order_total = VALUES(order_total),
-          payment_type = VALUES(payment_type),
-          is_partial_paid = VALUES(is_partial_paid),
-          prepaid_amount = VALUES(prepaid_amount),
-          order_total_ratio = VALUES(order_total_ratio),
-          order_total_split = VALUES(order_total_split),
-          collectable_amount = VALUES(collectable_amount),
-          pincode = VALUES(pincode),
-          is_in_new_order = VALUES(is_in_new_order),
-          account_code = VALUES(account_code)`,
-        [
-          orderData.id || null,
-          orderData.unique_id || null,
-          orderData.order_id || null,
-          orderData.customer_name || null,
-          orderData.order_date || null,
-          orderData.product_name || null,
-          orderData.product_code || null,
-          this.normalizeProductCode(orderData.product_code),
-          extractedSize || null,
-          orderData.quantity || null,
-          orderData.selling_price || null,
-          orderData.order_total || null,
-          orderData.payment_type || null,
-          orderData.is_partial_paid !== undefined ? orderData.is_partial_paid : false,
-          orderData.prepaid_amount || null,
-          orderData.order_total_ratio || null,
-          orderData.order_total_split || null,
-          orderData.collectable_amount || null,
-          orderData.pincode || null,
-          orderData.is_in_new_order !== undefined ? orderData.is_in_new_order : true,
-          orderData.account_code
-        ]
+  /**
+   * Get settlements by vendor ID
+   * @param {string} vendorId - Vendor ID
+   * @returns {Promise<Array>} Array of settlements for the vendor
+   */
+  async getSettlementsByVendor(vendorId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM settlements WHERE vendorId = ? ORDER BY createdAt DESC',
+        [vendorId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting settlements by vendor:', error);
+      throw new Error('Failed to get settlements by vendor');
+    }
+  }
+
+  /**
+   * Get settlements by status
+   * @param {string} status - Settlement status
+   * @returns {Promise<Array>} Array of settlements with specified status
+   */
+  async getSettlementsByStatus(status) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM settlements WHERE status = ? ORDER BY createdAt DESC',
+        [status]
       );
+      return rows;
+    } catch (error) {
+      console.error('Error getting settlements by status:', error);
+      throw new Error('Failed to get settlements by status');
+    }
+  }
 
-      // Use INSERT ... ON DUPLICATE KEY UPDATE for claims table
-      await this.mysqlConnection.execute(
-        `INSERT INTO claims (
-          order_unique_id, order_id, status, claimed_by, claimed_at, last_claimed_by, 
-          last_claimed_at, clone_status, cloned_order_id, is_cloned_row, label_downloaded, account_code
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          order_id = VALUES(order_id),
-          account_code = VALUES(account_code)`,
+  /**
+   * Create new settlement
+   * @param {Object} settlementData - Settlement data
+   * @returns {Promise<Object>} Created settlement object
+   */
+  async createSettlement(settlementData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const {
+        id, vendorId, vendorName, amount, upiId, orderIds, numberOfOrders,
+        currency, status, paymentStatus, amountPaid, transactionId,
+        paymentProofPath, approvedBy, approvedAt, rejectionReason,
+        rejectedBy, rejectedAt
+      } = settlementData;
+
+      const [result] = await this.mysqlConnection.execute(
+        'INSERT INTO settlements (id, vendorId, vendorName, amount, upiId, orderIds, numberOfOrders, currency, status, paymentStatus, amountPaid, transactionId, paymentProofPath, approvedBy, approvedAt, rejectionReason, rejectedBy, rejectedAt) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
         [
-          orderData.unique_id || null,
-          orderData.order_id || null,
-          orderData.status || 'unclaimed',
-          orderData.claimed_by || null,
-          orderData.claimed_at || null,
-          orderData.last_claimed_by || null,
-          orderData.last_claimed_at || null,
-          orderData.clone_status || 'not_cloned',
-          orderData.cloned_order_id || null,
-          orderData.is_cloned_row || false,
-          orderData.label_downloaded || false,
-          orderData.account_code
+          id || `settlement_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          vendorId || null,
+          vendorName || null,
+          amount || null,
+          upiId || null,
+          orderIds || null,
+          numberOfOrders || null,
+          currency || 'INR',
+          status || 'pending',
+          paymentStatus || 'pending',
+          amountPaid || 0,
+          transactionId || null,
+          paymentProofPath || null,
+          approvedBy || null,
+          approvedAt || null,
+          rejectionReason || null,
+          rejectedBy || null,
+          rejectedAt || null
         ]
       );
 
-      // Use INSERT ... ON DUPLICATE KEY UPDATE for labels table
-      await this.mysqlConnection.execute(
-        `INSERT INTO labels (
-          order_id, handover_at, priority_carrier, account_code
-        ) VALUES (?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          handover_at = VALUES(handover_at),
-          priority_carrier = VALUES(priority_carrier),
-          account_code = VALUES(account_code)`,
-        [
-          orderData.order_id || null,
-          orderData.handover_at || null,
-          orderData.priority_carrier || null,
-          orderData.account_code
-        ]
+      return await this.getSettlementById(id || `settlement_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+    } catch (error) {
+      console.error('Error creating settlement:', error);
+      throw new Error('Failed to create settlement in database');
+    }
+  }
+
+  /**
+   * Update settlement
+   * @param {string} id - Settlement ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object|null>} Updated settlement object or null if not found
+   */
+  async updateSettlement(id, updateData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const fields = [];
+      const values = [];
+
+      if (updateData.vendorId !== undefined) {
+        fields.push('vendorId = ?');
+        values.push(updateData.vendorId);
+      }
+      if (updateData.vendorName !== undefined) {
+        fields.push('vendorName = ?');
+        values.push(updateData.vendorName);
+      }
+      if (updateData.amount !== undefined) {
+        fields.push('amount = ?');
+        values.push(updateData.amount);
+      }
+      if (updateData.upiId !== undefined) {
+        fields.push('upiId = ?');
+        values.push(updateData.upiId);
+      }
+      if (updateData.orderIds !== undefined) {
+        fields.push('orderIds = ?');
+        values.push(updateData.orderIds);
+      }
+      if (updateData.numberOfOrders !== undefined) {
+        fields.push('numberOfOrders = ?');
+        values.push(updateData.numberOfOrders);
+      }
+      if (updateData.currency !== undefined) {
+        fields.push('currency = ?');
+        values.push(updateData.currency);
+      }
+      if (updateData.status !== undefined) {
+        fields.push('status = ?');
+        values.push(updateData.status);
+      }
+      if (updateData.paymentStatus !== undefined) {
+        fields.push('paymentStatus = ?');
+        values.push(updateData.paymentStatus);
+      }
+      if (updateData.amountPaid !== undefined) {
+        fields.push('amountPaid = ?');
+        values.push(updateData.amountPaid);
+      }
+      if (updateData.transactionId !== undefined) {
+        fields.push('transactionId = ?');
+        values.push(updateData.transactionId);
+      }
+      if (updateData.paymentProofPath !== undefined) {
+        fields.push('paymentProofPath = ?');
+        values.push(updateData.paymentProofPath);
+      }
+      if (updateData.approvedBy !== undefined) {
+        fields.push('approvedBy = ?');
+        values.push(updateData.approvedBy);
+      }
+      if (updateData.approvedAt !== undefined) {
+        fields.push('approvedAt = ?');
+        values.push(updateData.approvedAt);
+      }
+      if (updateData.rejectionReason !== undefined) {
+        fields.push('rejectionReason = ?');
+        values.push(updateData.rejectionReason);
+      }
+      if (updateData.rejectedBy !== undefined) {
+        fields.push('rejectedBy = ?');
+        values.push(updateData.rejectedBy);
+      }
+      if (updateData.rejectedAt !== undefined) {
+        fields.push('rejectedAt = ?');
+        values.push(updateData.rejectedAt);
+      }
+
+      if (fields.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      values.push(id);
+
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE settlements SET ${fields.join(', ')} WHERE id = ?`,
+        values
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return await this.getSettlementById(id);
+    } catch (error) {
+      console.error('Error updating settlement:', error);
+      throw new Error('Failed to update settlement in database');
+    }
+  }
+
+  /**
+   * Delete settlement
+   * @param {string} id - Settlement ID
+   * @returns {Promise<boolean>} True if deleted, false if not found
+   */
+  async deleteSettlement(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        'DELETE FROM settlements WHERE id = ?',
+        [id]
+      );
+
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting settlement:', error);
+      throw new Error('Failed to delete settlement from database');
+    }
+  }
+
+  /**
+   * Search settlements by vendor name or UPI ID
+   * @param {string} searchTerm - Search term
+   * @returns {Promise<Array>} Array of matching settlements
+   */
+  async searchSettlements(searchTerm) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM settlements WHERE vendorName LIKE ? OR upiId LIKE ? ORDER BY createdAt DESC',
+        [`%${searchTerm}%`, `%${searchTerm}%`]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error searching settlements:', error);
+      throw new Error('Failed to search settlements');
+    }
+  }
+
+  // ==================== TRANSACTIONS CRUD OPERATIONS (MySQL) ====================
+
+  /**
+   * Get all transactions from MySQL
+   * @returns {Array} Array of all transactions
+   */
+  async getAllTransactions() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM transactions ORDER BY createdAt DESC'
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting all transactions:', error);
+      throw new Error('Failed to get all transactions');
+    }
+  }
+
+  /**
+   * Get transaction by ID from MySQL
+   * @param {string} id - Transaction ID
+   * @returns {Object|null} Transaction object or null if not found
+   */
+  async getTransactionById(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM transactions WHERE id = ?',
+        [id]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting transaction by ID:', error);
+      throw new Error('Failed to get transaction by ID');
+    }
+  }
+
+  /**
+   * Get transactions by vendor ID from MySQL
+   * @param {string} vendorId - Vendor ID
+   * @returns {Array} Array of transactions for the vendor
+   */
+  async getTransactionsByVendor(vendorId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Penalty debits and waiver credits carry their penalty's status
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT t.*, vp.id AS penalty_id, vp.penalty_type, vp.status AS penalty_status
+         FROM transactions t
+         LEFT JOIN vendor_penalties vp ON t.type IN ('penalty', 'penalty_waiver')
+           AND vp.id = CAST(SUBSTRING_INDEX(t.reference_key, ':', -1) AS UNSIGNED)
+         WHERE t.vendor_id = ?
+         ORDER BY t.createdAt DESC`,
+        [vendorId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting transactions by vendor:', error);
+      throw new Error('Failed to get transactions by vendor');
+    }
+  }
+
+  /**
+   * Get transactions by type from MySQL
+   * @param {string} type - Transaction type
+   * @returns {Array} Array of transactions with specified type
+   */
+  async getTransactionsByType(type) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM transactions WHERE type = ? ORDER BY createdAt DESC',
+        [type]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting transactions by type:', error);
+      throw new Error('Failed to get transactions by type');
+    }
+  }
+
+  /**
+   * Create new transaction in MySQL
+   * @param {Object} transactionData - Transaction data
+   * @returns {Object} Created transaction object
+   */
+  async createTransaction(transactionData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const { id, vendor_id, amount, type, description } = transactionData;
+
+      const [result] = await this.mysqlConnection.execute(
+        'INSERT INTO transactions (id, vendor_id, amount, type, description) VALUES (?, ?, ?, ?, ?)',
+        [
+          id || `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          vendor_id,
+          amount,
+          type,
+          description
+        ]
+      );
+
+      // Return the created transaction
+      const createdTransaction = await this.getTransactionById(id || `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`);
+      return createdTransaction;
+    } catch (error) {
+      console.error('Error creating transaction:', error);
+      throw new Error('Failed to create transaction');
+    }
+  }
+
+  /**
+   * Update transaction in MySQL
+   * @param {string} id - Transaction ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object|null} Updated transaction object or null if not found
+   */
+  async updateTransaction(id, updateData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const fields = [];
+      const values = [];
+
+      if (updateData.vendor_id !== undefined) {
+        fields.push('vendor_id = ?');
+        values.push(updateData.vendor_id);
+      }
+      if (updateData.amount !== undefined) {
+        fields.push('amount = ?');
+        values.push(updateData.amount);
+      }
+      if (updateData.type !== undefined) {
+        fields.push('type = ?');
+        values.push(updateData.type);
+      }
+      if (updateData.description !== undefined) {
+        fields.push('description = ?');
+        values.push(updateData.description);
+      }
+
+      if (fields.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      values.push(id);
+
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE transactions SET ${fields.join(', ')} WHERE id = ?`,
+        values
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      return await this.getTransactionById(id);
+    } catch (error) {
+      console.error('Error updating transaction:', error);
+      throw new Error('Failed to update transaction');
+    }
+  }
+
+  /**
+   * Delete transaction from MySQL
+   * @param {string} id - Transaction ID
+   * @returns {boolean} True if deleted, false if not found
+   */
+  async deleteTransaction(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        'DELETE FROM transactions WHERE id = ?',
+        [id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting transaction:', error);
+      throw new Error('Failed to delete transaction');
+    }
+  }
+
+  /**
+   * Search transactions in MySQL
+   * @param {string} searchTerm - Search term
+   * @returns {Array} Array of matching transactions
+   */
+  async searchTransactions(searchTerm) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM transactions WHERE description LIKE ? OR type LIKE ? ORDER BY createdAt DESC',
+        [`%${searchTerm}%`, `%${searchTerm}%`]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error searching transactions:', error);
+      throw new Error('Failed to search transactions');
+    }
+  }
+
+  // ==================== ORDERS CRUD METHODS ====================
+
+  /**
+   * Create a new order in MySQL
+   * @param {Object} orderData - Order data
+   * @returns {Object} Created order
+   */
+  async createOrder(orderData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!orderData.account_code) {
+      throw new Error('account_code is required for creating order');
+    }
+
+    try {
+      // Resolve the line to a product variant; fall back to parsing the size out of product_code
+      const variant = await this.findProductVariant(orderData.account_code, orderData.product_code);
+      const extractedSize = variant && variant.size ? variant.size : this.extractSizeFromSku(orderData.product_code);
+
+      // Use INSERT ... ON DUPLICATE KEY UPDATE for orders table
+      await this.mysqlConnection.execute(
+        `INSERT INTO orders (
+          id, unique_id, order_id, customer_name, order_date,
+          product_name, product_code, normalized_product_code, variant_id, size, quantity, selling_price, order_total, payment_type,
+          is_partial_paid, prepaid_amount, order_total_ratio, order_total_split, collectable_amount,
+          pincode, is_in_new_order, account_code
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          order_date = VALUES(order_date),
+          product_name = VALUES(product_name),
+          product_code = VALUES(product_code),
+          normalized_product_code = VALUES(normalized_product_code),
+          variant_id = VALUES(variant_id),
+          size = VALUES(size),
+          quantity = VALUES(quantity),
+          selling_price = VALUES(selling_price),
+          order_total = VALUES(order_total),
+          payment_type = VALUES(payment_type),
+          is_partial_paid = VALUES(is_partial_paid),
+          prepaid_amount = VALUES(prepaid_amount),
+          order_total_ratio = VALUES(order_total_ratio),
+          order_total_split = VALUES(order_total_split),
+          collectable_amount = VALUES(collectable_amount),
+          pincode = VALUES(pincode),
+          is_in_new_order = VALUES(is_in_new_order),
+          account_code = VALUES(account_code)`,
+        [
+          orderData.id || null,
+          orderData.unique_id || null,
+          orderData.order_id || null,
+          orderData.customer_name || null,
+          orderData.order_date || null,
+          orderData.product_name || null,
+          orderData.product_code || null,
+          variant ? variant.sku_id : this.normalizeProductCode(orderData.product_code),
+          variant ? variant.id : null,
+          extractedSize || null,
+          orderData.quantity || null,
+          orderData.selling_price || null,
+          orderData.order_total || null,
+          orderData.payment_type || null,
+          orderData.is_partial_paid !== undefined ? orderData.is_partial_paid : false,
+          orderData.prepaid_amount || null,
+          orderData.order_total_ratio || null,
+          orderData.order_total_split || null,
+          orderData.collectable_amount || null,
+          orderData.pincode || null,
+          orderData.is_in_new_order !== undefined ? orderData.is_in_new_order : true,
+          orderData.account_code
+        ]
+      );
+
+      // Use INSERT ... ON DUPLICATE KEY UPDATE for claims table
+      await this.mysqlConnection.execute(
+        `INSERT INTO claims (
+          order_unique_id, order_id, status, claimed_by, claimed_at, last_claimed_by, 
+          last_claimed_at, clone_status, cloned_order_id, is_cloned_row, label_downloaded, account_code
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          order_id = VALUES(order_id),
+          account_code = VALUES(account_code)`,
+        [
+          orderData.unique_id || null,
+          orderData.order_id || null,
+          orderData.status || 'unclaimed',
+          orderData.claimed_by || null,
+          orderData.claimed_at || null,
+          orderData.last_claimed_by || null,
+          orderData.last_claimed_at || null,
+          orderData.clone_status || 'not_cloned',
+          orderData.cloned_order_id || null,
+          orderData.is_cloned_row || false,
+          orderData.label_downloaded || false,
+          orderData.account_code
+        ]
+      );
+
+      // Use INSERT ... ON DUPLICATE KEY UPDATE for labels table
+      await this.mysqlConnection.execute(
+        `INSERT INTO labels (
+          order_id, handover_at, priority_carrier, account_code
+        ) VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          handover_at = VALUES(handover_at),
+          priority_carrier = VALUES(priority_carrier),
+          account_code = VALUES(account_code)`,
+        [
+          orderData.order_id || null,
+          orderData.handover_at || null,
+          orderData.priority_carrier || null,
+          orderData.account_code
+        ]
+      );
+
+      return await this.getOrderByUniqueId(orderData.unique_id);
+    } catch (error) {
+      console.error('Error creating order:', error);
+      // Include the actual error message for better debugging
+      const errorMessage = error.message || 'Unknown error';
+      throw new Error(`Failed to create order: ${errorMessage}`);
+    }
+  }
+
+  /**
+   * Remove size information from product name for matching
+   * @param {string} productName - Product name with size
+   * @returns {string} Product name without size
+   */
+  removeSizeFromProductName(productName) {
+    if (!productName) return '';
+
+    let cleanName = productName.trim();
+
+    // Check if it's a kids product
+    if (cleanName.toLowerCase().includes('kids')) {
+      // For kids products, only remove numeric size patterns like 24-26, 16-18, 20-22
+      cleanName = cleanName.replace(/ - [0-9]+-[0-9]+$/i, '');
+    } else {
+      // For regular products, remove standard size patterns
+      const sizePatterns = [
+        / - (XS|S|M|L|XL|2XL|3XL|4XL|5XL)$/i,
+        / - (XXXL|XXL)$/i,
+        / - (Small|Medium|Large|Extra Large)$/i,
+        / - (\d{4}-\d{4})$/i, // Year patterns like 2025-26
+        /^(XS|S|M|L|XL|2XL|3XL|4XL|5XL) - /i,
+        /^(Small|Medium|Large|Extra Large) - /i,
+        / - (XS|S|M|L|XL|2XL|3XL|4XL|5XL)(?= - |$)/gi,
+        / - (Small|Medium|Large|Extra Large)(?= - |$)/gi,
+      ];
+
+      for (const pattern of sizePatterns) {
+        cleanName = cleanName.replace(pattern, '');
+      }
+    }
+
+    // Clean up any double spaces or trailing dashes
+    cleanName = cleanName.replace(/\s*-\s*$/, ''); // Remove trailing dash
+    cleanName = cleanName.replace(/\s+/g, ' '); // Replace multiple spaces with single space
+    cleanName = cleanName.trim();
+
+    return cleanName;
+  }
+
+  /**
+   * Remove size information from SKU for matching
+   * @param {string} skuId - SKU with size
+   * @returns {string} SKU without size
+   */
+  cleanSkuId(skuId) {
+    if (!skuId) return skuId;
+
+    // Remove size information from the end
+    let cleanedSku = skuId
+      // Remove size codes (S, M, L, XL, etc.) at the end
+      .replace(/[-_](XS|S|M|L|XL|2XL|3XL|4XL|5XL|XXXL|XXL|Small|Medium|Large|Extra Large)$/i, '')
+      // Remove age ranges (24-26, 25-26, etc.) at the end
+      .replace(/[-_][0-9]+-[0-9]+$/, '')
+      // Remove decimal numbers at the end (half shoe sizes like 7.5, 8.5, etc.) - MUST be before integer pattern
+      .replace(/[-_][0-9]+\.[0-9]+$/, '')
+      // Remove single numbers at the end (size numbers like 32, 34, etc.)
+      .replace(/[-_][0-9]+$/, '')
+      // Clean up any double dashes or underscores
+      .replace(/[-_]{2,}/g, '-')
+      // Remove trailing dashes/underscores
+      .replace(/[-_]+$/, '')
+      .trim();
+
+    return cleanedSku;
+  }
+
+  /**
+   * Extract size information from SKU ID
+   * @param {string} skuId - SKU with size
+   * @returns {string} Extracted size or null if no size found
+   */
+  extractSizeFromSku(skuId) {
+    if (!skuId) return null;
+
+    // Try to extract size codes (S, M, L, XL, etc.) at the end
+    const sizeMatch = skuId.match(/[-_](XS|S|M|L|XL|2XL|3XL|4XL|5XL|XXXL|XXL|Small|Medium|Large|Extra Large)$/i);
+    if (sizeMatch) {
+      return sizeMatch[1].toUpperCase();
+    }
+
+    // Try to extract age ranges (24-26, 25-26, etc.) at the end
+    const ageRangeMatch = skuId.match(/[-_]([0-9]+-[0-9]+)$/);
+    if (ageRangeMatch) {
+      return ageRangeMatch[1];
+    }
+
+    // Try to extract decimal numbers at the end (half shoe sizes like 7.5, 8.5, etc.) - MUST be before integer pattern
+    const decimalMatch = skuId.match(/[-_]([0-9]+\.[0-9]+)$/);
+    if (decimalMatch) {
+      return decimalMatch[1];
+    }
+
+    // Try to extract single numbers at the end (size numbers like 32, 34, etc.)
+    const numberMatch = skuId.match(/[-_]([0-9]+)$/);
+    if (numberMatch) {
+      return numberMatch[1];
+    }
+
+    return null;
+  }
+
+  /**
+   * Normalize a product_code into a bare SKU by stripping its size suffix.
+   * Mirrors all four REGEXP_REPLACE patterns used in the SQL JOIN, applied in
+   * descending specificity so the right pattern wins:
+   *   1. Text sizes  : [-_](XS|S|M|L|XL|2XL|3XL|4XL|5XL|XXXL|XXL|Small|Medium|Large|Extra Large)
+   *   2. Range sizes : [-_][0-9]+-[0-9]+   (e.g. 28-30)   ← before single-int
+   *   3. Decimal sizes: [-_][0-9]+.[0-9]+  (e.g. 7.5)     ← before single-int
+   *   4. Single-int  : [-_][0-9]+          (e.g. 7, 32)
+   *   Then collapses consecutive [-_] into a single '-' and trims whitespace.
+   * @param {string} productCode
+   * @returns {string|null}
+   */
+  normalizeProductCode(productCode) {
+    if (!productCode) return null;
+
+    let normalized = productCode.trim();
+
+    // Pattern priority order matches the SQL OR conditions
+    const patterns = [
+      // 1. Text size suffixes (XS, S, M, L, XL, 2XL … Extra Large)
+      /[-_](XS|S|M|L|XL|2XL|3XL|4XL|5XL|XXXL|XXL|Small|Medium|Large|Extra Large)$/i,
+      // 2. Numeric range suffixes (e.g. -28-30, _28-30) — must precede single-int
+      /[-_][0-9]+-[0-9]+$/,
+      // 3. Decimal suffixes (e.g. -7.5, _5.5) — must precede single-int
+      /[-_][0-9]+\.[0-9]+$/,
+      // 4. Single integer suffixes (e.g. -7, _32)
+      /[-_][0-9]+$/,
+    ];
+
+    for (const pattern of patterns) {
+      if (pattern.test(normalized)) {
+        normalized = normalized.replace(pattern, '');
+        break; // Only strip one suffix — same as the SQL OR semantics
+      }
+    }
+
+    // Collapse any consecutive dashes/underscores left after stripping (mirrors REGEXP_REPLACE(..., '[-_]{2,}', '-'))
+    normalized = normalized.replace(/[-_]{2,}/g, '-');
+
+    return normalized.trim() || null;
+  }
+
+  /**
+   * Add normalized_product_code column to existing orders table, create its index,
+   * and backfill all existing rows. Idempotent — safe to run on every startup.
+   */
+  async addNormalizedProductCodeIfNotExists() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      // 1. Add column if missing
+      const [cols] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM orders LIKE 'normalized_product_code'`
+      );
+      if (cols.length === 0) {
+        console.log('🔄 Adding normalized_product_code column to orders table...');
+        await this.mysqlConnection.execute(
+          `ALTER TABLE orders ADD COLUMN normalized_product_code VARCHAR(100) DEFAULT NULL AFTER product_code`
+        );
+        console.log('✅ normalized_product_code column added.');
+      } else {
+        console.log('ℹ️ normalized_product_code column already exists, skipping ADD COLUMN.');
+      }
+
+      // 2. Add index if missing
+      const [idxRows] = await this.mysqlConnection.execute(`SHOW INDEX FROM orders WHERE Key_name = 'idx_normalized_product_code'`);
+      if (idxRows.length === 0) {
+        console.log('🔄 Adding idx_normalized_product_code index...');
+        try {
+          await this.mysqlConnection.execute(
+            `ALTER TABLE orders ADD INDEX idx_normalized_product_code (normalized_product_code)`
+          );
+          console.log('✅ idx_normalized_product_code index added.');
+        } catch (err) {
+          if (err.code !== 'ER_DUP_KEYNAME') console.error('❌ Error adding index:', err.message);
+        }
+      } else {
+        console.log('ℹ️ idx_normalized_product_code index already exists, skipping.');
+      }
+
+      // 3. Backfill rows where normalized_product_code is NULL (new column or new orders)
+      const [nullRows] = await this.mysqlConnection.execute(
+        `SELECT unique_id, product_code FROM orders WHERE normalized_product_code IS NULL AND product_code IS NOT NULL`
+      );
+
+      if (nullRows.length > 0) {
+        console.log(`🔄 Backfilling normalized_product_code for ${nullRows.length} orders...`);
+        let backfilledCount = 0;
+        for (const row of nullRows) {
+          const normalized = this.normalizeProductCode(row.product_code);
+          if (normalized) {
+            await this.mysqlConnection.execute(
+              `UPDATE orders SET normalized_product_code = ? WHERE unique_id = ?`,
+              [normalized, row.unique_id]
+            );
+            backfilledCount++;
+          }
+        }
+        console.log(`✅ Backfilled normalized_product_code for ${backfilledCount} orders.`);
+      } else {
+        console.log('ℹ️ All existing orders already have normalized_product_code, no backfill needed.');
+      }
+    } catch (error) {
+      console.error('❌ Error in addNormalizedProductCodeIfNotExists:', error.message);
+    }
+  }
+
+  /**
+   * Add variant_id column and index to existing orders table. Existing rows are linked
+   * by resolveOrderVariants() after the next product sync.
+   */
+  async addVariantIdToOrdersIfNotExists() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const [cols] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM orders LIKE 'variant_id'`
+      );
+      if (cols.length === 0) {
+        console.log('🔄 Adding variant_id column to orders table...');
+        await this.mysqlConnection.execute(
+          `ALTER TABLE orders ADD COLUMN variant_id INT DEFAULT NULL AFTER normalized_product_code, ADD INDEX idx_variant_id (variant_id)`
+        );
+        console.log('✅ variant_id column added.');
+      } else {
+        console.log('ℹ️ variant_id column already exists, skipping ADD COLUMN.');
+      }
+    } catch (error) {
+      console.error('❌ Error in addVariantIdToOrdersIfNotExists:', error.message);
+    }
+  }
+
+  /**
+   * Get order by unique_id from MySQL
+   * @param {string} unique_id - Order unique ID
+   * @returns {Object|null} Order data or null if not found
+   */
+  async getOrderByUniqueId(unique_id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        WHERE o.unique_id = ?
+      `, [unique_id]);
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting order by unique_id:', error);
+      throw new Error('Failed to get order from database');
+    }
+  }
+
+  /**
+   * Get all orders for a specific order_id from MySQL
+   * @param {string} order_id - Order ID
+   * @returns {Array} Array of orders
+   */
+  async getOrdersByOrderId(order_id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        WHERE o.order_id = ? 
+        ORDER BY o.product_name
+      `, [order_id]);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting orders by order_id:', error);
+      throw new Error('Failed to get orders from database');
+    }
+  }
+
+  /**
+   * Get orders by multiple order_ids from MySQL (bulk fetch)
+   * OPTIMIZATION: Fetches only specified orders instead of all orders
+   * @param {Array<string>} order_ids - Array of order IDs
+   * @returns {Array} Array of order objects
+   */
+  async getOrdersByOrderIds(order_ids) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!order_ids || !Array.isArray(order_ids) || order_ids.length === 0) {
+      return [];
+    }
+
+    try {
+      // Create placeholders for IN clause (?, ?, ?, ...)
+      const placeholders = order_ids.map(() => '?').join(',');
+
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        WHERE o.order_id IN (${placeholders})
+        ORDER BY o.order_id, o.product_name
+      `, order_ids);
+
+      return rows || [];
+    } catch (error) {
+      console.error('Error getting orders by order_ids:', error);
+      throw new Error('Failed to get orders from database');
+    }
+  }
+
+  /**
+   * Get multiple orders by unique_ids from MySQL (bulk fetch)
+   * @param {Array<string>} unique_ids - Array of order unique IDs
+   * @returns {Array} Array of order objects
+   */
+  async getOrdersByUniqueIds(unique_ids) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!unique_ids || !Array.isArray(unique_ids) || unique_ids.length === 0) {
+      return [];
+    }
+
+    try {
+      // Create placeholders for IN clause (?, ?, ?, ...)
+      const placeholders = unique_ids.map(() => '?').join(',');
+
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        WHERE o.unique_id IN (${placeholders})
+      `, unique_ids);
+
+      return rows || [];
+    } catch (error) {
+      console.error('Error getting orders by unique_ids:', error);
+      throw new Error('Failed to get orders from database');
+    }
+  }
+
+  /**
+   * Get all orders from MySQL
+   * @returns {Array} Array of all orders
+   */
+  async getAllOrders(cutoffDate = null) {
+    // Use pool if available (preferred for parallel execution), otherwise fall back to connection
+    const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Build query with optional date filter using parameterized query
+      let query = `
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status as claims_status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest,
+          l.manifest_id,
+          l.current_shipment_status,
+          l.is_handover,
+          s.store_name,
+          s.status as store_status,
+          CASE 
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+            THEN l.current_shipment_status 
+            ELSE c.status 
+          END as status
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        LEFT JOIN store_info s ON o.account_code = s.account_code
+        WHERE (o.is_in_new_order = 1 OR c.label_downloaded = 1)`;
+
+      const params = [];
+
+      // Add date filter if cutoffDate is provided
+      if (cutoffDate) {
+        query += ` AND o.order_date >= ?`;
+        // Format date for MySQL (YYYY-MM-DD HH:MM:SS)
+        const mysqlDate = cutoffDate.toISOString().slice(0, 19).replace('T', ' ');
+        params.push(mysqlDate);
+      }
+
+      query += ` ORDER BY o.order_date DESC, o.order_id, o.product_name`;
+
+      const [rows] = await db.execute(query, params);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting all orders:', error);
+      throw new Error('Failed to get orders from database');
+    }
+  }
+
+  /**
+   * Get orders with pagination, filtering, and search (optimized with LIMIT/OFFSET)
+   * @param {Object} options - Query options
+   * @param {string} options.status - Filter by status (e.g., 'unclaimed')
+   * @param {string} options.search - Search term for order_id, product_name, product_code, customer_name
+   * @param {string} options.dateFrom - Start date (YYYY-MM-DD format)
+   * @param {string} options.dateTo - End date (YYYY-MM-DD format)
+   * @param {number} options.limit - Number of records per page
+   * @param {number} options.offset - Number of records to skip
+   * @returns {Promise<Object>} Object with orders array, totalCount, and totalQuantity
+   */
+  async getOrdersPaginated(options = {}) {
+    const {
+      status = null,
+      search = '',
+      dateFrom = null,
+      dateTo = null,
+      limit = 50,
+      offset = 0
+    } = options;
+
+    // Use pool if available (preferred for parallel execution), otherwise fall back to connection
+    const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Build WHERE clause conditions (reusable for both COUNT and SELECT queries)
+      let whereConditions = '(o.is_in_new_order = 1 OR c.label_downloaded = 1)';
+      const params = [];
+      const countParams = [];
+
+      // Apply status filter (unclaimed logic matches dashboard-stats)
+      if (status === 'unclaimed') {
+        whereConditions += ` AND (
+          (
+            (l.current_shipment_status IS NULL OR l.current_shipment_status = '') 
+            AND c.status = 'unclaimed'
+          )
+          OR l.current_shipment_status = 'unclaimed'
+        )`;
+        // Filter out inactive stores for unclaimed orders (vendors should only see new orders from active stores)
+        whereConditions += ` AND s.status = 'active'`;
+      }
+
+      // Apply search filter (SQL LIKE for order_id, product_name, product_code, customer_name)
+      if (search && search.trim() !== '') {
+        const searchTerm = `%${search.trim()}%`;
+        whereConditions += ` AND (
+          o.order_id LIKE ? OR
+          o.product_name LIKE ? OR
+          o.product_code LIKE ? OR
+          o.customer_name LIKE ?
+        )`;
+        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+        countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
+      }
+
+      // Apply date range filter
+      if (dateFrom || dateTo) {
+        if (dateFrom && dateTo) {
+          whereConditions += ` AND o.order_date >= ? AND o.order_date <= ?`;
+          const dateToEnd = dateTo + ' 23:59:59';
+          params.push(dateFrom, dateToEnd);
+          countParams.push(dateFrom, dateToEnd);
+        } else if (dateFrom) {
+          whereConditions += ` AND o.order_date >= ?`;
+          params.push(dateFrom);
+          countParams.push(dateFrom);
+        } else if (dateTo) {
+          whereConditions += ` AND o.order_date <= ?`;
+          const dateToEnd = dateTo + ' 23:59:59';
+          params.push(dateToEnd);
+          countParams.push(dateToEnd);
+        }
+      }
+
+      // Build data query with LIMIT/OFFSET
+      const dataQuery = `
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status as claims_status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest,
+          l.manifest_id,
+          l.current_shipment_status,
+          l.is_handover,
+          s.store_name,
+          CASE 
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+            THEN l.current_shipment_status 
+            ELSE c.status 
+          END as status
+        FROM orders o
+        LEFT JOIN (
+          SELECT sku_id, account_code, MIN(image) as image
+          FROM products
+          GROUP BY sku_id, account_code
+        ) p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        LEFT JOIN store_info s ON o.account_code = s.account_code
+        WHERE ${whereConditions}
+        ORDER BY o.order_date DESC, o.order_id, o.product_name
+        LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}` ;
+
+      // Build COUNT query for total count and quantity (same WHERE clause, includes store_info for status filtering)
+      const countQuery = `
+        SELECT 
+          COUNT(DISTINCT o.unique_id) as total_count,
+          COALESCE(SUM(o.quantity), 0) as total_quantity
+        FROM orders o
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        LEFT JOIN store_info s ON o.account_code = s.account_code
+        WHERE ${whereConditions}`;
+
+      // Execute COUNT query and data query in parallel using connection pool
+      // Note: LIMIT and OFFSET are interpolated directly (not parameterized) as MySQL doesn't support placeholders for them
+      const [countResult, dataResult] = await Promise.all([
+        db.execute(countQuery, countParams),
+        db.execute(dataQuery, params)
+      ]);
+
+      const totalCount = parseInt(countResult[0][0]?.total_count || 0);
+      const totalQuantity = parseInt(countResult[0][0]?.total_quantity || 0);
+      const orders = dataResult[0];
+
+      return {
+        orders,
+        totalCount,
+        totalQuantity
+      };
+    } catch (error) {
+      console.error('Error getting paginated orders:', error);
+      throw new Error('Failed to get paginated orders from database');
+    }
+  }
+
+  /**
+   * Get admin orders with pagination, filtering, and search (optimized with LIMIT/OFFSET)
+   * @param {Object} options - Query options
+   * @param {string} options.search - Search term for order_id, product_name, product_code, customer_name
+   * @param {string} options.dateFrom - Start date (YYYY-MM-DD format)
+   * @param {string} options.dateTo - End date (YYYY-MM-DD format)
+   * @param {string} options.status - Filter by status ('all', 'claimed', 'unclaimed', or specific status)
+   * @param {string} options.vendor - Filter by vendor warehouse ID
+   * @param {string} options.store - Filter by store account code
+   * @param {boolean} options.showInactiveStores - Include orders from inactive stores (default: false)
+   * @param {number} options.limit - Number of records per page
+   * @param {number} options.offset - Number of records to skip
+   * @param {Date} options.cutoffDate - Only include orders after this date
+   * @returns {Promise<Object>} Object with orders array, totalCount, and totalQuantity
+   */
+  async getAdminOrdersPaginated(options = {}) {
+    const {
+      search = '',
+      dateFrom = null,
+      dateTo = null,
+      status = 'all',
+      vendor = null,
+      store = null,
+      showInactiveStores = false,
+      limit = 50,
+      offset = 0,
+      cutoffDate = null
+    } = options;
+
+    // Use pool if available (preferred for parallel execution), otherwise fall back to connection
+    const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Build WHERE clause conditions (reusable for both COUNT and SELECT queries)
+      let whereConditions = '(o.is_in_new_order = 1 OR c.label_downloaded = 1)';
+      const params = [];
+      const countParams = [];
+
+      // Apply cutoff date filter (for performance - only recent orders)
+      if (cutoffDate) {
+        whereConditions += ` AND o.order_date >= ?`;
+        const mysqlDate = cutoffDate.toISOString().slice(0, 19).replace('T', ' ');
+        params.push(mysqlDate);
+        countParams.push(mysqlDate);
+      }
+
+      // Apply search filter (SQL LIKE for order_id, product_name, product_code, customer_name)
+      if (search && search.trim() !== '') {
+        const searchTerm = `%${search.trim()}%`;
+        whereConditions += ` AND (
+          o.order_id LIKE ? OR
+          o.product_name LIKE ? OR
+          o.product_code LIKE ? OR
+          o.customer_name LIKE ?
+        )`;
+        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+        countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
+      }
+
+      // Apply date range filter
+      if (dateFrom || dateTo) {
+        if (dateFrom && dateTo) {
+          whereConditions += ` AND o.order_date >= ? AND o.order_date <= ?`;
+          const dateToEnd = dateTo + ' 23:59:59';
+          params.push(dateFrom, dateToEnd);
+          countParams.push(dateFrom, dateToEnd);
+        } else if (dateFrom) {
+          whereConditions += ` AND o.order_date >= ?`;
+          params.push(dateFrom);
+          countParams.push(dateFrom);
+        } else if (dateTo) {
+          whereConditions += ` AND o.order_date <= ?`;
+          const dateToEnd = dateTo + ' 23:59:59';
+          params.push(dateToEnd);
+          countParams.push(dateToEnd);
+        }
+      }
+
+      // Apply status filter (supports single status or array of statuses)
+      if (status && status !== 'all') {
+        const statusArray = Array.isArray(status) ? status : [status];
+        if (statusArray.length > 0) {
+          const placeholders = statusArray.map(() => '?').join(',');
+          whereConditions += ` AND (
+            CASE 
+              WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+              THEN l.current_shipment_status 
+              ELSE c.status 
+            END IN (${placeholders})
+          )`;
+          params.push(...statusArray);
+          countParams.push(...statusArray);
+        }
+      }
+
+      // Apply vendor filter (supports single vendor or array of vendors, including unclaimed)
+      if (vendor) {
+        const vendorArray = Array.isArray(vendor) ? vendor : [vendor];
+        const validVendors = vendorArray.filter(v => v && typeof v === 'string' && v.trim() !== '');
+
+        if (validVendors.length > 0) {
+          const hasUnclaimed = validVendors.includes('__UNCLAIMED__');
+          const warehouseIds = validVendors.filter(v => v !== '__UNCLAIMED__');
+
+          if (hasUnclaimed && warehouseIds.length > 0) {
+            // Both unclaimed and specific vendors
+            const placeholders = warehouseIds.map(() => '?').join(',');
+            whereConditions += ` AND (c.claimed_by IS NULL OR c.claimed_by = '' OR c.claimed_by IN (${placeholders}))`;
+            params.push(...warehouseIds);
+            countParams.push(...warehouseIds);
+          } else if (hasUnclaimed) {
+            // Only unclaimed
+            whereConditions += ` AND (c.claimed_by IS NULL OR c.claimed_by = '')`;
+          } else {
+            // Only specific vendors
+            const placeholders = warehouseIds.map(() => '?').join(',');
+            whereConditions += ` AND c.claimed_by IN (${placeholders})`;
+            params.push(...warehouseIds);
+            countParams.push(...warehouseIds);
+          }
+        }
+      }
+
+      // Apply store filter (supports single store or array of stores)
+      if (store) {
+        const storeArray = Array.isArray(store) ? store : [store];
+        const validStores = storeArray.filter(s => s && typeof s === 'string' && s.trim() !== '');
+
+        if (validStores.length > 0) {
+          const placeholders = validStores.map(() => '?').join(',');
+          whereConditions += ` AND o.account_code IN (${placeholders})`;
+          params.push(...validStores);
+          countParams.push(...validStores);
+        }
+      }
+
+      // Filter inactive stores unless explicitly requested
+      if (!showInactiveStores) {
+        whereConditions += ` AND (s.status = 'active' OR s.status IS NULL)`;
+        // Note: OR s.status IS NULL handles edge case where store_info might not have a record
+      }
+
+      // Build data query with LIMIT/OFFSET and vendor info
+      const dataQuery = `
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status as claims_status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest,
+          l.manifest_id,
+          l.current_shipment_status,
+          l.is_handover,
+          COALESCE(sc.brand_name, s.store_name) as store_name,
+          s.status as store_status,
+          u.name as vendor_name,
+          u.warehouseId as vendor_warehouse_id,
+          pr.cod_risk,
+          pr.cod_rto_rate,
+          pr.cod_shipments as pincode_cod_shipments,
+          CASE 
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+            THEN l.current_shipment_status 
+            ELSE c.status 
+          END as status,
+          CASE
+            WHEN ci.billing_firstname IS NOT NULL AND ci.billing_firstname != '' 
+            THEN TRIM(CONCAT(COALESCE(ci.billing_firstname, ''), ' ', COALESCE(ci.billing_lastname, '')))
+            WHEN ci.shipping_firstname IS NOT NULL AND ci.shipping_firstname != ''
+            THEN TRIM(CONCAT(COALESCE(ci.shipping_firstname, ''), ' ', COALESCE(ci.shipping_lastname, '')))
+            WHEN o.customer_name IS NOT NULL AND o.customer_name != ''
+            THEN o.customer_name
+            ELSE NULL
+          END as customer_name_from_info
+        FROM orders o
+        LEFT JOIN (
+          SELECT sku_id, account_code, MIN(image) as image
+          FROM products
+          GROUP BY sku_id, account_code
+        ) p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        LEFT JOIN store_info s ON o.account_code = s.account_code
+        LEFT JOIN users u ON c.claimed_by = u.warehouseId
+        LEFT JOIN (
+          SELECT order_id, account_code,
+            MIN(billing_firstname) as billing_firstname,
+            MIN(billing_lastname) as billing_lastname,
+            MIN(shipping_firstname) as shipping_firstname,
+            MIN(shipping_lastname) as shipping_lastname,
+            MIN(store_code) as store_code
+          FROM customer_info
+          GROUP BY order_id, account_code
+        ) ci ON o.order_id = ci.order_id AND o.account_code = ci.account_code
+        LEFT JOIN store_shopify_connections sc ON o.account_code = sc.account_code AND sc.store_code = COALESCE(ci.store_code, '1')
+        LEFT JOIN pincode_carrier_scores pr ON pr.pincode = o.pincode AND pr.carrier_id = ''
+        WHERE ${whereConditions}
+        ORDER BY o.order_date DESC, o.order_id, o.product_name
+        LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}` ;
+
+      // Build COUNT query for total count and quantity
+      const countQuery = `
+        SELECT 
+          COUNT(DISTINCT o.unique_id) as total_count,
+          COALESCE(SUM(o.quantity), 0) as total_quantity
+        FROM orders o
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        LEFT JOIN store_info s ON o.account_code = s.account_code
+        WHERE ${whereConditions}`;
+
+      // Execute COUNT query and data query in parallel using connection pool
+      const [countResult, dataResult] = await Promise.all([
+        db.execute(countQuery, countParams),
+        db.execute(dataQuery, params)
+      ]);
+
+      const totalCount = parseInt(countResult[0][0]?.total_count || 0);
+      const totalQuantity = parseInt(countResult[0][0]?.total_quantity || 0);
+      const orders = dataResult[0];
+
+      console.log(`📊 Admin Orders Paginated: Found ${totalCount} total orders, returning ${orders.length} orders (offset: ${offset}, limit: ${limit})`);
+
+      return {
+        orders,
+        totalCount,
+        totalQuantity
+      };
+    } catch (error) {
+      console.error('Error getting admin paginated orders:', error);
+      throw new Error('Failed to get admin paginated orders from database');
+    }
+  }
+
+  /**
+   * Get all distinct statuses currently present in the system
+   * This combines statuses from claims table and labels table
+   */
+  async getDistinctOrderStatuses() {
+    // Use pool if available
+    const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Query 1: Get distinct statuses from claims table
+      const claimsQuery = `SELECT DISTINCT status FROM claims WHERE status IS NOT NULL AND status != ''`;
+
+      // Query 2: Get distinct shipment statuses from labels table
+      const labelsQuery = `SELECT DISTINCT current_shipment_status as status FROM labels WHERE current_shipment_status IS NOT NULL AND current_shipment_status != ''`;
+
+      const [claimsResult, labelsResult] = await Promise.all([
+        db.execute(claimsQuery),
+        db.execute(labelsQuery)
+      ]);
+
+      const statusSet = new Set();
+
+      // Add statuses from claims
+      claimsResult[0].forEach(row => {
+        if (row.status) statusSet.add(row.status);
+      });
+
+      // Add statuses from labels
+      labelsResult[0].forEach(row => {
+        if (row.status) statusSet.add(row.status);
+      });
+
+      // Sort and return as array
+      const distinctStatuses = Array.from(statusSet).sort();
+
+      console.log(`📊 Found ${distinctStatuses.length} distinct statuses in the system`);
+      return distinctStatuses;
+    } catch (error) {
+      console.error('Error getting distinct statuses:', error);
+      throw new Error('Failed to get distinct statuses from database');
+    }
+  }
+
+  /**
+   * Get admin dashboard statistics (total counts for cards)
+   * @param {Object} options - Filter options
+   * @param {string} options.search - Search term
+   * @param {string} options.dateFrom - Start date (YYYY-MM-DD format)
+   * @param {string} options.dateTo - End date (YYYY-MM-DD format)
+   * @param {string} options.status - Filter by status
+   * @param {string} options.vendor - Filter by vendor warehouse ID
+   * @param {string} options.store - Filter by store account code
+   * @param {boolean} options.showInactiveStores - Include inactive stores
+   * @param {Date} options.cutoffDate - Only include orders after this date
+   * @returns {Promise<Object>} Statistics object
+   */
+  async getAdminDashboardStats(options = {}) {
+    const {
+      search = '',
+      dateFrom = null,
+      dateTo = null,
+      status = 'all',
+      vendor = null,
+      store = null,
+      showInactiveStores = false,
+      cutoffDate = null
+    } = options;
+
+    // Use pool if available (preferred for parallel execution)
+    const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Build WHERE clause conditions (same as pagination for consistency)
+      let whereConditions = '(o.is_in_new_order = 1 OR c.label_downloaded = 1)';
+      const params = [];
+
+      // Apply cutoff date filter
+      if (cutoffDate) {
+        whereConditions += ` AND o.order_date >= ?`;
+        const mysqlDate = cutoffDate.toISOString().slice(0, 19).replace('T', ' ');
+        params.push(mysqlDate);
+      }
+
+      // Apply search filter
+      if (search && search.trim() !== '') {
+        const searchTerm = `%${search.trim()}%`;
+        whereConditions += ` AND (
+          o.order_id LIKE ? OR
+          o.product_name LIKE ? OR
+          o.product_code LIKE ? OR
+          o.customer_name LIKE ?
+        )`;
+        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
+      }
+
+      // Apply date range filter
+      if (dateFrom || dateTo) {
+        if (dateFrom && dateTo) {
+          whereConditions += ` AND o.order_date >= ? AND o.order_date <= ?`;
+          const dateToEnd = dateTo + ' 23:59:59';
+          params.push(dateFrom, dateToEnd);
+        } else if (dateFrom) {
+          whereConditions += ` AND o.order_date >= ?`;
+          params.push(dateFrom);
+        } else if (dateTo) {
+          whereConditions += ` AND o.order_date <= ?`;
+          const dateToEnd = dateTo + ' 23:59:59';
+          params.push(dateToEnd);
+        }
+      }
+
+      // Apply vendor filter (supports single vendor or array of vendors, including unclaimed)
+      if (vendor) {
+        const vendorArray = Array.isArray(vendor) ? vendor : [vendor];
+        const validVendors = vendorArray.filter(v => v && typeof v === 'string' && v.trim() !== '');
+
+        if (validVendors.length > 0) {
+          const hasUnclaimed = validVendors.includes('__UNCLAIMED__');
+          const warehouseIds = validVendors.filter(v => v !== '__UNCLAIMED__');
+
+          if (hasUnclaimed && warehouseIds.length > 0) {
+            // Both unclaimed and specific vendors
+            const placeholders = warehouseIds.map(() => '?').join(',');
+            whereConditions += ` AND (c.claimed_by IS NULL OR c.claimed_by = '' OR c.claimed_by IN (${placeholders}))`;
+            params.push(...warehouseIds);
+          } else if (hasUnclaimed) {
+            // Only unclaimed
+            whereConditions += ` AND (c.claimed_by IS NULL OR c.claimed_by = '')`;
+          } else {
+            // Only specific vendors
+            const placeholders = warehouseIds.map(() => '?').join(',');
+            whereConditions += ` AND c.claimed_by IN (${placeholders})`;
+            params.push(...warehouseIds);
+          }
+        }
+      }
+
+      // Apply store filter (supports single store or array of stores)
+      if (store) {
+        const storeArray = Array.isArray(store) ? store : [store];
+        const validStores = storeArray.filter(s => s && typeof s === 'string' && s.trim() !== '');
+
+        if (validStores.length > 0) {
+          const placeholders = validStores.map(() => '?').join(',');
+          whereConditions += ` AND o.account_code IN (${placeholders})`;
+          params.push(...validStores);
+        }
+      }
+
+      // Filter inactive stores unless explicitly requested
+      if (!showInactiveStores) {
+        whereConditions += ` AND (s.status = 'active' OR s.status IS NULL)`;
+        // Note: OR s.status IS NULL handles edge case where store_info might not have a record
+      }
+
+      // If status filter is applied, we calculate stats for those statuses
+      // Otherwise, calculate all stats in parallel
+      if (status && status !== 'all') {
+        const statusArray = Array.isArray(status) ? status : [status];
+        if (statusArray.length > 0) {
+          const placeholders = statusArray.map(() => '?').join(',');
+          const statusCondition = ` AND (
+            CASE 
+              WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+              THEN l.current_shipment_status 
+              ELSE c.status 
+            END IN (${placeholders})
+          )`;
+
+          // Total query with status filter
+          const totalQuery = `
+            SELECT 
+              COUNT(DISTINCT o.unique_id) as total_count,
+              COALESCE(SUM(o.quantity), 0) as total_quantity
+            FROM orders o
+            LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+            LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+            LEFT JOIN store_info s ON o.account_code = s.account_code
+            WHERE ${whereConditions}${statusCondition}`;
+
+          const totalParams = [...params, ...statusArray];
+          const [totalResult] = await db.execute(totalQuery, totalParams);
+          const totalCount = parseInt(totalResult[0]?.total_count || 0);
+          const totalQuantity = parseInt(totalResult[0]?.total_quantity || 0);
+
+          // Calculate claimed and unclaimed counts if those statuses are in the filter
+          let claimedCount = 0;
+          let unclaimedCount = 0;
+
+          if (statusArray.includes('claimed')) {
+            const claimedQuery = `
+              SELECT COUNT(DISTINCT o.unique_id) as total_count
+              FROM orders o
+              LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+              LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+              LEFT JOIN store_info s ON o.account_code = s.account_code
+              WHERE ${whereConditions} AND (
+                CASE 
+                  WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+                  THEN l.current_shipment_status 
+                  ELSE c.status 
+                END = 'claimed'
+              )`;
+            const [claimedResult] = await db.execute(claimedQuery, params);
+            claimedCount = parseInt(claimedResult[0]?.total_count || 0);
+          }
+
+          if (statusArray.includes('unclaimed')) {
+            const unclaimedQuery = `
+              SELECT COUNT(DISTINCT o.unique_id) as total_count
+              FROM orders o
+              LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+              LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+              LEFT JOIN store_info s ON o.account_code = s.account_code
+              WHERE ${whereConditions} AND (
+                CASE 
+                  WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+                  THEN l.current_shipment_status 
+                  ELSE c.status 
+                END = 'unclaimed'
+              )`;
+            const [unclaimedResult] = await db.execute(unclaimedQuery, params);
+            unclaimedCount = parseInt(unclaimedResult[0]?.total_count || 0);
+          }
+
+          return {
+            totalOrders: totalCount,
+            totalQuantity: totalQuantity,
+            claimedOrders: claimedCount,
+            unclaimedOrders: unclaimedCount,
+            hasFilters: !!(search || dateFrom || dateTo || vendor || store || (statusArray.length > 0))
+          };
+        }
+      }
+
+      // Calculate all stats in parallel (total, claimed, unclaimed)
+      const totalQuery = `
+        SELECT 
+          COUNT(DISTINCT o.unique_id) as total_count,
+          COALESCE(SUM(o.quantity), 0) as total_quantity
+        FROM orders o
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        LEFT JOIN store_info s ON o.account_code = s.account_code
+        WHERE ${whereConditions}`;
+
+      const claimedQuery = `
+        SELECT 
+          COUNT(DISTINCT o.unique_id) as total_count,
+          COALESCE(SUM(o.quantity), 0) as total_quantity
+        FROM orders o
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        LEFT JOIN store_info s ON o.account_code = s.account_code
+        WHERE ${whereConditions}
+        AND (
+          CASE 
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+            THEN l.current_shipment_status 
+            ELSE c.status 
+          END = 'claimed'
+        )`;
+
+      const unclaimedQuery = `
+        SELECT 
+          COUNT(DISTINCT o.unique_id) as total_count,
+          COALESCE(SUM(o.quantity), 0) as total_quantity
+        FROM orders o
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        LEFT JOIN store_info s ON o.account_code = s.account_code
+        WHERE ${whereConditions}
+        AND (
+          CASE 
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+            THEN l.current_shipment_status 
+            ELSE c.status 
+          END = 'unclaimed'
+        )`;
+
+      // Execute all 3 queries in parallel using connection pool
+      const [totalResult, claimedResult, unclaimedResult] = await Promise.all([
+        db.execute(totalQuery, params),
+        db.execute(claimedQuery, params),
+        db.execute(unclaimedQuery, params)
+      ]);
+
+      const totalCount = parseInt(totalResult[0][0]?.total_count || 0);
+      const totalQuantity = parseInt(totalResult[0][0]?.total_quantity || 0);
+      const claimedCount = parseInt(claimedResult[0][0]?.total_count || 0);
+      const unclaimedCount = parseInt(unclaimedResult[0][0]?.total_count || 0);
+
+      console.log(`📊 Admin Dashboard Stats: Total=${totalCount}, Claimed=${claimedCount}, Unclaimed=${unclaimedCount}`);
+
+      return {
+        totalOrders: totalCount,
+        totalQuantity: totalQuantity,
+        claimedOrders: claimedCount,
+        unclaimedOrders: unclaimedCount,
+        hasFilters: !!(search || dateFrom || dateTo || vendor || store)
+      };
+    } catch (error) {
+      console.error('Error getting admin dashboard stats:', error);
+      throw new Error('Failed to get admin dashboard stats from database');
+    }
+  }
+
+  /**
+   * Get orders claimed by a specific vendor from MySQL
+   * @param {string} warehouseId - Vendor warehouse ID
+   * @returns {Array} Array of claimed orders
+   */
+  async getOrdersByVendor(warehouseId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        WHERE c.claimed_by = ? AND (o.is_in_new_order = 1 OR c.label_downloaded = 1) 
+        ORDER BY c.claimed_at DESC
+      `, [warehouseId]);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting orders by vendor:', error);
+      throw new Error('Failed to get vendor orders from database');
+    }
+  }
+
+  /**
+   * Get individual orders for a vendor from MySQL (for frontend grouping)
+   * This returns individual orders like the original Excel flow
+   * @param {string} warehouseId - Vendor warehouse ID
+   * @returns {Array} Array of individual orders
+   */
+  async getGroupedOrders(warehouseId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status as claims_status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest,
+          l.current_shipment_status,
+          l.is_handover,
+          CASE 
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+            THEN l.current_shipment_status 
+            ELSE c.status 
+          END as status
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        WHERE c.claimed_by = ? 
+        AND (c.status = 'claimed' OR c.status = 'ready_for_handover')
+        AND (o.is_in_new_order = 1 OR c.label_downloaded = 1)
+        AND (l.is_manifest IS NULL OR l.is_manifest = 0)
+        ORDER BY o.order_date DESC, o.order_id
+      `, [warehouseId]);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting vendor orders:', error);
+      throw new Error('Failed to get vendor orders from database');
+    }
+  }
+
+  /**
+   * Get My Orders (orders that are claimed but not yet manifested)
+   * @param {string} warehouseId - Vendor warehouse ID
+   * @returns {Array} Array of individual orders for My Orders section
+   */
+  async getMyOrders(warehouseId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status as claims_status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest,
+          l.current_shipment_status,
+          l.is_handover,
+          CASE 
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+            THEN l.current_shipment_status 
+            ELSE c.status 
+          END as status
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id
+        WHERE c.claimed_by = ? 
+        AND (c.status = 'claimed' OR c.status = 'ready_for_handover')
+        AND (l.is_manifest IS NULL OR l.is_manifest = 0)
+        ORDER BY o.order_date DESC, o.order_id
+      `, [warehouseId]);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting My Orders:', error);
+      throw new Error('Failed to get My Orders from database');
+    }
+  }
+
+  /**
+   * Get Handover Orders (orders that have been manifested within last 24 hours)
+   * @param {string} warehouseId - Vendor warehouse ID
+   * @returns {Array} Array of individual orders for Handover section (< 24 hrs from handover_at)
+   */
+  async getHandoverOrders(warehouseId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status as claims_status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest,
+          l.manifest_id,
+          l.current_shipment_status,
+          l.is_handover,
+          CASE 
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+            THEN l.current_shipment_status 
+            ELSE c.status 
+          END as status
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        WHERE c.claimed_by = ? 
+        AND (c.status = 'claimed' OR c.status = 'ready_for_handover')
+        AND (o.is_in_new_order = 1 OR c.label_downloaded = 1)
+        AND l.is_manifest = 1
+        AND (l.is_handover = 0 OR l.is_handover IS NULL)
+        ORDER BY o.order_date DESC, o.order_id
+      `, [warehouseId]);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting Handover Orders:', error);
+      throw new Error('Failed to get Handover Orders from database');
+    }
+  }
+
+  /**
+   * Get Order Tracking Orders (orders that have been handed over - is_handover = 1)
+   * @param {string} warehouseId - Vendor warehouse ID
+   * @returns {Array} Array of individual orders for Order Tracking section (is_handover = 1)
+   */
+  async getOrderTrackingOrders(warehouseId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.*,
+          p.image as product_image,
+          c.status as claims_status,
+          c.claimed_by,
+          c.claimed_by_user_id,
+          c.claimed_at,
+          c.last_claimed_by,
+          c.last_claimed_at,
+          c.clone_status,
+          c.cloned_order_id,
+          c.is_cloned_row,
+          c.label_downloaded,
+          l.label_url,
+          l.awb,
+          l.carrier_id,
+          l.carrier_name,
+          l.handover_at,
+          c.priority_carrier,
+          l.is_manifest,
+          l.manifest_id,
+          l.current_shipment_status,
+          l.is_handover,
+          CASE 
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
+            THEN l.current_shipment_status 
+            ELSE c.status 
+          END as status
+        FROM orders o
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        WHERE c.claimed_by = ? 
+        AND (c.status = 'claimed' OR c.status = 'ready_for_handover')
+        AND (o.is_in_new_order = 1 OR c.label_downloaded = 1)
+        AND l.is_manifest = 1
+        AND l.is_handover = 1
+        ORDER BY o.order_date DESC, o.order_id
+      `, [warehouseId]);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting Order Tracking Orders:', error);
+      throw new Error('Failed to get Order Tracking Orders from database');
+    }
+  }
+
+  /**
+   * Update order in MySQL
+   * @param {string} unique_id - Order unique ID
+   * @param {Object} updateData - Data to update
+   * @returns {Object|null} Updated order or null if not found
+   */
+  async updateOrder(unique_id, updateData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Separate fields for orders, claims, and labels tables
+      const orderFields = [];
+      const orderValues = [];
+      const claimFields = [];
+      const claimValues = [];
+      const labelFields = [];
+      const labelValues = [];
+
+      // Orders table fields
+      // Note: Financial fields (selling_price, order_total, payment_type, is_partial_paid, prepaid_amount,
+      // order_total_ratio, order_total_split, collectable_amount) are FROZEN at the shipwayService level.
+      // They are only updated when payment_type or is_partial_paid changes during sync.
+      // They are still allowed here so the sync can update them when needed.
+      const allowedOrderFields = [
+        'order_id', 'customer_name', 'order_date',
+        'product_name', 'product_code', 'selling_price', 'order_total',
+        'payment_type', 'is_partial_paid', 'prepaid_amount', 'order_total_ratio', 'order_total_split',
+        'collectable_amount', 'pincode', 'is_in_new_order'
+      ];
+
+      // Claims table fields
+      const allowedClaimFields = [
+        'order_id', 'status', 'claimed_by', 'claimed_by_user_id', 'claimed_at', 'last_claimed_by', 'last_claimed_at',
+        'clone_status', 'cloned_order_id', 'is_cloned_row', 'label_downloaded', 'priority_carrier'
+      ];
+
+      // A new claimed_by without its claiming user (admin assign, unclaim) clears the previous claimer
+      if (updateData.claimed_by !== undefined && updateData.claimed_by_user_id === undefined) {
+        updateData = { ...updateData, claimed_by_user_id: null };
+      }
+
+      // Labels table fields
+      const allowedLabelFields = [
+        'label_url', 'awb', 'carrier_name', 'handover_at'
+      ];
+
+      // Separate the fields
+      allowedOrderFields.forEach(field => {
+        if (updateData[field] !== undefined) {
+          orderFields.push(`${field} = ?`);
+          orderValues.push(updateData[field]);
+        }
+      });
+
+      allowedClaimFields.forEach(field => {
+        if (updateData[field] !== undefined) {
+          claimFields.push(`${field} = ?`);
+          claimValues.push(updateData[field]);
+        }
+      });
+
+      allowedLabelFields.forEach(field => {
+        if (updateData[field] !== undefined) {
+          labelFields.push(`${field} = ?`);
+          labelValues.push(updateData[field]);
+        }
+      });
+
+      // Update orders table if there are order fields to update
+      if (orderFields.length > 0) {
+        orderValues.push(unique_id);
+        const [orderResult] = await this.mysqlConnection.execute(
+          `UPDATE orders SET ${orderFields.join(', ')} WHERE unique_id = ?`,
+          orderValues
+        );
+
+        // Don't return early - we still need to update claims and labels tables
+        // if (orderResult.affectedRows === 0) {
+        //   return null;
+        // }
+      }
+
+      // Update claims table if there are claim fields to update
+      if (claimFields.length > 0) {
+        // First, ensure a claim record exists for this unique_id
+        await this.mysqlConnection.execute(`
+          INSERT INTO claims (order_unique_id, order_id, account_code) 
+          SELECT o.unique_id, o.order_id, o.account_code FROM orders o WHERE o.unique_id = ?
+          ON DUPLICATE KEY UPDATE order_unique_id = VALUES(order_unique_id), account_code = VALUES(account_code)
+        `, [unique_id]);
+
+        claimValues.push(unique_id);
+        await this.mysqlConnection.execute(
+          `UPDATE claims SET ${claimFields.join(', ')} WHERE order_unique_id = ?`,
+          claimValues
+        );
+      }
+
+      // Update labels table if there are label fields to update
+      if (labelFields.length > 0) {
+        // First, get the order_id for this unique_id
+        const [orderRows] = await this.mysqlConnection.execute(
+          'SELECT order_id FROM orders WHERE unique_id = ?',
+          [unique_id]
+        );
+
+        if (orderRows.length > 0) {
+          const orderId = orderRows[0].order_id;
+
+          // Get the account_code from orders table
+          const [orderData] = await this.mysqlConnection.execute(
+            'SELECT account_code FROM orders WHERE order_id = ? LIMIT 1',
+            [orderId]
+          );
+          if (orderData.length === 0 || !orderData[0].account_code) {
+            throw new Error(`Order ${orderId} not found or missing account_code`);
+          }
+          const accountCode = orderData[0].account_code;
+
+          // Ensure a label record exists for this order_id
+          await this.mysqlConnection.execute(`
+            INSERT INTO labels (order_id, account_code) 
+            VALUES (?, ?)
+            ON DUPLICATE KEY UPDATE order_id = VALUES(order_id), account_code = VALUES(account_code)
+          `, [orderId, accountCode]);
+
+          // CRITICAL: Filter by both order_id AND account_code to ensure store-specific update
+          labelValues.push(orderId, accountCode);
+          await this.mysqlConnection.execute(
+            `UPDATE labels SET ${labelFields.join(', ')} WHERE order_id = ? AND account_code = ?`,
+            labelValues
+          );
+        }
+      }
+
+      // If no fields to update at all
+      if (orderFields.length === 0 && claimFields.length === 0 && labelFields.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      return await this.getOrderByUniqueId(unique_id);
+    } catch (error) {
+      console.error('Error updating order:', error);
+      throw new Error('Failed to update order');
+    }
+  }
+
+  /**
+   * Move the claim rows of a store's order to ready_for_handover and record an order event
+   * for each row in the same transaction, so the audit trail cannot miss the transition
+   * @param {string} orderId - Order ID
+   * @param {string} accountCode - Store account code
+   * @param {Object} event - { event_type, actor_type, actor_id, actor_name, source, details }
+   * @returns {Promise<number>} Number of rows moved
+   */
+  async setOrderReadyForHandover(orderId, accountCode, event) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    const connection = await this.mysqlPool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [claims] = await connection.execute(
+        `SELECT order_unique_id, status, claimed_by FROM claims
+         WHERE order_id = ? AND account_code = ? AND status <> 'ready_for_handover'
+         FOR UPDATE`,
+        [orderId, accountCode]
+      );
+
+      if (claims.length > 0) {
+        await connection.execute(
+          `UPDATE claims SET status = 'ready_for_handover'
+           WHERE order_id = ? AND account_code = ? AND status <> 'ready_for_handover'`,
+          [orderId, accountCode]
+        );
+
+        await this.createOrderEvents(claims.map(claim => ({
+          ...event,
+          order_unique_id: claim.order_unique_id,
+          order_id: orderId,
+          account_code: accountCode,
+          from_status: claim.status,
+          to_status: 'ready_for_handover',
+          claimed_by: claim.claimed_by
+        })), connection);
+      }
+
+      await connection.commit();
+      return claims.length;
+    } catch (error) {
+      await connection.rollback();
+      console.error(`Error setting order ${orderId} (${accountCode}) ready for handover:`, error);
+      throw new Error('Failed to set order ready for handover');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Atomically claim an order row for a vendor (compare-and-set on claims.status/claimed_by).
+   * The claim row is locked with SELECT ... FOR UPDATE, so when two vendors claim the same
+   * unique_id at the same time exactly one of them wins; the other gets claimed = false.
+   * @param {string} unique_id - Order unique ID
+   * @param {string} warehouseId - Claiming vendor's warehouse ID
+   * @param {string} claimedAt - Claim timestamp (YYYY-MM-DD HH:mm:ss)
+   * @param {string|null} userId - Individual user (vendor owner or team member) making the claim
+   * @param {Object|null} limits - Vendor capacity to enforce: { vendorId, maxOpenClaims, maxPerSkuPerDay, dayStart }.
+   *   The vendor's users row is locked while the limits are checked, so parallel claims of one vendor
+   *   cannot overshoot them.
+   * @returns {Promise<Object>} { claimed, reason, status, claimed_by }; reason is 'not_found', 'already_claimed',
+   *   'capacity_reached' or 'sku_daily_limit' when not claimed
+   */
+  async claimOrderAtomically(unique_id, warehouseId, claimedAt, userId = null, limits = null) {
+    if (!this.mysqlConnection && !this.mysqlPool) {
+      throw new Error('MySQL connection not available');
+    }
+
+    const db = this.mysqlPool || this.mysqlConnection;
+
+    // Make sure a claim row exists to lock (orders synced before claims existed may lack one)
+    await db.execute(`
+      INSERT INTO claims (order_unique_id, order_id, account_code)
+      SELECT o.unique_id, o.order_id, o.account_code FROM orders o WHERE o.unique_id = ?
+      ON DUPLICATE KEY UPDATE order_unique_id = order_unique_id
+    `, [unique_id]);
+
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const [rows] = await connection.execute(
+        'SELECT status, claimed_by FROM claims WHERE order_unique_id = ? FOR UPDATE',
+        [unique_id]
+      );
+
+      if (rows.length === 0) {
+        await connection.rollback();
+        return { claimed: false, reason: 'not_found', status: null, claimed_by: null };
+      }
+
+      const current = rows[0];
+      if (current.status !== 'unclaimed' || current.claimed_by) {
+        await connection.rollback();
+        return { claimed: false, reason: 'already_claimed', status: current.status, claimed_by: current.claimed_by };
+      }
+
+      if (limits) {
+        const limitReason = await this.checkClaimLimits(connection, unique_id, warehouseId, limits);
+        if (limitReason) {
+          await connection.rollback();
+          return { claimed: false, reason: limitReason, status: current.status, claimed_by: null };
+        }
+      }
+
+      const [result] = await connection.execute(
+        `UPDATE claims SET
+          status = 'claimed',
+          claimed_by = ?,
+          claimed_by_user_id = ?,
+          claimed_at = ?,
+          last_claimed_by = ?,
+          last_claimed_at = ?
+        WHERE order_unique_id = ? AND status = 'unclaimed' AND (claimed_by IS NULL OR claimed_by = '')`,
+        [warehouseId, userId, claimedAt, warehouseId, claimedAt, unique_id]
+      );
+
+      if (result.affectedRows !== 1) {
+        await connection.rollback();
+        return { claimed: false, reason: 'already_claimed', status: current.status, claimed_by: current.claimed_by };
+      }
+
+      await connection.commit();
+      return { claimed: true, reason: null, status: 'claimed', claimed_by: warehouseId };
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error claiming order atomically:', error);
+      throw new Error('Failed to claim order');
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Check a vendor's capacity limits inside a claim transaction
+   * @param {Object} connection - Connection with an open transaction
+   * @param {string} unique_id - Order row being claimed
+   * @param {string} warehouseId - Claiming vendor's warehouse ID
+   * @param {Object} limits - { vendorId, maxOpenClaims, maxPerSkuPerDay, dayStart } (null limits are not checked)
+   * @returns {Promise<string|null>} 'capacity_reached', 'sku_daily_limit' or null when the claim fits
+   */
+  async checkClaimLimits(connection, unique_id, warehouseId, limits) {
+    const { vendorId, maxOpenClaims, maxPerSkuPerDay, dayStart } = limits;
+    if (maxOpenClaims == null && maxPerSkuPerDay == null) {
+      return null;
+    }
+
+    // Serialize claims of the same vendor until this transaction ends
+    await connection.execute('SELECT id FROM users WHERE id = ? FOR UPDATE', [vendorId]);
+
+    if (maxOpenClaims != null) {
+      const [[open]] = await connection.execute(
+        `SELECT COUNT(*) AS count FROM claims WHERE claimed_by = ? AND status = 'claimed'`,
+        [warehouseId]
+      );
+      if (Number(open.count) >= maxOpenClaims) {
+        return 'capacity_reached';
+      }
+    }
+
+    if (maxPerSkuPerDay != null) {
+      const [[order]] = await connection.execute(
+        'SELECT product_code FROM orders WHERE unique_id = ?',
+        [unique_id]
+      );
+      if (order && order.product_code) {
+        const [[sku]] = await connection.execute(
+          `SELECT COUNT(*) AS count
+           FROM claims c
+           JOIN orders o ON o.unique_id = c.order_unique_id
+           WHERE c.claimed_by = ? AND c.claimed_at >= ? AND o.product_code = ?`,
+          [warehouseId, dayStart, order.product_code]
+        );
+        if (Number(sku.count) >= maxPerSkuPerDay) {
+          return 'sku_daily_limit';
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Bulk update orders in MySQL
+   * @param {Array} updates - Array of {unique_id, updateData} objects
+   * @returns {Array} Array of updated orders
+   */
+  async bulkUpdateOrders(updates) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const updatedOrders = [];
+
+      for (const update of updates) {
+        const updatedOrder = await this.updateOrder(update.unique_id, update.updateData);
+        if (updatedOrder) {
+          updatedOrders.push(updatedOrder);
+        }
+      }
+
+      return updatedOrders;
+    } catch (error) {
+      console.error('Error bulk updating orders:', error);
+      throw new Error('Failed to bulk update orders');
+    }
+  }
+
+  /**
+   * Delete order from MySQL
+   * @param {string} unique_id - Order unique ID
+   * @returns {boolean} True if deleted, false if not found
+   */
+  async deleteOrder(unique_id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        'DELETE FROM orders WHERE unique_id = ?',
+        [unique_id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting order:', error);
+      throw new Error('Failed to delete order');
+    }
+  }
+
+  /**
+   * Search orders in MySQL
+   * @param {string} searchTerm - Search term
+   * @returns {Array} Array of matching orders
+   */
+  async searchOrders(searchTerm) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT o.*, p.image as product_image
+         FROM orders o
+         LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+         LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+         WHERE (o.order_id LIKE ? OR o.customer_name LIKE ? OR o.product_name LIKE ? 
+         OR o.product_code LIKE ? OR o.pincode LIKE ?)
+         AND (o.is_in_new_order = 1 OR c.label_downloaded = 1)
+         ORDER BY o.order_date DESC, o.order_id`,
+        [
+          `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`,
+          `%${searchTerm}%`, `%${searchTerm}%`
+        ]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error searching orders:', error);
+      throw new Error('Failed to search orders');
+    }
+  }
+
+  /**
+   * Wait for MySQL initialization to complete
+   * @returns {Promise<boolean>} True if MySQL is available
+   */
+  async waitForMySQLInitialization() {
+    // Wait for initialization to complete
+    while (!this.mysqlInitialized) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return this.mysqlConnection !== null;
+  }
+
+  /**
+   * Check if MySQL connection is available
+   * @returns {boolean} True if MySQL is available
+   */
+  isMySQLAvailable() {
+    // Check pool first (preferred), then fall back to connection for backward compatibility
+    return (this.mysqlPool !== null) || (this.mysqlConnection !== null);
+  }
+
+  /**
+   * Test database connection health
+   * @returns {Promise<boolean>} True if connection is healthy
+   */
+  async testConnection() {
+    if (!this.mysqlConnection) {
+      return false;
+    }
+
+    try {
+      await this.mysqlConnection.execute('SELECT 1');
+      return true;
+    } catch (error) {
+      console.error('❌ Database connection test failed:', error.message);
+
+      // Check if it's a connection lost error
+      if (error.code === 'PROTOCOL_CONNECTION_LOST' ||
+        error.code === 'ECONNRESET' ||
+        error.code === 'ETIMEDOUT' ||
+        error.code === 'ENOTFOUND') {
+        console.log('🔄 Stale connection detected');
+      }
+
+      return false;
+    }
+  }
+
+  /**
+   * Reconnect to database if connection is lost
+   * @returns {Promise<boolean>} True if reconnection successful
+   */
+  async reconnect() {
+    try {
+      console.log('🔄 Attempting to reconnect to database...');
+
+      // Close existing connection
+      if (this.mysqlConnection) {
+        try {
+          await this.mysqlConnection.end();
+        } catch (error) {
+          console.log('ℹ️ Error closing old connection (expected if connection was lost):', error.message);
+        }
+      }
+
+      // Reset state
+      this.mysqlConnection = null;
+      this.mysqlInitialized = false;
+
+      // Reinitialize connection
+      await this.initializeMySQL();
+
+      console.log('✅ Database reconnected successfully');
+      return true;
+    } catch (error) {
+      console.error('❌ Database reconnection failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Labels Table CRUD Operations
+   */
+
+  /**
+   * Get label by order_id
+   * @param {string} orderId - Order ID (can be clone order ID)
+   * @returns {Object|null} Label data or null if not found
+   */
+  async getLabelByOrderId(orderId, accountCode = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      let query = 'SELECT * FROM labels WHERE order_id = ?';
+      const params = [orderId];
+
+      // If account_code is provided, filter by it to ensure store-specific label retrieval
+      if (accountCode) {
+        query += ' AND account_code = ?';
+        params.push(accountCode);
+      }
+
+      const [rows] = await this.mysqlConnection.execute(query, params);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting label by order ID:', error);
+      throw new Error('Failed to get label from database');
+    }
+  }
+
+  /**
+   * Create or update label
+   * @param {Object} labelData - Label data {order_id, label_url, awb}
+   * @returns {Object} Created/updated label
+   */
+  async upsertLabel(labelData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!labelData.account_code) {
+      throw new Error('account_code is required for creating/updating label');
+    }
+
+    try {
+      // Handle partial updates by only updating provided fields
+      const updateFields = [];
+      const updateValues = [];
+
+      // Build dynamic update clause based on provided fields
+      if (labelData.hasOwnProperty('label_url')) {
+        updateFields.push('label_url = ?');
+        updateValues.push(labelData.label_url);
+      }
+      if (labelData.hasOwnProperty('awb')) {
+        updateFields.push('awb = ?');
+        updateValues.push(labelData.awb || null);
+      }
+      if (labelData.hasOwnProperty('carrier_id')) {
+        updateFields.push('carrier_id = ?');
+        updateValues.push(labelData.carrier_id || null);
+      }
+      if (labelData.hasOwnProperty('carrier_name')) {
+        updateFields.push('carrier_name = ?');
+        updateValues.push(labelData.carrier_name || null);
+      }
+      if (labelData.hasOwnProperty('priority_carrier')) {
+        updateFields.push('priority_carrier = ?');
+        updateValues.push(labelData.priority_carrier || null);
+      }
+      if (labelData.hasOwnProperty('is_manifest')) {
+        updateFields.push('is_manifest = ?');
+        updateValues.push(labelData.is_manifest || 0);
+      }
+      if (labelData.hasOwnProperty('manifest_id')) {
+        updateFields.push('manifest_id = ?');
+        updateValues.push(labelData.manifest_id || null);
+      }
+
+      // Always add updated_at
+      updateFields.push('updated_at = CURRENT_TIMESTAMP');
+
+      const updateClause = updateFields.join(', ');
+
+      const [result] = await this.mysqlConnection.execute(
+        `INSERT INTO labels (order_id, label_url, awb, carrier_id, carrier_name, priority_carrier, is_manifest, manifest_id, account_code) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) 
+         ON DUPLICATE KEY UPDATE ${updateClause}`,
+        [
+          labelData.order_id,
+          labelData.label_url || null,
+          labelData.awb || null,
+          labelData.carrier_id || null,
+          labelData.carrier_name || null,
+          labelData.priority_carrier || null,
+          labelData.is_manifest || 0,
+          labelData.manifest_id || null,
+          labelData.account_code,
+          ...updateValues
+        ]
+      );
+
+      // CRITICAL: Retrieve label with account_code to ensure store-specific retrieval
+      return await this.getLabelByOrderId(labelData.order_id, labelData.account_code);
+    } catch (error) {
+      console.error('Error creating/updating label:', error);
+      throw new Error('Failed to save label to database');
+    }
+  }
+
+  /**
+   * Get multiple labels by order_ids (bulk fetch)
+   * OPTIMIZATION: Fetches all labels in one query instead of N queries
+   * @param {Array<string>} order_ids - Array of order IDs
+   * @returns {Array} Array of label objects
+   */
+  async getLabelsByOrderIds(order_ids) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!order_ids || !Array.isArray(order_ids) || order_ids.length === 0) {
+      return [];
+    }
+
+    try {
+      // Create placeholders for IN clause (?, ?, ?, ...)
+      const placeholders = order_ids.map(() => '?').join(',');
+
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT * FROM labels WHERE order_id IN (${placeholders})`,
+        order_ids
+      );
+
+      return rows || [];
+    } catch (error) {
+      console.error('Error getting labels by order_ids:', error);
+      throw new Error('Failed to get labels from database');
+    }
+  }
+
+  /**
+   * Check if label exists for order_id
+   * @param {string} orderId - Order ID
+   * @returns {boolean} True if label exists
+   */
+  async labelExists(orderId) {
+    const label = await this.getLabelByOrderId(orderId);
+    return label !== null;
+  }
+
+  /**
+   * Get all labels
+   * @returns {Array} Array of all labels
+   */
+  async getAllLabels() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM labels ORDER BY created_at DESC'
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting all labels:', error);
+      throw new Error('Failed to get labels from database');
+    }
+  }
+
+  // ========================================
+  // Customer Info Methods
+  // ========================================
+
+  /**
+   * Get customer info by order ID
+   * @param {string} orderId - Order ID
+   * @returns {Object|null} Customer info or null if not found
+   */
+  async getCustomerInfoByOrderId(orderId, accountCode = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      let query = 'SELECT * FROM customer_info WHERE order_id = ?';
+      const params = [orderId];
+
+      if (accountCode) {
+        query += ' AND account_code = ?';
+        params.push(accountCode);
+      }
+
+      const [rows] = await this.mysqlConnection.execute(query, params);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting customer info by order ID:', error);
+      throw new Error('Failed to get customer info from database');
+    }
+  }
+
+  /**
+   * Get multiple customer info by order_ids (bulk fetch)
+   * OPTIMIZATION: Fetches all customer info in one query instead of N queries
+   * @param {Array<string>} order_ids - Array of order IDs
+   * @returns {Array} Array of customer info objects
+   */
+  async getCustomerInfoByOrderIds(order_ids) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!order_ids || !Array.isArray(order_ids) || order_ids.length === 0) {
+      return [];
+    }
+
+    try {
+      const placeholders = order_ids.map(() => '?').join(',');
+
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT * FROM customer_info WHERE order_id IN (${placeholders})`,
+        order_ids
+      );
+
+      return rows || [];
+    } catch (error) {
+      console.error('Error getting customer info by order_ids:', error);
+      throw new Error('Failed to get customer info from database');
+    }
+  }
+
+  /**
+   * Create or update customer info
+   * @param {Object} customerData - Customer data
+   * @returns {Object} Created/updated customer info
+   */
+  async upsertCustomerInfo(customerData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!customerData.account_code) {
+      throw new Error('account_code is required for creating/updating customer info');
+    }
+
+    try {
+      const fields = [
+        'store_code',
+        'email', 'billing_firstname', 'billing_lastname', 'billing_phone',
+        'billing_address', 'billing_address2', 'billing_city', 'billing_state',
+        'billing_country', 'billing_zipcode', 'billing_latitude', 'billing_longitude',
+        'shipping_firstname', 'shipping_lastname', 'shipping_phone',
+        'shipping_address', 'shipping_address2', 'shipping_city', 'shipping_state',
+        'shipping_country', 'shipping_zipcode', 'shipping_latitude', 'shipping_longitude',
+        'account_code'
+      ];
+
+      const updateClauses = fields.map(field => `${field} = VALUES(${field})`).join(', ');
+      const fieldNames = ['order_id', ...fields].join(', ');
+      const placeholders = ['order_id', ...fields].map(() => '?').join(', ');
+
+      const values = [
+        customerData.order_id,
+        customerData.store_code || null,
+        customerData.email || null,
+        customerData.billing_firstname || null,
+        customerData.billing_lastname || null,
+        customerData.billing_phone || null,
+        customerData.billing_address || null,
+        customerData.billing_address2 || null,
+        customerData.billing_city || null,
+        customerData.billing_state || null,
+        customerData.billing_country || null,
+        customerData.billing_zipcode || null,
+        customerData.billing_latitude || null,
+        customerData.billing_longitude || null,
+        customerData.shipping_firstname || null,
+        customerData.shipping_lastname || null,
+        customerData.shipping_phone || null,
+        customerData.shipping_address || null,
+        customerData.shipping_address2 || null,
+        customerData.shipping_city || null,
+        customerData.shipping_state || null,
+        customerData.shipping_country || null,
+        customerData.shipping_zipcode || null,
+        customerData.shipping_latitude || null,
+        customerData.shipping_longitude || null,
+        customerData.account_code
+      ];
+
+      await this.mysqlConnection.execute(
+        `INSERT INTO customer_info (${fieldNames}) VALUES (${placeholders})
+         ON DUPLICATE KEY UPDATE ${updateClauses}`,
+        values
+      );
+
+      return await this.getCustomerInfoByOrderId(customerData.order_id);
+    } catch (error) {
+      console.error('Error creating/updating customer info:', error);
+      throw new Error('Failed to save customer info to database');
+    }
+  }
+
+  /**
+   * Copy customer info from one order to another (for clones)
+   * @param {string} sourceOrderId - Source order ID
+   * @param {string} targetOrderId - Target order ID (clone)
+   * @returns {Object} Copied customer info
+   */
+  async copyCustomerInfo(sourceOrderId, targetOrderId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Get source customer info
+      const sourceCustomer = await this.getCustomerInfoByOrderId(sourceOrderId);
+
+      if (!sourceCustomer) {
+        throw new Error(`Customer info not found for order ${sourceOrderId}`);
+      }
+
+      // Create new customer info with target order_id
+      const targetCustomer = {
+        ...sourceCustomer,
+        order_id: targetOrderId
+      };
+
+      // Remove timestamps to let database generate new ones
+      delete targetCustomer.created_at;
+      delete targetCustomer.updated_at;
+
+      // Insert the copied customer info
+      await this.upsertCustomerInfo(targetCustomer);
+
+      console.log(`✅ Copied customer info from ${sourceOrderId} to ${targetOrderId}`);
+      return await this.getCustomerInfoByOrderId(targetOrderId);
+    } catch (error) {
+      console.error('Error copying customer info:', error);
+      throw new Error(`Failed to copy customer info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Generic query method for executing SQL queries
+   * @param {string} sql - SQL query string
+   * @param {Array} params - Query parameters
+   * @returns {Promise<Array>} Array of result rows
+   */
+  async query(sql, params = []) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(sql, params);
+      return rows;
+    } catch (error) {
+      console.error('Error executing query:', error);
+      throw error;
+    }
+  }
+
+  // ==================== ORDER TRACKING METHODS ====================
+
+  /**
+   * Get active orders that need tracking updates
+   * Active orders: label_downloaded = 1 from claims table
+   * Note: We determine active/inactive based on latest shipment_status from Shipway API
+   */
+  async getActiveOrdersForTracking() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT DISTINCT c.order_id, o.account_code, l.awb
+        FROM claims c
+        INNER JOIN orders o ON c.order_id = o.order_id AND c.account_code = o.account_code
+        LEFT JOIN labels l ON c.order_id = l.order_id AND c.account_code = l.account_code
+        WHERE c.label_downloaded = 1 
+        AND c.order_id IS NOT NULL
+        AND o.account_code IS NOT NULL
+        ORDER BY c.order_id
+      `);
+      return rows;
+    } catch (error) {
+      console.error('Error getting active orders for tracking:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get inactive orders that need tracking updates
+   * Inactive orders: label_downloaded = 1 from claims table
+   * Note: We determine active/inactive based on latest shipment_status from Shipway API
+   */
+  async getInactiveOrdersForTracking() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT DISTINCT c.order_id, o.account_code, l.awb
+        FROM claims c
+        INNER JOIN orders o ON c.order_id = o.order_id AND c.account_code = o.account_code
+        LEFT JOIN labels l ON c.order_id = l.order_id AND c.account_code = l.account_code
+        WHERE c.label_downloaded = 1 
+        AND c.order_id IS NOT NULL
+        AND o.account_code IS NOT NULL
+        ORDER BY c.order_id
+      `);
+      return rows;
+    } catch (error) {
+      console.error('Error getting inactive orders for tracking:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get orders that need auto-manifest (is_handover = 1 but is_manifest = 0)
+   * @returns {Array} Array of orders needing manifest with account_code
+   */
+  async getOrdersNeedingAutoManifest() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT DISTINCT 
+          l.order_id,
+          l.awb,
+          l.current_shipment_status,
+          l.is_handover,
+          l.is_manifest,
+          o.account_code,
+          o.customer_name,
+          o.product_name
+        FROM labels l
+        INNER JOIN orders o ON l.order_id = o.order_id AND l.account_code = o.account_code
+        WHERE l.is_handover = 1 
+        AND (l.is_manifest = 0 OR l.is_manifest IS NULL)
+        AND o.account_code IS NOT NULL
+        ORDER BY l.order_id
+      `);
+      return rows;
+    } catch (error) {
+      console.error('Error getting orders needing auto-manifest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store order tracking data
+   * @param {string} orderId - The order ID
+   * @param {string} orderType - 'active' or 'inactive'
+   * @param {Array} trackingEvents - Array of tracking events from Shipway API
+   */
+  async storeOrderTracking(orderId, orderType, trackingEvents, accountCode = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Get account_code from orders table unless provided explicitly.
+      // IMPORTANT: order_id can exist across multiple account_codes, so we must NOT
+      // derive account_code by order_id alone when it is already known by caller.
+      let resolvedAccountCode = accountCode;
+      if (!resolvedAccountCode) {
+        const [orderData] = await this.mysqlConnection.execute(
+          'SELECT account_code FROM orders WHERE order_id = ? LIMIT 1',
+          [orderId]
+        );
+        if (orderData.length === 0 || !orderData[0].account_code) {
+          throw new Error(`Order ${orderId} not found or missing account_code`);
+        }
+        resolvedAccountCode = orderData[0].account_code;
+      }
+
+      // Get the latest/newest status from tracking events (should be only one now)
+      const latestEvent = trackingEvents[trackingEvents.length - 1];
+      if (!latestEvent || !latestEvent.name) {
+        throw new Error('No valid tracking event found');
+      }
+
+      const newStatus = latestEvent.name;
+      const newTimestamp = latestEvent.time || new Date();
+
+      // Check the latest status in order_tracking for this order
+      const [existingTracking] = await this.mysqlConnection.execute(`
+        SELECT id, shipment_status, timestamp, updated_at
+        FROM order_tracking 
+        WHERE order_id = ? AND account_code = ?
+        ORDER BY timestamp DESC, id DESC
+        LIMIT 1
+      `, [orderId, resolvedAccountCode]);
+
+      if (existingTracking.length > 0) {
+        const latestExistingStatus = existingTracking[0].shipment_status;
+
+        // If status is the same, just update the updated_at timestamp
+        if (latestExistingStatus === newStatus) {
+          await this.mysqlConnection.execute(`
+            UPDATE order_tracking 
+            SET updated_at = NOW(), timestamp = ?
+            WHERE id = ?
+          `, [newTimestamp, existingTracking[0].id]);
+
+          console.log(`✅ Updated existing tracking record (same status: ${newStatus}) for order ${orderId}`);
+          return;
+        }
+      }
+
+      // Status is different or no existing record - insert new row
+      await this.mysqlConnection.execute(`
+        INSERT INTO order_tracking 
+        (order_id, order_type, shipment_status, timestamp, ndr_reason, account_code)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [
+        orderId,
+        orderType,
+        newStatus,
+        newTimestamp,
+        latestEvent.ndr_reason || null,
+        resolvedAccountCode
+      ]);
+
+      console.log(`✅ Stored new tracking event (status: ${newStatus}) for order ${orderId}`);
+
+    } catch (error) {
+      console.error(`❌ Error storing tracking data for order ${orderId}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get tracking data for a specific order
+   * @param {string} orderId - The order ID
+   * @param {string} accountCode - The account_code for the store (REQUIRED)
+   */
+  async getOrderTracking(orderId, accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!accountCode) {
+      throw new Error('account_code is required for getting tracking data');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          id,
+          order_id,
+          order_type,
+          shipment_status,
+          timestamp,
+          ndr_reason,
+          account_code,
+          created_at,
+          updated_at
+        FROM order_tracking 
+        WHERE order_id = ? AND account_code = ?
+        ORDER BY timestamp ASC
+      `, [orderId, accountCode]);
+
+      return rows;
+    } catch (error) {
+      console.error(`Error getting tracking data for order ${orderId} (${accountCode}):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all orders with their latest tracking status
+   */
+  async getOrdersWithTrackingStatus() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          o.order_id,
+          o.customer_name,
+          o.status as order_status,
+          o.label_downloaded,
+          ot.order_type,
+          ot.shipment_status as latest_shipment_status,
+          ot.timestamp as latest_tracking_time
+        FROM orders o
+        LEFT JOIN (
+          SELECT 
+            order_id,
+            order_type,
+            shipment_status,
+            timestamp,
+            ROW_NUMBER() OVER (PARTITION BY order_id ORDER BY timestamp DESC) as rn
+          FROM order_tracking
+        ) ot ON o.order_id = ot.order_id AND ot.rn = 1
+        WHERE o.label_downloaded = 1
+        ORDER BY o.order_id
+      `);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting orders with tracking status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Cleanup old tracking data (older than specified days)
+   * @param {number} daysOld - Number of days old (default: 90)
+   */
+  async cleanupOldOrderTracking(daysOld = 90) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [result] = await this.mysqlConnection.execute(`
+        DELETE FROM order_tracking 
+        WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+      `, [daysOld]);
+
+      return {
+        deletedCount: result.affectedRows,
+        message: `Deleted ${result.affectedRows} old tracking records`
+      };
+    } catch (error) {
+      console.error('Error cleaning up old tracking data:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get tracking statistics
+   */
+  async getTrackingStatistics() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [stats] = await this.mysqlConnection.execute(`
+        SELECT 
+          COUNT(DISTINCT order_id) as total_orders_tracked,
+          COUNT(*) as total_tracking_events,
+          SUM(CASE WHEN order_type = 'active' THEN 1 ELSE 0 END) as active_events,
+          SUM(CASE WHEN order_type = 'inactive' THEN 1 ELSE 0 END) as inactive_events,
+          COUNT(DISTINCT CASE WHEN order_type = 'active' THEN order_id END) as active_orders,
+          COUNT(DISTINCT CASE WHEN order_type = 'inactive' THEN order_id END) as inactive_orders
+        FROM order_tracking
+      `);
+
+      return stats[0];
+    } catch (error) {
+      console.error('Error getting tracking statistics:', error);
+      throw error;
+    }
+  }
+
+  // ==================== LABELS TABLE METHODS ====================
+
+  /**
+   * Update labels table with current shipment status and handover logic
+   * @param {string} orderId - The order ID
+   * @param {string} accountCode - The account_code for the store (REQUIRED)
+   * @param {string} currentStatus - Current shipment status
+   * @param {boolean} isHandover - Whether this order is handed over
+   * @param {string|null} handoverTimestamp - Timestamp when order became "In Transit" (from tracking API)
+   */
+  async updateLabelsShipmentStatus(orderId, accountCode, currentStatus, isHandover = false, handoverTimestamp = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!accountCode) {
+      throw new Error('account_code is required for updating labels shipment status');
+    }
+
+    try {
+      // Check if label exists for this order and account_code (store isolation)
+      const [existingLabels] = await this.mysqlConnection.execute(
+        'SELECT id, is_handover, handover_at FROM labels WHERE order_id = ? AND account_code = ?',
+        [orderId, accountCode]
+      );
+
+      if (existingLabels.length === 0) {
+        console.log(`⚠️ No label found for order ${orderId} (${accountCode}), skipping labels update`);
+        return;
+      }
+
+      const currentHandoverStatus = existingLabels[0].is_handover;
+      const existingHandoverAt = existingLabels[0].handover_at;
+
+      // Update current_shipment_status and potentially is_handover
+      let updateQuery = `
+        UPDATE labels 
+        SET current_shipment_status = ?
+      `;
+      let queryParams = [currentStatus];
+
+      // Only update is_handover if it's currently 0 and we're setting it to 1
+      // This ensures is_handover can only go from 0 to 1, never back to 0
+      let handoverJustSet = false;
+      if (isHandover && currentHandoverStatus === 0) {
+        updateQuery += `, is_handover = 1`;
+        handoverJustSet = true;
+
+        // Set handover_at timestamp ONLY if it doesn't already exist (first "In Transit" event)
+        if (!existingHandoverAt) {
+          if (handoverTimestamp) {
+            updateQuery += `, handover_at = ?`;
+            queryParams.push(handoverTimestamp);
+            console.log(`🚚 Setting is_handover = 1 and handover_at = ${handoverTimestamp} for order ${orderId} (${accountCode})`);
+          } else {
+            // If no timestamp provided, use current time
+            updateQuery += `, handover_at = NOW()`;
+            console.log(`🚚 Setting is_handover = 1 and handover_at = NOW() for order ${orderId} (${accountCode})`);
+          }
+        } else {
+          console.log(`🚚 Order ${orderId} (${accountCode}) already has handover_at = ${existingHandoverAt}, preserving original timestamp`);
+        }
+
+        console.log(`🚚 Order ${orderId} (${accountCode}) status changed to In Transit (handed over)`);
+      }
+
+      updateQuery += ` WHERE order_id = ? AND account_code = ?`;
+      queryParams.push(orderId, accountCode);
+
+      await this.mysqlConnection.execute(updateQuery, queryParams);
+
+      console.log(`✅ Updated labels table for order ${orderId} (${accountCode}): status=${currentStatus}, handover=${isHandover ? '1' : 'unchanged'}`);
+
+    } catch (error) {
+      console.error(`❌ Error updating labels table for order ${orderId} (${accountCode}):`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate handover/tracking logic - checks which orders should be in handover vs tracking tab
+   * This is called hourly along with current_shipment_status updates
+   * @returns {Object} Summary of validation results
+   */
+  async validateHandoverTrackingLogic() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      console.log('🔍 [Handover/Tracking Validation] Starting validation check...');
+
+      // Get all orders with handover_at timestamp and is_manifest = 1 (grouped by account_code for store isolation)
+      const [orders] = await this.mysqlConnection.execute(`
+        SELECT 
+          l.order_id,
+          l.handover_at,
+          l.is_manifest,
+          TIMESTAMPDIFF(HOUR, l.handover_at, NOW()) as hours_since_handover,
+          CASE 
+            WHEN l.handover_at IS NULL THEN 'handover'
+            WHEN TIMESTAMPDIFF(HOUR, l.handover_at, NOW()) < 24 THEN 'handover'
+            WHEN TIMESTAMPDIFF(HOUR, l.handover_at, NOW()) >= 24 THEN 'tracking'
+            ELSE 'unknown'
+          END as expected_tab
+        FROM labels l
+        INNER JOIN orders o ON o.order_id = l.order_id AND o.account_code = l.account_code
+        INNER JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        WHERE l.is_manifest = 1
+        AND (l.handover_at IS NOT NULL OR c.status IN ('claimed', 'ready_for_handover'))
+        ORDER BY l.handover_at DESC
+      `);
+
+      const handoverOrders = orders.filter(o => o.expected_tab === 'handover');
+      const trackingOrders = orders.filter(o => o.expected_tab === 'tracking');
+      const ordersWithoutHandover = orders.filter(o => o.handover_at === null);
+
+      console.log(`📊 [Handover/Tracking Validation] Validation Summary:`);
+      console.log(`   - Total orders checked: ${orders.length}`);
+      console.log(`   - Orders in Handover tab: ${handoverOrders.length} (handover_at IS NULL or < 24 hours)`);
+      console.log(`   - Orders in Tracking tab: ${trackingOrders.length} (handover_at >= 24 hours)`);
+      console.log(`   - Orders without handover_at: ${ordersWithoutHandover.length}`);
+
+      // Log orders that are close to the 24-hour threshold (within 1 hour)
+      const nearThreshold = orders.filter(o =>
+        o.handover_at !== null &&
+        o.hours_since_handover >= 23 &&
+        o.hours_since_handover < 24
+      );
+
+      if (nearThreshold.length > 0) {
+        console.log(`⚠️ [Handover/Tracking Validation] ${nearThreshold.length} order(s) approaching 24-hour threshold:`);
+        nearThreshold.forEach(order => {
+          console.log(`   - Order ${order.order_id}: ${order.hours_since_handover.toFixed(1)} hours since handover (will move to tracking soon)`);
+        });
+      }
+
+      // Log orders that just crossed the 24-hour threshold (within last hour)
+      const justCrossed = orders.filter(o =>
+        o.handover_at !== null &&
+        o.hours_since_handover >= 24 &&
+        o.hours_since_handover < 25
+      );
+
+      if (justCrossed.length > 0) {
+        console.log(`🔄 [Handover/Tracking Validation] ${justCrossed.length} order(s) recently moved to tracking tab:`);
+        justCrossed.forEach(order => {
+          console.log(`   - Order ${order.order_id}: ${order.hours_since_handover.toFixed(1)} hours since handover (now in tracking)`);
+        });
+      }
+
+      return {
+        success: true,
+        totalOrders: orders.length,
+        handoverTab: handoverOrders.length,
+        trackingTab: trackingOrders.length,
+        withoutHandover: ordersWithoutHandover.length,
+        nearThreshold: nearThreshold.length,
+        justCrossed: justCrossed.length,
+        timestamp: new Date().toISOString()
+      };
+
+    } catch (error) {
+      console.error('❌ [Handover/Tracking Validation] Validation failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get labels with their current shipment status
+   */
+  async getLabelsWithShipmentStatus() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          l.order_id,
+          l.label_url,
+          l.awb,
+          l.carrier_name,
+          l.is_handover,
+          l.current_shipment_status,
+          l.created_at,
+          l.updated_at,
+          o.customer_name,
+          o.product_name
+        FROM labels l
+        LEFT JOIN orders o ON l.order_id = o.order_id AND l.account_code = o.account_code
+        ORDER BY l.updated_at DESC
+      `);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting labels with shipment status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get labels that are handed over (is_handover = 1)
+   */
+  async getHandedOverLabels() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(`
+        SELECT 
+          l.order_id,
+          l.label_url,
+          l.awb,
+          l.carrier_name,
+          l.current_shipment_status,
+          l.handover_at,
+          l.updated_at,
+          o.customer_name,
+          o.product_name
+        FROM labels l
+        LEFT JOIN orders o ON l.order_id = o.order_id AND l.account_code = o.account_code
+        WHERE l.is_handover = 1
+        ORDER BY l.updated_at DESC
+      `);
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting handed over labels:', error);
+      throw error;
+    }
+  }
+
+  // ============================================================================
+  // STORE MANAGEMENT METHODS (Multi-Store Feature)
+  // ============================================================================
+
+  /**
+   * Create store_info table if it doesn't exist
+   */
+  async createStoreInfoTable() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS store_info (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          account_code VARCHAR(50) UNIQUE NOT NULL,
+          store_name VARCHAR(255) NOT NULL,
+          shipping_partner VARCHAR(255) NOT NULL,
+          username VARCHAR(255) NOT NULL,
+          password_encrypted TEXT NOT NULL,
+          auth_token TEXT NOT NULL,
+          status ENUM('active', 'inactive') NOT NULL DEFAULT 'active',
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          created_by VARCHAR(50),
+          last_synced_at TIMESTAMP NULL,
+          INDEX idx_status (status),
+          INDEX idx_account_code (account_code),
+          INDEX idx_shipping_partner (shipping_partner)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ store_info table created/verified');
+
+      // Add brand_logo_url column if it doesn't exist (migration for existing tables)
+      await this.addBrandLogoToStoreInfoIfNotExists();
+    } catch (error) {
+      console.error('❌ Error creating store_info table:', error.message);
+    }
+  }
+
+  /**
+   * Add brand_logo_url column to existing store_info table if it doesn't exist (migration)
+   * Printed on packing-slip panels of label templates.
+   */
+  async addBrandLogoToStoreInfoIfNotExists() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const [columns] = await this.mysqlConnection.execute(
+        `SHOW COLUMNS FROM store_info LIKE 'brand_logo_url'`
+      );
+
+      if (columns.length === 0) {
+        console.log('🔄 Adding brand_logo_url column to existing store_info table...');
+
+        await this.mysqlConnection.execute(
+          `ALTER TABLE store_info ADD COLUMN brand_logo_url VARCHAR(1000) NULL AFTER shipping_partner`
+        );
+
+        console.log('✅ brand_logo_url column added to store_info table');
+      } else {
+        console.log('✅ brand_logo_url column already exists in store_info table');
+      }
+    } catch (error) {
+      console.error('❌ Error adding brand_logo_url column to store_info:', error.message);
+    }
+  }
+
+  /**
+   * Create store_shopify_connections table if it doesn't exist
+   * Each row represents one Shopify brand connected to a Shipway account (store_info)
+   */
+  async createShopifyConnectionsTable() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS store_shopify_connections (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          account_code VARCHAR(50) NOT NULL,
+          brand_name VARCHAR(255) NOT NULL,
+          store_code VARCHAR(50) NOT NULL DEFAULT '1',
+          shopify_store_url VARCHAR(255) NOT NULL,
+          shopify_token TEXT NOT NULL,
+          status ENUM('active', 'inactive') NOT NULL DEFAULT 'active',
+          last_synced_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uq_account_store_code (account_code, store_code),
+          INDEX idx_account_code (account_code),
+          INDEX idx_store_code (store_code),
+          INDEX idx_status (status),
+          INDEX idx_account_store (account_code, store_code),
+          FOREIGN KEY (account_code) REFERENCES store_info(account_code) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ store_shopify_connections table created/verified');
+    } catch (error) {
+      console.error('❌ Error creating store_shopify_connections table:', error.message);
+    }
+  }
+
+  /**
+   * Create wh_mapping table if it doesn't exist
+   * Maps claimio_wh_id (internal warehouse ID) to vendor_wh_id (shipping partner warehouse ID) per account_code
+   */
+  async createWhMappingTable() {
+    if (!this.mysqlConnection) return;
+
+    try {
+      const createTableQuery = `
+        CREATE TABLE IF NOT EXISTS wh_mapping (
+          id INT AUTO_INCREMENT PRIMARY KEY,
+          claimio_wh_id VARCHAR(50) NOT NULL,
+          vendor_wh_id VARCHAR(50) NOT NULL,
+          account_code VARCHAR(50) NOT NULL,
+          return_warehouse_id VARCHAR(50),
+          is_active BOOLEAN DEFAULT TRUE,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          modified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_claimio_wh_id (claimio_wh_id),
+          INDEX idx_account_code (account_code),
+          INDEX idx_is_active (is_active),
+          INDEX idx_claimio_account (claimio_wh_id, account_code),
+          FOREIGN KEY (account_code) REFERENCES store_info(account_code) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+      `;
+
+      await this.mysqlConnection.execute(createTableQuery);
+      console.log('✅ wh_mapping table created/verified');
+
+      // Add return_warehouse_id column if it doesn't exist (migration)
+      try {
+        const [columns] = await this.mysqlConnection.execute(`
+          SELECT COLUMN_NAME 
+          FROM INFORMATION_SCHEMA.COLUMNS 
+          WHERE TABLE_SCHEMA = DATABASE() 
+          AND TABLE_NAME = 'wh_mapping' 
+          AND COLUMN_NAME = 'return_warehouse_id'
+        `);
+
+        if (columns.length === 0) {
+          await this.mysqlConnection.execute(`
+            ALTER TABLE wh_mapping 
+            ADD COLUMN return_warehouse_id VARCHAR(50) AFTER account_code
+          `);
+          console.log('✅ Added return_warehouse_id column to wh_mapping table');
+        }
+      } catch (migrationError) {
+        console.error('⚠️ Error adding return_warehouse_id column (may already exist):', migrationError.message);
+      }
+    } catch (error) {
+      console.error('❌ Error creating wh_mapping table:', error.message);
+    }
+  }
+
+  /**
+   * Get store by account_code
+   * @param {string} accountCode - The account code to search for
+   * @returns {Object|null} Store object or null if not found
+   */
+  async getStoreByAccountCode(accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM store_info WHERE account_code = ?',
+        [accountCode]
+      );
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting store by account code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an existing store by Shipway identity (idempotency helper).
+   * Used to prevent creating duplicate account_code when multiple Shopify brands
+   * are added for the same Shipway credentials.
+   *
+   * @param {Object} data
+   * @param {string} data.shipping_partner
+   * @param {string} data.username
+   * @param {string} data.auth_token - Full auth token value stored in store_info.auth_token
+   * @returns {Promise<Object|null>} Store object or null
+   */
+  async getStoreByShipwayCredentials({ shipping_partner, username, auth_token }) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT *
+         FROM store_info
+         WHERE shipping_partner = ? AND username = ?
+         ORDER BY (auth_token = ?) DESC, updated_at DESC
+         LIMIT 1`,
+        [shipping_partner, username, auth_token]
+      );
+
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting store by Shipway credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get multiple stores by account_codes (bulk fetch)
+   * OPTIMIZATION: Fetches all stores in one query instead of N queries
+   * @param {Array<string>} account_codes - Array of account codes
+   * @returns {Array} Array of store objects
+   */
+  async getStoresByAccountCodes(account_codes) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!account_codes || !Array.isArray(account_codes) || account_codes.length === 0) {
+      return [];
+    }
+
+    try {
+      const placeholders = account_codes.map(() => '?').join(',');
+
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT * FROM store_info WHERE account_code IN (${placeholders})`,
+        account_codes
+      );
+
+      return rows || [];
+    } catch (error) {
+      console.error('Error getting stores by account_codes:', error);
+      throw new Error('Failed to get stores from database');
+    }
+  }
+
+  // NOTE: getStoreByShopifyCredentials has been moved to the SHOPIFY CONNECTIONS METHODS section below
+  // It now queries store_shopify_connections instead of store_info
+
+  /**
+   * Get all stores
+   * @returns {Array} Array of store objects
+   */
+  async getAllStores() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM store_info ORDER BY created_at DESC'
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting all stores:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get stores by status
+   * @param {string} status - 'active' or 'inactive'
+   * @returns {Array} Array of store objects
+   */
+  async getStoresByStatus(status) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM store_info WHERE status = ? ORDER BY store_name ASC',
+        [status]
+      );
+
+      return rows;
+    } catch (error) {
+      console.error('Error getting stores by status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all active stores
+   * @returns {Array} Array of active store objects
+   */
+  async getActiveStores() {
+    return this.getStoresByStatus('active');
+  }
+
+  /**
+   * Update store last sync timestamp
+   * @param {string} accountCode - The account code
+   */
+  async updateStoreLastSync(accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      await this.mysqlConnection.execute(
+        'UPDATE store_info SET last_synced_at = NOW() WHERE account_code = ?',
+        [accountCode]
+      );
+    } catch (error) {
+      console.error('Error updating store last sync:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update Shopify sync timestamp for all connections of an account
+   * @param {string} accountCode - The account code
+   */
+  async updateStoreShopifySync(accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      await this.mysqlConnection.execute(
+        'UPDATE store_shopify_connections SET last_synced_at = NOW() WHERE account_code = ?',
+        [accountCode]
+      );
+    } catch (error) {
+      console.error('Error updating store Shopify sync:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new store
+   * @param {Object} storeData - Store data object
+   * @returns {Object} Result object
+   */
+  async createStore(storeData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      await this.mysqlConnection.execute(
+        `INSERT INTO store_info (
+          account_code,
+          store_name,
+          shipping_partner,
+          username,
+          password_encrypted,
+          auth_token,
+          status,
+          created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          storeData.account_code,
+          storeData.store_name,
+          storeData.shipping_partner,
+          storeData.username,
+          storeData.password_encrypted,
+          storeData.auth_token,
+          storeData.status,
+          storeData.created_by
+        ]
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error creating store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update store
+   * @param {string} accountCode - The account code
+   * @param {Object} updateData - Data to update
+   * @returns {Object} Result object
+   */
+  async updateStore(accountCode, updateData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const fields = [];
+      const values = [];
+
+      // Build dynamic update query based on provided fields
+      if (updateData.store_name !== undefined) {
+        fields.push('store_name = ?');
+        values.push(updateData.store_name);
+      }
+      if (updateData.username !== undefined) {
+        fields.push('username = ?');
+        values.push(updateData.username);
+      }
+      if (updateData.shipping_partner !== undefined) {
+        fields.push('shipping_partner = ?');
+        values.push(updateData.shipping_partner);
+      }
+      if (updateData.password_encrypted !== undefined) {
+        fields.push('password_encrypted = ?');
+        values.push(updateData.password_encrypted);
+      }
+      if (updateData.auth_token !== undefined) {
+        fields.push('auth_token = ?');
+        values.push(updateData.auth_token);
+      }
+      if (updateData.status !== undefined) {
+        fields.push('status = ?');
+        values.push(updateData.status);
+      }
+      if (updateData.brand_logo_url !== undefined) {
+        fields.push('brand_logo_url = ?');
+        values.push(updateData.brand_logo_url);
+      }
+
+      if (fields.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      values.push(accountCode);
+
+      await this.mysqlConnection.execute(
+        `UPDATE store_info SET ${fields.join(', ')} WHERE account_code = ?`,
+        values
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating store:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete store (soft delete by setting status to inactive)
+   * @param {string} accountCode - The account code
+   * @returns {Object} Result object
+   */
+  async deleteStore(accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      await this.mysqlConnection.execute(
+        'UPDATE store_info SET status = ? WHERE account_code = ?',
+        ['inactive', accountCode]
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting store:', error);
+      throw error;
+    }
+  }
+
+  // ============================================================================
+  // SHOPIFY CONNECTIONS METHODS
+  // ============================================================================
+
+  /**
+   * Get all Shopify connections for an account
+   * @param {string} accountCode - The account code
+   * @returns {Promise<Array>} Array of Shopify connection objects
+   */
+  async getShopifyConnectionsByAccountCode(accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM store_shopify_connections WHERE account_code = ? ORDER BY created_at ASC',
+        [accountCode]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting Shopify connections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all active Shopify connections for an account
+   * @param {string} accountCode - The account code
+   * @returns {Promise<Array>} Array of active Shopify connection objects
+   */
+  async getActiveShopifyConnections(accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM store_shopify_connections WHERE account_code = ? AND status = "active" ORDER BY created_at ASC',
+        [accountCode]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting active Shopify connections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a Shopify connection by ID
+   * @param {number} id - The connection ID
+   * @returns {Promise<Object|null>} Connection object or null
+   */
+  async getShopifyConnectionById(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM store_shopify_connections WHERE id = ?',
+        [id]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting Shopify connection by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a new Shopify connection
+   * @param {Object} data - Connection data { account_code, brand_name, store_code, shopify_store_url, shopify_token, status }
+   * @returns {Promise<Object>} Result with insertId
+   */
+  async createShopifyConnection(data) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const accountCode = data.account_code;
+      const storeCode = data.store_code || '1';
+
+      // UPSERT by UNIQUE(account_code, store_code) to avoid duplicate rows per brand/store_code.
+      await this.mysqlConnection.execute(
+        `INSERT INTO store_shopify_connections
+          (account_code, brand_name, store_code, shopify_store_url, shopify_token, status)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           brand_name = VALUES(brand_name),
+           shopify_store_url = VALUES(shopify_store_url),
+           shopify_token = VALUES(shopify_token),
+           status = VALUES(status),
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          accountCode,
+          data.brand_name,
+          storeCode,
+          data.shopify_store_url,
+          data.shopify_token,
+          data.status || 'active'
+        ]
+      );
+
+      // Return the connection id (works for both insert and update)
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT id FROM store_shopify_connections WHERE account_code = ? AND store_code = ? LIMIT 1',
+        [accountCode, storeCode]
+      );
+
+      return { success: true, insertId: rows?.[0]?.id };
+    } catch (error) {
+      console.error('Error creating Shopify connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a Shopify connection
+   * @param {number} id - The connection ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Result
+   */
+  async updateShopifyConnection(id, updateData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const fields = [];
+      const values = [];
+
+      if (updateData.brand_name !== undefined) {
+        fields.push('brand_name = ?');
+        values.push(updateData.brand_name);
+      }
+      if (updateData.store_code !== undefined) {
+        fields.push('store_code = ?');
+        values.push(updateData.store_code);
+      }
+      if (updateData.shopify_store_url !== undefined) {
+        fields.push('shopify_store_url = ?');
+        values.push(updateData.shopify_store_url);
+      }
+      if (updateData.shopify_token !== undefined) {
+        fields.push('shopify_token = ?');
+        values.push(updateData.shopify_token);
+      }
+      if (updateData.status !== undefined) {
+        fields.push('status = ?');
+        values.push(updateData.status);
+      }
+
+      if (fields.length === 0) {
+        throw new Error('No fields to update');
+      }
+
+      values.push(id);
+
+      await this.mysqlConnection.execute(
+        `UPDATE store_shopify_connections SET ${fields.join(', ')} WHERE id = ?`,
+        values
+      );
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating Shopify connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a Shopify connection
+   * @param {number} id - The connection ID
+   * @returns {Promise<Object>} Result
+   */
+  async deleteShopifyConnection(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      await this.mysqlConnection.execute(
+        'DELETE FROM store_shopify_connections WHERE id = ?',
+        [id]
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting Shopify connection:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete all Shopify connections for an account
+   * @param {string} accountCode - The account code
+   * @returns {Promise<Object>} Result
+   */
+  async deleteShopifyConnectionsByAccountCode(accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      await this.mysqlConnection.execute(
+        'DELETE FROM store_shopify_connections WHERE account_code = ?',
+        [accountCode]
+      );
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting Shopify connections:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update Shopify sync timestamp for a specific connection
+   * @param {number} connectionId - The connection ID
+   */
+  async updateShopifyConnectionSyncTime(connectionId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      await this.mysqlConnection.execute(
+        'UPDATE store_shopify_connections SET last_synced_at = NOW() WHERE id = ?',
+        [connectionId]
+      );
+    } catch (error) {
+      console.error('Error updating Shopify connection sync time:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get store by Shopify URL from store_shopify_connections table
+   * Searches for a Shopify connection by URL and returns the parent store + connection info
+   * @param {string} shopifyUrl - The Shopify store URL
+   * @param {string} shopifyToken - The Shopify access token (optional fallback)
+   * @returns {Object|null} Store object with connection data or null
+   */
+  async getStoreByShopifyCredentials(shopifyUrl, shopifyToken = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Extract store domain from URL
+      let storeDomain = shopifyUrl;
+      if (shopifyUrl.includes('://')) {
+        const urlMatch = shopifyUrl.match(/https?:\/\/([^\/]+)/);
+        if (urlMatch) {
+          storeDomain = urlMatch[1];
+        }
+      }
+      storeDomain = storeDomain.split('/')[0].trim();
+      storeDomain = storeDomain.replace(/^https?:\/\//, '');
+
+      console.log(`🔍 [Store Lookup] Searching for store with domain: ${storeDomain} in store_shopify_connections`);
+
+      // Try exact match first
+      let [rows] = await this.mysqlConnection.execute(
+        `SELECT sc.*, si.store_name as parent_store_name, si.account_code, si.status as store_status
+         FROM store_shopify_connections sc
+         JOIN store_info si ON sc.account_code = si.account_code
+         WHERE sc.shopify_store_url = ? AND sc.status = 'active' AND si.status = 'active'`,
+        [storeDomain]
+      );
+
+      // Try with https:// prefix
+      if (rows.length === 0) {
+        [rows] = await this.mysqlConnection.execute(
+          `SELECT sc.*, si.store_name as parent_store_name, si.account_code, si.status as store_status
+           FROM store_shopify_connections sc
+           JOIN store_info si ON sc.account_code = si.account_code
+           WHERE sc.shopify_store_url = ? AND sc.status = 'active' AND si.status = 'active'`,
+          [`https://${storeDomain}`]
+        );
+      }
+
+      // Try partial match (LIKE)
+      if (rows.length === 0) {
+        [rows] = await this.mysqlConnection.execute(
+          `SELECT sc.*, si.store_name as parent_store_name, si.account_code, si.status as store_status
+           FROM store_shopify_connections sc
+           JOIN store_info si ON sc.account_code = si.account_code
+           WHERE sc.shopify_store_url LIKE ? AND sc.status = 'active' AND si.status = 'active'`,
+          [`%${storeDomain}%`]
+        );
+      }
+
+      // Try by token as fallback
+      if (rows.length === 0 && shopifyToken) {
+        console.log(`🔍 [Store Lookup] Trying to find store by Shopify token...`);
+        [rows] = await this.mysqlConnection.execute(
+          `SELECT sc.*, si.store_name as parent_store_name, si.account_code, si.status as store_status
+           FROM store_shopify_connections sc
+           JOIN store_info si ON sc.account_code = si.account_code
+           WHERE sc.shopify_token = ? AND sc.status = 'active' AND si.status = 'active'`,
+          [shopifyToken]
+        );
+      }
+
+      if (rows.length > 0) {
+        console.log(`✅ [Store Lookup] Found store: ${rows[0].parent_store_name} (${rows[0].account_code}), brand: ${rows[0].brand_name}`);
+        return rows[0];
+      }
+
+      // Not found - log for debugging
+      try {
+        const [allConnections] = await this.mysqlConnection.execute(
+          `SELECT sc.account_code, sc.brand_name, sc.shopify_store_url, sc.status 
+           FROM store_shopify_connections sc`
+        );
+        console.log(`❌ [Store Lookup] Store not found. Searched domain: "${storeDomain}", Token provided: ${shopifyToken ? 'Yes' : 'No'}`);
+        if (allConnections.length > 0) {
+          console.log(`   Available Shopify connections (${allConnections.length}):`);
+          allConnections.forEach(conn => {
+            console.log(`     - ${conn.brand_name} (${conn.account_code}): "${conn.shopify_store_url}" [${conn.status}]`);
+          });
+        }
+      } catch (logError) {
+        // Ignore logging errors
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error getting store by Shopify credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get vendor warehouse ID from mapping by claimio warehouse ID and account code
+   * @param {string} claimioWhId - The claimio warehouse ID (from users.warehouseId)
+   * @param {string} accountCode - The account code (store identifier)
+   * @returns {Promise<string|null>} vendor_wh_id or null if not found
+   */
+  async getVendorWhIdByClaimioWhIdAndAccountCode(claimioWhId, accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT vendor_wh_id FROM wh_mapping WHERE claimio_wh_id = ? AND account_code = ? AND is_active = TRUE LIMIT 1',
+        [claimioWhId, accountCode]
+      );
+      return rows.length > 0 ? rows[0].vendor_wh_id : null;
+    } catch (error) {
+      console.error('Error getting vendor warehouse ID from mapping:', error);
+      throw new Error('Failed to get vendor warehouse ID from database');
+    }
+  }
+
+  /**
+   * Get warehouse mapping details (vendor_wh_id and return_warehouse_id) by claimio warehouse ID and account code
+   * @param {string} claimioWhId - The claimio warehouse ID (from users.warehouseId)
+   * @param {string} accountCode - The account code (store identifier)
+   * @returns {Promise<Object|null>} Object with vendor_wh_id and return_warehouse_id, or null if not found
+   */
+  async getWhMappingByClaimioWhIdAndAccountCode(claimioWhId, accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT vendor_wh_id, return_warehouse_id FROM wh_mapping WHERE claimio_wh_id = ? AND account_code = ? AND is_active = TRUE LIMIT 1',
+        [claimioWhId, accountCode]
+      );
+      return rows.length > 0 ? { vendor_wh_id: rows[0].vendor_wh_id, return_warehouse_id: rows[0].return_warehouse_id } : null;
+    } catch (error) {
+      console.error('Error getting warehouse mapping:', error);
+      throw new Error('Failed to get warehouse mapping from database');
+    }
+  }
+
+  /**
+   * Get multiple warehouse mappings by claimio_wh_id and account_codes (bulk fetch)
+   * OPTIMIZATION: Fetches all mappings in one query instead of N queries
+   * @param {string} claimioWhId - The claimio warehouse ID
+   * @param {Array<string>} account_codes - Array of account codes
+   * @returns {Array} Array of mapping objects with account_code
+   */
+  async getWhMappingsByClaimioWhIdAndAccountCodes(claimioWhId, account_codes) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!claimioWhId || !account_codes || !Array.isArray(account_codes) || account_codes.length === 0) {
+      return [];
+    }
+
+    try {
+      const placeholders = account_codes.map(() => '?').join(',');
+
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT vendor_wh_id, return_warehouse_id, account_code 
+         FROM wh_mapping 
+         WHERE claimio_wh_id = ? AND account_code IN (${placeholders}) AND is_active = TRUE`,
+        [claimioWhId, ...account_codes]
+      );
+
+      return rows || [];
+    } catch (error) {
+      console.error('Error getting warehouse mappings:', error);
+      throw new Error('Failed to get warehouse mappings from database');
+    }
+  }
+
+  /**
+   * Get all warehouse mappings (for admin display)
+   * @param {boolean} includeInactive - Whether to include inactive mappings
+   * @returns {Promise<Array>} Array of mapping objects
+   */
+  async getAllWhMappings(includeInactive = true) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      let query = `
+        SELECT 
+          wm.id,
+          wm.claimio_wh_id,
+          wm.vendor_wh_id,
+          wm.account_code,
+          wm.return_warehouse_id,
+          wm.is_active,
+          wm.created_at,
+          wm.modified_at,
+          u.name as vendor_name,
+          s.store_name
+        FROM wh_mapping wm
+        LEFT JOIN users u ON wm.claimio_wh_id = u.warehouseId
+        LEFT JOIN store_info s ON wm.account_code = s.account_code
+      `;
+
+      if (!includeInactive) {
+        query += ' WHERE wm.is_active = TRUE';
+      }
+
+      query += ' ORDER BY wm.created_at DESC';
+
+      const [rows] = await this.mysqlConnection.execute(query);
+      return rows;
+    } catch (error) {
+      console.error('Error getting warehouse mappings:', error);
+      throw new Error('Failed to get warehouse mappings from database');
+    }
+  }
+
+  /**
+   * Get warehouse mapping by ID
+   * @param {number} id - Mapping ID
+   * @returns {Promise<Object|null>} Mapping object or null if not found
+   */
+  async getWhMappingById(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT 
+          wm.id,
+          wm.claimio_wh_id,
+          wm.vendor_wh_id,
+          wm.account_code,
+          wm.return_warehouse_id,
+          wm.is_active,
+          wm.created_at,
+          wm.modified_at,
+          u.name as vendor_name,
+          s.store_name
+        FROM wh_mapping wm
+        LEFT JOIN users u ON wm.claimio_wh_id = u.warehouseId
+        LEFT JOIN store_info s ON wm.account_code = s.account_code
+        WHERE wm.id = ?`,
+        [id]
+      );
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting warehouse mapping by ID:', error);
+      throw new Error('Failed to get warehouse mapping from database');
+    }
+  }
+
+  /**
+   * Check if active mapping exists for claimio_wh_id and account_code
+   * @param {string} claimioWhId - The claimio warehouse ID
+   * @param {string} accountCode - The account code
+   * @returns {Promise<boolean>} True if active mapping exists
+   */
+  async activeWhMappingExists(claimioWhId, accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT id FROM wh_mapping WHERE claimio_wh_id = ? AND account_code = ? AND is_active = TRUE LIMIT 1',
+        [claimioWhId, accountCode]
+      );
+      return rows.length > 0;
+    } catch (error) {
+      console.error('Error checking warehouse mapping existence:', error);
+      throw new Error('Failed to check warehouse mapping in database');
+    }
+  }
+
+  /**
+   * Create warehouse mapping
+   * @param {Object} mappingData - Mapping data
+   * @param {string} mappingData.claimio_wh_id - Claimio warehouse ID
+   * @param {string} mappingData.vendor_wh_id - Vendor warehouse ID (shipping partner)
+   * @param {string} mappingData.account_code - Account code
+   * @returns {Promise<Object>} Created mapping object
+   */
+  async createWhMapping(mappingData) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Check if active mapping already exists
+      const exists = await this.activeWhMappingExists(mappingData.claimio_wh_id, mappingData.account_code);
+      if (exists) {
+        throw new Error('Active mapping already exists for this claimio_wh_id and account_code combination');
+      }
+
+      const [result] = await this.mysqlConnection.execute(
+        'INSERT INTO wh_mapping (claimio_wh_id, vendor_wh_id, account_code, return_warehouse_id, is_active) VALUES (?, ?, ?, ?, TRUE)',
+        [mappingData.claimio_wh_id, mappingData.vendor_wh_id, mappingData.account_code, mappingData.return_warehouse_id || null]
+      );
+
+      return await this.getWhMappingById(result.insertId);
+    } catch (error) {
+      console.error('Error creating warehouse mapping:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete warehouse mapping (set is_active = FALSE)
+   * @param {number} id - Mapping ID
+   * @returns {Promise<boolean>} True if updated successfully
+   */
+  async deleteWhMapping(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        'UPDATE wh_mapping SET is_active = FALSE, modified_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting warehouse mapping:', error);
+      throw new Error('Failed to delete warehouse mapping from database');
+    }
+  }
+
+  // ==================== RTO TRACKING TABLE METHODS ====================
+
+  /**
+   * Store or update RTO tracking data
+   * - If same order_id + order_status + account_code exists: update updated_at only
+   * - If new status: insert with incremented instance_number
+   * @param {string} orderId - The order ID
+   * @param {string} orderStatus - The RTO status (e.g., "RTO Initiated", "RTO In Transit")
+   * @param {string} accountCode - The account code for the store
+   * @param {string|null} rtoWh - The RTO warehouse from latest tracking activity location
+   * @param {string|null} activityDate - The date of the latest tracking activity (YYYY-MM-DD HH:MM:SS format)
+   */
+  async storeRTOTracking(orderId, orderStatus, accountCode, rtoWh = null, activityDate = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    if (!orderId || !orderStatus || !accountCode) {
+      throw new Error('orderId, orderStatus, and accountCode are required');
+    }
+
+    try {
+      // Check if this exact order_id + order_status + account_code combination exists
+      const [existing] = await this.mysqlConnection.execute(
+        `SELECT id, order_status FROM rto_tracking 
+         WHERE order_id = ? AND order_status = ? AND account_code = ?
+         LIMIT 1`,
+        [orderId, orderStatus, accountCode]
+      );
+
+      if (existing.length > 0) {
+        // Same status exists - update updated_at timestamp and activity_date if provided
+        if (activityDate) {
+          await this.mysqlConnection.execute(
+            `UPDATE rto_tracking SET updated_at = NOW(), activity_date = ?, rto_wh = ? WHERE id = ?`,
+            [activityDate, rtoWh, existing[0].id]
+          );
+        } else {
+          await this.mysqlConnection.execute(
+            `UPDATE rto_tracking SET updated_at = NOW() WHERE id = ?`,
+            [existing[0].id]
+          );
+        }
+        console.log(`✅ [RTO] Updated existing RTO record (same status: ${orderStatus}) for order ${orderId}`);
+        return { action: 'updated', id: existing[0].id };
+      }
+
+      // New status - get max instance_number for this order
+      const [maxInstance] = await this.mysqlConnection.execute(
+        `SELECT COALESCE(MAX(instance_number), 0) as max_instance 
+         FROM rto_tracking 
+         WHERE order_id = ? AND account_code = ?`,
+        [orderId, accountCode]
+      );
+
+      const newInstanceNumber = maxInstance[0].max_instance + 1;
+
+      // Check if status indicates delivery
+      const isDelivered = orderStatus.toLowerCase().includes('delivered') ? 1 : 0;
+
+      // Insert new RTO tracking record with activity_date
+      const [result] = await this.mysqlConnection.execute(
+        `INSERT INTO rto_tracking 
+         (order_id, order_status, instance_number, days_since_initiated, is_focus, is_delivered, rto_wh, activity_date, account_code)
+         VALUES (?, ?, ?, 0, 0, ?, ?, ?, ?)`,
+        [orderId, orderStatus, newInstanceNumber, isDelivered, rtoWh, activityDate, accountCode]
       );
 
-      return await this.getOrderByUniqueId(orderData.unique_id);
+      console.log(`✅ [RTO] Stored new RTO tracking record (status: ${orderStatus}, instance: ${newInstanceNumber}) for order ${orderId}`);
+
+      // If this order now has a delivered status, update is_delivered for all records of this order
+      if (isDelivered) {
+        await this.mysqlConnection.execute(
+          `UPDATE rto_tracking SET is_delivered = 1 WHERE order_id = ? AND account_code = ?`,
+          [orderId, accountCode]
+        );
+        console.log(`✅ [RTO] Marked all RTO records as delivered for order ${orderId}`);
+      }
+
+      return { action: 'inserted', id: result.insertId, instanceNumber: newInstanceNumber };
     } catch (error) {
-      console.error('Error creating order:', error);
-      // Include the actual error message for better debugging
-      const errorMessage = error.message || 'Unknown error';
-      throw new Error(`Failed to create order: ${errorMessage}`);
+      console.error(`❌ [RTO] Error storing RTO tracking for order ${orderId}:`, error);
+      throw error;
     }
   }
 
   /**
-   * Remove size information from product name for matching
-   * @param {string} productName - Product name with size
-   * @returns {string} Product name without size
+   * Get all RTO tracking records for a specific order
+   * @param {string} orderId - The order ID
+   * @param {string} accountCode - The account code for the store
+   * @returns {Promise<Array>} Array of RTO tracking records sorted by instance_number
    */
-  removeSizeFromProductName(productName) {
-    if (!productName) return '';
+  async getRTOTrackingByOrderId(orderId, accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-    let cleanName = productName.trim();
+    if (!accountCode) {
+      throw new Error('account_code is required for getting RTO tracking data');
+    }
 
-    // Check if it's a kids product
-    if (cleanName.toLowerCase().includes('kids')) {
-      // For kids products, only remove numeric size patterns like 24-26, 16-18, 20-22
-      cleanName = cleanName.replace(/ - [0-9]+-[0-9]+$/i, '');
-    } else {
-      // For regular products, remove standard size patterns
-      const sizePatterns = [
-        / - (XS|S|M|L|XL|2XL|3XL|4XL|5XL)$/i,
-        / - (XXXL|XXL)$/i,
-        / - (Small|Medium|Large|Extra Large)$/i,
-        / - (\d{4}-\d{4})$/i, // Year patterns like 2025-26
-        /^(XS|S|M|L|XL|2XL|3XL|4XL|5XL) - /i,
-        /^(Small|Medium|Large|Extra Large) - /i,
-        / - (XS|S|M|L|XL|2XL|3XL|4XL|5XL)(?= - |$)/gi,
-        / - (Small|Medium|Large|Extra Large)(?= - |$)/gi,
-      ];
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT 
+          id,
+          order_id,
+          order_status,
+          instance_number,
+          days_since_initiated,
+          is_focus,
+          is_delivered,
+          rto_wh,
+          account_code,
+          created_at,
+          updated_at
+        FROM rto_tracking 
+        WHERE order_id = ? AND account_code = ?
+        ORDER BY instance_number ASC`,
+        [orderId, accountCode]
+      );
 
-      for (const pattern of sizePatterns) {
-        cleanName = cleanName.replace(pattern, '');
-      }
+      return rows;
+    } catch (error) {
+      console.error(`❌ [RTO] Error getting RTO tracking for order ${orderId}:`, error);
+      throw error;
     }
+  }
 
-    // Clean up any double spaces or trailing dashes
-    cleanName = cleanName.replace(/\s*-\s*$/, ''); // Remove trailing dash
-    cleanName = cleanName.replace(/\s+/g, ' '); // Replace multiple spaces with single space
-    cleanName = cleanName.trim();
+  /**
+   * Update days_since_initiated and is_focus for all RTO records
+   * This should be called daily via cron job
+   * Logic:
+   * - days_since_initiated: DATEDIFF(CURRENT_DATE, DATE(activity_date))
+   * - is_focus: 1 for ALL instances of an order if:
+   *   - The FIRST instance (instance_number = 1) has days_since_initiated > 7
+   *   - AND the order is NOT delivered (is_delivered = 0)
+   * - When RTO is delivered, ALL instances get is_focus = 0 and is_delivered = 1
+   */
+  async updateRTODaysAndFocus() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-    return cleanName;
+    try {
+      console.log('🔄 [RTO] Starting daily update for days_since_initiated and is_focus...');
+
+      // Step 1: Update days_since_initiated for all records (using activity_date)
+      // If activity_date is NULL, fall back to created_at
+      const [daysResult] = await this.mysqlConnection.execute(`
+        UPDATE rto_tracking 
+        SET days_since_initiated = DATEDIFF(CURRENT_DATE, DATE(COALESCE(activity_date, created_at)))
+      `);
+      console.log(`✅ [RTO] Updated days_since_initiated for ${daysResult.affectedRows} records`);
+
+      // Step 2: Mark is_delivered = 1 for ALL instances of orders that have a delivered status
+      const [deliveredResult] = await this.mysqlConnection.execute(`
+        UPDATE rto_tracking rt
+        SET is_delivered = 1
+        WHERE rt.order_id IN (
+          SELECT DISTINCT order_id 
+          FROM (SELECT order_id FROM rto_tracking 
+                WHERE order_status LIKE '%Delivered%'
+                   OR order_status LIKE '%delivered%') as delivered_orders
+        )
+      `);
+      console.log(`✅ [RTO] Updated is_delivered for ${deliveredResult.affectedRows} records`);
+
+      // Step 3: Reset is_focus to 0 for all records first
+      await this.mysqlConnection.execute(`UPDATE rto_tracking SET is_focus = 0`);
+
+      // Step 4: Set is_focus = 1 for ALL instances of orders where:
+      // - The FIRST instance (instance_number = 1) has days_since_initiated > 7
+      // - AND the order is NOT delivered (is_delivered = 0)
+      const [focusResult] = await this.mysqlConnection.execute(`
+        UPDATE rto_tracking rt
+        SET is_focus = 1
+        WHERE rt.is_delivered = 0
+          AND rt.order_id IN (
+            SELECT order_id FROM (
+              SELECT order_id 
+              FROM rto_tracking 
+              WHERE instance_number = 1 
+                AND days_since_initiated > 7
+                AND is_delivered = 0
+            ) as focus_orders
+          )
+      `);
+      console.log(`✅ [RTO] Updated is_focus for ${focusResult.affectedRows} records`);
+
+      return {
+        success: true,
+        daysUpdated: daysResult.affectedRows,
+        deliveredUpdated: deliveredResult.affectedRows,
+        focusUpdated: focusResult.affectedRows,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('❌ [RTO] Error updating RTO days and focus:', error);
+      throw error;
+    }
   }
 
   /**
-   * Remove size information from SKU for matching
-   * @param {string} skuId - SKU with size
-   * @returns {string} SKU without size
+   * Get RTO tracking statistics for dashboard
+   * @param {string} accountCode - Optional account code filter
+   * @returns {Promise<Object>} Statistics object
    */
-  cleanSkuId(skuId) {
-    if (!skuId) return skuId;
+  async getRTOTrackingStats(accountCode = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-    // Remove size information from the end
-    let cleanedSku = skuId
-      // Remove size codes (S, M, L, XL, etc.) at the end
-      .replace(/[-_](XS|S|M|L|XL|2XL|3XL|4XL|5XL|XXXL|XXL|Small|Medium|Large|Extra Large)$/i, '')
-      // Remove age ranges (24-26, 25-26, etc.) at the end
-      .replace(/[-_][0-9]+-[0-9]+$/, '')
-      // Remove decimal numbers at the end (half shoe sizes like 7.5, 8.5, etc.) - MUST be before integer pattern
-      .replace(/[-_][0-9]+\.[0-9]+$/, '')
-      // Remove single numbers at the end (size numbers like 32, 34, etc.)
-      .replace(/[-_][0-9]+$/, '')
-      // Clean up any double dashes or underscores
-      .replace(/[-_]{2,}/g, '-')
-      // Remove trailing dashes/underscores
-      .replace(/[-_]+$/, '')
-      .trim();
+    try {
+      let query = `
+        SELECT 
+          COUNT(DISTINCT order_id) as total_rto_orders,
+          COUNT(*) as total_status_records,
+          SUM(CASE WHEN is_focus = 1 THEN 1 ELSE 0 END) as focus_orders,
+          SUM(CASE WHEN is_delivered = 1 THEN 1 ELSE 0 END) as delivered_records,
+          COUNT(DISTINCT CASE WHEN is_delivered = 1 THEN order_id END) as delivered_orders,
+          COUNT(DISTINCT CASE WHEN is_delivered = 0 THEN order_id END) as pending_orders
+        FROM rto_tracking
+      `;
+      const params = [];
+
+      if (accountCode) {
+        query += ` WHERE account_code = ?`;
+        params.push(accountCode);
+      }
+
+      const [stats] = await this.mysqlConnection.execute(query, params);
+      return stats[0];
+    } catch (error) {
+      console.error('❌ [RTO] Error getting RTO tracking stats:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all RTO orders with focus (is_focus = 1)
+   * These are orders that need attention (RTO Initiated > 7 days and not delivered)
+   * @param {string} accountCode - Optional account code filter
+   * @returns {Promise<Array>} Array of focus RTO orders
+   */
+  async getRTOFocusOrders(accountCode = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      let query = `
+        SELECT 
+          rt.order_id,
+          rt.order_status,
+          rt.instance_number,
+          rt.days_since_initiated,
+          rt.rto_wh,
+          rt.account_code,
+          rt.activity_date,
+          rt.created_at,
+          rt.updated_at,
+          l.awb,
+          l.carrier_name
+        FROM rto_tracking rt
+        LEFT JOIN labels l ON rt.order_id = l.order_id AND rt.account_code = l.account_code
+        WHERE rt.is_focus = 1 AND rt.instance_number = 1
+      `;
+      const params = [];
 
-    return cleanedSku;
+      if (accountCode) {
+        query += ` AND rt.account_code = ?`;
+        params.push(accountCode);
+      }
+
+      query += ` ORDER BY rt.days_since_initiated DESC, rt.order_id`;
+
+      const [rows] = await this.mysqlConnection.execute(query, params);
+      return rows;
+    } catch (error) {
+      console.error('❌ [RTO] Error getting RTO focus orders:', error);
+      throw error;
+    }
   }
 
   /**
-   * Extract size information from SKU ID
-   * @param {string} skuId - SKU with size
-   * @returns {string} Extracted size or null if no size found
+   * Get all critical orders (claims.is_critical = 1)
+   * These are orders that need urgent attention
+   * @param {string} accountCode - Optional account code filter
+   * @returns {Promise<Array>} Array of critical orders with order details
    */
-  extractSizeFromSku(skuId) {
-    if (!skuId) return null;
+  async getCriticalOrders(accountCode = null) {
+    await this.waitForMySQLInitialization();
 
-    // Try to extract size codes (S, M, L, XL, etc.) at the end
-    const sizeMatch = skuId.match(/[-_](XS|S|M|L|XL|2XL|3XL|4XL|5XL|XXXL|XXL|Small|Medium|Large|Extra Large)$/i);
-    if (sizeMatch) {
-      return sizeMatch[1].toUpperCase();
+    // Use pool if available (preferred for parallel execution), otherwise fall back to connection
+    const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
+      throw new Error('MySQL connection not available');
     }
 
-    // Try to extract age ranges (24-26, 25-26, etc.) at the end
-    const ageRangeMatch = skuId.match(/[-_]([0-9]+-[0-9]+)$/);
-    if (ageRangeMatch) {
-      return ageRangeMatch[1];
-    }
+    try {
+      // Get date filter from utility table
+      let numberOfDays = 60; // default
+      try {
+        const daysValue = await this.getUtilityParameter('number_of_day_of_order_include');
+        if (daysValue) {
+          numberOfDays = parseInt(daysValue, 10);
+        }
+      } catch (err) {
+        console.log(`⚠️ Could not fetch utility parameter for critical orders, using default: ${numberOfDays} days`);
+      }
 
-    // Try to extract decimal numbers at the end (half shoe sizes like 7.5, 8.5, etc.) - MUST be before integer pattern
-    const decimalMatch = skuId.match(/[-_]([0-9]+\.[0-9]+)$/);
-    if (decimalMatch) {
-      return decimalMatch[1];
-    }
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - numberOfDays);
+      cutoffDate.setHours(0, 0, 0, 0);
+      const mysqlCutoffDate = cutoffDate.toISOString().slice(0, 19).replace('T', ' ');
 
-    // Try to extract single numbers at the end (size numbers like 32, 34, etc.)
-    const numberMatch = skuId.match(/[-_]([0-9]+)$/);
-    if (numberMatch) {
-      return numberMatch[1];
-    }
+      let query = `
+        SELECT
+          o.order_id,
+          o.unique_id,
+          o.customer_name,
+          o.product_name,
+          o.product_code,
+          o.quantity,
+          o.selling_price,
+          o.order_date,
+          o.account_code,
+          c.status as claims_status,
+          c.claimed_by,
+          c.claimed_at,
+          c.is_critical,
+          l.awb,
+          l.carrier_name,
+          l.current_shipment_status,
+          s.store_name,
+          u.name as vendor_name,
+          p.image as product_image,
+          CASE
+            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != ''
+            THEN l.current_shipment_status
+            ELSE c.status
+          END as status,
+          CASE
+            WHEN ci.billing_firstname IS NOT NULL AND ci.billing_firstname != ''
+            THEN TRIM(CONCAT(COALESCE(ci.billing_firstname, ''), ' ', COALESCE(ci.billing_lastname, '')))
+            WHEN ci.shipping_firstname IS NOT NULL AND ci.shipping_firstname != ''
+            THEN TRIM(CONCAT(COALESCE(ci.shipping_firstname, ''), ' ', COALESCE(ci.shipping_lastname, '')))
+            WHEN o.customer_name IS NOT NULL AND o.customer_name != ''
+            THEN o.customer_name
+            ELSE NULL
+          END as customer_name_from_info
+        FROM claims c
+        INNER JOIN orders o ON c.order_unique_id = o.unique_id AND c.account_code = o.account_code
+        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        LEFT JOIN store_info s ON o.account_code = s.account_code
+        LEFT JOIN users u ON c.claimed_by = u.warehouseId
+        LEFT JOIN customer_info ci ON o.order_id = ci.order_id AND o.account_code = ci.account_code
+        WHERE c.is_critical = 1
+          AND o.is_in_new_order = 1
+          AND c.label_downloaded = 0
+          AND s.status = 'active'
+          AND o.order_date >= ?
+      `;
+      const params = [mysqlCutoffDate];
 
-    return null;
+      if (accountCode) {
+        query += ` AND o.account_code = ?`;
+        params.push(accountCode);
+      }
+
+      query += ` ORDER BY o.order_date ASC, o.order_id`;
+
+      const [rows] = await db.execute(query, params);
+      return rows;
+    } catch (error) {
+      console.error('❌ [Critical Orders] Error getting critical orders:', error);
+      throw error;
+    }
   }
 
   /**
-   * Normalize a product_code into a bare SKU by stripping its size suffix.
-   * Mirrors all four REGEXP_REPLACE patterns used in the SQL JOIN, applied in
-   * descending specificity so the right pattern wins:
-   *   1. Text sizes  : [-_](XS|S|M|L|XL|2XL|3XL|4XL|5XL|XXXL|XXL|Small|Medium|Large|Extra Large)
-   *   2. Range sizes : [-_][0-9]+-[0-9]+   (e.g. 28-30)   ← before single-int
-   *   3. Decimal sizes: [-_][0-9]+.[0-9]+  (e.g. 7.5)     ← before single-int
-   *   4. Single-int  : [-_][0-9]+          (e.g. 7, 32)
-   *   Then collapses consecutive [-_] into a single '-' and trims whitespace.
-   * @param {string} productCode
-   * @returns {string|null}
+   * Update RTO focus orders status
+   * Updates order_status and sets is_focus = 0 for the given order_ids
+   * @param {string[]} orderIds - Array of order IDs to update
+   * @param {string} newStatus - New status to set
+   * @param {string} accountCode - Optional account code filter
+   * @returns {Promise<{affectedRows: number}>} Number of affected rows
    */
-  normalizeProductCode(productCode) {
-    if (!productCode) return null;
+  async updateRTOFocusStatus(orderIds, newStatus, accountCode = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-    let normalized = productCode.trim();
+    if (!orderIds || orderIds.length === 0) {
+      throw new Error('No order IDs provided');
+    }
 
-    // Pattern priority order matches the SQL OR conditions
-    const patterns = [
-      // 1. Text size suffixes (XS, S, M, L, XL, 2XL … Extra Large)
-      /[-_](XS|S|M|L|XL|2XL|3XL|4XL|5XL|XXXL|XXL|Small|Medium|Large|Extra Large)$/i,
-      // 2. Numeric range suffixes (e.g. -28-30, _28-30) — must precede single-int
-      /[-_][0-9]+-[0-9]+$/,
-      // 3. Decimal suffixes (e.g. -7.5, _5.5) — must precede single-int
-      /[-_][0-9]+\.[0-9]+$/,
-      // 4. Single integer suffixes (e.g. -7, _32)
-      /[-_][0-9]+$/,
-    ];
+    try {
+      const placeholders = orderIds.map(() => '?').join(',');
+      let query = `
+        UPDATE rto_tracking 
+        SET order_status = ?, is_focus = 0, updated_at = NOW()
+        WHERE order_id IN (${placeholders}) AND instance_number = 1
+      `;
+      const params = [newStatus, ...orderIds];
 
-    for (const pattern of patterns) {
-      if (pattern.test(normalized)) {
-        normalized = normalized.replace(pattern, '');
-        break; // Only strip one suffix — same as the SQL OR semantics
+      if (accountCode) {
+        query += ` AND account_code = ?`;
+        params.push(accountCode);
       }
-    }
-
-    // Collapse any consecutive dashes/underscores left after stripping (mirrors REGEXP_REPLACE(..., '[-_]{2,}', '-'))
-    normalized = normalized.replace(/[-_]{2,}/g, '-');
 
-    return normalized.trim() || null;
+      const [result] = await this.mysqlConnection.execute(query, params);
+      console.log(`✅ [RTO] Updated ${result.affectedRows} RTO focus orders to status: ${newStatus}`);
+      return { affectedRows: result.affectedRows };
+    } catch (error) {
+      console.error('❌ [RTO] Error updating RTO focus status:', error);
+      throw error;
+    }
   }
 
   /**
-   * Add normalized_product_code column to existing orders table, create its index,
-   * and backfill all existing rows. Idempotent — safe to run on every startup.
+   * Get unprocessed delivered RTO orders with product details from orders table
+   * Filters: order_status in ('DEL', 'Delivered', 'RTO Delivered', 'RTO_Delivered'), is_delivered = 1, is_fetched = 0
+   * @returns {Promise<Array>} Array of unprocessed RTO orders with product details
    */
-  async addNormalizedProductCodeIfNotExists() {
-    if (!this.mysqlConnection) return;
-
-    try {
-      // 1. Add column if missing
-      const [cols] = await this.mysqlConnection.execute(
-        `SHOW COLUMNS FROM orders LIKE 'normalized_product_code'`
-      );
-      if (cols.length === 0) {
-        console.log('🔄 Adding normalized_product_code column to orders table...');
-        await this.mysqlConnection.execute(
-          `ALTER TABLE orders ADD COLUMN normalized_product_code VARCHAR(100) DEFAULT NULL AFTER product_code`
-        );
-        console.log('✅ normalized_product_code column added.');
-      } else {
-        console.log('ℹ️ normalized_product_code column already exists, skipping ADD COLUMN.');
-      }
+  async getUnprocessedRTODeliveredOrders() {
+    await this.waitForMySQLInitialization();
 
-      // 2. Add index if missing
-      const [idxRows] = await this.mysqlConnection.execute(`SHOW INDEX FROM orders WHERE Key_name = 'idx_normalized_product_code'`);
-      if (idxRows.length === 0) {
-        console.log('🔄 Adding idx_normalized_product_code index...');
-        try {
-          await this.mysqlConnection.execute(
-            `ALTER TABLE orders ADD INDEX idx_normalized_product_code (normalized_product_code)`
-          );
-          console.log('✅ idx_normalized_product_code index added.');
-        } catch (err) {
-          if (err.code !== 'ER_DUP_KEYNAME') console.error('❌ Error adding index:', err.message);
-        }
-      } else {
-        console.log('ℹ️ idx_normalized_product_code index already exists, skipping.');
-      }
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      // 3. Backfill rows where normalized_product_code is NULL (new column or new orders)
-      const [nullRows] = await this.mysqlConnection.execute(
-        `SELECT unique_id, product_code FROM orders WHERE normalized_product_code IS NULL AND product_code IS NOT NULL`
-      );
+    try {
+      const query = `
+        SELECT 
+          rt.id as rto_tracking_id,
+          rt.order_id,
+          rt.order_status,
+          rt.rto_wh,
+          rt.account_code,
+          o.product_code,
+          COALESCE(v.size, o.size) as size,
+          o.quantity,
+          v.sku_id as variant_base_sku
+        FROM rto_tracking rt
+        INNER JOIN orders o ON rt.order_id = o.order_id AND rt.account_code = o.account_code
+        LEFT JOIN product_variants v ON v.id = o.variant_id
+        WHERE rt.order_status IN ('Delivered', 'RTO Delivered', 'RTO_Delivered')
+          AND rt.is_delivered = 1
+          AND rt.is_fetched = 0
+          AND rt.rto_wh IS NOT NULL
+          AND rt.rto_wh != ''
+        ORDER BY rt.order_id
+      `;
 
-      if (nullRows.length > 0) {
-        console.log(`🔄 Backfilling normalized_product_code for ${nullRows.length} orders...`);
-        let backfilledCount = 0;
-        for (const row of nullRows) {
-          const normalized = this.normalizeProductCode(row.product_code);
-          if (normalized) {
-            await this.mysqlConnection.execute(
-              `UPDATE orders SET normalized_product_code = ? WHERE unique_id = ?`,
-              [normalized, row.unique_id]
-            );
-            backfilledCount++;
-          }
-        }
-        console.log(`✅ Backfilled normalized_product_code for ${backfilledCount} orders.`);
-      } else {
-        console.log('ℹ️ All existing orders already have normalized_product_code, no backfill needed.');
-      }
+      const [rows] = await this.mysqlConnection.execute(query);
+      console.log(`📦 [RTO Inventory] Found ${rows.length} unprocessed delivered RTO orders`);
+      return rows;
     } catch (error) {
-      console.error('❌ Error in addNormalizedProductCodeIfNotExists:', error.message);
+      console.error('❌ [RTO Inventory] Error getting unprocessed RTO delivered orders:', error);
+      throw error;
     }
   }
 
   /**
-   * Get order by unique_id from MySQL
-   * @param {string} unique_id - Order unique ID
-   * @returns {Object|null} Order data or null if not found
+   * Upsert RTO inventory - insert new record or add to existing quantity, and log the movement
+   * @param {string} accountCode - Store the stock belongs to
+   * @param {string} rtoWh - RTO warehouse name
+   * @param {string} productCode - Product code/SKU
+   * @param {string} size - Product size
+   * @param {number} quantity - Quantity to add
+   * @param {Object} movement - Movement log fields { source?, order_id?, created_by?, notes? } (type rto_received)
+   * @returns {Promise<Object>} Result of the upsert operation
    */
-  async getOrderByUniqueId(unique_id) {
+  async upsertRTOInventory(accountCode, rtoWh, productCode, size, quantity, movement = {}) {
+    await this.waitForMySQLInitialization();
+
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
+    const connection = await this.mysqlPool.getConnection();
+
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE o.unique_id = ?
-      `, [unique_id]);
+      await connection.beginTransaction();
+      const result = await this.upsertRTOInventoryRow(connection, { accountCode, rtoWh, productCode, size, quantity }, movement);
+      await connection.commit();
 
-      return rows.length > 0 ? rows[0] : null;
+      console.log(`✅ [RTO Inventory] Upserted: account_code=${accountCode}, rto_wh=${rtoWh}, product_code=${productCode}, size=${size}, qty=${quantity}`);
+      return result;
     } catch (error) {
-      console.error('Error getting order by unique_id:', error);
-      throw new Error('Failed to get order from database');
+      await connection.rollback();
+      console.error('❌ [RTO Inventory] Error upserting RTO inventory:', error);
+      throw error;
+    } finally {
+      connection.release();
     }
   }
 
   /**
-   * Get all orders for a specific order_id from MySQL
-   * @param {string} order_id - Order ID
-   * @returns {Array} Array of orders
+   * Add several rows to RTO inventory in one transaction: either every row (and its movement)
+   * is saved or, on any error, none is
+   * @param {Array} rows - [{ account_code, location, sku_id, size, quantity }]
+   * @param {Object} movement - Movement log fields { source?, created_by?, notes? } (type rto_received)
+   * @returns {Promise<number>} Number of rows upserted
    */
-  async getOrdersByOrderId(order_id) {
+  async upsertRTOInventoryRows(rows, movement = {}) {
+    await this.waitForMySQLInitialization();
+
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
+    if (!rows || rows.length === 0) return 0;
+
+    const connection = await this.mysqlPool.getConnection();
+
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE o.order_id = ? 
-        ORDER BY o.product_name
-      `, [order_id]);
+      await connection.beginTransaction();
+      for (const row of rows) {
+        await this.upsertRTOInventoryRow(connection, {
+          accountCode: row.account_code,
+          rtoWh: row.location,
+          productCode: row.sku_id,
+          size: row.size,
+          quantity: row.quantity
+        }, movement);
+      }
+      await connection.commit();
 
-      return rows;
+      console.log(`✅ [RTO Inventory] Upserted ${rows.length} rows in one transaction`);
+      return rows.length;
     } catch (error) {
-      console.error('Error getting orders by order_id:', error);
-      throw new Error('Failed to get orders from database');
+      await connection.rollback();
+      console.error('❌ [RTO Inventory] Error upserting RTO inventory rows, nothing was saved:', error);
+      throw error;
+    } finally {
+      connection.release();
     }
   }
 
   /**
-   * Get orders by multiple order_ids from MySQL (bulk fetch)
-   * OPTIMIZATION: Fetches only specified orders instead of all orders
-   * @param {Array<string>} order_ids - Array of order IDs
-   * @returns {Array} Array of order objects
+   * Add quantity to one rto_inventory row and log the movement on the caller's connection (inside a transaction)
+   * @param {Object} connection - MySQL connection
+   * @param {Object} item - { accountCode, rtoWh, productCode, size, quantity }
+   * @param {Object} movement - Movement log fields (type rto_received)
+   * @returns {Promise<Object>} Result of the INSERT ... ON DUPLICATE KEY UPDATE
+   */
+  async upsertRTOInventoryRow(connection, { accountCode, rtoWh, productCode, size, quantity }, movement = {}) {
+    // Use INSERT ... ON DUPLICATE KEY UPDATE for atomic upsert; LAST_INSERT_ID(id) returns the existing row's id
+    const query = `
+      INSERT INTO rto_inventory (account_code, rto_wh, product_code, size, quantity)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE 
+        id = LAST_INSERT_ID(id),
+        quantity = quantity + VALUES(quantity),
+        updated_at = CURRENT_TIMESTAMP
+    `;
+
+    const [result] = await connection.execute(query, [
+      accountCode || '',
+      rtoWh,
+      productCode,
+      size || '',
+      quantity
+    ]);
+
+    const [[row]] = await connection.execute('SELECT * FROM rto_inventory WHERE id = ?', [result.insertId]);
+    await this.insertRTOInventoryMovement(connection, row, {
+      source: 'manual',
+      ...movement,
+      movement_type: 'rto_received',
+      quantity_change: quantity
+    });
+
+    return result;
+  }
+
+  /**
+   * Write an RTO inventory movement row; runs on the caller's connection so it commits with the change
+   * @param {Object} connection - MySQL connection (inside a transaction)
+   * @param {Object} row - rto_inventory row after the change
+   * @param {Object} movement - { movement_type, quantity_change?, reserved_change?, source?, order_id?, order_unique_id?, reservation_id?, created_by?, notes? }
+   */
+  async insertRTOInventoryMovement(connection, row, movement) {
+    await connection.execute(
+      `INSERT INTO rto_inventory_movements (
+        rto_inventory_id, account_code, rto_wh, product_code, size, movement_type,
+        quantity_change, reserved_change, quantity_after, reserved_after,
+        source, order_id, order_unique_id, reservation_id, created_by, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        row.id,
+        row.account_code || '',
+        row.rto_wh,
+        row.product_code,
+        row.size,
+        movement.movement_type,
+        movement.quantity_change || 0,
+        movement.reserved_change || 0,
+        row.quantity,
+        row.reserved_quantity,
+        movement.source || null,
+        movement.order_id || null,
+        movement.order_unique_id || null,
+        movement.reservation_id || null,
+        movement.created_by ? String(movement.created_by) : null,
+        movement.notes ? String(movement.notes).slice(0, 500) : null
+      ]
+    );
+  }
+
+  /**
+   * Mark RTO tracking records as fetched after successful inventory processing
+   * @param {Array<number>} rtoTrackingIds - Array of rto_tracking IDs to mark as fetched
+   * @returns {Promise<Object>} Result of the update operation
    */
-  async getOrdersByOrderIds(order_ids) {
+  async markRTOTrackingAsFetched(rtoTrackingIds) {
+    await this.waitForMySQLInitialization();
+
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!order_ids || !Array.isArray(order_ids) || order_ids.length === 0) {
-      return [];
+    if (!rtoTrackingIds || rtoTrackingIds.length === 0) {
+      return { affectedRows: 0 };
     }
 
     try {
-      // Create placeholders for IN clause (?, ?, ?, ...)
-      const placeholders = order_ids.map(() => '?').join(',');
-
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE o.order_id IN (${placeholders})
-        ORDER BY o.order_id, o.product_name
-      `, order_ids);
+      const placeholders = rtoTrackingIds.map(() => '?').join(', ');
+      const query = `
+        UPDATE rto_tracking 
+        SET is_fetched = 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id IN (${placeholders})
+      `;
 
-      return rows || [];
+      const [result] = await this.mysqlConnection.execute(query, rtoTrackingIds);
+      console.log(`✅ [RTO Inventory] Marked ${result.affectedRows} RTO tracking records as fetched`);
+      return result;
     } catch (error) {
-      console.error('Error getting orders by order_ids:', error);
-      throw new Error('Failed to get orders from database');
+      console.error('❌ [RTO Inventory] Error marking RTO tracking as fetched:', error);
+      throw error;
     }
   }
 
   /**
-   * Get multiple orders by unique_ids from MySQL (bulk fetch)
-   * @param {Array<string>} unique_ids - Array of order unique IDs
-   * @returns {Array} Array of order objects
+   * Get RTO inventory summary
+   * @returns {Promise<Array>} Array of RTO inventory records
    */
-  async getOrdersByUniqueIds(unique_ids) {
+  async getRTOInventory() {
+    await this.waitForMySQLInitialization();
+
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!unique_ids || !Array.isArray(unique_ids) || unique_ids.length === 0) {
-      return [];
-    }
-
     try {
-      // Create placeholders for IN clause (?, ?, ?, ...)
-      const placeholders = unique_ids.map(() => '?').join(',');
-
-      const [rows] = await this.mysqlConnection.execute(`
+      const query = `
         SELECT 
-          o.*,
-          p.image as product_image,
-          c.status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE o.unique_id IN (${placeholders})
-      `, unique_ids);
+          id,
+          account_code,
+          rto_wh,
+          product_code,
+          size,
+          quantity,
+          reserved_quantity,
+          quantity - reserved_quantity as available_quantity,
+          created_at,
+          updated_at
+        FROM rto_inventory
+        ORDER BY account_code, rto_wh, product_code, size
+      `;
 
-      return rows || [];
+      const [rows] = await this.mysqlConnection.execute(query);
+      return rows;
     } catch (error) {
-      console.error('Error getting orders by unique_ids:', error);
-      throw new Error('Failed to get orders from database');
+      console.error('❌ [RTO Inventory] Error getting RTO inventory:', error);
+      throw error;
     }
   }
 
   /**
-   * Get all orders from MySQL
-   * @returns {Array} Array of all orders
-   */
-  async getAllOrders(cutoffDate = null) {
-    // Use pool if available (preferred for parallel execution), otherwise fall back to connection
-    const db = this.mysqlPool || this.mysqlConnection;
-    if (!db) {
+   * Get RTO inventory with product names from products table
+   * Matches rto_inventory.product_code (without size suffix) to products.sku_id, preferring the
+   * row's own store; unassigned rows use account_code priority STRI > DRIB > JERS for the name
+   * @param {string|null} accountCode - Only this store's stock (optional)
+   * @returns {Promise<Array>} RTO inventory with product names
+   */
+  async getRTOInventoryWithProductNames(accountCode = null) {
+    await this.waitForMySQLInitialization();
+
+    if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Build query with optional date filter using parameterized query
-      let query = `
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status as claims_status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest,
-          l.manifest_id,
-          l.current_shipment_status,
-          l.is_handover,
-          s.store_name,
-          s.status as store_status,
-          CASE 
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-            THEN l.current_shipment_status 
-            ELSE c.status 
-          END as status
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        LEFT JOIN store_info s ON o.account_code = s.account_code
-        WHERE (o.is_in_new_order = 1 OR c.label_downloaded = 1)`;
-
-      const params = [];
-
-      // Add date filter if cutoffDate is provided
-      if (cutoffDate) {
-        query += ` AND o.order_date >= ?`;
-        // Format date for MySQL (YYYY-MM-DD HH:MM:SS)
-        const mysqlDate = cutoffDate.toISOString().slice(0, 19).replace('T', ' ');
-        params.push(mysqlDate);
-      }
-
-      query += ` ORDER BY o.order_date DESC, o.order_id, o.product_name`;
+      console.log('📦 [RTO Inventory] Fetching RTO inventory with product names...');
 
-      const [rows] = await db.execute(query, params);
+      // Query that:
+      // 1. Strips size suffix from product_code to match sku_id
+      //    (product_code = "CLU-KRM-TH-25/26-16-18", size = "16-18" → base_sku = "CLU-KRM-TH-25/26")
+      // 2. Joins with products table
+      // 3. Uses account_code priority for product name selection when multiple matches exist
+      const query = `
+        WITH rto_with_products AS (
+          SELECT 
+            ri.id,
+            ri.account_code,
+            ri.rto_wh,
+            ri.product_code,
+            ri.size,
+            ri.quantity,
+            ri.reserved_quantity,
+            p.name as product_name,
+            ROW_NUMBER() OVER (
+              PARTITION BY ri.id 
+              ORDER BY 
+                CASE
+                  WHEN p.account_code = ri.account_code THEN 0
+                  WHEN p.account_code = 'STRI' THEN 1
+                  WHEN p.account_code = 'DRIB' THEN 2
+                  WHEN p.account_code = 'JERS' THEN 3
+                  ELSE 4
+                END
+            ) as rn
+          FROM rto_inventory ri
+          LEFT JOIN products p ON ri.product_code = p.sku_id
+          WHERE ri.quantity > 0
+            ${accountCode ? 'AND ri.account_code = ?' : ''}
+        )
+        SELECT 
+          id,
+          NULLIF(account_code, '') as Account_Code,
+          rto_wh as Location,
+          COALESCE(product_name, product_code) as Product_Name,
+          size as Size,
+          CAST(quantity AS SIGNED) as Quantity,
+          CAST(reserved_quantity AS SIGNED) as Reserved,
+          CAST(quantity - reserved_quantity AS SIGNED) as Available,
+          product_code,
+          product_code as base_sku
+        FROM rto_with_products
+        WHERE rn = 1
+        ORDER BY account_code, rto_wh, Product_Name, size
+      `;
 
+      const [rows] = await this.mysqlConnection.execute(query, accountCode ? [accountCode] : []);
+      console.log(`📦 [RTO Inventory] Found ${rows.length} RTO entries with product names`);
       return rows;
     } catch (error) {
-      console.error('Error getting all orders:', error);
-      throw new Error('Failed to get orders from database');
+      console.error('❌ [RTO Inventory] Error getting RTO inventory with product names:', error);
+      throw error;
     }
   }
 
   /**
-   * Get orders with pagination, filtering, and search (optimized with LIMIT/OFFSET)
-   * @param {Object} options - Query options
-   * @param {string} options.status - Filter by status (e.g., 'unclaimed')
-   * @param {string} options.search - Search term for order_id, product_name, product_code, customer_name
-   * @param {string} options.dateFrom - Start date (YYYY-MM-DD format)
-   * @param {string} options.dateTo - End date (YYYY-MM-DD format)
-   * @param {number} options.limit - Number of records per page
-   * @param {number} options.offset - Number of records to skip
-   * @returns {Promise<Object>} Object with orders array, totalCount, and totalQuantity
+   * Process delivered RTO orders and update inventory
+   * This is the main function that orchestrates the RTO inventory update process
+   * @returns {Promise<Object>} Processing result with stats
    */
-  async getOrdersPaginated(options = {}) {
-    const {
-      status = null,
-      search = '',
-      dateFrom = null,
-      dateTo = null,
-      limit = 50,
-      offset = 0
-    } = options;
+  async processRTOInventory() {
+    await this.waitForMySQLInitialization();
 
-    // Use pool if available (preferred for parallel execution), otherwise fall back to connection
-    const db = this.mysqlPool || this.mysqlConnection;
-    if (!db) {
+    if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Build WHERE clause conditions (reusable for both COUNT and SELECT queries)
-      let whereConditions = '(o.is_in_new_order = 1 OR c.label_downloaded = 1)';
-      const params = [];
-      const countParams = [];
-
-      // Apply status filter (unclaimed logic matches dashboard-stats)
-      if (status === 'unclaimed') {
-        whereConditions += ` AND (
-          (
-            (l.current_shipment_status IS NULL OR l.current_shipment_status = '') 
-            AND c.status = 'unclaimed'
-          )
-          OR l.current_shipment_status = 'unclaimed'
-        )`;
-        // Filter out inactive stores for unclaimed orders (vendors should only see new orders from active stores)
-        whereConditions += ` AND s.status = 'active'`;
-      }
+      console.log('🚀 [RTO Inventory] Starting RTO inventory processing...');
 
-      // Apply search filter (SQL LIKE for order_id, product_name, product_code, customer_name)
-      if (search && search.trim() !== '') {
-        const searchTerm = `%${search.trim()}%`;
-        whereConditions += ` AND (
-          o.order_id LIKE ? OR
-          o.product_name LIKE ? OR
-          o.product_code LIKE ? OR
-          o.customer_name LIKE ?
-        )`;
-        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
-        countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
-      }
+      // Get unprocessed delivered RTO orders
+      const unprocessedOrders = await this.getUnprocessedRTODeliveredOrders();
 
-      // Apply date range filter
-      if (dateFrom || dateTo) {
-        if (dateFrom && dateTo) {
-          whereConditions += ` AND o.order_date >= ? AND o.order_date <= ?`;
-          const dateToEnd = dateTo + ' 23:59:59';
-          params.push(dateFrom, dateToEnd);
-          countParams.push(dateFrom, dateToEnd);
-        } else if (dateFrom) {
-          whereConditions += ` AND o.order_date >= ?`;
-          params.push(dateFrom);
-          countParams.push(dateFrom);
-        } else if (dateTo) {
-          whereConditions += ` AND o.order_date <= ?`;
-          const dateToEnd = dateTo + ' 23:59:59';
-          params.push(dateToEnd);
-          countParams.push(dateToEnd);
-        }
+      if (unprocessedOrders.length === 0) {
+        console.log('✅ [RTO Inventory] No unprocessed RTO orders found');
+        return {
+          success: true,
+          processedCount: 0,
+          message: 'No unprocessed RTO orders found'
+        };
       }
 
-      // Build data query with LIMIT/OFFSET
-      const dataQuery = `
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status as claims_status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest,
-          l.manifest_id,
-          l.current_shipment_status,
-          l.is_handover,
-          s.store_name,
-          CASE 
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-            THEN l.current_shipment_status 
-            ELSE c.status 
-          END as status
-        FROM orders o
-        LEFT JOIN (
-          SELECT sku_id, account_code, MIN(image) as image
-          FROM products
-          GROUP BY sku_id, account_code
-        ) p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        LEFT JOIN store_info s ON o.account_code = s.account_code
-        WHERE ${whereConditions}
-        ORDER BY o.order_date DESC, o.order_id, o.product_name
-        LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}` ;
+      // Track processed IDs for marking as fetched
+      const processedIds = [];
+      let successCount = 0;
+      let errorCount = 0;
 
-      // Build COUNT query for total count and quantity (same WHERE clause, includes store_info for status filtering)
-      const countQuery = `
-        SELECT 
-          COUNT(DISTINCT o.unique_id) as total_count,
-          COALESCE(SUM(o.quantity), 0) as total_quantity
-        FROM orders o
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        LEFT JOIN store_info s ON o.account_code = s.account_code
-        WHERE ${whereConditions}`;
+      // Process each order
+      for (const order of unprocessedOrders) {
+        try {
+          // Lines resolved to a variant store its base SKU; otherwise strip the size suffix from product_code
+          // e.g. "CLU-ROM-TH-25/26-PV-XL" with size "XL" → "CLU-ROM-TH-25/26-PV"
+          let cleanProductCode = order.variant_base_sku || order.product_code;
+          const orderSize = order.size;
+          if (!order.variant_base_sku && orderSize && cleanProductCode && cleanProductCode.endsWith(`-${orderSize}`)) {
+            cleanProductCode = cleanProductCode.slice(0, -(orderSize.length + 1));
+            console.log(`  🔧 Stripped size from product_code: "${order.product_code}" → "${cleanProductCode}"`);
+          }
 
-      // Execute COUNT query and data query in parallel using connection pool
-      // Note: LIMIT and OFFSET are interpolated directly (not parameterized) as MySQL doesn't support placeholders for them
-      const [countResult, dataResult] = await Promise.all([
-        db.execute(countQuery, countParams),
-        db.execute(dataQuery, params)
-      ]);
+          await this.upsertRTOInventory(
+            order.account_code,
+            order.rto_wh,
+            cleanProductCode,
+            order.size,
+            order.quantity || 1,
+            { source: 'rto_tracking', order_id: order.order_id }
+          );
+          processedIds.push(order.rto_tracking_id);
+          successCount++;
+        } catch (error) {
+          console.error(`❌ [RTO Inventory] Failed to process order ${order.order_id}:`, error.message);
+          errorCount++;
+        }
+      }
 
-      const totalCount = parseInt(countResult[0][0]?.total_count || 0);
-      const totalQuantity = parseInt(countResult[0][0]?.total_quantity || 0);
-      const orders = dataResult[0];
+      // Mark processed orders as fetched
+      if (processedIds.length > 0) {
+        await this.markRTOTrackingAsFetched(processedIds);
+      }
+
+      console.log(`✅ [RTO Inventory] Processing completed: ${successCount} success, ${errorCount} errors`);
 
       return {
-        orders,
-        totalCount,
-        totalQuantity
+        success: true,
+        processedCount: successCount,
+        errorCount: errorCount,
+        totalFound: unprocessedOrders.length,
+        message: `Processed ${successCount} RTO orders into inventory`
       };
     } catch (error) {
-      console.error('Error getting paginated orders:', error);
-      throw new Error('Failed to get paginated orders from database');
+      console.error('❌ [RTO Inventory] Error processing RTO inventory:', error);
+      throw error;
     }
   }
 
   /**
-   * Get admin orders with pagination, filtering, and search (optimized with LIMIT/OFFSET)
-   * @param {Object} options - Query options
-   * @param {string} options.search - Search term for order_id, product_name, product_code, customer_name
-   * @param {string} options.dateFrom - Start date (YYYY-MM-DD format)
-   * @param {string} options.dateTo - End date (YYYY-MM-DD format)
-   * @param {string} options.status - Filter by status ('all', 'claimed', 'unclaimed', or specific status)
-   * @param {string} options.vendor - Filter by vendor warehouse ID
-   * @param {string} options.store - Filter by store account code
-   * @param {boolean} options.showInactiveStores - Include orders from inactive stores (default: false)
-   * @param {number} options.limit - Number of records per page
-   * @param {number} options.offset - Number of records to skip
-   * @param {Date} options.cutoffDate - Only include orders after this date
-   * @returns {Promise<Object>} Object with orders array, totalCount, and totalQuantity
+   * Batch update RTO inventory quantities (stock counts); each change is logged as a manual adjustment.
+   * A quantity below the row's reserved units is refused for that row.
+   * @param {Array} updates - Array of {id, quantity, notes?} objects
+   * @param {string|null} createdBy - User making the change
+   * @returns {Promise<Object>} Update result with count and per-row failures
    */
-  async getAdminOrdersPaginated(options = {}) {
-    const {
-      search = '',
-      dateFrom = null,
-      dateTo = null,
-      status = 'all',
-      vendor = null,
-      store = null,
-      showInactiveStores = false,
-      limit = 50,
-      offset = 0,
-      cutoffDate = null
-    } = options;
+  async updateRTOInventoryBatch(updates, createdBy = null) {
+    await this.waitForMySQLInitialization();
 
-    // Use pool if available (preferred for parallel execution), otherwise fall back to connection
-    const db = this.mysqlPool || this.mysqlConnection;
-    if (!db) {
+    if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    try {
-      // Build WHERE clause conditions (reusable for both COUNT and SELECT queries)
-      let whereConditions = '(o.is_in_new_order = 1 OR c.label_downloaded = 1)';
-      const params = [];
-      const countParams = [];
-
-      // Apply cutoff date filter (for performance - only recent orders)
-      if (cutoffDate) {
-        whereConditions += ` AND o.order_date >= ?`;
-        const mysqlDate = cutoffDate.toISOString().slice(0, 19).replace('T', ' ');
-        params.push(mysqlDate);
-        countParams.push(mysqlDate);
-      }
+    if (!updates || !Array.isArray(updates) || updates.length === 0) {
+      return { success: true, updatedCount: 0, message: 'No updates provided' };
+    }
 
-      // Apply search filter (SQL LIKE for order_id, product_name, product_code, customer_name)
-      if (search && search.trim() !== '') {
-        const searchTerm = `%${search.trim()}%`;
-        whereConditions += ` AND (
-          o.order_id LIKE ? OR
-          o.product_name LIKE ? OR
-          o.product_code LIKE ? OR
-          o.customer_name LIKE ?
-        )`;
-        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
-        countParams.push(searchTerm, searchTerm, searchTerm, searchTerm);
-      }
+    try {
+      console.log(`📦 [RTO Inventory] Batch updating ${updates.length} items...`);
 
-      // Apply date range filter
-      if (dateFrom || dateTo) {
-        if (dateFrom && dateTo) {
-          whereConditions += ` AND o.order_date >= ? AND o.order_date <= ?`;
-          const dateToEnd = dateTo + ' 23:59:59';
-          params.push(dateFrom, dateToEnd);
-          countParams.push(dateFrom, dateToEnd);
-        } else if (dateFrom) {
-          whereConditions += ` AND o.order_date >= ?`;
-          params.push(dateFrom);
-          countParams.push(dateFrom);
-        } else if (dateTo) {
-          whereConditions += ` AND o.order_date <= ?`;
-          const dateToEnd = dateTo + ' 23:59:59';
-          params.push(dateToEnd);
-          countParams.push(dateToEnd);
-        }
-      }
+      let updatedCount = 0;
+      let errorCount = 0;
+      const failed = [];
 
-      // Apply status filter (supports single status or array of statuses)
-      if (status && status !== 'all') {
-        const statusArray = Array.isArray(status) ? status : [status];
-        if (statusArray.length > 0) {
-          const placeholders = statusArray.map(() => '?').join(',');
-          whereConditions += ` AND (
-            CASE 
-              WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-              THEN l.current_shipment_status 
-              ELSE c.status 
-            END IN (${placeholders})
-          )`;
-          params.push(...statusArray);
-          countParams.push(...statusArray);
+      // Process each update in its own transaction (row change + movement)
+      for (const update of updates) {
+        if (update.id === undefined || update.quantity === undefined) {
+          console.warn(`⚠️ [RTO Inventory] Skipping invalid update:`, update);
+          continue;
         }
-      }
 
-      // Apply vendor filter (supports single vendor or array of vendors, including unclaimed)
-      if (vendor) {
-        const vendorArray = Array.isArray(vendor) ? vendor : [vendor];
-        const validVendors = vendorArray.filter(v => v && typeof v === 'string' && v.trim() !== '');
+        const connection = await this.mysqlPool.getConnection();
+        try {
+          const quantity = Math.max(0, parseInt(update.quantity) || 0);
 
-        if (validVendors.length > 0) {
-          const hasUnclaimed = validVendors.includes('__UNCLAIMED__');
-          const warehouseIds = validVendors.filter(v => v !== '__UNCLAIMED__');
+          await connection.beginTransaction();
+          const [[row]] = await connection.execute(
+            'SELECT * FROM rto_inventory WHERE id = ? FOR UPDATE',
+            [update.id]
+          );
 
-          if (hasUnclaimed && warehouseIds.length > 0) {
-            // Both unclaimed and specific vendors
-            const placeholders = warehouseIds.map(() => '?').join(',');
-            whereConditions += ` AND (c.claimed_by IS NULL OR c.claimed_by = '' OR c.claimed_by IN (${placeholders}))`;
-            params.push(...warehouseIds);
-            countParams.push(...warehouseIds);
-          } else if (hasUnclaimed) {
-            // Only unclaimed
-            whereConditions += ` AND (c.claimed_by IS NULL OR c.claimed_by = '')`;
-          } else {
-            // Only specific vendors
-            const placeholders = warehouseIds.map(() => '?').join(',');
-            whereConditions += ` AND c.claimed_by IN (${placeholders})`;
-            params.push(...warehouseIds);
-            countParams.push(...warehouseIds);
+          if (!row) {
+            await connection.rollback();
+            continue;
           }
-        }
-      }
-
-      // Apply store filter (supports single store or array of stores)
-      if (store) {
-        const storeArray = Array.isArray(store) ? store : [store];
-        const validStores = storeArray.filter(s => s && typeof s === 'string' && s.trim() !== '');
-
-        if (validStores.length > 0) {
-          const placeholders = validStores.map(() => '?').join(',');
-          whereConditions += ` AND o.account_code IN (${placeholders})`;
-          params.push(...validStores);
-          countParams.push(...validStores);
-        }
-      }
-
-      // Filter inactive stores unless explicitly requested
-      if (!showInactiveStores) {
-        whereConditions += ` AND (s.status = 'active' OR s.status IS NULL)`;
-        // Note: OR s.status IS NULL handles edge case where store_info might not have a record
-      }
-
-      // Build data query with LIMIT/OFFSET and vendor info
-      const dataQuery = `
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status as claims_status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest,
-          l.manifest_id,
-          l.current_shipment_status,
-          l.is_handover,
-          COALESCE(sc.brand_name, s.store_name) as store_name,
-          s.status as store_status,
-          u.name as vendor_name,
-          u.warehouseId as vendor_warehouse_id,
-          CASE 
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-            THEN l.current_shipment_status 
-            ELSE c.status 
-          END as status,
-          CASE
-            WHEN ci.billing_firstname IS NOT NULL AND ci.billing_firstname != '' 
-            THEN TRIM(CONCAT(COALESCE(ci.billing_firstname, ''), ' ', COALESCE(ci.billing_lastname, '')))
-            WHEN ci.shipping_firstname IS NOT NULL AND ci.shipping_firstname != ''
-            THEN TRIM(CONCAT(COALESCE(ci.shipping_firstname, ''), ' ', COALESCE(ci.shipping_lastname, '')))
-            WHEN o.customer_name IS NOT NULL AND o.customer_name != ''
-            THEN o.customer_name
-            ELSE NULL
-          END as customer_name_from_info
-        FROM orders o
-        LEFT JOIN (
-          SELECT sku_id, account_code, MIN(image) as image
-          FROM products
-          GROUP BY sku_id, account_code
-        ) p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        LEFT JOIN store_info s ON o.account_code = s.account_code
-        LEFT JOIN users u ON c.claimed_by = u.warehouseId
-        LEFT JOIN (
-          SELECT order_id, account_code,
-            MIN(billing_firstname) as billing_firstname,
-            MIN(billing_lastname) as billing_lastname,
-            MIN(shipping_firstname) as shipping_firstname,
-            MIN(shipping_lastname) as shipping_lastname,
-            MIN(store_code) as store_code
-          FROM customer_info
-          GROUP BY order_id, account_code
-        ) ci ON o.order_id = ci.order_id AND o.account_code = ci.account_code
-        LEFT JOIN store_shopify_connections sc ON o.account_code = sc.account_code AND sc.store_code = COALESCE(ci.store_code, '1')
-        WHERE ${whereConditions}
-        ORDER BY o.order_date DESC, o.order_id, o.product_name
-        LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}` ;
 
-      // Build COUNT query for total count and quantity
-      const countQuery = `
-        SELECT 
-          COUNT(DISTINCT o.unique_id) as total_count,
-          COALESCE(SUM(o.quantity), 0) as total_quantity
-        FROM orders o
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        LEFT JOIN store_info s ON o.account_code = s.account_code
-        WHERE ${whereConditions}`;
+          if (quantity < row.reserved_quantity) {
+            await connection.rollback();
+            failed.push({ id: update.id, message: `${row.reserved_quantity} unit(s) are reserved; quantity cannot go below that` });
+            errorCount++;
+            continue;
+          }
 
-      // Execute COUNT query and data query in parallel using connection pool
-      const [countResult, dataResult] = await Promise.all([
-        db.execute(countQuery, countParams),
-        db.execute(dataQuery, params)
-      ]);
+          if (quantity !== row.quantity) {
+            await connection.execute(
+              `UPDATE rto_inventory SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+              [quantity, update.id]
+            );
+            await this.insertRTOInventoryMovement(connection, { ...row, quantity }, {
+              movement_type: 'manual_adjustment',
+              quantity_change: quantity - row.quantity,
+              source: 'batch_update',
+              created_by: createdBy,
+              notes: update.notes
+            });
+          }
 
-      const totalCount = parseInt(countResult[0][0]?.total_count || 0);
-      const totalQuantity = parseInt(countResult[0][0]?.total_quantity || 0);
-      const orders = dataResult[0];
+          await connection.commit();
+          updatedCount++;
+        } catch (updateError) {
+          await connection.rollback();
+          console.error(`⚠️ [RTO Inventory] Failed to update id ${update.id}:`, updateError.message);
+          failed.push({ id: update.id, message: updateError.message });
+          errorCount++;
+        } finally {
+          connection.release();
+        }
+      }
 
-      console.log(`📊 Admin Orders Paginated: Found ${totalCount} total orders, returning ${orders.length} orders (offset: ${offset}, limit: ${limit})`);
+      console.log(`✅ [RTO Inventory] Batch update completed: ${updatedCount} items updated, ${errorCount} errors`);
 
       return {
-        orders,
-        totalCount,
-        totalQuantity
+        success: true,
+        updatedCount: updatedCount,
+        errorCount: errorCount,
+        failed: failed,
+        message: `Successfully updated ${updatedCount} items`
       };
     } catch (error) {
-      console.error('Error getting admin paginated orders:', error);
-      throw new Error('Failed to get admin paginated orders from database');
+      console.error('❌ [RTO Inventory] Error batch updating inventory:', error);
+      throw error;
     }
   }
 
   /**
-   * Get all distinct statuses currently present in the system
-   * This combines statuses from claims table and labels table
+   * Cleanup zero-quantity RTO inventory records older than 48 hours
+   * This should be called daily via cron job at 6 AM
+   * Deletes rows where quantity = 0 AND updated_at < NOW() - 48 hours
+   * @returns {Promise<Object>} Cleanup result with deleted count
    */
-  async getDistinctOrderStatuses() {
-    // Use pool if available
-    const db = this.mysqlPool || this.mysqlConnection;
-    if (!db) {
+  async cleanupZeroQuantityRTOInventory() {
+    await this.waitForMySQLInitialization();
+
+    if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Query 1: Get distinct statuses from claims table
-      const claimsQuery = `SELECT DISTINCT status FROM claims WHERE status IS NOT NULL AND status != ''`;
+      console.log('🧹 [RTO Inventory] Starting cleanup of zero-quantity records older than 48 hours...');
 
-      // Query 2: Get distinct shipment statuses from labels table
-      const labelsQuery = `SELECT DISTINCT current_shipment_status as status FROM labels WHERE current_shipment_status IS NOT NULL AND current_shipment_status != ''`;
+      const [result] = await this.mysqlConnection.execute(`
+        DELETE FROM rto_inventory 
+        WHERE quantity = 0 
+          AND reserved_quantity = 0
+          AND updated_at < DATE_SUB(NOW(), INTERVAL 48 HOUR)
+      `);
 
-      const [claimsResult, labelsResult] = await Promise.all([
-        db.execute(claimsQuery),
-        db.execute(labelsQuery)
-      ]);
+      console.log(`✅ [RTO Inventory] Cleanup completed: ${result.affectedRows} records deleted`);
 
-      const statusSet = new Set();
+      return {
+        success: true,
+        deletedCount: result.affectedRows,
+        message: `Deleted ${result.affectedRows} zero-quantity records older than 48 hours`
+      };
+    } catch (error) {
+      console.error('❌ [RTO Inventory] Error cleaning up zero-quantity inventory:', error);
+      throw error;
+    }
+  }
 
-      // Add statuses from claims
-      claimsResult[0].forEach(row => {
-        if (row.status) statusSet.add(row.status);
-      });
+  /**
+   * Get distinct RTO warehouse locations for dropdown
+   * @returns {Promise<Array>} Array of unique rto_wh values
+   */
+  async getDistinctRTOLocations() {
+    await this.waitForMySQLInitialization();
 
-      // Add statuses from labels
-      labelsResult[0].forEach(row => {
-        if (row.status) statusSet.add(row.status);
-      });
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      // Sort and return as array
-      const distinctStatuses = Array.from(statusSet).sort();
+    try {
+      const query = `
+        SELECT DISTINCT rto_wh as location
+        FROM rto_inventory
+        WHERE rto_wh IS NOT NULL AND rto_wh != ''
+        ORDER BY rto_wh
+      `;
 
-      console.log(`📊 Found ${distinctStatuses.length} distinct statuses in the system`);
-      return distinctStatuses;
+      const [rows] = await this.mysqlConnection.execute(query);
+      console.log(`📍 [RTO Manual] Found ${rows.length} distinct locations`);
+      return rows.map(row => row.location);
     } catch (error) {
-      console.error('Error getting distinct statuses:', error);
-      throw new Error('Failed to get distinct statuses from database');
+      console.error('❌ [RTO Manual] Error getting distinct RTO locations:', error);
+      throw error;
     }
   }
 
   /**
-   * Get admin dashboard statistics (total counts for cards)
-   * @param {Object} options - Filter options
-   * @param {string} options.search - Search term
-   * @param {string} options.dateFrom - Start date (YYYY-MM-DD format)
-   * @param {string} options.dateTo - End date (YYYY-MM-DD format)
-   * @param {string} options.status - Filter by status
-   * @param {string} options.vendor - Filter by vendor warehouse ID
-   * @param {string} options.store - Filter by store account code
-   * @param {boolean} options.showInactiveStores - Include inactive stores
-   * @param {Date} options.cutoffDate - Only include orders after this date
-   * @returns {Promise<Object>} Statistics object
+   * Get products for RTO dropdown with name and sku_id
+   * @returns {Promise<Array>} Array of products with name and sku_id
    */
-  async getAdminDashboardStats(options = {}) {
-    const {
-      search = '',
-      dateFrom = null,
-      dateTo = null,
-      status = 'all',
-      vendor = null,
-      store = null,
-      showInactiveStores = false,
-      cutoffDate = null
-    } = options;
+  async getProductsForRTODropdown() {
+    await this.waitForMySQLInitialization();
 
-    // Use pool if available (preferred for parallel execution)
-    const db = this.mysqlPool || this.mysqlConnection;
-    if (!db) {
+    if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Build WHERE clause conditions (same as pagination for consistency)
-      let whereConditions = '(o.is_in_new_order = 1 OR c.label_downloaded = 1)';
-      const params = [];
+      // Get distinct product names with their sku_id
+      // Using priority: STRI > DRIB > JERS when same product appears with different account_codes
+      const query = `
+        WITH ranked_products AS (
+          SELECT 
+            name,
+            sku_id,
+            account_code,
+            ROW_NUMBER() OVER (
+              PARTITION BY sku_id 
+              ORDER BY 
+                CASE account_code
+                  WHEN 'STRI' THEN 1
+                  WHEN 'DRIB' THEN 2
+                  WHEN 'JERS' THEN 3
+                  ELSE 4
+                END
+            ) as rn
+          FROM products
+          WHERE name IS NOT NULL AND name != ''
+            AND sku_id IS NOT NULL AND sku_id != ''
+        )
+        SELECT name, sku_id
+        FROM ranked_products
+        WHERE rn = 1
+        ORDER BY name
+      `;
 
-      // Apply cutoff date filter
-      if (cutoffDate) {
-        whereConditions += ` AND o.order_date >= ?`;
-        const mysqlDate = cutoffDate.toISOString().slice(0, 19).replace('T', ' ');
-        params.push(mysqlDate);
-      }
+      const [rows] = await this.mysqlConnection.execute(query);
+      console.log(`📦 [RTO Manual] Found ${rows.length} products for dropdown`);
+      return rows;
+    } catch (error) {
+      console.error('❌ [RTO Manual] Error getting products for dropdown:', error);
+      throw error;
+    }
+  }
 
-      // Apply search filter
-      if (search && search.trim() !== '') {
-        const searchTerm = `%${search.trim()}%`;
-        whereConditions += ` AND (
-          o.order_id LIKE ? OR
-          o.product_name LIKE ? OR
-          o.product_code LIKE ? OR
-          o.customer_name LIKE ?
-        )`;
-        params.push(searchTerm, searchTerm, searchTerm, searchTerm);
-      }
+  /**
+   * Get distinct sizes for a product based on product_code pattern
+   * Looks up sizes from orders table where product_code matches the sku_id pattern
+   * @param {string} skuId - The base SKU ID from products table
+   * @returns {Promise<Array>} Array of unique sizes
+   */
+  async getSizesForProduct(skuId) {
+    await this.waitForMySQLInitialization();
 
-      // Apply date range filter
-      if (dateFrom || dateTo) {
-        if (dateFrom && dateTo) {
-          whereConditions += ` AND o.order_date >= ? AND o.order_date <= ?`;
-          const dateToEnd = dateTo + ' 23:59:59';
-          params.push(dateFrom, dateToEnd);
-        } else if (dateFrom) {
-          whereConditions += ` AND o.order_date >= ?`;
-          params.push(dateFrom);
-        } else if (dateTo) {
-          whereConditions += ` AND o.order_date <= ?`;
-          const dateToEnd = dateTo + ' 23:59:59';
-          params.push(dateToEnd);
-        }
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      // Sizes from the product's variants when the catalog has them
+      const [variantRows] = await this.mysqlConnection.execute(
+        `SELECT DISTINCT size FROM product_variants WHERE sku_id = ? AND size IS NOT NULL AND size != ''`,
+        [skuId]
+      );
+      if (variantRows.length > 0) {
+        return variantRows.map(row => row.size).sort(compareSizes);
       }
 
-      // Apply vendor filter (supports single vendor or array of vendors, including unclaimed)
-      if (vendor) {
-        const vendorArray = Array.isArray(vendor) ? vendor : [vendor];
-        const validVendors = vendorArray.filter(v => v && typeof v === 'string' && v.trim() !== '');
+      // Otherwise sizes from orders where product_code starts with the sku_id
+      const query = `
+        SELECT DISTINCT size
+        FROM orders
+        WHERE product_code LIKE CONCAT(?, '%')
+          AND size IS NOT NULL 
+          AND size != ''
+        ORDER BY 
+          CASE size
+            WHEN 'S' THEN 1
+            WHEN 'M' THEN 2
+            WHEN 'L' THEN 3
+            WHEN 'XL' THEN 4
+            WHEN '2XL' THEN 5
+            WHEN '3XL' THEN 6
+            WHEN '4XL' THEN 7
+            WHEN '5XL' THEN 8
+            ELSE 9
+          END,
+          size
+      `;
+
+      const [rows] = await this.mysqlConnection.execute(query, [skuId]);
+      console.log(`📏 [RTO Manual] Found ${rows.length} sizes for sku_id: ${skuId}`);
+      return rows.map(row => row.size);
+    } catch (error) {
+      console.error('❌ [RTO Manual] Error getting sizes for product:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get vendor fulfillment statistics
+   * @param {Object} options - Filter options
+   * @param {string} options.vendorId - Vendor warehouse ID
+   * @param {string} options.dateFrom - Start date
+   * @param {string} options.dateTo - End date
+   * @param {string} options.store - Account code
+   * @returns {Promise<Object>} Statistics object
+   */
+  async getVendorFulfillmentStats(options = {}) {
+    const { vendorId, dateFrom, dateTo, store } = options;
+    const db = this.mysqlPool || this.mysqlConnection;
 
-        if (validVendors.length > 0) {
-          const hasUnclaimed = validVendors.includes('__UNCLAIMED__');
-          const warehouseIds = validVendors.filter(v => v !== '__UNCLAIMED__');
+    try {
+      let whereConditions = '1=1';
+      const params = [];
 
-          if (hasUnclaimed && warehouseIds.length > 0) {
-            // Both unclaimed and specific vendors
-            const placeholders = warehouseIds.map(() => '?').join(',');
-            whereConditions += ` AND (c.claimed_by IS NULL OR c.claimed_by = '' OR c.claimed_by IN (${placeholders}))`;
-            params.push(...warehouseIds);
-          } else if (hasUnclaimed) {
-            // Only unclaimed
-            whereConditions += ` AND (c.claimed_by IS NULL OR c.claimed_by = '')`;
-          } else {
-            // Only specific vendors
-            const placeholders = warehouseIds.map(() => '?').join(',');
-            whereConditions += ` AND c.claimed_by IN (${placeholders})`;
-            params.push(...warehouseIds);
-          }
+      if (vendorId) {
+        if (Array.isArray(vendorId) && vendorId.length > 0) {
+          const placeholders = vendorId.map(() => '?').join(',');
+          whereConditions += ` AND c.claimed_by IN (${placeholders})`;
+          params.push(...vendorId);
+        } else if (typeof vendorId === 'string' && vendorId !== 'all') {
+          whereConditions += ' AND c.claimed_by = ?';
+          params.push(vendorId);
+        } else {
+          whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
         }
+      } else {
+        whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
       }
 
-      // Apply store filter (supports single store or array of stores)
+      if (dateFrom) {
+        whereConditions += ' AND o.order_date >= ?';
+        params.push(dateFrom);
+      }
+      if (dateTo) {
+        whereConditions += ' AND o.order_date <= ?';
+        params.push(dateTo + ' 23:59:59');
+      }
       if (store) {
-        const storeArray = Array.isArray(store) ? store : [store];
-        const validStores = storeArray.filter(s => s && typeof s === 'string' && s.trim() !== '');
-
-        if (validStores.length > 0) {
-          const placeholders = validStores.map(() => '?').join(',');
+        if (Array.isArray(store) && store.length > 0) {
+          const placeholders = store.map(() => '?').join(',');
           whereConditions += ` AND o.account_code IN (${placeholders})`;
-          params.push(...validStores);
+          params.push(...store);
+        } else if (typeof store === 'string' && store !== 'all') {
+          whereConditions += ' AND o.account_code = ?';
+          params.push(store);
         }
       }
 
-      // Filter inactive stores unless explicitly requested
-      if (!showInactiveStores) {
-        whereConditions += ` AND (s.status = 'active' OR s.status IS NULL)`;
-        // Note: OR s.status IS NULL handles edge case where store_info might not have a record
-      }
-
-      // If status filter is applied, we calculate stats for those statuses
-      // Otherwise, calculate all stats in parallel
-      if (status && status !== 'all') {
-        const statusArray = Array.isArray(status) ? status : [status];
-        if (statusArray.length > 0) {
-          const placeholders = statusArray.map(() => '?').join(',');
-          const statusCondition = ` AND (
-            CASE 
-              WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-              THEN l.current_shipment_status 
-              ELSE c.status 
-            END IN (${placeholders})
-          )`;
-
-          // Total query with status filter
-          const totalQuery = `
-            SELECT 
-              COUNT(DISTINCT o.unique_id) as total_count,
-              COALESCE(SUM(o.quantity), 0) as total_quantity
-            FROM orders o
-            LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-            LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-            LEFT JOIN store_info s ON o.account_code = s.account_code
-            WHERE ${whereConditions}${statusCondition}`;
+      const statsQuery = `
+        SELECT 
+          COUNT(DISTINCT o.unique_id) as total_claimed,
+          COALESCE(SUM(CASE WHEN l.is_handover = 1 THEN 1 ELSE 0 END), 0) as total_handed_over,
+          AVG(CASE WHEN l.is_handover = 1 AND l.handover_at IS NOT NULL AND c.claimed_at IS NOT NULL 
+              THEN TIMESTAMPDIFF(HOUR, c.claimed_at, l.handover_at) 
+              ELSE NULL END) as avg_handover_hours
+        FROM orders o
+        JOIN claims c ON o.unique_id = c.order_unique_id
+        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+        WHERE ${whereConditions}
+      `;
 
-          const totalParams = [...params, ...statusArray];
-          const [totalResult] = await db.execute(totalQuery, totalParams);
-          const totalCount = parseInt(totalResult[0]?.total_count || 0);
-          const totalQuantity = parseInt(totalResult[0]?.total_quantity || 0);
+      const [rows] = await db.execute(statsQuery, params);
+      const stats = rows[0];
 
-          // Calculate claimed and unclaimed counts if those statuses are in the filter
-          let claimedCount = 0;
-          let unclaimedCount = 0;
+      return {
+        totalClaimed: parseInt(stats.total_claimed || 0),
+        totalHandedOver: parseInt(stats.total_handed_over || 0),
+        pendingHandover: parseInt(stats.total_claimed || 0) - parseInt(stats.total_handed_over || 0),
+        avgHandoverHours: parseFloat(stats.avg_handover_hours || 0).toFixed(1),
+        fulfillmentRate: stats.total_claimed > 0
+          ? ((stats.total_handed_over / stats.total_claimed) * 100).toFixed(1)
+          : 0
+      };
+    } catch (error) {
+      console.error('Error in getVendorFulfillmentStats:', error);
+      throw error;
+    }
+  }
 
-          if (statusArray.includes('claimed')) {
-            const claimedQuery = `
-              SELECT COUNT(DISTINCT o.unique_id) as total_count
-              FROM orders o
-              LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-              LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-              LEFT JOIN store_info s ON o.account_code = s.account_code
-              WHERE ${whereConditions} AND (
-                CASE 
-                  WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-                  THEN l.current_shipment_status 
-                  ELSE c.status 
-                END = 'claimed'
-              )`;
-            const [claimedResult] = await db.execute(claimedQuery, params);
-            claimedCount = parseInt(claimedResult[0]?.total_count || 0);
-          }
+  /**
+   * Get vendor shipment status distribution
+   * @param {Object} options - Filter options
+   */
+  async getVendorStatusDistribution(options = {}) {
+    const { vendorId, dateFrom, dateTo, store } = options;
+    const db = this.mysqlPool || this.mysqlConnection;
 
-          if (statusArray.includes('unclaimed')) {
-            const unclaimedQuery = `
-              SELECT COUNT(DISTINCT o.unique_id) as total_count
-              FROM orders o
-              LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-              LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-              LEFT JOIN store_info s ON o.account_code = s.account_code
-              WHERE ${whereConditions} AND (
-                CASE 
-                  WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-                  THEN l.current_shipment_status 
-                  ELSE c.status 
-                END = 'unclaimed'
-              )`;
-            const [unclaimedResult] = await db.execute(unclaimedQuery, params);
-            unclaimedCount = parseInt(unclaimedResult[0]?.total_count || 0);
-          }
+    try {
+      let whereConditions = '1=1';
+      const params = [];
 
-          return {
-            totalOrders: totalCount,
-            totalQuantity: totalQuantity,
-            claimedOrders: claimedCount,
-            unclaimedOrders: unclaimedCount,
-            hasFilters: !!(search || dateFrom || dateTo || vendor || store || (statusArray.length > 0))
-          };
+      if (vendorId) {
+        if (Array.isArray(vendorId) && vendorId.length > 0) {
+          const placeholders = vendorId.map(() => '?').join(',');
+          whereConditions += ` AND c.claimed_by IN (${placeholders})`;
+          params.push(...vendorId);
+        } else if (typeof vendorId === 'string' && vendorId !== 'all') {
+          whereConditions += ' AND c.claimed_by = ?';
+          params.push(vendorId);
+        } else {
+          whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
         }
+      } else {
+        whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
       }
 
-      // Calculate all stats in parallel (total, claimed, unclaimed)
-      const totalQuery = `
-        SELECT 
-          COUNT(DISTINCT o.unique_id) as total_count,
-          COALESCE(SUM(o.quantity), 0) as total_quantity
-        FROM orders o
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        LEFT JOIN store_info s ON o.account_code = s.account_code
-        WHERE ${whereConditions}`;
+      if (dateFrom) {
+        whereConditions += ' AND o.order_date >= ?';
+        params.push(dateFrom);
+      }
+      if (dateTo) {
+        whereConditions += ' AND o.order_date <= ?';
+        params.push(dateTo + ' 23:59:59');
+      }
+      if (store) {
+        if (Array.isArray(store) && store.length > 0) {
+          const placeholders = store.map(() => '?').join(',');
+          whereConditions += ` AND o.account_code IN (${placeholders})`;
+          params.push(...store);
+        } else if (typeof store === 'string' && store !== 'all') {
+          whereConditions += ' AND o.account_code = ?';
+          params.push(store);
+        }
+      }
 
-      const claimedQuery = `
+      // Grouping statuses as requested: Claimed, In Transit, Delivered, RTO Delivered, Pickup Failed, Others
+      const distQuery = `
         SELECT 
-          COUNT(DISTINCT o.unique_id) as total_count,
-          COALESCE(SUM(o.quantity), 0) as total_quantity
+          CASE 
+            WHEN (l.current_shipment_status IS NULL OR l.current_shipment_status = '') AND c.status = 'claimed' THEN 'Claimed'
+            WHEN LOWER(l.current_shipment_status) IN ('in_transit', 'in transit', 'int') THEN 'In Transit'
+            WHEN LOWER(l.current_shipment_status) IN ('delivered', 'del', 'dlv') THEN 'Delivered'
+            WHEN LOWER(l.current_shipment_status) IN ('rto_delivered', 'rtd', 'rto delivered', 'returned', 'rto_dlv') THEN 'RTO Delivered'
+            WHEN LOWER(l.current_shipment_status) IN ('pickup_failed', 'shpfr3', 'pickup failed', 'failed', 'puf') THEN 'Pickup Failed'
+            ELSE 'Others'
+          END as status_group,
+          COUNT(DISTINCT o.unique_id) as count
         FROM orders o
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+        JOIN claims c ON o.unique_id = c.order_unique_id
         LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        LEFT JOIN store_info s ON o.account_code = s.account_code
         WHERE ${whereConditions}
-        AND (
-          CASE 
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-            THEN l.current_shipment_status 
-            ELSE c.status 
-          END = 'claimed'
-        )`;
+        GROUP BY status_group
+        ORDER BY 
+          CASE status_group
+            WHEN 'Claimed' THEN 1
+            WHEN 'In Transit' THEN 2
+            WHEN 'Delivered' THEN 3
+            WHEN 'RTO Delivered' THEN 4
+            WHEN 'Pickup Failed' THEN 5
+            ELSE 6
+          END ASC
+      `;
+
+      const [rows] = await db.execute(distQuery, params);
+      return rows.map(r => ({ status: r.status_group, count: r.count }));
+    } catch (error) {
+      console.error('Error in getVendorStatusDistribution:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get vendor daily handover trend
+   * @param {Object} options - Filter options
+   */
+  async getVendorHandoverTrend(options = {}) {
+    const { vendorId, dateFrom, dateTo, store } = options;
+    const db = this.mysqlPool || this.mysqlConnection;
 
-      const unclaimedQuery = `
-        SELECT 
-          COUNT(DISTINCT o.unique_id) as total_count,
-          COALESCE(SUM(o.quantity), 0) as total_quantity
-        FROM orders o
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        LEFT JOIN store_info s ON o.account_code = s.account_code
-        WHERE ${whereConditions}
-        AND (
-          CASE 
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-            THEN l.current_shipment_status 
-            ELSE c.status 
-          END = 'unclaimed'
-        )`;
+    try {
+      let whereConditions = '1=1';
+      const params = [];
 
-      // Execute all 3 queries in parallel using connection pool
-      const [totalResult, claimedResult, unclaimedResult] = await Promise.all([
-        db.execute(totalQuery, params),
-        db.execute(claimedQuery, params),
-        db.execute(unclaimedQuery, params)
-      ]);
+      if (vendorId) {
+        if (Array.isArray(vendorId) && vendorId.length > 0) {
+          const placeholders = vendorId.map(() => '?').join(',');
+          whereConditions += ` AND c.claimed_by IN (${placeholders})`;
+          params.push(...vendorId);
+        } else if (typeof vendorId === 'string' && vendorId !== 'all') {
+          whereConditions += ' AND c.claimed_by = ?';
+          params.push(vendorId);
+        } else {
+          whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
+        }
+      } else {
+        whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
+      }
 
-      const totalCount = parseInt(totalResult[0][0]?.total_count || 0);
-      const totalQuantity = parseInt(totalResult[0][0]?.total_quantity || 0);
-      const claimedCount = parseInt(claimedResult[0][0]?.total_count || 0);
-      const unclaimedCount = parseInt(unclaimedResult[0][0]?.total_count || 0);
+      if (dateFrom) {
+        whereConditions += ' AND o.order_date >= ?';
+        params.push(dateFrom);
+      }
+      if (dateTo) {
+        whereConditions += ' AND o.order_date <= ?';
+        params.push(dateTo + ' 23:59:59');
+      }
+      if (store) {
+        if (Array.isArray(store) && store.length > 0) {
+          const placeholders = store.map(() => '?').join(',');
+          whereConditions += ` AND o.account_code IN (${placeholders})`;
+          params.push(...store);
+        } else if (typeof store === 'string' && store !== 'all') {
+          whereConditions += ' AND o.account_code = ?';
+          params.push(store);
+        }
+      }
 
-      console.log(`📊 Admin Dashboard Stats: Total=${totalCount}, Claimed=${claimedCount}, Unclaimed=${unclaimedCount}`);
+      // Query for both Claimed and Handover trends
+      // Claimed trend based on c.claimed_at
+      // Handover trend based on l.handover_at
+      const trendQuery = `
+        SELECT 
+          date_series.dt as date,
+          COALESCE(claimed.count, 0) as claimed_count,
+          COALESCE(handover.count, 0) as handover_count
+        FROM (
+          SELECT DISTINCT DATE(o.order_date) as dt
+          FROM orders o
+          JOIN claims c ON o.unique_id = c.order_unique_id
+          WHERE ${whereConditions}
+          UNION
+          SELECT DISTINCT DATE(l.handover_at) as dt
+          FROM orders o
+          JOIN claims c ON o.unique_id = c.order_unique_id
+          JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+          WHERE ${whereConditions} AND l.is_handover = 1 AND l.handover_at IS NOT NULL
+        ) date_series
+        LEFT JOIN (
+          SELECT DATE(c.claimed_at) as dt, COUNT(DISTINCT o.unique_id) as count
+          FROM orders o
+          JOIN claims c ON o.unique_id = c.order_unique_id
+          WHERE ${whereConditions} AND c.claimed_at IS NOT NULL
+          GROUP BY dt
+        ) claimed ON date_series.dt = claimed.dt
+        LEFT JOIN (
+          SELECT DATE(l.handover_at) as dt, COUNT(DISTINCT o.unique_id) as count
+          FROM orders o
+          JOIN claims c ON o.unique_id = c.order_unique_id
+          JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+          WHERE ${whereConditions} AND l.is_handover = 1 AND l.handover_at IS NOT NULL
+          GROUP BY dt
+        ) handover ON date_series.dt = handover.dt
+        WHERE date_series.dt IS NOT NULL
+        ORDER BY date_series.dt ASC
+      `;
 
-      return {
-        totalOrders: totalCount,
-        totalQuantity: totalQuantity,
-        claimedOrders: claimedCount,
-        unclaimedOrders: unclaimedCount,
-        hasFilters: !!(search || dateFrom || dateTo || vendor || store)
-      };
+      const [rows] = await db.execute(trendQuery, [...params, ...params, ...params, ...params]);
+      return rows;
     } catch (error) {
-      console.error('Error getting admin dashboard stats:', error);
-      throw new Error('Failed to get admin dashboard stats from database');
+      console.error('Error in getVendorHandoverTrend:', error);
+      throw error;
     }
   }
 
+  // ==================== CUSTOMER MESSAGE TRACKING METHODS ====================
+
   /**
-   * Get orders claimed by a specific vendor from MySQL
-   * @param {string} warehouseId - Vendor warehouse ID
-   * @returns {Array} Array of claimed orders
+   * Insert a new customer message tracking record
+   * @param {string} orderId - Order ID
+   * @param {string} accountCode - Account code
+   * @param {string} messageStatus - Message status (e.g., 'sent', 'pending', 'failed')
+   * @returns {Promise<Object>} Inserted record
    */
-  async getOrdersByVendor(warehouseId) {
+  async insertCustomerMessageTracking(orderId, accountCode, messageStatus) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE c.claimed_by = ? AND (o.is_in_new_order = 1 OR c.label_downloaded = 1) 
-        ORDER BY c.claimed_at DESC
-      `, [warehouseId]);
+      const [result] = await this.mysqlConnection.execute(
+        `INSERT INTO customer_message_tracking (order_id, account_code, message_status, sent_at)
+         VALUES (?, ?, ?, NOW())`,
+        [orderId, accountCode, messageStatus]
+      );
 
-      return rows;
+      return {
+        id: result.insertId,
+        order_id: orderId,
+        account_code: accountCode,
+        message_status: messageStatus,
+        sent_at: new Date()
+      };
     } catch (error) {
-      console.error('Error getting orders by vendor:', error);
-      throw new Error('Failed to get vendor orders from database');
+      console.error('Error inserting customer message tracking:', error);
+      throw error;
     }
   }
 
   /**
-   * Get individual orders for a vendor from MySQL (for frontend grouping)
-   * This returns individual orders like the original Excel flow
-   * @param {string} warehouseId - Vendor warehouse ID
-   * @returns {Array} Array of individual orders
+   * Get latest message status for multiple orders (bulk fetch)
+   * @param {Array<{order_id: string, account_code: string}>} orderAccountPairs - Array of order/account pairs
+   * @returns {Promise<Map>} Map of order_id+account_code -> latest message_status
    */
-  async getGroupedOrders(warehouseId) {
+  async getLatestMessageStatusByOrders(orderAccountPairs) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
+    if (!orderAccountPairs || orderAccountPairs.length === 0) {
+      return new Map();
+    }
+
     try {
-      const [rows] = await this.mysqlConnection.execute(`
+      // Build WHERE clause for all order/account combinations
+      const conditions = orderAccountPairs.map(() => '(order_id = ? AND account_code = ?)').join(' OR ');
+      const params = orderAccountPairs.flatMap(pair => [pair.order_id, pair.account_code]);
+
+      const query = `
         SELECT 
-          o.*,
-          p.image as product_image,
-          c.status as claims_status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest,
-          l.current_shipment_status,
-          l.is_handover,
-          CASE 
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-            THEN l.current_shipment_status 
-            ELSE c.status 
-          END as status
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE c.claimed_by = ? 
-        AND (c.status = 'claimed' OR c.status = 'ready_for_handover')
-        AND (o.is_in_new_order = 1 OR c.label_downloaded = 1)
-        AND (l.is_manifest IS NULL OR l.is_manifest = 0)
-        ORDER BY o.order_date DESC, o.order_id
-      `, [warehouseId]);
+          cmt1.order_id,
+          cmt1.account_code,
+          cmt1.message_status,
+          cmt1.sent_at
+        FROM customer_message_tracking cmt1
+        INNER JOIN (
+          SELECT order_id, account_code, MAX(sent_at) as max_sent_at
+          FROM customer_message_tracking
+          WHERE ${conditions}
+          GROUP BY order_id, account_code
+        ) cmt2 
+        ON cmt1.order_id = cmt2.order_id 
+        AND cmt1.account_code = cmt2.account_code 
+        AND cmt1.sent_at = cmt2.max_sent_at
+      `;
 
-      return rows;
-    } catch (error) {
-      console.error('Error getting vendor orders:', error);
-      throw new Error('Failed to get vendor orders from database');
+      const [rows] = await this.mysqlConnection.execute(query, params);
+
+      // Create map with composite key
+      const messageStatusMap = new Map();
+      rows.forEach(row => {
+        const key = `${row.order_id}|${row.account_code}`;
+        messageStatusMap.set(key, row.message_status);
+      });
+
+      return messageStatusMap;
+    } catch (error) {
+      console.error('Error getting latest message status:', error);
+      throw error;
     }
   }
 
   /**
-   * Get My Orders (orders that are claimed but not yet manifested)
-   * @param {string} warehouseId - Vendor warehouse ID
-   * @returns {Array} Array of individual orders for My Orders section
+   * Get utility parameter value from utility table
+   * @param {string} parameter - Parameter name
+   * @returns {Promise<string|null>} Parameter value or null if not found
    */
-  async getMyOrders(warehouseId) {
+  async getUtilityValue(parameter) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status as claims_status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest,
-          l.current_shipment_status,
-          l.is_handover,
-          CASE 
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-            THEN l.current_shipment_status 
-            ELSE c.status 
-          END as status
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id
-        WHERE c.claimed_by = ? 
-        AND (c.status = 'claimed' OR c.status = 'ready_for_handover')
-        AND (l.is_manifest IS NULL OR l.is_manifest = 0)
-        ORDER BY o.order_date DESC, o.order_id
-      `, [warehouseId]);
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT value FROM utility WHERE parameter = ?',
+        [parameter]
+      );
 
-      return rows;
+      return rows.length > 0 ? rows[0].value : null;
     } catch (error) {
-      console.error('Error getting My Orders:', error);
-      throw new Error('Failed to get My Orders from database');
+      console.error('Error getting utility value:', error);
+      throw error;
     }
   }
 
   /**
-   * Get Handover Orders (orders that have been manifested within last 24 hours)
-   * @param {string} warehouseId - Vendor warehouse ID
-   * @returns {Array} Array of individual orders for Handover section (< 24 hrs from handover_at)
+   * Set utility parameter value in utility table (insert or update)
+   * @param {string} parameter - Parameter name
+   * @param {string} value - Parameter value
+   * @param {string} createdBy - Who is setting this value (default: 'system')
+   * @returns {Promise<boolean>} True if successful
    */
-  async getHandoverOrders(warehouseId) {
+  async setUtilityValue(parameter, value, createdBy = 'system') {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status as claims_status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest,
-          l.manifest_id,
-          l.current_shipment_status,
-          l.is_handover,
-          CASE 
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-            THEN l.current_shipment_status 
-            ELSE c.status 
-          END as status
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE c.claimed_by = ? 
-        AND (c.status = 'claimed' OR c.status = 'ready_for_handover')
-        AND (o.is_in_new_order = 1 OR c.label_downloaded = 1)
-        AND l.is_manifest = 1
-        AND (l.is_handover = 0 OR l.is_handover IS NULL)
-        ORDER BY o.order_date DESC, o.order_id
-      `, [warehouseId]);
+      await this.mysqlConnection.execute(
+        `INSERT INTO utility (parameter, value, created_by)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE value = ?, modified_at = NOW()`,
+        [parameter, value, createdBy, value]
+      );
 
-      return rows;
+      return true;
     } catch (error) {
-      console.error('Error getting Handover Orders:', error);
-      throw new Error('Failed to get Handover Orders from database');
+      console.error('Error setting utility value:', error);
+      throw error;
     }
   }
 
   /**
-   * Get Order Tracking Orders (orders that have been handed over - is_handover = 1)
-   * @param {string} warehouseId - Vendor warehouse ID
-   * @returns {Array} Array of individual orders for Order Tracking section (is_handover = 1)
+   * Parse JSON columns of a jobs row
+   * @param {Object} row - Raw jobs row
+   * @returns {Object} Job with payload/result parsed
    */
-  async getOrderTrackingOrders(warehouseId) {
+  parseJobRow(row) {
+    if (!row) return null;
+    const parse = (value) => {
+      if (value === null || value === undefined) return null;
+      try {
+        return JSON.parse(value);
+      } catch (e) {
+        return value;
+      }
+    };
+    return {
+      ...row,
+      payload: parse(row.payload),
+      result: parse(row.result),
+      cancel_requested: row.cancel_requested === 1
+    };
+  }
+
+  /**
+   * Insert a new queued job
+   * @param {Object} jobData - { id, type, user_id, payload, max_attempts }
+   * @returns {Promise<Object>} Created job
+   */
+  async createJob(jobData) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          o.*,
-          p.image as product_image,
-          c.status as claims_status,
-          c.claimed_by,
-          c.claimed_at,
-          c.last_claimed_by,
-          c.last_claimed_at,
-          c.clone_status,
-          c.cloned_order_id,
-          c.is_cloned_row,
-          c.label_downloaded,
-          l.label_url,
-          l.awb,
-          l.carrier_id,
-          l.carrier_name,
-          l.handover_at,
-          c.priority_carrier,
-          l.is_manifest,
-          l.manifest_id,
-          l.current_shipment_status,
-          l.is_handover,
-          CASE 
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != '' 
-            THEN l.current_shipment_status 
-            ELSE c.status 
-          END as status
-        FROM orders o
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE c.claimed_by = ? 
-        AND (c.status = 'claimed' OR c.status = 'ready_for_handover')
-        AND (o.is_in_new_order = 1 OR c.label_downloaded = 1)
-        AND l.is_manifest = 1
-        AND l.is_handover = 1
-        ORDER BY o.order_date DESC, o.order_id
-      `, [warehouseId]);
+      await this.mysqlConnection.execute(
+        `INSERT INTO jobs (id, type, user_id, payload, max_attempts)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          jobData.id,
+          jobData.type,
+          jobData.user_id || null,
+          JSON.stringify(jobData.payload || {}),
+          jobData.max_attempts || 1
+        ]
+      );
 
-      return rows;
+      return await this.getJobById(jobData.id);
     } catch (error) {
-      console.error('Error getting Order Tracking Orders:', error);
-      throw new Error('Failed to get Order Tracking Orders from database');
+      console.error('Error creating job:', error);
+      throw new Error('Failed to create job');
     }
   }
 
   /**
-   * Update order in MySQL
-   * @param {string} unique_id - Order unique ID
-   * @param {Object} updateData - Data to update
-   * @returns {Object|null} Updated order or null if not found
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} Job or null if not found
    */
-  async updateOrder(unique_id, updateData) {
+  async getJobById(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Separate fields for orders, claims, and labels tables
-      const orderFields = [];
-      const orderValues = [];
-      const claimFields = [];
-      const claimValues = [];
-      const labelFields = [];
-      const labelValues = [];
-
-      // Orders table fields
-      // Note: Financial fields (selling_price, order_total, payment_type, is_partial_paid, prepaid_amount,
-      // order_total_ratio, order_total_split, collectable_amount) are FROZEN at the shipwayService level.
-      // They are only updated when payment_type or is_partial_paid changes during sync.
-      // They are still allowed here so the sync can update them when needed.
-      const allowedOrderFields = [
-        'order_id', 'customer_name', 'order_date',
-        'product_name', 'product_code', 'selling_price', 'order_total',
-        'payment_type', 'is_partial_paid', 'prepaid_amount', 'order_total_ratio', 'order_total_split',
-        'collectable_amount', 'pincode', 'is_in_new_order'
-      ];
-
-      // Claims table fields
-      const allowedClaimFields = [
-        'order_id', 'status', 'claimed_by', 'claimed_at', 'last_claimed_by', 'last_claimed_at',
-        'clone_status', 'cloned_order_id', 'is_cloned_row', 'label_downloaded', 'priority_carrier'
-      ];
-
-      // Labels table fields
-      const allowedLabelFields = [
-        'label_url', 'awb', 'carrier_name', 'handover_at'
-      ];
-
-      // Separate the fields
-      allowedOrderFields.forEach(field => {
-        if (updateData[field] !== undefined) {
-          orderFields.push(`${field} = ?`);
-          orderValues.push(updateData[field]);
-        }
-      });
-
-      allowedClaimFields.forEach(field => {
-        if (updateData[field] !== undefined) {
-          claimFields.push(`${field} = ?`);
-          claimValues.push(updateData[field]);
-        }
-      });
-
-      allowedLabelFields.forEach(field => {
-        if (updateData[field] !== undefined) {
-          labelFields.push(`${field} = ?`);
-          labelValues.push(updateData[field]);
-        }
-      });
-
-      // Update orders table if there are order fields to update
-      if (orderFields.length > 0) {
-        orderValues.push(unique_id);
-        const [orderResult] = await this.mysqlConnection.execute(
-          `UPDATE orders SET ${orderFields.join(', ')} WHERE unique_id = ?`,
-          orderValues
-        );
-
-        // Don't return early - we still need to update claims and labels tables
-        // if (orderResult.affectedRows === 0) {
-        //   return null;
-        // }
-      }
-
-      // Update claims table if there are claim fields to update
-      if (claimFields.length > 0) {
-        // First, ensure a claim record exists for this unique_id
-        await this.mysqlConnection.execute(`
-          INSERT INTO claims (order_unique_id, order_id, account_code) 
-          SELECT o.unique_id, o.order_id, o.account_code FROM orders o WHERE o.unique_id = ?
-          ON DUPLICATE KEY UPDATE order_unique_id = VALUES(order_unique_id), account_code = VALUES(account_code)
-        `, [unique_id]);
+      const [rows] = await this.mysqlConnection.execute('SELECT * FROM jobs WHERE id = ?', [id]);
+      return rows.length > 0 ? this.parseJobRow(rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting job:', error);
+      throw new Error('Failed to get job');
+    }
+  }
 
-        claimValues.push(unique_id);
-        await this.mysqlConnection.execute(
-          `UPDATE claims SET ${claimFields.join(', ')} WHERE order_unique_id = ?`,
-          claimValues
-        );
+  /**
+   * List a user's jobs, newest first (payload and result omitted to keep the list small)
+   * @param {string} userId - User ID
+   * @param {Object} options - { status, limit }
+   * @returns {Promise<Array>} Jobs
+   */
+  async getJobsByUser(userId, { status = null, limit = 50 } = {}) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const params = [userId];
+      let statusClause = '';
+      if (status) {
+        statusClause = 'AND status = ?';
+        params.push(status);
       }
+      const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
 
-      // Update labels table if there are label fields to update
-      if (labelFields.length > 0) {
-        // First, get the order_id for this unique_id
-        const [orderRows] = await this.mysqlConnection.execute(
-          'SELECT order_id FROM orders WHERE unique_id = ?',
-          [unique_id]
-        );
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT id, type, status, progress, progress_message, error, attempts, max_attempts,
+                cancel_requested, created_at, started_at, completed_at
+         FROM jobs
+         WHERE user_id = ? ${statusClause}
+         ORDER BY created_at DESC
+         LIMIT ${safeLimit}`,
+        params
+      );
+      return rows.map(row => ({ ...row, cancel_requested: row.cancel_requested === 1 }));
+    } catch (error) {
+      console.error('Error getting jobs by user:', error);
+      throw new Error('Failed to get jobs');
+    }
+  }
 
-        if (orderRows.length > 0) {
-          const orderId = orderRows[0].order_id;
+  /**
+   * Claim the next runnable job for a worker.
+   * The claim is a conditional UPDATE (status must still be 'queued'), so two workers
+   * picking the same candidate can never both run it.
+   * @param {string} workerId - Worker identifier (host:pid)
+   * @param {Array<string>} types - Job types this worker has handlers for
+   * @param {number} leaseSeconds - How long the worker owns the job without a heartbeat
+   * @returns {Promise<Object|null>} Claimed job or null if none available
+   */
+  async claimNextJob(workerId, types, leaseSeconds) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+    if (!types || types.length === 0) return null;
 
-          // Get the account_code from orders table
-          const [orderData] = await this.mysqlConnection.execute(
-            'SELECT account_code FROM orders WHERE order_id = ? LIMIT 1',
-            [orderId]
-          );
-          if (orderData.length === 0 || !orderData[0].account_code) {
-            throw new Error(`Order ${orderId} not found or missing account_code`);
-          }
-          const accountCode = orderData[0].account_code;
+    try {
+      const placeholders = types.map(() => '?').join(',');
+      const [candidates] = await this.mysqlConnection.execute(
+        `SELECT id FROM jobs
+         WHERE status = 'queued' AND run_after <= NOW() AND type IN (${placeholders})
+         ORDER BY run_after ASC, created_at ASC
+         LIMIT 5`,
+        types
+      );
 
-          // Ensure a label record exists for this order_id
-          await this.mysqlConnection.execute(`
-            INSERT INTO labels (order_id, account_code) 
-            VALUES (?, ?)
-            ON DUPLICATE KEY UPDATE order_id = VALUES(order_id), account_code = VALUES(account_code)
-          `, [orderId, accountCode]);
+      for (const candidate of candidates) {
+        const [result] = await this.mysqlConnection.execute(
+          `UPDATE jobs
+           SET status = 'running',
+               attempts = attempts + 1,
+               locked_by = ?,
+               locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND),
+               started_at = COALESCE(started_at, NOW())
+           WHERE id = ? AND status = 'queued'`,
+          [workerId, leaseSeconds, candidate.id]
+        );
 
-          // CRITICAL: Filter by both order_id AND account_code to ensure store-specific update
-          labelValues.push(orderId, accountCode);
-          await this.mysqlConnection.execute(
-            `UPDATE labels SET ${labelFields.join(', ')} WHERE order_id = ? AND account_code = ?`,
-            labelValues
-          );
+        if (result.affectedRows === 1) {
+          return await this.getJobById(candidate.id);
         }
       }
 
-      // If no fields to update at all
-      if (orderFields.length === 0 && claimFields.length === 0 && labelFields.length === 0) {
-        throw new Error('No fields to update');
+      return null;
+    } catch (error) {
+      console.error('Error claiming job:', error);
+      throw new Error('Failed to claim job');
+    }
+  }
+
+  /**
+   * Extend a running job's lease and optionally record progress
+   * @param {string} id - Job ID
+   * @param {string} workerId - Worker that owns the job
+   * @param {number} leaseSeconds - New lease length from now
+   * @param {Object} progress - Optional { progress, message }
+   * @returns {Promise<Object|null>} { cancel_requested } or null if the worker no longer owns the job
+   */
+  async heartbeatJob(id, workerId, leaseSeconds, progress = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const fields = ['locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)'];
+      const params = [leaseSeconds];
+      if (progress) {
+        fields.push('progress = ?', 'progress_message = ?');
+        params.push(Math.max(0, Math.min(100, Math.round(progress.progress || 0))), progress.message || null);
       }
+      params.push(id, workerId);
 
-      return await this.getOrderByUniqueId(unique_id);
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE jobs SET ${fields.join(', ')} WHERE id = ? AND locked_by = ? AND status = 'running'`,
+        params
+      );
+      if (result.affectedRows === 0) return null;
+
+      const [rows] = await this.mysqlConnection.execute('SELECT cancel_requested FROM jobs WHERE id = ?', [id]);
+      return { cancel_requested: rows.length > 0 && rows[0].cancel_requested === 1 };
     } catch (error) {
-      console.error('Error updating order:', error);
-      throw new Error('Failed to update order');
+      console.error('Error updating job heartbeat:', error);
+      throw new Error('Failed to update job');
     }
   }
 
   /**
-   * Bulk update orders in MySQL
-   * @param {Array} updates - Array of {unique_id, updateData} objects
-   * @returns {Array} Array of updated orders
+   * Finish a running job (completed, failed or cancelled)
+   * @param {string} id - Job ID
+   * @param {string} workerId - Worker that owns the job
+   * @param {Object} outcome - { status, result, error }
+   * @returns {Promise<boolean>} True if the job was updated
    */
-  async bulkUpdateOrders(updates) {
+  async finishJob(id, workerId, { status, result = null, error = null }) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const updatedOrders = [];
+      const [updateResult] = await this.mysqlConnection.execute(
+        `UPDATE jobs
+         SET status = ?,
+             result = ?,
+             error = ?,
+             progress = IF(? = 'completed', 100, progress),
+             locked_by = NULL,
+             locked_until = NULL,
+             completed_at = NOW()
+         WHERE id = ? AND locked_by = ? AND status = 'running'`,
+        [status, result === null ? null : JSON.stringify(result), error, status, id, workerId]
+      );
+      return updateResult.affectedRows === 1;
+    } catch (err) {
+      console.error('Error finishing job:', err);
+      throw new Error('Failed to finish job');
+    }
+  }
 
-      for (const update of updates) {
-        const updatedOrder = await this.updateOrder(update.unique_id, update.updateData);
-        if (updatedOrder) {
-          updatedOrders.push(updatedOrder);
-        }
-      }
+  /**
+   * Put a running job back in the queue for another attempt
+   * @param {string} id - Job ID
+   * @param {string} workerId - Worker that owns the job
+   * @param {string} errorMessage - Error of the failed attempt
+   * @param {number} delaySeconds - Backoff before the next attempt
+   * @returns {Promise<boolean>} True if the job was re-queued
+   */
+  async retryJob(id, workerId, errorMessage, delaySeconds) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      return updatedOrders;
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE jobs
+         SET status = 'queued',
+             error = ?,
+             run_after = DATE_ADD(NOW(), INTERVAL ? SECOND),
+             locked_by = NULL,
+             locked_until = NULL
+         WHERE id = ? AND locked_by = ? AND status = 'running'`,
+        [errorMessage, delaySeconds, id, workerId]
+      );
+      return result.affectedRows === 1;
     } catch (error) {
-      console.error('Error bulk updating orders:', error);
-      throw new Error('Failed to bulk update orders');
+      console.error('Error re-queueing job:', error);
+      throw new Error('Failed to re-queue job');
     }
   }
 
   /**
-   * Delete order from MySQL
-   * @param {string} unique_id - Order unique ID
-   * @returns {boolean} True if deleted, false if not found
+   * Recover jobs whose worker died (lease expired), e.g. during a deploy.
+   * Jobs with attempts left are re-queued, the rest are marked failed.
+   * @returns {Promise<Object>} { requeued, failed }
    */
-  async deleteOrder(unique_id) {
+  async recoverExpiredJobs() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [result] = await this.mysqlConnection.execute(
-        'DELETE FROM orders WHERE unique_id = ?',
-        [unique_id]
+      const [cancelled] = await this.mysqlConnection.execute(
+        `UPDATE jobs
+         SET status = 'cancelled', locked_by = NULL, locked_until = NULL, completed_at = NOW()
+         WHERE status = 'running' AND locked_until < NOW() AND cancel_requested = 1`
       );
-      return result.affectedRows > 0;
+      const [requeued] = await this.mysqlConnection.execute(
+        `UPDATE jobs
+         SET status = 'queued', locked_by = NULL, locked_until = NULL, run_after = NOW(),
+             error = 'Worker stopped before the job finished'
+         WHERE status = 'running' AND locked_until < NOW() AND attempts < max_attempts`
+      );
+      const [failed] = await this.mysqlConnection.execute(
+        `UPDATE jobs
+         SET status = 'failed', locked_by = NULL, locked_until = NULL, completed_at = NOW(),
+             error = 'Worker stopped before the job finished'
+         WHERE status = 'running' AND locked_until < NOW()`
+      );
+      return { requeued: requeued.affectedRows, failed: failed.affectedRows + cancelled.affectedRows };
     } catch (error) {
-      console.error('Error deleting order:', error);
-      throw new Error('Failed to delete order');
+      console.error('Error recovering expired jobs:', error);
+      throw new Error('Failed to recover expired jobs');
     }
   }
 
   /**
-   * Search orders in MySQL
-   * @param {string} searchTerm - Search term
-   * @returns {Array} Array of matching orders
+   * Cancel a job. Queued jobs are cancelled immediately; running jobs are flagged and
+   * stop at their next progress report.
+   * @param {string} id - Job ID
+   * @returns {Promise<string|null>} 'cancelled', 'cancel_requested' or null if not cancellable
    */
-  async searchOrders(searchTerm) {
+  async cancelJob(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        `SELECT o.*, p.image as product_image
-         FROM orders o
-         LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-         LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-         WHERE (o.order_id LIKE ? OR o.customer_name LIKE ? OR o.product_name LIKE ? 
-         OR o.product_code LIKE ? OR o.pincode LIKE ?)
-         AND (o.is_in_new_order = 1 OR c.label_downloaded = 1)
-         ORDER BY o.order_date DESC, o.order_id`,
-        [
-          `%${searchTerm}%`, `%${searchTerm}%`, `%${searchTerm}%`,
-          `%${searchTerm}%`, `%${searchTerm}%`
-        ]
+      const [queued] = await this.mysqlConnection.execute(
+        `UPDATE jobs SET status = 'cancelled', cancel_requested = 1, completed_at = NOW()
+         WHERE id = ? AND status = 'queued'`,
+        [id]
       );
-      return rows;
+      if (queued.affectedRows === 1) return 'cancelled';
+
+      const [running] = await this.mysqlConnection.execute(
+        `UPDATE jobs SET cancel_requested = 1 WHERE id = ? AND status = 'running'`,
+        [id]
+      );
+      return running.affectedRows === 1 ? 'cancel_requested' : null;
     } catch (error) {
-      console.error('Error searching orders:', error);
-      throw new Error('Failed to search orders');
+      console.error('Error cancelling job:', error);
+      throw new Error('Failed to cancel job');
     }
   }
 
   /**
-   * Wait for MySQL initialization to complete
-   * @returns {Promise<boolean>} True if MySQL is available
+   * Delete a job row
+   * @param {string} id - Job ID
+   * @returns {Promise<boolean>} True if deleted
    */
-  async waitForMySQLInitialization() {
-    // Wait for initialization to complete
-    while (!this.mysqlInitialized) {
-      await new Promise(resolve => setTimeout(resolve, 100));
+  async deleteJob(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [result] = await this.mysqlConnection.execute('DELETE FROM jobs WHERE id = ?', [id]);
+      return result.affectedRows === 1;
+    } catch (error) {
+      console.error('Error deleting job:', error);
+      throw new Error('Failed to delete job');
     }
-    return this.mysqlConnection !== null;
   }
 
   /**
-   * Check if MySQL connection is available
-   * @returns {boolean} True if MySQL is available
+   * Delete finished jobs older than the retention window
+   * @param {number} hours - Retention in hours
+   * @returns {Promise<number>} Number of jobs deleted
    */
-  isMySQLAvailable() {
-    // Check pool first (preferred), then fall back to connection for backward compatibility
-    return (this.mysqlPool !== null) || (this.mysqlConnection !== null);
+  async deleteFinishedJobsOlderThan(hours) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        `DELETE FROM jobs
+         WHERE status IN ('completed', 'failed', 'cancelled')
+           AND completed_at < DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+        [hours]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error cleaning up jobs:', error);
+      throw new Error('Failed to clean up jobs');
+    }
   }
 
   /**
-   * Test database connection health
-   * @returns {Promise<boolean>} True if connection is healthy
+   * Store the file a job produced (replaces the file of an earlier attempt)
+   * @param {string} jobId - Job ID
+   * @param {Object} file - { data: Buffer, content_type, filename }
+   * @returns {Promise<number>} File size in bytes
    */
-  async testConnection() {
+  async saveJobFile(jobId, { data, content_type, filename = null }) {
     if (!this.mysqlConnection) {
-      return false;
+      throw new Error('MySQL connection not available');
     }
 
     try {
-      await this.mysqlConnection.execute('SELECT 1');
-      return true;
+      await this.mysqlConnection.execute(
+        `INSERT INTO job_files (job_id, filename, content_type, size, data)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           filename = VALUES(filename),
+           content_type = VALUES(content_type),
+           size = VALUES(size),
+           data = VALUES(data),
+           created_at = CURRENT_TIMESTAMP`,
+        [jobId, filename, content_type, data.length, data]
+      );
+      return data.length;
     } catch (error) {
-      console.error('❌ Database connection test failed:', error.message);
+      console.error('Error saving job file:', error);
+      throw new Error('Failed to save job file');
+    }
+  }
 
-      // Check if it's a connection lost error
-      if (error.code === 'PROTOCOL_CONNECTION_LOST' ||
-        error.code === 'ECONNRESET' ||
-        error.code === 'ETIMEDOUT' ||
-        error.code === 'ENOTFOUND') {
-        console.log('🔄 Stale connection detected');
-      }
+  /**
+   * Get the file a job produced
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} { job_id, filename, content_type, size, data } or null
+   */
+  async getJobFile(jobId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      return false;
+    try {
+      const [rows] = await this.mysqlConnection.execute('SELECT * FROM job_files WHERE job_id = ?', [jobId]);
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error getting job file:', error);
+      throw new Error('Failed to get job file');
     }
   }
 
   /**
-   * Reconnect to database if connection is lost
-   * @returns {Promise<boolean>} True if reconnection successful
+   * Take the lease for a scheduled job.
+   * The lease is only granted when no other instance holds an unexpired one. For scheduled
+   * runs the cron slot is also checked, so an instance whose cron fires a little later than
+   * another's does not run the same slot again after the first run has finished.
+   * @param {string} jobName - Scheduled job name
+   * @param {string} instanceId - Instance identifier (host:pid)
+   * @param {number} leaseSeconds - Lease duration
+   * @param {string|null} slot - Cron slot for scheduled runs, null for startup/manual runs
+   * @returns {Promise<boolean>} True if this instance now holds the lease
    */
-  async reconnect() {
+  async acquireSchedulerLock(jobName, instanceId, leaseSeconds, slot = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
     try {
-      console.log('🔄 Attempting to reconnect to database...');
+      await this.mysqlConnection.execute(
+        'INSERT IGNORE INTO scheduler_locks (job_name) VALUES (?)',
+        [jobName]
+      );
 
-      // Close existing connection
-      if (this.mysqlConnection) {
-        try {
-          await this.mysqlConnection.end();
-        } catch (error) {
-          console.log('ℹ️ Error closing old connection (expected if connection was lost):', error.message);
-        }
+      const params = [instanceId, leaseSeconds, slot, jobName];
+      let slotClause = '';
+      if (slot) {
+        slotClause = 'AND (last_slot IS NULL OR last_slot <> ?)';
+        params.push(slot);
       }
 
-      // Reset state
-      this.mysqlConnection = null;
-      this.mysqlInitialized = false;
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE scheduler_locks
+         SET locked_by = ?, locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND),
+             last_slot = COALESCE(?, last_slot), last_started_at = NOW()
+         WHERE job_name = ?
+           AND (locked_until IS NULL OR locked_until < NOW())
+           ${slotClause}`,
+        params
+      );
+      return result.affectedRows === 1;
+    } catch (error) {
+      console.error('Error acquiring scheduler lock:', error);
+      throw new Error('Failed to acquire scheduler lock');
+    }
+  }
 
-      // Reinitialize connection
-      await this.initializeMySQL();
+  /**
+   * Extend the lease of a running scheduled job
+   * @param {string} jobName - Scheduled job name
+   * @param {string} instanceId - Instance holding the lease
+   * @param {number} leaseSeconds - New lease duration from now
+   * @returns {Promise<boolean>} False if the lease is no longer held by this instance
+   */
+  async extendSchedulerLock(jobName, instanceId, leaseSeconds) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      console.log('✅ Database reconnected successfully');
-      return true;
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE scheduler_locks SET locked_until = DATE_ADD(NOW(), INTERVAL ? SECOND)
+         WHERE job_name = ? AND locked_by = ?`,
+        [leaseSeconds, jobName, instanceId]
+      );
+      return result.affectedRows === 1;
+    } catch (error) {
+      console.error('Error extending scheduler lock:', error);
+      throw new Error('Failed to extend scheduler lock');
+    }
+  }
+
+  /**
+   * Release the lease of a scheduled job
+   * @param {string} jobName - Scheduled job name
+   * @param {string} instanceId - Instance holding the lease
+   */
+  async releaseSchedulerLock(jobName, instanceId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      await this.mysqlConnection.execute(
+        `UPDATE scheduler_locks SET locked_by = NULL, locked_until = NULL
+         WHERE job_name = ? AND locked_by = ?`,
+        [jobName, instanceId]
+      );
+    } catch (error) {
+      console.error('Error releasing scheduler lock:', error);
+      throw new Error('Failed to release scheduler lock');
+    }
+  }
+
+  /**
+   * Get all scheduler lease rows
+   * @returns {Promise<Array>} scheduler_locks rows with an is_locked flag
+   */
+  async getSchedulerLocks() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT job_name, locked_by, locked_until, last_slot, last_started_at,
+                (locked_until IS NOT NULL AND locked_until >= NOW()) AS is_locked
+         FROM scheduler_locks`
+      );
+      return rows.map(row => ({ ...row, is_locked: row.is_locked === 1 }));
     } catch (error) {
-      console.error('❌ Database reconnection failed:', error.message);
-      return false;
+      console.error('Error getting scheduler locks:', error);
+      throw new Error('Failed to get scheduler locks');
     }
   }
 
   /**
-   * Labels Table CRUD Operations
-   */
-
-  /**
-   * Get label by order_id
-   * @param {string} orderId - Order ID (can be clone order ID)
-   * @returns {Object|null} Label data or null if not found
+   * Start a job run record. Runs of the same job still marked running belong to an
+   * instance that stopped mid-run (the lease was free), so they are closed as failed first.
+   * @param {Object} runData - { job_name, trigger_type, triggered_by, instance_id }
+   * @returns {Promise<number>} Run ID
    */
-  async getLabelByOrderId(orderId, accountCode = null) {
+  async createJobRun(runData) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      let query = 'SELECT * FROM labels WHERE order_id = ?';
-      const params = [orderId];
-
-      // If account_code is provided, filter by it to ensure store-specific label retrieval
-      if (accountCode) {
-        query += ' AND account_code = ?';
-        params.push(accountCode);
-      }
+      await this.mysqlConnection.execute(
+        `UPDATE job_runs
+         SET status = 'failed', finished_at = NOW(), error = 'Instance stopped before the run finished'
+         WHERE job_name = ? AND status = 'running'`,
+        [runData.job_name]
+      );
 
-      const [rows] = await this.mysqlConnection.execute(query, params);
-      return rows.length > 0 ? rows[0] : null;
+      const [result] = await this.mysqlConnection.execute(
+        `INSERT INTO job_runs (job_name, trigger_type, triggered_by, instance_id, status, started_at)
+         VALUES (?, ?, ?, ?, 'running', NOW())`,
+        [
+          runData.job_name,
+          runData.trigger_type || 'schedule',
+          runData.triggered_by || null,
+          runData.instance_id
+        ]
+      );
+      return result.insertId;
     } catch (error) {
-      console.error('Error getting label by order ID:', error);
-      throw new Error('Failed to get label from database');
+      console.error('Error creating job run:', error);
+      throw new Error('Failed to create job run');
     }
   }
 
   /**
-   * Create or update label
-   * @param {Object} labelData - Label data {order_id, label_url, awb}
-   * @returns {Object} Created/updated label
+   * Record the outcome of a job run
+   * @param {number} id - Run ID
+   * @param {Object} outcome - { status, processed_count, success_count, error_count, message, summary, error }
    */
-  async upsertLabel(labelData) {
+  async finishJobRun(id, outcome) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!labelData.account_code) {
-      throw new Error('account_code is required for creating/updating label');
-    }
-
     try {
-      // Handle partial updates by only updating provided fields
-      const updateFields = [];
-      const updateValues = [];
-
-      // Build dynamic update clause based on provided fields
-      if (labelData.hasOwnProperty('label_url')) {
-        updateFields.push('label_url = ?');
-        updateValues.push(labelData.label_url);
-      }
-      if (labelData.hasOwnProperty('awb')) {
-        updateFields.push('awb = ?');
-        updateValues.push(labelData.awb || null);
-      }
-      if (labelData.hasOwnProperty('carrier_id')) {
-        updateFields.push('carrier_id = ?');
-        updateValues.push(labelData.carrier_id || null);
-      }
-      if (labelData.hasOwnProperty('carrier_name')) {
-        updateFields.push('carrier_name = ?');
-        updateValues.push(labelData.carrier_name || null);
-      }
-      if (labelData.hasOwnProperty('priority_carrier')) {
-        updateFields.push('priority_carrier = ?');
-        updateValues.push(labelData.priority_carrier || null);
-      }
-      if (labelData.hasOwnProperty('is_manifest')) {
-        updateFields.push('is_manifest = ?');
-        updateValues.push(labelData.is_manifest || 0);
-      }
-      if (labelData.hasOwnProperty('manifest_id')) {
-        updateFields.push('manifest_id = ?');
-        updateValues.push(labelData.manifest_id || null);
-      }
-
-      // Always add updated_at
-      updateFields.push('updated_at = CURRENT_TIMESTAMP');
-
-      const updateClause = updateFields.join(', ');
-
-      const [result] = await this.mysqlConnection.execute(
-        `INSERT INTO labels (order_id, label_url, awb, carrier_id, carrier_name, priority_carrier, is_manifest, manifest_id, account_code) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?) 
-         ON DUPLICATE KEY UPDATE ${updateClause}`,
+      await this.mysqlConnection.execute(
+        `UPDATE job_runs
+         SET status = ?, finished_at = NOW(),
+             duration_ms = TIMESTAMPDIFF(MICROSECOND, started_at, NOW()) DIV 1000,
+             processed_count = ?, success_count = ?, error_count = ?,
+             message = ?, summary = ?, error = ?
+         WHERE id = ?`,
         [
-          labelData.order_id,
-          labelData.label_url || null,
-          labelData.awb || null,
-          labelData.carrier_id || null,
-          labelData.carrier_name || null,
-          labelData.priority_carrier || null,
-          labelData.is_manifest || 0,
-          labelData.manifest_id || null,
-          labelData.account_code,
-          ...updateValues
+          outcome.status,
+          outcome.processed_count ?? null,
+          outcome.success_count ?? null,
+          outcome.error_count ?? null,
+          outcome.message ? String(outcome.message).substring(0, 500) : null,
+          outcome.summary ? JSON.stringify(outcome.summary) : null,
+          outcome.error || null,
+          id
         ]
       );
-
-      // CRITICAL: Retrieve label with account_code to ensure store-specific retrieval
-      return await this.getLabelByOrderId(labelData.order_id, labelData.account_code);
     } catch (error) {
-      console.error('Error creating/updating label:', error);
-      throw new Error('Failed to save label to database');
+      console.error('Error finishing job run:', error);
+      throw new Error('Failed to finish job run');
     }
   }
 
   /**
-   * Get multiple labels by order_ids (bulk fetch)
-   * OPTIMIZATION: Fetches all labels in one query instead of N queries
-   * @param {Array<string>} order_ids - Array of order IDs
-   * @returns {Array} Array of label objects
+   * Parse a job_runs row (summary is stored as JSON)
+   * @param {Object} row
+   * @returns {Object}
    */
-  async getLabelsByOrderIds(order_ids) {
-    if (!this.mysqlConnection) {
-      throw new Error('MySQL connection not available');
+  parseJobRunRow(row) {
+    let summary = null;
+    if (row.summary) {
+      try {
+        summary = JSON.parse(row.summary);
+      } catch (e) {
+        summary = row.summary;
+      }
     }
+    return { ...row, summary };
+  }
 
-    if (!order_ids || !Array.isArray(order_ids) || order_ids.length === 0) {
-      return [];
+  /**
+   * Get job run history, newest first
+   * @param {Object} filters - { job_name, status, limit, offset }
+   * @returns {Promise<Array>} Runs without the summary payload
+   */
+  async getJobRuns({ job_name = null, status = null, limit = 50, offset = 0 } = {}) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
     }
 
     try {
-      // Create placeholders for IN clause (?, ?, ?, ...)
-      const placeholders = order_ids.map(() => '?').join(',');
+      const conditions = [];
+      const params = [];
+      if (job_name) {
+        conditions.push('job_name = ?');
+        params.push(job_name);
+      }
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+      const safeOffset = Math.max(parseInt(offset, 10) || 0, 0);
 
       const [rows] = await this.mysqlConnection.execute(
-        `SELECT * FROM labels WHERE order_id IN (${placeholders})`,
-        order_ids
+        `SELECT id, job_name, trigger_type, triggered_by, instance_id, status, started_at, finished_at,
+                duration_ms, processed_count, success_count, error_count, message, error
+         FROM job_runs
+         ${whereClause}
+         ORDER BY started_at DESC, id DESC
+         LIMIT ${safeLimit} OFFSET ${safeOffset}`,
+        params
       );
-
-      return rows || [];
+      return rows;
     } catch (error) {
-      console.error('Error getting labels by order_ids:', error);
-      throw new Error('Failed to get labels from database');
+      console.error('Error getting job runs:', error);
+      throw new Error('Failed to get job runs');
     }
   }
 
   /**
-   * Check if label exists for order_id
-   * @param {string} orderId - Order ID
-   * @returns {boolean} True if label exists
+   * Get a single job run with its summary
+   * @param {number} id - Run ID
+   * @returns {Promise<Object|null>}
    */
-  async labelExists(orderId) {
-    const label = await this.getLabelByOrderId(orderId);
-    return label !== null;
+  async getJobRunById(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute('SELECT * FROM job_runs WHERE id = ?', [id]);
+      return rows.length > 0 ? this.parseJobRunRow(rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting job run:', error);
+      throw new Error('Failed to get job run');
+    }
   }
 
   /**
-   * Get all labels
-   * @returns {Array} Array of all labels
+   * Get the most recent run of every scheduled job
+   * @returns {Promise<Array>} Latest run per job_name, with summary
    */
-  async getAllLabels() {
+  async getLatestJobRuns() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM labels ORDER BY created_at DESC'
+        `SELECT jr.*
+         FROM job_runs jr
+         INNER JOIN (
+           SELECT job_name, MAX(id) AS max_id FROM job_runs GROUP BY job_name
+         ) latest ON latest.max_id = jr.id`
       );
-      return rows;
+      return rows.map(row => this.parseJobRunRow(row));
     } catch (error) {
-      console.error('Error getting all labels:', error);
-      throw new Error('Failed to get labels from database');
+      console.error('Error getting latest job runs:', error);
+      throw new Error('Failed to get latest job runs');
     }
   }
 
-  // ========================================
-  // Customer Info Methods
-  // ========================================
-
   /**
-   * Get customer info by order ID
-   * @param {string} orderId - Order ID
-   * @returns {Object|null} Customer info or null if not found
+   * Delete job run history older than the retention window
+   * @param {number} days - Retention in days
+   * @returns {Promise<number>} Number of runs deleted
    */
-  async getCustomerInfoByOrderId(orderId, accountCode = null) {
+  async deleteJobRunsOlderThan(days) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      let query = 'SELECT * FROM customer_info WHERE order_id = ?';
-      const params = [orderId];
-
-      if (accountCode) {
-        query += ' AND account_code = ?';
-        params.push(accountCode);
-      }
-
-      const [rows] = await this.mysqlConnection.execute(query, params);
-      return rows.length > 0 ? rows[0] : null;
+      const [result] = await this.mysqlConnection.execute(
+        `DELETE FROM job_runs WHERE status <> 'running' AND started_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+        [days]
+      );
+      return result.affectedRows;
     } catch (error) {
-      console.error('Error getting customer info by order ID:', error);
-      throw new Error('Failed to get customer info from database');
+      console.error('Error cleaning up job runs:', error);
+      throw new Error('Failed to clean up job runs');
     }
   }
 
+
   /**
-   * Get multiple customer info by order_ids (bulk fetch)
-   * OPTIMIZATION: Fetches all customer info in one query instead of N queries
-   * @param {Array<string>} order_ids - Array of order IDs
-   * @returns {Array} Array of customer info objects
+   * Create a user session (one per signed-in device)
+   * @param {Object} sessionData - { id, user_id, refresh_token_hash, refresh_expires_at, device_name, user_agent, ip_address }
+   * @returns {Promise<Object>} Created session
    */
-  async getCustomerInfoByOrderIds(order_ids) {
+  async createUserSession(sessionData) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!order_ids || !Array.isArray(order_ids) || order_ids.length === 0) {
-      return [];
+    try {
+      await this.mysqlConnection.execute(
+        `INSERT INTO user_sessions
+         (id, user_id, refresh_token_hash, refresh_expires_at, device_name, user_agent, ip_address, last_used_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          sessionData.id,
+          sessionData.user_id,
+          sessionData.refresh_token_hash,
+          sessionData.refresh_expires_at,
+          sessionData.device_name || null,
+          sessionData.user_agent ? String(sessionData.user_agent).substring(0, 500) : null,
+          sessionData.ip_address || null
+        ]
+      );
+      return await this.getUserSessionById(sessionData.id);
+    } catch (error) {
+      console.error('Error creating user session:', error);
+      throw new Error('Failed to create user session');
     }
+  }
 
-    try {
-      const placeholders = order_ids.map(() => '?').join(',');
+  /**
+   * Get a user session by ID
+   * @param {string} id - Session ID
+   * @returns {Promise<Object|null>}
+   */
+  async getUserSessionById(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
+    try {
       const [rows] = await this.mysqlConnection.execute(
-        `SELECT * FROM customer_info WHERE order_id IN (${placeholders})`,
-        order_ids
+        'SELECT * FROM user_sessions WHERE id = ?',
+        [id]
       );
-
-      return rows || [];
+      return rows.length > 0 ? rows[0] : null;
     } catch (error) {
-      console.error('Error getting customer info by order_ids:', error);
-      throw new Error('Failed to get customer info from database');
+      console.error('Error getting user session:', error);
+      throw new Error('Failed to get user session');
     }
   }
 
   /**
-   * Create or update customer info
-   * @param {Object} customerData - Customer data
-   * @returns {Object} Created/updated customer info
+   * Get the sessions of a user that are not revoked or expired
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Sessions without refresh token hashes, newest first
    */
-  async upsertCustomerInfo(customerData) {
+  async getActiveUserSessions(userId) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!customerData.account_code) {
-      throw new Error('account_code is required for creating/updating customer info');
-    }
-
     try {
-      const fields = [
-        'store_code',
-        'email', 'billing_firstname', 'billing_lastname', 'billing_phone',
-        'billing_address', 'billing_address2', 'billing_city', 'billing_state',
-        'billing_country', 'billing_zipcode', 'billing_latitude', 'billing_longitude',
-        'shipping_firstname', 'shipping_lastname', 'shipping_phone',
-        'shipping_address', 'shipping_address2', 'shipping_city', 'shipping_state',
-        'shipping_country', 'shipping_zipcode', 'shipping_latitude', 'shipping_longitude',
-        'account_code'
-      ];
-
-      const updateClauses = fields.map(field => `${field} = VALUES(${field})`).join(', ');
-      const fieldNames = ['order_id', ...fields].join(', ');
-      const placeholders = ['order_id', ...fields].map(() => '?').join(', ');
-
-      const values = [
-        customerData.order_id,
-        customerData.store_code || null,
-        customerData.email || null,
-        customerData.billing_firstname || null,
-        customerData.billing_lastname || null,
-        customerData.billing_phone || null,
-        customerData.billing_address || null,
-        customerData.billing_address2 || null,
-        customerData.billing_city || null,
-        customerData.billing_state || null,
-        customerData.billing_country || null,
-        customerData.billing_zipcode || null,
-        customerData.billing_latitude || null,
-        customerData.billing_longitude || null,
-        customerData.shipping_firstname || null,
-        customerData.shipping_lastname || null,
-        customerData.shipping_phone || null,
-        customerData.shipping_address || null,
-        customerData.shipping_address2 || null,
-        customerData.shipping_city || null,
-        customerData.shipping_state || null,
-        customerData.shipping_country || null,
-        customerData.shipping_zipcode || null,
-        customerData.shipping_latitude || null,
-        customerData.shipping_longitude || null,
-        customerData.account_code
-      ];
-
-      await this.mysqlConnection.execute(
-        `INSERT INTO customer_info (${fieldNames}) VALUES (${placeholders})
-         ON DUPLICATE KEY UPDATE ${updateClauses}`,
-        values
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT id, user_id, device_name, user_agent, ip_address, created_at, last_used_at, refresh_expires_at
+         FROM user_sessions
+         WHERE user_id = ? AND revoked_at IS NULL AND refresh_expires_at > NOW()
+         ORDER BY last_used_at DESC`,
+        [userId]
       );
-
-      return await this.getCustomerInfoByOrderId(customerData.order_id);
+      return rows;
     } catch (error) {
-      console.error('Error creating/updating customer info:', error);
-      throw new Error('Failed to save customer info to database');
+      console.error('Error getting user sessions:', error);
+      throw new Error('Failed to get user sessions');
     }
   }
 
   /**
-   * Copy customer info from one order to another (for clones)
-   * @param {string} sourceOrderId - Source order ID
-   * @param {string} targetOrderId - Target order ID (clone)
-   * @returns {Object} Copied customer info
+   * Rotate the refresh token of a session. Only succeeds if the session still holds
+   * the presented token, so a refresh token can be used once. The presented token's hash
+   * is kept in user_session_rotated_tokens to recognize it if it is presented again.
+   * @param {string} id - Session ID
+   * @param {string} currentHash - Hash of the presented refresh token
+   * @param {string} newHash - Hash of the new refresh token
+   * @param {Date} refreshExpiresAt - New refresh token expiry
+   * @param {Object} meta - { ip_address, user_agent }
+   * @returns {Promise<boolean>} True if rotated
    */
-  async copyCustomerInfo(sourceOrderId, targetOrderId) {
+  async rotateUserSessionRefreshToken(id, currentHash, newHash, refreshExpiresAt, meta = {}) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    try {
-      // Get source customer info
-      const sourceCustomer = await this.getCustomerInfoByOrderId(sourceOrderId);
-
-      if (!sourceCustomer) {
-        throw new Error(`Customer info not found for order ${sourceOrderId}`);
-      }
+    const connection = await this.mysqlPool.getConnection();
 
-      // Create new customer info with target order_id
-      const targetCustomer = {
-        ...sourceCustomer,
-        order_id: targetOrderId
-      };
+    try {
+      await connection.beginTransaction();
 
-      // Remove timestamps to let database generate new ones
-      delete targetCustomer.created_at;
-      delete targetCustomer.updated_at;
+      const [result] = await connection.execute(
+        `UPDATE user_sessions
+         SET refresh_token_hash = ?, refresh_expires_at = ?, last_used_at = NOW(),
+             ip_address = COALESCE(?, ip_address), user_agent = COALESCE(?, user_agent)
+         WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL AND refresh_expires_at > NOW()`,
+        [
+          newHash,
+          refreshExpiresAt,
+          meta.ip_address || null,
+          meta.user_agent ? String(meta.user_agent).substring(0, 500) : null,
+          id,
+          currentHash
+        ]
+      );
 
-      // Insert the copied customer info
-      await this.upsertCustomerInfo(targetCustomer);
+      if (result.affectedRows !== 1) {
+        await connection.rollback();
+        return false;
+      }
 
-      console.log(`✅ Copied customer info from ${sourceOrderId} to ${targetOrderId}`);
-      return await this.getCustomerInfoByOrderId(targetOrderId);
+      await connection.execute(
+        'INSERT IGNORE INTO user_session_rotated_tokens (session_id, refresh_token_hash) VALUES (?, ?)',
+        [id, currentHash]
+      );
+      await connection.commit();
+      return true;
     } catch (error) {
-      console.error('Error copying customer info:', error);
-      throw new Error(`Failed to copy customer info: ${error.message}`);
+      await connection.rollback();
+      console.error('Error rotating session refresh token:', error);
+      throw new Error('Failed to refresh session');
+    } finally {
+      connection.release();
     }
   }
 
   /**
-   * Generic query method for executing SQL queries
-   * @param {string} sql - SQL query string
-   * @param {Array} params - Query parameters
-   * @returns {Promise<Array>} Array of result rows
+   * Whether a refresh token hash was rotated away from by a session (i.e. was already used)
+   * @param {string} id - Session ID
+   * @param {string} hash - Hash of the presented refresh token
+   * @returns {Promise<boolean>}
    */
-  async query(sql, params = []) {
+  async isRotatedUserSessionRefreshToken(id, hash) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(sql, params);
-      return rows;
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT 1 FROM user_session_rotated_tokens WHERE session_id = ? AND refresh_token_hash = ?',
+        [id, hash]
+      );
+      return rows.length > 0;
     } catch (error) {
-      console.error('Error executing query:', error);
-      throw error;
+      console.error('Error checking rotated refresh token:', error);
+      throw new Error('Failed to check refresh token');
     }
   }
 
-  // ==================== ORDER TRACKING METHODS ====================
-
   /**
-   * Get active orders that need tracking updates
-   * Active orders: label_downloaded = 1 from claims table
-   * Note: We determine active/inactive based on latest shipment_status from Shipway API
+   * Revoke one session
+   * @param {string} id - Session ID
+   * @param {string} reason - e.g. 'logout', 'password_change'
+   * @returns {Promise<boolean>} True if the session was active and is now revoked
    */
-  async getActiveOrdersForTracking() {
+  async revokeUserSession(id, reason) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT DISTINCT c.order_id, o.account_code, l.awb
-        FROM claims c
-        INNER JOIN orders o ON c.order_id = o.order_id AND c.account_code = o.account_code
-        LEFT JOIN labels l ON c.order_id = l.order_id AND c.account_code = l.account_code
-        WHERE c.label_downloaded = 1 
-        AND c.order_id IS NOT NULL
-        AND o.account_code IS NOT NULL
-        ORDER BY c.order_id
-      `);
-      return rows;
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+         WHERE id = ? AND revoked_at IS NULL`,
+        [reason, id]
+      );
+      return result.affectedRows === 1;
     } catch (error) {
-      console.error('Error getting active orders for tracking:', error);
-      throw error;
+      console.error('Error revoking user session:', error);
+      throw new Error('Failed to revoke session');
     }
   }
 
   /**
-   * Get inactive orders that need tracking updates
-   * Inactive orders: label_downloaded = 1 from claims table
-   * Note: We determine active/inactive based on latest shipment_status from Shipway API
+   * Revoke all sessions of a user
+   * @param {string} userId - User ID
+   * @param {string} reason - e.g. 'logout_all', 'password_change'
+   * @param {string|null} exceptSessionId - Session to keep (the caller's own)
+   * @returns {Promise<number>} Number of sessions revoked
    */
-  async getInactiveOrdersForTracking() {
+  async revokeUserSessions(userId, reason, exceptSessionId = null) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT DISTINCT c.order_id, o.account_code, l.awb
-        FROM claims c
-        INNER JOIN orders o ON c.order_id = o.order_id AND c.account_code = o.account_code
-        LEFT JOIN labels l ON c.order_id = l.order_id AND c.account_code = l.account_code
-        WHERE c.label_downloaded = 1 
-        AND c.order_id IS NOT NULL
-        AND o.account_code IS NOT NULL
-        ORDER BY c.order_id
-      `);
-      return rows;
+      const params = [reason, userId];
+      let exceptClause = '';
+      if (exceptSessionId) {
+        exceptClause = 'AND id <> ?';
+        params.push(exceptSessionId);
+      }
+
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = ?
+         WHERE user_id = ? AND revoked_at IS NULL ${exceptClause}`,
+        params
+      );
+      return result.affectedRows;
     } catch (error) {
-      console.error('Error getting inactive orders for tracking:', error);
-      throw error;
+      console.error('Error revoking user sessions:', error);
+      throw new Error('Failed to revoke sessions');
     }
   }
 
   /**
-   * Get orders that need auto-manifest (is_handover = 1 but is_manifest = 0)
-   * @returns {Array} Array of orders needing manifest with account_code
+   * Delete sessions that expired or were revoked more than the given number of days ago
+   * @param {number} days - Retention in days
+   * @returns {Promise<number>} Number of sessions deleted
    */
-  async getOrdersNeedingAutoManifest() {
+  async deleteStaleUserSessions(days) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT DISTINCT 
-          l.order_id,
-          l.awb,
-          l.current_shipment_status,
-          l.is_handover,
-          l.is_manifest,
-          o.account_code,
-          o.customer_name,
-          o.product_name
-        FROM labels l
-        INNER JOIN orders o ON l.order_id = o.order_id AND l.account_code = o.account_code
-        WHERE l.is_handover = 1 
-        AND (l.is_manifest = 0 OR l.is_manifest IS NULL)
-        AND o.account_code IS NOT NULL
-        ORDER BY l.order_id
-      `);
-      return rows;
+      const [result] = await this.mysqlConnection.execute(
+        `DELETE FROM user_sessions
+         WHERE refresh_expires_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+            OR revoked_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+        [days, days]
+      );
+      return result.affectedRows;
     } catch (error) {
-      console.error('Error getting orders needing auto-manifest:', error);
-      throw error;
+      console.error('Error cleaning up user sessions:', error);
+      throw new Error('Failed to clean up user sessions');
     }
   }
 
   /**
-   * Store order tracking data
-   * @param {string} orderId - The order ID
-   * @param {string} orderType - 'active' or 'inactive'
-   * @param {Array} trackingEvents - Array of tracking events from Shipway API
+   * Get all roles with their permissions and the number of users holding them
+   * (as users.role without an access_role, or as users.access_role)
+   * @returns {Promise<Array>} [{ name, description, is_system, permissions, user_count, ... }]
    */
-  async storeOrderTracking(orderId, orderType, trackingEvents, accountCode = null) {
+  async getRoles() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Get account_code from orders table unless provided explicitly.
-      // IMPORTANT: order_id can exist across multiple account_codes, so we must NOT
-      // derive account_code by order_id alone when it is already known by caller.
-      let resolvedAccountCode = accountCode;
-      if (!resolvedAccountCode) {
-        const [orderData] = await this.mysqlConnection.execute(
-          'SELECT account_code FROM orders WHERE order_id = ? LIMIT 1',
-          [orderId]
-        );
-        if (orderData.length === 0 || !orderData[0].account_code) {
-          throw new Error(`Order ${orderId} not found or missing account_code`);
-        }
-        resolvedAccountCode = orderData[0].account_code;
-      }
+      const [roles] = await this.mysqlConnection.execute(
+        `SELECT r.*,
+          (SELECT COUNT(*) FROM users u WHERE COALESCE(u.access_role, u.role) = r.name) AS user_count
+         FROM roles r
+         ORDER BY r.is_system DESC, r.name ASC`
+      );
+      const [permissions] = await this.mysqlConnection.execute(
+        'SELECT role_name, permission FROM role_permissions ORDER BY permission ASC'
+      );
 
-      // Get the latest/newest status from tracking events (should be only one now)
-      const latestEvent = trackingEvents[trackingEvents.length - 1];
-      if (!latestEvent || !latestEvent.name) {
-        throw new Error('No valid tracking event found');
-      }
+      return roles.map(role => ({
+        ...role,
+        is_system: role.is_system === 1,
+        user_count: parseInt(role.user_count || 0),
+        permissions: permissions.filter(row => row.role_name === role.name).map(row => row.permission)
+      }));
+    } catch (error) {
+      console.error('Error getting roles:', error);
+      throw new Error('Failed to get roles from database');
+    }
+  }
 
-      const newStatus = latestEvent.name;
-      const newTimestamp = latestEvent.time || new Date();
+  /**
+   * Get a role with its permissions
+   * @param {string} name - Role name
+   * @returns {Promise<Object|null>} Role or null if not found
+   */
+  async getRoleByName(name) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      // Check the latest status in order_tracking for this order
-      const [existingTracking] = await this.mysqlConnection.execute(`
-        SELECT id, shipment_status, timestamp, updated_at
-        FROM order_tracking 
-        WHERE order_id = ? AND account_code = ?
-        ORDER BY timestamp DESC, id DESC
-        LIMIT 1
-      `, [orderId, resolvedAccountCode]);
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM roles WHERE name = ?',
+        [name]
+      );
+      if (rows.length === 0) return null;
 
-      if (existingTracking.length > 0) {
-        const latestExistingStatus = existingTracking[0].shipment_status;
+      return {
+        ...rows[0],
+        is_system: rows[0].is_system === 1,
+        permissions: await this.getRolePermissions(name)
+      };
+    } catch (error) {
+      console.error('Error getting role:', error);
+      throw new Error('Failed to get role from database');
+    }
+  }
 
-        // If status is the same, just update the updated_at timestamp
-        if (latestExistingStatus === newStatus) {
-          await this.mysqlConnection.execute(`
-            UPDATE order_tracking 
-            SET updated_at = NOW(), timestamp = ?
-            WHERE id = ?
-          `, [newTimestamp, existingTracking[0].id]);
+  /**
+   * Get the permission names of a role
+   * @param {string} name - Role name
+   * @returns {Promise<Array<string>>} Permission names (empty if the role does not exist)
+   */
+  async getRolePermissions(name) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-          console.log(`✅ Updated existing tracking record (same status: ${newStatus}) for order ${orderId}`);
-          return;
-        }
-      }
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT permission FROM role_permissions WHERE role_name = ? ORDER BY permission ASC',
+        [name]
+      );
+      return rows.map(row => row.permission);
+    } catch (error) {
+      console.error('Error getting role permissions:', error);
+      throw new Error('Failed to get role permissions from database');
+    }
+  }
 
-      // Status is different or no existing record - insert new row
-      await this.mysqlConnection.execute(`
-        INSERT INTO order_tracking 
-        (order_id, order_type, shipment_status, timestamp, ndr_reason, account_code)
-        VALUES (?, ?, ?, ?, ?, ?)
-      `, [
-        orderId,
-        orderType,
-        newStatus,
-        newTimestamp,
-        latestEvent.ndr_reason || null,
-        resolvedAccountCode
-      ]);
+  /**
+   * Replace the permissions of a role (inside an open transaction)
+   * @param {Object} connection - Pool connection with an open transaction
+   * @param {string} name - Role name
+   * @param {Array<string>} permissions - Permission names
+   */
+  async replaceRolePermissions(connection, name, permissions) {
+    await connection.execute('DELETE FROM role_permissions WHERE role_name = ?', [name]);
+    if (permissions.length > 0) {
+      await connection.query(
+        'INSERT INTO role_permissions (role_name, permission) VALUES ?',
+        [permissions.map(permission => [name, permission])]
+      );
+    }
+  }
 
-      console.log(`✅ Stored new tracking event (status: ${newStatus}) for order ${orderId}`);
+  /**
+   * Create a custom role
+   * @param {Object} roleData - { name, description, permissions, created_by }
+   * @returns {Promise<Object>} Created role
+   */
+  async createRole({ name, description = null, permissions = [], created_by = null }) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
+    const connection = await this.mysqlPool.getConnection();
+
+    try {
+      await connection.beginTransaction();
+      await connection.execute(
+        'INSERT INTO roles (name, description, is_system, created_by) VALUES (?, ?, 0, ?)',
+        [name, description, created_by]
+      );
+      await this.replaceRolePermissions(connection, name, permissions);
+      await connection.commit();
     } catch (error) {
-      console.error(`❌ Error storing tracking data for order ${orderId}:`, error);
-      throw error;
+      await connection.rollback();
+      console.error('Error creating role:', error);
+      throw new Error('Failed to create role');
+    } finally {
+      connection.release();
     }
+
+    return this.getRoleByName(name);
   }
 
   /**
-   * Get tracking data for a specific order
-   * @param {string} orderId - The order ID
-   * @param {string} accountCode - The account_code for the store (REQUIRED)
+   * Update a role's description and/or permission set
+   * @param {string} name - Role name
+   * @param {Object} updateData - { description?, permissions? }
+   * @returns {Promise<Object>} Updated role
    */
-  async getOrderTracking(orderId, accountCode) {
+  async updateRole(name, { description, permissions }) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!accountCode) {
-      throw new Error('account_code is required for getting tracking data');
-    }
+    const connection = await this.mysqlPool.getConnection();
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          id,
-          order_id,
-          order_type,
-          shipment_status,
-          timestamp,
-          ndr_reason,
-          account_code,
-          created_at,
-          updated_at
-        FROM order_tracking 
-        WHERE order_id = ? AND account_code = ?
-        ORDER BY timestamp ASC
-      `, [orderId, accountCode]);
-
-      return rows;
+      await connection.beginTransaction();
+      if (description !== undefined) {
+        await connection.execute(
+          'UPDATE roles SET description = ? WHERE name = ?',
+          [description, name]
+        );
+      }
+      if (permissions !== undefined) {
+        await this.replaceRolePermissions(connection, name, permissions);
+        await connection.execute('UPDATE roles SET updated_at = NOW() WHERE name = ?', [name]);
+      }
+      await connection.commit();
     } catch (error) {
-      console.error(`Error getting tracking data for order ${orderId} (${accountCode}):`, error);
-      throw error;
+      await connection.rollback();
+      console.error('Error updating role:', error);
+      throw new Error('Failed to update role');
+    } finally {
+      connection.release();
     }
+
+    return this.getRoleByName(name);
   }
 
   /**
-   * Get all orders with their latest tracking status
+   * Delete a custom role and its permissions
+   * @param {string} name - Role name
+   * @returns {Promise<boolean>} True if deleted, false if not found or a system role
    */
-  async getOrdersWithTrackingStatus() {
+  async deleteRole(name) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          o.order_id,
-          o.customer_name,
-          o.status as order_status,
-          o.label_downloaded,
-          ot.order_type,
-          ot.shipment_status as latest_shipment_status,
-          ot.timestamp as latest_tracking_time
-        FROM orders o
-        LEFT JOIN (
-          SELECT 
-            order_id,
-            order_type,
-            shipment_status,
-            timestamp,
-            ROW_NUMBER() OVER (PARTITION BY order_id ORDER BY timestamp DESC) as rn
-          FROM order_tracking
-        ) ot ON o.order_id = ot.order_id AND ot.rn = 1
-        WHERE o.label_downloaded = 1
-        ORDER BY o.order_id
-      `);
+    const connection = await this.mysqlPool.getConnection();
 
-      return rows;
+    try {
+      await connection.beginTransaction();
+      const [result] = await connection.execute(
+        'DELETE FROM roles WHERE name = ? AND is_system = 0',
+        [name]
+      );
+      if (result.affectedRows > 0) {
+        await connection.execute('DELETE FROM role_permissions WHERE role_name = ?', [name]);
+      }
+      await connection.commit();
+      return result.affectedRows > 0;
     } catch (error) {
-      console.error('Error getting orders with tracking status:', error);
-      throw error;
+      await connection.rollback();
+      console.error('Error deleting role:', error);
+      throw new Error('Failed to delete role');
+    } finally {
+      connection.release();
     }
   }
 
   /**
-   * Cleanup old tracking data (older than specified days)
-   * @param {number} daysOld - Number of days old (default: 90)
+   * Count users whose permissions come from a role
+   * @param {string} name - Role name
+   * @returns {Promise<number>}
    */
-  async cleanupOldOrderTracking(daysOld = 90) {
+  async countUsersWithRole(name) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [result] = await this.mysqlConnection.execute(`
-        DELETE FROM order_tracking 
-        WHERE created_at < DATE_SUB(NOW(), INTERVAL ? DAY)
-      `, [daysOld]);
-
-      return {
-        deletedCount: result.affectedRows,
-        message: `Deleted ${result.affectedRows} old tracking records`
-      };
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT COUNT(*) AS count FROM users WHERE role = ? OR access_role = ?',
+        [name, name]
+      );
+      return parseInt(rows[0]?.count || 0);
     } catch (error) {
-      console.error('Error cleaning up old tracking data:', error);
-      throw error;
+      console.error('Error counting users with role:', error);
+      throw new Error('Failed to count users with role');
     }
   }
 
   /**
-   * Get tracking statistics
+   * Insert order events (audit trail)
+   * @param {Array<Object>} events - [{ order_unique_id, order_id, account_code, event_type, from_status, to_status,
+   *   claimed_by, actor_type, actor_id, actor_name, source, details }]
+   * @param {Object} connection - Optional connection of a caller's transaction
+   * @returns {Promise<number>} Number of events inserted
    */
-  async getTrackingStatistics() {
+  async createOrderEvents(events, connection = null) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
+    if (!events || events.length === 0) return 0;
 
     try {
-      const [stats] = await this.mysqlConnection.execute(`
-        SELECT 
-          COUNT(DISTINCT order_id) as total_orders_tracked,
-          COUNT(*) as total_tracking_events,
-          SUM(CASE WHEN order_type = 'active' THEN 1 ELSE 0 END) as active_events,
-          SUM(CASE WHEN order_type = 'inactive' THEN 1 ELSE 0 END) as inactive_events,
-          COUNT(DISTINCT CASE WHEN order_type = 'active' THEN order_id END) as active_orders,
-          COUNT(DISTINCT CASE WHEN order_type = 'inactive' THEN order_id END) as inactive_orders
-        FROM order_tracking
-      `);
+      const rows = events.map(event => [
+        event.order_unique_id || null,
+        event.order_id,
+        event.account_code || null,
+        event.event_type,
+        event.from_status || null,
+        event.to_status || null,
+        event.claimed_by || null,
+        event.actor_type || 'system',
+        event.actor_id || null,
+        event.actor_name || null,
+        event.source || null,
+        event.details ? JSON.stringify(event.details) : null
+      ]);
 
-      return stats[0];
+      const [result] = await (connection || this.mysqlConnection).query(
+        `INSERT INTO order_events
+          (order_unique_id, order_id, account_code, event_type, from_status, to_status,
+           claimed_by, actor_type, actor_id, actor_name, source, details)
+         VALUES ?`,
+        [rows]
+      );
+      return result.affectedRows;
     } catch (error) {
-      console.error('Error getting tracking statistics:', error);
-      throw error;
+      console.error('Error creating order events:', error);
+      throw new Error('Failed to create order events');
     }
   }
 
-  // ==================== LABELS TABLE METHODS ====================
-
   /**
-   * Update labels table with current shipment status and handover logic
-   * @param {string} orderId - The order ID
-   * @param {string} accountCode - The account_code for the store (REQUIRED)
-   * @param {string} currentStatus - Current shipment status
-   * @param {boolean} isHandover - Whether this order is handed over
-   * @param {string|null} handoverTimestamp - Timestamp when order became "In Transit" (from tracking API)
+   * Get the event history of an order row: its own events plus order-level events
+   * (clone, tracking) of the same order_id and store, oldest first
+   * @param {string} unique_id - Order unique ID
+   * @param {string} order_id - Order ID
+   * @param {string} account_code - Store account code
+   * @returns {Promise<Array>} Events with details parsed
    */
-  async updateLabelsShipmentStatus(orderId, accountCode, currentStatus, isHandover = false, handoverTimestamp = null) {
+  async getOrderEvents(unique_id, order_id, account_code) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!accountCode) {
-      throw new Error('account_code is required for updating labels shipment status');
-    }
-
     try {
-      // Check if label exists for this order and account_code (store isolation)
-      const [existingLabels] = await this.mysqlConnection.execute(
-        'SELECT id, is_handover, handover_at FROM labels WHERE order_id = ? AND account_code = ?',
-        [orderId, accountCode]
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT * FROM order_events
+         WHERE order_unique_id = ?
+            OR (order_unique_id IS NULL AND order_id = ? AND (account_code = ? OR account_code IS NULL))
+         ORDER BY created_at ASC, id ASC`,
+        [unique_id, order_id, account_code]
       );
 
-      if (existingLabels.length === 0) {
-        console.log(`⚠️ No label found for order ${orderId} (${accountCode}), skipping labels update`);
-        return;
-      }
-
-      const currentHandoverStatus = existingLabels[0].is_handover;
-      const existingHandoverAt = existingLabels[0].handover_at;
-
-      // Update current_shipment_status and potentially is_handover
-      let updateQuery = `
-        UPDATE labels 
-        SET current_shipment_status = ?
-      `;
-      let queryParams = [currentStatus];
-
-      // Only update is_handover if it's currently 0 and we're setting it to 1
-      // This ensures is_handover can only go from 0 to 1, never back to 0
-      let handoverJustSet = false;
-      if (isHandover && currentHandoverStatus === 0) {
-        updateQuery += `, is_handover = 1`;
-        handoverJustSet = true;
-
-        // Set handover_at timestamp ONLY if it doesn't already exist (first "In Transit" event)
-        if (!existingHandoverAt) {
-          if (handoverTimestamp) {
-            updateQuery += `, handover_at = ?`;
-            queryParams.push(handoverTimestamp);
-            console.log(`🚚 Setting is_handover = 1 and handover_at = ${handoverTimestamp} for order ${orderId} (${accountCode})`);
-          } else {
-            // If no timestamp provided, use current time
-            updateQuery += `, handover_at = NOW()`;
-            console.log(`🚚 Setting is_handover = 1 and handover_at = NOW() for order ${orderId} (${accountCode})`);
-          }
-        } else {
-          console.log(`🚚 Order ${orderId} (${accountCode}) already has handover_at = ${existingHandoverAt}, preserving original timestamp`);
+      return rows.map(row => {
+        let details = null;
+        try {
+          details = row.details ? JSON.parse(row.details) : null;
+        } catch (parseError) {
+          details = row.details;
         }
-
-        console.log(`🚚 Order ${orderId} (${accountCode}) status changed to In Transit (handed over)`);
+        return { ...row, details };
+      });
+    } catch (error) {
+      console.error('Error getting order events:', error);
+      throw new Error('Failed to get order events from database');
+    }
+  }
+  /**
+   * Parse the JSON list columns of an auto_reversal_policies row
+   * @param {Object} row - auto_reversal_policies row
+   * @returns {Object} Row with holidays and exempt_vendors as arrays
+   */
+  parseAutoReversalPolicyRow(row) {
+    const parseList = (value) => {
+      try {
+        const parsed = value ? JSON.parse(value) : [];
+        return Array.isArray(parsed) ? parsed : [];
+      } catch (parseError) {
+        return [];
       }
+    };
 
-      updateQuery += ` WHERE order_id = ? AND account_code = ?`;
-      queryParams.push(orderId, accountCode);
-
-      await this.mysqlConnection.execute(updateQuery, queryParams);
+    return {
+      ...row,
+      auto_reversal_enabled: !!row.auto_reversal_enabled,
+      exclude_weekends: !!row.exclude_weekends,
+      holidays: parseList(row.holidays),
+      exempt_vendors: parseList(row.exempt_vendors)
+    };
+  }
 
-      console.log(`✅ Updated labels table for order ${orderId} (${accountCode}): status=${currentStatus}, handover=${isHandover ? '1' : 'unchanged'}`);
+  /**
+   * Get all stored auto-reversal policies
+   * @returns {Promise<Array>} Policies ordered by account_code
+   */
+  async getAutoReversalPolicies() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM auto_reversal_policies ORDER BY account_code'
+      );
+      return rows.map(row => this.parseAutoReversalPolicyRow(row));
     } catch (error) {
-      console.error(`❌ Error updating labels table for order ${orderId} (${accountCode}):`, error);
-      throw error;
+      console.error('Error getting auto-reversal policies:', error);
+      throw new Error('Failed to get auto-reversal policies from database');
     }
   }
 
   /**
-   * Validate handover/tracking logic - checks which orders should be in handover vs tracking tab
-   * This is called hourly along with current_shipment_status updates
-   * @returns {Object} Summary of validation results
+   * Get the stored auto-reversal policy of a store
+   * @param {string} accountCode - Store account code
+   * @returns {Promise<Object|null>} Policy or null if the store uses the defaults
    */
-  async validateHandoverTrackingLogic() {
+  async getAutoReversalPolicy(accountCode) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      console.log('🔍 [Handover/Tracking Validation] Starting validation check...');
-
-      // Get all orders with handover_at timestamp and is_manifest = 1 (grouped by account_code for store isolation)
-      const [orders] = await this.mysqlConnection.execute(`
-        SELECT 
-          l.order_id,
-          l.handover_at,
-          l.is_manifest,
-          TIMESTAMPDIFF(HOUR, l.handover_at, NOW()) as hours_since_handover,
-          CASE 
-            WHEN l.handover_at IS NULL THEN 'handover'
-            WHEN TIMESTAMPDIFF(HOUR, l.handover_at, NOW()) < 24 THEN 'handover'
-            WHEN TIMESTAMPDIFF(HOUR, l.handover_at, NOW()) >= 24 THEN 'tracking'
-            ELSE 'unknown'
-          END as expected_tab
-        FROM labels l
-        INNER JOIN orders o ON o.order_id = l.order_id AND o.account_code = l.account_code
-        INNER JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
-        WHERE l.is_manifest = 1
-        AND (l.handover_at IS NOT NULL OR c.status IN ('claimed', 'ready_for_handover'))
-        ORDER BY l.handover_at DESC
-      `);
-
-      const handoverOrders = orders.filter(o => o.expected_tab === 'handover');
-      const trackingOrders = orders.filter(o => o.expected_tab === 'tracking');
-      const ordersWithoutHandover = orders.filter(o => o.handover_at === null);
-
-      console.log(`📊 [Handover/Tracking Validation] Validation Summary:`);
-      console.log(`   - Total orders checked: ${orders.length}`);
-      console.log(`   - Orders in Handover tab: ${handoverOrders.length} (handover_at IS NULL or < 24 hours)`);
-      console.log(`   - Orders in Tracking tab: ${trackingOrders.length} (handover_at >= 24 hours)`);
-      console.log(`   - Orders without handover_at: ${ordersWithoutHandover.length}`);
-
-      // Log orders that are close to the 24-hour threshold (within 1 hour)
-      const nearThreshold = orders.filter(o =>
-        o.handover_at !== null &&
-        o.hours_since_handover >= 23 &&
-        o.hours_since_handover < 24
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM auto_reversal_policies WHERE account_code = ?',
+        [accountCode]
       );
+      return rows.length > 0 ? this.parseAutoReversalPolicyRow(rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting auto-reversal policy:', error);
+      throw new Error('Failed to get auto-reversal policy from database');
+    }
+  }
 
-      if (nearThreshold.length > 0) {
-        console.log(`⚠️ [Handover/Tracking Validation] ${nearThreshold.length} order(s) approaching 24-hour threshold:`);
-        nearThreshold.forEach(order => {
-          console.log(`   - Order ${order.order_id}: ${order.hours_since_handover.toFixed(1)} hours since handover (will move to tracking soon)`);
-        });
-      }
+  /**
+   * Create or replace the auto-reversal policy of a store
+   * @param {string} accountCode - Store account code
+   * @param {Object} policy - { auto_reversal_enabled, claim_expiry_hours, warning_hours, criticality_days, exclude_weekends, holidays, exempt_vendors }
+   * @param {string} updatedBy - User ID making the change
+   * @returns {Promise<Object>} Saved policy
+   */
+  async upsertAutoReversalPolicy(accountCode, policy, updatedBy = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      // Log orders that just crossed the 24-hour threshold (within last hour)
-      const justCrossed = orders.filter(o =>
-        o.handover_at !== null &&
-        o.hours_since_handover >= 24 &&
-        o.hours_since_handover < 25
+    try {
+      await this.mysqlConnection.execute(
+        `INSERT INTO auto_reversal_policies
+          (account_code, auto_reversal_enabled, claim_expiry_hours, warning_hours, criticality_days,
+           exclude_weekends, holidays, exempt_vendors, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           auto_reversal_enabled = VALUES(auto_reversal_enabled),
+           claim_expiry_hours = VALUES(claim_expiry_hours),
+           warning_hours = VALUES(warning_hours),
+           criticality_days = VALUES(criticality_days),
+           exclude_weekends = VALUES(exclude_weekends),
+           holidays = VALUES(holidays),
+           exempt_vendors = VALUES(exempt_vendors),
+           updated_by = VALUES(updated_by)`,
+        [
+          accountCode,
+          policy.auto_reversal_enabled ? 1 : 0,
+          policy.claim_expiry_hours,
+          policy.warning_hours,
+          policy.criticality_days,
+          policy.exclude_weekends ? 1 : 0,
+          JSON.stringify(policy.holidays || []),
+          JSON.stringify(policy.exempt_vendors || []),
+          updatedBy
+        ]
       );
+      return this.getAutoReversalPolicy(accountCode);
+    } catch (error) {
+      console.error('Error saving auto-reversal policy:', error);
+      throw new Error('Failed to save auto-reversal policy');
+    }
+  }
 
-      if (justCrossed.length > 0) {
-        console.log(`🔄 [Handover/Tracking Validation] ${justCrossed.length} order(s) recently moved to tracking tab:`);
-        justCrossed.forEach(order => {
-          console.log(`   - Order ${order.order_id}: ${order.hours_since_handover.toFixed(1)} hours since handover (now in tracking)`);
-        });
-      }
-
-      return {
-        success: true,
-        totalOrders: orders.length,
-        handoverTab: handoverOrders.length,
-        trackingTab: trackingOrders.length,
-        withoutHandover: ordersWithoutHandover.length,
-        nearThreshold: nearThreshold.length,
-        justCrossed: justCrossed.length,
-        timestamp: new Date().toISOString()
-      };
+  /**
+   * Delete the auto-reversal policy of a store (it falls back to the defaults)
+   * @param {string} accountCode - Store account code
+   * @returns {Promise<boolean>} True if a policy was deleted
+   */
+  async deleteAutoReversalPolicy(accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        'DELETE FROM auto_reversal_policies WHERE account_code = ?',
+        [accountCode]
+      );
+      return result.affectedRows > 0;
     } catch (error) {
-      console.error('❌ [Handover/Tracking Validation] Validation failed:', error);
-      throw error;
+      console.error('Error deleting auto-reversal policy:', error);
+      throw new Error('Failed to delete auto-reversal policy');
     }
   }
 
   /**
-   * Get labels with their current shipment status
+   * Get claims that are held without a label download, with how long they have been held
+   * @param {Object} filters - { account_code, claimed_by }
+   * @returns {Promise<Array>} Claims with minutes_claimed and expiry_warned (warned since this claim was made)
    */
-  async getLabelsWithShipmentStatus() {
+  async getOpenClaimsForExpiry(filters = {}) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          l.order_id,
-          l.label_url,
-          l.awb,
-          l.carrier_name,
-          l.is_handover,
-          l.current_shipment_status,
-          l.created_at,
-          l.updated_at,
-          o.customer_name,
-          o.product_name
-        FROM labels l
-        LEFT JOIN orders o ON l.order_id = o.order_id AND l.account_code = o.account_code
-        ORDER BY l.updated_at DESC
-      `);
+      const conditions = [`status = 'claimed'`, 'label_downloaded = 0', 'claimed_at IS NOT NULL'];
+      const params = [];
 
-      return rows;
+      if (filters.account_code) {
+        conditions.push('account_code = ?');
+        params.push(filters.account_code);
+      }
+      if (filters.claimed_by) {
+        conditions.push('claimed_by = ?');
+        params.push(filters.claimed_by);
+      }
+
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT order_unique_id, order_id, account_code, claimed_by, claimed_at, expiry_warned_at,
+                TIMESTAMPDIFF(MINUTE, claimed_at, NOW()) AS minutes_claimed,
+                (expiry_warned_at IS NOT NULL AND expiry_warned_at >= claimed_at) AS expiry_warned
+         FROM claims
+         WHERE ${conditions.join(' AND ')}
+         ORDER BY claimed_at ASC`,
+        params
+      );
+
+      return rows.map(row => ({ ...row, expiry_warned: !!row.expiry_warned }));
     } catch (error) {
-      console.error('Error getting labels with shipment status:', error);
-      throw error;
+      console.error('Error getting open claims:', error);
+      throw new Error('Failed to get open claims from database');
     }
   }
 
   /**
-   * Get labels that are handed over (is_handover = 1)
+   * Auto-reverse one claim if it is still the same un-labelled claim
+   * @param {string} orderUniqueId - Order unique ID
+   * @param {string} claimedBy - Warehouse ID holding the claim when it was evaluated
+   * @param {number} minutesClaimed - Claim age when it was evaluated (a newer claim is left alone)
+   * @returns {Promise<boolean>} True if the claim was reversed
    */
-  async getHandedOverLabels() {
+  async autoReverseClaim(orderUniqueId, claimedBy, minutesClaimed) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(`
-        SELECT 
-          l.order_id,
-          l.label_url,
-          l.awb,
-          l.carrier_name,
-          l.current_shipment_status,
-          l.handover_at,
-          l.updated_at,
-          o.customer_name,
-          o.product_name
-        FROM labels l
-        LEFT JOIN orders o ON l.order_id = o.order_id AND l.account_code = o.account_code
-        WHERE l.is_handover = 1
-        ORDER BY l.updated_at DESC
-      `);
-
-      return rows;
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE claims SET
+           status = 'unclaimed',
+           claimed_by = NULL,
+           claimed_by_user_id = NULL,
+           claimed_at = NULL
+         WHERE order_unique_id = ?
+           AND status = 'claimed'
+           AND label_downloaded = 0
+           AND claimed_by = ?
+           AND claimed_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)`,
+        [orderUniqueId, claimedBy, minutesClaimed]
+      );
+      return result.affectedRows > 0;
     } catch (error) {
-      console.error('Error getting handed over labels:', error);
-      throw error;
+      console.error('Error auto-reversing claim:', error);
+      throw new Error('Failed to auto-reverse claim');
     }
   }
 
-  // ============================================================================
-  // STORE MANAGEMENT METHODS (Multi-Store Feature)
-  // ============================================================================
-
   /**
-   * Create store_info table if it doesn't exist
+   * Mark claims as warned about their upcoming auto-reversal
+   * @param {Array<string>} orderUniqueIds - Order unique IDs
+   * @returns {Promise<number>} Number of claims updated
    */
-  async createStoreInfoTable() {
-    if (!this.mysqlConnection) return;
+  async markClaimsExpiryWarned(orderUniqueIds) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+    if (!orderUniqueIds || orderUniqueIds.length === 0) return 0;
 
     try {
-      const createTableQuery = `
-        CREATE TABLE IF NOT EXISTS store_info (
-          id INT AUTO_INCREMENT PRIMARY KEY,
-          account_code VARCHAR(50) UNIQUE NOT NULL,
-          store_name VARCHAR(255) NOT NULL,
-          shipping_partner VARCHAR(255) NOT NULL,
-          username VARCHAR(255) NOT NULL,
-          password_encrypted TEXT NOT NULL,
-          auth_token TEXT NOT NULL,
-          status ENUM('active', 'inactive') NOT NULL DEFAULT 'active',
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-          created_by VARCHAR(50),
-          last_synced_at TIMESTAMP NULL,
-          INDEX idx_status (status),
-          INDEX idx_account_code (account_code),
-          INDEX idx_shipping_partner (shipping_partner)
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      `;
-
-      await this.mysqlConnection.execute(createTableQuery);
-      console.log('✅ store_info table created/verified');
+      const [result] = await this.mysqlConnection.query(
+        'UPDATE claims SET expiry_warned_at = NOW() WHERE order_unique_id IN (?)',
+        [orderUniqueIds]
+      );
+      return result.affectedRows;
     } catch (error) {
-      console.error('❌ Error creating store_info table:', error.message);
+      console.error('Error marking claims as warned:', error);
+      throw new Error('Failed to mark claims as warned');
+    }
+  }
+  /**
+   * Parse the layout JSON of a label_templates row
+   * @param {Object} row - label_templates row
+   * @returns {Object} Row with layout as an object
+   */
+  parseLabelTemplateRow(row) {
+    let layout = {};
+    try {
+      layout = row.layout ? JSON.parse(row.layout) : {};
+    } catch (parseError) {
+      console.error(`⚠️ Invalid layout JSON in label template ${row.id}`);
     }
+    return { ...row, layout };
   }
 
   /**
-   * Create store_shopify_connections table if it doesn't exist
-   * Each row represents one Shopify brand connected to a Shipway account (store_info)
+   * Get label templates
+   * @param {string} accountCode - Optional. Only templates for this store plus global ones
+   * @returns {Promise<Array>} Templates (store-specific after global for the same code)
    */
-  async createShopifyConnectionsTable() {
-    if (!this.mysqlConnection) return;
+  async getLabelTemplates(accountCode = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
     try {
-      const createTableQuery = `
-        CREATE TABLE IF NOT EXISTS store_shopify_connections (
-          id INT AUTO_INCREMENT PRIMARY KEY,
-          account_code VARCHAR(50) NOT NULL,
-          brand_name VARCHAR(255) NOT NULL,
-          store_code VARCHAR(50) NOT NULL DEFAULT '1',
-          shopify_store_url VARCHAR(255) NOT NULL,
-          shopify_token TEXT NOT NULL,
-          status ENUM('active', 'inactive') NOT NULL DEFAULT 'active',
-          last_synced_at TIMESTAMP NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-          UNIQUE KEY uq_account_store_code (account_code, store_code),
-          INDEX idx_account_code (account_code),
-          INDEX idx_store_code (store_code),
-          INDEX idx_status (status),
-          INDEX idx_account_store (account_code, store_code),
-          FOREIGN KEY (account_code) REFERENCES store_info(account_code) ON DELETE CASCADE
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      `;
-
-      await this.mysqlConnection.execute(createTableQuery);
-      console.log('✅ store_shopify_connections table created/verified');
+      const [rows] = accountCode
+        ? await this.mysqlConnection.execute(
+          `SELECT * FROM label_templates
+           WHERE account_code IS NULL OR account_code = ?
+           ORDER BY code, account_code IS NOT NULL`,
+          [accountCode]
+        )
+        : await this.mysqlConnection.execute(
+          'SELECT * FROM label_templates ORDER BY code, account_code IS NOT NULL, account_code'
+        );
+      return rows.map(row => this.parseLabelTemplateRow(row));
     } catch (error) {
-      console.error('❌ Error creating store_shopify_connections table:', error.message);
+      console.error('Error getting label templates:', error);
+      throw new Error('Failed to get label templates from database');
     }
   }
 
   /**
-   * Create wh_mapping table if it doesn't exist
-   * Maps claimio_wh_id (internal warehouse ID) to vendor_wh_id (shipping partner warehouse ID) per account_code
+   * Get a label template by ID
+   * @param {number} id - Template ID
+   * @returns {Promise<Object|null>}
    */
-  async createWhMappingTable() {
-    if (!this.mysqlConnection) return;
+  async getLabelTemplateById(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
     try {
-      const createTableQuery = `
-        CREATE TABLE IF NOT EXISTS wh_mapping (
-          id INT AUTO_INCREMENT PRIMARY KEY,
-          claimio_wh_id VARCHAR(50) NOT NULL,
-          vendor_wh_id VARCHAR(50) NOT NULL,
-          account_code VARCHAR(50) NOT NULL,
-          return_warehouse_id VARCHAR(50),
-          is_active BOOLEAN DEFAULT TRUE,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          modified_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-          INDEX idx_claimio_wh_id (claimio_wh_id),
-          INDEX idx_account_code (account_code),
-          INDEX idx_is_active (is_active),
-          INDEX idx_claimio_account (claimio_wh_id, account_code),
-          FOREIGN KEY (account_code) REFERENCES store_info(account_code) ON DELETE CASCADE
-        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
-      `;
-
-      await this.mysqlConnection.execute(createTableQuery);
-      console.log('✅ wh_mapping table created/verified');
-
-      // Add return_warehouse_id column if it doesn't exist (migration)
-      try {
-        const [columns] = await this.mysqlConnection.execute(`
-          SELECT COLUMN_NAME 
-          FROM INFORMATION_SCHEMA.COLUMNS 
-          WHERE TABLE_SCHEMA = DATABASE() 
-          AND TABLE_NAME = 'wh_mapping' 
-          AND COLUMN_NAME = 'return_warehouse_id'
-        `);
-
-        if (columns.length === 0) {
-          await this.mysqlConnection.execute(`
-            ALTER TABLE wh_mapping 
-            ADD COLUMN return_warehouse_id VARCHAR(50) AFTER account_code
-          `);
-          console.log('✅ Added return_warehouse_id column to wh_mapping table');
-        }
-      } catch (migrationError) {
-        console.error('⚠️ Error adding return_warehouse_id column (may already exist):', migrationError.message);
-      }
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM label_templates WHERE id = ?',
+        [id]
+      );
+      return rows.length > 0 ? this.parseLabelTemplateRow(rows[0]) : null;
     } catch (error) {
-      console.error('❌ Error creating wh_mapping table:', error.message);
+      console.error('Error getting label template:', error);
+      throw new Error('Failed to get label template from database');
     }
   }
 
   /**
-   * Get store by account_code
-   * @param {string} accountCode - The account code to search for
-   * @returns {Object|null} Store object or null if not found
+   * Get the label template stored for a code: the store's own template, else the global one
+   * @param {string} code - Template code (label format)
+   * @param {string} accountCode - Store account code
+   * @returns {Promise<Object|null>}
    */
-  async getStoreByAccountCode(accountCode) {
+  async getLabelTemplateByCode(code, accountCode = null) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM store_info WHERE account_code = ?',
-        [accountCode]
+        `SELECT * FROM label_templates
+         WHERE code = ? AND (account_code IS NULL OR account_code = ?)
+         ORDER BY account_code IS NULL
+         LIMIT 1`,
+        [code, accountCode]
       );
-
-      return rows.length > 0 ? rows[0] : null;
+      return rows.length > 0 ? this.parseLabelTemplateRow(rows[0]) : null;
     } catch (error) {
-      console.error('Error getting store by account code:', error);
-      throw error;
+      console.error('Error getting label template by code:', error);
+      throw new Error('Failed to get label template from database');
     }
   }
 
   /**
-   * Find an existing store by Shipway identity (idempotency helper).
-   * Used to prevent creating duplicate account_code when multiple Shopify brands
-   * are added for the same Shipway credentials.
-   *
-   * @param {Object} data
-   * @param {string} data.shipping_partner
-   * @param {string} data.username
-   * @param {string} data.auth_token - Full auth token value stored in store_info.auth_token
-   * @returns {Promise<Object|null>} Store object or null
+   * Find the template with exactly this code and scope (account_code NULL = global)
+   * @param {string} code - Template code
+   * @param {string|null} accountCode - Store account code or null
+   * @returns {Promise<Object|null>}
    */
-  async getStoreByShipwayCredentials({ shipping_partner, username, auth_token }) {
+  async findLabelTemplate(code, accountCode) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        `SELECT *
-         FROM store_info
-         WHERE shipping_partner = ? AND username = ?
-         ORDER BY (auth_token = ?) DESC, updated_at DESC
-         LIMIT 1`,
-        [shipping_partner, username, auth_token]
+        `SELECT * FROM label_templates WHERE code = ? AND account_code <=> ?`,
+        [code, accountCode]
       );
-
-      return rows.length > 0 ? rows[0] : null;
+      return rows.length > 0 ? this.parseLabelTemplateRow(rows[0]) : null;
     } catch (error) {
-      console.error('Error getting store by Shipway credentials:', error);
-      throw error;
+      console.error('Error finding label template:', error);
+      throw new Error('Failed to get label template from database');
     }
   }
 
   /**
-   * Get multiple stores by account_codes (bulk fetch)
-   * OPTIMIZATION: Fetches all stores in one query instead of N queries
-   * @param {Array<string>} account_codes - Array of account codes
-   * @returns {Array} Array of store objects
+   * Create a label template
+   * @param {Object} template - { code, account_code, name, layout, created_by }
+   * @returns {Promise<Object>} Created template
    */
-  async getStoresByAccountCodes(account_codes) {
+  async createLabelTemplate(template) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!account_codes || !Array.isArray(account_codes) || account_codes.length === 0) {
-      return [];
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        `INSERT INTO label_templates (code, account_code, name, layout, created_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          template.code,
+          template.account_code || null,
+          template.name,
+          JSON.stringify(template.layout),
+          template.created_by || null
+        ]
+      );
+      return this.getLabelTemplateById(result.insertId);
+    } catch (error) {
+      console.error('Error creating label template:', error);
+      throw new Error('Failed to create label template');
+    }
+  }
+
+  /**
+   * Update a label template's name and/or layout
+   * @param {number} id - Template ID
+   * @param {Object} updates - { name, layout }
+   * @returns {Promise<Object>} Updated template
+   */
+  async updateLabelTemplate(id, updates) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
     }
 
     try {
-      const placeholders = account_codes.map(() => '?').join(',');
+      const fields = [];
+      const values = [];
 
-      const [rows] = await this.mysqlConnection.execute(
-        `SELECT * FROM store_info WHERE account_code IN (${placeholders})`,
-        account_codes
-      );
+      if (updates.name !== undefined) {
+        fields.push('name = ?');
+        values.push(updates.name);
+      }
+      if (updates.layout !== undefined) {
+        fields.push('layout = ?');
+        values.push(JSON.stringify(updates.layout));
+      }
 
-      return rows || [];
+      if (fields.length > 0) {
+        values.push(id);
+        await this.mysqlConnection.execute(
+          `UPDATE label_templates SET ${fields.join(', ')} WHERE id = ?`,
+          values
+        );
+      }
+      return this.getLabelTemplateById(id);
     } catch (error) {
-      console.error('Error getting stores by account_codes:', error);
-      throw new Error('Failed to get stores from database');
+      console.error('Error updating label template:', error);
+      throw new Error('Failed to update label template');
     }
   }
 
-  // NOTE: getStoreByShopifyCredentials has been moved to the SHOPIFY CONNECTIONS METHODS section below
-  // It now queries store_shopify_connections instead of store_info
-
   /**
-   * Get all stores
-   * @returns {Array} Array of store objects
+   * Delete a label template
+   * @param {number} id - Template ID
+   * @returns {Promise<boolean>} True if deleted
    */
-  async getAllStores() {
+  async deleteLabelTemplate(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM store_info ORDER BY created_at DESC'
+      const [result] = await this.mysqlConnection.execute(
+        'DELETE FROM label_templates WHERE id = ?',
+        [id]
       );
-
-      return rows;
+      return result.affectedRows > 0;
     } catch (error) {
-      console.error('Error getting all stores:', error);
-      throw error;
+      console.error('Error deleting label template:', error);
+      throw new Error('Failed to delete label template');
     }
   }
 
   /**
-   * Get stores by status
-   * @param {string} status - 'active' or 'inactive'
-   * @returns {Array} Array of store objects
+   * Get the product lines of orders for packing slips
+   * @param {Array<string>} orderIds - Order IDs (as printed on labels)
+   * @returns {Promise<Array>} Rows with order_id, account_code, product_code, product_name, size, quantity
    */
-  async getStoresByStatus(status) {
+  async getOrderItemsForLabels(orderIds) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
+    if (!orderIds || orderIds.length === 0) return [];
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM store_info WHERE status = ? ORDER BY store_name ASC',
-        [status]
+      const [rows] = await this.mysqlConnection.query(
+        `SELECT order_id, account_code, product_code, product_name, size, quantity
+         FROM orders
+         WHERE order_id IN (?)
+         ORDER BY order_id, product_code`,
+        [orderIds]
       );
-
       return rows;
     } catch (error) {
-      console.error('Error getting stores by status:', error);
-      throw error;
+      console.error('Error getting order items for labels:', error);
+      throw new Error('Failed to get order items from database');
     }
   }
-
   /**
-   * Get all active stores
-   * @returns {Array} Array of active store objects
+   * Parse the action details JSON of an ndr_cases row
+   * @param {Object} row - ndr_cases row
+   * @returns {Object} Row with last_action_details as an object (or null)
    */
-  async getActiveStores() {
-    return this.getStoresByStatus('active');
+  parseNdrCaseRow(row) {
+    let details = null;
+    try {
+      details = row.last_action_details ? JSON.parse(row.last_action_details) : null;
+    } catch (parseError) {
+      console.error(`⚠️ Invalid last_action_details JSON in NDR case ${row.id}`);
+    }
+    return { ...row, last_action_details: details };
   }
 
   /**
-   * Update store last sync timestamp
-   * @param {string} accountCode - The account code
+   * Get an NDR case by ID
+   * @param {number} id - Case ID
+   * @returns {Promise<Object|null>}
    */
-  async updateStoreLastSync(accountCode) {
+  async getNdrCaseById(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      await this.mysqlConnection.execute(
-        'UPDATE store_info SET last_synced_at = NOW() WHERE account_code = ?',
-        [accountCode]
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM ndr_cases WHERE id = ?',
+        [id]
       );
+      return rows.length > 0 ? this.parseNdrCaseRow(rows[0]) : null;
     } catch (error) {
-      console.error('Error updating store last sync:', error);
-      throw error;
+      console.error('Error getting NDR case:', error);
+      throw new Error('Failed to get NDR case from database');
     }
   }
 
   /**
-   * Update Shopify sync timestamp for all connections of an account
-   * @param {string} accountCode - The account code
+   * Get the NDR case of a shipment
+   * @param {string} accountCode - Store account code
+   * @param {string} awb - AWB number
+   * @returns {Promise<Object|null>}
    */
-  async updateStoreShopifySync(accountCode) {
+  async getNdrCaseByAwb(accountCode, awb) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      await this.mysqlConnection.execute(
-        'UPDATE store_shopify_connections SET last_synced_at = NOW() WHERE account_code = ?',
-        [accountCode]
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM ndr_cases WHERE account_code = ? AND awb = ?',
+        [accountCode, String(awb)]
       );
+      return rows.length > 0 ? this.parseNdrCaseRow(rows[0]) : null;
     } catch (error) {
-      console.error('Error updating store Shopify sync:', error);
-      throw error;
+      console.error('Error getting NDR case by AWB:', error);
+      throw new Error('Failed to get NDR case from database');
     }
   }
 
   /**
-   * Create a new store
-   * @param {Object} storeData - Store data object
-   * @returns {Object} Result object
+   * Open an NDR case for a shipment
+   * @param {Object} ndr - { order_id, account_code, awb, ndr_reason, shipment_status, ndr_at }
+   * @returns {Promise<Object>} Created case
    */
-  async createStore(storeData) {
+  async createNdrCase(ndr) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      await this.mysqlConnection.execute(
-        `INSERT INTO store_info (
-          account_code,
-          store_name,
-          shipping_partner,
-          username,
-          password_encrypted,
-          auth_token,
-          status,
-          created_by
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          storeData.account_code,
-          storeData.store_name,
-          storeData.shipping_partner,
-          storeData.username,
-          storeData.password_encrypted,
-          storeData.auth_token,
-          storeData.status,
-          storeData.created_by
-        ]
+      const [result] = await this.mysqlConnection.execute(
+        `INSERT INTO ndr_cases
+         (order_id, account_code, awb, ndr_reason, shipment_status, first_ndr_at, last_ndr_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [ndr.order_id, ndr.account_code, String(ndr.awb), ndr.ndr_reason, ndr.shipment_status, ndr.ndr_at, ndr.ndr_at]
       );
-
-      return { success: true };
+      return this.getNdrCaseById(result.insertId);
     } catch (error) {
-      console.error('Error creating store:', error);
-      throw error;
+      console.error('Error creating NDR case:', error);
+      throw new Error('Failed to create NDR case');
     }
   }
 
   /**
-   * Update store
-   * @param {string} accountCode - The account code
-   * @param {Object} updateData - Data to update
-   * @returns {Object} Result object
+   * Record another failed delivery attempt; reopens the case
+   * @param {number} id - Case ID
+   * @param {Object} ndr - { ndr_reason, shipment_status, ndr_at }
+   * @returns {Promise<Object>} Updated case
    */
-  async updateStore(accountCode, updateData) {
+  async recordNdrAttempt(id, ndr) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const fields = [];
-      const values = [];
-
-      // Build dynamic update query based on provided fields
-      if (updateData.store_name !== undefined) {
-        fields.push('store_name = ?');
-        values.push(updateData.store_name);
-      }
-      if (updateData.username !== undefined) {
-        fields.push('username = ?');
-        values.push(updateData.username);
-      }
-      if (updateData.password_encrypted !== undefined) {
-        fields.push('password_encrypted = ?');
-        values.push(updateData.password_encrypted);
-      }
-      if (updateData.auth_token !== undefined) {
-        fields.push('auth_token = ?');
-        values.push(updateData.auth_token);
-      }
-      if (updateData.status !== undefined) {
-        fields.push('status = ?');
-        values.push(updateData.status);
-      }
-
-      if (fields.length === 0) {
-        throw new Error('No fields to update');
-      }
-
-      values.push(accountCode);
-
       await this.mysqlConnection.execute(
-        `UPDATE store_info SET ${fields.join(', ')} WHERE account_code = ?`,
-        values
+        `UPDATE ndr_cases
+         SET attempts = attempts + 1, status = 'open', ndr_reason = ?, shipment_status = ?,
+             last_ndr_at = ?, outreach_sent_at = NULL, resolution = NULL, closed_at = NULL
+         WHERE id = ?`,
+        [ndr.ndr_reason, ndr.shipment_status, ndr.ndr_at, id]
       );
-
-      return { success: true };
+      return this.getNdrCaseById(id);
     } catch (error) {
-      console.error('Error updating store:', error);
-      throw error;
+      console.error('Error recording NDR attempt:', error);
+      throw new Error('Failed to update NDR case');
     }
   }
 
   /**
-   * Delete store (soft delete by setting status to inactive)
-   * @param {string} accountCode - The account code
-   * @returns {Object} Result object
+   * Update the latest shipment status of an NDR case without counting an attempt
+   * @param {number} id - Case ID
+   * @param {string} shipmentStatus
    */
-  async deleteStore(accountCode) {
+  async updateNdrCaseShipmentStatus(id, shipmentStatus) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       await this.mysqlConnection.execute(
-        'UPDATE store_info SET status = ? WHERE account_code = ?',
-        ['inactive', accountCode]
+        'UPDATE ndr_cases SET shipment_status = ? WHERE id = ? AND NOT (shipment_status <=> ?)',
+        [shipmentStatus, id, shipmentStatus]
       );
-
-      return { success: true };
     } catch (error) {
-      console.error('Error deleting store:', error);
-      throw error;
+      console.error('Error updating NDR case status:', error);
+      throw new Error('Failed to update NDR case');
     }
   }
 
-  // ============================================================================
-  // SHOPIFY CONNECTIONS METHODS
-  // ============================================================================
-
   /**
-   * Get all Shopify connections for an account
-   * @param {string} accountCode - The account code
-   * @returns {Promise<Array>} Array of Shopify connection objects
+   * Record an action taken on an NDR case
+   * @param {number} id - Case ID
+   * @param {Object} action - { action, details, user_id, status: 'action_requested'|'closed', resolution }
+   * @returns {Promise<Object>} Updated case
    */
-  async getShopifyConnectionsByAccountCode(accountCode) {
+  async recordNdrAction(id, action) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM store_shopify_connections WHERE account_code = ? ORDER BY created_at ASC',
-        [accountCode]
+      const closed = action.status === 'closed';
+      await this.mysqlConnection.execute(
+        `UPDATE ndr_cases
+         SET status = ?, last_action = ?, last_action_details = ?, last_action_at = NOW(), last_action_by = ?,
+             resolution = ?, closed_at = ${closed ? 'NOW()' : 'NULL'}
+         WHERE id = ?`,
+        [
+          action.status,
+          action.action,
+          action.details ? JSON.stringify(action.details) : null,
+          action.user_id || null,
+          closed ? action.resolution : null,
+          id
+        ]
       );
-      return rows;
+      return this.getNdrCaseById(id);
     } catch (error) {
-      console.error('Error getting Shopify connections:', error);
-      throw error;
+      console.error('Error recording NDR action:', error);
+      throw new Error('Failed to update NDR case');
     }
   }
 
   /**
-   * Get all active Shopify connections for an account
-   * @param {string} accountCode - The account code
-   * @returns {Promise<Array>} Array of active Shopify connection objects
+   * Close an NDR case
+   * @param {number} id - Case ID
+   * @param {string} resolution - 'delivered', 'rto', ...
+   * @param {string} shipmentStatus - Latest shipment status
    */
-  async getActiveShopifyConnections(accountCode) {
+  async closeNdrCase(id, resolution, shipmentStatus) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM store_shopify_connections WHERE account_code = ? AND status = "active" ORDER BY created_at ASC',
-        [accountCode]
+      await this.mysqlConnection.execute(
+        `UPDATE ndr_cases SET status = 'closed', resolution = ?, shipment_status = ?, closed_at = NOW()
+         WHERE id = ? AND status <> 'closed'`,
+        [resolution, shipmentStatus, id]
       );
-      return rows;
     } catch (error) {
-      console.error('Error getting active Shopify connections:', error);
-      throw error;
+      console.error('Error closing NDR case:', error);
+      throw new Error('Failed to close NDR case');
     }
   }
 
   /**
-   * Get a Shopify connection by ID
-   * @param {number} id - The connection ID
-   * @returns {Promise<Object|null>} Connection object or null
+   * Mark customer outreach as sent for NDR cases
+   * @param {Array<number>} ids - Case IDs
    */
-  async getShopifyConnectionById(id) {
+  async markNdrOutreachSent(ids) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
+    if (!ids || ids.length === 0) return;
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT * FROM store_shopify_connections WHERE id = ?',
-        [id]
+      await this.mysqlConnection.query(
+        'UPDATE ndr_cases SET outreach_sent_at = NOW() WHERE id IN (?)',
+        [ids]
       );
-      return rows.length > 0 ? rows[0] : null;
     } catch (error) {
-      console.error('Error getting Shopify connection by ID:', error);
-      throw error;
+      console.error('Error marking NDR outreach:', error);
+      throw new Error('Failed to update NDR cases');
     }
   }
 
   /**
-   * Create a new Shopify connection
-   * @param {Object} data - Connection data { account_code, brand_name, store_code, shopify_store_url, shopify_token, status }
-   * @returns {Promise<Object>} Result with insertId
+   * NDR queue with shipment and customer details
+   * @param {Object} filters - { status ('open' = open and action_requested), account_code, min_attempts, search, page, limit }
+   * @returns {Promise<Object>} { cases, total }
    */
-  async createShopifyConnection(data) {
+  async getNdrQueue(filters = {}) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const accountCode = data.account_code;
-      const storeCode = data.store_code || '1';
+      const conditions = [];
+      const params = [];
 
-      // UPSERT by UNIQUE(account_code, store_code) to avoid duplicate rows per brand/store_code.
-      await this.mysqlConnection.execute(
-        `INSERT INTO store_shopify_connections
-          (account_code, brand_name, store_code, shopify_store_url, shopify_token, status)
-         VALUES (?, ?, ?, ?, ?, ?)
-         ON DUPLICATE KEY UPDATE
-           brand_name = VALUES(brand_name),
-           shopify_store_url = VALUES(shopify_store_url),
-           shopify_token = VALUES(shopify_token),
-           status = VALUES(status),
-           updated_at = CURRENT_TIMESTAMP`,
-        [
-          accountCode,
-          data.brand_name,
-          storeCode,
-          data.shopify_store_url,
-          data.shopify_token,
-          data.status || 'active'
-        ]
+      if (!filters.status || filters.status === 'open') {
+        conditions.push("n.status IN ('open', 'action_requested')");
+      } else if (filters.status !== 'all') {
+        conditions.push('n.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.account_code) {
+        conditions.push('n.account_code = ?');
+        params.push(filters.account_code);
+      }
+      if (filters.min_attempts) {
+        conditions.push('n.attempts >= ?');
+        params.push(filters.min_attempts);
+      }
+      if (filters.search) {
+        conditions.push('(n.order_id LIKE ? OR n.awb LIKE ?)');
+        params.push(`%${filters.search}%`, `%${filters.search}%`);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const limit = Math.min(parseInt(filters.limit) || 50, 200);
+      const offset = ((parseInt(filters.page) || 1) - 1) * limit;
+
+      const [rows] = await this.mysqlConnection.query(
+        `SELECT
+           n.*,
+           TIMESTAMPDIFF(HOUR, n.first_ndr_at, NOW()) AS age_hours,
+           l.carrier_id,
+           l.carrier_name,
+           ci.shipping_firstname,
+           ci.shipping_lastname,
+           ci.shipping_phone,
+           ci.shipping_city,
+           ci.shipping_zipcode
+         FROM ndr_cases n
+         LEFT JOIN labels l ON l.order_id = n.order_id AND l.account_code = n.account_code
+         LEFT JOIN customer_info ci ON ci.order_id = n.order_id AND ci.account_code = n.account_code
+         ${where}
+         ORDER BY n.status = 'action_requested', n.first_ndr_at ASC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
       );
 
-      // Return the connection id (works for both insert and update)
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT id FROM store_shopify_connections WHERE account_code = ? AND store_code = ? LIMIT 1',
-        [accountCode, storeCode]
+      const [countRows] = await this.mysqlConnection.query(
+        `SELECT COUNT(*) AS total FROM ndr_cases n ${where}`,
+        params
       );
 
-      return { success: true, insertId: rows?.[0]?.id };
+      return {
+        cases: rows.map(row => this.parseNdrCaseRow(row)),
+        total: countRows[0].total
+      };
     } catch (error) {
-      console.error('Error creating Shopify connection:', error);
-      throw error;
+      console.error('Error getting NDR queue:', error);
+      throw new Error('Failed to get NDR queue from database');
     }
   }
 
   /**
-   * Update a Shopify connection
-   * @param {number} id - The connection ID
-   * @param {Object} updateData - Data to update
-   * @returns {Promise<Object>} Result
+   * Store courier scans, skipping ones already stored for the AWB (same scan_key)
+   * @param {Array} scans - [{ account_code, awb, order_id, scan_time, status, raw_status, location, activity, ndr_code, source, scan_key }]
+   * @returns {Promise<number>} Number of new scans
    */
-  async updateShopifyConnection(id, updateData) {
+  async insertShipmentScans(scans) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    try {
-      const fields = [];
-      const values = [];
-
-      if (updateData.brand_name !== undefined) {
-        fields.push('brand_name = ?');
-        values.push(updateData.brand_name);
-      }
-      if (updateData.store_code !== undefined) {
-        fields.push('store_code = ?');
-        values.push(updateData.store_code);
-      }
-      if (updateData.shopify_store_url !== undefined) {
-        fields.push('shopify_store_url = ?');
-        values.push(updateData.shopify_store_url);
-      }
-      if (updateData.shopify_token !== undefined) {
-        fields.push('shopify_token = ?');
-        values.push(updateData.shopify_token);
-      }
-      if (updateData.status !== undefined) {
-        fields.push('status = ?');
-        values.push(updateData.status);
-      }
+    if (!scans || scans.length === 0) {
+      return 0;
+    }
 
-      if (fields.length === 0) {
-        throw new Error('No fields to update');
-      }
+    try {
+      const [result] = await this.mysqlConnection.query(
+        `INSERT IGNORE INTO shipment_scans
+         (account_code, awb, order_id, scan_time, status, raw_status, location, activity, ndr_code, source, scan_key)
+         VALUES ?`,
+        [scans.map(scan => [
+          scan.account_code,
+          String(scan.awb),
+          scan.order_id,
+          scan.scan_time,
+          scan.status || null,
+          scan.raw_status || null,
+          scan.location || null,
+          scan.activity || null,
+          scan.ndr_code || null,
+          scan.source || 'activity',
+          scan.scan_key
+        ])]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error inserting shipment scans:', error);
+      throw new Error('Failed to store shipment scans');
+    }
+  }
 
-      values.push(id);
+  /**
+   * Scan history of an order's shipments, oldest first
+   * @param {string} orderId
+   * @param {string} accountCode
+   * @returns {Promise<Array>} shipment_scans rows
+   */
+  async getShipmentScans(orderId, accountCode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      await this.mysqlConnection.execute(
-        `UPDATE store_shopify_connections SET ${fields.join(', ')} WHERE id = ?`,
-        values
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT awb, scan_time, status, raw_status, location, activity, ndr_code, source
+         FROM shipment_scans
+         WHERE order_id = ? AND account_code = ?
+         ORDER BY scan_time ASC, id ASC`,
+        [orderId, accountCode]
       );
-
-      return { success: true };
+      return rows;
     } catch (error) {
-      console.error('Error updating Shopify connection:', error);
-      throw error;
+      console.error('Error getting shipment scans:', error);
+      throw new Error('Failed to get shipment scans from database');
     }
   }
 
   /**
-   * Delete a Shopify connection
-   * @param {number} id - The connection ID
-   * @returns {Promise<Object>} Result
+   * Set the courier's expected delivery date and tracking link on a label; null values keep the stored ones
+   * @param {string} orderId
+   * @param {string} accountCode
+   * @param {Object} info - { expected_delivery_date: 'YYYY-MM-DD HH:MM:SS', tracking_url }
    */
-  async deleteShopifyConnection(id) {
+  async updateLabelTrackingInfo(orderId, accountCode, info) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       await this.mysqlConnection.execute(
-        'DELETE FROM store_shopify_connections WHERE id = ?',
-        [id]
+        `UPDATE labels
+         SET expected_delivery_date = COALESCE(?, expected_delivery_date), tracking_url = COALESCE(?, tracking_url)
+         WHERE order_id = ? AND account_code = ?`,
+        [info.expected_delivery_date || null, info.tracking_url || null, orderId, accountCode]
       );
-      return { success: true };
     } catch (error) {
-      console.error('Error deleting Shopify connection:', error);
-      throw error;
+      console.error('Error updating label tracking info:', error);
+      throw new Error('Failed to update label tracking info');
     }
   }
 
   /**
-   * Delete all Shopify connections for an account
-   * @param {string} accountCode - The account code
-   * @returns {Promise<Object>} Result
+   * Orders matching a public tracking lookup: customer contact, store brand and shipment per store
+   * @param {string} orderId
+   * @returns {Promise<Array>} One row per store that has the order_id
    */
-  async deleteShopifyConnectionsByAccountCode(accountCode) {
+  async getPublicTrackingCandidates(orderId) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      await this.mysqlConnection.execute(
-        'DELETE FROM store_shopify_connections WHERE account_code = ?',
-        [accountCode]
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT
+           ci.order_id,
+           ci.account_code,
+           ci.shipping_phone,
+           ci.billing_phone,
+           ci.shipping_zipcode,
+           ci.shipping_city,
+           ci.shipping_state,
+           COALESCE(sc.brand_name, s.store_name) AS brand_name,
+           s.brand_logo_url,
+           l.awb,
+           l.carrier_name,
+           l.current_shipment_status,
+           l.expected_delivery_date,
+           l.tracking_url,
+           l.handover_at
+         FROM customer_info ci
+         LEFT JOIN store_info s ON s.account_code = ci.account_code
+         LEFT JOIN store_shopify_connections sc ON sc.account_code = ci.account_code AND sc.store_code = COALESCE(ci.store_code, '1')
+         LEFT JOIN labels l ON l.order_id = ci.order_id AND l.account_code = ci.account_code
+         WHERE ci.order_id = ?
+         ORDER BY ci.created_at DESC`,
+        [orderId]
       );
-      return { success: true };
+      return rows;
     } catch (error) {
-      console.error('Error deleting Shopify connections:', error);
-      throw error;
+      console.error('Error getting public tracking candidates:', error);
+      throw new Error('Failed to look up order');
     }
   }
-
   /**
-   * Update Shopify sync timestamp for a specific connection
-   * @param {number} connectionId - The connection ID
+   * Variant of a product by its variant SKU (order product_code) or barcode
+   * @param {string|null} accountCode - Store; any store when null
+   * @param {string} variantSku - Variant SKU or barcode
+   * @returns {Promise<Object|null>} product_variants row
    */
-  async updateShopifyConnectionSyncTime(connectionId) {
+  async findProductVariant(accountCode, variantSku) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
+    if (!variantSku) {
+      return null;
+    }
+
     try {
-      await this.mysqlConnection.execute(
-        'UPDATE store_shopify_connections SET last_synced_at = NOW() WHERE id = ?',
-        [connectionId]
+      const code = String(variantSku).trim();
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT * FROM product_variants
+         WHERE (variant_sku = ? OR barcode = ?) ${accountCode ? 'AND account_code = ?' : ''}
+         ORDER BY variant_sku = ? DESC
+         LIMIT 1`,
+        accountCode ? [code, code, accountCode, code] : [code, code, code]
       );
+      return rows.length > 0 ? rows[0] : null;
     } catch (error) {
-      console.error('Error updating Shopify connection sync time:', error);
-      throw error;
+      console.error('Error finding product variant:', error);
+      throw new Error('Failed to get product variant from database');
     }
   }
 
   /**
-   * Get store by Shopify URL from store_shopify_connections table
-   * Searches for a Shopify connection by URL and returns the parent store + connection info
-   * @param {string} shopifyUrl - The Shopify store URL
-   * @param {string} shopifyToken - The Shopify access token (optional fallback)
-   * @returns {Object|null} Store object with connection data or null
+   * Insert or update product variants (keyed by account_code + variant_sku)
+   * @param {Array} variants - [{ account_code, sku_id, variant_sku, size, title, barcode, price, inventory_quantity, shopify_variant_id, shopify_product_id }]
+   * @returns {Promise<Object>} { inserted, updated, skipped }
    */
-  async getStoreByShopifyCredentials(shopifyUrl, shopifyToken = null) {
+  async bulkUpsertProductVariants(variants) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    try {
-      // Extract store domain from URL
-      let storeDomain = shopifyUrl;
-      if (shopifyUrl.includes('://')) {
-        const urlMatch = shopifyUrl.match(/https?:\/\/([^\/]+)/);
-        if (urlMatch) {
-          storeDomain = urlMatch[1];
+    let inserted = 0;
+    let updated = 0;
+    let skipped = 0;
+
+    // Last occurrence wins when Shopify returns the same SKU twice
+    const deduped = new Map();
+    for (const variant of variants || []) {
+      if (!variant?.account_code || !variant?.sku_id || !variant?.variant_sku) {
+        skipped++;
+        continue;
+      }
+      deduped.set(`${variant.account_code}::${variant.variant_sku}`, variant);
+    }
+
+    for (const variant of deduped.values()) {
+      try {
+        const [result] = await this.mysqlConnection.execute(
+          `INSERT INTO product_variants
+           (account_code, sku_id, variant_sku, size, title, barcode, price, inventory_quantity, shopify_variant_id, shopify_product_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             sku_id = VALUES(sku_id),
+             size = VALUES(size),
+             title = VALUES(title),
+             barcode = VALUES(barcode),
+             price = VALUES(price),
+             inventory_quantity = VALUES(inventory_quantity),
+             shopify_variant_id = VALUES(shopify_variant_id),
+             shopify_product_id = VALUES(shopify_product_id)`,
+          [
+            variant.account_code,
+            variant.sku_id,
+            variant.variant_sku,
+            variant.size || null,
+            variant.title || null,
+            variant.barcode || null,
+            variant.price !== undefined && variant.price !== null && variant.price !== '' ? variant.price : null,
+            Number.isInteger(variant.inventory_quantity) ? variant.inventory_quantity : null,
+            variant.shopify_variant_id || null,
+            variant.shopify_product_id || null
+          ]
+        );
+
+        if (result.affectedRows === 1) {
+          inserted++;
+        } else if (result.affectedRows === 2) {
+          updated++;
         }
+      } catch (error) {
+        console.error(`Error upserting variant ${variant.variant_sku} (${error.code || 'UNKNOWN'}): ${error.message}`);
+        skipped++;
       }
-      storeDomain = storeDomain.split('/')[0].trim();
-      storeDomain = storeDomain.replace(/^https?:\/\//, '');
+    }
 
-      console.log(`🔍 [Store Lookup] Searching for store with domain: ${storeDomain} in store_shopify_connections`);
+    return { success: true, inserted, updated, skipped, total: deduped.size };
+  }
 
-      // Try exact match first
-      let [rows] = await this.mysqlConnection.execute(
-        `SELECT sc.*, si.store_name as parent_store_name, si.account_code, si.status as store_status
-         FROM store_shopify_connections sc
-         JOIN store_info si ON sc.account_code = si.account_code
-         WHERE sc.shopify_store_url = ? AND sc.status = 'active' AND si.status = 'active'`,
-        [storeDomain]
-      );
+  /**
+   * Link order lines to their product variant by product_code = variant_sku and take the
+   * variant's base SKU and size. Lines without a matching variant keep the parsed values.
+   * @param {string|null} accountCode - Limit to one store (all stores when null)
+   * @returns {Promise<number>} Number of order lines linked or re-linked
+   */
+  async resolveOrderVariants(accountCode = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      // Try with https:// prefix
-      if (rows.length === 0) {
-        [rows] = await this.mysqlConnection.execute(
-          `SELECT sc.*, si.store_name as parent_store_name, si.account_code, si.status as store_status
-           FROM store_shopify_connections sc
-           JOIN store_info si ON sc.account_code = si.account_code
-           WHERE sc.shopify_store_url = ? AND sc.status = 'active' AND si.status = 'active'`,
-          [`https://${storeDomain}`]
-        );
+    try {
+      const params = [];
+      let storeFilter = '';
+      if (accountCode) {
+        storeFilter = 'AND o.account_code = ?';
+        params.push(accountCode);
       }
 
-      // Try partial match (LIKE)
-      if (rows.length === 0) {
-        [rows] = await this.mysqlConnection.execute(
-          `SELECT sc.*, si.store_name as parent_store_name, si.account_code, si.status as store_status
-           FROM store_shopify_connections sc
-           JOIN store_info si ON sc.account_code = si.account_code
-           WHERE sc.shopify_store_url LIKE ? AND sc.status = 'active' AND si.status = 'active'`,
-          [`%${storeDomain}%`]
-        );
-      }
+      const [result] = await this.mysqlConnection.execute(
+        `UPDATE orders o
+         JOIN product_variants v ON v.account_code = o.account_code AND v.variant_sku = o.product_code
+         SET o.variant_id = v.id,
+             o.normalized_product_code = v.sku_id,
+             o.size = COALESCE(v.size, o.size)
+         WHERE (o.variant_id IS NULL OR o.variant_id != v.id
+                OR o.normalized_product_code != v.sku_id OR NOT (o.size <=> COALESCE(v.size, o.size)))
+           ${storeFilter}`,
+        params
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error resolving order variants:', error);
+      throw new Error('Failed to resolve order variants');
+    }
+  }
 
-      // Try by token as fallback
-      if (rows.length === 0 && shopifyToken) {
-        console.log(`🔍 [Store Lookup] Trying to find store by Shopify token...`);
-        [rows] = await this.mysqlConnection.execute(
-          `SELECT sc.*, si.store_name as parent_store_name, si.account_code, si.status as store_status
-           FROM store_shopify_connections sc
-           JOIN store_info si ON sc.account_code = si.account_code
-           WHERE sc.shopify_token = ? AND sc.status = 'active' AND si.status = 'active'`,
-          [shopifyToken]
-        );
-      }
+  /**
+   * Variants of a product with size, barcode, price and stock, in size order
+   * @param {string} skuId - Base SKU (products.sku_id)
+   * @param {string|null} accountCode - Limit to one store
+   * @returns {Promise<Array>} product_variants rows
+   */
+  async getProductVariants(skuId, accountCode = null) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      if (rows.length > 0) {
-        console.log(`✅ [Store Lookup] Found store: ${rows[0].parent_store_name} (${rows[0].account_code}), brand: ${rows[0].brand_name}`);
-        return rows[0];
+    try {
+      let query = 'SELECT * FROM product_variants WHERE sku_id = ?';
+      const params = [skuId];
+      if (accountCode) {
+        query += ' AND account_code = ?';
+        params.push(accountCode);
       }
+      query += ' ORDER BY account_code, variant_sku';
 
-      // Not found - log for debugging
-      try {
-        const [allConnections] = await this.mysqlConnection.execute(
-          `SELECT sc.account_code, sc.brand_name, sc.shopify_store_url, sc.status 
-           FROM store_shopify_connections sc`
-        );
-        console.log(`❌ [Store Lookup] Store not found. Searched domain: "${storeDomain}", Token provided: ${shopifyToken ? 'Yes' : 'No'}`);
-        if (allConnections.length > 0) {
-          console.log(`   Available Shopify connections (${allConnections.length}):`);
-          allConnections.forEach(conn => {
-            console.log(`     - ${conn.brand_name} (${conn.account_code}): "${conn.shopify_store_url}" [${conn.status}]`);
-          });
-        }
-      } catch (logError) {
-        // Ignore logging errors
-      }
+      const [rows] = await this.mysqlConnection.execute(query, params);
+      return rows.sort((a, b) => a.account_code.localeCompare(b.account_code) || compareSizes(a.size, b.size));
+    } catch (error) {
+      console.error('Error getting product variants:', error);
+      throw new Error('Failed to get product variants from database');
+    }
+  }
+  /**
+   * Order line details needed to reserve RTO stock for it
+   * @param {string} orderUniqueId - orders.unique_id
+   * @returns {Promise<Object|null>} { unique_id, order_id, account_code, quantity, product_code, base_sku, size, claims_status, claimed_by }
+   */
+  async getOrderLineForRTOReservation(orderUniqueId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      return null;
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT
+           o.unique_id,
+           o.order_id,
+           o.account_code,
+           o.quantity,
+           o.product_code,
+           COALESCE(v.sku_id, o.normalized_product_code) AS base_sku,
+           COALESCE(v.size, o.size) AS size,
+           c.status AS claims_status,
+           c.claimed_by
+         FROM orders o
+         LEFT JOIN claims c ON c.order_unique_id = o.unique_id AND c.account_code = o.account_code
+         LEFT JOIN product_variants v ON v.id = o.variant_id
+         WHERE o.unique_id = ?`,
+        [orderUniqueId]
+      );
+      return rows[0] || null;
     } catch (error) {
-      console.error('Error getting store by Shopify credentials:', error);
-      throw error;
+      console.error('Error getting order line for RTO reservation:', error);
+      throw new Error('Failed to get order from database');
     }
   }
 
   /**
-   * Get vendor warehouse ID from mapping by claimio warehouse ID and account code
-   * @param {string} claimioWhId - The claimio warehouse ID (from users.warehouseId)
-   * @param {string} accountCode - The account code (store identifier)
-   * @returns {Promise<string|null>} vendor_wh_id or null if not found
+   * RTO stock of a store that can still be reserved for a product/size, most available first
+   * @param {string} accountCode - Store
+   * @param {string} productCode - Base SKU
+   * @param {string} size - Size
+   * @returns {Promise<Array>} rto_inventory rows with available_quantity
    */
-  async getVendorWhIdByClaimioWhIdAndAccountCode(claimioWhId, accountCode) {
+  async getAvailableRTOStock(accountCode, productCode, size) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT vendor_wh_id FROM wh_mapping WHERE claimio_wh_id = ? AND account_code = ? AND is_active = TRUE LIMIT 1',
-        [claimioWhId, accountCode]
+        `SELECT *, quantity - reserved_quantity AS available_quantity
+         FROM rto_inventory
+         WHERE account_code = ? AND product_code = ? AND size = ?
+           AND quantity > reserved_quantity
+         ORDER BY available_quantity DESC, id`,
+        [accountCode, productCode, size || '']
       );
-      return rows.length > 0 ? rows[0].vendor_wh_id : null;
+      return rows;
     } catch (error) {
-      console.error('Error getting vendor warehouse ID from mapping:', error);
-      throw new Error('Failed to get vendor warehouse ID from database');
+      console.error('Error getting available RTO stock:', error);
+      throw new Error('Failed to get RTO stock from database');
     }
   }
 
   /**
-   * Get warehouse mapping details (vendor_wh_id and return_warehouse_id) by claimio warehouse ID and account code
-   * @param {string} claimioWhId - The claimio warehouse ID (from users.warehouseId)
-   * @param {string} accountCode - The account code (store identifier)
-   * @returns {Promise<Object|null>} Object with vendor_wh_id and return_warehouse_id, or null if not found
+   * Get an RTO inventory row by id
+   * @param {number} id
+   * @returns {Promise<Object|null>}
    */
-  async getWhMappingByClaimioWhIdAndAccountCode(claimioWhId, accountCode) {
+  async getRTOInventoryById(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT vendor_wh_id, return_warehouse_id FROM wh_mapping WHERE claimio_wh_id = ? AND account_code = ? AND is_active = TRUE LIMIT 1',
-        [claimioWhId, accountCode]
+        'SELECT *, quantity - reserved_quantity AS available_quantity FROM rto_inventory WHERE id = ?',
+        [id]
       );
-      return rows.length > 0 ? { vendor_wh_id: rows[0].vendor_wh_id, return_warehouse_id: rows[0].return_warehouse_id } : null;
+      return rows[0] || null;
     } catch (error) {
-      console.error('Error getting warehouse mapping:', error);
-      throw new Error('Failed to get warehouse mapping from database');
+      console.error('Error getting RTO inventory row:', error);
+      throw new Error('Failed to get RTO inventory from database');
     }
   }
 
   /**
-   * Get multiple warehouse mappings by claimio_wh_id and account_codes (bulk fetch)
-   * OPTIMIZATION: Fetches all mappings in one query instead of N queries
-   * @param {string} claimioWhId - The claimio warehouse ID
-   * @param {Array<string>} account_codes - Array of account codes
-   * @returns {Array} Array of mapping objects with account_code
+   * Reserve RTO units for an order line. Stock and the order's single active reservation are
+   * checked inside the transaction, so concurrent reservations cannot oversell a row.
+   * @param {Object} reservation - { rto_inventory_id, account_code, order_unique_id, order_id, quantity, reserved_by }
+   * @returns {Promise<Object>} { reservation } or { reservation: null, reason: 'already_reserved' | 'insufficient_stock' }
    */
-  async getWhMappingsByClaimioWhIdAndAccountCodes(claimioWhId, account_codes) {
+  async reserveRTOInventory(reservation) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!claimioWhId || !account_codes || !Array.isArray(account_codes) || account_codes.length === 0) {
-      return [];
-    }
+    const connection = await this.mysqlPool.getConnection();
 
     try {
-      const placeholders = account_codes.map(() => '?').join(',');
+      await connection.beginTransaction();
 
-      const [rows] = await this.mysqlConnection.execute(
-        `SELECT vendor_wh_id, return_warehouse_id, account_code 
-         FROM wh_mapping 
-         WHERE claimio_wh_id = ? AND account_code IN (${placeholders}) AND is_active = TRUE`,
-        [claimioWhId, ...account_codes]
+      const [active] = await connection.execute(
+        `SELECT id FROM rto_reservations WHERE order_unique_id = ? AND status = 'reserved' FOR UPDATE`,
+        [reservation.order_unique_id]
       );
+      if (active.length > 0) {
+        await connection.rollback();
+        return { reservation: null, reason: 'already_reserved' };
+      }
 
-      return rows || [];
+      const [reserved] = await connection.execute(
+        `UPDATE rto_inventory
+         SET reserved_quantity = reserved_quantity + ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND account_code = ? AND quantity - reserved_quantity >= ?`,
+        [reservation.quantity, reservation.rto_inventory_id, reservation.account_code, reservation.quantity]
+      );
+      if (reserved.affectedRows === 0) {
+        await connection.rollback();
+        return { reservation: null, reason: 'insufficient_stock' };
+      }
+
+      const [result] = await connection.execute(
+        `INSERT INTO rto_reservations (rto_inventory_id, account_code, order_unique_id, order_id, quantity, reserved_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          reservation.rto_inventory_id,
+          reservation.account_code,
+          reservation.order_unique_id,
+          reservation.order_id,
+          reservation.quantity,
+          reservation.reserved_by ? String(reservation.reserved_by) : null
+        ]
+      );
+
+      const [[row]] = await connection.execute('SELECT * FROM rto_inventory WHERE id = ?', [reservation.rto_inventory_id]);
+      await this.insertRTOInventoryMovement(connection, row, {
+        movement_type: 'reserved',
+        reserved_change: reservation.quantity,
+        source: 'reservation',
+        order_id: reservation.order_id,
+        order_unique_id: reservation.order_unique_id,
+        reservation_id: result.insertId,
+        created_by: reservation.reserved_by
+      });
+
+      await connection.commit();
+      return { reservation: await this.getRTOReservationById(result.insertId) };
     } catch (error) {
-      console.error('Error getting warehouse mappings:', error);
-      throw new Error('Failed to get warehouse mappings from database');
+      await connection.rollback();
+      console.error('Error reserving RTO inventory:', error);
+      throw new Error('Failed to reserve RTO inventory');
+    } finally {
+      connection.release();
     }
   }
 
   /**
-   * Get all warehouse mappings (for admin display)
-   * @param {boolean} includeInactive - Whether to include inactive mappings
-   * @returns {Promise<Array>} Array of mapping objects
+   * Close an active reservation: 'released' returns the units to available stock,
+   * 'shipped' takes them out of the RTO warehouse
+   * @param {number} id - Reservation id
+   * @param {string} outcome - 'released' | 'shipped'
+   * @param {Object} options - { created_by?, reason?, source? }
+   * @returns {Promise<Object|null>} Updated reservation, or null if it is not active
    */
-  async getAllWhMappings(includeInactive = true) {
+  async closeRTOReservation(id, outcome, options = {}) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
+    const connection = await this.mysqlPool.getConnection();
+
     try {
-      let query = `
-        SELECT 
-          wm.id,
-          wm.claimio_wh_id,
-          wm.vendor_wh_id,
-          wm.account_code,
-          wm.return_warehouse_id,
-          wm.is_active,
-          wm.created_at,
-          wm.modified_at,
-          u.name as vendor_name,
-          s.store_name
-        FROM wh_mapping wm
-        LEFT JOIN users u ON wm.claimio_wh_id = u.warehouseId
-        LEFT JOIN store_info s ON wm.account_code = s.account_code
-      `;
+      await connection.beginTransaction();
 
-      if (!includeInactive) {
-        query += ' WHERE wm.is_active = TRUE';
+      const [[reservation]] = await connection.execute(
+        `SELECT * FROM rto_reservations WHERE id = ? AND status = 'reserved' FOR UPDATE`,
+        [id]
+      );
+      if (!reservation) {
+        await connection.rollback();
+        return null;
       }
 
-      query += ' ORDER BY wm.created_at DESC';
+      const quantityChange = outcome === 'shipped' ? -reservation.quantity : 0;
+      await connection.execute(
+        `UPDATE rto_inventory
+         SET quantity = GREATEST(quantity + ?, 0),
+             reserved_quantity = GREATEST(reserved_quantity - ?, 0),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [quantityChange, reservation.quantity, reservation.rto_inventory_id]
+      );
 
-      const [rows] = await this.mysqlConnection.execute(query);
-      return rows;
+      await connection.execute(
+        outcome === 'shipped'
+          ? `UPDATE rto_reservations SET status = 'shipped', shipped_at = NOW() WHERE id = ?`
+          : `UPDATE rto_reservations SET status = 'released', released_at = NOW(), released_by = ?, release_reason = ? WHERE id = ?`,
+        outcome === 'shipped'
+          ? [id]
+          : [options.created_by ? String(options.created_by) : null, options.reason || null, id]
+      );
+
+      const [[row]] = await connection.execute('SELECT * FROM rto_inventory WHERE id = ?', [reservation.rto_inventory_id]);
+      if (row) {
+        await this.insertRTOInventoryMovement(connection, row, {
+          movement_type: outcome,
+          quantity_change: quantityChange,
+          reserved_change: -reservation.quantity,
+          source: options.source || 'reservation',
+          order_id: reservation.order_id,
+          order_unique_id: reservation.order_unique_id,
+          reservation_id: reservation.id,
+          created_by: options.created_by,
+          notes: options.reason
+        });
+      }
+
+      await connection.commit();
+      return this.getRTOReservationById(id);
     } catch (error) {
-      console.error('Error getting warehouse mappings:', error);
-      throw new Error('Failed to get warehouse mappings from database');
+      await connection.rollback();
+      console.error('Error closing RTO reservation:', error);
+      throw new Error('Failed to update RTO reservation');
+    } finally {
+      connection.release();
     }
   }
 
   /**
-   * Get warehouse mapping by ID
-   * @param {number} id - Mapping ID
-   * @returns {Promise<Object|null>} Mapping object or null if not found
+   * Get a reservation with its RTO warehouse, product and size
+   * @param {number} id
+   * @returns {Promise<Object|null>}
    */
-  async getWhMappingById(id) {
+  async getRTOReservationById(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        `SELECT 
-          wm.id,
-          wm.claimio_wh_id,
-          wm.vendor_wh_id,
-          wm.account_code,
-          wm.return_warehouse_id,
-          wm.is_active,
-          wm.created_at,
-          wm.modified_at,
-          u.name as vendor_name,
-          s.store_name
-        FROM wh_mapping wm
-        LEFT JOIN users u ON wm.claimio_wh_id = u.warehouseId
-        LEFT JOIN store_info s ON wm.account_code = s.account_code
-        WHERE wm.id = ?`,
+        `SELECT r.*, ri.rto_wh, ri.product_code, ri.size
+         FROM rto_reservations r
+         LEFT JOIN rto_inventory ri ON ri.id = r.rto_inventory_id
+         WHERE r.id = ?`,
         [id]
       );
-      return rows.length > 0 ? rows[0] : null;
+      return rows[0] || null;
     } catch (error) {
-      console.error('Error getting warehouse mapping by ID:', error);
-      throw new Error('Failed to get warehouse mapping from database');
+      console.error('Error getting RTO reservation:', error);
+      throw new Error('Failed to get RTO reservation from database');
     }
   }
 
   /**
-   * Check if active mapping exists for claimio_wh_id and account_code
-   * @param {string} claimioWhId - The claimio warehouse ID
-   * @param {string} accountCode - The account code
-   * @returns {Promise<boolean>} True if active mapping exists
+   * List reservations with their RTO warehouse, product, size and the order's claim status
+   * @param {Object} filters - { status, account_code, order_id, page, limit }
+   * @returns {Promise<Object>} { reservations, total }
    */
-  async activeWhMappingExists(claimioWhId, accountCode) {
+  async getRTOReservations(filters = {}) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        'SELECT id FROM wh_mapping WHERE claimio_wh_id = ? AND account_code = ? AND is_active = TRUE LIMIT 1',
-        [claimioWhId, accountCode]
+      const conditions = [];
+      const params = [];
+
+      if (filters.status && filters.status !== 'all') {
+        conditions.push('r.status = ?');
+        params.push(filters.status);
+      }
+      if (filters.account_code) {
+        conditions.push('r.account_code = ?');
+        params.push(filters.account_code);
+      }
+      if (filters.order_id) {
+        conditions.push('r.order_id = ?');
+        params.push(filters.order_id);
+      }
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const limit = Math.min(parseInt(filters.limit) || 50, 200);
+      const offset = ((parseInt(filters.page) || 1) - 1) * limit;
+
+      const [rows] = await this.mysqlConnection.query(
+        `SELECT r.*, ri.rto_wh, ri.product_code, ri.size, c.status AS claims_status, c.claimed_by
+         FROM rto_reservations r
+         LEFT JOIN rto_inventory ri ON ri.id = r.rto_inventory_id
+         LEFT JOIN claims c ON c.order_unique_id = r.order_unique_id AND c.account_code = r.account_code
+         ${where}
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
       );
-      return rows.length > 0;
+
+      const [countRows] = await this.mysqlConnection.query(
+        `SELECT COUNT(*) AS total FROM rto_reservations r ${where}`,
+        params
+      );
+
+      return { reservations: rows, total: countRows[0].total };
     } catch (error) {
-      console.error('Error checking warehouse mapping existence:', error);
-      throw new Error('Failed to check warehouse mapping in database');
+      console.error('Error getting RTO reservations:', error);
+      throw new Error('Failed to get RTO reservations from database');
     }
   }
 
   /**
-   * Create warehouse mapping
-   * @param {Object} mappingData - Mapping data
-   * @param {string} mappingData.claimio_wh_id - Claimio warehouse ID
-   * @param {string} mappingData.vendor_wh_id - Vendor warehouse ID (shipping partner)
-   * @param {string} mappingData.account_code - Account code
-   * @returns {Promise<Object>} Created mapping object
+   * Active reservations whose order line was handed over (ready for handover or picked up)
+   * @returns {Promise<Array>} rto_reservations rows
    */
-  async createWhMapping(mappingData) {
+  async getRTOReservationsToShip() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Check if active mapping already exists
-      const exists = await this.activeWhMappingExists(mappingData.claimio_wh_id, mappingData.account_code);
-      if (exists) {
-        throw new Error('Active mapping already exists for this claimio_wh_id and account_code combination');
-      }
-
-      const [result] = await this.mysqlConnection.execute(
-        'INSERT INTO wh_mapping (claimio_wh_id, vendor_wh_id, account_code, return_warehouse_id, is_active) VALUES (?, ?, ?, ?, TRUE)',
-        [mappingData.claimio_wh_id, mappingData.vendor_wh_id, mappingData.account_code, mappingData.return_warehouse_id || null]
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT r.*
+         FROM rto_reservations r
+         LEFT JOIN claims c ON c.order_unique_id = r.order_unique_id AND c.account_code = r.account_code
+         LEFT JOIN labels l ON l.order_id = r.order_id AND l.account_code = r.account_code
+         WHERE r.status = 'reserved'
+           AND (c.status = 'ready_for_handover' OR l.is_handover = 1)`
       );
-
-      return await this.getWhMappingById(result.insertId);
+      return rows;
     } catch (error) {
-      console.error('Error creating warehouse mapping:', error);
-      throw error;
+      console.error('Error getting RTO reservations to ship:', error);
+      throw new Error('Failed to get RTO reservations from database');
     }
   }
 
   /**
-   * Soft delete warehouse mapping (set is_active = FALSE)
-   * @param {number} id - Mapping ID
-   * @returns {Promise<boolean>} True if updated successfully
+   * Active reservations whose order line no longer exists
+   * @returns {Promise<Array>} rto_reservations rows
    */
-  async deleteWhMapping(id) {
+  async getOrphanedRTOReservations() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const [result] = await this.mysqlConnection.execute(
-        'UPDATE wh_mapping SET is_active = FALSE, modified_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [id]
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT r.*
+         FROM rto_reservations r
+         LEFT JOIN orders o ON o.unique_id = r.order_unique_id
+         WHERE r.status = 'reserved' AND o.unique_id IS NULL`
       );
-      return result.affectedRows > 0;
+      return rows;
     } catch (error) {
-      console.error('Error deleting warehouse mapping:', error);
-      throw new Error('Failed to delete warehouse mapping from database');
+      console.error('Error getting orphaned RTO reservations:', error);
+      throw new Error('Failed to get RTO reservations from database');
     }
   }
 
-  // ==================== RTO TRACKING TABLE METHODS ====================
-
   /**
-   * Store or update RTO tracking data
-   * - If same order_id + order_status + account_code exists: update updated_at only
-   * - If new status: insert with incremented instance_number
-   * @param {string} orderId - The order ID
-   * @param {string} orderStatus - The RTO status (e.g., "RTO Initiated", "RTO In Transit")
-   * @param {string} accountCode - The account code for the store
-   * @param {string|null} rtoWh - The RTO warehouse from latest tracking activity location
-   * @param {string|null} activityDate - The date of the latest tracking activity (YYYY-MM-DD HH:MM:SS format)
+   * RTO inventory movement log, newest first
+   * @param {Object} filters - { rto_inventory_id, account_code, order_id, movement_type, page, limit }
+   * @returns {Promise<Object>} { movements, total }
    */
-  async storeRTOTracking(orderId, orderStatus, accountCode, rtoWh = null, activityDate = null) {
+  async getRTOInventoryMovements(filters = {}) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!orderId || !orderStatus || !accountCode) {
-      throw new Error('orderId, orderStatus, and accountCode are required');
-    }
-
     try {
-      // Check if this exact order_id + order_status + account_code combination exists
-      const [existing] = await this.mysqlConnection.execute(
-        `SELECT id, order_status FROM rto_tracking 
-         WHERE order_id = ? AND order_status = ? AND account_code = ?
-         LIMIT 1`,
-        [orderId, orderStatus, accountCode]
-      );
+      const conditions = [];
+      const params = [];
 
-      if (existing.length > 0) {
-        // Same status exists - update updated_at timestamp and activity_date if provided
-        if (activityDate) {
-          await this.mysqlConnection.execute(
-            `UPDATE rto_tracking SET updated_at = NOW(), activity_date = ?, rto_wh = ? WHERE id = ?`,
-            [activityDate, rtoWh, existing[0].id]
-          );
-        } else {
-          await this.mysqlConnection.execute(
-            `UPDATE rto_tracking SET updated_at = NOW() WHERE id = ?`,
-            [existing[0].id]
-          );
+      for (const field of ['rto_inventory_id', 'account_code', 'order_id', 'movement_type']) {
+        if (filters[field]) {
+          conditions.push(`m.${field} = ?`);
+          params.push(filters[field]);
         }
-        console.log(`✅ [RTO] Updated existing RTO record (same status: ${orderStatus}) for order ${orderId}`);
-        return { action: 'updated', id: existing[0].id };
       }
 
-      // New status - get max instance_number for this order
-      const [maxInstance] = await this.mysqlConnection.execute(
-        `SELECT COALESCE(MAX(instance_number), 0) as max_instance 
-         FROM rto_tracking 
-         WHERE order_id = ? AND account_code = ?`,
-        [orderId, accountCode]
-      );
-
-      const newInstanceNumber = maxInstance[0].max_instance + 1;
-
-      // Check if status indicates delivery
-      const isDelivered = orderStatus.toLowerCase().includes('delivered') ? 1 : 0;
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const limit = Math.min(parseInt(filters.limit) || 50, 200);
+      const offset = ((parseInt(filters.page) || 1) - 1) * limit;
 
-      // Insert new RTO tracking record with activity_date
-      const [result] = await this.mysqlConnection.execute(
-        `INSERT INTO rto_tracking 
-         (order_id, order_status, instance_number, days_since_initiated, is_focus, is_delivered, rto_wh, activity_date, account_code)
-         VALUES (?, ?, ?, 0, 0, ?, ?, ?, ?)`,
-        [orderId, orderStatus, newInstanceNumber, isDelivered, rtoWh, activityDate, accountCode]
+      const [rows] = await this.mysqlConnection.query(
+        `SELECT m.*
+         FROM rto_inventory_movements m
+         ${where}
+         ORDER BY m.created_at DESC, m.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
       );
 
-      console.log(`✅ [RTO] Stored new RTO tracking record (status: ${orderStatus}, instance: ${newInstanceNumber}) for order ${orderId}`);
-
-      // If this order now has a delivered status, update is_delivered for all records of this order
-      if (isDelivered) {
-        await this.mysqlConnection.execute(
-          `UPDATE rto_tracking SET is_delivered = 1 WHERE order_id = ? AND account_code = ?`,
-          [orderId, accountCode]
-        );
-        console.log(`✅ [RTO] Marked all RTO records as delivered for order ${orderId}`);
-      }
+      const [countRows] = await this.mysqlConnection.query(
+        `SELECT COUNT(*) AS total FROM rto_inventory_movements m ${where}`,
+        params
+      );
 
-      return { action: 'inserted', id: result.insertId, instanceNumber: newInstanceNumber };
+      return { movements: rows, total: countRows[0].total };
     } catch (error) {
-      console.error(`❌ [RTO] Error storing RTO tracking for order ${orderId}:`, error);
-      throw error;
+      console.error('Error getting RTO inventory movements:', error);
+      throw new Error('Failed to get RTO inventory movements from database');
+    }
+  }
+  /**
+   * WHERE conditions shared by the RTO analytics queries (orders o, claims c)
+   * @param {Object} filters - { dateFrom, dateTo (order date), store (string or array), vendorId }
+   * @returns {Object} { conditions, params }
+   */
+  buildRTOAnalyticsConditions(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.dateFrom) {
+      conditions.push('o.order_date >= ?');
+      params.push(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+      conditions.push('o.order_date <= ?');
+      params.push(filters.dateTo + ' 23:59:59');
+    }
+    if (Array.isArray(filters.store) && filters.store.length > 0) {
+      conditions.push(`o.account_code IN (${filters.store.map(() => '?').join(',')})`);
+      params.push(...filters.store);
+    } else if (typeof filters.store === 'string' && filters.store !== 'all') {
+      conditions.push('o.account_code = ?');
+      params.push(filters.store);
     }
+    if (filters.vendorId && filters.vendorId !== 'all') {
+      conditions.push('c.claimed_by = ?');
+      params.push(filters.vendorId);
+    }
+
+    return { conditions, params };
   }
 
   /**
-   * Get all RTO tracking records for a specific order
-   * @param {string} orderId - The order ID
-   * @param {string} accountCode - The account code for the store
-   * @returns {Promise<Array>} Array of RTO tracking records sorted by instance_number
+   * RTO rate per pincode / courier / product / vendor / payment type / store.
+   * A shipment is an order (order_id + store) with an AWB that was handed over or went RTO;
+   * it counts as RTO when it has any rto_tracking row.
+   * @param {string|null} dimension - One of the keys below; null for a single overall row
+   * @param {Object} filters - See buildRTOAnalyticsConditions, plus { minShipments, limit }
+   * @returns {Promise<Array>} [{ value, label, shipments, rto_shipments, rto_delivered, rto_order_value }]
    */
-  async getRTOTrackingByOrderId(orderId, accountCode) {
+  async getRTOAnalyticsBreakdown(dimension, filters = {}) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!accountCode) {
-      throw new Error('account_code is required for getting RTO tracking data');
+    const dimensions = {
+      pincode: { value: 'o.pincode', label: 'NULL' },
+      courier: { value: "COALESCE(NULLIF(l.carrier_name, ''), l.carrier_id)", label: 'NULL' },
+      product: { value: 'COALESCE(v.sku_id, o.normalized_product_code, o.product_code)', label: 'MAX(o.product_name)' },
+      vendor: { value: 'c.claimed_by', label: 'MAX(u.name)' },
+      payment_type: { value: 'o.payment_type', label: 'NULL' },
+      store: { value: 'o.account_code', label: 'NULL' }
+    };
+    const dim = dimension ? dimensions[dimension] : { value: "'all'", label: 'NULL' };
+    if (!dim) {
+      throw new Error(`Unknown RTO analytics dimension: ${dimension}`);
     }
 
     try {
-      const [rows] = await this.mysqlConnection.execute(
-        `SELECT 
-          id,
-          order_id,
-          order_status,
-          instance_number,
-          days_since_initiated,
-          is_focus,
-          is_delivered,
-          rto_wh,
-          account_code,
-          created_at,
-          updated_at
-        FROM rto_tracking 
-        WHERE order_id = ? AND account_code = ?
-        ORDER BY instance_number ASC`,
-        [orderId, accountCode]
+      const { conditions, params } = this.buildRTOAnalyticsConditions(filters);
+      const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+      const minShipments = parseInt(filters.minShipments) || 1;
+
+      const [rows] = await this.mysqlConnection.query(
+        `SELECT
+           ${dim.value} AS group_value,
+           ${dim.label} AS group_label,
+           COUNT(DISTINCT CONCAT(o.account_code, ':', o.order_id)) AS shipments,
+           COUNT(DISTINCT CASE WHEN rt.order_id IS NOT NULL THEN CONCAT(o.account_code, ':', o.order_id) END) AS rto_shipments,
+           COUNT(DISTINCT CASE WHEN rt.is_delivered = 1 THEN CONCAT(o.account_code, ':', o.order_id) END) AS rto_delivered,
+           COALESCE(SUM(CASE WHEN rt.order_id IS NOT NULL
+             THEN COALESCE(o.order_total_split, o.selling_price * COALESCE(o.quantity, 1), 0) END), 0) AS rto_order_value
+         FROM orders o
+         JOIN labels l ON l.order_id = o.order_id AND l.account_code = o.account_code
+         LEFT JOIN claims c ON c.order_unique_id = o.unique_id AND c.account_code = o.account_code
+         LEFT JOIN users u ON u.warehouseId = c.claimed_by
+         LEFT JOIN product_variants v ON v.id = o.variant_id
+         LEFT JOIN (
+           SELECT order_id, account_code, MAX(is_delivered) AS is_delivered
+           FROM rto_tracking
+           GROUP BY order_id, account_code
+         ) rt ON rt.order_id = o.order_id AND rt.account_code = o.account_code
+         WHERE l.awb IS NOT NULL AND l.awb != ''
+           AND (l.is_handover = 1 OR rt.order_id IS NOT NULL)
+           ${conditions.map(condition => `AND ${condition}`).join(' ')}
+         GROUP BY group_value
+         HAVING shipments >= ?
+         ORDER BY rto_shipments DESC, shipments DESC
+         LIMIT ?`,
+        [...params, minShipments, limit]
       );
 
-      return rows;
+      return rows.map(row => ({
+        value: row.group_value,
+        label: row.group_label,
+        shipments: parseInt(row.shipments),
+        rto_shipments: parseInt(row.rto_shipments),
+        rto_delivered: parseInt(row.rto_delivered),
+        rto_order_value: parseFloat(row.rto_order_value)
+      }));
+    } catch (error) {
+      console.error('Error getting RTO analytics breakdown:', error);
+      throw new Error('Failed to get RTO analytics from database');
+    }
+  }
+
+  /**
+   * Open (not yet delivered back) RTO shipments by days since the RTO started
+   * @param {Object} filters - See buildRTOAnalyticsConditions
+   * @returns {Promise<Array>} [{ bucket, shipments, order_value }]
+   */
+  async getRTOAgingBuckets(filters = {}) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const { conditions, params } = this.buildRTOAnalyticsConditions(filters);
+
+      const [rows] = await this.mysqlConnection.query(
+        `SELECT
+           CASE
+             WHEN age_days <= 7 THEN '0-7'
+             WHEN age_days <= 15 THEN '8-15'
+             WHEN age_days <= 30 THEN '16-30'
+             WHEN age_days <= 60 THEN '31-60'
+             ELSE '60+'
+           END AS bucket,
+           COUNT(*) AS shipments,
+           SUM(order_value) AS order_value
+         FROM (
+           SELECT
+             rt.order_id,
+             rt.account_code,
+             DATEDIFF(CURRENT_DATE, DATE(rt.initiated_at)) AS age_days,
+             SUM(COALESCE(o.order_total_split, o.selling_price * COALESCE(o.quantity, 1), 0)) AS order_value
+           FROM (
+             SELECT order_id, account_code, MIN(COALESCE(activity_date, created_at)) AS initiated_at
+             FROM rto_tracking
+             GROUP BY order_id, account_code
+             HAVING MAX(is_delivered) = 0
+           ) rt
+           JOIN orders o ON o.order_id = rt.order_id AND o.account_code = rt.account_code
+           LEFT JOIN claims c ON c.order_unique_id = o.unique_id AND c.account_code = o.account_code
+           ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+           GROUP BY rt.order_id, rt.account_code, rt.initiated_at
+         ) open_rto
+         GROUP BY bucket`,
+        params
+      );
+
+      return rows.map(row => ({
+        bucket: row.bucket,
+        shipments: parseInt(row.shipments),
+        order_value: parseFloat(row.order_value || 0)
+      }));
+    } catch (error) {
+      console.error('Error getting RTO aging buckets:', error);
+      throw new Error('Failed to get RTO aging from database');
+    }
+  }
+
+  /**
+   * Open RTO shipments that look lost: started long ago and no courier movement for a while
+   * (latest of rto_tracking activity and shipment_scans for the AWB)
+   * @param {Object} filters - See buildRTOAnalyticsConditions, plus { lostAfterDays, staleDays, limit }
+   * @returns {Promise<Array>} Candidate shipments, oldest RTO first
+   */
+  async getRTOLostInTransitCandidates(filters = {}) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const { conditions, params } = this.buildRTOAnalyticsConditions(filters);
+      const limit = Math.min(parseInt(filters.limit) || 100, 1000);
+
+      const [rows] = await this.mysqlConnection.query(
+        `SELECT
+           rt.order_id,
+           rt.account_code,
+           rt.latest_status,
+           rt.rto_wh,
+           rt.initiated_at,
+           GREATEST(rt.last_activity_at, COALESCE(MAX(ss.last_scan_at), rt.last_activity_at)) AS last_activity_at,
+           DATEDIFF(CURRENT_DATE, DATE(rt.initiated_at)) AS days_since_initiated,
+           DATEDIFF(CURRENT_DATE, DATE(GREATEST(rt.last_activity_at, COALESCE(MAX(ss.last_scan_at), rt.last_activity_at)))) AS days_since_last_activity,
+           MAX(l.awb) AS awb,
+           MAX(l.carrier_name) AS carrier_name,
+           MAX(c.claimed_by) AS vendor,
+           MAX(o.payment_type) AS payment_type,
+           SUM(COALESCE(o.order_total_split, o.selling_price * COALESCE(o.quantity, 1), 0)) AS order_value
+         FROM (
+           SELECT
+             order_id,
+             account_code,
+             SUBSTRING_INDEX(GROUP_CONCAT(order_status ORDER BY instance_number DESC SEPARATOR '||'), '||', 1) AS latest_status,
+             SUBSTRING_INDEX(GROUP_CONCAT(rto_wh ORDER BY instance_number DESC SEPARATOR '||'), '||', 1) AS rto_wh,
+             MIN(COALESCE(activity_date, created_at)) AS initiated_at,
+             MAX(COALESCE(activity_date, created_at)) AS last_activity_at
+           FROM rto_tracking
+           GROUP BY order_id, account_code
+           HAVING MAX(is_delivered) = 0
+         ) rt
+         JOIN orders o ON o.order_id = rt.order_id AND o.account_code = rt.account_code
+         LEFT JOIN claims c ON c.order_unique_id = o.unique_id AND c.account_code = o.account_code
+         LEFT JOIN labels l ON l.order_id = rt.order_id AND l.account_code = rt.account_code
+         LEFT JOIN (
+           SELECT account_code, awb, MAX(scan_time) AS last_scan_at
+           FROM shipment_scans
+           GROUP BY account_code, awb
+         ) ss ON ss.account_code = l.account_code AND ss.awb = l.awb
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         GROUP BY rt.order_id, rt.account_code, rt.latest_status, rt.rto_wh, rt.initiated_at, rt.last_activity_at
+         HAVING days_since_initiated >= ? AND days_since_last_activity >= ?
+         ORDER BY days_since_initiated DESC, rt.order_id
+         LIMIT ?`,
+        [...params, filters.lostAfterDays ?? 30, filters.staleDays ?? 10, limit]
+      );
+
+      return rows.map(row => ({
+        ...row,
+        days_since_initiated: parseInt(row.days_since_initiated),
+        days_since_last_activity: parseInt(row.days_since_last_activity),
+        order_value: parseFloat(row.order_value || 0)
+      }));
     } catch (error) {
-      console.error(`❌ [RTO] Error getting RTO tracking for order ${orderId}:`, error);
-      throw error;
+      console.error('Error getting RTO lost-in-transit candidates:', error);
+      throw new Error('Failed to get RTO lost-in-transit candidates from database');
     }
   }
-
   /**
-   * Update days_since_initiated and is_focus for all RTO records
-   * This should be called daily via cron job
-   * Logic:
-   * - days_since_initiated: DATEDIFF(CURRENT_DATE, DATE(activity_date))
-   * - is_focus: 1 for ALL instances of an order if:
-   *   - The FIRST instance (instance_number = 1) has days_since_initiated > 7
-   *   - AND the order is NOT delivered (is_delivered = 0)
-   * - When RTO is delivered, ALL instances get is_focus = 0 and is_delivered = 1
+   * Delivered/RTO outcome counts per pincode and carrier for shipments handed over in the lookback window.
+   * A shipment with an rto_tracking row is an RTO, otherwise it counts once its label status is Delivered;
+   * delivery hours run from handover to the first Delivered status in order_tracking.
+   * @param {number} lookbackDays - Only shipments handed over (or ordered) within this many days
+   * @returns {Promise<Array>} [{ pincode, carrier_id, carrier_name, shipments, delivered, rto, cod_shipments, cod_rto, avg_delivery_hours }]
    */
-  async updateRTODaysAndFocus() {
+  async getPincodeCarrierOutcomes(lookbackDays = 180) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
-    }
-
-    try {
-      console.log('🔄 [RTO] Starting daily update for days_since_initiated and is_focus...');
-
-      // Step 1: Update days_since_initiated for all records (using activity_date)
-      // If activity_date is NULL, fall back to created_at
-      const [daysResult] = await this.mysqlConnection.execute(`
-        UPDATE rto_tracking 
-        SET days_since_initiated = DATEDIFF(CURRENT_DATE, DATE(COALESCE(activity_date, created_at)))
-      `);
-      console.log(`✅ [RTO] Updated days_since_initiated for ${daysResult.affectedRows} records`);
-
-      // Step 2: Mark is_delivered = 1 for ALL instances of orders that have a delivered status
-      const [deliveredResult] = await this.mysqlConnection.execute(`
-        UPDATE rto_tracking rt
-        SET is_delivered = 1
-        WHERE rt.order_id IN (
-          SELECT DISTINCT order_id 
-          FROM (SELECT order_id FROM rto_tracking 
-                WHERE order_status LIKE '%Delivered%'
-                   OR order_status LIKE '%delivered%') as delivered_orders
-        )
-      `);
-      console.log(`✅ [RTO] Updated is_delivered for ${deliveredResult.affectedRows} records`);
-
-      // Step 3: Reset is_focus to 0 for all records first
-      await this.mysqlConnection.execute(`UPDATE rto_tracking SET is_focus = 0`);
-
-      // Step 4: Set is_focus = 1 for ALL instances of orders where:
-      // - The FIRST instance (instance_number = 1) has days_since_initiated > 7
-      // - AND the order is NOT delivered (is_delivered = 0)
-      const [focusResult] = await this.mysqlConnection.execute(`
-        UPDATE rto_tracking rt
-        SET is_focus = 1
-        WHERE rt.is_delivered = 0
-          AND rt.order_id IN (
-            SELECT order_id FROM (
-              SELECT order_id 
-              FROM rto_tracking 
-              WHERE instance_number = 1 
-                AND days_since_initiated > 7
-                AND is_delivered = 0
-            ) as focus_orders
-          )
-      `);
-      console.log(`✅ [RTO] Updated is_focus for ${focusResult.affectedRows} records`);
-
-      return {
-        success: true,
-        daysUpdated: daysResult.affectedRows,
-        deliveredUpdated: deliveredResult.affectedRows,
-        focusUpdated: focusResult.affectedRows,
-        timestamp: new Date().toISOString()
-      };
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT
+           s.pincode,
+           s.carrier_id,
+           MAX(s.carrier_name) AS carrier_name,
+           COUNT(*) AS shipments,
+           SUM(s.is_rto = 0) AS delivered,
+           SUM(s.is_rto = 1) AS rto,
+           SUM(s.is_cod = 1) AS cod_shipments,
+           SUM(s.is_cod = 1 AND s.is_rto = 1) AS cod_rto,
+           AVG(CASE WHEN s.is_rto = 0 THEN s.delivery_hours END) AS avg_delivery_hours
+         FROM (
+           SELECT
+             MAX(TRIM(o.pincode)) AS pincode,
+             l.carrier_id,
+             MAX(l.carrier_name) AS carrier_name,
+             MAX(rt.order_id IS NOT NULL) AS is_rto,
+             MAX(o.payment_type = 'C') AS is_cod,
+             MAX(CASE WHEN ot.delivered_at >= l.handover_at THEN TIMESTAMPDIFF(HOUR, l.handover_at, ot.delivered_at) END) AS delivery_hours
+           FROM labels l
+           JOIN orders o ON o.order_id = l.order_id AND o.account_code = l.account_code
+           LEFT JOIN (
+             SELECT DISTINCT order_id, account_code FROM rto_tracking
+           ) rt ON rt.order_id = l.order_id AND rt.account_code = l.account_code
+           LEFT JOIN (
+             SELECT order_id, account_code, MIN(timestamp) AS delivered_at
+             FROM order_tracking
+             WHERE shipment_status = 'Delivered'
+             GROUP BY order_id, account_code
+           ) ot ON ot.order_id = l.order_id AND ot.account_code = l.account_code
+           WHERE l.awb IS NOT NULL AND l.awb != ''
+             AND l.carrier_id IS NOT NULL AND l.carrier_id != ''
+             AND o.pincode IS NOT NULL AND TRIM(o.pincode) != ''
+             AND (rt.order_id IS NOT NULL OR l.current_shipment_status = 'Delivered')
+             AND COALESCE(l.handover_at, o.order_date) >= DATE_SUB(NOW(), INTERVAL ? DAY)
+           GROUP BY l.order_id, l.account_code, l.carrier_id
+         ) s
+         GROUP BY s.pincode, s.carrier_id`,
+        [lookbackDays]
+      );
+
+      return rows.map(row => ({
+        pincode: row.pincode,
+        carrier_id: String(row.carrier_id),
+        carrier_name: row.carrier_name,
+        shipments: parseInt(row.shipments),
+        delivered: parseInt(row.delivered),
+        rto: parseInt(row.rto),
+        cod_shipments: parseInt(row.cod_shipments),
+        cod_rto: parseInt(row.cod_rto),
+        avg_delivery_hours: row.avg_delivery_hours !== null ? parseFloat(row.avg_delivery_hours) : null
+      }));
     } catch (error) {
-      console.error('❌ [RTO] Error updating RTO days and focus:', error);
-      throw error;
+      console.error('Error getting pincode carrier outcomes:', error);
+      throw new Error('Failed to get pincode carrier outcomes from database');
     }
   }
 
   /**
-   * Get RTO tracking statistics for dashboard
-   * @param {string} accountCode - Optional account code filter
-   * @returns {Promise<Object>} Statistics object
+   * Replace pincode_carrier_scores with a fresh computation: upsert every row, then drop rows
+   * (pincodes/carriers with no shipments left in the window) that were not part of this run
+   * @param {Array} scores - Rows shaped like the pincode_carrier_scores columns
+   * @param {Date} computedAt - Run timestamp written to every row
+   * @returns {Promise<Object>} { upserted, removed }
    */
-  async getRTOTrackingStats(accountCode = null) {
+  async replacePincodeCarrierScores(scores, computedAt) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
+    const columns = ['pincode', 'carrier_id', 'carrier_name', 'shipments', 'delivered', 'rto', 'cod_shipments',
+      'cod_rto', 'avg_delivery_hours', 'delivery_score', 'cod_rto_rate', 'cod_risk', 'computed_at'];
+    const chunkSize = 500;
+
     try {
-      let query = `
-        SELECT 
-          COUNT(DISTINCT order_id) as total_rto_orders,
-          COUNT(*) as total_status_records,
-          SUM(CASE WHEN is_focus = 1 THEN 1 ELSE 0 END) as focus_orders,
-          SUM(CASE WHEN is_delivered = 1 THEN 1 ELSE 0 END) as delivered_records,
-          COUNT(DISTINCT CASE WHEN is_delivered = 1 THEN order_id END) as delivered_orders,
-          COUNT(DISTINCT CASE WHEN is_delivered = 0 THEN order_id END) as pending_orders
-        FROM rto_tracking
-      `;
-      const params = [];
+      for (let i = 0; i < scores.length; i += chunkSize) {
+        const chunk = scores.slice(i, i + chunkSize);
+        const placeholders = chunk.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+        const values = chunk.flatMap(score => columns.map(column => (
+          column === 'computed_at' ? computedAt : (score[column] ?? null)
+        )));
 
-      if (accountCode) {
-        query += ` WHERE account_code = ?`;
-        params.push(accountCode);
+        await this.mysqlConnection.query(
+          `INSERT INTO pincode_carrier_scores (${columns.join(', ')})
+           VALUES ${placeholders}
+           ON DUPLICATE KEY UPDATE
+             ${columns.filter(column => column !== 'pincode' && column !== 'carrier_id').map(column => `${column} = VALUES(${column})`).join(',\n             ')}`,
+          values
+        );
       }
 
-      const [stats] = await this.mysqlConnection.execute(query, params);
-      return stats[0];
+      const [result] = await this.mysqlConnection.execute(
+        'DELETE FROM pincode_carrier_scores WHERE computed_at < ?',
+        [computedAt]
+      );
+
+      return { upserted: scores.length, removed: result.affectedRows };
     } catch (error) {
-      console.error('❌ [RTO] Error getting RTO tracking stats:', error);
-      throw error;
+      console.error('Error replacing pincode carrier scores:', error);
+      throw new Error('Failed to save pincode carrier scores');
     }
   }
 
   /**
-   * Get all RTO orders with focus (is_focus = 1)
-   * These are orders that need attention (RTO Initiated > 7 days and not delivered)
-   * @param {string} accountCode - Optional account code filter
-   * @returns {Promise<Array>} Array of focus RTO orders
+   * Scores for one pincode: the pincode-wide row (carrier_id '') and one row per carrier
+   * @param {string} pincode
+   * @returns {Promise<Array>}
    */
-  async getRTOFocusOrders(accountCode = null) {
+  async getPincodeCarrierScores(pincode) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      let query = `
-        SELECT 
-          rt.order_id,
-          rt.order_status,
-          rt.instance_number,
-          rt.days_since_initiated,
-          rt.rto_wh,
-          rt.account_code,
-          rt.activity_date,
-          rt.created_at,
-          rt.updated_at,
-          l.awb,
-          l.carrier_name
-        FROM rto_tracking rt
-        LEFT JOIN labels l ON rt.order_id = l.order_id AND rt.account_code = l.account_code
-        WHERE rt.is_focus = 1 AND rt.instance_number = 1
-      `;
-      const params = [];
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM pincode_carrier_scores WHERE pincode = ?',
+        [String(pincode || '').trim()]
+      );
 
-      if (accountCode) {
-        query += ` AND rt.account_code = ?`;
-        params.push(accountCode);
-      }
+      return rows.map(row => ({
+        ...row,
+        avg_delivery_hours: row.avg_delivery_hours !== null ? parseFloat(row.avg_delivery_hours) : null,
+        delivery_score: parseFloat(row.delivery_score),
+        cod_rto_rate: row.cod_rto_rate !== null ? parseFloat(row.cod_rto_rate) : null
+      }));
+    } catch (error) {
+      console.error('Error getting pincode carrier scores:', error);
+      throw new Error('Failed to get pincode carrier scores from database');
+    }
+  }
+  /**
+   * Parse a pincode_serviceability_cache row (carriers JSON, expiry flag)
+   */
+  parseServiceabilityCacheRow(row) {
+    return {
+      ...row,
+      carriers: typeof row.carriers === 'string' ? JSON.parse(row.carriers) : (row.carriers || []),
+      is_expired: new Date(row.expires_at) <= new Date()
+    };
+  }
 
-      query += ` ORDER BY rt.days_since_initiated DESC, rt.order_id`;
+  /**
+   * Cached serviceability for a store and pincode, expired or not
+   * @param {string} accountCode
+   * @param {string} pincode
+   * @returns {Promise<Object|null>} Row with parsed carriers and is_expired
+   */
+  async getServiceabilityCacheEntry(accountCode, pincode) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      const [rows] = await this.mysqlConnection.execute(query, params);
-      return rows;
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM pincode_serviceability_cache WHERE account_code = ? AND pincode = ?',
+        [accountCode, pincode]
+      );
+
+      return rows.length > 0 ? this.parseServiceabilityCacheRow(rows[0]) : null;
     } catch (error) {
-      console.error('❌ [RTO] Error getting RTO focus orders:', error);
-      throw error;
+      console.error('Error getting serviceability cache entry:', error);
+      throw new Error('Failed to get serviceability cache entry from database');
     }
   }
 
   /**
-   * Get all critical orders (claims.is_critical = 1)
-   * These are orders that need urgent attention
-   * @param {string} accountCode - Optional account code filter
-   * @returns {Promise<Array>} Array of critical orders with order details
+   * Store a fresh serviceability answer (clears the last error)
+   * @param {string} accountCode
+   * @param {string} pincode
+   * @param {Array} carriers - Carrier list from the shipping partner
+   * @param {number} ttlHours - Hours until the entry expires
+   * @param {boolean} requested - Count this as a request (false for background refreshes)
    */
-  async getCriticalOrders(accountCode = null) {
-    await this.waitForMySQLInitialization();
+  async saveServiceabilityCacheEntry(accountCode, pincode, carriers, ttlHours, requested = true) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-    // Use pool if available (preferred for parallel execution), otherwise fall back to connection
-    const db = this.mysqlPool || this.mysqlConnection;
-    if (!db) {
+    try {
+      await this.mysqlConnection.execute(
+        `INSERT INTO pincode_serviceability_cache
+           (account_code, pincode, carriers, fetched_at, expires_at, last_requested_at)
+         VALUES (?, ?, ?, NOW(), DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())
+         ON DUPLICATE KEY UPDATE
+           carriers = VALUES(carriers),
+           fetched_at = VALUES(fetched_at),
+           expires_at = VALUES(expires_at),
+           last_requested_at = IF(?, VALUES(last_requested_at), last_requested_at),
+           last_error = NULL,
+           last_error_at = NULL`,
+        [accountCode, pincode, JSON.stringify(carriers || []), ttlHours, requested ? 1 : 0]
+      );
+    } catch (error) {
+      console.error('Error saving serviceability cache entry:', error);
+      throw new Error('Failed to save serviceability cache entry');
+    }
+  }
+
+  /**
+   * Count a request served from the cache
+   * @param {number} id - Cache entry ID
+   */
+  async markServiceabilityCacheHit(id) {
+    if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Get date filter from utility table
-      let numberOfDays = 60; // default
-      try {
-        const daysValue = await this.getUtilityParameter('number_of_day_of_order_include');
-        if (daysValue) {
-          numberOfDays = parseInt(daysValue, 10);
-        }
-      } catch (err) {
-        console.log(`⚠️ Could not fetch utility parameter for critical orders, using default: ${numberOfDays} days`);
-      }
+      await this.mysqlConnection.execute(
+        'UPDATE pincode_serviceability_cache SET hit_count = hit_count + 1, last_requested_at = NOW() WHERE id = ?',
+        [id]
+      );
+    } catch (error) {
+      console.error('Error updating serviceability cache hit:', error);
+      throw new Error('Failed to update serviceability cache entry');
+    }
+  }
 
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - numberOfDays);
-      cutoffDate.setHours(0, 0, 0, 0);
-      const mysqlCutoffDate = cutoffDate.toISOString().slice(0, 19).replace('T', ' ');
+  /**
+   * Record a failed refresh on an entry (its carriers stay as the last-known answer)
+   * @param {number} id - Cache entry ID
+   * @param {string} message - Error message
+   */
+  async recordServiceabilityCacheError(id, message) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      let query = `
-        SELECT
-          o.order_id,
-          o.unique_id,
-          o.customer_name,
-          o.product_name,
-          o.product_code,
-          o.quantity,
-          o.selling_price,
-          o.order_date,
-          o.account_code,
-          c.status as claims_status,
-          c.claimed_by,
-          c.claimed_at,
-          c.is_critical,
-          l.awb,
-          l.carrier_name,
-          l.current_shipment_status,
-          s.store_name,
-          u.name as vendor_name,
-          p.image as product_image,
-          CASE
-            WHEN l.current_shipment_status IS NOT NULL AND l.current_shipment_status != ''
-            THEN l.current_shipment_status
-            ELSE c.status
-          END as status,
-          CASE
-            WHEN ci.billing_firstname IS NOT NULL AND ci.billing_firstname != ''
-            THEN TRIM(CONCAT(COALESCE(ci.billing_firstname, ''), ' ', COALESCE(ci.billing_lastname, '')))
-            WHEN ci.shipping_firstname IS NOT NULL AND ci.shipping_firstname != ''
-            THEN TRIM(CONCAT(COALESCE(ci.shipping_firstname, ''), ' ', COALESCE(ci.shipping_lastname, '')))
-            WHEN o.customer_name IS NOT NULL AND o.customer_name != ''
-            THEN o.customer_name
-            ELSE NULL
-          END as customer_name_from_info
-        FROM claims c
-        INNER JOIN orders o ON c.order_unique_id = o.unique_id AND c.account_code = o.account_code
-        LEFT JOIN products p ON o.normalized_product_code = p.sku_id AND o.account_code = p.account_code
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        LEFT JOIN store_info s ON o.account_code = s.account_code
-        LEFT JOIN users u ON c.claimed_by = u.warehouseId
-        LEFT JOIN customer_info ci ON o.order_id = ci.order_id AND o.account_code = ci.account_code
-        WHERE c.is_critical = 1
-          AND o.is_in_new_order = 1
-          AND c.label_downloaded = 0
-          AND s.status = 'active'
-          AND o.order_date >= ?
-      `;
-      const params = [mysqlCutoffDate];
+    try {
+      await this.mysqlConnection.execute(
+        'UPDATE pincode_serviceability_cache SET last_error = ?, last_error_at = NOW() WHERE id = ?',
+        [String(message || '').substring(0, 500), id]
+      );
+    } catch (error) {
+      console.error('Error recording serviceability cache error:', error);
+      throw new Error('Failed to update serviceability cache entry');
+    }
+  }
 
-      if (accountCode) {
-        query += ` AND o.account_code = ?`;
-        params.push(accountCode);
-      }
+  /**
+   * Hot entries to refresh in the background: requested within activeDays and expiring within
+   * refreshWithinHours (or already expired), most requested first
+   * @param {Object} options - { activeDays, refreshWithinHours, limit }
+   * @returns {Promise<Array>} [{ id, account_code, pincode, expires_at, hit_count }]
+   */
+  async getServiceabilityCacheRefreshCandidates(options = {}) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      query += ` ORDER BY o.order_date ASC, o.order_id`;
+    try {
+      const [rows] = await this.mysqlConnection.query(
+        `SELECT id, account_code, pincode, expires_at, hit_count
+         FROM pincode_serviceability_cache
+         WHERE last_requested_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+           AND expires_at <= DATE_ADD(NOW(), INTERVAL ? HOUR)
+         ORDER BY hit_count DESC, last_requested_at DESC
+         LIMIT ?`,
+        [options.activeDays ?? 7, options.refreshWithinHours ?? 2, options.limit ?? 200]
+      );
 
-      const [rows] = await db.execute(query, params);
       return rows;
     } catch (error) {
-      console.error('❌ [Critical Orders] Error getting critical orders:', error);
-      throw error;
+      console.error('Error getting serviceability cache refresh candidates:', error);
+      throw new Error('Failed to get serviceability cache refresh candidates from database');
     }
   }
 
   /**
-   * Update RTO focus orders status
-   * Updates order_status and sets is_focus = 0 for the given order_ids
-   * @param {string[]} orderIds - Array of order IDs to update
-   * @param {string} newStatus - New status to set
-   * @param {string} accountCode - Optional account code filter
-   * @returns {Promise<{affectedRows: number}>} Number of affected rows
+   * Delete entries nobody has asked for in the given number of days
+   * @param {number} days
+   * @returns {Promise<number>} Deleted rows
    */
-  async updateRTOFocusStatus(orderIds, newStatus, accountCode = null) {
+  async deleteUnusedServiceabilityCacheEntries(days = 30) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!orderIds || orderIds.length === 0) {
-      throw new Error('No order IDs provided');
-    }
-
     try {
-      const placeholders = orderIds.map(() => '?').join(',');
-      let query = `
-        UPDATE rto_tracking 
-        SET order_status = ?, is_focus = 0, updated_at = NOW()
-        WHERE order_id IN (${placeholders}) AND instance_number = 1
-      `;
-      const params = [newStatus, ...orderIds];
-
-      if (accountCode) {
-        query += ` AND account_code = ?`;
-        params.push(accountCode);
-      }
+      const [result] = await this.mysqlConnection.execute(
+        'DELETE FROM pincode_serviceability_cache WHERE last_requested_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+        [days]
+      );
 
-      const [result] = await this.mysqlConnection.execute(query, params);
-      console.log(`✅ [RTO] Updated ${result.affectedRows} RTO focus orders to status: ${newStatus}`);
-      return { affectedRows: result.affectedRows };
+      return result.affectedRows;
     } catch (error) {
-      console.error('❌ [RTO] Error updating RTO focus status:', error);
-      throw error;
+      console.error('Error deleting unused serviceability cache entries:', error);
+      throw new Error('Failed to delete unused serviceability cache entries');
     }
   }
 
   /**
-   * Get unprocessed delivered RTO orders with product details from orders table
-   * Filters: order_status in ('DEL', 'Delivered', 'RTO Delivered', 'RTO_Delivered'), is_delivered = 1, is_fetched = 0
-   * @returns {Promise<Array>} Array of unprocessed RTO orders with product details
+   * Cache size: entries, fresh/expired, entries whose last refresh failed, total hits
+   * @returns {Promise<Object>}
    */
-  async getUnprocessedRTODeliveredOrders() {
-    await this.waitForMySQLInitialization();
-
+  async getServiceabilityCacheSummary() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      const query = `
-        SELECT 
-          rt.id as rto_tracking_id,
-          rt.order_id,
-          rt.order_status,
-          rt.rto_wh,
-          o.product_code,
-          o.size,
-          o.quantity
-        FROM rto_tracking rt
-        INNER JOIN orders o ON rt.order_id = o.order_id AND rt.account_code = o.account_code
-        WHERE rt.order_status IN ('Delivered', 'RTO Delivered', 'RTO_Delivered')
-          AND rt.is_delivered = 1
-          AND rt.is_fetched = 0
-          AND rt.rto_wh IS NOT NULL
-          AND rt.rto_wh != ''
-        ORDER BY rt.order_id
-      `;
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT
+           COUNT(*) AS entries,
+           COALESCE(SUM(expires_at > NOW()), 0) AS fresh,
+           COALESCE(SUM(expires_at <= NOW()), 0) AS expired,
+           COALESCE(SUM(last_error IS NOT NULL), 0) AS with_errors,
+           COALESCE(SUM(hit_count), 0) AS total_hits,
+           MIN(fetched_at) AS oldest_fetched_at
+         FROM pincode_serviceability_cache`
+      );
 
-      const [rows] = await this.mysqlConnection.execute(query);
-      console.log(`📦 [RTO Inventory] Found ${rows.length} unprocessed delivered RTO orders`);
-      return rows;
+      const row = rows[0];
+      return {
+        entries: parseInt(row.entries),
+        fresh: parseInt(row.fresh),
+        expired: parseInt(row.expired),
+        with_errors: parseInt(row.with_errors),
+        total_hits: parseInt(row.total_hits),
+        oldest_fetched_at: row.oldest_fetched_at
+      };
     } catch (error) {
-      console.error('❌ [RTO Inventory] Error getting unprocessed RTO delivered orders:', error);
-      throw error;
+      console.error('Error getting serviceability cache summary:', error);
+      throw new Error('Failed to get serviceability cache summary from database');
     }
   }
 
   /**
-   * Upsert RTO inventory - insert new record or add to existing quantity
-   * @param {string} rtoWh - RTO warehouse name
-   * @param {string} productCode - Product code/SKU
-   * @param {string} size - Product size
-   * @param {number} quantity - Quantity to add
-   * @returns {Promise<Object>} Result of the upsert operation
+   * Vendor rate cards with the vendor's name, newest first
+   * @param {Object} filters - { vendor_id?, account_code?, active_on? (YYYY-MM-DD) }
+   * @returns {Promise<Array>}
    */
-  async upsertRTOInventory(rtoWh, productCode, size, quantity) {
-    await this.waitForMySQLInitialization();
-
+  async getVendorRateCards(filters = {}) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Use INSERT ... ON DUPLICATE KEY UPDATE for atomic upsert
-      const query = `
-        INSERT INTO rto_inventory (rto_wh, product_code, size, quantity)
-        VALUES (?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE 
-          quantity = quantity + VALUES(quantity),
-          updated_at = CURRENT_TIMESTAMP
-      `;
+      const conditions = [];
+      const params = [];
 
-      const [result] = await this.mysqlConnection.execute(query, [
-        rtoWh,
-        productCode,
-        size || '',
-        quantity
-      ]);
+      if (filters.vendor_id) {
+        conditions.push('rc.vendor_id = ?');
+        params.push(filters.vendor_id);
+      }
+      if (filters.account_code) {
+        conditions.push('(rc.account_code = ? OR rc.account_code IS NULL)');
+        params.push(filters.account_code);
+      }
+      if (filters.active_on) {
+        conditions.push('rc.effective_from <= ? AND (rc.effective_to IS NULL OR rc.effective_to >= ?)');
+        params.push(filters.active_on, filters.active_on);
+      }
 
-      console.log(`✅ [RTO Inventory] Upserted: rto_wh=${rtoWh}, product_code=${productCode}, size=${size}, qty=${quantity}`);
-      return result;
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT rc.*, u.name AS vendor_name, u.warehouseId AS vendor_warehouse_id
+         FROM vendor_rate_cards rc
+         LEFT JOIN users u ON u.id = rc.vendor_id
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY rc.vendor_id, rc.effective_from DESC, rc.id DESC`,
+        params
+      );
+
+      return rows;
     } catch (error) {
-      console.error('❌ [RTO Inventory] Error upserting RTO inventory:', error);
-      throw error;
+      console.error('Error getting vendor rate cards:', error);
+      throw new Error('Failed to get vendor rate cards from database');
     }
   }
 
   /**
-   * Mark RTO tracking records as fetched after successful inventory processing
-   * @param {Array<number>} rtoTrackingIds - Array of rto_tracking IDs to mark as fetched
-   * @returns {Promise<Object>} Result of the update operation
+   * Get a vendor rate card
+   * @param {number} id
+   * @returns {Promise<Object|null>}
    */
-  async markRTOTrackingAsFetched(rtoTrackingIds) {
-    await this.waitForMySQLInitialization();
-
+  async getVendorRateCardById(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!rtoTrackingIds || rtoTrackingIds.length === 0) {
-      return { affectedRows: 0 };
-    }
-
     try {
-      const placeholders = rtoTrackingIds.map(() => '?').join(', ');
-      const query = `
-        UPDATE rto_tracking 
-        SET is_fetched = 1, updated_at = CURRENT_TIMESTAMP
-        WHERE id IN (${placeholders})
-      `;
-
-      const [result] = await this.mysqlConnection.execute(query, rtoTrackingIds);
-      console.log(`✅ [RTO Inventory] Marked ${result.affectedRows} RTO tracking records as fetched`);
-      return result;
+      const [rows] = await this.mysqlConnection.execute('SELECT * FROM vendor_rate_cards WHERE id = ?', [id]);
+      return rows[0] || null;
     } catch (error) {
-      console.error('❌ [RTO Inventory] Error marking RTO tracking as fetched:', error);
-      throw error;
+      console.error('Error getting vendor rate card:', error);
+      throw new Error('Failed to get vendor rate card from database');
     }
   }
 
   /**
-   * Get RTO inventory summary
-   * @returns {Promise<Array>} Array of RTO inventory records
+   * Create or update a vendor rate card
+   * @param {Object} card - Validated vendor_rate_cards columns
+   * @param {number|null} id - Card to update, null to create
+   * @returns {Promise<Object>} Saved card
    */
-  async getRTOInventory() {
-    await this.waitForMySQLInitialization();
-
+  async saveVendorRateCard(card, id = null) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
+    const columns = ['vendor_id', 'account_code', 'product_category', 'sku_id', 'size', 'pricing_type', 'fixed_price',
+      'percentage', 'unit_cost', 'markup_percent', 'markup_amount', 'effective_from', 'effective_to', 'notes'];
+
     try {
-      const query = `
-        SELECT 
-          id,
-          rto_wh,
-          product_code,
-          size,
-          quantity,
-          created_at,
-          updated_at
-        FROM rto_inventory
-        ORDER BY rto_wh, product_code, size
-      `;
+      if (id) {
+        await this.mysqlConnection.execute(
+          `UPDATE vendor_rate_cards SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(column => card[column] ?? null), id]
+        );
+        return await this.getVendorRateCardById(id);
+      }
 
-      const [rows] = await this.mysqlConnection.execute(query);
-      return rows;
+      const [result] = await this.mysqlConnection.execute(
+        `INSERT INTO vendor_rate_cards (${columns.join(', ')}, created_by)
+         VALUES (${columns.map(() => '?').join(', ')}, ?)`,
+        [...columns.map(column => card[column] ?? null), card.created_by || null]
+      );
+      return await this.getVendorRateCardById(result.insertId);
     } catch (error) {
-      console.error('❌ [RTO Inventory] Error getting RTO inventory:', error);
-      throw error;
+      console.error('Error saving vendor rate card:', error);
+      throw new Error('Failed to save vendor rate card');
     }
   }
 
   /**
-   * Get RTO inventory with product names from products table
-   * Matches rto_inventory.product_code (without size suffix) to products.sku_id
-   * Uses account_code priority: STRI > DRIB > JERS for product name selection
-   * @returns {Promise<Array>} RTO inventory with product names
+   * Delete a vendor rate card (order credits it already priced keep their amount)
+   * @param {number} id
+   * @returns {Promise<boolean>} True when a card was deleted
    */
-  async getRTOInventoryWithProductNames() {
-    await this.waitForMySQLInitialization();
-
+  async deleteVendorRateCard(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      console.log('📦 [RTO Inventory] Fetching RTO inventory with product names...');
-
-      // Query that:
-      // 1. Strips size suffix from product_code to match sku_id
-      //    (product_code = "CLU-KRM-TH-25/26-16-18", size = "16-18" → base_sku = "CLU-KRM-TH-25/26")
-      // 2. Joins with products table
-      // 3. Uses account_code priority for product name selection when multiple matches exist
-      const query = `
-        WITH rto_with_products AS (
-          SELECT 
-            ri.id,
-            ri.rto_wh,
-            ri.product_code,
-            ri.size,
-            ri.quantity,
-            p.name as product_name,
-            p.account_code,
-            ROW_NUMBER() OVER (
-              PARTITION BY ri.id 
-              ORDER BY 
-                CASE p.account_code
-                  WHEN 'STRI' THEN 1
-                  WHEN 'DRIB' THEN 2
-                  WHEN 'JERS' THEN 3
-                  ELSE 4
-                END
-            ) as rn
-          FROM rto_inventory ri
-          LEFT JOIN products p ON ri.product_code = p.sku_id
-          WHERE ri.quantity > 0
-        )
-        SELECT 
-          id,
-          rto_wh as Location,
-          COALESCE(product_name, product_code) as Product_Name,
-          size as Size,
-          CAST(quantity AS SIGNED) as Quantity,
-          product_code,
-          product_code as base_sku
-        FROM rto_with_products
-        WHERE rn = 1
-        ORDER BY rto_wh, Product_Name, size
-      `;
-
-      const [rows] = await this.mysqlConnection.execute(query);
-      console.log(`📦 [RTO Inventory] Found ${rows.length} RTO entries with product names`);
-      return rows;
+      const [result] = await this.mysqlConnection.execute('DELETE FROM vendor_rate_cards WHERE id = ?', [id]);
+      return result.affectedRows > 0;
     } catch (error) {
-      console.error('❌ [RTO Inventory] Error getting RTO inventory with product names:', error);
-      throw error;
+      console.error('Error deleting vendor rate card:', error);
+      throw new Error('Failed to delete vendor rate card');
     }
   }
 
   /**
-   * Process delivered RTO orders and update inventory
-   * This is the main function that orchestrates the RTO inventory update process
-   * @returns {Promise<Object>} Processing result with stats
+   * Claim lines of a vendor with what rate card pricing needs, and the ledger credit when the line
+   * has already been credited
+   * @param {string} warehouseId - claims.claimed_by
+   * @param {Object} filters - { inPack?, dateFrom?, dateTo?, store? }; handed-over lines, or with inPack
+   *   the claimed lines not handed over yet. Dates are on the order date, as in vendor analytics.
+   * @returns {Promise<Array>}
    */
-  async processRTOInventory() {
-    await this.waitForMySQLInitialization();
-
-    if (!this.mysqlConnection) {
+  async getVendorClaimLines(warehouseId, filters = {}) {
+    const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      console.log('🚀 [RTO Inventory] Starting RTO inventory processing...');
-
-      // Get unprocessed delivered RTO orders
-      const unprocessedOrders = await this.getUnprocessedRTODeliveredOrders();
+      const conditions = ['c.claimed_by = ?'];
+      const params = [warehouseId];
 
-      if (unprocessedOrders.length === 0) {
-        console.log('✅ [RTO Inventory] No unprocessed RTO orders found');
-        return {
-          success: true,
-          processedCount: 0,
-          message: 'No unprocessed RTO orders found'
-        };
+      if (filters.inPack) {
+        conditions.push(`c.status IN ('claimed', 'ready_for_handover')`, '(l.is_handover IS NULL OR l.is_handover = 0)');
+      } else {
+        conditions.push('l.is_handover = 1');
       }
 
-      // Track processed IDs for marking as fetched
-      const processedIds = [];
-      let successCount = 0;
-      let errorCount = 0;
-
-      // Process each order
-      for (const order of unprocessedOrders) {
-        try {
-          // Strip size suffix from product_code before storing
-          // e.g. "CLU-ROM-TH-25/26-PV-XL" with size "XL" → "CLU-ROM-TH-25/26-PV"
-          let cleanProductCode = order.product_code;
-          const orderSize = order.size;
-          if (orderSize && cleanProductCode && cleanProductCode.endsWith(`-${orderSize}`)) {
-            cleanProductCode = cleanProductCode.slice(0, -(orderSize.length + 1));
-            console.log(`  🔧 Stripped size from product_code: "${order.product_code}" → "${cleanProductCode}"`);
-          }
-
-          await this.upsertRTOInventory(
-            order.rto_wh,
-            cleanProductCode,
-            order.size,
-            order.quantity || 1
-          );
-          processedIds.push(order.rto_tracking_id);
-          successCount++;
-        } catch (error) {
-          console.error(`❌ [RTO Inventory] Failed to process order ${order.order_id}:`, error.message);
-          errorCount++;
-        }
+      if (filters.dateFrom) {
+        conditions.push('o.order_date >= ?');
+        params.push(filters.dateFrom);
       }
-
-      // Mark processed orders as fetched
-      if (processedIds.length > 0) {
-        await this.markRTOTrackingAsFetched(processedIds);
+      if (filters.dateTo) {
+        conditions.push('o.order_date <= ?');
+        params.push(filters.dateTo + ' 23:59:59');
+      }
+      if (filters.store) {
+        const stores = Array.isArray(filters.store) ? filters.store : [filters.store];
+        const storeCodes = stores.filter(store => store && store !== 'all');
+        if (storeCodes.length > 0) {
+          conditions.push(`o.account_code IN (${storeCodes.map(() => '?').join(',')})`);
+          params.push(...storeCodes);
+        }
       }
 
-      console.log(`✅ [RTO Inventory] Processing completed: ${successCount} success, ${errorCount} errors`);
+      // line_amount: order_total_split is the line's share of the order total; older rows
+      // without it fall back to selling_price * quantity
+      const [rows] = await db.execute(
+        `SELECT
+           c.order_unique_id,
+           c.order_id,
+           o.account_code,
+           COALESCE(v.sku_id, o.normalized_product_code, o.product_code) AS sku_id,
+           COALESCE(v.size, o.size) AS size,
+           COALESCE(o.quantity, 1) AS quantity,
+           COALESCE(o.order_total_split, o.selling_price * COALESCE(o.quantity, 1), 0) AS line_amount,
+           p.product_type AS product_category,
+           l.handover_at,
+           t.amount AS credited_amount,
+           t.rate_card_id AS credited_rate_card_id
+         FROM claims c
+         JOIN orders o ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+         LEFT JOIN labels l ON l.order_id = c.order_id AND l.account_code = c.account_code
+         LEFT JOIN product_variants v ON v.id = o.variant_id
+         LEFT JOIN products p ON p.account_code = o.account_code AND p.sku_id = COALESCE(v.sku_id, o.normalized_product_code)
+         LEFT JOIN transactions t ON t.reference_key = CONCAT('order_credit:', c.account_code, ':', c.order_unique_id)
+         WHERE ${conditions.join(' AND ')}`,
+        params
+      );
 
-      return {
-        success: true,
-        processedCount: successCount,
-        errorCount: errorCount,
-        totalFound: unprocessedOrders.length,
-        message: `Processed ${successCount} RTO orders into inventory`
-      };
+      return rows;
     } catch (error) {
-      console.error('❌ [RTO Inventory] Error processing RTO inventory:', error);
-      throw error;
+      console.error('Error getting vendor claim lines:', error);
+      throw new Error('Failed to get vendor claim lines from database');
     }
   }
 
   /**
-   * Batch update RTO inventory quantities
-   * @param {Array} updates - Array of {id, quantity} objects
-   * @returns {Promise<Object>} Update result with count
+   * Vendor penalty rules, newest first
+   * @param {Object} filters - { rule_type?, account_code?, active_only? }
+   * @returns {Promise<Array>}
    */
-  async updateRTOInventoryBatch(updates) {
-    await this.waitForMySQLInitialization();
-
+  async getVendorPenaltyRules(filters = {}) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!updates || !Array.isArray(updates) || updates.length === 0) {
-      return { success: true, updatedCount: 0, message: 'No updates provided' };
-    }
-
     try {
-      console.log(`📦 [RTO Inventory] Batch updating ${updates.length} items...`);
-
-      let updatedCount = 0;
-      let errorCount = 0;
-
-      // Process each update individually (each UPDATE is atomic)
-      for (const update of updates) {
-        if (update.id === undefined || update.quantity === undefined) {
-          console.warn(`⚠️ [RTO Inventory] Skipping invalid update:`, update);
-          continue;
-        }
-
-        try {
-          const quantity = Math.max(0, parseInt(update.quantity) || 0);
-
-          const [result] = await this.mysqlConnection.execute(
-            `UPDATE rto_inventory SET quantity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
-            [quantity, update.id]
-          );
+      const conditions = [];
+      const params = [];
 
-          if (result.affectedRows > 0) {
-            updatedCount++;
-          }
-        } catch (updateError) {
-          console.error(`⚠️ [RTO Inventory] Failed to update id ${update.id}:`, updateError.message);
-          errorCount++;
-        }
+      if (filters.rule_type) {
+        conditions.push('rule_type = ?');
+        params.push(filters.rule_type);
+      }
+      if (filters.account_code) {
+        conditions.push('(account_code = ? OR account_code IS NULL)');
+        params.push(filters.account_code);
+      }
+      if (filters.active_only) {
+        conditions.push('is_active = 1');
       }
 
-      console.log(`✅ [RTO Inventory] Batch update completed: ${updatedCount} items updated, ${errorCount} errors`);
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT * FROM vendor_penalty_rules
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY rule_type, effective_from DESC, id DESC`,
+        params
+      );
 
-      return {
-        success: true,
-        updatedCount: updatedCount,
-        errorCount: errorCount,
-        message: `Successfully updated ${updatedCount} items`
-      };
+      return rows;
     } catch (error) {
-      console.error('❌ [RTO Inventory] Error batch updating inventory:', error);
-      throw error;
+      console.error('Error getting vendor penalty rules:', error);
+      throw new Error('Failed to get vendor penalty rules from database');
     }
   }
 
   /**
-   * Cleanup zero-quantity RTO inventory records older than 48 hours
-   * This should be called daily via cron job at 6 AM
-   * Deletes rows where quantity = 0 AND updated_at < NOW() - 48 hours
-   * @returns {Promise<Object>} Cleanup result with deleted count
+   * Get a vendor penalty rule
+   * @param {number} id
+   * @returns {Promise<Object|null>}
    */
-  async cleanupZeroQuantityRTOInventory() {
-    await this.waitForMySQLInitialization();
-
+  async getVendorPenaltyRuleById(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
-
-    try {
-      console.log('🧹 [RTO Inventory] Starting cleanup of zero-quantity records older than 48 hours...');
-
-      const [result] = await this.mysqlConnection.execute(`
-        DELETE FROM rto_inventory 
-        WHERE quantity = 0 
-          AND updated_at < DATE_SUB(NOW(), INTERVAL 48 HOUR)
-      `);
-
-      console.log(`✅ [RTO Inventory] Cleanup completed: ${result.affectedRows} records deleted`);
-
-      return {
-        success: true,
-        deletedCount: result.affectedRows,
-        message: `Deleted ${result.affectedRows} zero-quantity records older than 48 hours`
-      };
+
+    try {
+      const [rows] = await this.mysqlConnection.execute('SELECT * FROM vendor_penalty_rules WHERE id = ?', [id]);
+      return rows[0] || null;
     } catch (error) {
-      console.error('❌ [RTO Inventory] Error cleaning up zero-quantity inventory:', error);
-      throw error;
+      console.error('Error getting vendor penalty rule:', error);
+      throw new Error('Failed to get vendor penalty rule from database');
     }
   }
 
   /**
-   * Get distinct RTO warehouse locations for dropdown
-   * @returns {Promise<Array>} Array of unique rto_wh values
+   * Create or update a vendor penalty rule
+   * @param {Object} rule - Validated vendor_penalty_rules columns
+   * @param {number|null} id - Rule to update, null to create
+   * @returns {Promise<Object>} Saved rule
    */
-  async getDistinctRTOLocations() {
-    await this.waitForMySQLInitialization();
-
+  async saveVendorPenaltyRule(rule, id = null) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
+    const columns = ['name', 'rule_type', 'account_code', 'amount', 'max_amount', 'threshold_days', 'reason_keywords',
+      'is_active', 'effective_from'];
+
     try {
-      const query = `
-        SELECT DISTINCT rto_wh as location
-        FROM rto_inventory
-        WHERE rto_wh IS NOT NULL AND rto_wh != ''
-        ORDER BY rto_wh
-      `;
+      if (id) {
+        await this.mysqlConnection.execute(
+          `UPDATE vendor_penalty_rules SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(column => rule[column] ?? null), id]
+        );
+        return await this.getVendorPenaltyRuleById(id);
+      }
 
-      const [rows] = await this.mysqlConnection.execute(query);
-      console.log(`📍 [RTO Manual] Found ${rows.length} distinct locations`);
-      return rows.map(row => row.location);
+      const [result] = await this.mysqlConnection.execute(
+        `INSERT INTO vendor_penalty_rules (${columns.join(', ')}, created_by)
+         VALUES (${columns.map(() => '?').join(', ')}, ?)`,
+        [...columns.map(column => rule[column] ?? null), rule.created_by || null]
+      );
+      return await this.getVendorPenaltyRuleById(result.insertId);
     } catch (error) {
-      console.error('❌ [RTO Manual] Error getting distinct RTO locations:', error);
-      throw error;
+      console.error('Error saving vendor penalty rule:', error);
+      throw new Error('Failed to save vendor penalty rule');
     }
   }
 
   /**
-   * Get products for RTO dropdown with name and sku_id
-   * @returns {Promise<Array>} Array of products with name and sku_id
+   * Delete a vendor penalty rule (penalties it created stay, with their amount)
+   * @param {number} id
+   * @returns {Promise<boolean>} True when a rule was deleted
    */
-  async getProductsForRTODropdown() {
-    await this.waitForMySQLInitialization();
-
+  async deleteVendorPenaltyRule(id) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Get distinct product names with their sku_id
-      // Using priority: STRI > DRIB > JERS when same product appears with different account_codes
-      const query = `
-        WITH ranked_products AS (
-          SELECT 
-            name,
-            sku_id,
-            account_code,
-            ROW_NUMBER() OVER (
-              PARTITION BY sku_id 
-              ORDER BY 
-                CASE account_code
-                  WHEN 'STRI' THEN 1
-                  WHEN 'DRIB' THEN 2
-                  WHEN 'JERS' THEN 3
-                  ELSE 4
-                END
-            ) as rn
-          FROM products
-          WHERE name IS NOT NULL AND name != ''
-            AND sku_id IS NOT NULL AND sku_id != ''
-        )
-        SELECT name, sku_id
-        FROM ranked_products
-        WHERE rn = 1
-        ORDER BY name
-      `;
-
-      const [rows] = await this.mysqlConnection.execute(query);
-      console.log(`📦 [RTO Manual] Found ${rows.length} products for dropdown`);
-      return rows;
+      const [result] = await this.mysqlConnection.execute('DELETE FROM vendor_penalty_rules WHERE id = ?', [id]);
+      return result.affectedRows > 0;
     } catch (error) {
-      console.error('❌ [RTO Manual] Error getting products for dropdown:', error);
-      throw error;
+      console.error('Error deleting vendor penalty rule:', error);
+      throw new Error('Failed to delete vendor penalty rule');
     }
   }
 
   /**
-   * Get distinct sizes for a product based on product_code pattern
-   * Looks up sizes from orders table where product_code matches the sku_id pattern
-   * @param {string} skuId - The base SKU ID from products table
-   * @returns {Promise<Array>} Array of unique sizes
+   * Auto-reversed claims since a date that have no penalty yet, with the vendor who held them
+   * (claimed_by, or details.previous_claimed_by as written by autoReversalService)
+   * @param {Date|string} since
+   * @returns {Promise<Array>}
    */
-  async getSizesForProduct(skuId) {
-    await this.waitForMySQLInitialization();
-
-    if (!this.mysqlConnection) {
+  async getAutoReversalPenaltyEvents(since) {
+    const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      // Get sizes from orders where product_code starts with the sku_id
-      const query = `
-        SELECT DISTINCT size
-        FROM orders
-        WHERE product_code LIKE CONCAT(?, '%')
-          AND size IS NOT NULL 
-          AND size != ''
-        ORDER BY 
-          CASE size
-            WHEN 'S' THEN 1
-            WHEN 'M' THEN 2
-            WHEN 'L' THEN 3
-            WHEN 'XL' THEN 4
-            WHEN '2XL' THEN 5
-            WHEN '3XL' THEN 6
-            WHEN '4XL' THEN 7
-            WHEN '5XL' THEN 8
-            ELSE 9
-          END,
-          size
-      `;
+      const [rows] = await db.execute(
+        `SELECT
+           e.id AS event_id,
+           e.order_unique_id,
+           e.order_id,
+           e.account_code,
+           e.created_at AS event_at,
+           u.id AS vendor_id,
+           u.warehouseId AS warehouse_id
+         FROM order_events e
+         JOIN users u ON u.role = 'vendor'
+           AND u.warehouseId = COALESCE(e.claimed_by, JSON_UNQUOTE(JSON_EXTRACT(e.details, '$.previous_claimed_by')))
+         LEFT JOIN vendor_penalties vp ON vp.source_key = CONCAT('auto_reversal:', e.id)
+         WHERE e.event_type = 'auto_reversed'
+           AND e.created_at >= ?
+           AND vp.id IS NULL
+         ORDER BY e.id`,
+        [since]
+      );
 
-      const [rows] = await this.mysqlConnection.execute(query, [skuId]);
-      console.log(`📏 [RTO Manual] Found ${rows.length} sizes for sku_id: ${skuId}`);
-      return rows.map(row => row.size);
+      return rows;
     } catch (error) {
-      console.error('❌ [RTO Manual] Error getting sizes for product:', error);
-      throw error;
+      console.error('Error getting auto-reversal penalty events:', error);
+      throw new Error('Failed to get auto-reversal penalty events from database');
     }
   }
 
   /**
-   * Get vendor fulfillment statistics
-   * @param {Object} options - Filter options
-   * @param {string} options.vendorId - Vendor warehouse ID
-   * @param {string} options.dateFrom - Start date
-   * @param {string} options.dateTo - End date
-   * @param {string} options.store - Account code
-   * @returns {Promise<Object>} Statistics object
+   * RTO shipments (per order and vendor) first tracked since a date that have no penalty yet,
+   * with the NDR reasons recorded for the order
+   * @param {Date|string} since
+   * @returns {Promise<Array>}
    */
-  async getVendorFulfillmentStats(options = {}) {
-    const { vendorId, dateFrom, dateTo, store } = options;
+  async getRTOPenaltyShipments(since) {
     const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
+      throw new Error('MySQL connection not available');
+    }
 
     try {
-      let whereConditions = '1=1';
-      const params = [];
-
-      if (vendorId) {
-        if (Array.isArray(vendorId) && vendorId.length > 0) {
-          const placeholders = vendorId.map(() => '?').join(',');
-          whereConditions += ` AND c.claimed_by IN (${placeholders})`;
-          params.push(...vendorId);
-        } else if (typeof vendorId === 'string' && vendorId !== 'all') {
-          whereConditions += ' AND c.claimed_by = ?';
-          params.push(vendorId);
-        } else {
-          whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
-        }
-      } else {
-        whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
-      }
-
-      if (dateFrom) {
-        whereConditions += ' AND o.order_date >= ?';
-        params.push(dateFrom);
-      }
-      if (dateTo) {
-        whereConditions += ' AND o.order_date <= ?';
-        params.push(dateTo + ' 23:59:59');
-      }
-      if (store) {
-        if (Array.isArray(store) && store.length > 0) {
-          const placeholders = store.map(() => '?').join(',');
-          whereConditions += ` AND o.account_code IN (${placeholders})`;
-          params.push(...store);
-        } else if (typeof store === 'string' && store !== 'all') {
-          whereConditions += ' AND o.account_code = ?';
-          params.push(store);
-        }
-      }
-
-      const statsQuery = `
-        SELECT 
-          COUNT(DISTINCT o.unique_id) as total_claimed,
-          COALESCE(SUM(CASE WHEN l.is_handover = 1 THEN 1 ELSE 0 END), 0) as total_handed_over,
-          AVG(CASE WHEN l.is_handover = 1 AND l.handover_at IS NOT NULL AND c.claimed_at IS NOT NULL 
-              THEN TIMESTAMPDIFF(HOUR, c.claimed_at, l.handover_at) 
-              ELSE NULL END) as avg_handover_hours
-        FROM orders o
-        JOIN claims c ON o.unique_id = c.order_unique_id
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE ${whereConditions}
-      `;
-
-      const [rows] = await db.execute(statsQuery, params);
-      const stats = rows[0];
+      const [rows] = await db.execute(
+        `SELECT
+           r.order_id,
+           r.account_code,
+           MIN(r.created_at) AS event_at,
+           c.claimed_by AS warehouse_id,
+           u.id AS vendor_id,
+           GROUP_CONCAT(DISTINCT n.ndr_reason SEPARATOR ' | ') AS ndr_reasons
+         FROM rto_tracking r
+         JOIN claims c ON c.order_id = r.order_id AND c.account_code = r.account_code
+         JOIN users u ON u.role = 'vendor' AND u.warehouseId = c.claimed_by
+         LEFT JOIN ndr_cases n ON n.order_id = r.order_id AND n.account_code = r.account_code
+         LEFT JOIN vendor_penalties vp ON vp.source_key = CONCAT('rto_quality:', r.account_code, ':', r.order_id, ':', c.claimed_by)
+         WHERE vp.id IS NULL
+         GROUP BY r.order_id, r.account_code, c.claimed_by, u.id
+         HAVING MIN(r.created_at) >= ?`,
+        [since]
+      );
 
-      return {
-        totalClaimed: parseInt(stats.total_claimed || 0),
-        totalHandedOver: parseInt(stats.total_handed_over || 0),
-        pendingHandover: parseInt(stats.total_claimed || 0) - parseInt(stats.total_handed_over || 0),
-        avgHandoverHours: parseFloat(stats.avg_handover_hours || 0).toFixed(1),
-        fulfillmentRate: stats.total_claimed > 0
-          ? ((stats.total_handed_over / stats.total_claimed) * 100).toFixed(1)
-          : 0
-      };
+      return rows;
     } catch (error) {
-      console.error('Error in getVendorFulfillmentStats:', error);
-      throw error;
+      console.error('Error getting RTO penalty shipments:', error);
+      throw new Error('Failed to get RTO penalty shipments from database');
     }
   }
 
   /**
-   * Get vendor shipment status distribution
-   * @param {Object} options - Filter options
+   * Claim lines handed over since a date that took longer than the smaller of their store's
+   * criticality_days and minThresholdDays, and have no penalty yet
+   * @param {Date|string} since
+   * @param {number} defaultCriticalityDays - For stores without an auto-reversal policy
+   * @param {number} minThresholdDays - Smallest fixed threshold of the late handover rules
+   * @returns {Promise<Array>}
    */
-  async getVendorStatusDistribution(options = {}) {
-    const { vendorId, dateFrom, dateTo, store } = options;
+  async getLateHandoverPenaltyLines(since, defaultCriticalityDays, minThresholdDays) {
     const db = this.mysqlPool || this.mysqlConnection;
+    if (!db) {
+      throw new Error('MySQL connection not available');
+    }
 
     try {
-      let whereConditions = '1=1';
-      const params = [];
-
-      if (vendorId) {
-        if (Array.isArray(vendorId) && vendorId.length > 0) {
-          const placeholders = vendorId.map(() => '?').join(',');
-          whereConditions += ` AND c.claimed_by IN (${placeholders})`;
-          params.push(...vendorId);
-        } else if (typeof vendorId === 'string' && vendorId !== 'all') {
-          whereConditions += ' AND c.claimed_by = ?';
-          params.push(vendorId);
-        } else {
-          whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
-        }
-      } else {
-        whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
-      }
-
-      if (dateFrom) {
-        whereConditions += ' AND o.order_date >= ?';
-        params.push(dateFrom);
-      }
-      if (dateTo) {
-        whereConditions += ' AND o.order_date <= ?';
-        params.push(dateTo + ' 23:59:59');
-      }
-      if (store) {
-        if (Array.isArray(store) && store.length > 0) {
-          const placeholders = store.map(() => '?').join(',');
-          whereConditions += ` AND o.account_code IN (${placeholders})`;
-          params.push(...store);
-        } else if (typeof store === 'string' && store !== 'all') {
-          whereConditions += ' AND o.account_code = ?';
-          params.push(store);
-        }
-      }
-
-      // Grouping statuses as requested: Claimed, In Transit, Delivered, RTO Delivered, Pickup Failed, Others
-      const distQuery = `
-        SELECT 
-          CASE 
-            WHEN (l.current_shipment_status IS NULL OR l.current_shipment_status = '') AND c.status = 'claimed' THEN 'Claimed'
-            WHEN LOWER(l.current_shipment_status) IN ('in_transit', 'in transit', 'int') THEN 'In Transit'
-            WHEN LOWER(l.current_shipment_status) IN ('delivered', 'del', 'dlv') THEN 'Delivered'
-            WHEN LOWER(l.current_shipment_status) IN ('rto_delivered', 'rtd', 'rto delivered', 'returned', 'rto_dlv') THEN 'RTO Delivered'
-            WHEN LOWER(l.current_shipment_status) IN ('pickup_failed', 'shpfr3', 'pickup failed', 'failed', 'puf') THEN 'Pickup Failed'
-            ELSE 'Others'
-          END as status_group,
-          COUNT(DISTINCT o.unique_id) as count
-        FROM orders o
-        JOIN claims c ON o.unique_id = c.order_unique_id
-        LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-        WHERE ${whereConditions}
-        GROUP BY status_group
-        ORDER BY 
-          CASE status_group
-            WHEN 'Claimed' THEN 1
-            WHEN 'In Transit' THEN 2
-            WHEN 'Delivered' THEN 3
-            WHEN 'RTO Delivered' THEN 4
-            WHEN 'Pickup Failed' THEN 5
-            ELSE 6
-          END ASC
-      `;
+      const [rows] = await db.execute(
+        `SELECT
+           c.order_unique_id,
+           c.order_id,
+           c.account_code,
+           c.claimed_by AS warehouse_id,
+           u.id AS vendor_id,
+           o.order_date,
+           l.handover_at AS event_at,
+           COALESCE(p.criticality_days, ?) AS criticality_days,
+           TIMESTAMPDIFF(DAY, o.order_date, l.handover_at) AS days_to_handover
+         FROM claims c
+         JOIN orders o ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+         JOIN labels l ON l.order_id = c.order_id AND l.account_code = c.account_code
+         JOIN users u ON u.role = 'vendor' AND u.warehouseId = c.claimed_by
+         LEFT JOIN auto_reversal_policies p ON p.account_code = c.account_code
+         LEFT JOIN vendor_penalties vp ON vp.source_key = CONCAT('late_handover:', c.account_code, ':', c.order_unique_id)
+         WHERE l.is_handover = 1
+           AND l.handover_at >= ?
+           AND vp.id IS NULL
+           AND TIMESTAMPDIFF(DAY, o.order_date, l.handover_at) > LEAST(COALESCE(p.criticality_days, ?), ?)`,
+        [defaultCriticalityDays, since, defaultCriticalityDays, minThresholdDays]
+      );
 
-      const [rows] = await db.execute(distQuery, params);
-      return rows.map(r => ({ status: r.status_group, count: r.count }));
+      return rows;
     } catch (error) {
-      console.error('Error in getVendorStatusDistribution:', error);
-      throw error;
+      console.error('Error getting late handover penalty lines:', error);
+      throw new Error('Failed to get late handover penalty lines from database');
     }
   }
 
   /**
-   * Get vendor daily handover trend
-   * @param {Object} options - Filter options
+   * Vendor penalties with the vendor's name, newest first
+   * @param {Object} filters - { vendor_id?, status?, penalty_type?, account_code?, dateFrom?, dateTo?, limit? }
+   * @returns {Promise<Array>}
    */
-  async getVendorHandoverTrend(options = {}) {
-    const { vendorId, dateFrom, dateTo, store } = options;
-    const db = this.mysqlPool || this.mysqlConnection;
+  async getVendorPenalties(filters = {}) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
     try {
-      let whereConditions = '1=1';
+      const conditions = [];
       const params = [];
 
-      if (vendorId) {
-        if (Array.isArray(vendorId) && vendorId.length > 0) {
-          const placeholders = vendorId.map(() => '?').join(',');
-          whereConditions += ` AND c.claimed_by IN (${placeholders})`;
-          params.push(...vendorId);
-        } else if (typeof vendorId === 'string' && vendorId !== 'all') {
-          whereConditions += ' AND c.claimed_by = ?';
-          params.push(vendorId);
-        } else {
-          whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
+      ['vendor_id', 'status', 'penalty_type', 'account_code'].forEach(field => {
+        if (filters[field]) {
+          conditions.push(`vp.${field} = ?`);
+          params.push(filters[field]);
         }
-      } else {
-        whereConditions += " AND c.claimed_by IS NOT NULL AND c.claimed_by != ''";
-      }
-
-      if (dateFrom) {
-        whereConditions += ' AND o.order_date >= ?';
-        params.push(dateFrom);
-      }
-      if (dateTo) {
-        whereConditions += ' AND o.order_date <= ?';
-        params.push(dateTo + ' 23:59:59');
+      });
+      if (filters.dateFrom) {
+        conditions.push('vp.created_at >= ?');
+        params.push(filters.dateFrom);
       }
-      if (store) {
-        if (Array.isArray(store) && store.length > 0) {
-          const placeholders = store.map(() => '?').join(',');
-          whereConditions += ` AND o.account_code IN (${placeholders})`;
-          params.push(...store);
-        } else if (typeof store === 'string' && store !== 'all') {
-          whereConditions += ' AND o.account_code = ?';
-          params.push(store);
-        }
+      if (filters.dateTo) {
+        conditions.push('vp.created_at <= ?');
+        params.push(filters.dateTo + ' 23:59:59');
       }
 
-      // Query for both Claimed and Handover trends
-      // Claimed trend based on c.claimed_at
-      // Handover trend based on l.handover_at
-      const trendQuery = `
-        SELECT 
-          date_series.dt as date,
-          COALESCE(claimed.count, 0) as claimed_count,
-          COALESCE(handover.count, 0) as handover_count
-        FROM (
-          SELECT DISTINCT DATE(o.order_date) as dt
-          FROM orders o
-          JOIN claims c ON o.unique_id = c.order_unique_id
-          WHERE ${whereConditions}
-          UNION
-          SELECT DISTINCT DATE(l.handover_at) as dt
-          FROM orders o
-          JOIN claims c ON o.unique_id = c.order_unique_id
-          JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-          WHERE ${whereConditions} AND l.is_handover = 1 AND l.handover_at IS NOT NULL
-        ) date_series
-        LEFT JOIN (
-          SELECT DATE(c.claimed_at) as dt, COUNT(DISTINCT o.unique_id) as count
-          FROM orders o
-          JOIN claims c ON o.unique_id = c.order_unique_id
-          WHERE ${whereConditions} AND c.claimed_at IS NOT NULL
-          GROUP BY dt
-        ) claimed ON date_series.dt = claimed.dt
-        LEFT JOIN (
-          SELECT DATE(l.handover_at) as dt, COUNT(DISTINCT o.unique_id) as count
-          FROM orders o
-          JOIN claims c ON o.unique_id = c.order_unique_id
-          JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
-          WHERE ${whereConditions} AND l.is_handover = 1 AND l.handover_at IS NOT NULL
-          GROUP BY dt
-        ) handover ON date_series.dt = handover.dt
-        WHERE date_series.dt IS NOT NULL
-        ORDER BY date_series.dt ASC
-      `;
+      const limit = Math.min(parseInt(filters.limit, 10) || 500, 5000);
 
-      const [rows] = await db.execute(trendQuery, [...params, ...params, ...params, ...params]);
-      return rows;
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT vp.*, u.name AS vendor_name, r.name AS rule_name
+         FROM vendor_penalties vp
+         LEFT JOIN users u ON u.id = vp.vendor_id
+         LEFT JOIN vendor_penalty_rules r ON r.id = vp.rule_id
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY vp.created_at DESC, vp.id DESC
+         LIMIT ${limit}`,
+        params
+      );
+
+      return rows.map(row => ({ ...row, details: row.details ? JSON.parse(row.details) : null }));
     } catch (error) {
-      console.error('Error in getVendorHandoverTrend:', error);
-      throw error;
+      console.error('Error getting vendor penalties:', error);
+      throw new Error('Failed to get vendor penalties from database');
     }
   }
 
-  // ==================== CUSTOMER MESSAGE TRACKING METHODS ====================
+  /**
+   * Get a vendor penalty
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async getVendorPenaltyById(id) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT vp.*, u.name AS vendor_name, r.name AS rule_name
+         FROM vendor_penalties vp
+         LEFT JOIN users u ON u.id = vp.vendor_id
+         LEFT JOIN vendor_penalty_rules r ON r.id = vp.rule_id
+         WHERE vp.id = ?`,
+        [id]
+      );
+      if (rows.length === 0) return null;
+      return { ...rows[0], details: rows[0].details ? JSON.parse(rows[0].details) : null };
+    } catch (error) {
+      console.error('Error getting vendor penalty:', error);
+      throw new Error('Failed to get vendor penalty from database');
+    }
+  }
+
+  // ==================== VENDOR TEAM (MySQL) ====================
 
   /**
-   * Insert a new customer message tracking record
-   * @param {string} orderId - Order ID
-   * @param {string} accountCode - Account code
-   * @param {string} messageStatus - Message status (e.g., 'sent', 'pending', 'failed')
-   * @returns {Promise<Object>} Inserted record
+   * Get the team members of a vendor (users with vendor_owner_id = the vendor's user ID)
+   * @param {string} ownerId - Vendor (owner) user ID
+   * @returns {Promise<Array>} Members without password/token, with the number of orders each currently holds
    */
-  async insertCustomerMessageTracking(orderId, accountCode, messageStatus) {
+  async getVendorTeamMembers(ownerId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT
+           u.id, u.name, u.email, u.phone, u.role, u.vendor_role, u.vendor_owner_id, u.status,
+           u.lastLogin, u.createdAt, u.updatedAt,
+           COUNT(c.order_unique_id) AS open_claims
+         FROM users u
+         LEFT JOIN claims c ON c.claimed_by_user_id = u.id AND c.status IN ('claimed', 'ready_for_handover')
+         WHERE u.vendor_owner_id = ?
+         GROUP BY u.id
+         ORDER BY u.name ASC`,
+        [ownerId]
+      );
+      return rows.map(row => ({ ...row, open_claims: parseInt(row.open_claims, 10) || 0 }));
+    } catch (error) {
+      console.error('Error getting vendor team members:', error);
+      throw new Error('Failed to get vendor team members');
+    }
+  }
+
+  /**
+   * Delete all team members of a vendor (when the vendor account itself is deleted)
+   * @param {string} ownerId - Vendor (owner) user ID
+   * @returns {Promise<number>} Number of members deleted
+   */
+  async deleteVendorTeamMembers(ownerId) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [result] = await this.mysqlConnection.execute(
-        `INSERT INTO customer_message_tracking (order_id, account_code, message_status, sent_at)
-         VALUES (?, ?, ?, NOW())`,
-        [orderId, accountCode, messageStatus]
+        'DELETE FROM users WHERE vendor_owner_id = ?',
+        [ownerId]
       );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error deleting vendor team members:', error);
+      throw new Error('Failed to delete vendor team members');
+    }
+  }
 
-      return {
-        id: result.insertId,
-        order_id: orderId,
-        account_code: accountCode,
-        message_status: messageStatus,
-        sent_at: new Date()
-      };
+  // ==================== VENDOR CAPACITY (MySQL) ====================
+
+  /**
+   * Vendors (team members excluded) with their capacity row, if any
+   * @returns {Promise<Array>} [{ vendor_id, name, warehouseId, pincode, status, max_open_claims, max_per_sku_per_day, auto_allocation, notes, updated_by, updated_at }]
+   */
+  async getVendorCapacities() {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT
+           u.id AS vendor_id, u.name, u.warehouseId, u.pincode, u.status,
+           vc.max_open_claims, vc.max_per_sku_per_day, COALESCE(vc.auto_allocation, 0) AS auto_allocation,
+           vc.notes, vc.updated_by, vc.updated_at
+         FROM users u
+         LEFT JOIN vendor_capacity vc ON vc.vendor_id = u.id
+         WHERE u.role = 'vendor' AND u.vendor_owner_id IS NULL AND u.warehouseId IS NOT NULL
+         ORDER BY u.name ASC`
+      );
+      return rows.map(row => ({ ...row, auto_allocation: Boolean(row.auto_allocation) }));
     } catch (error) {
-      console.error('Error inserting customer message tracking:', error);
-      throw error;
+      console.error('Error getting vendor capacities:', error);
+      throw new Error('Failed to get vendor capacities');
     }
   }
 
   /**
-   * Get latest message status for multiple orders (bulk fetch)
-   * @param {Array<{order_id: string, account_code: string}>} orderAccountPairs - Array of order/account pairs
-   * @returns {Promise<Map>} Map of order_id+account_code -> latest message_status
+   * Get the capacity row of a vendor
+   * @param {string} vendorId - Vendor user ID
+   * @returns {Promise<Object|null>} Capacity row or null when the vendor uses the defaults
    */
-  async getLatestMessageStatusByOrders(orderAccountPairs) {
+  async getVendorCapacity(vendorId) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
-    if (!orderAccountPairs || orderAccountPairs.length === 0) {
-      return new Map();
+    try {
+      const [rows] = await this.mysqlConnection.execute(
+        'SELECT * FROM vendor_capacity WHERE vendor_id = ?',
+        [vendorId]
+      );
+      return rows.length > 0 ? { ...rows[0], auto_allocation: Boolean(rows[0].auto_allocation) } : null;
+    } catch (error) {
+      console.error('Error getting vendor capacity:', error);
+      throw new Error('Failed to get vendor capacity');
+    }
+  }
+
+  /**
+   * Create or replace the capacity row of a vendor
+   * @param {string} vendorId - Vendor user ID
+   * @param {Object} capacity - { max_open_claims, max_per_sku_per_day, auto_allocation, notes, updated_by }
+   * @returns {Promise<Object>} Saved capacity row
+   */
+  async saveVendorCapacity(vendorId, capacity) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
     }
 
     try {
-      // Build WHERE clause for all order/account combinations
-      const conditions = orderAccountPairs.map(() => '(order_id = ? AND account_code = ?)').join(' OR ');
-      const params = orderAccountPairs.flatMap(pair => [pair.order_id, pair.account_code]);
+      const values = [
+        capacity.max_open_claims ?? null,
+        capacity.max_per_sku_per_day ?? null,
+        capacity.auto_allocation ? 1 : 0,
+        capacity.notes || null,
+        capacity.updated_by || null
+      ];
 
-      const query = `
-        SELECT 
-          cmt1.order_id,
-          cmt1.account_code,
-          cmt1.message_status,
-          cmt1.sent_at
-        FROM customer_message_tracking cmt1
-        INNER JOIN (
-          SELECT order_id, account_code, MAX(sent_at) as max_sent_at
-          FROM customer_message_tracking
-          WHERE ${conditions}
-          GROUP BY order_id, account_code
-        ) cmt2 
-        ON cmt1.order_id = cmt2.order_id 
-        AND cmt1.account_code = cmt2.account_code 
-        AND cmt1.sent_at = cmt2.max_sent_at
-      `;
+      await this.mysqlConnection.execute(
+        `INSERT INTO vendor_capacity (vendor_id, max_open_claims, max_per_sku_per_day, auto_allocation, notes, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           max_open_claims = VALUES(max_open_claims),
+           max_per_sku_per_day = VALUES(max_per_sku_per_day),
+           auto_allocation = VALUES(auto_allocation),
+           notes = VALUES(notes),
+           updated_by = VALUES(updated_by)`,
+        [vendorId, ...values]
+      );
 
-      const [rows] = await this.mysqlConnection.execute(query, params);
+      return await this.getVendorCapacity(vendorId);
+    } catch (error) {
+      console.error('Error saving vendor capacity:', error);
+      throw new Error('Failed to save vendor capacity');
+    }
+  }
 
-      // Create map with composite key
-      const messageStatusMap = new Map();
-      rows.forEach(row => {
-        const key = `${row.order_id}|${row.account_code}`;
-        messageStatusMap.set(key, row.message_status);
-      });
+  /**
+   * Delete the capacity row of a vendor (the vendor falls back to the default limits)
+   * @param {string} vendorId - Vendor user ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteVendorCapacity(vendorId) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
 
-      return messageStatusMap;
+    try {
+      const [result] = await this.mysqlConnection.execute(
+        'DELETE FROM vendor_capacity WHERE vendor_id = ?',
+        [vendorId]
+      );
+      return result.affectedRows > 0;
     } catch (error) {
-      console.error('Error getting latest message status:', error);
-      throw error;
+      console.error('Error deleting vendor capacity:', error);
+      throw new Error('Failed to delete vendor capacity');
     }
   }
 
   /**
-   * Get utility parameter value from utility table
-   * @param {string} parameter - Parameter name
-   * @returns {Promise<string|null>} Parameter value or null if not found
+   * Open claims (status 'claimed') per vendor warehouse
+   * @returns {Promise<Object>} { [warehouseId]: count }
    */
-  async getUtilityValue(parameter) {
+  async getOpenClaimCountsByVendor() {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
       const [rows] = await this.mysqlConnection.execute(
-        'SELECT value FROM utility WHERE parameter = ?',
-        [parameter]
+        `SELECT claimed_by, COUNT(*) AS count
+         FROM claims
+         WHERE status = 'claimed' AND claimed_by IS NOT NULL AND claimed_by != ''
+         GROUP BY claimed_by`
       );
-
-      return rows.length > 0 ? rows[0].value : null;
+      return Object.fromEntries(rows.map(row => [row.claimed_by, Number(row.count)]));
     } catch (error) {
-      console.error('Error getting utility value:', error);
-      throw error;
+      console.error('Error getting open claim counts:', error);
+      throw new Error('Failed to get open claim counts');
     }
   }
 
   /**
-   * Set utility parameter value in utility table (insert or update)
-   * @param {string} parameter - Parameter name
-   * @param {string} value - Parameter value
-   * @param {string} createdBy - Who is setting this value (default: 'system')
-   * @returns {Promise<boolean>} True if successful
+   * Claims per vendor warehouse and SKU since a time (today's per-SKU usage)
+   * @param {string} since - 'YYYY-MM-DD HH:mm:ss', same clock as claims.claimed_at
+   * @param {string|null} warehouseId - Only this vendor
+   * @returns {Promise<Array>} [{ claimed_by, product_code, count }]
    */
-  async setUtilityValue(parameter, value, createdBy = 'system') {
+  async getSkuClaimCountsSince(since, warehouseId = null) {
     if (!this.mysqlConnection) {
       throw new Error('MySQL connection not available');
     }
 
     try {
-      await this.mysqlConnection.execute(
-        `INSERT INTO utility (parameter, value, created_by)
-         VALUES (?, ?, ?)
-         ON DUPLICATE KEY UPDATE value = ?, modified_at = NOW()`,
-        [parameter, value, createdBy, value]
+      const params = [since];
+      let vendorCondition = "c.claimed_by IS NOT NULL AND c.claimed_by != ''";
+      if (warehouseId) {
+        vendorCondition = 'c.claimed_by = ?';
+        params.push(warehouseId);
+      }
+
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT c.claimed_by, o.product_code, COUNT(*) AS count
+         FROM claims c
+         JOIN orders o ON o.unique_id = c.order_unique_id
+         WHERE c.claimed_at >= ? AND ${vendorCondition} AND o.product_code IS NOT NULL
+         GROUP BY c.claimed_by, o.product_code`,
+        params
       );
+      return rows.map(row => ({ ...row, count: Number(row.count) }));
+    } catch (error) {
+      console.error('Error getting SKU claim counts:', error);
+      throw new Error('Failed to get SKU claim counts');
+    }
+  }
 
-      return true;
+  /**
+   * Unclaimed order rows of active stores that have waited for a vendor for at least minAgeMinutes, oldest first
+   * @param {Object} options - { minAgeMinutes, limit, accountCode? }
+   * @returns {Promise<Array>} Order rows with the claim's last_claimed_by
+   */
+  async getAutoAllocationCandidates({ minAgeMinutes = 0, limit = 200, accountCode = null } = {}) {
+    if (!this.mysqlConnection) {
+      throw new Error('MySQL connection not available');
+    }
+
+    try {
+      const params = [minAgeMinutes];
+      let storeCondition = '';
+      if (accountCode) {
+        storeCondition = 'AND o.account_code = ?';
+        params.push(accountCode);
+      }
+
+      const [rows] = await this.mysqlConnection.execute(
+        `SELECT o.*, c.status, c.last_claimed_by
+         FROM orders o
+         JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
+         JOIN store_info s ON o.account_code = s.account_code AND s.status = 'active'
+         LEFT JOIN labels l ON o.order_id = l.order_id AND o.account_code = l.account_code
+         WHERE o.is_in_new_order = 1
+           AND c.status = 'unclaimed'
+           AND (c.claimed_by IS NULL OR c.claimed_by = '')
+           AND (l.current_shipment_status IS NULL OR l.current_shipment_status IN ('', 'unclaimed'))
+           AND o.created_timestamp <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+           ${storeCondition}
+         ORDER BY o.order_date ASC, o.order_id
+         LIMIT ${parseInt(limit, 10) || 200}`,
+        params
+      );
+      return rows;
     } catch (error) {
-      console.error('Error setting utility value:', error);
-      throw error;
+      console.error('Error getting auto-allocation candidates:', error);
+      throw new Error('Failed to get auto-allocation candidates');
     }
   }
 
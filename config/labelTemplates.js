@@ -0,0 +1,146 @@
+/**
+ * Label Template Catalog
+ * Built-in label layouts and validation of template layouts.
+ *
+ * A label template is data: page size, grid, margins, rotation and an optional
+ * packing-slip panel. Stores can override a built-in code or add their own codes
+ * through /api/label-templates; the label download `format` is the template code.
+ * All sizes are PDF points (72 per inch).
+ */
+
+const PAGE_SIZES = {
+  A4: { width: 595, height: 842 },
+  A5: { width: 420, height: 595 },
+  LETTER: { width: 612, height: 792 },
+  '4x6': { width: 288, height: 432 }
+};
+
+// Size of the courier's 4x6 label
+const COURIER_LABEL_SIZE = { width: 288, height: 432 };
+
+const DEFAULT_LAYOUT = {
+  passthrough: false,
+  page: PAGE_SIZES.A4,
+  columns: 1,
+  rows: 1,
+  margins: { top: 0, right: 0, bottom: 0, left: 0 },
+  gap: { x: 0, y: 0 },
+  rotation: 0,
+  scale: 'fit',
+  label_size: COURIER_LABEL_SIZE,
+  packing_slip: {
+    enabled: false,
+    position: 'right',
+    size: 160,
+    show_logo: true,
+    font_size: 8
+  }
+};
+
+const BUILTIN_TEMPLATES = {
+  thermal: {
+    name: 'Thermal (courier label as is)',
+    layout: { passthrough: true }
+  },
+  a4: {
+    name: 'A4, one label per page',
+    layout: { page: PAGE_SIZES.A4, scale: 'actual' }
+  },
+  'four-in-one': {
+    name: 'A4, four labels per page',
+    layout: {
+      page: PAGE_SIZES.A4,
+      columns: 2,
+      rows: 2,
+      margins: { top: 3, right: 8, bottom: 3, left: 8 },
+      gap: { x: 12, y: 12 },
+      scale: 'fit'
+    }
+  }
+};
+
+const isNumberInRange = (value, min, max) => typeof value === 'number' && isFinite(value) && value >= min && value <= max;
+
+/**
+ * Fill a (partial) layout with defaults; page may be a PAGE_SIZES name
+ * @param {Object} layout
+ * @returns {Object} Complete layout
+ */
+function normalizeLayout(layout = {}) {
+  const page = typeof layout.page === 'string' ? PAGE_SIZES[layout.page] : layout.page;
+  return {
+    ...DEFAULT_LAYOUT,
+    ...layout,
+    page: { ...DEFAULT_LAYOUT.page, ...page },
+    margins: { ...DEFAULT_LAYOUT.margins, ...layout.margins },
+    gap: { ...DEFAULT_LAYOUT.gap, ...layout.gap },
+    label_size: { ...DEFAULT_LAYOUT.label_size, ...layout.label_size },
+    packing_slip: { ...DEFAULT_LAYOUT.packing_slip, ...layout.packing_slip }
+  };
+}
+
+/**
+ * Validate a layout from a request body
+ * @param {Object} layout
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateLayout(layout) {
+  if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+    return 'layout must be an object';
+  }
+  if (typeof layout.page === 'string' && !PAGE_SIZES[layout.page]) {
+    return `Unknown page size: ${layout.page}. Use one of ${Object.keys(PAGE_SIZES).join(', ')} or { width, height }`;
+  }
+
+  const full = normalizeLayout(layout);
+  if (full.passthrough) return null;
+
+  if (!isNumberInRange(full.page.width, 72, 2000) || !isNumberInRange(full.page.height, 72, 2000)) {
+    return 'page width and height must be between 72 and 2000 points';
+  }
+  if (!Number.isInteger(full.columns) || !Number.isInteger(full.rows) || !isNumberInRange(full.columns, 1, 6) || !isNumberInRange(full.rows, 1, 6)) {
+    return 'columns and rows must be whole numbers from 1 to 6';
+  }
+  const spacing = [...Object.values(full.margins), ...Object.values(full.gap)];
+  if (spacing.some(value => !isNumberInRange(value, 0, 500))) {
+    return 'margins and gap must be between 0 and 500 points';
+  }
+  if (![0, 90, 180, 270].includes(full.rotation)) {
+    return 'rotation must be 0, 90, 180 or 270';
+  }
+  if (!['fit', 'actual'].includes(full.scale)) {
+    return 'scale must be "fit" or "actual"';
+  }
+  if (!isNumberInRange(full.label_size.width, 72, 2000) || !isNumberInRange(full.label_size.height, 72, 2000)) {
+    return 'label_size width and height must be between 72 and 2000 points';
+  }
+
+  const cellWidth = (full.page.width - full.margins.left - full.margins.right - full.gap.x * (full.columns - 1)) / full.columns;
+  const cellHeight = (full.page.height - full.margins.top - full.margins.bottom - full.gap.y * (full.rows - 1)) / full.rows;
+  if (cellWidth < 72 || cellHeight < 72) {
+    return 'margins and gaps leave less than 72 points per label';
+  }
+
+  const slip = full.packing_slip;
+  if (slip.enabled) {
+    if (!['right', 'bottom'].includes(slip.position)) {
+      return 'packing_slip.position must be "right" or "bottom"';
+    }
+    const available = slip.position === 'right' ? cellWidth : cellHeight;
+    if (!isNumberInRange(slip.size, 40, available - 40)) {
+      return `packing_slip.size must be between 40 and ${Math.floor(available - 40)} points for this layout`;
+    }
+    if (!isNumberInRange(slip.font_size, 5, 14)) {
+      return 'packing_slip.font_size must be between 5 and 14';
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  PAGE_SIZES,
+  BUILTIN_TEMPLATES,
+  normalizeLayout,
+  validateLayout
+};
@@ -0,0 +1,100 @@
+/**
+ * Permission Catalog
+ * Named permissions checked by requirePermission() and the default (system) roles.
+ *
+ * Roles are permission sets stored in MySQL (roles / role_permissions). The system roles
+ * below are seeded on startup; custom roles are managed through /api/admin/roles.
+ * A user's permissions come from users.access_role when set, otherwise from users.role.
+ */
+
+const PERMISSIONS = {
+  'orders:view_all': 'View all orders and admin order dashboards',
+  'orders:assign': 'Assign and unassign orders to vendors',
+  'orders:refresh': 'Refresh orders from the shipping partner',
+  'orders:reverse': 'Run and monitor auto-reversal of expired claims',
+  'carriers:view': 'View carriers and carrier priorities',
+  'carriers:edit': 'Sync, upload, reorder and delete carriers; assign priority carriers',
+  'warehouses:view': 'Look up and validate shipping partner warehouses',
+  'warehouse_mapping:view': 'View vendor warehouse mappings',
+  'warehouse_mapping:manage': 'Create and delete vendor warehouse mappings',
+  'inventory:view': 'View aggregated inventory, critical orders and new products',
+  'rto:view': 'View RTO inventory and RTO focus orders',
+  'rto:edit': 'Upload RTO details, edit RTO inventory and process delivered RTOs',
+  'settlements:view': 'View and export settlement requests',
+  'settlements:approve': 'Approve and reject settlement requests',
+  'notifications:create': 'Raise notifications',
+  'notifications:view': 'View notifications and notification stats',
+  'notifications:manage': 'Update, resolve and dismiss notifications',
+  'notifications:delete': 'Delete notifications',
+  'vendors:view': 'View vendor lists, stats and reports',
+  'vendors:manage': 'Create, update and delete vendors',
+  'users:manage': 'Manage all users, including admins',
+  'stores:view': 'List stores for filters',
+  'stores:manage': 'Create, edit, sync and delete stores',
+  'analytics:view': 'View admin analytics',
+  'scheduler:view': 'View scheduled jobs and run history',
+  'scheduler:run': 'Trigger scheduled jobs manually',
+  'tasks:view_all': 'View and cancel background jobs started by other users',
+  'webhooks:trigger': 'Trigger outgoing webhooks manually',
+  'roles:manage': 'Manage roles and user access roles'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Superadmin always has every permission; its permission set is not stored or editable
+const SUPERADMIN_ROLE = 'superadmin';
+
+// Admin defaults match the access admins had before permissions existed
+const ADMIN_EXCLUDED_PERMISSIONS = ['users:manage', 'stores:manage', 'notifications:delete', 'roles:manage'];
+
+const SYSTEM_ROLES = {
+  superadmin: {
+    description: 'Full access',
+    permissions: ALL_PERMISSIONS
+  },
+  admin: {
+    description: 'Operations admin',
+    permissions: ALL_PERMISSIONS.filter(permission => !ADMIN_EXCLUDED_PERMISSIONS.includes(permission))
+  },
+  vendor: {
+    description: 'Vendor',
+    permissions: ['notifications:create']
+  }
+};
+
+// Sub-roles of vendor team accounts (users with vendor_owner_id set) and what each may use in the
+// vendor panel. The vendor's own account is the owner. Capabilities are checked by requireVendorCapability().
+const VENDOR_TEAM_ROLES = {
+  owner: {
+    description: 'Vendor account owner',
+    capabilities: ['orders', 'settlements', 'analytics', 'team']
+  },
+  supervisor: {
+    description: 'Runs the warehouse floor',
+    capabilities: ['orders', 'analytics']
+  },
+  packer: {
+    description: 'Claims orders and prints labels',
+    capabilities: ['orders']
+  },
+  accountant: {
+    description: 'Settlements, payments and penalties',
+    capabilities: ['settlements', 'analytics']
+  }
+};
+
+/**
+ * Whether a permission name is in the catalog
+ * @param {string} permission
+ * @returns {boolean}
+ */
+const isKnownPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  SUPERADMIN_ROLE,
+  SYSTEM_ROLES,
+  VENDOR_TEAM_ROLES,
+  isKnownPermission
+};
@@ -1,4 +1,8 @@
 const database = require('../config/database');
+const rtoAnalyticsService = require('../services/rtoAnalyticsService');
+const vendorRateCardService = require('../services/vendorRateCardService');
+
+const RTO_REPORTS = ['breakdown', 'aging', 'lost_in_transit'];
 
 /**
  * Analytics Controller
@@ -37,11 +41,17 @@ class AnalyticsController {
                 store
             };
 
+            // Rate card payouts are keyed by the vendor's user ID
+            const vendor = requester.role === 'vendor'
+                ? req.vendor
+                : await database.getUserByWarehouseId(targetVendorId);
+
             // Fetch all analytics data in parallel
-            const [stats, distribution, trend] = await Promise.all([
+            const [stats, distribution, trend, earnings] = await Promise.all([
                 database.getVendorFulfillmentStats(options),
                 database.getVendorStatusDistribution(options),
-                database.getVendorHandoverTrend(options)
+                database.getVendorHandoverTrend(options),
+                vendor ? vendorRateCardService.getVendorEarnings(vendor, { dateFrom, dateTo, store }) : null
             ]);
 
             res.json({
@@ -58,7 +68,8 @@ class AnalyticsController {
                         date: t.date,
                         count: t.handover_count,
                         claimed_count: t.claimed_count
-                    }))
+                    })),
+                    earnings
                 }
             });
         } catch (error) {
@@ -118,6 +129,73 @@ class AnalyticsController {
             });
         }
     }
+
+    /**
+     * Get RTO analytics: rates by dimension, aging, lost-in-transit candidates and freight estimate
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async getRTOAnalytics(req, res) {
+        try {
+            const groupBy = req.query.group_by || 'pincode';
+            if (!rtoAnalyticsService.DIMENSIONS.includes(groupBy)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `group_by must be one of: ${rtoAnalyticsService.DIMENSIONS.join(', ')}`
+                });
+            }
+
+            const report = await rtoAnalyticsService.getReport(req.query);
+
+            res.json({
+                success: true,
+                data: report
+            });
+        } catch (error) {
+            console.error('Error in getRTOAnalytics:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error'
+            });
+        }
+    }
+
+    /**
+     * Export one RTO analytics section as CSV
+     * @param {Object} req - Express request object
+     * @param {Object} res - Express response object
+     */
+    async exportRTOAnalytics(req, res) {
+        try {
+            const { report = 'breakdown', group_by: groupBy = 'pincode' } = req.query;
+
+            if (!RTO_REPORTS.includes(report)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `report must be one of: ${RTO_REPORTS.join(', ')}`
+                });
+            }
+            if (!rtoAnalyticsService.DIMENSIONS.includes(groupBy)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `group_by must be one of: ${rtoAnalyticsService.DIMENSIONS.join(', ')}`
+                });
+            }
+
+            const csvContent = await rtoAnalyticsService.exportCSV(report, req.query);
+            const name = report === 'breakdown' ? `rto_by_${groupBy}` : `rto_${report}`;
+
+            res.setHeader('Content-Type', 'text/csv');
+            res.setHeader('Content-Disposition', `attachment; filename=${name}_${new Date().toISOString().split('T')[0]}.csv`);
+            res.send(csvContent);
+        } catch (error) {
+            console.error('Error in exportRTOAnalytics:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export RTO analytics'
+            });
+        }
+    }
 }
 
 module.exports = new AnalyticsController();
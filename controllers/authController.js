@@ -1,10 +1,45 @@
 const database = require('../config/database');
-const { hashPassword, comparePassword, encodeBasicAuth } = require('../middleware/auth');
+const { hashPassword, comparePassword, encodeBasicAuth, isBasicAuthEnabled, resolveVendorAccount, AuthenticationError } = require('../middleware/auth');
 const userSessionService = require('../services/userSessionService');
+const permissionService = require('../services/permissionService');
+
+/**
+ * Device details stored with a new session
+ * @param {Object} req - Express request object
+ * @returns {Object} { deviceName, userAgent, ipAddress }
+ */
+const getSessionMeta = (req) => ({
+  deviceName: req.body.device_name || null,
+  userAgent: req.headers['user-agent'] || null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Resolve the user a sign-in is for. Vendor team members are refused (401) once their vendor
+ * account is deactivated and otherwise get the vendor's warehouseId, as on every request.
+ * @param {Object} user - Verified user row
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} User as seen by the API, or null when the sign-in was refused
+ */
+const resolveSignInUser = async (user, res) => {
+  try {
+    const { user: account } = await resolveVendorAccount(user);
+    return account;
+  } catch (error) {
+    if (!(error instanceof AuthenticationError)) {
+      throw error;
+    }
+    res.status(401).json({
+      success: false,
+      message: error.message
+    });
+    return null;
+  }
+};
 
 /**
  * Authentication Controller
- * Handles user authentication and profile management with Basic Auth
+ * Handles user authentication, device sessions (access/refresh tokens) and profile management
  */
 class AuthController {
   /**
@@ -42,36 +77,37 @@ class AuthController {
         });
       }
 
+      const account = await resolveSignInUser(user, res);
+      if (!account) return;
+
       // Update last login
       await database.updateUser(user.id, { lastLogin: new Date() });
 
-      // Generate Basic Auth header for client
-      const basicAuthHeader = encodeBasicAuth(email, password);
-
-      // If user has warehouseId (vendor), set active session and get token
-      let vendorToken = null;
-      if (user.warehouseId) {
+      // If user is a vendor (or vendor team member), set active session
+      if (user.role === 'vendor') {
         try {
           // Ensure tokens and sessions are initialized for this specific user
           await userSessionService.ensureUserTokenAndSession(user.id);
-          // Login vendor and get token
-          vendorToken = await userSessionService.loginVendor(user.warehouseId);
+          await userSessionService.loginVendor(user.id);
         } catch (error) {
           console.error('Error setting vendor session:', error);
         }
       }
 
+      // Start a session for this device
+      const tokens = await userSessionService.createSession(user, getSessionMeta(req));
+
       // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+      const { password: _, ...userWithoutPassword } = account;
+      const permissions = await permissionService.getPermissionsForUser(user);
 
       res.json({
         success: true,
         message: 'Login successful',
         data: {
           user: userWithoutPassword,
-          authHeader: basicAuthHeader,
-          authType: 'Basic',
-          vendorToken: vendorToken // Include vendor token for frontend
+          permissions: [...permissions],
+          ...tokens
         }
       });
 
@@ -119,22 +155,26 @@ class AuthController {
         });
       }
 
+      const account = await resolveSignInUser(user, res);
+      if (!account) return;
+
       // Update last login
       await database.updateUser(user.id, { lastLogin: new Date() });
 
-      // Generate Basic Auth header for client
-      const basicAuthHeader = encodeBasicAuth(user.email, password);
+      // Start a session for this device
+      const tokens = await userSessionService.createSession(user, getSessionMeta(req));
 
       // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+      const { password: _, ...userWithoutPassword } = account;
+      const permissions = await permissionService.getPermissionsForUser(user);
 
       res.json({
         success: true,
         message: 'Login successful',
         data: {
           user: userWithoutPassword,
-          authHeader: basicAuthHeader,
-          authType: 'Basic'
+          permissions: [...permissions],
+          ...tokens
         }
       });
 
@@ -158,10 +198,11 @@ class AuthController {
       
       // Remove password from response
       const { password, ...userWithoutPassword } = user;
+      const permissions = await permissionService.getPermissionsForUser(user);
 
       res.json({
         success: true,
-        data: userWithoutPassword
+        data: { ...userWithoutPassword, permissions: [...permissions] }
       });
 
     } catch (error) {
@@ -211,14 +252,21 @@ class AuthController {
 
       // Invalidate vendor session if user is a vendor
       try {
-        if (user.warehouseId) {
+        if (user.role === 'vendor') {
           await userSessionService.ensureUserTokenAndSession(user.id);
-          await userSessionService.logoutVendor(user.warehouseId);
+          await userSessionService.logoutVendor(user.id);
         }
       } catch (e) {
         console.warn('Warning: failed to invalidate vendor session on password change:', e.message);
       }
 
+      // Sign out all other devices; the device that changed the password stays signed in
+      try {
+        await userSessionService.revokeAllSessions(user, 'password_change', req.sessionId);
+      } catch (e) {
+        console.warn('Warning: failed to revoke sessions on password change:', e.message);
+      }
+
       if (!updatedUser) {
         return res.status(500).json({
           success: false,
@@ -226,16 +274,9 @@ class AuthController {
         });
       }
 
-      // Generate new Basic Auth header with new password
-      const newBasicAuthHeader = encodeBasicAuth(user.email, newPassword);
-
       res.json({
         success: true,
-        message: 'Password changed successfully',
-        data: {
-          authHeader: newBasicAuthHeader,
-          authType: 'Basic'
-        }
+        message: 'Password changed successfully'
       });
 
     } catch (error) {
@@ -307,14 +348,21 @@ class AuthController {
 
       // Invalidate vendor session if user is a vendor
       try {
-        if (user.warehouseId) {
+        if (user.role === 'vendor') {
           await userSessionService.ensureUserTokenAndSession(user.id);
-          await userSessionService.logoutVendor(user.warehouseId);
+          await userSessionService.logoutVendor(user.id);
         }
       } catch (e) {
         console.warn('Warning: failed to invalidate vendor session on password change:', e.message);
       }
 
+      // Sign out all devices
+      try {
+        await userSessionService.revokeAllSessions(user, 'password_change');
+      } catch (e) {
+        console.warn('Warning: failed to revoke sessions on password change:', e.message);
+      }
+
       if (!updatedUser) {
         return res.status(500).json({
           success: false,
@@ -373,14 +421,21 @@ class AuthController {
 
       // Invalidate vendor session if target user is a vendor
       try {
-        if (targetUser.warehouseId) {
+        if (targetUser.role === 'vendor') {
           await userSessionService.ensureUserTokenAndSession(targetUser.id);
-          await userSessionService.logoutVendor(targetUser.warehouseId);
+          await userSessionService.logoutVendor(targetUser.id);
         }
       } catch (e) {
         console.warn('Warning: failed to invalidate vendor session on admin password change:', e.message);
       }
 
+      // Sign out all of the target user's devices
+      try {
+        await userSessionService.revokeAllSessions(targetUser, 'password_change');
+      } catch (e) {
+        console.warn('Warning: failed to revoke sessions on admin password change:', e.message);
+      }
+
       if (!updatedUser) {
         return res.status(500).json({
           success: false,
@@ -408,19 +463,25 @@ class AuthController {
   }
 
   /**
-   * Logout user (client-side auth header removal)
+   * Logout the current device
+   * Revokes the session of the Bearer access token, or of the refresh token in the body.
+   * Basic Auth clients log out client-side by removing the Authorization header.
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async logout(req, res) {
     try {
-      // In Basic Auth, logout is handled client-side
-      // by removing the Authorization header
-      // No need to track logout time since user is not authenticated
+      const { refreshToken } = req.body || {};
+
+      if (req.user && req.sessionId) {
+        await userSessionService.revokeSession(req.user, req.sessionId, 'logout');
+      } else if (refreshToken) {
+        await userSessionService.revokeSessionByRefreshToken(refreshToken, 'logout');
+      }
 
       res.json({
         success: true,
-        message: 'Logout successful. Please remove the Authorization header from your requests.'
+        message: 'Logout successful'
       });
 
     } catch (error) {
@@ -433,7 +494,131 @@ class AuthController {
   }
 
   /**
-   * Verify Basic Auth credentials
+   * Logout all devices of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async logoutAll(req, res) {
+    try {
+      const revokedCount = await userSessionService.revokeAllSessions(req.user, 'logout_all');
+
+      res.json({
+        success: true,
+        message: 'Logged out from all devices',
+        data: { revokedSessions: revokedCount }
+      });
+
+    } catch (error) {
+      console.error('Logout all error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token (the refresh token is rotated)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async refreshToken(req, res) {
+    try {
+      const { refreshToken } = req.body || {};
+
+      if (!refreshToken) {
+        return res.status(400).json({
+          success: false,
+          message: 'refreshToken is required'
+        });
+      }
+
+      const result = await userSessionService.refreshSession(refreshToken, {
+        userAgent: req.headers['user-agent'] || null,
+        ipAddress: req.ip || null
+      });
+
+      if (!result) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired refresh token. Please sign in again.',
+          code: 'INVALID_REFRESH_TOKEN'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Token refreshed',
+        data: result.tokens
+      });
+
+    } catch (error) {
+      console.error('Refresh token error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * List the signed-in devices of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await userSessionService.listSessions(req.user.id);
+
+      res.json({
+        success: true,
+        data: sessions.map(session => ({
+          ...session,
+          current: session.id === req.sessionId
+        }))
+      });
+
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Sign out one device of the current user
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async revokeSession(req, res) {
+    try {
+      const revoked = await userSessionService.revokeSession(req.user, req.params.sessionId, 'revoked_by_user');
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Session revoked'
+      });
+
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Verify the request's credentials (access token or Basic Auth)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
@@ -443,11 +628,12 @@ class AuthController {
       
       // Remove password from response
       const { password, ...userWithoutPassword } = user;
+      const permissions = await permissionService.getPermissionsForUser(user);
 
       res.json({
         success: true,
-        message: 'Basic Auth credentials are valid',
-        data: userWithoutPassword
+        message: `${req.authType} credentials are valid`,
+        data: { ...userWithoutPassword, permissions: [...permissions] }
       });
 
     } catch (error) {
@@ -460,12 +646,19 @@ class AuthController {
   }
 
   /**
-   * Generate Basic Auth header for testing
+   * Generate Basic Auth header for testing (only while ALLOW_BASIC_AUTH=true)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async generateAuthHeader(req, res) {
     try {
+      if (!isBasicAuthEnabled()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Basic Auth is disabled. Sign in with POST /api/auth/login and use the access token.'
+        });
+      }
+
       const { email, password } = req.body;
 
       if (!email || !password) {
@@ -500,27 +693,28 @@ class AuthController {
         });
       }
 
+      const account = await resolveSignInUser(user, res);
+      if (!account) return;
+
       // Update last login
       await database.updateUser(user.id, { lastLogin: new Date() });
 
       // Generate Basic Auth header
       const basicAuthHeader = encodeBasicAuth(email, password);
 
-      // If user has warehouseId (vendor), set active session and get token
-      let vendorToken = null;
-      if (user.warehouseId) {
+      // If user is a vendor (or vendor team member), set active session
+      if (user.role === 'vendor') {
         try {
           // Ensure tokens and sessions are initialized for this specific user
           await userSessionService.ensureUserTokenAndSession(user.id);
-          // Login vendor and get token
-          vendorToken = await userSessionService.loginVendor(user.warehouseId);
+          await userSessionService.loginVendor(user.id);
         } catch (error) {
           console.error('Error setting vendor session:', error);
         }
       }
 
       // Remove password from response
-      const { password: _, ...userWithoutPassword } = user;
+      const { password: _, ...userWithoutPassword } = account;
 
       res.json({
         success: true,
@@ -529,7 +723,6 @@ class AuthController {
           user: userWithoutPassword,
           authHeader: basicAuthHeader,
           authType: 'Basic',
-          vendorToken: vendorToken, // Include vendor token for frontend
           usage: 'Include this header in your requests: Authorization: ' + basicAuthHeader
         }
       });
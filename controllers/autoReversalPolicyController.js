@@ -0,0 +1,190 @@
+/**
+ * Auto-Reversal Policy Controller
+ * Admin management of per-store claim expiry, expiry warning and criticality policies
+ */
+
+const database = require('../config/database');
+const autoReversalService = require('../services/autoReversalService');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isIntegerInRange = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate a policy from a request body, filling omitted fields from the current policy
+ * @param {Object} body - Request body
+ * @param {Object} current - Current effective policy of the store
+ * @returns {{ error: string|null, policy: Object }}
+ */
+const buildPolicy = (body, current) => {
+  const policy = {
+    auto_reversal_enabled: body.auto_reversal_enabled !== undefined ? body.auto_reversal_enabled : current.auto_reversal_enabled,
+    claim_expiry_hours: body.claim_expiry_hours !== undefined ? body.claim_expiry_hours : current.claim_expiry_hours,
+    warning_hours: body.warning_hours !== undefined ? body.warning_hours : current.warning_hours,
+    criticality_days: body.criticality_days !== undefined ? body.criticality_days : current.criticality_days,
+    exclude_weekends: body.exclude_weekends !== undefined ? body.exclude_weekends : current.exclude_weekends,
+    holidays: body.holidays !== undefined ? body.holidays : current.holidays,
+    exempt_vendors: body.exempt_vendors !== undefined ? body.exempt_vendors : current.exempt_vendors
+  };
+
+  if (typeof policy.auto_reversal_enabled !== 'boolean' || typeof policy.exclude_weekends !== 'boolean') {
+    return { error: 'auto_reversal_enabled and exclude_weekends must be booleans', policy };
+  }
+  if (!isIntegerInRange(policy.claim_expiry_hours, 1, 720)) {
+    return { error: 'claim_expiry_hours must be a whole number between 1 and 720', policy };
+  }
+  if (!isIntegerInRange(policy.warning_hours, 0, policy.claim_expiry_hours - 1)) {
+    return { error: 'warning_hours must be a whole number from 0 (no warning) to claim_expiry_hours - 1', policy };
+  }
+  if (!isIntegerInRange(policy.criticality_days, 1, 365)) {
+    return { error: 'criticality_days must be a whole number between 1 and 365', policy };
+  }
+  if (!Array.isArray(policy.holidays) || policy.holidays.some(date => !DATE_PATTERN.test(date) || isNaN(Date.parse(date)))) {
+    return { error: 'holidays must be an array of dates (YYYY-MM-DD)', policy };
+  }
+  if (!Array.isArray(policy.exempt_vendors) || policy.exempt_vendors.some(id => typeof id !== 'string' || !id.trim())) {
+    return { error: 'exempt_vendors must be an array of vendor warehouse IDs', policy };
+  }
+
+  policy.holidays = [...new Set(policy.holidays)].sort();
+  policy.exempt_vendors = [...new Set(policy.exempt_vendors.map(id => id.trim()))];
+  return { error: null, policy };
+};
+
+class AutoReversalPolicyController {
+  /**
+   * List stored policies and the defaults used by stores without one
+   */
+  async getPolicies(req, res) {
+    try {
+      const policies = await database.getAutoReversalPolicies();
+
+      res.json({
+        success: true,
+        data: {
+          defaults: autoReversalService.getDefaultPolicy(),
+          policies
+        }
+      });
+    } catch (error) {
+      console.error('Get auto-reversal policies error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch auto-reversal policies',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Effective policy of one store
+   */
+  async getPolicy(req, res) {
+    try {
+      const { accountCode } = req.params;
+
+      const store = await database.getStoreByAccountCode(accountCode);
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          message: `Store not found: ${accountCode}`
+        });
+      }
+
+      const policy = await database.getAutoReversalPolicy(accountCode);
+
+      res.json({
+        success: true,
+        data: {
+          account_code: accountCode,
+          is_default: !policy,
+          ...autoReversalService.getDefaultPolicy(),
+          ...policy
+        }
+      });
+    } catch (error) {
+      console.error('Get auto-reversal policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch auto-reversal policy',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create or update a store's policy (omitted fields keep their current value)
+   */
+  async savePolicy(req, res) {
+    try {
+      const { accountCode } = req.params;
+
+      const store = await database.getStoreByAccountCode(accountCode);
+      if (!store) {
+        return res.status(404).json({
+          success: false,
+          message: `Store not found: ${accountCode}`
+        });
+      }
+
+      const current = await database.getAutoReversalPolicy(accountCode);
+      const { error, policy } = buildPolicy(req.body || {}, { ...autoReversalService.getDefaultPolicy(), ...current });
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const saved = await database.upsertAutoReversalPolicy(accountCode, policy, req.user.id);
+
+      console.log(`⏱️ Auto-reversal policy of ${accountCode} saved by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Auto-reversal policy saved successfully',
+        data: saved
+      });
+    } catch (error) {
+      console.error('Save auto-reversal policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save auto-reversal policy',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a store's policy so it falls back to the defaults
+   */
+  async deletePolicy(req, res) {
+    try {
+      const { accountCode } = req.params;
+
+      const deleted = await database.deleteAutoReversalPolicy(accountCode);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: `No auto-reversal policy stored for ${accountCode}`
+        });
+      }
+
+      console.log(`⏱️ Auto-reversal policy of ${accountCode} deleted by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Auto-reversal policy deleted; the store now uses the defaults'
+      });
+    } catch (error) {
+      console.error('Delete auto-reversal policy error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete auto-reversal policy',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AutoReversalPolicyController();
@@ -1,15 +1,13 @@
 const database = require('../config/database');
+const rtoInventoryService = require('../services/rtoInventoryService');
+const { importTable, buildImportReport } = require('../utils/tabularImport');
+const { compareSizes } = require('../utils/sizeOrder');
 
 /**
  * Inventory Controller
  * Handles inventory aggregation for unclaimed orders
  */
 
-/**
- * Size order for sorting
- */
-const SIZE_ORDER = ['S', 'M', 'L', 'XL', '2XL', '3XL', '4XL', '5XL'];
-
 /**
  * Sort size-quantity pairs by size order
  * @param {string} sizeQuantityStr - Size-quantity string like "M-7, S-4, XL-2"
@@ -22,20 +20,7 @@ function sortSizeQuantities(sizeQuantityStr) {
   const pairs = sizeQuantityStr.split(',').map(p => p.trim()).filter(p => p);
 
   // Sort by SIZE_ORDER
-  const sorted = pairs.sort((a, b) => {
-    const sizeA = a.split('-')[0].trim().toUpperCase();
-    const sizeB = b.split('-')[0].trim().toUpperCase();
-
-    const indexA = SIZE_ORDER.indexOf(sizeA);
-    const indexB = SIZE_ORDER.indexOf(sizeB);
-
-    // If size not in SIZE_ORDER, put at end
-    if (indexA === -1 && indexB === -1) return 0;
-    if (indexA === -1) return 1;
-    if (indexB === -1) return -1;
-
-    return indexA - indexB;
-  });
+  const sorted = pairs.sort((a, b) => compareSizes(a.split('-')[0], b.split('-')[0]));
 
   return sorted.join(', ');
 }
@@ -65,29 +50,26 @@ async function getAggregatedInventory(req, res) {
     console.log('📊 Fetching aggregated inventory for unclaimed orders...');
 
     // Query unclaimed orders with products (only from active stores)
+    // Lines resolved to a variant use its base SKU and size; others use the SKU parsed at sync time
     const query = `
       SELECT 
         o.product_name,
         o.product_code,
-        o.size,
+        COALESCE(v.size, o.size) as size,
         o.quantity,
+        COALESCE(v.sku_id, o.normalized_product_code) as base_code,
         p.name as product_display_name,
         p.image as product_image,
         p.sku_id as base_sku
       FROM orders o
-      LEFT JOIN products p ON (
-        (REGEXP_REPLACE(TRIM(REGEXP_REPLACE(o.product_code, '[-_](XS|S|M|L|XL|2XL|3XL|4XL|5XL|XXXL|XXL|Small|Medium|Large|Extra Large)$', '')), '[-_]{2,}', '-') = p.sku_id OR
-        REGEXP_REPLACE(TRIM(REGEXP_REPLACE(o.product_code, '[-_][0-9]+-[0-9]+$', '')), '[-_]{2,}', '-') = p.sku_id OR
-        REGEXP_REPLACE(TRIM(REGEXP_REPLACE(o.product_code, '[-_][0-9]+$', '')), '[-_]{2,}', '-') = p.sku_id OR
-        REGEXP_REPLACE(TRIM(REGEXP_REPLACE(o.product_code, '[-_][0-9]+\\.[0-9]+$', '')), '[-_]{2,}', '-') = p.sku_id)
-        AND o.account_code = p.account_code
-      )
+      LEFT JOIN product_variants v ON v.id = o.variant_id
+      LEFT JOIN products p ON p.sku_id = COALESCE(v.sku_id, o.normalized_product_code) AND p.account_code = o.account_code
       LEFT JOIN claims c ON o.unique_id = c.order_unique_id AND o.account_code = c.account_code
       LEFT JOIN store_info s ON o.account_code = s.account_code
       WHERE (c.status = 'unclaimed' OR c.status IS NULL)
         AND o.is_in_new_order = 1
         AND s.status = 'active'
-      ORDER BY o.product_name, o.size
+      ORDER BY o.product_name, size
     `;
 
     const orders = await database.query(query);
@@ -98,8 +80,8 @@ async function getAggregatedInventory(req, res) {
     const productMap = new Map();
 
     for (const order of orders) {
-      // Get base SKU (clean product_code)
-      const baseSku = database.cleanSkuId(order.product_code) || order.base_sku || order.product_code;
+      // Get base SKU (variant or normalized product_code)
+      const baseSku = order.base_code || order.base_sku || order.product_code;
 
       if (!productMap.has(baseSku)) {
         // Initialize product entry
@@ -172,7 +154,125 @@ async function getAggregatedInventory(req, res) {
 }
 
 /**
- * Upload and parse RTO CSV file
+ * Columns of an RTO upload (header aliases are matched case- and punctuation-insensitively)
+ */
+const RTO_IMPORT_COLUMNS = {
+  product_name: { aliases: ['product', 'product name', 'name'] },
+  variant_sku: { aliases: ['variant sku', 'sku', 'sku_id', 'product_code'] },
+  size: { required: true },
+  quantity: { aliases: ['qty'], required: true },
+  location: { aliases: ['rto_wh', 'rto location', 'warehouse'], required: true },
+  account_code: { aliases: ['store', 'store code', 'account code'] }
+};
+
+/**
+ * Build the row validator for RTO uploads: a known store (row's Account_Code or the upload's
+ * default), products by SKU or name, sizes known for the product, positive whole quantities;
+ * unknown locations are warnings (new RTO warehouse)
+ * @param {string|null} defaultAccountCode - Store for rows without an Account_Code column value
+ * @returns {Promise<Function>} async (data) => ({ errors, warnings, data })
+ */
+async function buildRTORowValidator(defaultAccountCode = null) {
+  const [products, locations, stores] = await Promise.all([
+    database.getProductsForRTODropdown(),
+    database.getDistinctRTOLocations(),
+    database.getAllStores()
+  ]);
+
+  const knownSkus = new Set(products.map(product => product.sku_id));
+  const skuByName = new Map(products.map(product => [product.name.trim().toLowerCase(), product.sku_id]));
+  const knownLocations = new Set(locations.map(location => location.toLowerCase()));
+  const storeCodes = new Map(stores.map(store => [store.account_code.toUpperCase(), store.account_code]));
+  const sizesBySku = new Map();
+
+  return async (data) => {
+    const errors = [];
+    const warnings = [];
+
+    const requestedStore = data.account_code || defaultAccountCode;
+    const accountCode = requestedStore ? storeCodes.get(requestedStore.toUpperCase()) || null : null;
+    if (!requestedStore) {
+      errors.push('Account_Code is required (column or account_code field)');
+    } else if (!accountCode) {
+      errors.push(`Unknown store: ${requestedStore}`);
+    }
+
+    let skuId = null;
+    let variantSize = null;
+    if (data.variant_sku) {
+      // A catalog variant (SKU or barcode) gives the product and size directly
+      const variant = await database.findProductVariant(accountCode, data.variant_sku);
+      if (variant && knownSkus.has(variant.sku_id)) {
+        skuId = variant.sku_id;
+        variantSize = variant.size;
+      } else if (knownSkus.has(data.variant_sku)) {
+        skuId = data.variant_sku;
+      } else {
+        const cleanedSku = database.cleanSkuId(data.variant_sku);
+        if (knownSkus.has(cleanedSku)) skuId = cleanedSku;
+      }
+    }
+    if (!skuId && data.product_name) {
+      skuId = skuByName.get(data.product_name.toLowerCase()) || null;
+    }
+
+    if (!data.product_name && !data.variant_sku) {
+      errors.push('Product_Name or Variant_SKU is required');
+    } else if (!skuId) {
+      errors.push(`Unknown product: ${data.variant_sku || data.product_name}`);
+    }
+
+    let size = data.size || variantSize;
+    if (!size) {
+      errors.push('Size is required');
+    } else if (skuId) {
+      if (!sizesBySku.has(skuId)) {
+        sizesBySku.set(skuId, await database.getSizesForProduct(skuId));
+      }
+      const knownSizes = sizesBySku.get(skuId);
+      const match = knownSizes.find(known => known.toUpperCase() === size.toUpperCase());
+      if (match) {
+        size = match;
+      } else if (knownSizes.length > 0) {
+        errors.push(`Size ${size} is not a known size of ${skuId} (${knownSizes.join(', ')})`);
+      }
+    }
+
+    const quantity = /^\d+$/.test(data.quantity) ? parseInt(data.quantity, 10) : NaN;
+    if (!(quantity > 0)) {
+      errors.push(`Quantity must be a positive whole number (got "${data.quantity}")`);
+    }
+
+    if (!data.location) {
+      errors.push('Location is required');
+    } else if (!knownLocations.has(data.location.toLowerCase())) {
+      warnings.push(`New RTO location: ${data.location}`);
+    }
+
+    return {
+      errors,
+      warnings,
+      data: { ...data, account_code: accountCode, sku_id: skuId, size, quantity }
+    };
+  };
+}
+
+/**
+ * Read and validate an uploaded RTO file (CSV or XLSX)
+ * @param {Object} file - multer file
+ * @param {string|null} defaultAccountCode - Store for rows without an Account_Code
+ * @returns {Promise<Object>} importTable() result
+ */
+async function readRTOUpload(file, defaultAccountCode = null) {
+  return importTable(file.buffer, {
+    fileName: file.originalname,
+    columns: RTO_IMPORT_COLUMNS,
+    validateRow: await buildRTORowValidator(defaultAccountCode)
+  });
+}
+
+/**
+ * Upload and parse RTO file (CSV or XLSX) - preview step, nothing is saved
  * @param {Object} req - Express request with file upload
  * @param {Object} res - Express response
  */
@@ -188,94 +288,104 @@ async function uploadRTODetails(req, res) {
       });
     }
 
-    const csvData = req.file.buffer.toString('utf-8');
+    const result = await readRTOUpload(req.file, req.body.account_code || null);
+
+    console.log(`✅ Parsed ${result.summary.total} RTO entries (${result.summary.valid} valid, ${result.summary.invalid} invalid)`);
+
+    res.json({
+      success: true,
+      data: {
+        totalEntries: result.valid.length,
+        rtoData: result.valid.map(row => ({
+          Account_Code: row.account_code,
+          Product_Name: row.product_name,
+          SKU: row.sku_id,
+          Location: row.location,
+          Size: row.size,
+          Quantity: row.quantity
+        })),
+        report: buildImportReport(result)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error processing RTO upload:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to process RTO file',
+      message: error.message
+    });
+  }
+}
 
-    // Parse CSV (simple parsing - handle both \n and \r\n line endings)
-    const lines = csvData
-      .split(/\r?\n/)
-      .map(line => line.trim())
-      .filter(line => line.length > 0); // Remove empty lines
+/**
+ * Upload RTO file (CSV or XLSX) and add its rows to RTO inventory - commit step.
+ * Refuses files with invalid rows unless skip_invalid=true is sent.
+ * @param {Object} req - Express request with file upload and optional skip_invalid
+ * @param {Object} res - Express response
+ */
+async function commitRTOUpload(req, res) {
+  try {
+    console.log('📥 Committing RTO details upload...');
 
-    if (lines.length === 0) {
+    if (!req.file) {
       return res.status(400).json({
         success: false,
-        error: 'CSV file is empty'
+        error: 'No file uploaded'
       });
     }
 
-    const headers = lines[0].split(',').map(h => h.trim());
-
-    // Map column indices based on CSV structure
-    const productNameIndex = headers.findIndex(h => h.toLowerCase().includes('product_n'));
-    const variantSkuIndex = headers.findIndex(h => h.toLowerCase().includes('variant_sk'));
-    const sizeIndex = headers.findIndex(h => h.toLowerCase() === 'size');
-    const quantityIndex = headers.findIndex(h => h.toLowerCase() === 'quantity');
-    const locationIndex = headers.findIndex(h => h.toLowerCase() === 'location');
-
-    console.log('📋 CSV Headers:', headers);
-    console.log('📋 Column indices:', { productNameIndex, variantSkuIndex, sizeIndex, quantityIndex, locationIndex });
+    const result = await readRTOUpload(req.file, req.body.account_code || null);
+    const report = buildImportReport(result);
+    const skipInvalid = String(req.body.skip_invalid) === 'true';
 
-    // Validate required columns
-    if (productNameIndex < 0 || sizeIndex < 0 || quantityIndex < 0 || locationIndex < 0) {
+    if (result.summary.invalid > 0 && !skipInvalid) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required columns. Expected: Product_Name, Size, Quantity, Location'
+        error: `${result.summary.invalid} row(s) are invalid. Fix them or send skip_invalid=true to import the valid rows only.`,
+        data: { report }
       });
     }
 
-    const rtoData = [];
-
-    for (let i = 1; i < lines.length; i++) {
-      const values = lines[i].split(',').map(v => v.trim());
-
-      // Skip empty rows
-      if (values.length < 4 || values.every(v => !v)) {
-        continue;
-      }
-
-      const row = {
-        Product_Name: values[productNameIndex] || '',
-        Location: values[locationIndex] || '',
-        Size: values[sizeIndex] || '',
-        Quantity: values[quantityIndex] || ''
-      };
-
-      // Only add row if it has at least Product_Name and Location
-      if (row.Product_Name || row.Location) {
-        rtoData.push(row);
-      }
-    }
+    // Upsert adds to the existing quantity of the same store/location/product/size;
+    // all rows are saved in one transaction, so a failed import leaves inventory unchanged
+    await database.upsertRTOInventoryRows(result.valid, {
+      source: 'upload',
+      created_by: req.user?.id
+    });
 
-    console.log(`✅ Parsed ${rtoData.length} RTO entries`);
+    console.log(`✅ Imported ${result.valid.length} RTO entries (${result.summary.invalid} skipped)`);
 
     res.json({
       success: true,
+      message: `Imported ${result.valid.length} RTO entries`,
       data: {
-        totalEntries: rtoData.length,
-        rtoData: rtoData
+        imported: result.valid.length,
+        skipped: result.summary.invalid,
+        report
       }
     });
 
   } catch (error) {
-    console.error('❌ Error processing RTO upload:', error);
-    res.status(500).json({
+    console.error('❌ Error committing RTO upload:', error);
+    res.status(error.statusCode || 500).json({
       success: false,
-      error: 'Failed to process RTO file',
+      error: error.statusCode ? error.message : 'Failed to import RTO file',
       message: error.message
     });
   }
 }
 
 /**
- * Get RTO inventory from database with product names
- * @param {Object} req - Express request
+ * Get RTO inventory from database with product names, reserved and available units
+ * @param {Object} req - Express request with optional account_code query
  * @param {Object} res - Express response
  */
 async function getRTOInventory(req, res) {
   try {
     console.log('📊 Fetching RTO inventory from database...');
 
-    const rtoData = await database.getRTOInventoryWithProductNames();
+    const rtoData = await database.getRTOInventoryWithProductNames(req.query.account_code || null);
 
     console.log(`✅ Fetched ${rtoData.length} RTO entries`);
 
@@ -331,7 +441,7 @@ async function updateRTOInventory(req, res) {
       }
     }
 
-    const result = await database.updateRTOInventoryBatch(updates);
+    const result = await database.updateRTOInventoryBatch(updates, req.user?.id || null);
 
     console.log(`✅ Updated ${result.updatedCount} RTO inventory items`);
 
@@ -601,19 +711,75 @@ async function getSizesForProduct(req, res) {
   }
 }
 
+/**
+ * Get the catalog variants of a product: size, variant SKU, barcode, price and Shopify stock
+ * @param {Object} req - Express request with skuId param and optional account_code query
+ * @param {Object} res - Express response
+ */
+async function getProductVariants(req, res) {
+  try {
+    const { skuId } = req.params;
+    const accountCode = req.query.account_code || null;
+
+    const variants = await database.getProductVariants(skuId, accountCode);
+
+    res.json({
+      success: true,
+      data: {
+        sku_id: skuId,
+        total_stock: variants.reduce((total, variant) => total + (variant.inventory_quantity || 0), 0),
+        variants: variants.map(variant => ({
+          id: variant.id,
+          account_code: variant.account_code,
+          variant_sku: variant.variant_sku,
+          size: variant.size,
+          title: variant.title,
+          barcode: variant.barcode,
+          price: variant.price !== null ? parseFloat(variant.price) : null,
+          inventory_quantity: variant.inventory_quantity,
+          shopify_variant_id: variant.shopify_variant_id
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching product variants:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch product variants',
+      message: error.message
+    });
+  }
+}
+
 /**
  * Add manual RTO inventory entry
  * Uses upsert logic - adds to existing quantity if row exists
- * @param {Object} req - Express request with location, product_code, size, quantity
+ * @param {Object} req - Express request with account_code, location, sku_id, size, quantity, notes?
  * @param {Object} res - Express response
  */
 async function addManualRTOEntry(req, res) {
   try {
     console.log('📝 Processing manual RTO entry...');
 
-    const { location, sku_id, size, quantity } = req.body;
+    const { account_code, location, sku_id, size, quantity, notes } = req.body;
 
     // Validate required fields
+    if (!account_code || typeof account_code !== 'string' || account_code.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Store (account_code) is required'
+      });
+    }
+
+    const store = await database.getStoreByAccountCode(account_code.trim());
+    if (!store) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown store: ${account_code}`
+      });
+    }
+
     if (!location || typeof location !== 'string' || location.trim() === '') {
       return res.status(400).json({
         success: false,
@@ -646,14 +812,16 @@ async function addManualRTOEntry(req, res) {
     // Use sku_id directly as product_code (size is stored in its own column)
     const product_code = sku_id.trim();
 
-    console.log(`📦 Adding RTO entry: location=${location}, product_code=${product_code}, size=${size}, qty=${qty}`);
+    console.log(`📦 Adding RTO entry: account_code=${store.account_code}, location=${location}, product_code=${product_code}, size=${size}, qty=${qty}`);
 
     // Use upsertRTOInventory - adds to existing if row exists
     await database.upsertRTOInventory(
+      store.account_code,
       location.trim(),
       product_code,
       size.trim(),
-      qty
+      qty,
+      { source: 'manual', created_by: req.user?.id, notes }
     );
 
     console.log(`✅ Manual RTO entry added successfully`);
@@ -662,6 +830,7 @@ async function addManualRTOEntry(req, res) {
       success: true,
       message: 'RTO entry added successfully',
       data: {
+        account_code: store.account_code,
         location: location.trim(),
         product_code: product_code,
         size: size.trim(),
@@ -679,10 +848,158 @@ async function addManualRTOEntry(req, res) {
   }
 }
 
+/**
+ * Reserve RTO stock for an unclaimed order line (ship from returned stock instead of manufacturing)
+ * @param {Object} req - Express request with order_unique_id and optional rto_inventory_id
+ * @param {Object} res - Express response
+ */
+async function reserveRTOInventory(req, res) {
+  try {
+    const { order_unique_id, rto_inventory_id } = req.body;
+
+    if (!order_unique_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'order_unique_id is required'
+      });
+    }
+
+    const reservation = await rtoInventoryService.reserveForOrder(
+      order_unique_id,
+      { rto_inventory_id: rto_inventory_id ? parseInt(rto_inventory_id) : null },
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Reserved ${reservation.quantity} RTO unit(s) at ${reservation.rto_wh} for order ${reservation.order_id}`,
+      data: reservation
+    });
+
+  } catch (error) {
+    console.error('❌ Error reserving RTO inventory:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to reserve RTO inventory',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Release an active RTO reservation back to available stock
+ * @param {Object} req - Express request with reservation id param and optional reason
+ * @param {Object} res - Express response
+ */
+async function releaseRTOReservation(req, res) {
+  try {
+    const reservation = await rtoInventoryService.releaseReservation(
+      req.params.id,
+      req.user,
+      req.body?.reason || null
+    );
+
+    res.json({
+      success: true,
+      message: 'RTO reservation released',
+      data: reservation
+    });
+
+  } catch (error) {
+    console.error('❌ Error releasing RTO reservation:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to release RTO reservation',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * List RTO reservations
+ * @param {Object} req - Express request with status, account_code, order_id, page, limit query
+ * @param {Object} res - Express response
+ */
+async function getRTOReservations(req, res) {
+  try {
+    const { status = 'reserved', account_code, order_id, page = 1, limit = 50 } = req.query;
+
+    if (!['reserved', 'shipped', 'released', 'all'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'status must be one of: reserved, shipped, released, all'
+      });
+    }
+
+    const { reservations, total } = await database.getRTOReservations({ status, account_code, order_id, page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        reservations,
+        pagination: {
+          page: parseInt(page) || 1,
+          limit: Math.min(parseInt(limit) || 50, 200),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching RTO reservations:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch RTO reservations',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * RTO inventory movement log (received, adjusted, reserved, released, shipped)
+ * @param {Object} req - Express request with rto_inventory_id, account_code, order_id, movement_type, page, limit query
+ * @param {Object} res - Express response
+ */
+async function getRTOMovements(req, res) {
+  try {
+    const { rto_inventory_id, account_code, order_id, movement_type, page = 1, limit = 50 } = req.query;
+
+    const { movements, total } = await database.getRTOInventoryMovements({
+      rto_inventory_id: rto_inventory_id ? parseInt(rto_inventory_id) : null,
+      account_code,
+      order_id,
+      movement_type,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: {
+        movements,
+        pagination: {
+          page: parseInt(page) || 1,
+          limit: Math.min(parseInt(limit) || 50, 200),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching RTO movements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch RTO movements',
+      message: error.message
+    });
+  }
+}
+
 module.exports = {
   getCriticalOrders,
   getAggregatedInventory,
   uploadRTODetails,
+  commitRTOUpload,
   getRTOInventory,
   updateRTOInventory,
   getRTOFocusOrders,
@@ -690,5 +1007,10 @@ module.exports = {
   getRTOLocations,
   getRTOProducts,
   getSizesForProduct,
-  addManualRTOEntry
+  getProductVariants,
+  addManualRTOEntry,
+  reserveRTOInventory,
+  releaseRTOReservation,
+  getRTOReservations,
+  getRTOMovements
 };
@@ -0,0 +1,254 @@
+/**
+ * Label Template Controller
+ * Management and preview of label templates (page layouts for label downloads)
+ */
+
+const database = require('../config/database');
+const labelRenderService = require('../services/labelRenderService');
+const { validateLayout } = require('../config/labelTemplates');
+
+const CODE_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+/**
+ * Check that a store exists; null for global templates
+ * @returns {Promise<string|null>} Error message or null
+ */
+const checkStore = async (accountCode) => {
+  if (!accountCode) return null;
+  const store = await database.getStoreByAccountCode(accountCode);
+  return store ? null : `Store not found: ${accountCode}`;
+};
+
+class LabelTemplateController {
+  /**
+   * Label formats available for a store (built-in, global and store templates)
+   */
+  async getTemplates(req, res) {
+    try {
+      const accountCode = req.query.account_code || null;
+      const templates = await labelRenderService.listTemplates(accountCode);
+
+      res.json({
+        success: true,
+        data: templates
+      });
+    } catch (error) {
+      console.error('Get label templates error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch label templates',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a template; without account_code it applies to all stores
+   */
+  async createTemplate(req, res) {
+    try {
+      const { code, name, layout } = req.body || {};
+      const accountCode = req.body?.account_code || null;
+
+      if (!code || !CODE_PATTERN.test(code)) {
+        return res.status(400).json({
+          success: false,
+          message: 'code must be lowercase letters, digits and dashes (max 50), e.g. "a5-with-slip"'
+        });
+      }
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({
+          success: false,
+          message: 'name is required'
+        });
+      }
+      const layoutError = validateLayout(layout);
+      if (layoutError) {
+        return res.status(400).json({
+          success: false,
+          message: layoutError
+        });
+      }
+
+      const storeError = await checkStore(accountCode);
+      if (storeError) {
+        return res.status(404).json({
+          success: false,
+          message: storeError
+        });
+      }
+
+      const existing = await database.findLabelTemplate(code, accountCode);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Label template ${code} already exists for ${accountCode || 'all stores'}`
+        });
+      }
+
+      const template = await database.createLabelTemplate({
+        code,
+        account_code: accountCode,
+        name: name.trim(),
+        layout,
+        created_by: req.user.id
+      });
+
+      console.log(`🏷️ Label template ${code} (${accountCode || 'global'}) created by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Label template created successfully',
+        data: template
+      });
+    } catch (error) {
+      console.error('Create label template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create label template',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a template's name and/or layout
+   */
+  async updateTemplate(req, res) {
+    try {
+      const { id } = req.params;
+      const { name, layout } = req.body || {};
+
+      const template = await database.getLabelTemplateById(id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Label template not found'
+        });
+      }
+
+      if (name !== undefined && (!name || typeof name !== 'string')) {
+        return res.status(400).json({
+          success: false,
+          message: 'name must be a non-empty string'
+        });
+      }
+      if (layout !== undefined) {
+        const layoutError = validateLayout(layout);
+        if (layoutError) {
+          return res.status(400).json({
+            success: false,
+            message: layoutError
+          });
+        }
+      }
+
+      const updated = await database.updateLabelTemplate(id, {
+        name: name !== undefined ? name.trim() : undefined,
+        layout
+      });
+
+      console.log(`🏷️ Label template ${template.code} (${template.account_code || 'global'}) updated by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Label template updated successfully',
+        data: updated
+      });
+    } catch (error) {
+      console.error('Update label template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update label template',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a template (a deleted override falls back to the global or built-in template)
+   */
+  async deleteTemplate(req, res) {
+    try {
+      const { id } = req.params;
+
+      const template = await database.getLabelTemplateById(id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Label template not found'
+        });
+      }
+
+      await database.deleteLabelTemplate(id);
+
+      console.log(`🏷️ Label template ${template.code} (${template.account_code || 'global'}) deleted by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Label template deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete label template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete label template',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Render sample labels with a layout (unsaved, or a saved template's code) as a PDF
+   */
+  async previewTemplate(req, res) {
+    try {
+      const { code, layout } = req.body || {};
+      const accountCode = req.body?.account_code || null;
+
+      let previewLayout = layout;
+      if (previewLayout !== undefined) {
+        const layoutError = validateLayout(previewLayout);
+        if (layoutError) {
+          return res.status(400).json({
+            success: false,
+            message: layoutError
+          });
+        }
+      } else {
+        const template = code ? await labelRenderService.resolveTemplate(code, accountCode) : null;
+        if (!template) {
+          return res.status(400).json({
+            success: false,
+            message: code ? `Unknown label template: ${code}` : 'layout or code is required'
+          });
+        }
+        previewLayout = template.layout;
+      }
+
+      const storeError = await checkStore(accountCode);
+      if (storeError) {
+        return res.status(404).json({
+          success: false,
+          message: storeError
+        });
+      }
+
+      const pdfBuffer = await labelRenderService.renderPreview(previewLayout, accountCode);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'inline; filename="label-preview.pdf"');
+      res.setHeader('Content-Length', pdfBuffer.length);
+      res.send(pdfBuffer);
+    } catch (error) {
+      console.error('Preview label template error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to render label preview',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new LabelTemplateController();
@@ -0,0 +1,150 @@
+/**
+ * NDR Controller
+ * NDR queue and courier actions for shipments that failed delivery
+ */
+
+const database = require('../config/database');
+const ndrService = require('../services/ndrService');
+
+const QUEUE_STATUSES = ['open', 'action_requested', 'closed', 'all'];
+
+class NdrController {
+  /**
+   * NDR queue with attempts, reason, age and customer contact
+   */
+  async getQueue(req, res) {
+    try {
+      const { status = 'open', account_code, min_attempts, search, page = 1, limit = 50 } = req.query;
+
+      if (!QUEUE_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${QUEUE_STATUSES.join(', ')}`
+        });
+      }
+
+      const { cases, total } = await ndrService.getQueue({
+        status,
+        account_code,
+        min_attempts: min_attempts ? parseInt(min_attempts) : null,
+        search,
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          cases,
+          pagination: {
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 50, 200),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get NDR queue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch NDR queue',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Single NDR case with its last action
+   */
+  async getCase(req, res) {
+    try {
+      const ndrCase = await database.getNdrCaseById(req.params.id);
+      if (!ndrCase) {
+        return res.status(404).json({
+          success: false,
+          message: 'NDR case not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: ndrCase
+      });
+    } catch (error) {
+      console.error('Get NDR case error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch NDR case',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Push a re-attempt, address/phone change or RTO to the shipping partner
+   */
+  async takeAction(req, res) {
+    try {
+      const action = req.body?.action;
+      const { error: validationError, details } = ndrService.validateAction(action, req.body);
+      if (validationError) {
+        return res.status(400).json({
+          success: false,
+          message: validationError
+        });
+      }
+
+      const result = await ndrService.takeAction(req.params.id, action, details, req.user);
+
+      res.json({
+        success: true,
+        message: `NDR action ${action} sent to the shipping partner`,
+        data: result
+      });
+    } catch (error) {
+      console.error('NDR action error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to take NDR action',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Resend an open case to the customer-outreach webhook
+   */
+  async sendOutreach(req, res) {
+    try {
+      const ndrCase = await database.getNdrCaseById(req.params.id);
+      if (!ndrCase) {
+        return res.status(404).json({
+          success: false,
+          message: 'NDR case not found'
+        });
+      }
+      if (ndrCase.status === 'closed') {
+        return res.status(409).json({
+          success: false,
+          message: 'NDR case is closed'
+        });
+      }
+
+      const result = await ndrService.sendOutreach([ndrCase], 'ndr_raised');
+
+      res.status(result.success ? 200 : 502).json({
+        success: result.success,
+        message: result.message
+      });
+    } catch (error) {
+      console.error('NDR outreach error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send NDR outreach',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new NdrController();
@@ -0,0 +1,284 @@
+/**
+ * Roles Controller
+ * Admin management of roles (permission sets) and user access roles
+ */
+
+const database = require('../config/database');
+const permissionService = require('../services/permissionService');
+const { PERMISSIONS, SUPERADMIN_ROLE, isKnownPermission } = require('../config/permissions');
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,49}$/;
+
+/**
+ * Validate a permissions list from a request body
+ * @returns {string|null} Error message, or null if valid
+ */
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'permissions must be an array of permission names';
+  }
+  const unknown = permissions.filter(permission => !isKnownPermission(permission));
+  if (unknown.length > 0) {
+    return `Unknown permission(s): ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+class RolesController {
+  /**
+   * List the permission catalog
+   */
+  async getPermissions(req, res) {
+    res.json({
+      success: true,
+      data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+  }
+
+  /**
+   * List roles with their permissions and user counts
+   */
+  async getRoles(req, res) {
+    try {
+      const roles = await database.getRoles();
+
+      res.json({
+        success: true,
+        data: roles
+      });
+    } catch (error) {
+      console.error('Get roles error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch roles',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a custom role
+   */
+  async createRole(req, res) {
+    try {
+      const { name, description = null, permissions = [] } = req.body;
+
+      if (!name || !ROLE_NAME_PATTERN.test(name)) {
+        return res.status(400).json({
+          success: false,
+          message: 'name must be 2-50 characters: lowercase letters, digits, "_" or "-", starting with a letter'
+        });
+      }
+
+      const permissionsError = validatePermissions(permissions);
+      if (permissionsError) {
+        return res.status(400).json({
+          success: false,
+          message: permissionsError
+        });
+      }
+
+      const existing = await database.getRoleByName(name);
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Role already exists: ${name}`
+        });
+      }
+
+      const role = await database.createRole({
+        name,
+        description,
+        permissions: [...new Set(permissions)],
+        created_by: req.user.id
+      });
+
+      console.log(`🔐 Role ${name} created by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: role
+      });
+    } catch (error) {
+      console.error('Create role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create role',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a role's description and/or permissions (superadmin cannot be edited)
+   */
+  async updateRole(req, res) {
+    try {
+      const { name } = req.params;
+      const { description, permissions } = req.body;
+
+      if (name === SUPERADMIN_ROLE) {
+        return res.status(400).json({
+          success: false,
+          message: 'The superadmin role always has every permission and cannot be edited'
+        });
+      }
+
+      const existing = await database.getRoleByName(name);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: `Role not found: ${name}`
+        });
+      }
+
+      if (permissions !== undefined) {
+        const permissionsError = validatePermissions(permissions);
+        if (permissionsError) {
+          return res.status(400).json({
+            success: false,
+            message: permissionsError
+          });
+        }
+      }
+
+      const role = await database.updateRole(name, {
+        description,
+        permissions: permissions !== undefined ? [...new Set(permissions)] : undefined
+      });
+      permissionService.invalidate(name);
+
+      console.log(`🔐 Role ${name} updated by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Role updated successfully',
+        data: role
+      });
+    } catch (error) {
+      console.error('Update role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update role',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a custom role that no user holds
+   */
+  async deleteRole(req, res) {
+    try {
+      const { name } = req.params;
+
+      const existing = await database.getRoleByName(name);
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: `Role not found: ${name}`
+        });
+      }
+
+      if (existing.is_system) {
+        return res.status(400).json({
+          success: false,
+          message: 'System roles cannot be deleted'
+        });
+      }
+
+      const userCount = await database.countUsersWithRole(name);
+      if (userCount > 0) {
+        return res.status(409).json({
+          success: false,
+          message: `Role is assigned to ${userCount} user(s); reassign them first`
+        });
+      }
+
+      await database.deleteRole(name);
+      permissionService.invalidate(name);
+
+      console.log(`🔐 Role ${name} deleted by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Role deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete role',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Set or clear a user's access role (the permission set used instead of users.role)
+   */
+  async setUserAccessRole(req, res) {
+    try {
+      const { userId } = req.params;
+      const accessRole = req.body.access_role || null;
+
+      const user = await database.getUserById(userId);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.role === SUPERADMIN_ROLE) {
+        return res.status(400).json({
+          success: false,
+          message: 'Superadmins always have every permission'
+        });
+      }
+
+      if (accessRole) {
+        if (accessRole === SUPERADMIN_ROLE) {
+          return res.status(400).json({
+            success: false,
+            message: 'The superadmin role cannot be used as an access role'
+          });
+        }
+
+        const role = await database.getRoleByName(accessRole);
+        if (!role) {
+          return res.status(404).json({
+            success: false,
+            message: `Role not found: ${accessRole}`
+          });
+        }
+      }
+
+      await database.updateUser(userId, { access_role: accessRole });
+      const permissions = await permissionService.getPermissionsForUser({ ...user, access_role: accessRole });
+
+      console.log(`🔐 Access role of ${user.email} set to ${accessRole || user.role} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Access role updated successfully',
+        data: {
+          user_id: userId,
+          role: user.role,
+          access_role: accessRole,
+          permissions: [...permissions]
+        }
+      });
+    } catch (error) {
+      console.error('Set access role error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update access role',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new RolesController();
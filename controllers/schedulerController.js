@@ -0,0 +1,156 @@
+/**
+ * Scheduler Controller
+ * Admin view of scheduled background jobs: job list with last result, run history and manual trigger
+ */
+
+const database = require('../config/database');
+const scheduler = require('../services/scheduler');
+
+const RUN_STATUSES = ['running', 'success', 'failed', 'skipped'];
+
+class SchedulerController {
+  /**
+   * List scheduled jobs with their current lease and latest run
+   */
+  async getJobs(req, res) {
+    try {
+      const [locks, latestRuns] = await Promise.all([
+        database.getSchedulerLocks(),
+        database.getLatestJobRuns()
+      ]);
+      const locksByName = new Map(locks.map(lock => [lock.job_name, lock]));
+      const runsByName = new Map(latestRuns.map(run => [run.job_name, run]));
+
+      const jobs = scheduler.listJobs().map(job => {
+        const lock = locksByName.get(job.name);
+        return {
+          ...job,
+          is_running: lock ? lock.is_locked : false,
+          running_on: lock && lock.is_locked ? lock.locked_by : null,
+          last_started_at: lock ? lock.last_started_at : null,
+          last_run: runsByName.get(job.name) || null
+        };
+      });
+
+      res.json({
+        success: true,
+        data: jobs
+      });
+    } catch (error) {
+      console.error('Get scheduled jobs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch scheduled jobs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Run history, optionally filtered by job name (route param or query) and status
+   */
+  async getRuns(req, res) {
+    try {
+      const jobName = req.params.name || req.query.job_name || null;
+      const { status, limit, offset } = req.query;
+
+      if (jobName && !scheduler.hasJob(jobName)) {
+        return res.status(404).json({
+          success: false,
+          message: `Scheduled job not found: ${jobName}`
+        });
+      }
+
+      if (status && !RUN_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid status. Must be one of: ${RUN_STATUSES.join(', ')}`
+        });
+      }
+
+      const runs = await database.getJobRuns({ job_name: jobName, status, limit, offset });
+
+      res.json({
+        success: true,
+        data: runs
+      });
+    } catch (error) {
+      console.error('Get job runs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch job runs',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Single run with its full summary
+   */
+  async getRunById(req, res) {
+    try {
+      const run = await database.getJobRunById(req.params.id);
+
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job run not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: run
+      });
+    } catch (error) {
+      console.error('Get job run error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch job run',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Trigger a job now. Responds once the run has started; poll the run for its result.
+   */
+  async triggerJob(req, res) {
+    try {
+      const { name } = req.params;
+
+      if (!scheduler.hasJob(name)) {
+        return res.status(404).json({
+          success: false,
+          message: `Scheduled job not found: ${name}`
+        });
+      }
+
+      const run = await scheduler.startRun(name, { trigger: 'manual', triggeredBy: req.user.id });
+
+      if (!run.started) {
+        return res.status(409).json({
+          success: false,
+          message: run.reason
+        });
+      }
+
+      console.log(`🕒 [Scheduler] ${name} triggered manually by ${req.user.email}`);
+
+      res.status(202).json({
+        success: true,
+        message: `Job ${name} started`,
+        data: { run_id: run.runId }
+      });
+    } catch (error) {
+      console.error('Trigger job error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to trigger job',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SchedulerController();
@@ -3,6 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const { validationResult } = require('express-validator');
+const vendorLedgerService = require('../services/vendorLedgerService');
+const settlementService = require('../services/settlementService');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -36,38 +38,48 @@ const upload = multer({
   }
 });
 
-// Mock order data calculation - In real app, this would come from orders database
-const calculateVendorPayments = (vendorId) => {
-  // Mock orders data - replace with actual database query
-  const mockOrders = [
-    { id: "ORD-001", vendorId, status: "handover", value: 299.99 },
-    { id: "ORD-002", vendorId, status: "handover", value: 199.99 },
-    { id: "ORD-003", vendorId, status: "in_pack", value: 89.99 },
-    { id: "ORD-004", vendorId, status: "handover", value: 29.99 },
-    { id: "ORD-005", vendorId, status: "in_pack", value: 49.99 }
-  ];
-
-  const currentPayment = mockOrders
-    .filter(order => order.status === 'handover')
-    .reduce((sum, order) => sum + order.value, 0);
-
-  const futurePayment = mockOrders
-    .filter(order => order.status === 'in_pack')
-    .reduce((sum, order) => sum + order.value, 0);
-
-  const handoverOrderIds = mockOrders
-    .filter(order => order.status === 'handover')
-    .map(order => order.id);
-
-  return { currentPayment, futurePayment, handoverOrderIds };
-};
-
 // Validate UPI ID format
 const isValidUpiId = (upiId) => {
   const upiRegex = /^[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+$/;
   return upiRegex.test(upiId);
 };
 
+// Request Status column of the standard CSV export
+const REQUEST_STATUS_LABELS = {
+  pending: 'Under Review',
+  approved: 'Accepted',
+  partially_paid: 'Partially Paid',
+  paid: 'Paid',
+  rejected: 'Rejected'
+};
+
+// Wait for MySQL; answers 500 and returns false when it is not available
+const ensureDatabase = async (res) => {
+  await database.waitForMySQLInitialization();
+  if (!database.isMySQLAvailable()) {
+    res.status(500).json({
+      success: false,
+      message: 'Database connection not available'
+    });
+    return false;
+  }
+  return true;
+};
+
+// 400 with the express-validator errors; returns false when the request is invalid
+const ensureValid = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
 class SettlementController {
   // Get vendor payments (current and future)
   async getVendorPayments(req, res) {
@@ -82,23 +94,14 @@ class SettlementController {
         });
       }
 
-      const vendorId = req.user.id;
-      const { currentPayment, futurePayment } = calculateVendorPayments(vendorId);
-
-      // Get all approved settlements for this vendor to calculate settled amounts
-      const settlements = await database.getSettlementsByVendor(vendorId);
-      const totalSettledAmount = settlements
-        .filter(settlement => settlement.status === 'approved')
-        .reduce((sum, settlement) => sum + (parseFloat(settlement.amountPaid) || 0), 0);
-
-      // Subtract settled amounts from current payment
-      const adjustedCurrentPayment = Math.max(0, currentPayment - totalSettledAmount);
+      // Current payment = unreserved ledger entries, future payment = in-pack claims
+      const { currentPayment, futurePayment } = await vendorLedgerService.getVendorPayments(req.vendor);
 
       res.json({
         success: true,
         data: {
-          currentPayment: Math.round(adjustedCurrentPayment * 100) / 100, // Round to 2 decimal places
-          futurePayment: Math.round(futurePayment * 100) / 100,
+          currentPayment,
+          futurePayment,
           currency: 'INR'
         }
       });
@@ -134,8 +137,6 @@ class SettlementController {
       }
 
       const { upiId } = req.body;
-      const vendorId = req.user.id;
-      const vendorName = req.user.name;
 
       // Validate UPI ID
       if (!isValidUpiId(upiId)) {
@@ -145,37 +146,17 @@ class SettlementController {
         });
       }
 
-      // Calculate current payment and get order IDs
-      const { currentPayment, handoverOrderIds } = calculateVendorPayments(vendorId);
-
-      // Get all approved settlements for this vendor to calculate settled amounts
-      const settlements = await database.getSettlementsByVendor(vendorId);
-      const totalSettledAmount = settlements
-        .filter(settlement => settlement.status === 'approved')
-        .reduce((sum, settlement) => sum + (parseFloat(settlement.amountPaid) || 0), 0);
-
-      // Calculate remaining unpaid amount
-      const remainingAmount = Math.max(0, currentPayment - totalSettledAmount);
+      // Reserve all unreserved ledger entries for this settlement (atomic)
+      const reservation = await vendorLedgerService.createSettlementWithReservation(req.vendor, upiId);
 
-      if (remainingAmount <= 0) {
+      if (!reservation.settlementId) {
         return res.status(400).json({
           success: false,
           message: 'No amount available for settlement. All eligible amounts have been settled.'
         });
       }
 
-      // Create settlement request for remaining amount only
-      const settlementData = {
-        vendorId,
-        vendorName,
-        amount: Math.round(remainingAmount * 100) / 100,
-        upiId,
-        orderIds: handoverOrderIds.join(','),
-        numberOfOrders: handoverOrderIds.length,
-        currency: 'INR'
-      };
-
-      const settlement = await database.createSettlement(settlementData);
+      const settlement = await database.getSettlementById(reservation.settlementId);
 
       res.json({
         success: true,
@@ -204,7 +185,7 @@ class SettlementController {
         });
       }
 
-      const vendorId = req.user.id;
+      const vendorId = req.vendor.id;
       const settlements = await database.getSettlementsByVendor(vendorId);
 
       res.json({
@@ -233,7 +214,7 @@ class SettlementController {
         });
       }
 
-      const vendorId = req.user.id;
+      const vendorId = req.vendor.id;
       const transactions = await database.getTransactionsByVendor(vendorId);
 
       res.json({
@@ -349,9 +330,14 @@ class SettlementController {
         });
       }
 
+      const payments = await settlementService.getSettlementPayments(id);
+
       res.json({
         success: true,
-        data: settlement
+        data: {
+          ...settlement,
+          payments
+        }
       });
     } catch (error) {
       console.error('Error getting settlement:', error);
@@ -362,96 +348,68 @@ class SettlementController {
     }
   }
 
-  // Admin: Approve settlement request
+  // Admin: Approve settlement request, optionally with a first (full or partial) payment
   async approveSettlement(req, res) {
     try {
-      // Wait for MySQL initialization
-      await database.waitForMySQLInitialization();
-      
-      if (!database.isMySQLAvailable()) {
-        return res.status(500).json({
-          success: false,
-          message: 'Database connection not available'
-        });
-      }
-
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation failed',
-          errors: errors.array()
-        });
-      }
+      if (!await ensureDatabase(res) || !ensureValid(req, res)) return;
 
       const { id } = req.params;
-      const { amountPaid, transactionId } = req.body;
+      const { amountPaid, transactionId, notes } = req.body;
       const paymentProof = req.file;
 
-      const settlement = await database.getSettlementById(id);
-      if (!settlement) {
-        return res.status(404).json({
-          success: false,
-          message: 'Settlement not found'
-        });
-      }
+      const payment = amountPaid !== undefined && amountPaid !== ''
+        ? {
+          amount: parseFloat(amountPaid),
+          transactionId,
+          proofPath: paymentProof ? paymentProof.filename : null,
+          notes
+        }
+        : null;
 
-      if (settlement.status !== 'pending') {
-        return res.status(400).json({
-          success: false,
-          message: 'Settlement is not in pending status'
-        });
-      }
+      const { settlement, payment: recordedPayment } = await settlementService.approveSettlement(id, req.user, payment);
 
-      const paidAmount = parseFloat(amountPaid);
-      const requestedAmount = parseFloat(settlement.amount);
+      res.json({
+        success: true,
+        message: 'Settlement approved successfully',
+        data: {
+          settlement,
+          payment: recordedPayment
+        }
+      });
+    } catch (error) {
+      console.error('Error approving settlement:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to approve settlement'
+      });
+    }
+  }
 
-      if (paidAmount > requestedAmount) {
-        return res.status(400).json({
-          success: false,
-          message: 'Amount paid cannot exceed requested amount'
-        });
-      }
+  // Admin: Record a payment (full or partial) against an approved settlement
+  async recordPayment(req, res) {
+    try {
+      if (!await ensureDatabase(res) || !ensureValid(req, res)) return;
 
-      // Determine payment status
-      const paymentStatus = paidAmount === requestedAmount ? 'settled_fully' : 'settled_partially';
+      const { amount, transactionId, notes } = req.body;
+      const paymentProof = req.file;
 
-      // Update settlement
-      const updateData = {
-        status: 'approved',
-        paymentStatus,
-        amountPaid: paidAmount,
+      const result = await settlementService.recordPayment(req.params.id, {
+        amount: parseFloat(amount),
         transactionId,
-        paymentProofPath: paymentProof ? paymentProof.filename : null,
-        approvedBy: req.user.id,
-        approvedAt: new Date().toISOString().slice(0, 19).replace('T', ' ')
-      };
-
-      const updatedSettlement = await database.updateSettlement(id, updateData);
-
-      // Create transaction record
-      const transactionData = {
-        vendor_id: settlement.vendorId,
-        amount: paidAmount,
-        type: 'settlement',
-        description: `Settlement payment for settlement ${id}. Transaction ID: ${transactionId}${paymentProof ? `. Payment proof: ${paymentProof.filename}` : ''}`
-      };
-
-      const transaction = await database.createTransaction(transactionData);
+        proofPath: paymentProof ? paymentProof.filename : null,
+        notes
+      }, req.user);
 
       res.json({
         success: true,
-        message: 'Settlement approved successfully',
-        data: {
-          settlement: updatedSettlement,
-          transaction
-        }
+        message: result.settlement.status === 'paid' ? 'Settlement paid in full' : 'Partial payment recorded',
+        data: result
       });
     } catch (error) {
-      console.error('Error approving settlement:', error);
-      res.status(500).json({
+      console.error('Error recording settlement payment:', error);
+      res.status(error.statusCode || 500).json({
         success: false,
-        message: 'Failed to approve settlement'
+        message: error.statusCode ? error.message : 'Failed to record settlement payment'
       });
     }
   }
@@ -506,6 +464,9 @@ class SettlementController {
 
       const updatedSettlement = await database.updateSettlement(id, updateData);
 
+      // Return the reserved ledger entries so they can be requested again
+      await vendorLedgerService.releaseSettlement(id);
+
       res.json({
         success: true,
         message: 'Settlement rejected successfully',
@@ -556,6 +517,17 @@ class SettlementController {
         });
       }
 
+      const { format = 'standard' } = req.query;
+
+      // Bank upload formats: one row per payable settlement for its unpaid amount
+      if (format !== 'standard') {
+        const content = settlementService.buildBankFile(format, await settlementService.getPayableSettlementRows());
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename=settlement_payouts_${format}_${new Date().toISOString().split('T')[0]}.csv`);
+        return res.send(content);
+      }
+
       const settlements = await database.getAllSettlements();
       
       // Create CSV content
@@ -587,8 +559,7 @@ class SettlementController {
         settlement.amountPaid || '',
         settlement.approvedAt ? new Date(settlement.approvedAt).toLocaleDateString('en-IN') : 
         settlement.rejectedAt ? new Date(settlement.rejectedAt).toLocaleDateString('en-IN') : '',
-        settlement.status === 'pending' ? 'Under Review' : 
-        settlement.status === 'approved' ? 'Accepted' : 'Rejected'
+        REQUEST_STATUS_LABELS[settlement.status] || settlement.status
       ]);
 
       const csvContent = [csvHeaders, ...csvRows]
@@ -600,9 +571,188 @@ class SettlementController {
       res.send(csvContent);
     } catch (error) {
       console.error('Error exporting settlements:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to export settlements'
+      });
+    }
+  }
+
+  // Admin: Create a payout batch from payable settlements
+  async createPayoutBatch(req, res) {
+    try {
+      if (!await ensureDatabase(res) || !ensureValid(req, res)) return;
+
+      const { settlement_ids, vendor_id, notes } = req.body;
+      const { batch, skipped } = await settlementService.createPayoutBatch({ settlement_ids, vendor_id, notes }, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: `Payout batch ${batch.reference} created with ${batch.payment_count} payment(s)`,
+        data: {
+          batch,
+          skipped
+        }
+      });
+    } catch (error) {
+      console.error('Error creating payout batch:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to create payout batch',
+        skipped: error.skipped
+      });
+    }
+  }
+
+  // Admin: List payout batches
+  async getPayoutBatches(req, res) {
+    try {
+      if (!await ensureDatabase(res)) return;
+
+      const { status, page = 1, limit = 50 } = req.query;
+      const { batches, total } = await settlementService.getPayoutBatches({ status, page, limit });
+
+      res.json({
+        success: true,
+        data: {
+          batches,
+          pagination: {
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 50, 200),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error getting payout batches:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get payout batches'
+      });
+    }
+  }
+
+  // Admin: Payout batch with its payments
+  async getPayoutBatch(req, res) {
+    try {
+      if (!await ensureDatabase(res)) return;
+
+      const batch = await settlementService.getPayoutBatch(req.params.batchId);
+      if (!batch) {
+        return res.status(404).json({
+          success: false,
+          message: 'Payout batch not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: batch
+      });
+    } catch (error) {
+      console.error('Error getting payout batch:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get payout batch'
+      });
+    }
+  }
+
+  // Admin: Bank upload file for a payout batch's pending payments
+  async exportPayoutBatch(req, res) {
+    try {
+      if (!await ensureDatabase(res)) return;
+
+      const { filename, content } = await settlementService.exportPayoutBatch(req.params.batchId, req.query.format || 'upi_bulk');
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+      res.send(content);
+    } catch (error) {
+      console.error('Error exporting payout batch:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to export payout batch'
+      });
+    }
+  }
+
+  // Admin: Mark a payout batch's payments paid or failed
+  async completePayoutBatch(req, res) {
+    try {
+      if (!await ensureDatabase(res) || !ensureValid(req, res)) return;
+
+      const { payments, transaction_id } = req.body;
+      const result = await settlementService.completePayoutBatch(req.params.batchId, { payments, transaction_id }, req.user);
+
+      res.json({
+        success: result.errors.length === 0,
+        message: `Paid: ${result.paid}, failed: ${result.failed}, errors: ${result.errors.length}`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Error completing payout batch:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to complete payout batch'
+      });
+    }
+  }
+
+  // Admin: Cancel a payout batch without paid payments
+  async cancelPayoutBatch(req, res) {
+    try {
+      if (!await ensureDatabase(res)) return;
+
+      const batch = await settlementService.cancelPayoutBatch(req.params.batchId);
+
+      res.json({
+        success: true,
+        message: `Payout batch ${batch.reference} cancelled`,
+        data: batch
+      });
+    } catch (error) {
+      console.error('Error cancelling payout batch:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to cancel payout batch'
+      });
+    }
+  }
+
+  // Admin: Settlements matched against their payments and ledger entries
+  async getReconciliation(req, res) {
+    try {
+      if (!await ensureDatabase(res)) return;
+
+      const { vendorId, status, dateFrom, dateTo, mismatches_only, page = 1, limit = 50 } = req.query;
+      const { settlements, summary, total } = await settlementService.getReconciliation({
+        vendorId,
+        status,
+        dateFrom,
+        dateTo,
+        mismatchesOnly: mismatches_only === 'true',
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: {
+          summary,
+          settlements,
+          pagination: {
+            page: parseInt(page) || 1,
+            limit: Math.min(parseInt(limit) || 50, 200),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Error getting settlement reconciliation:', error);
       res.status(500).json({
         success: false,
-        message: 'Failed to export settlements'
+        message: 'Failed to get settlement reconciliation'
       });
     }
   }
@@ -1,6 +1,6 @@
 /**
  * Store Controller
- * Handles all store management operations (Superadmin only)
+ * Handles all store management operations (stores:manage permission)
  */
 
 const database = require('../config/database');
@@ -8,6 +8,7 @@ const encryptionService = require('../services/encryptionService');
 const { generateUniqueAccountCode } = require('../utils/accountCodeGenerator');
 const axios = require('axios');
 const multiStoreSyncService = require('../services/multiStoreSyncService');
+const shippingPartners = require('../services/shippingPartners');
 
 class StoreController {
   /**
@@ -182,6 +183,13 @@ class StoreController {
           message: 'Shipping partner is required'
         });
       }
+
+      if (!shippingPartners.isSupported(shipping_partner)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported shipping partner: ${shipping_partner}`
+        });
+      }
       
       if (!username || !password) {
         return res.status(400).json({
@@ -269,6 +277,7 @@ class StoreController {
           auth_token: fullAuthToken,
           status
         });
+        shippingPartners.clearCache(accountCode);
       }
       
       // Create Shopify connections for each brand
@@ -351,10 +360,12 @@ class StoreController {
       const { accountCode } = req.params;
       const { 
         store_name, 
+        shipping_partner,
         username, 
         password, 
         shopify_brands, // Array of { id?, brand_name, store_code, shopify_store_url, shopify_token }
-        status
+        status,
+        brand_logo_url // PNG/JPEG URL printed on label packing slips ('' or null to remove)
       } = req.body;
       
       // Check if store exists
@@ -373,6 +384,16 @@ class StoreController {
         updateData.store_name = store_name;
       }
       
+      if (shipping_partner !== undefined) {
+        if (!shippingPartners.isSupported(shipping_partner)) {
+          return res.status(400).json({
+            success: false,
+            message: `Unsupported shipping partner: ${shipping_partner}`
+          });
+        }
+        updateData.shipping_partner = shipping_partner;
+      }
+      
       if (username !== undefined) {
         updateData.username = username;
       }
@@ -403,9 +424,20 @@ class StoreController {
         updateData.status = status;
       }
       
+      if (brand_logo_url !== undefined) {
+        if (brand_logo_url && !/^https?:\/\//i.test(brand_logo_url)) {
+          return res.status(400).json({
+            success: false,
+            message: 'brand_logo_url must be an http(s) URL'
+          });
+        }
+        updateData.brand_logo_url = brand_logo_url || null;
+      }
+      
       // Update store_info fields
       if (Object.keys(updateData).length > 0) {
       await database.updateStore(accountCode, updateData);
+        shippingPartners.clearCache(accountCode);
         console.log(`✅ Store info updated: ${accountCode}`);
       }
       
@@ -485,6 +517,7 @@ class StoreController {
       
       // Soft delete by setting status to inactive
       await database.deleteStore(accountCode);
+      shippingPartners.clearCache(accountCode);
       
       console.log(`✅ Store deleted (soft): ${accountCode}`);
       
@@ -523,6 +556,7 @@ class StoreController {
       const newStatus = store.status === 'active' ? 'inactive' : 'active';
       
       await database.updateStore(accountCode, { status: newStatus });
+      shippingPartners.clearCache(accountCode);
       
       console.log(`✅ Store status toggled: ${accountCode} -> ${newStatus}`);
       
@@ -546,11 +580,12 @@ class StoreController {
   }
 
   /**
-   * Test Shipway connection
+   * Test shipping partner credentials (Shipway unless shipping_partner is given) by fetching
+   * one page of orders through the partner's adapter
    */
   async testShipwayConnection(req, res) {
     try {
-      const { username, password } = req.body;
+      const { username, password, shipping_partner = 'Shipway' } = req.body;
       
       if (!username || !password) {
         return res.status(400).json({
@@ -558,31 +593,28 @@ class StoreController {
           message: 'Username and password are required'
         });
       }
+
+      if (!shippingPartners.isSupported(shipping_partner)) {
+        return res.status(400).json({
+          success: false,
+          message: `Unsupported shipping partner: ${shipping_partner}`
+        });
+      }
       
       // Generate auth token
       const authToken = Buffer.from(`${username}:${password}`).toString('base64');
       
-      // Test connection by calling Shipway API
-      const response = await axios.get('https://app.shipway.com/api/getorders', {
-        params: { status: 'O', page: 1 },
-        headers: {
-          'Authorization': `Basic ${authToken}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
+      // Test connection through the partner adapter
+      const adapter = shippingPartners.createAdapter({
+        shipping_partner,
+        auth_token: `Basic ${authToken}`
       });
+      await adapter.fetchOrders({ status: 'O', page: 1, timeout: 10000 });
       
-      if (response.status === 200) {
-        res.json({
-          success: true,
-          message: 'Shipway connection successful'
-        });
-      } else {
-        res.status(400).json({
-          success: false,
-          message: 'Shipway connection failed: Invalid response'
-        });
-      }
+      res.json({
+        success: true,
+        message: `${adapter.partnerName} connection successful`
+      });
       
     } catch (error) {
       console.error('Test Shipway connection error:', error.message);
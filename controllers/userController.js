@@ -1,5 +1,6 @@
 const database = require('../config/database');
 const { hashPassword } = require('../middleware/auth');
+const { VENDOR_TEAM_ROLES } = require('../config/permissions');
 const shipwayService = require('../services/shipwayService');
 const fs = require('fs');
 const path = require('path');
@@ -308,6 +309,26 @@ class UserController {
           message: 'User not found'
         });
       }
+      // Vendor team members work under their vendor's warehouse; they are managed through /api/users/vendor/team
+      if (existingUser.vendor_owner_id) {
+        if ((updateData.role && updateData.role !== 'vendor') || updateData.warehouseId) {
+          return res.status(400).json({
+            success: false,
+            message: 'Role and warehouse ID of vendor team members cannot be changed'
+          });
+        }
+        delete updateData.role;
+        delete updateData.warehouseId;
+      }
+      // Team membership is set when the member is created; the sub-role only applies to members
+      delete updateData.vendor_owner_id;
+      if (updateData.vendor_role !== undefined && (!existingUser.vendor_owner_id || !VENDOR_TEAM_ROLES[updateData.vendor_role] || updateData.vendor_role === 'owner')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid vendor team role'
+        });
+      }
+
       // Handle role changes and warehouse ID requirements
       if (updateData.role === 'vendor') {
         // If changing to vendor role, warehouse ID is required
@@ -359,7 +380,7 @@ class UserController {
 
       // If vendor warehouseId changed or status became inactive, update their orders' claim state
       try {
-        if (updatedUser.role === 'vendor') {
+        if (updatedUser.role === 'vendor' && !updatedUser.vendor_owner_id) {
           const prevWid = String((prevUser && (prevUser.warehouseId || prevUser.warehouse_id)) || '');
           const newWid = String((updatedUser.warehouseId || updatedUser.warehouse_id) || '');
           const deactivated = updateData.status && String(updateData.status).toLowerCase() === 'inactive';
@@ -435,7 +456,7 @@ class UserController {
       }
 
       // If vendor, unclaim all orders assigned to this vendor before deleting
-      if (user.role === 'vendor') {
+      if (user.role === 'vendor' && !user.vendor_owner_id) {
         try {
           const vendorWid = String(user.warehouseId || user.warehouse_id || '');
           if (vendorWid) {
@@ -458,6 +479,16 @@ class UserController {
           console.error('Error unclaiming orders for deleted vendor:', e);
           // Continue with deletion even if this fails
         }
+
+        // The vendor's team members go with the vendor account
+        try {
+          const removedMembers = await database.deleteVendorTeamMembers(user.id);
+          if (removedMembers > 0) {
+            console.log(`Deleted ${removedMembers} team members of deleted vendor ${user.warehouseId}`);
+          }
+        } catch (e) {
+          console.error('Error deleting team members of deleted vendor:', e);
+        }
       }
 
       // Delete user
@@ -615,7 +646,8 @@ class UserController {
       }
       const logPath = path.join(logDir, 'vendor-debug.log');
       const timestamp = new Date().toISOString();
-      const vendor = req.user;
+      // Team members see their vendor's warehouse address
+      const vendor = req.vendor || req.user;
       // Log the incoming user object and all relevant fields
       const logEntry = `[${timestamp}] vendor: ${JSON.stringify(vendor)}\n`;
       fs.appendFileSync(logPath, logEntry);
@@ -0,0 +1,142 @@
+/**
+ * Vendor Capacity Controller
+ * Per-vendor claim limits (admin) and auto-allocation of unclaimed orders
+ */
+
+const database = require('../config/database');
+const vendorCapacityService = require('../services/vendorCapacityService');
+
+/**
+ * Load a vendor (owner) account; null for other users and team members
+ */
+const getVendor = async (vendorId) => {
+  const vendor = await database.getUserById(vendorId);
+  return vendor && vendor.role === 'vendor' && !vendor.vendor_owner_id ? vendor : null;
+};
+
+class VendorCapacityController {
+  /**
+   * Admin: vendors with their limits, open claims and the default limits
+   */
+  async getCapacities(req, res) {
+    try {
+      const data = await vendorCapacityService.getAllCapacities();
+
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      console.error('Get vendor capacities error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch vendor capacities',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: set a vendor's limits and auto-allocation opt-in
+   */
+  async updateCapacity(req, res) {
+    try {
+      const vendor = await getVendor(req.params.vendorId);
+      if (!vendor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor not found'
+        });
+      }
+
+      const { error, capacity } = vendorCapacityService.validateCapacity(req.body || {});
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const saved = await database.saveVendorCapacity(vendor.id, { ...capacity, updated_by: req.user.id });
+
+      console.log(`📦 Capacity of vendor ${vendor.warehouseId} set by ${req.user.email}:`, capacity);
+
+      res.json({
+        success: true,
+        message: 'Vendor capacity updated successfully',
+        data: saved
+      });
+    } catch (error) {
+      console.error('Update vendor capacity error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update vendor capacity',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: reset a vendor to the default limits
+   */
+  async deleteCapacity(req, res) {
+    try {
+      const deleted = await database.deleteVendorCapacity(req.params.vendorId);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor has no capacity settings'
+        });
+      }
+
+      console.log(`📦 Capacity of vendor ${req.params.vendorId} reset by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Vendor capacity reset to the defaults'
+      });
+    } catch (error) {
+      console.error('Delete vendor capacity error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset vendor capacity',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: allocate unclaimed orders to opted-in vendors now
+   */
+  async allocate(req, res) {
+    try {
+      const { dry_run, limit, account_code } = req.body || {};
+      const dryRun = dry_run === true || dry_run === 'true';
+
+      const result = await vendorCapacityService.allocateOrders({
+        dryRun,
+        limit,
+        accountCode: account_code || null
+      });
+
+      console.log(`📦 Auto-allocation ${dryRun ? 'previewed' : 'run'} by ${req.user.email}: ${result.allocated}/${result.checked}`);
+
+      res.json({
+        success: true,
+        message: dryRun
+          ? `${result.allocated} of ${result.checked} orders would be allocated`
+          : `Allocated ${result.allocated} of ${result.checked} orders`,
+        data: { dry_run: dryRun, ...result }
+      });
+    } catch (error) {
+      console.error('Vendor auto-allocation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to allocate orders',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new VendorCapacityController();
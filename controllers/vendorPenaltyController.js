@@ -0,0 +1,314 @@
+/**
+ * Vendor Penalty Controller
+ * Penalty rules (admin), penalties charged to vendors, vendor disputes and admin waivers
+ */
+
+const { validationResult } = require('express-validator');
+const database = require('../config/database');
+const vendorPenaltyService = require('../services/vendorPenaltyService');
+
+// 400 with the express-validator errors; returns false when the request is invalid
+const ensureValid = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+    return false;
+  }
+  return true;
+};
+
+const penaltyFilters = (query) => ({
+  status: query.status,
+  penalty_type: query.penalty_type,
+  account_code: query.account_code,
+  dateFrom: query.dateFrom,
+  dateTo: query.dateTo,
+  limit: query.limit
+});
+
+class VendorPenaltyController {
+  /**
+   * Vendor: own penalties with totals per status
+   */
+  async getVendorPenalties(req, res) {
+    try {
+      const penalties = await database.getVendorPenalties({ ...penaltyFilters(req.query), vendor_id: req.vendor.id });
+
+      res.json({
+        success: true,
+        data: {
+          summary: vendorPenaltyService.summarize(penalties),
+          penalties
+        }
+      });
+    } catch (error) {
+      console.error('Get vendor penalties error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch penalties'
+      });
+    }
+  }
+
+  /**
+   * Vendor: dispute a penalty
+   */
+  async disputePenalty(req, res) {
+    try {
+      if (!ensureValid(req, res)) return;
+
+      const penalty = await vendorPenaltyService.disputePenalty(req.params.id, req.vendor, req.body.reason, req.user);
+
+      res.json({
+        success: true,
+        message: 'Penalty disputed; an admin will review it',
+        data: penalty
+      });
+    } catch (error) {
+      console.error('Dispute penalty error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to dispute penalty'
+      });
+    }
+  }
+
+  /**
+   * Admin: penalties of all vendors (or one) with totals per status
+   */
+  async getPenalties(req, res) {
+    try {
+      const penalties = await database.getVendorPenalties({ ...penaltyFilters(req.query), vendor_id: req.query.vendor_id });
+
+      res.json({
+        success: true,
+        data: {
+          summary: vendorPenaltyService.summarize(penalties),
+          penalties
+        }
+      });
+    } catch (error) {
+      console.error('Get penalties error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch penalties',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: one penalty
+   */
+  async getPenalty(req, res) {
+    try {
+      const penalty = await database.getVendorPenaltyById(req.params.id);
+      if (!penalty) {
+        return res.status(404).json({
+          success: false,
+          message: 'Penalty not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: penalty
+      });
+    } catch (error) {
+      console.error('Get penalty error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch penalty',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: waive a penalty (credits the amount back to the vendor)
+   */
+  async waivePenalty(req, res) {
+    try {
+      if (!ensureValid(req, res)) return;
+
+      const penalty = await vendorPenaltyService.waivePenalty(req.params.id, req.body.notes || null, req.user);
+
+      res.json({
+        success: true,
+        message: 'Penalty waived',
+        data: penalty
+      });
+    } catch (error) {
+      console.error('Waive penalty error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to waive penalty'
+      });
+    }
+  }
+
+  /**
+   * Admin: reject a vendor's dispute (the penalty stays applied)
+   */
+  async rejectDispute(req, res) {
+    try {
+      if (!ensureValid(req, res)) return;
+
+      const penalty = await vendorPenaltyService.rejectDispute(req.params.id, req.body.notes, req.user);
+
+      res.json({
+        success: true,
+        message: 'Dispute rejected; the penalty stays applied',
+        data: penalty
+      });
+    } catch (error) {
+      console.error('Reject penalty dispute error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.statusCode ? error.message : 'Failed to reject dispute'
+      });
+    }
+  }
+
+  /**
+   * Admin: penalty rules and the default RTO quality keywords
+   */
+  async getRules(req, res) {
+    try {
+      const rules = await database.getVendorPenaltyRules({
+        rule_type: req.query.rule_type,
+        account_code: req.query.account_code
+      });
+
+      res.json({
+        success: true,
+        data: {
+          penalty_types: vendorPenaltyService.PENALTY_TYPES,
+          default_quality_keywords: vendorPenaltyService.DEFAULT_QUALITY_KEYWORDS,
+          rules
+        }
+      });
+    } catch (error) {
+      console.error('Get penalty rules error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch penalty rules',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: create a penalty rule
+   */
+  async createRule(req, res) {
+    try {
+      const { error, rule } = vendorPenaltyService.validateRule(req.body || {});
+      const storeError = !error && rule.account_code && !(await database.getStoreByAccountCode(rule.account_code))
+        ? `Store not found: ${rule.account_code}`
+        : null;
+      if (error || storeError) {
+        return res.status(400).json({
+          success: false,
+          message: error || storeError
+        });
+      }
+
+      const saved = await database.saveVendorPenaltyRule({ ...rule, created_by: req.user.id });
+
+      console.log(`⚖️ Penalty rule ${saved.id} (${saved.rule_type}) created by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Penalty rule created successfully',
+        data: saved
+      });
+    } catch (error) {
+      console.error('Create penalty rule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create penalty rule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: update a penalty rule (omitted fields keep their current value). Penalties already
+   * charged keep their amount.
+   */
+  async updateRule(req, res) {
+    try {
+      const current = await database.getVendorPenaltyRuleById(req.params.id);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Penalty rule not found'
+        });
+      }
+
+      const { error, rule } = vendorPenaltyService.validateRule(req.body || {}, current);
+      const storeError = !error && rule.account_code && !(await database.getStoreByAccountCode(rule.account_code))
+        ? `Store not found: ${rule.account_code}`
+        : null;
+      if (error || storeError) {
+        return res.status(400).json({
+          success: false,
+          message: error || storeError
+        });
+      }
+
+      const saved = await database.saveVendorPenaltyRule(rule, current.id);
+
+      console.log(`⚖️ Penalty rule ${saved.id} (${saved.rule_type}) updated by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Penalty rule updated successfully',
+        data: saved
+      });
+    } catch (error) {
+      console.error('Update penalty rule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update penalty rule',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Admin: delete a penalty rule
+   */
+  async deleteRule(req, res) {
+    try {
+      const deleted = await database.deleteVendorPenaltyRule(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Penalty rule not found'
+        });
+      }
+
+      console.log(`⚖️ Penalty rule ${req.params.id} deleted by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Penalty rule deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete penalty rule error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete penalty rule',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new VendorPenaltyController();
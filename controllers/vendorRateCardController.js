@@ -0,0 +1,183 @@
+/**
+ * Vendor Rate Card Controller
+ * Admin management of per-vendor commercial terms (vendor_rate_cards) used to price handed-over claims
+ */
+
+const database = require('../config/database');
+const vendorRateCardService = require('../services/vendorRateCardService');
+
+/**
+ * Check the card's vendor and store exist
+ * @returns {Promise<string|null>} Error message, or null when both are valid
+ */
+const checkReferences = async (card) => {
+  const vendor = await database.getUserById(card.vendor_id);
+  if (!vendor || vendor.role !== 'vendor' || vendor.vendor_owner_id) {
+    return `Vendor not found: ${card.vendor_id}`;
+  }
+  if (card.account_code && !(await database.getStoreByAccountCode(card.account_code))) {
+    return `Store not found: ${card.account_code}`;
+  }
+  return null;
+};
+
+class VendorRateCardController {
+  /**
+   * List rate cards, optionally of one vendor / store or in effect on a date
+   */
+  async getRateCards(req, res) {
+    try {
+      const { vendor_id, account_code, active_on } = req.query;
+
+      const rateCards = await database.getVendorRateCards({ vendor_id, account_code, active_on });
+
+      res.json({
+        success: true,
+        data: {
+          pricing_types: vendorRateCardService.PRICING_TYPES,
+          rate_cards: rateCards
+        }
+      });
+    } catch (error) {
+      console.error('Get vendor rate cards error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch vendor rate cards',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * One rate card
+   */
+  async getRateCard(req, res) {
+    try {
+      const rateCard = await database.getVendorRateCardById(req.params.id);
+      if (!rateCard) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rate card not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: rateCard
+      });
+    } catch (error) {
+      console.error('Get vendor rate card error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch vendor rate card',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Create a rate card
+   */
+  async createRateCard(req, res) {
+    try {
+      const { error, card } = vendorRateCardService.validateRateCard(req.body || {});
+      const referenceError = error ? null : await checkReferences(card);
+      if (error || referenceError) {
+        return res.status(400).json({
+          success: false,
+          message: error || referenceError
+        });
+      }
+
+      const saved = await database.saveVendorRateCard({ ...card, created_by: req.user.id });
+
+      console.log(`💰 Rate card ${saved.id} for vendor ${saved.vendor_id} created by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Rate card created successfully',
+        data: saved
+      });
+    } catch (error) {
+      console.error('Create vendor rate card error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create vendor rate card',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update a rate card (omitted fields keep their current value). Credits already written keep
+   * the amount they were priced at.
+   */
+  async updateRateCard(req, res) {
+    try {
+      const current = await database.getVendorRateCardById(req.params.id);
+      if (!current) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rate card not found'
+        });
+      }
+
+      const { error, card } = vendorRateCardService.validateRateCard(req.body || {}, current);
+      const referenceError = error ? null : await checkReferences(card);
+      if (error || referenceError) {
+        return res.status(400).json({
+          success: false,
+          message: error || referenceError
+        });
+      }
+
+      const saved = await database.saveVendorRateCard(card, current.id);
+
+      console.log(`💰 Rate card ${saved.id} for vendor ${saved.vendor_id} updated by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Rate card updated successfully',
+        data: saved
+      });
+    } catch (error) {
+      console.error('Update vendor rate card error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update vendor rate card',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete a rate card (lines it would have priced fall back to the next matching card)
+   */
+  async deleteRateCard(req, res) {
+    try {
+      const deleted = await database.deleteVendorRateCard(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Rate card not found'
+        });
+      }
+
+      console.log(`💰 Rate card ${req.params.id} deleted by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Rate card deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete vendor rate card error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete vendor rate card',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new VendorRateCardController();
@@ -0,0 +1,214 @@
+/**
+ * Vendor Team Controller
+ * Team member accounts under a vendor (packers, supervisors, accountants). Members sign in with
+ * their own credentials and sessions and act for the vendor's warehouse within their sub-role.
+ */
+
+const database = require('../config/database');
+const { hashPassword } = require('../middleware/auth');
+const userSessionService = require('../services/userSessionService');
+const { VENDOR_TEAM_ROLES } = require('../config/permissions');
+
+const publicMember = (user) => {
+  const { password, token, active_session, ...member } = user;
+  return member;
+};
+
+/**
+ * Load a team member of the vendor; null when the user does not exist or belongs to another vendor
+ */
+const getOwnMember = async (vendor, memberId) => {
+  const member = await database.getUserById(memberId);
+  return member && member.vendor_owner_id === vendor.id ? member : null;
+};
+
+class VendorTeamController {
+  /**
+   * Vendor: own team members and the available sub-roles
+   */
+  async getTeam(req, res) {
+    try {
+      const members = await database.getVendorTeamMembers(req.vendor.id);
+
+      res.json({
+        success: true,
+        data: {
+          team_roles: VENDOR_TEAM_ROLES,
+          members
+        }
+      });
+    } catch (error) {
+      console.error('Get vendor team error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch team members'
+      });
+    }
+  }
+
+  /**
+   * Vendor: add a team member
+   */
+  async addMember(req, res) {
+    try {
+      const vendor = req.vendor;
+      const { name, email, phone, password, vendor_role } = req.body;
+
+      if (await database.getUserByEmail(email)) {
+        return res.status(400).json({
+          success: false,
+          message: 'User with this email already exists'
+        });
+      }
+
+      const member = await database.createUser({
+        name,
+        email,
+        phone,
+        password: await hashPassword(password),
+        role: 'vendor',
+        status: 'active',
+        vendor_owner_id: vendor.id,
+        vendor_role
+      });
+
+      console.log(`👥 Team member ${member.id} (${vendor_role}) added to vendor ${vendor.warehouseId} by ${req.user.email}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Team member added successfully',
+        data: publicMember(member)
+      });
+    } catch (error) {
+      console.error('Add vendor team member error:', error);
+      if (error.message.includes('already exists')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add team member'
+      });
+    }
+  }
+
+  /**
+   * Vendor: update a team member's details, sub-role, status or password. Deactivating a member
+   * or resetting their password signs them out everywhere.
+   */
+  async updateMember(req, res) {
+    try {
+      const vendor = req.vendor;
+      const member = await getOwnMember(vendor, req.params.id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team member not found'
+        });
+      }
+
+      const { name, phone, vendor_role, status, password } = req.body;
+      const updates = {};
+      if (name !== undefined) updates.name = name;
+      if (phone !== undefined) updates.phone = phone || null;
+      if (vendor_role !== undefined) updates.vendor_role = vendor_role;
+      if (status !== undefined) updates.status = status;
+      if (password !== undefined) updates.password = await hashPassword(password);
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No fields to update'
+        });
+      }
+
+      const updated = await database.updateUser(member.id, updates);
+
+      if (status === 'inactive' || password !== undefined) {
+        await userSessionService.revokeAllSessions(member, status === 'inactive' ? 'deactivated' : 'password_change');
+      }
+
+      console.log(`👥 Team member ${member.id} of vendor ${vendor.warehouseId} updated by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Team member updated successfully',
+        data: publicMember(updated)
+      });
+    } catch (error) {
+      console.error('Update vendor team member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update team member'
+      });
+    }
+  }
+
+  /**
+   * Vendor: remove a team member (orders they claimed stay with the vendor)
+   */
+  async removeMember(req, res) {
+    try {
+      const vendor = req.vendor;
+      const member = await getOwnMember(vendor, req.params.id);
+      if (!member) {
+        return res.status(404).json({
+          success: false,
+          message: 'Team member not found'
+        });
+      }
+
+      await userSessionService.revokeAllSessions(member, 'deleted');
+      await database.deleteUser(member.id);
+
+      console.log(`👥 Team member ${member.id} removed from vendor ${vendor.warehouseId} by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Team member removed successfully'
+      });
+    } catch (error) {
+      console.error('Remove vendor team member error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove team member'
+      });
+    }
+  }
+
+  /**
+   * Admin: team members of a vendor
+   */
+  async getVendorTeam(req, res) {
+    try {
+      const vendor = await database.getUserById(req.params.id);
+      if (!vendor || vendor.role !== 'vendor' || vendor.vendor_owner_id) {
+        return res.status(404).json({
+          success: false,
+          message: 'Vendor not found'
+        });
+      }
+
+      const members = await database.getVendorTeamMembers(vendor.id);
+
+      res.json({
+        success: true,
+        data: {
+          vendor: { id: vendor.id, name: vendor.name, warehouseId: vendor.warehouseId },
+          members
+        }
+      });
+    } catch (error) {
+      console.error('Get vendor team (admin) error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch team members',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new VendorTeamController();
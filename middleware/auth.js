@@ -1,11 +1,34 @@
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const database = require('../config/database');
+const permissionService = require('../services/permissionService');
+const { VENDOR_TEAM_ROLES } = require('../config/permissions');
 
 /**
  * Authentication Middleware
- * Handles Basic Authentication and role-based access control
+ * Handles authentication (Bearer access tokens, opt-in Basic Auth) and role-based access control
  */
 
+const JWT_ISSUER = 'clamio';
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+  }
+  // Tokens signed with a per-process secret stop working on restart and across instances
+  console.warn('⚠️ JWT_SECRET is not set - using a random secret; access tokens will not survive restarts');
+  jwtSecret = crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * Basic Auth (email:password on every request) bypasses sessions, so logout and revocation
+ * cannot apply to it; it is only accepted when ALLOW_BASIC_AUTH=true
+ */
+const isBasicAuthEnabled = () => process.env.ALLOW_BASIC_AUTH === 'true';
+
 /**
  * Decode Basic Auth credentials
  * @param {string} authHeader - Authorization header value
@@ -66,69 +89,158 @@ const comparePassword = async (password, hash) => {
 };
 
 /**
- * Basic Authentication middleware
- * Verifies Basic Auth credentials and adds user to request object
+ * Error raised when credentials are present but cannot be accepted
  */
-const authenticateBasicAuth = async (req, res, next) => {
+class AuthenticationError extends Error {
+  constructor(message, code = 'UNAUTHORIZED') {
+    super(message);
+    this.name = 'AuthenticationError';
+    this.code = code;
+  }
+}
+
+/**
+ * Resolve the user for a Bearer access token. The session named in the token
+ * must still exist and not be revoked, so logout and password changes take effect immediately.
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object>} { user, sessionId }
+ */
+const resolveAccessToken = async (token) => {
+  let payload;
   try {
-    const authHeader = req.headers['authorization'];
-    if (!authHeader) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authorization header is required'
-      });
+    payload = verifyToken(token);
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw new AuthenticationError('Access token expired', 'TOKEN_EXPIRED');
     }
+    throw new AuthenticationError('Invalid access token', 'INVALID_TOKEN');
+  }
 
-    let credentials = decodeBasicAuth(authHeader);
-    if (!credentials) {
-      // Fallback: Check if the header itself is a valid vendor token (UUID)
-      // This supports existing vendor panel integrations that don't use Basic Auth yet
-      const user = await database.getUserByToken(authHeader);
+  const session = await database.getUserSessionById(payload.sid);
+  if (!session || session.revoked_at || session.user_id !== payload.sub) {
+    throw new AuthenticationError('Session has been revoked', 'SESSION_REVOKED');
+  }
 
-      if (user && user.status === 'active' && user.active_session === 'TRUE') {
-        req.user = user;
-        return next();
-      }
+  const user = await database.getUserById(payload.sub);
+  if (!user) {
+    throw new AuthenticationError('Invalid credentials');
+  }
+  if (user.status !== 'active') {
+    throw new AuthenticationError('User account is inactive');
+  }
 
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid Basic Auth format'
-      });
-    }
+  // A valid session is an active vendor session; vendor routes still check active_session
+  return { user: { ...user, active_session: 'TRUE' }, sessionId: session.id };
+};
 
-    const { email, password } = credentials;
+/**
+ * Resolve the user for Basic Auth credentials
+ * @param {Object} credentials - { email, password }
+ * @returns {Promise<Object>} { user, sessionId: null }
+ */
+const resolveBasicAuth = async ({ email, password }) => {
+  const user = await database.getUserByEmail(email);
+  if (!user) {
+    throw new AuthenticationError('Invalid credentials');
+  }
 
-    // Find user by email - AWAIT the async call
-    const user = await database.getUserByEmail(email);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
+  if (user.status !== 'active') {
+    throw new AuthenticationError('User account is inactive');
+  }
 
-    // Check if user is active
-    if (user.status !== 'active') {
-      return res.status(401).json({
-        success: false,
-        message: 'User account is inactive'
-      });
+  const isPasswordValid = await bcrypt.compare(password, user.password);
+  if (!isPasswordValid) {
+    throw new AuthenticationError('Invalid credentials');
+  }
+
+  return { user, sessionId: null };
+};
+
+/**
+ * Resolve the vendor organisation of a user. Vendor team members (users.vendor_owner_id set) act
+ * for their vendor: they get the vendor's warehouseId, so claims, labels and orders stay the
+ * vendor's, and are rejected once the vendor account is deactivated or deleted.
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object>} { user, vendor } - vendor is the owner's user row (null for non-vendors)
+ */
+const resolveVendorAccount = async (user) => {
+  if (user.role !== 'vendor') {
+    return { user, vendor: null };
+  }
+  if (!user.vendor_owner_id) {
+    return { user, vendor: user };
+  }
+
+  const owner = await database.getUserById(user.vendor_owner_id);
+  if (!owner || owner.role !== 'vendor' || owner.vendor_owner_id) {
+    throw new AuthenticationError('Vendor account not found', 'VENDOR_NOT_FOUND');
+  }
+  if (owner.status !== 'active') {
+    throw new AuthenticationError('Vendor account is inactive');
+  }
+
+  return { user: { ...user, warehouseId: owner.warehouseId }, vendor: owner };
+};
+
+/**
+ * Resolve the user for a supported Authorization header:
+ *  - `Bearer <access token>` issued by /api/auth/login and /api/auth/refresh
+ *  - `Basic base64(email:password)`, only when ALLOW_BASIC_AUTH=true
+ * @param {string} authHeader - Authorization header value
+ * @returns {Promise<Object>} { user, vendor, sessionId, authType }
+ */
+const resolveAuthHeader = async (authHeader) => {
+  let result;
+
+  if (authHeader.startsWith('Bearer ')) {
+    result = { ...(await resolveAccessToken(authHeader.slice(7).trim())), authType: 'Bearer' };
+  } else {
+    const credentials = decodeBasicAuth(authHeader);
+    if (!credentials) {
+      throw new AuthenticationError('Invalid Authorization header');
+    }
+    if (!isBasicAuthEnabled()) {
+      throw new AuthenticationError('Basic Auth is disabled. Please sign in again.', 'BASIC_AUTH_DISABLED');
     }
+    result = { ...(await resolveBasicAuth(credentials)), authType: 'Basic' };
+  }
+
+  return { ...result, ...(await resolveVendorAccount(result.user)) };
+};
 
-    // Verify password
-    const isPasswordValid = bcrypt.compareSync(password, user.password);
-    if (!isPasswordValid) {
+/**
+ * Authentication middleware
+ * Verifies the Authorization header and adds user (and session, for Bearer tokens) to the request.
+ * For vendors, req.vendor is the vendor (owner) account; ledger, settlements and payouts are keyed by it.
+ */
+const authenticate = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    if (!authHeader) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials'
+        message: 'Authorization header is required'
       });
     }
 
+    const { user, vendor, sessionId, authType } = await resolveAuthHeader(authHeader);
+
     // Add user to request object
     req.user = user;
+    req.vendor = vendor;
+    req.sessionId = sessionId;
+    req.authType = authType;
     next();
   } catch (error) {
-    console.error('Basic Auth error:', error);
+    if (error instanceof AuthenticationError) {
+      return res.status(401).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Authentication error:', error);
     return res.status(500).json({
       success: false,
       message: 'Authentication failed'
@@ -136,6 +248,9 @@ const authenticateBasicAuth = async (req, res, next) => {
   }
 };
 
+// Kept under its original name; every protected route goes through the same middleware
+const authenticateBasicAuth = authenticate;
+
 /**
  * Role-based authorization middleware
  * @param {string|Array} allowedRoles - Role(s) allowed to access the route
@@ -196,6 +311,75 @@ const requireAdminOrSuperadmin = authorizeRoles(['admin', 'superadmin']);
  */
 const requireAnyUser = authorizeRoles(['admin', 'vendor', 'superadmin']);
 
+/**
+ * Permission-based authorization middleware
+ * Requires every listed permission (see config/permissions.js); use after authenticate
+ * @param {...string} permissions - Permission names, e.g. 'orders:assign'
+ */
+const requirePermission = (...permissions) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const granted = await permissionService.getPermissionsForUser(req.user);
+      const missing = permissions.filter(permission => !granted.has(permission));
+
+      if (missing.length > 0) {
+        return res.status(403).json({
+          success: false,
+          message: 'Insufficient permissions',
+          missingPermissions: missing
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error('Authorization error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Authorization failed'
+      });
+    }
+  };
+};
+
+/**
+ * Vendor team capability middleware
+ * Vendor team members need the capability in their sub-role (VENDOR_TEAM_ROLES in config/permissions.js);
+ * vendor owners have every capability and non-vendor users pass through to their own checks.
+ * Use after authenticate.
+ * @param {string} capability - e.g. 'orders', 'settlements'
+ */
+const requireVendorCapability = (capability) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (req.user.role !== 'vendor' || !req.user.vendor_owner_id) {
+      return next();
+    }
+
+    const teamRole = VENDOR_TEAM_ROLES[req.user.vendor_role];
+    if (!teamRole || !teamRole.capabilities.includes(capability)) {
+      return res.status(403).json({
+        success: false,
+        message: `Your vendor team role (${req.user.vendor_role || 'none'}) does not have access to ${capability}`
+      });
+    }
+
+    next();
+  };
+};
+
 /**
  * Combined authentication + superadmin authorization middleware
  * Useful for routes that need both in one middleware
@@ -218,29 +402,24 @@ const authenticateAdmin = async (req, res, next) => {
 
 /**
  * Optional authentication middleware
- * Adds user to request if Basic Auth is valid, but doesn't require it
+ * Adds user to request if the Authorization header is valid, but doesn't require it
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
 
-    if (authHeader && authHeader.startsWith('Basic ')) {
-      const credentials = decodeBasicAuth(authHeader);
-      if (credentials) {
-        const { email, password } = credentials;
-        const user = database.getUserByEmail(email);
-
-        if (user && user.status === 'active' && bcrypt.compareSync(password, user.password)) {
-          req.user = user;
-        }
-      }
+    if (authHeader) {
+      const { user, vendor, sessionId, authType } = await resolveAuthHeader(authHeader);
+      req.user = user;
+      req.vendor = vendor;
+      req.sessionId = sessionId;
+      req.authType = authType;
     }
-
-    next();
   } catch (error) {
     // Continue without authentication
-    next();
   }
+
+  next();
 };
 
 /**
@@ -280,27 +459,43 @@ const rateLimit = (maxAttempts = 5, windowMs = 15 * 60 * 1000) => {
   };
 };
 
-// Keep JWT functions for backward compatibility (if needed)
-const generateToken = (user) => {
-  // This function is kept for compatibility but not used with Basic Auth
-  console.warn('JWT generateToken called but Basic Auth is being used');
-  return null;
+/**
+ * Sign a short-lived access token for a session
+ * @param {Object} user - User row
+ * @param {string} sessionId - user_sessions.id
+ * @returns {string} JWT access token
+ */
+const generateToken = (user, sessionId) => {
+  return jwt.sign(
+    { sub: user.id, role: user.role, sid: sessionId },
+    jwtSecret,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, issuer: JWT_ISSUER }
+  );
 };
 
+/**
+ * Verify an access token
+ * @param {string} token - JWT access token
+ * @returns {Object} Token payload ({ sub, role, sid, exp })
+ * @throws {Error} jsonwebtoken errors (TokenExpiredError, JsonWebTokenError)
+ */
 const verifyToken = (token) => {
-  // This function is kept for compatibility but not used with Basic Auth
-  console.warn('JWT verifyToken called but Basic Auth is being used');
-  return null;
+  return jwt.verify(token, jwtSecret, { issuer: JWT_ISSUER });
 };
 
-// Use Basic Auth as the default authentication method
-const authenticateToken = authenticateBasicAuth;
+const authenticateToken = authenticate;
 
 module.exports = {
+  // Authentication
+  authenticate,
+  authenticateBasicAuth,
+  authenticateToken,
+  AuthenticationError,
+
   // Basic Auth functions
   decodeBasicAuth,
   encodeBasicAuth,
-  authenticateBasicAuth,
+  isBasicAuthEnabled,
 
   // Password functions
   hashPassword,
@@ -313,6 +508,9 @@ module.exports = {
   requireVendor,
   requireAdminOrSuperadmin,
   requireAnyUser,
+  requirePermission,
+  requireVendorCapability,
+  resolveVendorAccount,
   authenticateSuperAdmin,
   authenticateAdmin,
   optionalAuth,
@@ -320,8 +518,7 @@ module.exports = {
   // Rate limiting
   rateLimit,
 
-  // JWT functions (for backward compatibility)
+  // JWT functions
   generateToken,
-  verifyToken,
-  authenticateToken
+  verifyToken
 }; 
\ No newline at end of file
@@ -1,4 +1,8 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { VENDOR_TEAM_ROLES } = require('../config/permissions');
+
+// Sub-roles a vendor can give team members (the vendor's own account is the owner)
+const TEAM_MEMBER_ROLES = Object.keys(VENDOR_TEAM_ROLES).filter(role => role !== 'owner');
 
 /**
  * Validation Middleware
@@ -225,6 +229,84 @@ const validateUserUpdate = [
   handleValidationErrors
 ];
 
+/**
+ * Vendor team member creation validation rules
+ */
+const validateVendorTeamMember = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 80 })
+    .withMessage('Name must be between 2 and 80 characters')
+    .matches(/^[a-zA-Z0-9\s\-&_\.]+$/)
+    .withMessage('Name can include letters, numbers, spaces, -, &, _ and .'),
+
+  body('email')
+    .trim()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+
+  body('phone')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^\+?[\d\s\-\(\)]+$/)
+    .withMessage('Please provide a valid phone number'),
+
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+
+  body('vendor_role')
+    .isIn(TEAM_MEMBER_ROLES)
+    .withMessage(`Team role must be one of: ${TEAM_MEMBER_ROLES.join(', ')}`),
+
+  handleValidationErrors
+];
+
+/**
+ * Vendor team member update validation rules
+ */
+const validateVendorTeamMemberUpdate = [
+  param('id')
+    .notEmpty()
+    .withMessage('User ID is required'),
+
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 80 })
+    .withMessage('Name must be between 2 and 80 characters')
+    .matches(/^[a-zA-Z0-9\s\-&_\.]+$/)
+    .withMessage('Name can include letters, numbers, spaces, -, &, _ and .'),
+
+  body('phone')
+    .optional({ checkFalsy: true })
+    .trim()
+    .matches(/^\+?[\d\s\-\(\)]+$/)
+    .withMessage('Please provide a valid phone number'),
+
+  body('password')
+    .optional()
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+
+  body('vendor_role')
+    .optional()
+    .isIn(TEAM_MEMBER_ROLES)
+    .withMessage(`Team role must be one of: ${TEAM_MEMBER_ROLES.join(', ')}`),
+
+  body('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('Status must be either active or inactive'),
+
+  handleValidationErrors
+];
+
 /**
  * Warehouse ID validation rules
  */
@@ -348,6 +430,8 @@ module.exports = {
   validatePhoneLogin,
   validatePasswordReset,
   validateUserUpdate,
+  validateVendorTeamMember,
+  validateVendorTeamMemberUpdate,
   validateWarehouseId,
   validateUserId,
   validatePagination,
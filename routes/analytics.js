@@ -1,25 +1,25 @@
 const express = require('express');
 const router = express.Router();
 const analyticsController = require('../controllers/analyticsController');
-const { authenticateToken, requireVendor, requireAdminOrSuperadmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission, requireVendorCapability } = require('../middleware/auth');
 
 // Apply authentication to all analytics routes
 router.use(authenticateToken);
 
 /**
  * @route   GET /api/analytics/vendor/:vendorId?
- * @desc    Get fulfillment analytics for a specific vendor (or self if vendor requester)
- * @access  Vendor (self) or Admin/Superadmin
+ * @desc    Get fulfillment analytics and rate card earnings for a specific vendor (or self if vendor requester)
+ * @access  Vendor (self; team members with the analytics capability) or Permission: analytics:view
  */
-router.get('/vendor/:vendorId?', (req, res, next) => {
+router.get('/vendor/:vendorId?', requireVendorCapability('analytics'), (req, res, next) => {
     // If user is a vendor, they can only access their own stats (vendorId from token)
-    // If user is admin/superadmin, they can access any vendorId or all
     if (req.user.role === 'vendor') {
         return analyticsController.getVendorAnalytics(req, res);
     }
-
-    // For admins, vendorId is required or they can use the admin overview
-    if (!req.params.vendorId && req.user.role !== 'vendor') {
+    next();
+}, requirePermission('analytics:view'), (req, res) => {
+    // Without a vendorId, fall back to the admin overview
+    if (!req.params.vendorId) {
         return analyticsController.getAdminAnalytics(req, res);
     }
 
@@ -29,8 +29,26 @@ router.get('/vendor/:vendorId?', (req, res, next) => {
 /**
  * @route   GET /api/analytics/admin/overview
  * @desc    Get aggregated fulfillment analytics for all vendors
- * @access  Admin/Superadmin
+ * @access  Permission: analytics:view
+ */
+router.get('/admin/overview', requirePermission('analytics:view'), analyticsController.getAdminAnalytics);
+
+/**
+ * @route   GET /api/analytics/admin/rto
+ * @desc    RTO rates by pincode/courier/product/vendor/payment type/store, aging of open RTOs,
+ *          lost-in-transit candidates and forward + reverse freight estimate
+ * @access  Permission: analytics:view
+ * @query   dateFrom, dateTo, store, vendorId, group_by (default pincode), min_shipments, limit,
+ *          lost_after_days (default 30), stale_days (default 10), forward_rate, reverse_rate
+ */
+router.get('/admin/rto', requirePermission('analytics:view'), analyticsController.getRTOAnalytics);
+
+/**
+ * @route   GET /api/analytics/admin/rto/export
+ * @desc    Export an RTO analytics section as CSV
+ * @access  Permission: analytics:view
+ * @query   report (breakdown|aging|lost_in_transit, default breakdown) and the /admin/rto filters
  */
-router.get('/admin/overview', requireAdminOrSuperadmin, analyticsController.getAdminAnalytics);
+router.get('/admin/rto/export', requirePermission('analytics:view'), analyticsController.exportRTOAnalytics);
 
 module.exports = router;
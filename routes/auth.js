@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticateToken, rateLimit } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, rateLimit } = require('../middleware/auth');
 const { 
   validateUserLogin, 
   validatePhoneLogin, 
@@ -10,7 +10,9 @@ const {
 
 /**
  * Authentication Routes
- * Handles user authentication and profile management with Basic Auth
+ * Handles user authentication, device sessions and profile management.
+ * Login returns a short-lived access token (send as `Authorization: Bearer <token>`)
+ * and a refresh token for POST /api/auth/refresh. Basic Auth is only accepted with ALLOW_BASIC_AUTH=true.
  */
 
 // Apply rate limiting to all auth routes - increased limit for better UX
@@ -30,12 +32,42 @@ router.post('/login', validateUserLogin, authController.login);
  */
 router.post('/login/phone', validatePhoneLogin, authController.loginWithPhone);
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @access  Public
+ * @body    { refreshToken }
+ */
+router.post('/refresh', authController.refreshToken);
+
 /**
  * @route   POST /api/auth/logout
- * @desc    User logout
+ * @desc    User logout (revokes the current device session)
  * @access  Public
+ * @body    { refreshToken? } - used when the access token has already expired
+ */
+router.post('/logout', optionalAuth, authController.logout);
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke all sessions of the current user
+ * @access  Private
+ */
+router.post('/logout-all', authenticateToken, authController.logoutAll);
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List signed-in devices of the current user
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, authController.getSessions);
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign out one device of the current user
+ * @access  Private
  */
-router.post('/logout', authController.logout);
+router.delete('/sessions/:sessionId', authenticateToken, authController.revokeSession);
 
 /**
  * @route   GET /api/auth/profile
@@ -60,14 +92,14 @@ router.put('/change-user-password', authenticateToken, authController.changeUser
 
 /**
  * @route   GET /api/auth/verify
- * @desc    Verify Basic Auth credentials
+ * @desc    Verify access token or Basic Auth credentials
  * @access  Private
  */
 router.get('/verify', authenticateToken, authController.verifyAuth);
 
 /**
  * @route   POST /api/auth/generate-header
- * @desc    Generate Basic Auth header for testing
+ * @desc    Generate Basic Auth header for testing (404 unless ALLOW_BASIC_AUTH=true)
  * @access  Public
  */
 router.post('/generate-header', validateUserLogin, authController.generateAuthHeader);
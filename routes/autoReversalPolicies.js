@@ -0,0 +1,42 @@
+/**
+ * Auto-Reversal Policy Routes
+ * API endpoints for per-store claim expiry, expiry warning and criticality policies (orders:reverse permission)
+ */
+
+const express = require('express');
+const router = express.Router();
+const autoReversalPolicyController = require('../controllers/autoReversalPolicyController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate, requirePermission('orders:reverse'));
+
+/**
+ * @route   GET /api/admin/auto-reversal-policies
+ * @desc    List stored policies and the defaults for stores without one
+ * @access  Permission: orders:reverse
+ */
+router.get('/', autoReversalPolicyController.getPolicies);
+
+/**
+ * @route   GET /api/admin/auto-reversal-policies/:accountCode
+ * @desc    Effective policy of a store
+ * @access  Permission: orders:reverse
+ */
+router.get('/:accountCode', autoReversalPolicyController.getPolicy);
+
+/**
+ * @route   PUT /api/admin/auto-reversal-policies/:accountCode
+ * @desc    Create or update a store's policy
+ * @access  Permission: orders:reverse
+ * @body    { auto_reversal_enabled?, claim_expiry_hours?, warning_hours?, criticality_days?, exclude_weekends?, holidays?: ['YYYY-MM-DD'], exempt_vendors?: [warehouseId] }
+ */
+router.put('/:accountCode', autoReversalPolicyController.savePolicy);
+
+/**
+ * @route   DELETE /api/admin/auto-reversal-policies/:accountCode
+ * @desc    Delete a store's policy (the store falls back to the defaults)
+ * @access  Permission: orders:reverse
+ */
+router.delete('/:accountCode', autoReversalPolicyController.deletePolicy);
+
+module.exports = router;
@@ -1,28 +1,21 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const { authenticateBasicAuth, requireAdminOrSuperadmin } = require('../middleware/auth');
+const { authenticateBasicAuth, requirePermission } = require('../middleware/auth');
 const inventoryController = require('../controllers/inventoryController');
 const productMonitorService = require('../services/productMonitorService');
+const { isSupportedImportFile } = require('../utils/tabularImport');
 
-// Configure multer for file upload (memory storage for CSV)
+// Configure multer for file upload (memory storage for CSV/XLSX)
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   fileFilter: (req, file, cb) => {
-    // Accept CSV files with various mimetypes (different systems report different types for CSV)
-    const isCSV =
-      file.mimetype === 'text/csv' ||
-      file.mimetype === 'application/csv' ||
-      file.mimetype === 'text/plain' ||
-      file.mimetype === 'application/vnd.ms-excel' ||
-      file.mimetype === 'application/x-csv' ||
-      file.originalname.toLowerCase().endsWith('.csv');
-
-    if (isCSV) {
+    // Different systems report different mimetypes for CSV, so the extension counts too
+    if (isSupportedImportFile(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed. Received mimetype: ' + file.mimetype));
+      cb(new Error('Only CSV or XLSX files are allowed. Received mimetype: ' + file.mimetype));
     }
   },
   limits: {
@@ -33,145 +26,227 @@ const upload = multer({
 /**
  * @route   GET /api/admin/inventory/aggregate
  * @desc    Get aggregated inventory for unclaimed orders
- * @access  Admin, Superadmin
+ * @access  Permission: inventory:view
  */
 router.get(
   '/aggregate',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('inventory:view'),
   inventoryController.getAggregatedInventory
 );
 
 /**
  * @route   POST /api/admin/inventory/rto-upload
- * @desc    Upload and parse RTO details CSV
- * @access  Admin, Superadmin
+ * @desc    Preview an RTO details upload (CSV or XLSX): valid rows and a row-level error report
+ * @access  Permission: rto:edit
  */
 router.post(
   '/rto-upload',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('rto:edit'),
   upload.single('rto_file'),
   inventoryController.uploadRTODetails
 );
 
+/**
+ * @route   POST /api/admin/inventory/rto-upload/commit
+ * @desc    Import an RTO details upload into RTO inventory (adds to existing quantities)
+ * @access  Permission: rto:edit
+ * @body    rto_file, account_code? (store for rows without an Account_Code column), skip_invalid? ('true' to import the valid rows of a file with errors)
+ */
+router.post(
+  '/rto-upload/commit',
+  authenticateBasicAuth,
+  requirePermission('rto:edit'),
+  upload.single('rto_file'),
+  inventoryController.commitRTOUpload
+);
+
 /**
  * @route   GET /api/admin/inventory/rto
- * @desc    Get RTO inventory from database with product names
- * @access  Admin, Superadmin
+ * @desc    Get RTO inventory from database with product names, reserved and available units
+ * @access  Permission: rto:view
+ * @query   account_code (optional)
  */
 router.get(
   '/rto',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('rto:view'),
   inventoryController.getRTOInventory
 );
 
 /**
  * @route   PUT /api/admin/inventory/rto
- * @desc    Batch update RTO inventory quantities
- * @access  Admin, Superadmin
+ * @desc    Batch update RTO inventory quantities (logged as manual adjustments; not below reserved units)
+ * @access  Permission: rto:edit
+ * @body    { updates: [{ id, quantity, notes? }] }
  */
 router.put(
   '/rto',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('rto:edit'),
   inventoryController.updateRTOInventory
 );
 
+/**
+ * @route   GET /api/admin/inventory/rto/reservations
+ * @desc    List RTO reservations
+ * @access  Permission: rto:view
+ * @query   status (reserved|shipped|released|all, default reserved), account_code, order_id, page, limit
+ */
+router.get(
+  '/rto/reservations',
+  authenticateBasicAuth,
+  requirePermission('rto:view'),
+  inventoryController.getRTOReservations
+);
+
+/**
+ * @route   POST /api/admin/inventory/rto/reservations
+ * @desc    Reserve RTO stock of the order's store/product/size for an unclaimed order line
+ * @access  Permission: rto:edit
+ * @body    { order_unique_id, rto_inventory_id? (default: location with the most available units) }
+ */
+router.post(
+  '/rto/reservations',
+  authenticateBasicAuth,
+  requirePermission('rto:edit'),
+  inventoryController.reserveRTOInventory
+);
+
+/**
+ * @route   DELETE /api/admin/inventory/rto/reservations/:id
+ * @desc    Release an active RTO reservation back to available stock
+ * @access  Permission: rto:edit
+ * @body    { reason? }
+ */
+router.delete(
+  '/rto/reservations/:id',
+  authenticateBasicAuth,
+  requirePermission('rto:edit'),
+  inventoryController.releaseRTOReservation
+);
+
+/**
+ * @route   GET /api/admin/inventory/rto/movements
+ * @desc    RTO inventory movement log (rto_received, manual_adjustment, reserved, released, shipped)
+ * @access  Permission: rto:view
+ * @query   rto_inventory_id, account_code, order_id, movement_type, page, limit
+ */
+router.get(
+  '/rto/movements',
+  authenticateBasicAuth,
+  requirePermission('rto:view'),
+  inventoryController.getRTOMovements
+);
+
 /**
  * @route   GET /api/admin/inventory/rto-focus
  * @desc    Get RTO focus orders (is_focus = 1, instance_number = 1)
- * @access  Admin, Superadmin
+ * @access  Permission: rto:view
  */
 router.get(
   '/rto-focus',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('rto:view'),
   inventoryController.getRTOFocusOrders
 );
 
 /**
  * @route   PUT /api/admin/inventory/rto-focus/status
  * @desc    Update RTO focus orders status (batch update)
- * @access  Admin, Superadmin
+ * @access  Permission: rto:edit
  */
 router.put(
   '/rto-focus/status',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('rto:edit'),
   inventoryController.updateRTOFocusStatus
 );
 
 /**
  * @route   GET /api/admin/inventory/critical-orders
  * @desc    Get critical orders (claims.is_critical = 1)
- * @access  Admin, Superadmin
+ * @access  Permission: inventory:view
  */
 router.get(
   '/critical-orders',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('inventory:view'),
   inventoryController.getCriticalOrders
 );
 
 /**
  * @route   GET /api/admin/inventory/rto-locations
  * @desc    Get distinct RTO warehouse locations for dropdown
- * @access  Admin, Superadmin
+ * @access  Permission: rto:view
  */
 router.get(
   '/rto-locations',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('rto:view'),
   inventoryController.getRTOLocations
 );
 
 /**
  * @route   GET /api/admin/inventory/rto-products
  * @desc    Get products for RTO dropdown
- * @access  Admin, Superadmin
+ * @access  Permission: rto:view
  */
 router.get(
   '/rto-products',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('rto:view'),
   inventoryController.getRTOProducts
 );
 
 /**
  * @route   GET /api/admin/inventory/rto-sizes/:skuId
  * @desc    Get sizes for a specific product
- * @access  Admin, Superadmin
+ * @access  Permission: rto:view
  */
 router.get(
   '/rto-sizes/:skuId',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('rto:view'),
   inventoryController.getSizesForProduct
 );
 
+/**
+ * @route   GET /api/admin/inventory/products/:skuId/variants
+ * @desc    Variants of a product (size, variant SKU, barcode, price, Shopify stock)
+ * @access  Permission: inventory:view
+ * @query   account_code (optional)
+ */
+router.get(
+  '/products/:skuId/variants',
+  authenticateBasicAuth,
+  requirePermission('inventory:view'),
+  inventoryController.getProductVariants
+);
+
 /**
  * @route   POST /api/admin/inventory/rto-manual
  * @desc    Add manual RTO inventory entry
- * @access  Admin, Superadmin
+ * @access  Permission: rto:edit
+ * @body    { account_code, location, sku_id, size, quantity, notes? }
  */
 router.post(
   '/rto-manual',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('rto:edit'),
   inventoryController.addManualRTOEntry
 );
 
 /**
  * @route   GET /api/admin/inventory/products/new
  * @desc    Check for new products added in the last 24 hours
- * @access  Admin, Superadmin
+ * @access  Permission: inventory:view
  */
 router.get(
   '/products/new',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('inventory:view'),
   async (req, res) => {
     try {
       const result = await productMonitorService.checkNewProducts();
@@ -195,12 +270,12 @@ router.get(
 /**
  * @route   GET /api/admin/inventory/products/new/:hours
  * @desc    Check for new products added in the last N hours
- * @access  Admin, Superadmin
+ * @access  Permission: inventory:view
  */
 router.get(
   '/products/new/:hours',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('inventory:view'),
   async (req, res) => {
     try {
       const hours = parseInt(req.params.hours);
@@ -233,12 +308,12 @@ router.get(
 /**
  * @route   GET /api/admin/inventory/products/updated/:hours
  * @desc    Check for products updated in the last N hours
- * @access  Admin, Superadmin
+ * @access  Permission: inventory:view
  */
 router.get(
   '/products/updated/:hours',
   authenticateBasicAuth,
-  requireAdminOrSuperadmin,
+  requirePermission('inventory:view'),
   async (req, res) => {
     try {
       const hours = parseInt(req.params.hours);
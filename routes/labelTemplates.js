@@ -0,0 +1,52 @@
+/**
+ * Label Template Routes
+ * API endpoints for label page layouts used by label downloads (`format` = template code)
+ */
+
+const express = require('express');
+const router = express.Router();
+const labelTemplateController = require('../controllers/labelTemplateController');
+const { authenticate, requireAnyUser, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/label-templates
+ * @desc    Label formats available for a store (built-in, global and store templates)
+ * @access  Any authenticated user
+ * @query   account_code (optional)
+ */
+router.get('/', requireAnyUser, labelTemplateController.getTemplates);
+
+/**
+ * @route   POST /api/label-templates/preview
+ * @desc    Render sample labels with a layout or template as a PDF
+ * @access  Any authenticated user
+ * @body    { layout?, code?, account_code? } (layout wins over code)
+ */
+router.post('/preview', requireAnyUser, labelTemplateController.previewTemplate);
+
+/**
+ * @route   POST /api/label-templates
+ * @desc    Create a label template (global when account_code is omitted)
+ * @access  Permission: stores:manage
+ * @body    { code, name, account_code?, layout: { page, columns, rows, margins, gap, rotation, scale, packing_slip } }
+ */
+router.post('/', requirePermission('stores:manage'), labelTemplateController.createTemplate);
+
+/**
+ * @route   PUT /api/label-templates/:id
+ * @desc    Update a label template's name and/or layout
+ * @access  Permission: stores:manage
+ * @body    { name?, layout? }
+ */
+router.put('/:id', requirePermission('stores:manage'), labelTemplateController.updateTemplate);
+
+/**
+ * @route   DELETE /api/label-templates/:id
+ * @desc    Delete a label template
+ * @access  Permission: stores:manage
+ */
+router.delete('/:id', requirePermission('stores:manage'), labelTemplateController.deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,43 @@
+/**
+ * NDR Routes
+ * API endpoints for the non-delivery report queue and courier actions
+ */
+
+const express = require('express');
+const router = express.Router();
+const ndrController = require('../controllers/ndrController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/ndr
+ * @desc    NDR queue: shipments with a failed delivery, their attempts, reason and age
+ * @access  Permission: orders:view_all
+ * @query   status (open|action_requested|closed|all, default open), account_code, min_attempts, search, page, limit
+ */
+router.get('/', requirePermission('orders:view_all'), ndrController.getQueue);
+
+/**
+ * @route   GET /api/ndr/:id
+ * @desc    Get an NDR case
+ * @access  Permission: orders:view_all
+ */
+router.get('/:id', requirePermission('orders:view_all'), ndrController.getCase);
+
+/**
+ * @route   POST /api/ndr/:id/action
+ * @desc    Push an NDR action to the store's shipping partner
+ * @access  Permission: orders:assign
+ * @body    { action: re_attempt|change_address|change_phone|rto, remarks?, re_attempt_date?, address?, address2?, city?, state?, pincode?, phone? }
+ */
+router.post('/:id/action', requirePermission('orders:assign'), ndrController.takeAction);
+
+/**
+ * @route   POST /api/ndr/:id/outreach
+ * @desc    Resend an open NDR case to the customer-outreach webhook
+ * @access  Permission: orders:assign
+ */
+router.post('/:id/outreach', requirePermission('orders:assign'), ndrController.sendOutreach);
+
+module.exports = router;
@@ -6,7 +6,7 @@
 const express = require('express');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
-const { authenticateToken, requireAdminOrSuperadmin, requireSuperadmin } = require('../middleware/auth');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
 
 // Apply authentication to all notification routes
 router.use(authenticateToken);
@@ -14,51 +14,51 @@ router.use(authenticateToken);
 /**
  * @route   GET /api/notifications/stats
  * @desc    Get notification statistics
- * @access  Admin/Superadmin
+ * @access  Permission: notifications:view
  */
-router.get('/stats', requireAdminOrSuperadmin, notificationController.getNotificationStats);
+router.get('/stats', requirePermission('notifications:view'), notificationController.getNotificationStats);
 
 /**
  * @route   GET /api/notifications
  * @desc    Get all notifications with pagination and filters
- * @access  Admin/Superadmin
+ * @access  Permission: notifications:view
  */
-router.get('/', requireAdminOrSuperadmin, notificationController.getNotifications);
+router.get('/', requirePermission('notifications:view'), notificationController.getNotifications);
 
 /**
  * @route   POST /api/notifications
  * @desc    Create new notification (can be called by vendors too)
- * @access  Authenticated users
+ * @access  Permission: notifications:create
  */
-router.post('/', notificationController.createNotification);
+router.post('/', requirePermission('notifications:create'), notificationController.createNotification);
 
 /**
  * @route   PATCH /api/notifications/:id/status
  * @desc    Update notification status
- * @access  Admin/Superadmin
+ * @access  Permission: notifications:manage
  */
-router.patch('/:id/status', requireAdminOrSuperadmin, notificationController.updateNotificationStatus);
+router.patch('/:id/status', requirePermission('notifications:manage'), notificationController.updateNotificationStatus);
 
 /**
  * @route   POST /api/notifications/:id/resolve
  * @desc    Resolve notification
- * @access  Admin/Superadmin
+ * @access  Permission: notifications:manage
  */
-router.post('/:id/resolve', requireAdminOrSuperadmin, notificationController.resolveNotification);
+router.post('/:id/resolve', requirePermission('notifications:manage'), notificationController.resolveNotification);
 
 /**
  * @route   POST /api/notifications/:id/dismiss
  * @desc    Dismiss notification
- * @access  Admin/Superadmin
+ * @access  Permission: notifications:manage
  */
-router.post('/:id/dismiss', requireAdminOrSuperadmin, notificationController.dismissNotification);
+router.post('/:id/dismiss', requirePermission('notifications:manage'), notificationController.dismissNotification);
 
 /**
  * @route   POST /api/notifications/bulk-resolve
  * @desc    Bulk resolve notifications
- * @access  Admin/Superadmin
+ * @access  Permission: notifications:manage
  */
-router.post('/bulk-resolve', requireAdminOrSuperadmin, notificationController.bulkResolveNotifications);
+router.post('/bulk-resolve', requirePermission('notifications:manage'), notificationController.bulkResolveNotifications);
 
 /**
  * @route   GET /api/notifications/push-status
@@ -70,16 +70,16 @@ router.get('/push-status', notificationController.getPushStatus);
 /**
  * @route   GET /api/notifications/:id
  * @desc    Get single notification by ID
- * @access  Admin/Superadmin
+ * @access  Permission: notifications:view
  */
-router.get('/:id', requireAdminOrSuperadmin, notificationController.getNotificationById);
+router.get('/:id', requirePermission('notifications:view'), notificationController.getNotificationById);
 
 /**
  * @route   DELETE /api/notifications/:id
  * @desc    Delete notification
- * @access  Superadmin only
+ * @access  Permission: notifications:delete
  */
-router.delete('/:id', requireSuperadmin, notificationController.deleteNotification);
+router.delete('/:id', requirePermission('notifications:delete'), notificationController.deleteNotification);
 
 /**
  * @route   POST /api/notifications/subscribe
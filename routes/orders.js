@@ -3,9 +3,13 @@ const router = express.Router();
 const path = require('path');
 const fs = require('fs');
 const fetch = require('node-fetch');
-const { authenticateBasicAuth, requireAdminOrSuperadmin, requireAnyUser } = require('../middleware/auth');
+const { authenticateBasicAuth, requireAnyUser, requirePermission, requireVendorCapability } = require('../middleware/auth');
 const carrierServiceabilityService = require('../services/carrierServiceabilityService');
-const taskStore = require('../services/taskStore');
+const jobQueue = require('../services/jobQueue');
+const orderEventService = require('../services/orderEventService');
+const pincodeRiskService = require('../services/pincodeRiskService');
+const vendorCapacityService = require('../services/vendorCapacityService');
+const { invokeRouteHandler } = require('../utils/capturedResponse');
 const crypto = require('crypto');
 
 // In-memory store for Android one-time download tokens.
@@ -39,9 +43,18 @@ router.get('/temp-download/:token', (req, res) => {
   res.send(entry.buffer);
 });
 
+// 409 bodies for claims refused by the vendor's capacity limits (database.checkClaimLimits reasons)
+const CLAIM_LIMIT_ERRORS = {
+  capacity_reached: { code: 'CAPACITY_REACHED', message: 'Open claim limit reached; hand over or release claimed orders first' },
+  sku_daily_limit: { code: 'SKU_DAILY_LIMIT', message: 'Daily claim limit reached for this SKU' }
+};
+
 // Apply authentication to all other order routes
 router.use(authenticateBasicAuth);
 
+// Vendor team members need the orders capability (claim, print labels, handover)
+router.use(requireVendorCapability('orders'));
+
 /**
  * Helper function to create notification when label generation fails
  * @param {string} errorMessage - The error message from Shipway API
@@ -349,9 +362,9 @@ router.get('/last-updated', async (req, res) => {
 /**
  * @route   GET /api/orders/distinct-statuses
  * @desc    Get all distinct order statuses present in the system
- * @access  Admin, Superadmin
+ * @access  Permission: orders:view_all
  */
-router.get('/distinct-statuses', requireAdminOrSuperadmin, async (req, res) => {
+router.get('/distinct-statuses', requirePermission('orders:view_all'), async (req, res) => {
   try {
     const database = require('../config/database');
 
@@ -519,17 +532,37 @@ router.post('/claim', async (req, res) => {
     if (order.status !== 'unclaimed') {
       console.log('❌ ORDER NOT UNCLAIMED');
       console.log('  - Current status:', order.status);
-      return res.status(400).json({ success: false, message: 'Order row is not unclaimed' });
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_CLAIMED',
+        message: 'Order row is not unclaimed'
+      });
     }
 
-    // Update order
+    // Claim atomically - if another vendor claimed this row in the meantime, we lose
     const now = new Date().toISOString().replace('T', ' ').substring(0, 19);
-    console.log('🔄 UPDATING ORDER');
-    console.log('  - Setting status to: claimed');
+    console.log('🔄 CLAIMING ORDER (atomic)');
     console.log('  - Setting claimed_by to:', warehouseId);
     console.log('  - Setting timestamp to:', now);
 
-    // Update order object in memory (like Excel behavior)
+    const claimLimits = await vendorCapacityService.getClaimLimits(req.vendor);
+    const claimResult = await database.claimOrderAtomically(unique_id, warehouseId, now, vendor.id, claimLimits);
+
+    if (!claimResult.claimed) {
+      console.log('❌ CLAIM LOST:', claimResult.reason);
+      if (claimResult.reason === 'not_found') {
+        return res.status(404).json({ success: false, message: 'Order row not found' });
+      }
+      if (CLAIM_LIMIT_ERRORS[claimResult.reason]) {
+        return res.status(409).json({ success: false, ...CLAIM_LIMIT_ERRORS[claimResult.reason] });
+      }
+      return res.status(409).json({
+        success: false,
+        code: 'ALREADY_CLAIMED',
+        message: 'Order row was claimed by another vendor'
+      });
+    }
+
     const updatedOrder = {
       ...order,
       status: 'claimed',
@@ -539,34 +572,28 @@ router.post('/claim', async (req, res) => {
       last_claimed_at: now
     };
 
-    // Assign top 3 priority carriers during claim
+    await orderEventService.record(order, orderEventService.EVENT_TYPES.CLAIMED, {
+      actor: orderEventService.actorFromUser(vendor),
+      from_status: order.status,
+      to_status: 'claimed',
+      claimed_by: warehouseId,
+      source: 'claim'
+    });
+
+    // Assign top 3 priority carriers now that the claim is ours
     console.log('🚚 ASSIGNING TOP 3 PRIORITY CARRIERS...');
     let priorityCarrier = '';
     try {
       priorityCarrier = await carrierServiceabilityService.getTop3PriorityCarriers(order);
       console.log(`✅ Top 3 carriers assigned: ${priorityCarrier}`);
-      updatedOrder.priority_carrier = priorityCarrier;
     } catch (carrierError) {
       console.log(`⚠️ Carrier assignment failed: ${carrierError.message}`);
       console.log('  - Order will be claimed without priority carriers');
-      updatedOrder.priority_carrier = '';
     }
+    updatedOrder.priority_carrier = priorityCarrier;
 
-    // Now save everything to MySQL in one go
-    console.log('💾 SAVING TO MYSQL');
-    const finalUpdatedOrder = await database.updateOrder(unique_id, {
-      status: updatedOrder.status,
-      claimed_by: updatedOrder.claimed_by,
-      claimed_at: updatedOrder.claimed_at,
-      last_claimed_by: updatedOrder.last_claimed_by,
-      last_claimed_at: updatedOrder.last_claimed_at,
-      priority_carrier: updatedOrder.priority_carrier
-    });
-
-    if (!finalUpdatedOrder) {
-      console.log('❌ FAILED TO UPDATE ORDER IN MYSQL');
-      return res.status(500).json({ success: false, message: 'Failed to update order' });
-    }
+    console.log('💾 SAVING PRIORITY CARRIERS TO MYSQL');
+    await database.updateOrder(unique_id, { priority_carrier: priorityCarrier });
 
     console.log('✅ MYSQL SAVED SUCCESSFULLY');
 
@@ -633,8 +660,10 @@ router.post('/bulk-claim', async (req, res) => {
     console.log('🔍 Processing bulk claim for', unique_ids.length, 'orders');
 
     const now = new Date().toISOString().replace('T', ' ').substring(0, 19);
+    const claimLimits = await vendorCapacityService.getClaimLimits(req.vendor);
     const successfulClaims = [];
     const failedClaims = [];
+    const results = [];
 
     // OPTIMIZATION 1: Fetch all orders in one database query instead of N individual queries
     console.log('📦 Fetching all orders in bulk...');
@@ -662,60 +691,54 @@ router.post('/bulk-claim', async (req, res) => {
 
         if (!order) {
           console.log('❌ ORDER NOT FOUND:', unique_id);
-          return { success: false, unique_id, reason: 'Order not found' };
+          return { success: false, unique_id, result: 'not_found', reason: 'Order not found' };
         }
 
         if (order.status !== 'unclaimed') {
           console.log('❌ ORDER NOT UNCLAIMED:', unique_id, 'Status:', order.status);
-          return { success: false, unique_id, reason: 'Order is not unclaimed' };
+          return { success: false, unique_id, result: 'lost', reason: 'Order is not unclaimed' };
         }
 
-        // Update order
+        // Claim atomically - another vendor may win this row between the read and now
         console.log('🔄 CLAIMING ORDER:', unique_id);
+        const claimResult = await database.claimOrderAtomically(unique_id, warehouseId, now, vendor.id, claimLimits);
 
-        // Update order object in memory (like Excel behavior)
-        const updatedOrder = {
-          ...order,
-          status: 'claimed',
-          claimed_by: warehouseId,
-          claimed_at: now,
-          last_claimed_by: warehouseId,
-          last_claimed_at: now
-        };
+        if (!claimResult.claimed) {
+          console.log('❌ CLAIM LOST:', unique_id, claimResult.reason);
+          if (CLAIM_LIMIT_ERRORS[claimResult.reason]) {
+            return { success: false, unique_id, result: 'limit', reason: CLAIM_LIMIT_ERRORS[claimResult.reason].message };
+          }
+          return claimResult.reason === 'not_found'
+            ? { success: false, unique_id, result: 'not_found', reason: 'Order not found' }
+            : { success: false, unique_id, result: 'lost', reason: 'Order was claimed by another vendor' };
+        }
 
-        // Assign top 3 priority carriers during claim
+        // Assign top 3 priority carriers now that the claim is ours
         console.log(`🚚 ASSIGNING TOP 3 PRIORITY CARRIERS for ${order.order_id}...`);
         let priorityCarrier = '';
         try {
           priorityCarrier = await carrierServiceabilityService.getTop3PriorityCarriers(order);
           console.log(`✅ Top 3 carriers assigned: ${priorityCarrier}`);
-          updatedOrder.priority_carrier = priorityCarrier;
         } catch (carrierError) {
           console.log(`⚠️ Carrier assignment failed: ${carrierError.message}`);
           console.log('  - Order will be claimed without priority carriers');
-          updatedOrder.priority_carrier = '';
         }
 
-        // Now save everything to MySQL in one go
-        const finalUpdatedOrder = await database.updateOrder(unique_id, {
-          status: updatedOrder.status,
-          claimed_by: updatedOrder.claimed_by,
-          claimed_at: updatedOrder.claimed_at,
-          last_claimed_by: updatedOrder.last_claimed_by,
-          last_claimed_at: updatedOrder.last_claimed_at,
-          priority_carrier: updatedOrder.priority_carrier
+        await orderEventService.record(order, orderEventService.EVENT_TYPES.CLAIMED, {
+          actor: orderEventService.actorFromUser(vendor),
+          from_status: order.status,
+          to_status: 'claimed',
+          claimed_by: warehouseId,
+          source: 'bulk-claim'
         });
 
-        if (finalUpdatedOrder) {
-          console.log('✅ ORDER CLAIMED SUCCESSFULLY:', unique_id);
-          return { success: true, unique_id, order_id: order.order_id };
-        } else {
-          console.log('❌ FAILED TO UPDATE ORDER:', unique_id);
-          return { success: false, unique_id, reason: 'Failed to update order' };
-        }
+        await database.updateOrder(unique_id, { priority_carrier: priorityCarrier });
+
+        console.log('✅ ORDER CLAIMED SUCCESSFULLY:', unique_id);
+        return { success: true, unique_id, order_id: order.order_id, result: 'won' };
       } catch (error) {
         console.log(`💥 ERROR PROCESSING ORDER ${unique_id}:`, error.message);
-        return { success: false, unique_id, reason: error.message };
+        return { success: false, unique_id, result: 'error', reason: error.message };
       }
     };
 
@@ -732,10 +755,11 @@ router.post('/bulk-claim', async (req, res) => {
 
       // Collect results
       batchResults.forEach(result => {
+        results.push({ unique_id: result.unique_id, result: result.result, reason: result.reason || null });
         if (result.success) {
           successfulClaims.push({ unique_id: result.unique_id, order_id: result.order_id });
         } else {
-          failedClaims.push({ unique_id: result.unique_id, reason: result.reason });
+          failedClaims.push({ unique_id: result.unique_id, result: result.result, reason: result.reason });
         }
       });
 
@@ -755,9 +779,12 @@ router.post('/bulk-claim', async (req, res) => {
       data: {
         successful_claims: successfulClaims,
         failed_claims: failedClaims,
+        results,
         total_requested: unique_ids.length,
         total_successful: successfulClaims.length,
-        total_failed: failedClaims.length
+        total_failed: failedClaims.length,
+        total_lost: results.filter(r => r.result === 'lost').length,
+        total_limited: results.filter(r => r.result === 'limit').length
       }
     });
 
@@ -1585,9 +1612,9 @@ router.get('/grouped', async (req, res) => {
 /**
  * @route   GET /api/orders/admin/dashboard-stats
  * @desc    Get dashboard statistics for admin panel (with optional filters)
- * @access  Admin/Superadmin only
+ * @access  Permission: orders:view_all
  */
-router.get('/admin/dashboard-stats', requireAdminOrSuperadmin, async (req, res) => {
+router.get('/admin/dashboard-stats', requirePermission('orders:view_all'), async (req, res) => {
   console.log('🔵 ADMIN DASHBOARD STATS REQUEST START');
 
   try {
@@ -1682,9 +1709,9 @@ router.get('/admin/dashboard-stats', requireAdminOrSuperadmin, async (req, res)
 /**
  * @route   GET /api/orders/admin/all
  * @desc    Get paginated orders with vendor information for admin panel
- * @access  Admin/Superadmin only
+ * @access  Permission: orders:view_all
  */
-router.get('/admin/all', requireAdminOrSuperadmin, async (req, res) => {
+router.get('/admin/all', requirePermission('orders:view_all'), async (req, res) => {
   console.log('🔵 ADMIN ORDERS REQUEST START');
 
   try {
@@ -1801,7 +1828,9 @@ router.get('/admin/all', requireAdminOrSuperadmin, async (req, res) => {
       store_status: order.store_status || 'active',
       account_code: order.account_code || null,
       awb: order.awb || null,
-      payment_type: order.payment_type
+      payment_type: order.payment_type,
+      pincode: order.pincode || null,
+      cod_risk: pincodeRiskService.codRiskFlag(order)
     }));
 
     console.log('✅ ADMIN ORDERS SUCCESS');
@@ -1835,9 +1864,9 @@ router.get('/admin/all', requireAdminOrSuperadmin, async (req, res) => {
 /**
  * @route   POST /api/orders/admin/assign
  * @desc    Admin assigns an order to a vendor
- * @access  Admin/Superadmin only
+ * @access  Permission: orders:assign
  */
-router.post('/admin/assign', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/admin/assign', authenticateBasicAuth, requirePermission('orders:assign'), async (req, res) => {
   const { unique_id, vendor_warehouse_id } = req.body;
 
   console.log('🔵 ADMIN ASSIGN ORDER REQUEST START');
@@ -1953,6 +1982,15 @@ router.post('/admin/assign', authenticateBasicAuth, requireAdminOrSuperadmin, as
       });
     }
 
+    await orderEventService.record(order, orderEventService.EVENT_TYPES.ASSIGNED, {
+      actor: orderEventService.actorFromUser(req.user),
+      from_status: order.status,
+      to_status: 'claimed',
+      claimed_by: vendor_warehouse_id,
+      source: 'admin-assign',
+      details: order.claimed_by ? { previous_claimed_by: order.claimed_by } : null
+    });
+
     console.log('✅ ORDER ASSIGNED SUCCESSFULLY');
     console.log(`  - Order ${order.order_id} assigned to ${vendor.name} (${vendor_warehouse_id})`);
 
@@ -1979,9 +2017,9 @@ router.post('/admin/assign', authenticateBasicAuth, requireAdminOrSuperadmin, as
 /**
  * @route   POST /api/orders/admin/bulk-assign
  * @desc    Admin assigns multiple orders to a vendor
- * @access  Admin/Superadmin only
+ * @access  Permission: orders:assign
  */
-router.post('/admin/bulk-assign', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/admin/bulk-assign', authenticateBasicAuth, requirePermission('orders:assign'), async (req, res) => {
   const { unique_ids, vendor_warehouse_id } = req.body || {};
 
   console.log('🔵 ADMIN BULK ASSIGN REQUEST START');
@@ -2071,6 +2109,14 @@ router.post('/admin/bulk-assign', authenticateBasicAuth, requireAdminOrSuperadmi
         // database.updateOrder returns updated order object (or null on failure), not { success: true }.
         if (result) {
           updatedCount += 1;
+          await orderEventService.record(order, orderEventService.EVENT_TYPES.ASSIGNED, {
+            actor: orderEventService.actorFromUser(req.user),
+            from_status: order.status,
+            to_status: 'claimed',
+            claimed_by: vendor_warehouse_id,
+            source: 'admin-bulk-assign',
+            details: order.claimed_by ? { previous_claimed_by: order.claimed_by } : null
+          });
         }
       } catch (error) {
         console.error(`❌ Failed to update order ${uid}:`, error.message);
@@ -2091,9 +2137,9 @@ router.post('/admin/bulk-assign', authenticateBasicAuth, requireAdminOrSuperadmi
 /**
  * @route   POST /api/orders/admin/bulk-unassign
  * @desc    Admin unassigns multiple orders
- * @access  Admin/Superadmin only
+ * @access  Permission: orders:assign
  */
-router.post('/admin/bulk-unassign', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/admin/bulk-unassign', authenticateBasicAuth, requirePermission('orders:assign'), async (req, res) => {
   const { unique_ids } = req.body || {};
 
   console.log('🔵 ADMIN BULK UNASSIGN REQUEST START');
@@ -2221,6 +2267,7 @@ router.post('/admin/bulk-unassign', authenticateBasicAuth, requireAdminOrSuperad
         await database.mysqlConnection.execute(
           `UPDATE claims SET 
             claimed_by = NULL, 
+            claimed_by_user_id = NULL, 
             claimed_at = NULL, 
             last_claimed_by = NULL, 
             last_claimed_at = NULL, 
@@ -2237,6 +2284,14 @@ router.post('/admin/bulk-unassign', authenticateBasicAuth, requireAdminOrSuperad
           [uid]
         );
 
+        await orderEventService.record(order, orderEventService.EVENT_TYPES.UNASSIGNED, {
+          actor: orderEventService.actorFromUser(req.user),
+          from_status: order.status,
+          to_status: 'unclaimed',
+          source: 'admin-bulk-unassign',
+          details: { previous_claimed_by: previousVendor, label_cancelled: isLabelDownloaded }
+        });
+
         console.log(`✅ ORDER ${order.order_id} UNASSIGNED SUCCESSFULLY`);
         updatedCount += 1;
       } catch (error) {
@@ -2271,9 +2326,9 @@ router.post('/admin/bulk-unassign', authenticateBasicAuth, requireAdminOrSuperad
 /**
  * @route   POST /api/orders/admin/unassign
  * @desc    Admin unassigns an order from a vendor
- * @access  Admin/Superadmin only
+ * @access  Permission: orders:assign
  */
-router.post('/admin/unassign', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/admin/unassign', authenticateBasicAuth, requirePermission('orders:assign'), async (req, res) => {
   const { unique_id } = req.body;
 
   console.log('🔵 ADMIN UNASSIGN ORDER REQUEST START');
@@ -2418,6 +2473,7 @@ router.post('/admin/unassign', authenticateBasicAuth, requireAdminOrSuperadmin,
     await database.mysqlConnection.execute(
       `UPDATE claims SET 
         claimed_by = NULL, 
+        claimed_by_user_id = NULL, 
         claimed_at = NULL, 
         last_claimed_by = NULL, 
         last_claimed_at = NULL, 
@@ -2430,6 +2486,14 @@ router.post('/admin/unassign', authenticateBasicAuth, requireAdminOrSuperadmin,
 
     console.log('✅ CLAIM DATA CLEARED');
 
+    await orderEventService.record(order, orderEventService.EVENT_TYPES.UNASSIGNED, {
+      actor: orderEventService.actorFromUser(req.user),
+      from_status: order.status,
+      to_status: 'unclaimed',
+      source: 'admin-unassign',
+      details: { previous_claimed_by: previousVendor, label_cancelled: isLabelDownloaded }
+    });
+
     // Set is_in_new_order = 1 so unclaimed order appears in All Orders tab
     await database.mysqlConnection.execute(
       'UPDATE orders SET is_in_new_order = 1 WHERE unique_id = ?',
@@ -2480,9 +2544,9 @@ router.post('/admin/unassign', authenticateBasicAuth, requireAdminOrSuperadmin,
 /**
  * @route   GET /api/orders/admin/vendors
  * @desc    Get all active vendors for admin assignment dropdown
- * @access  Admin/Superadmin only
+ * @access  Permission: orders:assign
  */
-router.get('/admin/vendors', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/admin/vendors', authenticateBasicAuth, requirePermission('orders:assign'), async (req, res) => {
   console.log('🔵 ADMIN GET VENDORS REQUEST START');
 
   try {
@@ -2500,7 +2564,7 @@ router.get('/admin/vendors', authenticateBasicAuth, requireAdminOrSuperadmin, as
     // Get all active vendors
     const allUsers = await database.getAllUsers();
     const vendors = allUsers
-      .filter(user => user.role === 'vendor' && user.status === 'active')
+      .filter(user => user.role === 'vendor' && !user.vendor_owner_id && user.status === 'active')
       .map(vendor => ({
         warehouse_id: vendor.warehouseId,
         name: vendor.name,
@@ -2528,9 +2592,9 @@ router.get('/admin/vendors', authenticateBasicAuth, requireAdminOrSuperadmin, as
 /**
  * @route   POST /api/orders/assign-priority-carriers
  * @desc    Assign priority carriers to all claimed orders based on serviceability
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:edit
  */
-router.post('/assign-priority-carriers', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/assign-priority-carriers', authenticateBasicAuth, requirePermission('carriers:edit'), async (req, res) => {
   console.log('🔵 PRIORITY CARRIER ASSIGNMENT REQUEST START');
 
   try {
@@ -2561,9 +2625,9 @@ router.post('/assign-priority-carriers', authenticateBasicAuth, requireAdminOrSu
 /**
  * @route   POST /api/orders/assign-priority-carrier/:orderId
  * @desc    Assign priority carrier to a specific claimed order
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:edit
  */
-router.post('/assign-priority-carrier/:orderId', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/assign-priority-carrier/:orderId', authenticateBasicAuth, requirePermission('carriers:edit'), async (req, res) => {
   const { orderId } = req.params;
 
   console.log('🔵 SINGLE ORDER PRIORITY CARRIER ASSIGNMENT REQUEST START');
@@ -2596,20 +2660,27 @@ router.post('/assign-priority-carrier/:orderId', authenticateBasicAuth, requireA
 
 /**
  * @route   GET /api/orders/priority-carrier-stats
- * @desc    Get statistics about priority carrier assignments (claimed vs unclaimed orders)
- * @access  Admin/Superadmin only
+ * @desc    Get statistics about priority carrier assignments (claimed vs unclaimed orders) and the
+ *          pincode serviceability cache (hits/misses since startup, fresh/expired entries)
+ * @access  Permission: carriers:view
  */
-router.get('/priority-carrier-stats', authenticateBasicAuth, requireAdminOrSuperadmin, (req, res) => {
+router.get('/priority-carrier-stats', authenticateBasicAuth, requirePermission('carriers:view'), async (req, res) => {
   console.log('🔵 PRIORITY CARRIER STATS REQUEST START');
 
   try {
-    const stats = carrierServiceabilityService.getAssignmentStatistics();
+    const [stats, serviceabilityCache] = await Promise.all([
+      carrierServiceabilityService.getAssignmentStatistics(),
+      carrierServiceabilityService.getCacheStatistics()
+    ]);
 
     console.log('✅ PRIORITY CARRIER STATS RETRIEVED');
 
     return res.status(200).json({
       success: true,
-      data: stats
+      data: {
+        ...stats,
+        serviceabilityCache
+      }
     });
 
   } catch (error) {
@@ -2627,7 +2698,7 @@ router.get('/priority-carrier-stats', authenticateBasicAuth, requireAdminOrSuper
  * @desc    Download label for an order (with clone logic if needed)
  * @access  Vendor (token required)
  */
-router.post('/download-label', async (req, res) => {
+async function handleDownloadLabel(req, res) {
   const { order_id, format = 'thermal', async: runAsync } = req.body;
   const token = req.headers['authorization'];
 
@@ -2642,30 +2713,9 @@ router.post('/download-label', async (req, res) => {
     return res.status(400).json({ success: false, message: 'order_id and Authorization token required' });
   }
 
-  // ── ASYNC MODE: fire-and-forget, return taskId immediately ───────────────
+  // ── ASYNC MODE: queue a persistent job, return taskId immediately ────────
   if (runAsync) {
-    const task = taskStore.createTask('download-label', token.substring(0, 20));
-    const PORT = process.env.PORT || 5000;
-    const savedBody = { order_id, format, async: false };
-    const savedToken = token;
-    (async () => {
-      try {
-        const internalRes = await fetch(`http://localhost:${PORT}/api/orders/download-label`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': savedToken },
-          body: JSON.stringify(savedBody)
-        });
-        const result = await internalRes.json();
-        if (result.success) {
-          taskStore.completeTask(task.id, result);
-        } else {
-          taskStore.failTask(task.id, result.message || 'Label download failed');
-        }
-      } catch (err) {
-        taskStore.failTask(task.id, err.message);
-      }
-    })();
-    return res.json({ success: true, taskId: task.id, async: true });
+    return respondWithQueuedJob(res, 'download-label', { order_id, format }, req.user);
   }
 
   // Declare vendor outside try block so it's accessible in catch block
@@ -2686,7 +2736,7 @@ router.post('/download-label', async (req, res) => {
     console.log('🔍 DOWNLOAD LABEL DEBUG:');
     console.log('  - Token received:', token ? token.substring(0, 20) + '...' : 'null');
 
-    vendor = req.user || await database.getUserByToken(token);
+    vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log('❌ VENDOR NOT FOUND OR INACTIVE ', vendor);
@@ -2916,7 +2966,9 @@ router.post('/download-label', async (req, res) => {
       order_id: order_id
     });
   }
-});
+}
+
+router.post('/download-label', handleDownloadLabel);
 
 /**
  * Categorize error to determine if we should try next carrier or stop immediately
@@ -3380,9 +3432,11 @@ async function generateLabelForOrder(orderId, products, vendor, format = 'therma
     console.log('  - Shipping URL:', shipping_url);
     console.log('  - AWB:', awb);
 
-    // Handle different formats
-    if (format === 'thermal') {
-      // For thermal format, return the original label URL
+    // Handle different formats (label templates, see services/labelRenderService.js)
+    const labelRenderService = require('../services/labelRenderService');
+    const labelTemplate = await labelRenderService.resolveTemplate(format, accountCode);
+    if (!labelTemplate || labelTemplate.layout.passthrough) {
+      // For thermal (and unknown) formats, return the original label URL
       return {
         success: true,
         message: 'Label generated successfully',
@@ -3395,11 +3449,16 @@ async function generateLabelForOrder(orderId, products, vendor, format = 'therma
         }
       };
     } else {
-      // For A4 and four-in-one formats, generate a PDF with appropriate layout
+      // For page layouts (A4, four-in-one, store templates), generate a PDF
       console.log(`🔄 Generating ${format} format PDF...`);
 
       try {
-        const formattedPdfBuffer = await generateFormattedLabelPDF(shipping_url, format);
+        const formattedPdfBuffer = await generateFormattedLabelPDF(shipping_url, format, {
+          order_id: orderId,
+          account_code: accountCode,
+          awb: awb,
+          items: products
+        });
 
         // Create a temporary file or return the buffer directly
         // For now, we'll return the buffer and let the frontend handle it
@@ -3468,96 +3527,24 @@ async function generateLabelForOrder(orderId, products, vendor, format = 'therma
 }
 
 /**
- * Generate formatted label PDF based on format type
+ * Generate formatted label PDF using the label template for the format code
+ * (a single label is repeated over every cell of a multi-label page)
+ * @param {string} shippingUrl - Courier label URL
+ * @param {string} format - Label template code
+ * @param {Object} label - { order_id, account_code, awb, items } for the packing slip
  */
-async function generateFormattedLabelPDF(shippingUrl, format) {
+async function generateFormattedLabelPDF(shippingUrl, format, label = {}) {
   try {
     console.log(`🔄 Generating ${format} format PDF from URL: ${shippingUrl}`);
 
-    // Import PDF-lib for PDF manipulation
-    const { PDFDocument } = require('pdf-lib');
-
-    // Fetch the original PDF from the shipping URL
-    const response = await fetch(shippingUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch label PDF: ${response.status}`);
-    }
-
-    const originalPdfBuffer = await response.arrayBuffer();
-    const originalPdf = await PDFDocument.load(originalPdfBuffer);
-
-    // Create a new PDF document
-    const formattedPdf = await PDFDocument.create();
-
-    if (format === 'a4') {
-      // A4 format: One label per A4 page
-      console.log('📄 Creating A4 format (one label per page)');
-
-      const a4Page = formattedPdf.addPage([595, 842]); // A4 size in points
-      const [originalPage] = await formattedPdf.embedPages([originalPdf.getPage(0)]);
-
-      // Center the label on the A4 page
-      const labelWidth = 288; // 4x6 label width in points
-      const labelHeight = 432; // 4x6 label height in points
-      const x = (595 - labelWidth) / 2; // Center horizontally
-      const y = (842 - labelHeight) / 2; // Center vertically
-
-      a4Page.drawPage(originalPage, {
-        x: x,
-        y: y,
-        width: labelWidth,
-        height: labelHeight
-      });
-
-    } else if (format === 'four-in-one') {
-      // Four-in-one format: 4 labels per A4 page
-      console.log('📄 Creating four-in-one format (4 labels per A4 page)');
-
-      const a4Page = formattedPdf.addPage([595, 842]); // A4 size in points
-      const [originalPage] = await formattedPdf.embedPages([originalPdf.getPage(0)]);
-
-      // Original label dimensions
-      const originalLabelWidth = 288; // 4x6 label width in points
-      const originalLabelHeight = 432; // 4x6 label height in points
-
-      // Layout parameters
-      const horizontalMargin = 8; // Side margins
-      const topBottomMargin = 3; // Top and bottom margins (reduced)
-      const verticalGap = 12; // Gap between top and bottom rows
-
-      // Calculate available space
-      const availableHeight = 842 - (2 * topBottomMargin) - verticalGap;
-      const scaledLabelHeight = availableHeight / 2; // Fit 2 rows perfectly
-      const scaledLabelWidth = (scaledLabelHeight / originalLabelHeight) * originalLabelWidth;
-
-      // Calculate vertical positions for proper spacing
-      const topRowY = 842 - topBottomMargin - scaledLabelHeight;
-      const bottomRowY = topBottomMargin;
-
-      // Positions for 4 labels: top-left, top-right, bottom-left, bottom-right
-      const positions = [
-        [horizontalMargin, topRowY], // top-left
-        [595 - scaledLabelWidth - horizontalMargin, topRowY], // top-right
-        [horizontalMargin, bottomRowY], // bottom-left
-        [595 - scaledLabelWidth - horizontalMargin, bottomRowY] // bottom-right
-      ];
-
-      // Draw the same label 4 times
-      for (const [x, y] of positions) {
-        a4Page.drawPage(originalPage, {
-          x: x,
-          y: y,
-          width: scaledLabelWidth,
-          height: scaledLabelHeight
-        });
-      }
-    }
-
-    // Save the formatted PDF
-    const formattedPdfBytes = await formattedPdf.save();
-    console.log(`✅ ${format} format PDF generated successfully`);
-
-    return Buffer.from(formattedPdfBytes);
+    // Throws when the courier label could not be fetched or read
+    const labelRenderService = require('../services/labelRenderService');
+    const { pdf } = await labelRenderService.render(
+      [{ ...label, shipping_url: shippingUrl }],
+      format,
+      { fillPage: true }
+    );
+    return pdf;
 
   } catch (error) {
     console.error(`❌ ${format} format PDF generation failed:`, error);
@@ -3726,6 +3713,17 @@ async function handleOrderCloning(originalOrderId, claimedProducts, allOrderProd
       );
       console.log('✅ STEP 5 COMPLETED: Local database updated');
 
+      await orderEventService.recordMany(inputData.claimedProducts.map(product => ({
+        order: { ...product, order_id: cloneOrderId },
+        eventType: orderEventService.EVENT_TYPES.CLONED,
+        actor: orderEventService.actorFromUser(vendor),
+        from_status: product.status,
+        to_status: product.status,
+        claimed_by: product.claimed_by,
+        source: 'download-label',
+        details: { original_order_id: inputData.originalOrderId, clone_order_id: cloneOrderId }
+      })));
+
       // Checkpoint: local DB reflects the clone
       if (tx.id) await updateCloneTransactionStatus(tx.id, 'db_updated');
     } else {
@@ -4438,7 +4436,7 @@ async function prepareShipwayRequestBody(orderId, products, originalOrder, vendo
 }
 
 /**
- * Call Shipway Create Manifest API
+ * Call the Create Manifest API of the store's shipping partner (Shipway by default)
  * @param {string|Array} orderIds - Order ID(s) to create manifest for
  * @param {string} accountCode - Account code for the store (REQUIRED)
  */
@@ -4452,71 +4450,34 @@ async function callShipwayCreateManifestAPI(orderIds, accountCode) {
     console.log('  - Order IDs:', Array.isArray(orderIds) ? orderIds : [orderIds]);
     console.log('  - Account Code:', accountCode);
 
-    // Get store-specific credentials using account_code
-    const database = require('../config/database');
-    const encryptionService = require('../services/encryptionService');
-
-    console.log(`🔍 Fetching store credentials for account_code: ${accountCode}`);
-    const store = await database.getStoreByAccountCode(accountCode);
+    // Get the store's shipping partner adapter using account_code
+    const shippingPartners = require('../services/shippingPartners');
+    const adapter = await shippingPartners.getAdapter(accountCode);
+    console.log(`✅ Using ${adapter.partnerName} adapter for ${accountCode}`);
 
-    if (!store) {
-      throw new Error(`Store not found for account_code: ${accountCode}`);
-    }
+    const manifestOrderIds = Array.isArray(orderIds) ? orderIds : [orderIds];
 
-    if (!store.username || !store.password_encrypted) {
-      throw new Error(`Store credentials not configured for account_code: ${accountCode}`);
-    }
-
-    // Decrypt password
-    const password = encryptionService.decrypt(store.password_encrypted);
-    const username = store.username;
-
-    // Generate Basic Auth header from store credentials
-    const authHeader = 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
-    console.log(`✅ Using store-specific credentials for ${accountCode} (${store.store_name})`);
-
-    const requestBody = {
-      order_ids: Array.isArray(orderIds) ? orderIds : [orderIds]
-    };
-
-    console.log('📤 Request body:', JSON.stringify(requestBody, null, 2));
+    console.log('📤 Request body:', JSON.stringify({ order_ids: manifestOrderIds }, null, 2));
     console.log('⏱️ Timeout: 30 seconds');
 
-    // OPTIMIZATION #4: Add 30-second timeout to prevent hanging
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-
-    let response;
+    // OPTIMIZATION #4: 30-second timeout to prevent hanging
+    let data;
     try {
-      response = await fetch('https://app.shipway.com/api/Createmanifest/', {
-        method: 'POST',
-        headers: {
-          'Authorization': authHeader,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody),
-        signal: controller.signal  // Will abort after 30 seconds
-      });
-
-      clearTimeout(timeoutId); // Clear timeout if request completes successfully
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      if (fetchError.name === 'AbortError') {
+      data = await adapter.createManifest(manifestOrderIds, { timeout: 30000 });
+    } catch (apiError) {
+      if (apiError.code === 'ECONNABORTED') {
         console.error('❌ Shipway Create Manifest API request timed out after 30 seconds');
         throw new Error('Shipway Create Manifest API request timed out. The request took longer than 30 seconds. Please try again.');
       }
-      throw fetchError; // Re-throw other errors
+      if (apiError.response) {
+        console.log('📥 Response status:', apiError.response.status);
+        throw new Error(`Shipway Create Manifest API error: ${apiError.response.data?.message || apiError.response.statusText}`);
+      }
+      throw apiError; // Re-throw other errors
     }
 
-    const data = await response.json();
-
-    console.log('📥 Response status:', response.status);
     console.log('📥 Response data:', JSON.stringify(data, null, 2));
 
-    if (!response.ok) {
-      throw new Error(`Shipway Create Manifest API error: ${data.message || response.statusText}`);
-    }
-
     // Extract manifest_id from response (Shipway returns it as "manifest_ids")
     // Response can be single ID "4656335" or multiple IDs "4656335,4656336"
     const manifestIds = data?.manifest_ids;
@@ -4551,7 +4512,7 @@ async function callShipwayCreateManifestAPI(orderIds, accountCode) {
 }
 
 /**
- * Call Shipway PUSH Order API
+ * Call the PUSH Order API of the store's shipping partner (Shipway by default)
  */
 async function callShipwayPushOrderAPI(requestBody, generateLabel = false, accountCode = null) {
   try {
@@ -4561,30 +4522,13 @@ async function callShipwayPushOrderAPI(requestBody, generateLabel = false, accou
     console.log('  - Account Code:', accountCode || 'NOT PROVIDED (using default)');
     console.log('  - API Type:', generateLabel ? 'PUSH Order with Label Generation' : 'PUSH Order (Edit Only)');
 
-    // Get store-specific credentials if account_code is provided
-    let authHeader;
-    const database = require('../config/database');
-    const encryptionService = require('../services/encryptionService');
+    // Get the store's shipping partner adapter if account_code is provided
+    const shippingPartners = require('../services/shippingPartners');
+    let adapter;
 
     if (accountCode) {
-      console.log(`🔍 Fetching store credentials for account_code: ${accountCode}`);
-      const store = await database.getStoreByAccountCode(accountCode);
-
-      if (!store) {
-        throw new Error(`Store not found for account_code: ${accountCode}`);
-      }
-
-      if (!store.username || !store.password_encrypted) {
-        throw new Error(`Store credentials not configured for account_code: ${accountCode}`);
-      }
-
-      // Decrypt password
-      const password = encryptionService.decrypt(store.password_encrypted);
-      const username = store.username;
-
-      // Generate Basic Auth header from store credentials
-      authHeader = 'Basic ' + Buffer.from(`${username}:${password}`).toString('base64');
-      console.log(`✅ Using store-specific credentials for ${accountCode} (${store.store_name})`);
+      adapter = await shippingPartners.getAdapter(accountCode);
+      console.log(`✅ Using ${adapter.partnerName} adapter for ${accountCode}`);
     } else {
       // Fallback to environment variables (for backward compatibility)
       const username = process.env.SHIPWAY_USERNAME;
@@ -4596,6 +4540,7 @@ async function callShipwayPushOrderAPI(requestBody, generateLabel = false, accou
       console.log('  - SHIPWAY_PASSWORD:', password ? 'SET' : 'NOT SET');
       console.log('  - SHIPWAY_BASIC_AUTH_HEADER:', basicAuthHeader ? 'SET' : 'NOT SET');
 
+      let authHeader;
       if (basicAuthHeader) {
         authHeader = basicAuthHeader;
         console.log('✅ Using SHIPWAY_BASIC_AUTH_HEADER (fallback)');
@@ -4606,6 +4551,8 @@ async function callShipwayPushOrderAPI(requestBody, generateLabel = false, accou
         console.log('❌ No Shipway credentials found');
         throw new Error('Shipway credentials not configured');
       }
+
+      adapter = shippingPartners.createAdapter({ shipping_partner: 'Shipway', auth_token: authHeader });
     }
 
     // For original order editing (no label generation), remove generate_label parameter
@@ -4617,57 +4564,48 @@ async function callShipwayPushOrderAPI(requestBody, generateLabel = false, accou
 
     // Print the request being sent to Shipway
     console.log('📤 ========== SHIPWAY API REQUEST ==========');
-    console.log('🌐 Endpoint: https://app.shipway.com/api/v2orders');
+    console.log('🌐 Partner:', adapter.partnerName);
     console.log('📝 Method: POST');
     console.log('📝 Request Body:', JSON.stringify(apiRequestBody, null, 2));
     console.log('⏱️ Timeout: 30 seconds');
     console.log('📤 ==========================================');
 
-    // OPTIMIZATION #4: Add 30-second timeout to prevent hanging
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 30000); // 30 second timeout
-
-    let response;
+    // OPTIMIZATION #4: 30-second timeout to prevent hanging
+    let data;
+    let responseOk = true;
+    let statusText = '';
     try {
-      response = await fetch('https://app.shipway.com/api/v2orders', {
-        method: 'POST',
-        headers: {
-          'Authorization': authHeader,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(apiRequestBody),
-        signal: controller.signal  // Will abort after 30 seconds
-      });
-
-      clearTimeout(timeoutId); // Clear timeout if request completes successfully
-    } catch (fetchError) {
-      clearTimeout(timeoutId);
-      if (fetchError.name === 'AbortError') {
+      data = await adapter.pushOrder(apiRequestBody, { timeout: 30000 });
+    } catch (apiError) {
+      if (apiError.code === 'ECONNABORTED') {
         console.error('❌ Shipway API request timed out after 30 seconds');
         throw new Error('Shipway API request timed out. The request took longer than 30 seconds. Please try again.');
       }
-      throw fetchError; // Re-throw other errors
+      if (!apiError.response) {
+        throw apiError; // Re-throw network errors
+      }
+      // Non-2xx response: fall through to the error handling below with the response body
+      data = apiError.response.data || {};
+      responseOk = false;
+      statusText = apiError.response.statusText;
     }
 
-    const data = await response.json();
-
     // Print the complete Shipway API response
     console.log('📦 ========== SHIPWAY API RESPONSE ==========');
-    console.log('📊 Response Status:', response.status, response.statusText);
-    console.log('📊 Response OK:', response.ok);
+    console.log('📊 Response OK:', responseOk);
     console.log('📊 Full Response Data:', JSON.stringify(data, null, 2));
     console.log('📦 ==========================================');
 
     // Check if Shipway returned an error
     // Handle both 'success' and 'status' fields (Shipway uses different response formats)
-    if (!response.ok || data.success === false || data.status === false) {
+    if (!responseOk || data.success === false || data.status === false) {
       console.log('❌ Shipway API returned an error');
       console.log('  - Success flag:', data.success);
       console.log('  - Status flag:', data.status);
       console.log('  - Error message:', data.message);
       console.log('  - Full error data:', JSON.stringify(data, null, 2));
 
-      const errorMessage = data.message || response.statusText || 'Unknown Shipway API error';
+      const errorMessage = data.message || statusText || 'Unknown Shipway API error';
 
       // Check if this is "AWB assignment in progress" - this is a retriable error
       if (errorMessage.toLowerCase().includes('awb assignment is in progress') ||
@@ -4740,7 +4678,7 @@ async function syncOrdersFromShipway() {
  * @desc    Download labels for multiple orders and merge into single PDF
  * @access  Vendor (token required)
  */
-router.post('/bulk-download-labels', async (req, res) => {
+async function handleBulkDownloadLabels(req, res) {
   const requestStartTime = Date.now();
   const { order_ids, format = 'thermal', generate_only = false, async: runAsync } = req.body;
   const token = req.headers['authorization'];
@@ -4760,39 +4698,7 @@ router.post('/bulk-download-labels', async (req, res) => {
 
   // ── ASYNC MODE ────────────────────────────────────────────────────────────
   if (runAsync) {
-    const task = taskStore.createTask('bulk-download-labels', token.substring(0, 20));
-    const PORT = process.env.PORT || 5000;
-    const savedBody = { order_ids, format, generate_only, async: false };
-    const savedToken = token;
-    (async () => {
-      try {
-        const internalRes = await fetch(`http://localhost:${PORT}/api/orders/bulk-download-labels`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': savedToken },
-          body: JSON.stringify(savedBody)
-        });
-        const contentType = internalRes.headers.get('content-type') || '';
-        if (contentType.includes('application/json')) {
-          const result = await internalRes.json();
-          if (result.success) {
-            taskStore.completeTask(task.id, result);
-          } else {
-            taskStore.failTask(task.id, result.message || 'Bulk download failed');
-          }
-        } else {
-          // PDF binary response
-          const buffer = await internalRes.buffer();
-          taskStore.completeTask(task.id, {
-            success: true,
-            pdfBase64: buffer.toString('base64'),
-            contentType: contentType || 'application/pdf'
-          });
-        }
-      } catch (err) {
-        taskStore.failTask(task.id, err.message);
-      }
-    })();
-    return res.json({ success: true, taskId: task.id, async: true });
+    return respondWithQueuedJob(res, 'bulk-download-labels', { order_ids, format, generate_only }, req.user);
   }
 
   try {
@@ -4807,7 +4713,7 @@ router.post('/bulk-download-labels', async (req, res) => {
       return res.status(500).json({ success: false, message: 'Database connection not available' });
     }
 
-    const vendor = req.user || await database.getUserByToken(token);
+    const vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log(`❌ [${batchId}] VENDOR NOT FOUND OR INACTIVE`, vendor);
@@ -5101,6 +5007,15 @@ router.post('/bulk-download-labels', async (req, res) => {
       });
 
       console.log(`✅ Batch ${Math.floor(i / CONCURRENCY_LIMIT) + 1} complete: ${results.length} successful, ${errors.length} failed so far`);
+
+      // Background job: report progress (throws if the user cancelled the task)
+      if (req.jobContext) {
+        const processed = Math.min(i + CONCURRENCY_LIMIT, order_ids.length);
+        await req.jobContext.reportProgress(
+          Math.min(95, 5 + Math.round((processed / order_ids.length) * 90)),
+          `Processed ${processed} of ${order_ids.length} orders`
+        );
+      }
     }
 
     const requestEndTime = Date.now();
@@ -5195,14 +5110,16 @@ router.post('/bulk-download-labels', async (req, res) => {
       error: error.message
     });
   }
-});
+}
+
+router.post('/bulk-download-labels', handleBulkDownloadLabels);
 
 /**
  * @route   POST /api/orders/bulk-download-labels-merge
  * @desc    Merge labels for multiple orders into a single PDF
  * @access  Vendor (token required)
  */
-router.post('/bulk-download-labels-merge', async (req, res) => {
+async function handleBulkDownloadLabelsMerge(req, res) {
   const { order_ids, format = 'thermal', async: runAsync } = req.body;
   const token = req.headers['authorization'];
 
@@ -5215,39 +5132,7 @@ router.post('/bulk-download-labels-merge', async (req, res) => {
 
   // ── ASYNC MODE ────────────────────────────────────────────────────────────
   if (runAsync) {
-    const task = taskStore.createTask('bulk-download-merge', token.substring(0, 20));
-    const PORT = process.env.PORT || 5000;
-    const savedBody = { order_ids, format, async: false };
-    const savedToken = token;
-    (async () => {
-      try {
-        const internalRes = await fetch(`http://localhost:${PORT}/api/orders/bulk-download-labels-merge`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': savedToken },
-          body: JSON.stringify(savedBody)
-        });
-        const contentType = internalRes.headers.get('content-type') || '';
-        if (contentType.includes('application/json')) {
-          const result = await internalRes.json();
-          if (result.success) {
-            taskStore.completeTask(task.id, result);
-          } else {
-            taskStore.failTask(task.id, result.message || 'Merge failed');
-          }
-        } else {
-          // PDF binary response — encode as base64 for polling delivery
-          const buffer = await internalRes.buffer();
-          taskStore.completeTask(task.id, {
-            success: true,
-            pdfBase64: buffer.toString('base64'),
-            contentType: contentType || 'application/pdf'
-          });
-        }
-      } catch (err) {
-        taskStore.failTask(task.id, err.message);
-      }
-    })();
-    return res.json({ success: true, taskId: task.id, async: true });
+    return respondWithQueuedJob(res, 'bulk-download-merge', { order_ids, format }, req.user);
   }
 
   try {
@@ -5263,7 +5148,7 @@ router.post('/bulk-download-labels-merge', async (req, res) => {
     }
 
     // Verify vendor token
-    const vendor = req.user || await database.getUserByToken(token);
+    const vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log('❌ VENDOR NOT FOUND OR INACTIVE');
@@ -5313,12 +5198,23 @@ router.post('/bulk-download-labels-merge', async (req, res) => {
     // Convert to format expected by generateCombinedLabelsPDF
     const labelData = labels.map(label => ({
       order_id: label.order_id,
+      account_code: label.account_code,
       shipping_url: label.label_url,
       awb: label.awb || 'N/A'
     }));
 
     // Merge PDFs using the existing function
-    const combinedPdfBuffer = await generateCombinedLabelsPDF(labelData, format);
+    const { pdf: combinedPdfBuffer, skipped } = await generateCombinedLabelsPDF(labelData, format);
+
+    // Labels missing from the database or whose courier PDF could not be fetched are not in the PDF
+    const skippedOrderIds = [
+      ...order_ids.filter(id => !labels.some(label => label.order_id === id)),
+      ...skipped.map(label => label.order_id)
+    ];
+    if (skippedOrderIds.length > 0) {
+      console.warn(`⚠️ Merged PDF skips ${skippedOrderIds.length} label(s):`, skipped);
+      res.setHeader('X-Skipped-Labels', skippedOrderIds.join(','));
+    }
 
     // Set response headers for PDF download
     res.setHeader('Content-Type', 'application/pdf');
@@ -5343,7 +5239,9 @@ router.post('/bulk-download-labels-merge', async (req, res) => {
       error: error.message
     });
   }
-});
+}
+
+router.post('/bulk-download-labels-merge', handleBulkDownloadLabelsMerge);
 
 /**
  * @route   POST /api/orders/download-pdf
@@ -5378,7 +5276,7 @@ router.post('/download-pdf', async (req, res) => {
       return res.status(500).json({ success: false, message: 'Database connection not available' });
     }
 
-    const vendor = req.user || await database.getUserByToken(token);
+    const vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log('❌ VENDOR NOT FOUND OR INACTIVE ', vendor);
@@ -5453,200 +5351,17 @@ router.post('/download-pdf', async (req, res) => {
 });
 
 /**
- * Generate combined PDF from multiple label URLs
+ * Generate combined PDF from multiple label URLs, laid out by the label template
+ * for the format code (each label uses its store's template)
+ * @param {Array} labels - [{ order_id, account_code, shipping_url, awb }]
+ * @returns {Promise<Object>} { pdf, rendered, skipped } - throws if no label could be rendered
  */
 async function generateCombinedLabelsPDF(labels, format = 'thermal') {
   try {
     console.log(`🔄 Generating combined PDF for ${labels.length} labels in ${format} format`);
 
-    // Import PDF-lib for PDF manipulation
-    const { PDFDocument } = require('pdf-lib');
-
-    // Create a new PDF document
-    const mergedPdf = await PDFDocument.create();
-
-    if (format === 'thermal') {
-      // ⚡ PARALLEL OPTIMIZATION: Download all PDFs concurrently
-      console.log(`⚡ Downloading ${labels.length} PDFs in parallel...`);
-
-      // Download all PDFs in parallel
-      const downloadPromises = labels.map(async (label) => {
-        try {
-          console.log(`  - Downloading label for order ${label.order_id}`);
-
-          const response = await fetch(label.shipping_url);
-          if (!response.ok) {
-            console.log(`    ⚠️ Failed to fetch label for order ${label.order_id}:`, response.status);
-            return { label, pdfBuffer: null, error: `HTTP ${response.status}` };
-          }
-
-          const pdfBuffer = await response.arrayBuffer();
-          console.log(`    ✅ Downloaded label for order ${label.order_id} (${pdfBuffer.byteLength} bytes)`);
-
-          return { label, pdfBuffer, error: null };
-        } catch (error) {
-          console.log(`    ❌ Error downloading label for order ${label.order_id}:`, error.message);
-          return { label, pdfBuffer: null, error: error.message };
-        }
-      });
-
-      // Wait for all downloads to complete
-      const downloadResults = await Promise.allSettled(downloadPromises);
-      console.log(`✅ All PDFs downloaded, now merging...`);
-
-      // Merge PDFs in order (sequentially to maintain order)
-      for (const result of downloadResults) {
-        if (result.status === 'fulfilled' && result.value.pdfBuffer) {
-          try {
-            const { label, pdfBuffer } = result.value;
-            console.log(`  - Merging label for order ${label.order_id}`);
-
-            // Load the PDF
-            const pdf = await PDFDocument.load(pdfBuffer);
-
-            // Copy all pages from this PDF to the merged PDF
-            const pages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
-            pages.forEach(page => mergedPdf.addPage(page));
-
-            console.log(`    ✅ Added label for order ${label.order_id}`);
-          } catch (labelError) {
-            console.log(`    ❌ Error processing label for order ${result.value.label.order_id}:`, labelError.message);
-          }
-        } else if (result.status === 'fulfilled') {
-          console.log(`    ⚠️ Skipping label for order ${result.value.label.order_id}: ${result.value.error}`);
-        } else {
-          console.log(`    ❌ Promise rejected:`, result.reason?.message);
-        }
-      }
-    } else {
-      // For A4 and four-in-one formats, process labels in batches
-      console.log(`📄 Processing labels in ${format} format batches`);
-
-      // ⚡ PARALLEL OPTIMIZATION: Download all PDFs first
-      console.log(`⚡ Downloading ${labels.length} PDFs in parallel for ${format} format...`);
-
-      const downloadPromises = labels.map(async (label) => {
-        try {
-          const response = await fetch(label.shipping_url);
-          if (!response.ok) {
-            console.log(`    ⚠️ Failed to fetch label for order ${label.order_id}:`, response.status);
-            return { label, pdfBuffer: null, error: `HTTP ${response.status}` };
-          }
-
-          const pdfBuffer = await response.arrayBuffer();
-          console.log(`    ✅ Downloaded label for order ${label.order_id} (${pdfBuffer.byteLength} bytes)`);
-
-          return { label, pdfBuffer, error: null };
-        } catch (error) {
-          console.log(`    ❌ Error downloading label for order ${label.order_id}:`, error.message);
-          return { label, pdfBuffer: null, error: error.message };
-        }
-      });
-
-      const downloadResults = await Promise.allSettled(downloadPromises);
-      console.log(`✅ All PDFs downloaded for ${format} format, now processing...`);
-
-      // Extract successful downloads
-      const successfulDownloads = downloadResults
-        .filter(result => result.status === 'fulfilled' && result.value.pdfBuffer)
-        .map(result => result.value);
-
-      if (format === 'a4') {
-        // A4 format: One label per A4 page
-        for (const { label, pdfBuffer } of successfulDownloads) {
-          try {
-            console.log(`  - Processing A4 label for order ${label.order_id}`);
-
-            const a4Page = mergedPdf.addPage([595, 842]); // A4 size in points
-
-            const originalPdf = await PDFDocument.load(pdfBuffer);
-            const [originalPage] = await mergedPdf.embedPages([originalPdf.getPage(0)]);
-
-            // Center the label on the A4 page
-            const labelWidth = 288; // 4x6 label width in points
-            const labelHeight = 432; // 4x6 label height in points
-            const x = (595 - labelWidth) / 2; // Center horizontally
-            const y = (842 - labelHeight) / 2; // Center vertically
-
-            a4Page.drawPage(originalPage, {
-              x: x,
-              y: y,
-              width: labelWidth,
-              height: labelHeight
-            });
-
-            console.log(`    ✅ Added A4 label for order ${label.order_id}`);
-
-          } catch (labelError) {
-            console.log(`    ❌ Error processing A4 label for order ${label.order_id}:`, labelError.message);
-          }
-        }
-      } else if (format === 'four-in-one') {
-        // Four-in-one format: 4 labels per A4 page
-        const batchSize = 4;
-        for (let i = 0; i < successfulDownloads.length; i += batchSize) {
-          const batch = successfulDownloads.slice(i, i + batchSize);
-          console.log(`  - Processing four-in-one batch ${Math.floor(i / batchSize) + 1} (${batch.length} labels)`);
-
-          const a4Page = mergedPdf.addPage([595, 842]); // A4 size in points
-
-          // Original label dimensions
-          const originalLabelWidth = 288; // 4x6 label width in points
-          const originalLabelHeight = 432; // 4x6 label height in points
-
-          // Layout parameters
-          const horizontalMargin = 8; // Side margins
-          const topBottomMargin = 3; // Top and bottom margins (reduced)
-          const verticalGap = 12; // Gap between top and bottom rows
-
-          // Calculate available space
-          const availableHeight = 842 - (2 * topBottomMargin) - verticalGap;
-          const scaledLabelHeight = availableHeight / 2; // Fit 2 rows perfectly
-          const scaledLabelWidth = (scaledLabelHeight / originalLabelHeight) * originalLabelWidth;
-
-          // Calculate vertical positions for proper spacing
-          const topRowY = 842 - topBottomMargin - scaledLabelHeight;
-          const bottomRowY = topBottomMargin;
-
-          // Positions for 4 labels: top-left, top-right, bottom-left, bottom-right
-          const positions = [
-            [horizontalMargin, topRowY], // top-left
-            [595 - scaledLabelWidth - horizontalMargin, topRowY], // top-right
-            [horizontalMargin, bottomRowY], // bottom-left
-            [595 - scaledLabelWidth - horizontalMargin, bottomRowY] // bottom-right
-          ];
-
-          // Process each label in the batch
-          for (let j = 0; j < batch.length; j++) {
-            const { label, pdfBuffer } = batch[j];
-            const [x, y] = positions[j];
-
-            try {
-              const originalPdf = await PDFDocument.load(pdfBuffer);
-              const [originalPage] = await mergedPdf.embedPages([originalPdf.getPage(0)]);
-
-              a4Page.drawPage(originalPage, {
-                x: x,
-                y: y,
-                width: scaledLabelWidth,
-                height: scaledLabelHeight
-              });
-
-              console.log(`    ✅ Added label for order ${label.order_id} at position ${j + 1}`);
-
-            } catch (labelError) {
-              console.log(`    ❌ Error processing label for order ${label.order_id}:`, labelError.message);
-            }
-          }
-        }
-      }
-    }
-
-    // Save the merged PDF
-    const mergedPdfBytes = await mergedPdf.save();
-    console.log(`✅ Combined PDF generated successfully in ${format} format`);
-
-    return Buffer.from(mergedPdfBytes);
+    const labelRenderService = require('../services/labelRenderService');
+    return await labelRenderService.render(labels, format);
 
   } catch (error) {
     console.error('❌ Combined PDF generation failed:', error);
@@ -5687,7 +5402,7 @@ router.post('/mark-ready', async (req, res) => {
       return res.status(500).json({ success: false, message: 'Database connection not available' });
     }
 
-    const vendor = req.user || await database.getUserByToken(token);
+    const vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log('❌ VENDOR NOT FOUND OR INACTIVE ', vendor);
@@ -5776,6 +5491,17 @@ router.post('/mark-ready', async (req, res) => {
       for (const product of claimedByAccountCode[accountCode]) {
         await database.updateOrder(product.unique_id, { status: 'ready_for_handover' });
       }
+
+      await orderEventService.recordMany(claimedByAccountCode[accountCode].map(product => ({
+        order: product,
+        eventType: orderEventService.EVENT_TYPES.READY_FOR_HANDOVER,
+        actor: orderEventService.actorFromUser(vendor),
+        from_status: product.claims_status,
+        to_status: 'ready_for_handover',
+        claimed_by: product.claimed_by,
+        source: 'mark-ready',
+        details: { manifest_id: manifestResponse.manifest_id }
+      })));
     }
 
     console.log('🟢 MARK READY SUCCESS (account_code isolated)');
@@ -5835,7 +5561,7 @@ router.post('/bulk-mark-ready', async (req, res) => {
       return res.status(500).json({ success: false, message: 'Database connection not available' });
     }
 
-    const vendor = req.user || await database.getUserByToken(token);
+    const vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log('❌ VENDOR NOT FOUND OR INACTIVE ', vendor);
@@ -6033,6 +5759,17 @@ router.post('/bulk-mark-ready', async (req, res) => {
                 });
               }
 
+              await orderEventService.recordMany(claimedProducts.map(product => ({
+                order: product,
+                eventType: orderEventService.EVENT_TYPES.READY_FOR_HANDOVER,
+                actor: orderEventService.actorFromUser(vendor),
+                from_status: product.claims_status,
+                to_status: 'ready_for_handover',
+                claimed_by: product.claimed_by,
+                source: 'bulk-mark-ready',
+                details: { manifest_id: manifestResponse.manifest_id }
+              })));
+
               if (!successfulOrderIdSet.has(order_id) && !failedOrderIdSet.has(order_id)) {
                 successfulOrderIdSet.add(order_id);
                 successfulOrders.push({
@@ -6107,32 +5844,16 @@ router.post('/bulk-mark-ready', async (req, res) => {
 /**
  * @route   POST /api/orders/admin/refresh
  * @desc    Refresh orders by syncing from Shipway API (Admin)
- * @access  Admin/Superadmin only
+ * @access  Permission: orders:refresh
  */
-router.post('/admin/refresh', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/admin/refresh', authenticateBasicAuth, requirePermission('orders:refresh'), async (req, res) => {
   const { async: runAsync } = req.body || {};
   console.log('🔵 ADMIN REFRESH ORDERS REQUEST START');
   console.log('  - async mode:', runAsync ? 'YES' : 'NO');
 
   // ── ASYNC MODE ────────────────────────────────────────────────────────────
   if (runAsync) {
-    const task = taskStore.createTask('admin-refresh', 'admin');
-    (async () => {
-      try {
-        const database = require('../config/database');
-        await database.waitForMySQLInitialization();
-        const multiStoreSyncService = require('../services/multiStoreSyncService');
-        const result = await multiStoreSyncService.syncAllStores();
-        taskStore.completeTask(task.id, {
-          success: true,
-          message: `Orders refreshed. ${result.successfulStores}/${result.totalStores} stores synced, ${result.totalOrders} orders.`,
-          data: { sync_result: result, timestamp: new Date().toISOString() }
-        });
-      } catch (err) {
-        taskStore.failTask(task.id, err.message);
-      }
-    })();
-    return res.json({ success: true, taskId: task.id, async: true });
+    return respondWithQueuedJob(res, 'admin-refresh', {}, req.user);
   }
 
   try {
@@ -6193,27 +5914,13 @@ router.post('/refresh', async (req, res) => {
 
   // ── ASYNC MODE ────────────────────────────────────────────────────────────
   if (runAsync) {
-    const task = taskStore.createTask('refresh', token.substring(0, 20));
-    (async () => {
-      try {
-        const database = require('../config/database');
-        await database.waitForMySQLInitialization();
-        const vendor = req.user || await database.getUserByToken(token);
-        if (!vendor || vendor.active_session !== 'TRUE') {
-          return taskStore.failTask(task.id, 'Invalid or inactive vendor token');
-        }
-        const multiStoreSyncService = require('../services/multiStoreSyncService');
-        const result = await multiStoreSyncService.syncAllStores();
-        taskStore.completeTask(task.id, {
-          success: true,
-          message: `Orders refreshed. ${result.successfulStores}/${result.totalStores} stores synced, ${result.totalOrders} orders.`,
-          data: { sync_result: result, timestamp: new Date().toISOString() }
-        });
-      } catch (err) {
-        taskStore.failTask(task.id, err.message);
-      }
-    })();
-    return res.json({ success: true, taskId: task.id, async: true });
+    const database = require('../config/database');
+    await database.waitForMySQLInitialization();
+    const vendor = req.user;
+    if (!vendor || vendor.active_session !== 'TRUE') {
+      return res.status(401).json({ success: false, message: 'Invalid or inactive vendor token' });
+    }
+    return respondWithQueuedJob(res, 'refresh', {}, vendor);
   }
 
   try {
@@ -6228,7 +5935,7 @@ router.post('/refresh', async (req, res) => {
       return res.status(500).json({ success: false, message: 'Database connection not available' });
     }
 
-    const vendor = req.user || await database.getUserByToken(token);
+    const vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log('❌ VENDOR NOT FOUND OR INACTIVE ', vendor);
@@ -6322,7 +6029,7 @@ router.post('/reverse', async (req, res) => {
       return res.status(500).json({ success: false, message: 'Database connection not available' });
     }
 
-    const vendor = req.user || await database.getUserByToken(token);
+    const vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log('❌ VENDOR NOT FOUND OR INACTIVE ', vendor);
@@ -6441,6 +6148,7 @@ router.post('/reverse', async (req, res) => {
     await database.mysqlConnection.execute(
       `UPDATE claims SET 
         claimed_by = NULL, 
+        claimed_by_user_id = NULL, 
         claimed_at = NULL, 
         last_claimed_by = NULL, 
         last_claimed_at = NULL, 
@@ -6453,6 +6161,14 @@ router.post('/reverse', async (req, res) => {
 
     console.log('✅ CLAIM DATA CLEARED');
 
+    await orderEventService.record(order, orderEventService.EVENT_TYPES.REVERSED, {
+      actor: orderEventService.actorFromUser(vendor),
+      from_status: order.status,
+      to_status: 'unclaimed',
+      source: 'reverse',
+      details: { previous_claimed_by: order.claimed_by, label_cancelled: isLabelDownloaded }
+    });
+
     // Set is_in_new_order = 1 so unclaimed order appears in All Orders tab
     await database.mysqlConnection.execute(
       'UPDATE orders SET is_in_new_order = 1 WHERE unique_id = ?',
@@ -6553,7 +6269,7 @@ router.post('/reverse-grouped', async (req, res) => {
       return res.status(500).json({ success: false, message: 'Database connection not available' });
     }
 
-    const vendor = req.user || await database.getUserByToken(token);
+    const vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log('❌ VENDOR NOT FOUND OR INACTIVE ', vendor);
@@ -6697,6 +6413,7 @@ router.post('/reverse-grouped', async (req, res) => {
           await database.mysqlConnection.execute(
             `UPDATE claims SET 
               claimed_by = NULL, 
+              claimed_by_user_id = NULL, 
               claimed_at = NULL, 
               last_claimed_by = NULL, 
               last_claimed_at = NULL, 
@@ -6715,6 +6432,19 @@ router.post('/reverse-grouped', async (req, res) => {
     );
 
     const failedClears = clearResults.filter(result => !result.success);
+    const clearedUniqueIds = new Set(clearResults.filter(result => result.success).map(result => result.unique_id));
+
+    await orderEventService.recordMany(validOrders
+      .filter(check => clearedUniqueIds.has(check.unique_id))
+      .map(check => ({
+        order: check.order,
+        eventType: orderEventService.EVENT_TYPES.REVERSED,
+        actor: orderEventService.actorFromUser(vendor),
+        from_status: check.order.status,
+        to_status: 'unclaimed',
+        source: 'reverse-grouped',
+        details: { previous_claimed_by: check.order.claimed_by, label_cancelled: isLabelDownloaded }
+      })));
     if (failedClears.length > 0) {
       console.log('⚠️ SOME CLAIM DATA CLEARING FAILED:', failedClears);
     }
@@ -6763,10 +6493,10 @@ router.post('/reverse-grouped', async (req, res) => {
 
 /**
  * @route   POST /api/orders/auto-reverse-expired
- * @desc    Automatically reverse orders that have been claimed for 24+ hours without label download
- * @access  Admin/Superadmin only (or can be called by cron job)
+ * @desc    Automatically reverse claims that expired without label download (per-store auto-reversal policy)
+ * @access  Permission: orders:reverse
  */
-router.post('/auto-reverse-expired', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/auto-reverse-expired', authenticateBasicAuth, requirePermission('orders:reverse'), async (req, res) => {
   console.log('🔄 AUTO-REVERSE EXPIRED ORDERS REQUEST START');
 
   try {
@@ -6792,9 +6522,9 @@ router.post('/auto-reverse-expired', authenticateBasicAuth, requireAdminOrSupera
 /**
  * @route   GET /api/orders/auto-reverse-stats
  * @desc    Get auto-reversal service statistics
- * @access  Admin/Superadmin only
+ * @access  Permission: orders:reverse
  */
-router.get('/auto-reverse-stats', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/auto-reverse-stats', authenticateBasicAuth, requirePermission('orders:reverse'), async (req, res) => {
   try {
     const autoReversalService = require('../services/autoReversalService');
     const stats = autoReversalService.getStats();
@@ -6813,12 +6543,203 @@ router.get('/auto-reverse-stats', authenticateBasicAuth, requireAdminOrSuperadmi
   }
 });
 
+/**
+ * @route   GET /api/orders/auto-reverse-preview
+ * @desc    Dry run of auto-reversal: claims that would be reversed now and claims in the warning window
+ * @access  Permission: orders:reverse
+ * @query   account_code?, claimed_by?
+ */
+router.get('/auto-reverse-preview', authenticateBasicAuth, requirePermission('orders:reverse'), async (req, res) => {
+  try {
+    const autoReversalService = require('../services/autoReversalService');
+    const result = await autoReversalService.previewAutoReversal({
+      account_code: req.query.account_code,
+      claimed_by: req.query.claimed_by
+    });
+
+    if (result.success) {
+      return res.json(result);
+    } else {
+      return res.status(500).json(result);
+    }
+
+  } catch (error) {
+    console.error('❌ AUTO-REVERSE PREVIEW ERROR:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to preview auto-reversal',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/orders/expiring-claims
+ * @desc    Vendor's claims that will be auto-reversed soon (or at the next run) unless the label is downloaded
+ * @access  Vendor only
+ */
+router.get('/expiring-claims', async (req, res) => {
+  const vendor = req.user;
+
+  if (vendor.role !== 'vendor') {
+    return res.status(403).json({ success: false, message: 'Only vendors have expiring claims' });
+  }
+
+  try {
+    const autoReversalService = require('../services/autoReversalService');
+    const claims = await autoReversalService.getExpiringClaimsForVendor(vendor.warehouseId);
+
+    return res.json({
+      success: true,
+      data: {
+        count: claims.length,
+        claims
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ GET EXPIRING CLAIMS ERROR:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get expiring claims',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/orders/capacity
+ * @desc    Vendor's claim limits (open claims, per SKU per day) and today's usage
+ * @access  Vendor only
+ */
+router.get('/capacity', async (req, res) => {
+  if (req.user.role !== 'vendor') {
+    return res.status(403).json({ success: false, message: 'Only vendors have claim capacity' });
+  }
+
+  try {
+    const capacity = await vendorCapacityService.getVendorCapacity(req.vendor);
+
+    return res.json({
+      success: true,
+      data: capacity
+    });
+
+  } catch (error) {
+    console.error('❌ GET CLAIM CAPACITY ERROR:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get claim capacity',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/orders/pick-list
+ * @desc    Pick list of the vendor's claimed (not yet manifested) orders, grouped by product and size
+ * @access  Vendor (token required)
+ * @body    { order_ids?: [order_id], format?: 'pdf' | 'csv' | 'json' }
+ */
+router.post('/pick-list', async (req, res) => {
+  const { order_ids, format = 'pdf' } = req.body || {};
+  const vendor = req.user;
+
+  if (vendor.role !== 'vendor') {
+    return res.status(403).json({ success: false, message: 'Only vendors have pick lists' });
+  }
+  if (!['pdf', 'csv', 'json'].includes(format)) {
+    return res.status(400).json({ success: false, message: 'format must be pdf, csv or json' });
+  }
+
+  try {
+    const pickListService = require('../services/pickListService');
+    const orderIds = order_ids ? (Array.isArray(order_ids) ? order_ids : [order_ids]) : null;
+    const rows = await pickListService.getClaimedOrderRows(vendor.warehouseId, orderIds);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'No claimed orders to pick' });
+    }
+
+    const pickList = pickListService.buildPickList(rows);
+    console.log(`📋 Pick list for ${vendor.warehouseId}: ${pickList.summary.orders} orders, ${pickList.summary.lines} lines, ${pickList.summary.units} units`);
+
+    const filename = `picklist_${vendor.warehouseId}_${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`;
+
+    if (format === 'json') {
+      return res.json({ success: true, data: pickList });
+    }
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+      return res.send(pickListService.toCSV(pickList));
+    }
+
+    const pdfBuffer = await pickListService.renderPickListPDF(pickList, vendor);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    return res.send(pdfBuffer);
+
+  } catch (error) {
+    console.error('❌ PICK LIST ERROR:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate pick list',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/orders/packing-slips
+ * @desc    Packing slips PDF (one per order) for the vendor's claimed (not yet manifested) orders
+ * @access  Vendor (token required)
+ * @body    { order_ids?: [order_id] }
+ */
+router.post('/packing-slips', async (req, res) => {
+  const { order_ids } = req.body || {};
+  const vendor = req.user;
+
+  if (vendor.role !== 'vendor') {
+    return res.status(403).json({ success: false, message: 'Only vendors have packing slips' });
+  }
+
+  try {
+    const pickListService = require('../services/pickListService');
+    const orderIds = order_ids ? (Array.isArray(order_ids) ? order_ids : [order_ids]) : null;
+    const rows = await pickListService.getClaimedOrderRows(vendor.warehouseId, orderIds);
+
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'No claimed orders to pack' });
+    }
+
+    const slips = await pickListService.buildPackingSlips(rows);
+    const pdfBuffer = await pickListService.renderPackingSlipsPDF(slips);
+    console.log(`📦 Packing slips for ${vendor.warehouseId}: ${slips.length} orders`);
+
+    const filename = `packing_slips_${vendor.warehouseId}_${new Date().toISOString().slice(0, 10).replace(/-/g, '')}.pdf`;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    return res.send(pdfBuffer);
+
+  } catch (error) {
+    console.error('❌ PACKING SLIPS ERROR:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate packing slips',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   POST /api/orders/download-manifest-summary
  * @desc    Download manifest summary PDF for given manifest_id(s)
  * @access  Vendor (token required)
  */
-router.post('/download-manifest-summary', async (req, res) => {
+async function handleDownloadManifestSummary(req, res) {
   const { manifest_ids, format = 'a4', async: runAsync } = req.body;
   const token = req.headers['authorization'];
 
@@ -6837,39 +6758,7 @@ router.post('/download-manifest-summary', async (req, res) => {
 
   // ── ASYNC MODE ────────────────────────────────────────────────────────────
   if (runAsync) {
-    const task = taskStore.createTask('manifest-summary', token.substring(0, 20));
-    const PORT = process.env.PORT || 5000;
-    const savedBody = { manifest_ids, format, async: false };
-    const savedToken = token;
-    (async () => {
-      try {
-        const internalRes = await fetch(`http://localhost:${PORT}/api/orders/download-manifest-summary`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'Authorization': savedToken },
-          body: JSON.stringify(savedBody)
-        });
-        const contentType = internalRes.headers.get('content-type') || '';
-        if (contentType.includes('application/json')) {
-          const result = await internalRes.json();
-          if (result.success) {
-            taskStore.completeTask(task.id, result);
-          } else {
-            taskStore.failTask(task.id, result.message || 'Manifest generation failed');
-          }
-        } else {
-          // PDF binary response
-          const buffer = await internalRes.buffer();
-          taskStore.completeTask(task.id, {
-            success: true,
-            pdfBase64: buffer.toString('base64'),
-            contentType: contentType || 'application/pdf'
-          });
-        }
-      } catch (err) {
-        taskStore.failTask(task.id, err.message);
-      }
-    })();
-    return res.json({ success: true, taskId: task.id, async: true });
+    return respondWithQueuedJob(res, 'manifest-summary', { manifest_ids, format }, req.user);
   }
 
   try {
@@ -6882,7 +6771,7 @@ router.post('/download-manifest-summary', async (req, res) => {
       return res.status(500).json({ success: false, message: 'Database connection not available' });
     }
 
-    const vendor = req.user || await database.getUserByToken(token);
+    const vendor = req.user;
 
     if (!vendor || vendor.active_session !== 'TRUE') {
       console.log('❌ VENDOR NOT FOUND OR INACTIVE');
@@ -6965,7 +6854,7 @@ router.post('/download-manifest-summary', async (req, res) => {
           manifestDataByStore[accountCode] = {
             account_code: accountCode,
             store_name: store?.store_name || accountCode,
-            logo_url: store?.logo_url || null,
+            logo_url: store?.brand_logo_url || null,
             manifests: []
           };
         }
@@ -7525,14 +7414,16 @@ router.post('/download-manifest-summary', async (req, res) => {
       error: error.message
     });
   }
-});
+}
+
+router.post('/download-manifest-summary', handleDownloadManifestSummary);
 
 /**
  * @route   POST /api/orders/rto-inventory/process
  * @desc    Manually trigger RTO inventory processing (process delivered RTO orders)
- * @access  Admin/Superadmin only
+ * @access  Permission: rto:edit
  */
-router.post('/rto-inventory/process', requireAdminOrSuperadmin, async (req, res) => {
+router.post('/rto-inventory/process', requirePermission('rto:edit'), async (req, res) => {
   console.log('🔵 RTO INVENTORY PROCESS REQUEST START');
 
   try {
@@ -7561,9 +7452,9 @@ router.post('/rto-inventory/process', requireAdminOrSuperadmin, async (req, res)
 /**
  * @route   GET /api/orders/rto-inventory
  * @desc    Get RTO inventory summary
- * @access  Admin/Superadmin only
+ * @access  Permission: rto:view
  */
-router.get('/rto-inventory', requireAdminOrSuperadmin, async (req, res) => {
+router.get('/rto-inventory', requirePermission('rto:view'), async (req, res) => {
   console.log('🔵 GET RTO INVENTORY REQUEST');
 
   try {
@@ -7593,9 +7484,9 @@ router.get('/rto-inventory', requireAdminOrSuperadmin, async (req, res) => {
 /**
  * @route   GET /api/orders/rto-inventory/unprocessed
  * @desc    Get unprocessed RTO delivered orders (for monitoring/debugging)
- * @access  Admin/Superadmin only
+ * @access  Permission: rto:view
  */
-router.get('/rto-inventory/unprocessed', requireAdminOrSuperadmin, async (req, res) => {
+router.get('/rto-inventory/unprocessed', requirePermission('rto:view'), async (req, res) => {
   console.log('🔵 GET UNPROCESSED RTO ORDERS REQUEST');
 
   try {
@@ -7625,9 +7516,9 @@ router.get('/rto-inventory/unprocessed', requireAdminOrSuperadmin, async (req, r
 /**
  * @route   GET /api/orders/rto-inventory/status
  * @desc    Get RTO inventory service status
- * @access  Admin/Superadmin only
+ * @access  Permission: rto:view
  */
-router.get('/rto-inventory/status', requireAdminOrSuperadmin, async (req, res) => {
+router.get('/rto-inventory/status', requirePermission('rto:view'), async (req, res) => {
   try {
     const rtoInventoryService = require('../services/rtoInventoryService');
     const status = rtoInventoryService.getStatus();
@@ -7647,6 +7538,109 @@ router.get('/rto-inventory/status', requireAdminOrSuperadmin, async (req, res) =
   }
 });
 
+/**
+ * @route   GET /api/orders/:unique_id/history
+ * @desc    Audit trail of an order row: claims, assignments, reversals, clones and tracking updates (oldest first)
+ * @access  Permission: orders:view_all, or the vendor currently holding the claim
+ */
+router.get('/:unique_id/history', async (req, res) => {
+  try {
+    const database = require('../config/database');
+    const permissionService = require('../services/permissionService');
+    const { unique_id } = req.params;
+
+    const order = await database.getOrderByUniqueId(unique_id);
+    if (!order) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const canViewAll = await permissionService.hasPermission(req.user, 'orders:view_all');
+    const isClaimingVendor = req.user.role === 'vendor' && !!order.claimed_by && order.claimed_by === req.user.warehouseId;
+    if (!canViewAll && !isClaimingVendor) {
+      return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+    }
+
+    const events = await orderEventService.getHistory(order);
+
+    return res.json({
+      success: true,
+      data: {
+        unique_id: order.unique_id,
+        order_id: order.order_id,
+        account_code: order.account_code,
+        status: order.status,
+        claimed_by: order.claimed_by,
+        events
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ GET ORDER HISTORY ERROR:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get order history',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/orders/:order_id/tracking
+ * @desc    Full tracking timeline of an order's shipment (courier scans, oldest first) with expected delivery date
+ * @access  Permission: orders:view_all, or a vendor holding a claim on the order
+ * @query   account_code (required when the order_id exists in more than one store)
+ */
+router.get('/:order_id/tracking', async (req, res) => {
+  try {
+    const database = require('../config/database');
+    const permissionService = require('../services/permissionService');
+    const orderTrackingService = require('../services/orderTrackingService');
+    const { order_id } = req.params;
+    const { account_code } = req.query;
+
+    const rows = (await database.getOrdersByOrderId(order_id))
+      .filter(row => !account_code || row.account_code === account_code);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, message: 'Order not found' });
+    }
+
+    const accountCodes = [...new Set(rows.map(row => row.account_code))];
+    if (accountCodes.length > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order ID exists in more than one store; pass account_code',
+        account_codes: accountCodes
+      });
+    }
+
+    const canViewAll = await permissionService.hasPermission(req.user, 'orders:view_all');
+    const isClaimingVendor = req.user.role === 'vendor' && rows.some(row => row.claimed_by && row.claimed_by === req.user.warehouseId);
+    if (!canViewAll && !isClaimingVendor) {
+      return res.status(403).json({ success: false, message: 'Insufficient permissions' });
+    }
+
+    const label = await database.getLabelByOrderId(order_id, accountCodes[0]);
+    if (!label || !label.awb) {
+      return res.status(404).json({ success: false, message: 'No shipment found for this order' });
+    }
+
+    const tracking = await orderTrackingService.getShipmentTimeline(label);
+
+    return res.json({
+      success: true,
+      data: tracking
+    });
+
+  } catch (error) {
+    console.error('❌ GET ORDER TRACKING TIMELINE ERROR:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to get order tracking',
+      error: error.message
+    });
+  }
+});
+
 /**
  * @route   POST /api/orders/message-tracking
  * @desc    Record customer message tracking status
@@ -7702,9 +7696,9 @@ router.post('/message-tracking', async (req, res) => {
 /**
  * @route   POST /api/orders/trigger-webhook
  * @desc    Manual trigger for webhook (testing only)
- * @access  Admin/Superadmin only
+ * @access  Permission: webhooks:trigger
  */
-router.post('/trigger-webhook', requireAdminOrSuperadmin, async (req, res) => {
+router.post('/trigger-webhook', requirePermission('webhooks:trigger'), async (req, res) => {
   try {
     const { order_ids } = req.body;
 
@@ -7803,4 +7797,124 @@ router.post('/prepare-android-download', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// ── BACKGROUND JOBS ─────────────────────────────────────────────────────────
+// Async-mode requests ({ async: true }) are queued as persistent jobs (services/jobQueue.js)
+// and polled via GET /api/tasks/:taskId. Label and manifest jobs run the same route
+// handlers in-process with a captured response.
+
+/**
+ * Queue an async-mode request as a persistent job and reply with its taskId
+ * @param {Object} res - Express response
+ * @param {string} type - Job type
+ * @param {Object} payload - Request body to replay in the job
+ * @param {Object} user - Authenticated user who owns the job
+ */
+async function respondWithQueuedJob(res, type, payload, user) {
+  try {
+    const job = await jobQueue.enqueue(type, payload, { userId: user ? user.id : null });
+    return res.json({ success: true, taskId: job.id, async: true });
+  } catch (error) {
+    console.error(`❌ Failed to queue ${type} job:`, error.message);
+    return res.status(500).json({ success: false, message: 'Failed to start background task', error: error.message });
+  }
+}
+
+/**
+ * Run a vendor route handler for a queued job and turn its response into the job result.
+ * PDF responses (and the base64 PDF of formatted labels) are stored with ctx.saveFile(); the
+ * result carries the file reference, downloaded from GET /api/tasks/:taskId/file.
+ * 5xx responses and thrown errors are retried when the job type allows more than one attempt;
+ * other failures are final.
+ * @param {Function} handler - Route handler
+ * @param {Object} payload - Job payload (request body)
+ * @param {Object} ctx - Job context from jobQueue
+ * @param {string} failureMessage - Fallback error message
+ */
+async function runRouteHandlerJob(handler, payload, ctx, failureMessage) {
+  const database = require('../config/database');
+  await database.waitForMySQLInitialization();
+
+  const user = ctx.userId ? await database.getUserById(ctx.userId) : null;
+  if (!user) {
+    throw jobQueue.permanentError('User for this task no longer exists');
+  }
+
+  await ctx.reportProgress(5, 'Started');
+
+  const response = await invokeRouteHandler(handler, {
+    body: { ...payload, async: false },
+    // Handlers resolve the vendor from req.user; the header only has to be present
+    headers: { authorization: `Job ${ctx.job.id}` },
+    user,
+    jobContext: ctx
+  });
+
+  if (Buffer.isBuffer(response.body)) {
+    const disposition = response.headers['content-disposition'] || '';
+    const filename = (disposition.match(/filename="([^"]+)"/) || [])[1] || null;
+    const skipped = response.headers['x-skipped-labels'];
+    return {
+      success: true,
+      file: await ctx.saveFile(response.body, { contentType: response.contentType || 'application/pdf', filename }),
+      ...(skipped ? { skipped_order_ids: skipped.split(',') } : {})
+    };
+  }
+
+  if (response.body && response.body.success) {
+    const data = response.body.data;
+    if (data && data.formatted_pdf) {
+      const { formatted_pdf, ...labelData } = data;
+      const file = await ctx.saveFile(Buffer.from(formatted_pdf, 'base64'), {
+        contentType: 'application/pdf',
+        filename: `${data.order_id || 'label'}_${data.format || 'label'}.pdf`
+      });
+      return { ...response.body, data: { ...labelData, formatted_pdf_file: file } };
+    }
+    return response.body;
+  }
+
+  const message = (response.body && response.body.message) || failureMessage;
+  if (response.statusCode >= 500) {
+    throw new Error(message);
+  }
+  throw jobQueue.permanentError(message, response.body);
+}
+
+/**
+ * Sync all stores for a refresh job
+ * @param {Object} payload - Unused
+ * @param {Object} ctx - Job context from jobQueue
+ */
+async function runRefreshJob(payload, ctx) {
+  const database = require('../config/database');
+  await database.waitForMySQLInitialization();
+  await ctx.reportProgress(5, 'Syncing stores');
+
+  const multiStoreSyncService = require('../services/multiStoreSyncService');
+  const result = await multiStoreSyncService.syncAllStores();
+  return {
+    success: true,
+    message: `Orders refreshed. ${result.successfulStores}/${result.totalStores} stores synced, ${result.totalOrders} orders.`,
+    data: { sync_result: result, timestamp: new Date().toISOString() }
+  };
+}
+
+// Label generation is not retried: after a carrier error the label may already exist on the
+// carrier's side, and a retry would book a second shipment. The vendor retries from the UI,
+// which reuses a label that was saved.
+jobQueue.registerHandler('download-label',
+  (payload, ctx) => runRouteHandlerJob(handleDownloadLabel, payload, ctx, 'Label download failed'),
+  { maxAttempts: 1 });
+jobQueue.registerHandler('bulk-download-labels',
+  (payload, ctx) => runRouteHandlerJob(handleBulkDownloadLabels, payload, ctx, 'Bulk download failed'),
+  { maxAttempts: 1 });
+jobQueue.registerHandler('bulk-download-merge',
+  (payload, ctx) => runRouteHandlerJob(handleBulkDownloadLabelsMerge, payload, ctx, 'Merge failed'),
+  { maxAttempts: 3 });
+jobQueue.registerHandler('manifest-summary',
+  (payload, ctx) => runRouteHandlerJob(handleDownloadManifestSummary, payload, ctx, 'Manifest generation failed'),
+  { maxAttempts: 3 });
+jobQueue.registerHandler('refresh', runRefreshJob, { maxAttempts: 2 });
+jobQueue.registerHandler('admin-refresh', runRefreshJob, { maxAttempts: 2 });
+
+module.exports = router;
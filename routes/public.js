@@ -4,9 +4,23 @@
  */
 
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const notificationController = require('../controllers/notificationController');
 const database = require('../config/database');
+const publicTrackingService = require('../services/publicTrackingService');
+
+// Keyed on req.ip, which is the client address only behind the proxies server.js trusts (TRUST_PROXY)
+const trackingLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    limit: 30,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        message: 'Too many requests. Please try again later.'
+    }
+});
 
 /**
  * @route   GET /api/public/vapid-key
@@ -36,5 +50,50 @@ router.get('/shipment-status-mapping', async (req, res) => {
     }
 });
 
+/**
+ * @route   POST /api/public/track
+ * @desc    Customer order tracking: brand, shipment status, scan timeline and courier link
+ * @access  Public (order_id plus the order's phone or pincode; 30 lookups per 15 minutes per IP)
+ * @body    { order_id, phone?, pincode? }
+ */
+router.post('/track', trackingLimiter, async (req, res) => {
+    try {
+        const { order_id, phone, pincode } = req.body || {};
+
+        if (!order_id || typeof order_id !== 'string' || order_id.length > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'order_id is required'
+            });
+        }
+        if (!phone && !pincode) {
+            return res.status(400).json({
+                success: false,
+                message: 'phone or pincode is required'
+            });
+        }
+
+        const tracking = await publicTrackingService.lookup({ order_id, phone, pincode });
+        if (!tracking) {
+            // Same answer for unknown orders and wrong phone/pincode
+            return res.status(404).json({
+                success: false,
+                message: 'No order found for these details'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: tracking
+        });
+    } catch (error) {
+        console.error('Error looking up public order tracking:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch order tracking'
+        });
+    }
+});
+
 module.exports = router;
 
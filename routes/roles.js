@@ -0,0 +1,58 @@
+/**
+ * Roles Routes
+ * API endpoints for managing roles (permission sets) and user access roles (roles:manage permission)
+ */
+
+const express = require('express');
+const router = express.Router();
+const rolesController = require('../controllers/rolesController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate, requirePermission('roles:manage'));
+
+/**
+ * @route   GET /api/admin/roles/permissions
+ * @desc    List all permissions that can be granted
+ * @access  Permission: roles:manage
+ */
+router.get('/permissions', rolesController.getPermissions);
+
+/**
+ * @route   GET /api/admin/roles
+ * @desc    List roles with their permissions and user counts
+ * @access  Permission: roles:manage
+ */
+router.get('/', rolesController.getRoles);
+
+/**
+ * @route   POST /api/admin/roles
+ * @desc    Create a custom role
+ * @access  Permission: roles:manage
+ * @body    { name, description?, permissions: [] }
+ */
+router.post('/', rolesController.createRole);
+
+/**
+ * @route   PUT /api/admin/roles/users/:userId
+ * @desc    Set a user's access role (null to fall back to their role)
+ * @access  Permission: roles:manage
+ * @body    { access_role }
+ */
+router.put('/users/:userId', rolesController.setUserAccessRole);
+
+/**
+ * @route   PUT /api/admin/roles/:name
+ * @desc    Update a role's description and/or permissions (not superadmin)
+ * @access  Permission: roles:manage
+ * @body    { description?, permissions? }
+ */
+router.put('/:name', rolesController.updateRole);
+
+/**
+ * @route   DELETE /api/admin/roles/:name
+ * @desc    Delete a custom role (409 if still assigned)
+ * @access  Permission: roles:manage
+ */
+router.delete('/:name', rolesController.deleteRole);
+
+module.exports = router;
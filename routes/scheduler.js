@@ -0,0 +1,50 @@
+/**
+ * Scheduler Routes
+ * API endpoints for scheduled background jobs (scheduler:view / scheduler:run permissions)
+ */
+
+const express = require('express');
+const router = express.Router();
+const schedulerController = require('../controllers/schedulerController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/admin/scheduler/jobs
+ * @desc    List scheduled jobs with schedule, running state and last run
+ * @access  Permission: scheduler:view
+ */
+router.get('/jobs', requirePermission('scheduler:view'), schedulerController.getJobs);
+
+/**
+ * @route   GET /api/admin/scheduler/jobs/:name/runs
+ * @desc    Run history for one job
+ * @access  Permission: scheduler:view
+ * @query   { status?, limit?, offset? }
+ */
+router.get('/jobs/:name/runs', requirePermission('scheduler:view'), schedulerController.getRuns);
+
+/**
+ * @route   POST /api/admin/scheduler/jobs/:name/run
+ * @desc    Trigger a job now (409 if it is already running)
+ * @access  Permission: scheduler:run
+ */
+router.post('/jobs/:name/run', requirePermission('scheduler:run'), schedulerController.triggerJob);
+
+/**
+ * @route   GET /api/admin/scheduler/runs
+ * @desc    Run history for all jobs
+ * @access  Permission: scheduler:view
+ * @query   { job_name?, status?, limit?, offset? }
+ */
+router.get('/runs', requirePermission('scheduler:view'), schedulerController.getRuns);
+
+/**
+ * @route   GET /api/admin/scheduler/runs/:id
+ * @desc    Single run with its summary
+ * @access  Permission: scheduler:view
+ */
+router.get('/runs/:id', requirePermission('scheduler:view'), schedulerController.getRunById);
+
+module.exports = router;
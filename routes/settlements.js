@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { SettlementController, upload } = require('../controllers/settlementController');
-const { authenticateToken, requireVendor, requireAdminOrSuperadmin } = require('../middleware/auth');
+const { authenticateToken, requireVendor, requireVendorCapability, requirePermission } = require('../middleware/auth');
 const { body, param } = require('express-validator');
 
 // Validation middleware
@@ -13,20 +13,64 @@ const validateSettlementRequest = [
     .withMessage('UPI ID must be between 3 and 100 characters')
 ];
 
+// amountPaid is optional: a settlement can be approved now and paid later (in parts)
 const validateSettlementApproval = [
   param('id')
     .notEmpty()
     .withMessage('Settlement ID is required'),
   body('amountPaid')
+    .optional({ checkFalsy: true })
     .isFloat({ min: 0.01 })
     .withMessage('Amount paid must be a positive number'),
   body('transactionId')
+    .if(body('amountPaid').notEmpty())
     .notEmpty()
     .withMessage('Transaction ID is required')
     .isLength({ min: 1, max: 100 })
     .withMessage('Transaction ID must be between 1 and 100 characters')
 ];
 
+const validateSettlementPayment = [
+  param('id')
+    .notEmpty()
+    .withMessage('Settlement ID is required'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('transactionId')
+    .notEmpty()
+    .withMessage('Transaction ID is required')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Transaction ID must be between 1 and 100 characters')
+];
+
+const validatePayoutBatch = [
+  body('settlement_ids')
+    .optional()
+    .isArray()
+    .withMessage('settlement_ids must be an array of settlement IDs'),
+  body('vendor_id')
+    .optional()
+    .isString()
+    .withMessage('vendor_id must be a string')
+];
+
+const validatePayoutBatchCompletion = [
+  body('payments')
+    .isArray({ min: 1 })
+    .withMessage('payments must be a non-empty array'),
+  body('payments.*.id')
+    .isInt({ min: 1 })
+    .withMessage('Each payment needs its id'),
+  body('payments.*.status')
+    .isIn(['paid', 'failed'])
+    .withMessage('Payment status must be paid or failed'),
+  body('payments.*.transaction_id')
+    .optional()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Transaction ID must be between 1 and 100 characters')
+];
+
 const validateSettlementRejection = [
   param('id')
     .notEmpty()
@@ -38,18 +82,31 @@ const validateSettlementRejection = [
     .withMessage('Rejection reason must be between 10 and 500 characters')
 ];
 
-// Vendor routes
-router.get('/vendor/payments', authenticateToken, requireVendor, SettlementController.getVendorPayments);
-router.post('/vendor/request', authenticateToken, requireVendor, validateSettlementRequest, SettlementController.createSettlementRequest);
-router.get('/vendor/history', authenticateToken, requireVendor, SettlementController.getVendorSettlements);
-router.get('/vendor/transactions', authenticateToken, requireVendor, SettlementController.getVendorTransactions);
+// Vendor routes (vendor owner and team members with the settlements capability; the ledger is the vendor's)
+const requireVendorSettlements = [requireVendor, requireVendorCapability('settlements')];
+router.get('/vendor/payments', authenticateToken, requireVendorSettlements, SettlementController.getVendorPayments);
+router.post('/vendor/request', authenticateToken, requireVendorSettlements, validateSettlementRequest, SettlementController.createSettlementRequest);
+router.get('/vendor/history', authenticateToken, requireVendorSettlements, SettlementController.getVendorSettlements);
+router.get('/vendor/transactions', authenticateToken, requireVendorSettlements, SettlementController.getVendorTransactions);
 
 // Admin routes
-router.get('/admin/all', authenticateToken, requireAdminOrSuperadmin, SettlementController.getAllSettlements);
-router.get('/admin/export-csv', authenticateToken, requireAdminOrSuperadmin, SettlementController.exportSettlementsCSV);
-router.get('/admin/:id', authenticateToken, requireAdminOrSuperadmin, SettlementController.getSettlementById);
-router.post('/admin/:id/approve', authenticateToken, requireAdminOrSuperadmin, upload.single('paymentProof'), validateSettlementApproval, SettlementController.approveSettlement);
-router.post('/admin/:id/reject', authenticateToken, requireAdminOrSuperadmin, validateSettlementRejection, SettlementController.rejectSettlement);
+router.get('/admin/all', authenticateToken, requirePermission('settlements:view'), SettlementController.getAllSettlements);
+// ?format=standard (default) or a bank upload format (upi_bulk, upi_bulk_noheader) of the payable amounts
+router.get('/admin/export-csv', authenticateToken, requirePermission('settlements:view'), SettlementController.exportSettlementsCSV);
+router.get('/admin/reconciliation', authenticateToken, requirePermission('settlements:view'), SettlementController.getReconciliation);
+
+// Payout batches
+router.get('/admin/payout-batches', authenticateToken, requirePermission('settlements:view'), SettlementController.getPayoutBatches);
+router.post('/admin/payout-batches', authenticateToken, requirePermission('settlements:approve'), validatePayoutBatch, SettlementController.createPayoutBatch);
+router.get('/admin/payout-batches/:batchId', authenticateToken, requirePermission('settlements:view'), SettlementController.getPayoutBatch);
+router.get('/admin/payout-batches/:batchId/export', authenticateToken, requirePermission('settlements:view'), SettlementController.exportPayoutBatch);
+router.post('/admin/payout-batches/:batchId/complete', authenticateToken, requirePermission('settlements:approve'), validatePayoutBatchCompletion, SettlementController.completePayoutBatch);
+router.post('/admin/payout-batches/:batchId/cancel', authenticateToken, requirePermission('settlements:approve'), SettlementController.cancelPayoutBatch);
+
+router.get('/admin/:id', authenticateToken, requirePermission('settlements:view'), SettlementController.getSettlementById);
+router.post('/admin/:id/approve', authenticateToken, requirePermission('settlements:approve'), upload.single('paymentProof'), validateSettlementApproval, SettlementController.approveSettlement);
+router.post('/admin/:id/payments', authenticateToken, requirePermission('settlements:approve'), upload.single('paymentProof'), validateSettlementPayment, SettlementController.recordPayment);
+router.post('/admin/:id/reject', authenticateToken, requirePermission('settlements:approve'), validateSettlementRejection, SettlementController.rejectSettlement);
 
 // File access routes
 router.get('/proof/:filename', authenticateToken, SettlementController.getPaymentProof);
@@ -2,25 +2,22 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const shipwayController = require('../controllers/shipwayController');
-const { authenticateBasicAuth, requireAdminOrSuperadmin } = require('../middleware/auth');
+const { authenticateBasicAuth, requirePermission } = require('../middleware/auth');
 const { validateWarehouseId } = require('../middleware/validation');
+const { isSupportedImportFile } = require('../utils/tabularImport');
 
-// Configure multer for CSV file uploads
+// Configure multer for CSV/XLSX file uploads
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
   fileFilter: (req, file, cb) => {
-    // Accept CSV files and be more lenient with MIME types
-    const validMimeTypes = ['text/csv', 'application/csv', 'text/plain', 'application/vnd.ms-excel'];
-    const hasValidExtension = file.originalname.toLowerCase().endsWith('.csv');
-    const hasValidMimeType = validMimeTypes.some(mime => file.mimetype.includes(mime));
-    
-    if (hasValidExtension || hasValidMimeType) {
+    // Be lenient with MIME types: the extension counts too
+    if (isSupportedImportFile(file)) {
       cb(null, true);
     } else {
-      cb(new Error('Only CSV files are allowed'), false);
+      cb(new Error('Only CSV or XLSX files are allowed'), false);
     }
   }
 });
@@ -33,11 +30,11 @@ const upload = multer({
 /**
  * @route   GET /api/shipway/warehouse/:warehouseId
  * @desc    Get warehouse details by warehouse ID
- * @access  Superadmin only
+ * @access  Permission: warehouses:view
  */
 router.get('/warehouse/:warehouseId', 
   authenticateBasicAuth, 
-  requireAdminOrSuperadmin, 
+  requirePermission('warehouses:view'), 
   validateWarehouseId, 
   shipwayController.getWarehouseById
 );
@@ -45,11 +42,11 @@ router.get('/warehouse/:warehouseId',
 /**
  * @route   GET /api/shipway/validate/:warehouseId
  * @desc    Validate warehouse ID format
- * @access  Superadmin only
+ * @access  Permission: warehouses:view
  */
 router.get('/validate/:warehouseId', 
   authenticateBasicAuth, 
-  requireAdminOrSuperadmin, 
+  requirePermission('warehouses:view'), 
   validateWarehouseId, 
   shipwayController.validateWarehouseId
 );
@@ -57,53 +54,53 @@ router.get('/validate/:warehouseId',
 /**
  * @route   GET /api/shipway/test-connection
  * @desc    Test Shipway API connectivity
- * @access  Superadmin only
+ * @access  Permission: warehouses:view
  */
 router.get('/test-connection', 
   authenticateBasicAuth, 
-  requireAdminOrSuperadmin, 
+  requirePermission('warehouses:view'), 
   shipwayController.testConnection
 );
 
 /**
  * @route   POST /api/shipway/validate-warehouse
  * @desc    Validate warehouse for user creation
- * @access  Superadmin only
+ * @access  Permission: warehouses:view
  */
 router.post('/validate-warehouse', 
   authenticateBasicAuth, 
-  requireAdminOrSuperadmin, 
+  requirePermission('warehouses:view'), 
   shipwayController.validateWarehouseForUser
 );
 
 /**
  * @route   POST /api/shipway/multiple-warehouses
  * @desc    Get multiple warehouses by IDs
- * @access  Superadmin only
+ * @access  Permission: warehouses:view
  */
 router.post('/multiple-warehouses', 
   authenticateBasicAuth, 
-  requireAdminOrSuperadmin, 
+  requirePermission('warehouses:view'), 
   shipwayController.getMultipleWarehouses
 );
 
 /**
  * @route   GET /api/shipway/stats
  * @desc    Get warehouse API statistics
- * @access  Superadmin only
+ * @access  Permission: warehouses:view
  */
 router.get('/stats', 
   authenticateBasicAuth, 
-  requireAdminOrSuperadmin, 
+  requirePermission('warehouses:view'), 
   shipwayController.getWarehouseStats
 );
 
 /**
  * @route   GET /api/shipway/verify-warehouse/:warehouseId
  * @desc    Verify a warehouse by ID and return address, city, pincode
- * @access  Superadmin only
+ * @access  Permission: warehouses:view
  */
-router.get('/verify-warehouse/:warehouseId', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/verify-warehouse/:warehouseId', authenticateBasicAuth, requirePermission('warehouses:view'), async (req, res) => {
   const { warehouseId } = req.params;
   const accountCode = req.query.account_code || req.body.account_code;
   
@@ -142,9 +139,9 @@ router.get('/verify-warehouse/:warehouseId', authenticateBasicAuth, requireAdmin
 /**
  * @route   GET /api/shipway/carriers
  * @desc    Get all carriers from Shipway API and sync to MySQL
- * @access  Superadmin only
+ * @access  Permission: carriers:view
  */
-router.get('/carriers', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/carriers', authenticateBasicAuth, requirePermission('carriers:view'), async (req, res) => {
   try {
     console.log('🔵 SHIPWAY CARRIERS: API request received');
     
@@ -173,10 +170,10 @@ router.get('/carriers', authenticateBasicAuth, requireAdminOrSuperadmin, async (
 /**
  * @route   GET /api/shipway/carriers/local
  * @desc    Get carriers from local MySQL database (filtered by store if account_code provided)
- * @access  Superadmin only
+ * @access  Permission: carriers:view
  * @query   account_code - Optional. Filter carriers by store account code
  */
-router.get('/carriers/local', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/carriers/local', authenticateBasicAuth, requirePermission('carriers:view'), async (req, res) => {
   try {
     const accountCode = req.query.account_code || null;
     console.log('🔵 SHIPWAY CARRIERS LOCAL: API request received', accountCode ? `for store: ${accountCode}` : 'for all stores');
@@ -212,9 +209,9 @@ router.get('/carriers/local', authenticateBasicAuth, requireAdminOrSuperadmin, a
 /**
  * @route   POST /api/shipway/carriers/sync
  * @desc    Manually trigger carrier sync from Shipway API
- * @access  Superadmin only
+ * @access  Permission: carriers:edit
  */
-router.post('/carriers/sync', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/carriers/sync', authenticateBasicAuth, requirePermission('carriers:edit'), async (req, res) => {
   try {
     console.log('🔵 SHIPWAY CARRIERS SYNC: Manual sync request received');
     
@@ -250,9 +247,9 @@ router.post('/carriers/sync', authenticateBasicAuth, requireAdminOrSuperadmin, a
 /**
  * @route   GET /api/shipway/carriers/status
  * @desc    Get carrier sync status
- * @access  Superadmin only
+ * @access  Permission: carriers:view
  */
-router.get('/carriers/status', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/carriers/status', authenticateBasicAuth, requirePermission('carriers:view'), async (req, res) => {
   try {
     console.log('🔵 SHIPWAY CARRIERS STATUS: Status request received');
     
@@ -275,9 +272,9 @@ router.get('/carriers/status', authenticateBasicAuth, requireAdminOrSuperadmin,
 /**
  * @route   GET /api/shipway/carriers/download
  * @desc    Download carriers data as CSV file
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:view
  */
-router.get('/carriers/download', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/carriers/download', authenticateBasicAuth, requirePermission('carriers:view'), async (req, res) => {
   try {
     console.log('🔵 SHIPWAY CARRIERS DOWNLOAD: API request received');
     
@@ -300,12 +297,13 @@ router.get('/carriers/download', authenticateBasicAuth, requireAdminOrSuperadmin
 
 /**
  * @route   POST /api/shipway/carriers/upload-priority
- * @desc    Upload CSV file to update carrier priorities
- * @access  Admin/Superadmin only
+ * @desc    Upload CSV or XLSX file to update carrier priorities (dry_run=true validates without updating)
+ * @access  Permission: carriers:edit
+ * @body    csvFile, dry_run?
  */
 router.post('/carriers/upload-priority', 
   authenticateBasicAuth, 
-  requireAdminOrSuperadmin, 
+  requirePermission('carriers:edit'), 
   (req, res, next) => {
     upload.single('csvFile')(req, res, (err) => {
       if (err) {
@@ -347,27 +345,38 @@ router.post('/carriers/upload-priority',
         });
       }
 
-      // Multi-store upload - CSV contains account_code column, no need to pass it separately
-      // Use default instance (no account_code) since CSV contains multiple stores
+      // Multi-store upload - file contains account_code column, no need to pass it separately
+      // Use default instance (no account_code) since the file contains multiple stores
       const shipwayCarrierService = require('../services/shipwayCarrierService');
-      const csvContent = req.file.buffer.toString('utf8');
-      console.log('🔍 CSV Content to process:', csvContent.substring(0, 200) + '...');
-      console.log('🔍 CSV Content full length:', csvContent.length);
-      console.log('🔍 Multi-store upload mode - CSV should contain account_code column');
-      
-      const result = await shipwayCarrierService.updateCarrierPrioritiesFromCSV(csvContent);
-      
+      const dryRun = String(req.body.dry_run) === 'true';
+      console.log('🔍 Multi-store upload mode - file should contain account_code column', dryRun ? '(dry run)' : '');
+
+      const result = await shipwayCarrierService.updateCarrierPrioritiesFromCSV(req.file.buffer, {
+        fileName: req.file.originalname,
+        dryRun
+      });
+
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          message: result.message,
+          data: { report: result.report }
+        });
+      }
+
       res.json({
         success: true,
         message: result.message,
         data: {
+          dryRun: !!result.dryRun,
           updatedCount: result.updatedCount,
-          totalCarriers: result.totalCarriers
+          totalCarriers: result.totalCarriers,
+          report: result.report
         }
       });
     } catch (error) {
       console.error('💥 SHIPWAY CARRIERS UPLOAD PRIORITY: API error:', error.message);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: error.message
       });
@@ -378,11 +387,11 @@ router.post('/carriers/upload-priority',
 /**
  * @route   POST /api/shipway/carriers/test-upload
  * @desc    Test file upload functionality
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:edit
  */
 router.post('/carriers/test-upload', 
   authenticateBasicAuth, 
-  requireAdminOrSuperadmin, 
+  requirePermission('carriers:edit'), 
   upload.single('csvFile'), 
   async (req, res) => {
     try {
@@ -428,11 +437,11 @@ router.post('/carriers/test-upload',
 /**
  * @route   POST /api/shipway/carriers/test-simple
  * @desc    Simple test endpoint for file upload
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:edit
  */
 router.post('/carriers/test-simple', 
   authenticateBasicAuth, 
-  requireAdminOrSuperadmin, 
+  requirePermission('carriers:edit'), 
   (req, res, next) => {
     upload.single('csvFile')(req, res, (err) => {
       if (err) {
@@ -481,9 +490,9 @@ router.post('/carriers/test-simple',
 /**
  * @route   GET /api/shipway/carrier-format
  * @desc    Get expected CSV format and validation rules (frontend compatibility)
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:view
  */
-router.get('/carrier-format', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/carrier-format', authenticateBasicAuth, requirePermission('carriers:view'), async (req, res) => {
   try {
     console.log('🔵 SHIPWAY CARRIER FORMAT: API request received');
     
@@ -508,9 +517,9 @@ router.get('/carrier-format', authenticateBasicAuth, requireAdminOrSuperadmin, a
 /**
  * @route   GET /api/shipway/carriers/format
  * @desc    Get expected CSV format and validation rules
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:view
  */
-router.get('/carriers/format', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/carriers/format', authenticateBasicAuth, requirePermission('carriers:view'), async (req, res) => {
   try {
     console.log('🔵 SHIPWAY CARRIERS FORMAT: API request received');
     
@@ -534,9 +543,9 @@ router.get('/carriers/format', authenticateBasicAuth, requireAdminOrSuperadmin,
 /**
  * @route   GET /api/shipway/carrier-format
  * @desc    Backward-compatible alias for CSV format endpoint
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:view
  */
-router.get('/carrier-format', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/carrier-format', authenticateBasicAuth, requirePermission('carriers:view'), async (req, res) => {
   try {
     console.log('🔵 SHIPWAY CARRIERS FORMAT (alias): API request received');
     const shipwayCarrierService = require('../services/shipwayCarrierService');
@@ -558,9 +567,9 @@ router.get('/carrier-format', authenticateBasicAuth, requireAdminOrSuperadmin, a
 /**
  * @route   PUT /api/shipway/carriers/:carrierId
  * @desc    Update carrier fields (carrier_id, status)
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:edit
  */
-router.put('/carriers/:carrierId', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.put('/carriers/:carrierId', authenticateBasicAuth, requirePermission('carriers:edit'), async (req, res) => {
   try {
     const { carrierId } = req.params;
     const { carrier_id, status } = req.body || {};
@@ -575,9 +584,9 @@ router.put('/carriers/:carrierId', authenticateBasicAuth, requireAdminOrSuperadm
 /**
  * @route   DELETE /api/shipway/carriers/:carrierId
  * @desc    Delete carrier
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:edit
  */
-router.delete('/carriers/:carrierId', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.delete('/carriers/:carrierId', authenticateBasicAuth, requirePermission('carriers:edit'), async (req, res) => {
   try {
     const { carrierId } = req.params;
     const { account_code } = req.body || {};
@@ -606,9 +615,9 @@ router.delete('/carriers/:carrierId', authenticateBasicAuth, requireAdminOrSuper
 /**
  * @route   POST /api/shipway/carriers/:carrierId/move
  * @desc    Move carrier up or down in priority
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:edit
  */
-router.post('/carriers/:carrierId/move', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/carriers/:carrierId/move', authenticateBasicAuth, requirePermission('carriers:edit'), async (req, res) => {
   try {
     const { carrierId } = req.params;
     const { direction, account_code } = req.body || {};
@@ -630,9 +639,9 @@ router.post('/carriers/:carrierId/move', authenticateBasicAuth, requireAdminOrSu
 /**
  * @route   POST /api/shipway/carriers/normalize-priorities
  * @desc    Normalize carrier priorities to be sequential (1, 2, 3, ...)
- * @access  Admin/Superadmin only
+ * @access  Permission: carriers:edit
  */
-router.post('/carriers/normalize-priorities', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/carriers/normalize-priorities', authenticateBasicAuth, requirePermission('carriers:edit'), async (req, res) => {
   try {
     const { account_code } = req.body || {};
     if (!account_code) {
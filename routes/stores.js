@@ -1,48 +1,50 @@
 /**
  * Store Routes
- * API endpoints for store management (Superadmin only)
+ * API endpoints for store management (stores:manage permission)
  */
 
 const express = require('express');
 const router = express.Router();
 const storeController = require('../controllers/storeController');
-const { authenticateSuperAdmin, authenticateAdmin } = require('../middleware/auth');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate);
 
 /**
  * @route   GET /api/stores/list-for-filter
  * @desc    Get store list for filtering (only account_code and store_name)
- * @access  Admin/Superadmin
+ * @access  Permission: stores:view
  */
-router.get('/list-for-filter', authenticateAdmin, storeController.getStoreListForFilter);
+router.get('/list-for-filter', requirePermission('stores:view'), storeController.getStoreListForFilter);
 
-// All routes below require superadmin authentication
-router.use(authenticateSuperAdmin);
+// All routes below manage stores and their credentials
+router.use(requirePermission('stores:manage'));
 
 /**
  * @route   GET /api/stores/shipping-partners
  * @desc    Get all available shipping partners
- * @access  Superadmin
+ * @access  Permission: stores:manage
  */
 router.get('/shipping-partners', storeController.getShippingPartners);
 
 /**
  * @route   GET /api/stores
  * @desc    Get all stores
- * @access  Superadmin
+ * @access  Permission: stores:manage
  */
 router.get('/', storeController.getAllStores);
 
 /**
  * @route   GET /api/stores/:accountCode
  * @desc    Get store by account code
- * @access  Superadmin
+ * @access  Permission: stores:manage
  */
 router.get('/:accountCode', storeController.getStoreByCode);
 
 /**
  * @route   POST /api/stores
  * @desc    Create new store with Shopify brands
- * @access  Superadmin
+ * @access  Permission: stores:manage
  * @body    { store_name, shipping_partner, username, password, shopify_brands: [{ brand_name, store_code, shopify_store_url, shopify_token }], status }
  */
 router.post('/', storeController.createStore);
@@ -50,37 +52,37 @@ router.post('/', storeController.createStore);
 /**
  * @route   PUT /api/stores/:accountCode
  * @desc    Update store with Shopify brands
- * @access  Superadmin
- * @body    { store_name?, username?, password?, shopify_brands?: [{ id?, brand_name, store_code, shopify_store_url, shopify_token }], status? }
+ * @access  Permission: stores:manage
+ * @body    { store_name?, shipping_partner?, username?, password?, shopify_brands?: [{ id?, brand_name, store_code, shopify_store_url, shopify_token }], status? }
  */
 router.put('/:accountCode', storeController.updateStore);
 
 /**
  * @route   DELETE /api/stores/:accountCode
  * @desc    Delete store (soft delete)
- * @access  Superadmin
+ * @access  Permission: stores:manage
  */
 router.delete('/:accountCode', storeController.deleteStore);
 
 /**
  * @route   PATCH /api/stores/:accountCode/toggle-status
  * @desc    Toggle store status (active/inactive)
- * @access  Superadmin
+ * @access  Permission: stores:manage
  */
 router.patch('/:accountCode/toggle-status', storeController.toggleStoreStatus);
 
 /**
  * @route   POST /api/stores/test-shipway
- * @desc    Test Shipway connection
- * @access  Superadmin
- * @body    { username, password }
+ * @desc    Test shipping partner credentials (Shipway by default)
+ * @access  Permission: stores:manage
+ * @body    { username, password, shipping_partner? }
  */
 router.post('/test-shipway', storeController.testShipwayConnection);
 
 /**
  * @route   POST /api/stores/test-shopify
  * @desc    Test Shopify connection
- * @access  Superadmin
+ * @access  Permission: stores:manage
  * @body    { shopify_store_url, shopify_token }
  */
 router.post('/test-shopify', storeController.testShopifyConnection);
@@ -88,7 +90,7 @@ router.post('/test-shopify', storeController.testShopifyConnection);
 /**
  * @route   POST /api/stores/sync-all
  * @desc    Sync all active stores in parallel
- * @access  Superadmin
+ * @access  Permission: stores:manage
  * @body    { concurrencyLimit? }
  */
 router.post('/sync-all', storeController.syncAllStores);
@@ -96,7 +98,7 @@ router.post('/sync-all', storeController.syncAllStores);
 /**
  * @route   POST /api/stores/:accountCode/sync
  * @desc    Sync a single store
- * @access  Superadmin
+ * @access  Permission: stores:manage
  */
 router.post('/:accountCode/sync', storeController.syncSingleStore);
 
@@ -1,44 +1,154 @@
 /**
  * Tasks API Route
- * 
+ *
+ * Background jobs (async label/manifest/refresh requests) persisted by services/jobQueue.js.
+ *
+ * GET    /api/tasks          — List the current user's jobs (?status=&limit=)
  * GET    /api/tasks/:taskId  — Poll for task status (called every 2s by frontend)
- * DELETE /api/tasks/:taskId  — Cleanup after frontend consumes the result
+ * GET    /api/tasks/:taskId/file — Download the file (PDF) a completed task produced
+ * DELETE /api/tasks/:taskId  — Cancel a queued/running job, or clean up a finished one
  */
 
 const express = require('express');
 const router = express.Router();
-const taskStore = require('../services/taskStore');
+const database = require('../config/database');
+const { authenticateBasicAuth } = require('../middleware/auth');
+const permissionService = require('../services/permissionService');
 
-// GET /api/tasks/:taskId
-router.get('/:taskId', (req, res) => {
-    const { taskId } = req.params;
-    const task = taskStore.getTask(taskId);
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+router.use(authenticateBasicAuth);
+
+// Frontend polling understands 'processing' | 'completed' | 'failed'
+function toTaskStatus(status) {
+    if (status === 'queued' || status === 'running') return 'processing';
+    if (status === 'cancelled') return 'failed';
+    return status;
+}
+
+async function canAccessJob(user, job) {
+    return job.user_id === user.id || permissionService.hasPermission(user, 'tasks:view_all');
+}
 
-    if (!task) {
-        return res.status(404).json({
+function formatTask(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: toTaskStatus(job.status),
+        jobStatus: job.status,           // 'queued' | 'running' | 'completed' | 'failed' | 'cancelled'
+        progress: job.progress,
+        progressMessage: job.progress_message,
+        attempts: job.attempts,
+        maxAttempts: job.max_attempts,
+        cancelRequested: job.cancel_requested,
+        result: job.result !== undefined ? job.result : null,
+        error: job.error,
+        createdAt: job.created_at,
+        startedAt: job.started_at,
+        completedAt: job.completed_at
+    };
+}
+
+// GET /api/tasks
+router.get('/', async (req, res) => {
+    const { status, limit } = req.query;
+
+    if (status && !JOB_STATUSES.includes(status)) {
+        return res.status(400).json({
             success: false,
-            message: 'Task not found or expired. Please retry the operation.'
+            message: `Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}`
+        });
+    }
+
+    try {
+        const jobs = await database.getJobsByUser(req.user.id, { status, limit });
+        return res.json({
+            success: true,
+            tasks: jobs.map(formatTask)
+        });
+    } catch (error) {
+        console.error('❌ Error listing tasks:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to list tasks', error: error.message });
+    }
+});
+
+// GET /api/tasks/:taskId
+router.get('/:taskId', async (req, res) => {
+    try {
+        const job = await database.getJobById(req.params.taskId);
+
+        if (!job || !(await canAccessJob(req.user, job))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found or expired. Please retry the operation.'
+            });
+        }
+
+        return res.json({
+            success: true,
+            task: formatTask(job)
         });
+    } catch (error) {
+        console.error('❌ Error getting task:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to get task', error: error.message });
     }
+});
+
+// GET /api/tasks/:taskId/file — the result's file.url; removed together with the task
+router.get('/:taskId/file', async (req, res) => {
+    try {
+        const job = await database.getJobById(req.params.taskId);
+
+        if (!job || !(await canAccessJob(req.user, job))) {
+            return res.status(404).json({ success: false, message: 'Task not found' });
+        }
 
-    return res.json({
-        success: true,
-        task: {
-            id: task.id,
-            type: task.type,
-            status: task.status,     // 'processing' | 'completed' | 'failed'
-            result: task.result,     // set on completion, null while processing
-            error: task.error,       // set on failure, null otherwise
-            createdAt: task.createdAt,
-            completedAt: task.completedAt
+        const file = await database.getJobFile(job.id);
+        if (!file) {
+            return res.status(404).json({ success: false, message: 'Task has no file' });
         }
-    });
+
+        res.setHeader('Content-Type', file.content_type);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename || `${job.id}.pdf`}"`);
+        res.setHeader('Content-Length', file.size);
+        return res.send(file.data);
+    } catch (error) {
+        console.error('❌ Error downloading task file:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to download task file', error: error.message });
+    }
 });
 
-// DELETE /api/tasks/:taskId — called by frontend to clean up after consuming result
-router.delete('/:taskId', (req, res) => {
-    taskStore.deleteTask(req.params.taskId);
-    return res.json({ success: true });
+// DELETE /api/tasks/:taskId — cancels a pending job; called by frontend to clean up after consuming result
+router.delete('/:taskId', async (req, res) => {
+    try {
+        const job = await database.getJobById(req.params.taskId);
+
+        if (!job || !(await canAccessJob(req.user, job))) {
+            return res.status(404).json({ success: false, message: 'Task not found' });
+        }
+
+        if (FINISHED_STATUSES.includes(job.status)) {
+            await database.deleteJob(job.id);
+            return res.json({ success: true, message: 'Task removed' });
+        }
+
+        const outcome = await database.cancelJob(job.id);
+        if (!outcome) {
+            // Finished between the lookup and the cancel
+            await database.deleteJob(job.id);
+            return res.json({ success: true, message: 'Task removed' });
+        }
+
+        return res.json({
+            success: true,
+            message: outcome === 'cancelled' ? 'Task cancelled' : 'Cancellation requested',
+            status: outcome
+        });
+    } catch (error) {
+        console.error('❌ Error cancelling task:', error.message);
+        return res.status(500).json({ success: false, message: 'Failed to cancel task', error: error.message });
+    }
 });
 
 module.exports = router;
@@ -1,15 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const vendorTeamController = require('../controllers/vendorTeamController');
 const database = require('../config/database');
 
 const fs = require('fs');
 const path = require('path');
 const shipwayService = require('../services/shipwayService');
-const { authenticateToken, requireSuperadmin, requireVendor, requireAdminOrSuperadmin } = require('../middleware/auth');
+const { authenticateToken, requireVendor, requireVendorCapability, requirePermission } = require('../middleware/auth');
 const { 
   validateUserRegistration, 
   validateUserUpdate, 
+  validateVendorTeamMember,
+  validateVendorTeamMemberUpdate,
   validateUserId, 
   validatePagination, 
   validateSearch 
@@ -34,6 +37,7 @@ const {
  * VENDOR:
  * - Can only view their own information
  * - Uses: GET /users/vendor/address
+ * - The vendor (owner) account manages its team members: /users/vendor/team
  */
 
 // Apply authentication and authorization to all routes
@@ -46,8 +50,51 @@ router.use(authenticateToken);
  */
 router.get('/vendor/address', requireVendor, userController.getVendorAddress);
 
-// Apply superadmin authorization to all other routes
-router.post('/vendor', requireAdminOrSuperadmin, (req, res, next) => {
+const requireVendorTeam = [requireVendor, requireVendorCapability('team')];
+
+/**
+ * @route   GET /api/users/vendor/team
+ * @desc    List the vendor's team members and the available team roles
+ * @access  Vendor (owner)
+ */
+router.get('/vendor/team', requireVendorTeam, vendorTeamController.getTeam);
+
+/**
+ * @route   POST /api/users/vendor/team
+ * @desc    Add a team member with their own login
+ * @access  Vendor (owner)
+ * @body    { name, email, password, phone?, vendor_role: 'supervisor'|'packer'|'accountant' }
+ */
+router.post('/vendor/team', requireVendorTeam, validateVendorTeamMember, vendorTeamController.addMember);
+
+/**
+ * @route   PUT /api/users/vendor/team/:id
+ * @desc    Update a team member (deactivating or resetting the password signs them out)
+ * @access  Vendor (owner)
+ * @body    { name?, phone?, vendor_role?, status?: 'active'|'inactive', password? }
+ */
+router.put('/vendor/team/:id', requireVendorTeam, validateVendorTeamMemberUpdate, vendorTeamController.updateMember);
+
+/**
+ * @route   DELETE /api/users/vendor/team/:id
+ * @desc    Remove a team member
+ * @access  Vendor (owner)
+ */
+router.delete('/vendor/team/:id', requireVendorTeam, validateUserId, vendorTeamController.removeMember);
+
+/**
+ * @route   GET /api/users/vendor/:id/team
+ * @desc    Team members of a vendor
+ * @access  Permission: vendors:view
+ */
+router.get('/vendor/:id/team', requirePermission('vendors:view'), validateUserId, vendorTeamController.getVendorTeam);
+
+/**
+ * @route   POST /api/users/vendor
+ * @desc    Create a vendor
+ * @access  Permission: vendors:manage
+ */
+router.post('/vendor', requirePermission('vendors:manage'), (req, res, next) => {
   // Force role to vendor for admin-created users
   req.body.role = 'vendor';
   next();
@@ -56,9 +103,9 @@ router.post('/vendor', requireAdminOrSuperadmin, (req, res, next) => {
 /**
  * @route   GET /api/users/vendors-stats
  * @desc    Get lightweight vendor statistics (counts only) for dashboard cards
- * @access  Admin/Superadmin
+ * @access  Permission: vendors:view
  */
-router.get('/vendors-stats', requireAdminOrSuperadmin, async (req, res) => {
+router.get('/vendors-stats', requirePermission('vendors:view'), async (req, res) => {
   console.log('📊 GET VENDOR STATS REQUEST START');
   
   try {
@@ -83,12 +130,12 @@ router.get('/vendors-stats', requireAdminOrSuperadmin, async (req, res) => {
 /**
  * @route   GET /api/users/vendors-report
  * @desc    Get enriched vendor list with stats for admin panel
- * @access  Admin/Superadmin
+ * @access  Permission: vendors:view
  */
-router.get('/vendors-report', requireAdminOrSuperadmin, async (req, res) => {
+router.get('/vendors-report', requirePermission('vendors:view'), async (req, res) => {
   try {
     const users = await database.getAllUsers();
-    const vendors = users.filter(u => u.role === 'vendor');
+    const vendors = users.filter(u => u.role === 'vendor' && !u.vendor_owner_id);
 
     // Load orders for stats from MySQL
     let orders = [];
@@ -165,8 +212,8 @@ router.get('/vendors-report', requireAdminOrSuperadmin, async (req, res) => {
   }
 });
 
-// Admin or Superadmin can update vendor via vendor-specific route
-router.put('/vendor/:id', requireAdminOrSuperadmin, validateUserId, async (req, res, next) => {
+// Vendor managers can update vendor via vendor-specific route
+router.put('/vendor/:id', requirePermission('vendors:manage'), validateUserId, async (req, res, next) => {
   try {
     const id = req.params.id;
     const user = await database.getUserById(id);
@@ -186,8 +233,8 @@ router.put('/vendor/:id', requireAdminOrSuperadmin, validateUserId, async (req,
   }
 }, validateUserUpdate, userController.updateUser);
 
-// Admin or Superadmin can delete vendor via vendor-specific route
-router.delete('/vendor/:id', requireAdminOrSuperadmin, validateUserId, async (req, res, next) => {
+// Vendor managers can delete vendor via vendor-specific route
+router.delete('/vendor/:id', requirePermission('vendors:manage'), validateUserId, async (req, res, next) => {
   try {
     const id = req.params.id;
     const user = await database.getUserById(id);
@@ -203,62 +250,62 @@ router.delete('/vendor/:id', requireAdminOrSuperadmin, validateUserId, async (re
   }
 }, userController.deleteUser);
 
-// Apply superadmin authorization to the remaining admin-only user routes
-router.use(requireSuperadmin);
+// Remaining user management routes (admins and vendors alike)
+router.use(requirePermission('users:manage'));
 
 /**
  * @route   POST /api/users
  * @desc    Create a new user (admin or vendor)
- * @access  Superadmin only
+ * @access  Permission: users:manage
  */
 router.post('/', validateUserRegistration, userController.createUser);
 
 /**
  * @route   GET /api/users
  * @desc    Get all users with pagination and filtering
- * @access  Superadmin only
+ * @access  Permission: users:manage
  */
 router.get('/', validatePagination, validateSearch, userController.getAllUsers);
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get user by ID
- * @access  Superadmin only
+ * @access  Permission: users:manage
  */
 router.get('/:id', validateUserId, userController.getUserById);
 
 /**
  * @route   PUT /api/users/:id
  * @desc    Update user
- * @access  Superadmin only
+ * @access  Permission: users:manage
  */
 router.put('/:id', validateUserId, validateUserUpdate, userController.updateUser);
 
 /**
  * @route   DELETE /api/users/:id
  * @desc    Delete user
- * @access  Superadmin only
+ * @access  Permission: users:manage
  */
 router.delete('/:id', validateUserId, userController.deleteUser);
 
 /**
  * @route   GET /api/users/role/:role
  * @desc    Get users by role (admin or vendor)
- * @access  Superadmin only
+ * @access  Permission: users:manage
  */
 router.get('/role/:role', userController.getUsersByRole);
 
 /**
  * @route   GET /api/users/status/:status
  * @desc    Get users by status (active or inactive)
- * @access  Superadmin only
+ * @access  Permission: users:manage
  */
 router.get('/status/:status', userController.getUsersByStatus);
 
 /**
  * @route   PATCH /api/users/:id/toggle-status
  * @desc    Toggle user status (active/inactive)
- * @access  Superadmin only
+ * @access  Permission: users:manage
  */
 router.patch('/:id/toggle-status', validateUserId, userController.toggleUserStatus);
 
@@ -0,0 +1,43 @@
+/**
+ * Vendor Capacity Routes
+ * Per-vendor claim limits and auto-allocation of unclaimed orders
+ */
+
+const express = require('express');
+const router = express.Router();
+const vendorCapacityController = require('../controllers/vendorCapacityController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/admin/vendor-capacity
+ * @desc    Vendors with their limits (own and effective), open claims and auto-allocation opt-in
+ * @access  Permission: vendors:view
+ */
+router.get('/', requirePermission('vendors:view'), vendorCapacityController.getCapacities);
+
+/**
+ * @route   POST /api/admin/vendor-capacity/allocate
+ * @desc    Allocate unclaimed orders to opted-in vendors now (dry_run previews the assignment)
+ * @access  Permission: orders:assign
+ * @body    { dry_run?, limit?, account_code? }
+ */
+router.post('/allocate', requirePermission('orders:assign'), vendorCapacityController.allocate);
+
+/**
+ * @route   PUT /api/admin/vendor-capacity/:vendorId
+ * @desc    Set a vendor's limits and auto-allocation opt-in (empty limits use the defaults)
+ * @access  Permission: vendors:manage
+ * @body    { max_open_claims?, max_per_sku_per_day?, auto_allocation?, notes? }
+ */
+router.put('/:vendorId', requirePermission('vendors:manage'), vendorCapacityController.updateCapacity);
+
+/**
+ * @route   DELETE /api/admin/vendor-capacity/:vendorId
+ * @desc    Reset a vendor to the default limits (and opt them out of auto-allocation)
+ * @access  Permission: vendors:manage
+ */
+router.delete('/:vendorId', requirePermission('vendors:manage'), vendorCapacityController.deleteCapacity);
+
+module.exports = router;
@@ -0,0 +1,120 @@
+/**
+ * Vendor Penalty Routes
+ * Penalties charged to vendors (auto-reversals, quality RTOs, late handovers), disputes and waivers
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const vendorPenaltyController = require('../controllers/vendorPenaltyController');
+const { authenticate, requireVendor, requireVendorCapability, requirePermission } = require('../middleware/auth');
+
+const validatePenaltyId = param('id').isInt({ min: 1 }).withMessage('Penalty ID must be a number');
+
+const validateDispute = [
+  validatePenaltyId,
+  body('reason')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Dispute reason must be between 10 and 500 characters')
+];
+
+const validateWaiver = [
+  validatePenaltyId,
+  body('notes')
+    .optional({ nullable: true })
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters')
+];
+
+const validateDisputeRejection = [
+  validatePenaltyId,
+  body('notes')
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Notes must be between 10 and 500 characters')
+];
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/penalties/vendor
+ * @desc    Own penalties with totals per status
+ * @access  Vendor (owner, accountant)
+ * @query   { status?, penalty_type?, account_code?, dateFrom?, dateTo?, limit? }
+ */
+router.get('/vendor', requireVendor, requireVendorCapability('settlements'), vendorPenaltyController.getVendorPenalties);
+
+/**
+ * @route   POST /api/penalties/vendor/:id/dispute
+ * @desc    Dispute a penalty (once)
+ * @access  Vendor (owner, accountant)
+ * @body    { reason }
+ */
+router.post('/vendor/:id/dispute', requireVendor, requireVendorCapability('settlements'), validateDispute, vendorPenaltyController.disputePenalty);
+
+/**
+ * @route   GET /api/penalties/admin/rules
+ * @desc    List penalty rules
+ * @access  Permission: settlements:view
+ * @query   { rule_type?, account_code? }
+ */
+router.get('/admin/rules', requirePermission('settlements:view'), vendorPenaltyController.getRules);
+
+/**
+ * @route   POST /api/penalties/admin/rules
+ * @desc    Create a penalty rule
+ * @access  Permission: settlements:approve
+ * @body    { name, rule_type: 'auto_reversal'|'rto_quality'|'late_handover', amount, account_code?, max_amount?,
+ *            threshold_days? (late_handover), reason_keywords?: [] (rto_quality), is_active?, effective_from? }
+ */
+router.post('/admin/rules', requirePermission('settlements:approve'), vendorPenaltyController.createRule);
+
+/**
+ * @route   PUT /api/penalties/admin/rules/:id
+ * @desc    Update a penalty rule (omitted fields keep their current value)
+ * @access  Permission: settlements:approve
+ */
+router.put('/admin/rules/:id', requirePermission('settlements:approve'), vendorPenaltyController.updateRule);
+
+/**
+ * @route   DELETE /api/penalties/admin/rules/:id
+ * @desc    Delete a penalty rule
+ * @access  Permission: settlements:approve
+ */
+router.delete('/admin/rules/:id', requirePermission('settlements:approve'), vendorPenaltyController.deleteRule);
+
+/**
+ * @route   GET /api/penalties/admin
+ * @desc    Penalties of all vendors with totals per status
+ * @access  Permission: settlements:view
+ * @query   { vendor_id?, status?, penalty_type?, account_code?, dateFrom?, dateTo?, limit? }
+ */
+router.get('/admin', requirePermission('settlements:view'), vendorPenaltyController.getPenalties);
+
+/**
+ * @route   GET /api/penalties/admin/:id
+ * @desc    Get a penalty
+ * @access  Permission: settlements:view
+ */
+router.get('/admin/:id', requirePermission('settlements:view'), vendorPenaltyController.getPenalty);
+
+/**
+ * @route   POST /api/penalties/admin/:id/waive
+ * @desc    Waive a penalty (credits the amount back to the vendor)
+ * @access  Permission: settlements:approve
+ * @body    { notes? }
+ */
+router.post('/admin/:id/waive', requirePermission('settlements:approve'), validateWaiver, vendorPenaltyController.waivePenalty);
+
+/**
+ * @route   POST /api/penalties/admin/:id/reject-dispute
+ * @desc    Reject a vendor's dispute (the penalty stays applied)
+ * @access  Permission: settlements:approve
+ * @body    { notes }
+ */
+router.post('/admin/:id/reject-dispute', requirePermission('settlements:approve'), validateDisputeRejection, vendorPenaltyController.rejectDispute);
+
+module.exports = router;
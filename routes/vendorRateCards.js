@@ -0,0 +1,51 @@
+/**
+ * Vendor Rate Card Routes
+ * API endpoints for per-vendor commercial terms that price handed-over claims
+ */
+
+const express = require('express');
+const router = express.Router();
+const vendorRateCardController = require('../controllers/vendorRateCardController');
+const { authenticate, requirePermission } = require('../middleware/auth');
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/admin/vendor-rate-cards
+ * @desc    List rate cards
+ * @access  Permission: vendors:view
+ * @query   { vendor_id?, account_code?, active_on?: 'YYYY-MM-DD' }
+ */
+router.get('/', requirePermission('vendors:view'), vendorRateCardController.getRateCards);
+
+/**
+ * @route   GET /api/admin/vendor-rate-cards/:id
+ * @desc    Get a rate card
+ * @access  Permission: vendors:view
+ */
+router.get('/:id', requirePermission('vendors:view'), vendorRateCardController.getRateCard);
+
+/**
+ * @route   POST /api/admin/vendor-rate-cards
+ * @desc    Create a rate card
+ * @access  Permission: vendors:manage
+ * @body    { vendor_id, account_code?, product_category?, sku_id?, size?, pricing_type: 'fixed'|'percentage'|'cost_plus',
+ *            fixed_price?, percentage?, unit_cost?, markup_percent?, markup_amount?, effective_from, effective_to?, notes? }
+ */
+router.post('/', requirePermission('vendors:manage'), vendorRateCardController.createRateCard);
+
+/**
+ * @route   PUT /api/admin/vendor-rate-cards/:id
+ * @desc    Update a rate card (omitted fields keep their current value)
+ * @access  Permission: vendors:manage
+ */
+router.put('/:id', requirePermission('vendors:manage'), vendorRateCardController.updateRateCard);
+
+/**
+ * @route   DELETE /api/admin/vendor-rate-cards/:id
+ * @desc    Delete a rate card
+ * @access  Permission: vendors:manage
+ */
+router.delete('/:id', requirePermission('vendors:manage'), vendorRateCardController.deleteRateCard);
+
+module.exports = router;
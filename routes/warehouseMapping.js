@@ -6,14 +6,14 @@
 const express = require('express');
 const router = express.Router();
 const database = require('../config/database');
-const { authenticateBasicAuth, requireAdminOrSuperadmin } = require('../middleware/auth');
+const { authenticateBasicAuth, requirePermission } = require('../middleware/auth');
 
 /**
  * @route   GET /api/warehouse-mapping
  * @desc    Get all warehouse mappings (for admin display)
- * @access  Admin/Superadmin only
+ * @access  Permission: warehouse_mapping:view
  */
-router.get('/', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/', authenticateBasicAuth, requirePermission('warehouse_mapping:view'), async (req, res) => {
   try {
     await database.waitForMySQLInitialization();
     
@@ -44,9 +44,9 @@ router.get('/', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res
 /**
  * @route   GET /api/warehouse-mapping/vendors
  * @desc    Get all vendors with warehouse IDs (for dropdown)
- * @access  Admin/Superadmin only
+ * @access  Permission: warehouse_mapping:view
  */
-router.get('/vendors', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/vendors', authenticateBasicAuth, requirePermission('warehouse_mapping:view'), async (req, res) => {
   try {
     await database.waitForMySQLInitialization();
     
@@ -83,9 +83,9 @@ router.get('/vendors', authenticateBasicAuth, requireAdminOrSuperadmin, async (r
 /**
  * @route   GET /api/warehouse-mapping/stores
  * @desc    Get all stores with account_code and store_name (for dropdown)
- * @access  Admin/Superadmin only
+ * @access  Permission: warehouse_mapping:view
  */
-router.get('/stores', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.get('/stores', authenticateBasicAuth, requirePermission('warehouse_mapping:view'), async (req, res) => {
   try {
     await database.waitForMySQLInitialization();
     
@@ -121,9 +121,9 @@ router.get('/stores', authenticateBasicAuth, requireAdminOrSuperadmin, async (re
 /**
  * @route   POST /api/warehouse-mapping/validate
  * @desc    Validate vendor_wh_id against Shipway API for given account_code
- * @access  Admin/Superadmin only
+ * @access  Permission: warehouse_mapping:manage
  */
-router.post('/validate', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/validate', authenticateBasicAuth, requirePermission('warehouse_mapping:manage'), async (req, res) => {
   try {
     const { vendor_wh_id, account_code } = req.body;
 
@@ -196,9 +196,9 @@ router.post('/validate', authenticateBasicAuth, requireAdminOrSuperadmin, async
 /**
  * @route   POST /api/warehouse-mapping
  * @desc    Create new warehouse mapping
- * @access  Admin/Superadmin only
+ * @access  Permission: warehouse_mapping:manage
  */
-router.post('/', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.post('/', authenticateBasicAuth, requirePermission('warehouse_mapping:manage'), async (req, res) => {
   try {
     const { claimio_wh_id, vendor_wh_id, account_code, return_warehouse_id } = req.body;
 
@@ -279,9 +279,9 @@ router.post('/', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, re
 /**
  * @route   DELETE /api/warehouse-mapping/:id
  * @desc    Soft delete warehouse mapping (set is_active = FALSE)
- * @access  Admin/Superadmin only
+ * @access  Permission: warehouse_mapping:manage
  */
-router.delete('/:id', authenticateBasicAuth, requireAdminOrSuperadmin, async (req, res) => {
+router.delete('/:id', authenticateBasicAuth, requirePermission('warehouse_mapping:manage'), async (req, res) => {
   try {
     const { id } = req.params;
 
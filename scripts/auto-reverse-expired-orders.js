@@ -4,7 +4,8 @@
  * Auto-Reverse Expired Orders Script
  * 
  * This script can be run as a cron job to automatically reverse orders
- * that have been claimed for 24+ hours without label download.
+ * whose claim has expired without label download (claim_expiry_hours of
+ * the store's auto-reversal policy, 24 hours by default).
  * 
  * Usage:
  * - Manual execution: node auto-reverse-expired-orders.js
@@ -6,7 +6,7 @@
  * This script initializes the Claims Criticality feature by:
  * 1. Adding the is_critical column to the claims table if it doesn't exist.
  * 2. Updating all existing claims according to the criticality rule:
- *    - Critical (1): Unclaimed orders older than 15 days.
+ *    - Critical (1): Unclaimed orders older than the store's criticality_days (15 by default).
  *    - Normal (0): All other orders.
  * 
  * Usage: node scripts/setup-claims-criticality.js
@@ -35,7 +35,7 @@ async function setupClaimsCriticality() {
         await database.addIsCriticalToClaims();
 
         // 3. Perform initial criticality update
-        console.log('\n🔄 Performing initial update of is_critical flags (15-day rule)...');
+        console.log('\n🔄 Performing initial update of is_critical flags (per-store criticality_days)...');
         const result = await autoReversalService.updateClaimsCriticality();
 
         if (result.success) {
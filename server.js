@@ -19,11 +19,18 @@ const storeRoutes = require('./routes/stores');
 const warehouseMappingRoutes = require('./routes/warehouseMapping');
 const analyticsRoutes = require('./routes/analytics');
 const tasksRoutes = require('./routes/tasks');
+const schedulerRoutes = require('./routes/scheduler');
+const rolesRoutes = require('./routes/roles');
+const autoReversalPolicyRoutes = require('./routes/autoReversalPolicies');
+const labelTemplateRoutes = require('./routes/labelTemplates');
+const ndrRoutes = require('./routes/ndr');
+const vendorRateCardRoutes = require('./routes/vendorRateCards');
+const vendorPenaltyRoutes = require('./routes/vendorPenalties');
+const vendorCapacityRoutes = require('./routes/vendorCapacity');
 
 // Import database to initialize it
 const database = require('./config/database');
 const { fetchAndSaveShopifyProducts } = require('./services/shopifyProductFetcher');
-const cron = require('node-cron');
 
 
 // Import vendor error tracking middleware
@@ -32,6 +39,21 @@ const { trackVendorErrors, handleVendorErrors } = require('./middleware/vendorEr
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+/**
+ * Proxy trust - req.ip (used by rate limiting) is read from X-Forwarded-For only for the
+ * trusted hops. TRUST_PROXY: number of proxies in front of the app, true, false, or a
+ * comma-separated list of proxy addresses/subnets. Unset means no proxy is trusted: otherwise a
+ * client reaching the app directly could pick its own IP (and rate-limit key) with the header.
+ */
+const parseTrustProxy = (value) => {
+  if (value === undefined || value.trim() === '') return false;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10);
+  return value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 /**
  * Security Middleware
  */
@@ -103,6 +125,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  exposedHeaders: ['Content-Disposition', 'X-Skipped-Labels'],
   optionsSuccessStatus: 204, // Some legacy browsers choke on 200
   maxAge: 86400 // Cache preflight requests for 24 hours
 }));
@@ -333,6 +356,14 @@ app.use('/api/stores', storeRoutes);
 app.use('/api/warehouse-mapping', warehouseMappingRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/tasks', tasksRoutes);
+app.use('/api/admin/scheduler', schedulerRoutes);
+app.use('/api/admin/roles', rolesRoutes);
+app.use('/api/admin/auto-reversal-policies', autoReversalPolicyRoutes);
+app.use('/api/admin/vendor-rate-cards', vendorRateCardRoutes);
+app.use('/api/admin/vendor-capacity', vendorCapacityRoutes);
+app.use('/api/penalties', vendorPenaltyRoutes);
+app.use('/api/label-templates', labelTemplateRoutes);
+app.use('/api/ndr', ndrRoutes);
 
 
 /**
@@ -346,11 +377,14 @@ app.get('/api', (req, res) => {
       auth: {
         'POST /api/auth/login': 'User login with email and password',
         'POST /api/auth/login/phone': 'User login with phone and password',
-        'POST /api/auth/logout': 'User logout',
+        'POST /api/auth/logout': 'User logout (revokes the device session)',
+        'POST /api/auth/logout-all': 'Revoke all sessions of the current user',
+        'GET /api/auth/sessions': 'List signed-in devices',
+        'DELETE /api/auth/sessions/:sessionId': 'Sign out one device',
         'GET /api/auth/profile': 'Get current user profile',
         'PUT /api/auth/change-password': 'Change user password',
-        'GET /api/auth/verify': 'Verify JWT token',
-        'POST /api/auth/refresh': 'Refresh JWT token'
+        'GET /api/auth/verify': 'Verify access token or Basic Auth credentials',
+        'POST /api/auth/refresh': 'Exchange a refresh token for a new access token'
       },
       users: {
         'POST /api/users': 'Create new user (admin/vendor)',
@@ -362,6 +396,38 @@ app.get('/api', (req, res) => {
         'GET /api/users/status/:status': 'Get users by status',
         'PATCH /api/users/:id/toggle-status': 'Toggle user status'
       },
+      roles: {
+        'GET /api/admin/roles/permissions': 'List grantable permissions',
+        'GET /api/admin/roles': 'List roles with their permissions',
+        'POST /api/admin/roles': 'Create a custom role',
+        'PUT /api/admin/roles/:name': 'Update role permissions',
+        'DELETE /api/admin/roles/:name': 'Delete a custom role',
+        'PUT /api/admin/roles/users/:userId': 'Set a user\'s access role'
+      },
+      autoReversalPolicies: {
+        'GET /api/admin/auto-reversal-policies': 'List per-store auto-reversal policies and the defaults',
+        'GET /api/admin/auto-reversal-policies/:accountCode': 'Effective policy of a store',
+        'PUT /api/admin/auto-reversal-policies/:accountCode': 'Create or update a store policy',
+        'DELETE /api/admin/auto-reversal-policies/:accountCode': 'Delete a store policy (back to defaults)'
+      },
+      labelTemplates: {
+        'GET /api/label-templates': 'Label formats available for a store (?account_code)',
+        'POST /api/label-templates/preview': 'Render sample labels with a layout as a PDF',
+        'POST /api/label-templates': 'Create a global or store label template',
+        'PUT /api/label-templates/:id': 'Update a label template',
+        'DELETE /api/label-templates/:id': 'Delete a label template'
+      },
+      ndr: {
+        'GET /api/ndr': 'NDR queue with attempts, reason and age (?status, account_code, min_attempts, search)',
+        'GET /api/ndr/:id': 'Get an NDR case',
+        'POST /api/ndr/:id/action': 'Re-attempt, change address/phone or RTO through the shipping partner',
+        'POST /api/ndr/:id/outreach': 'Resend an NDR case to the customer-outreach webhook'
+      },
+      public: {
+        'GET /api/public/vapid-key': 'VAPID public key for push notifications',
+        'GET /api/public/shipment-status-mapping': 'Shipment status display names and colors',
+        'POST /api/public/track': 'Customer order tracking by order_id and phone or pincode (rate-limited)'
+      },
       shipway: {
         'GET /api/shipway/warehouse/:warehouseId': 'Get warehouse details',
         'GET /api/shipway/validate/:warehouseId': 'Validate warehouse ID',
@@ -371,7 +437,7 @@ app.get('/api', (req, res) => {
         'GET /api/shipway/stats': 'Get warehouse API statistics'
       }
     },
-    authentication: 'Bearer token required for protected routes',
+    authentication: 'Authorization: Bearer <access token> (from /api/auth/login) required for protected routes; Basic Auth is still accepted',
     documentation: 'https://github.com/your-repo/api-docs'
   });
 });
@@ -485,6 +551,15 @@ app.listen(PORT, async () => {
     console.log('ℹ️ Migrations disabled (RUN_MIGRATIONS=false)');
   }
 
+  // Start background job worker (async label/manifest/refresh tasks)
+  try {
+    await database.waitForMySQLInitialization();
+    const jobQueue = require('./services/jobQueue');
+    jobQueue.start();
+  } catch (error) {
+    console.error('❌ Failed to start job queue worker:', error.message);
+  }
+
   // Run criticality update on startup
   try {
     const autoReversalServiceStartup = require('./services/autoReversalService');
@@ -561,243 +636,28 @@ app.listen(PORT, async () => {
     }
   })();
 
-  // Start Multi-Store sync cron job (every hour)
-  const multiStoreSyncService = require('./services/multiStoreSyncService');
-  cron.schedule('0 * * * *', async () => {
-    try {
-      console.log('\n[Multi-Store Sync] Starting scheduled sync for all active stores...');
-      const result = await multiStoreSyncService.syncAllStores();
-      console.log(`[Multi-Store Sync] Completed! ${result.successfulStores}/${result.totalStores} stores synced, ${result.totalOrders} orders.`);
-    } catch (err) {
-      console.error('[Multi-Store Sync] Failed:', err.message);
-    }
-  });
-
-  // Run once immediately on startup
-  (async () => {
-    try {
-      console.log('\n[Multi-Store Sync] Starting startup sync for all active stores...');
-      const result = await multiStoreSyncService.syncAllStores();
-      console.log(`[Multi-Store Sync] Startup sync completed! ${result.successfulStores}/${result.totalStores} stores synced, ${result.totalOrders} orders.`);
-    } catch (err) {
-      console.error('[Multi-Store Sync] Startup sync failed:', err.message);
-    }
-  })();
-
-  // Start Carrier sync cron job (every 6 hours)
-  const carrierSyncService = require('./services/carrierSyncService');
-  cron.schedule('0 */6 * * *', async () => {
-    try {
-      await carrierSyncService.startCarrierSync();
-      console.log('[Carrier Sync] Carriers synced to MySQL.');
-    } catch (err) {
-      console.error('[Carrier Sync] Failed:', err.message);
-    }
-  });
-  // Run once immediately on startup
-  (async () => {
-    try {
-      await carrierSyncService.startCarrierSync();
-      console.log('[Carrier Sync] Carriers synced to MySQL (startup).');
-    } catch (err) {
-      console.error('[Carrier Sync] Startup sync failed:', err.message);
-    }
-  })();
-
-  // Start Order Tracking cron jobs
-  const orderTrackingService = require('./services/orderTrackingService');
-
-  // Active Orders Tracking - every 1 hour
-  cron.schedule('0 * * * *', async () => {
-    try {
-      console.log('[Order Tracking] Starting active orders sync...');
-      await orderTrackingService.syncActiveOrderTracking();
-      console.log('[Order Tracking] Active orders sync completed.');
-    } catch (err) {
-      console.error('[Order Tracking] Active orders sync failed:', err.message);
-    }
-  });
-
-  // Inactive Orders Tracking - daily at 2 AM
-  cron.schedule('0 2 * * *', async () => {
-    try {
-      console.log('[Order Tracking] Starting inactive orders sync...');
-      await orderTrackingService.syncInactiveOrderTracking();
-      console.log('[Order Tracking] Inactive orders sync completed.');
-    } catch (err) {
-      console.error('[Order Tracking] Inactive orders sync failed:', err.message);
-    }
-  });
-
-  // Order Tracking Cleanup - weekly on Sunday at 3 AM
-  cron.schedule('0 3 * * 0', async () => {
-    try {
-      console.log('[Order Tracking] Starting cleanup of old tracking data...');
-      await orderTrackingService.cleanupOldTrackingData();
-      console.log('[Order Tracking] Cleanup completed.');
-    } catch (err) {
-      console.error('[Order Tracking] Cleanup failed:', err.message);
-    }
-  });
-
-  // Product Refresh - daily at 2 AM
-  cron.schedule('0 2 * * *', async () => {
-    try {
-      console.log('[Product Sync] Starting daily product refresh from Shopify...');
-
-      // Check if store is active before syncing
-      const database = require('./config/database');
-      await database.waitForMySQLInitialization();
-
-      const shopifyUrl = process.env.SHOPIFY_PRODUCTS_API_URL || 'https://seq5t1-mz.myshopify.com/admin/api/2025-07/graphql.json';
-      const shopifyToken = process.env.SHOPIFY_ACCESS_TOKEN;
-
-      // Get store from database using Shopify credentials
-      const store = await database.getStoreByShopifyCredentials(shopifyUrl, shopifyToken);
-
-      if (!store) {
-        console.log('[Product Sync] ⚠️ Store not found in database for configured Shopify credentials');
-        console.log('[Product Sync] Skipping product refresh until store is configured in admin panel');
-        return;
-      }
-
-      if (store.status !== 'active') {
-        console.log(`[Product Sync] ⚠️ Store "${store.store_name}" (${store.account_code}) is inactive`);
-        console.log('[Product Sync] Skipping product refresh for inactive store');
-        return;
-      }
-
-      console.log(`[Product Sync] Store "${store.store_name}" (${store.account_code}) is active, proceeding with sync...`);
-
-      await fetchAndSaveShopifyProducts(
-        shopifyUrl,
-        {
-          'X-Shopify-Access-Token': shopifyToken,
-          'Content-Type': 'application/json',
-        },
-        true // forceNew = true to ensure fresh data
-      );
-      console.log('[Product Sync] Daily product refresh completed.');
-    } catch (err) {
-      console.error('[Product Sync] Daily product refresh failed:', err.message);
-    }
-  });
-
-  // Product Monitor - Check for new products every 24 hours (daily at 3 AM)
-  const productMonitorService = require('./services/productMonitorService');
-  cron.schedule('0 3 * * *', async () => {
-    try {
-      console.log('[Product Monitor] Starting daily check for new products...');
-      const result = await productMonitorService.checkNewProducts();
-      if (result.success) {
-        console.log(`[Product Monitor] Check completed. Found ${result.count} new product(s).`);
-      }
-    } catch (err) {
-      console.error('[Product Monitor] Daily check failed:', err.message);
-    }
-  });
-
-  // RTO Tracking Daily Update - Update days_since_initiated and is_focus at 2 AM (runs with other daily crons)
-  cron.schedule('0 2 * * *', async () => {
-    try {
-      console.log('[RTO Tracking] Starting daily update for RTO records...');
-      const result = await database.updateRTODaysAndFocus();
-      console.log(`[RTO Tracking] Daily update completed. Days updated: ${result.daysUpdated}, Focus updated: ${result.focusUpdated}`);
-    } catch (err) {
-      console.error('[RTO Tracking] Daily update failed:', err.message);
-    }
-  });
-
-  // RTO Inventory Processing - Process delivered RTO orders and update inventory at 4 AM daily
-  const rtoInventoryService = require('./services/rtoInventoryService');
-  cron.schedule('0 4 * * *', async () => {
-    try {
-      console.log('[RTO Inventory] Starting daily RTO inventory processing...');
-      const result = await rtoInventoryService.processDeliveredRTOOrders();
-      if (result.success) {
-        console.log(`[RTO Inventory] Processing completed. Processed: ${result.processedCount}, Errors: ${result.errorCount || 0}`);
-      } else {
-        console.log(`[RTO Inventory] Processing skipped: ${result.message}`);
-      }
-    } catch (err) {
-      console.error('[RTO Inventory] Processing failed:', err.message);
-    }
-  });
-
-  // RTO Inventory Cleanup - Delete zero-quantity records older than 48 hours at 6 AM daily
-  cron.schedule('0 6 * * *', async () => {
-    try {
-      console.log('[RTO Inventory Cleanup] Starting cleanup of zero-quantity records...');
-      const result = await database.cleanupZeroQuantityRTOInventory();
-      console.log(`[RTO Inventory Cleanup] Completed. Deleted: ${result.deletedCount} records`);
-    } catch (err) {
-      console.error('[RTO Inventory Cleanup] Failed:', err.message);
-    }
-  });
-
-  // Auto-Reversal & Criticality Cron Job - Every day at 2 AM
-  const autoReversalService = require('./services/autoReversalService');
-  cron.schedule('0 2 * * *', async () => {
-    try {
-      console.log('\n[Daily Maintenance] Starting scheduled tasks (Auto-Reversal & Criticality)...');
-
-      // Run Auto-Reversal
-      console.log('[Auto-Reversal] Processing expired claims...');
-      const reversalResult = await autoReversalService.executeAutoReversal();
-      if (reversalResult.success) {
-        console.log(`[Auto-Reversal] Completed! Auto-reversed: ${reversalResult.data.auto_reversed} order(s).`);
-      } else {
-        console.log(`[Auto-Reversal] Failed: ${reversalResult.message}`);
-      }
-
-      // Run Criticality Update
-      console.log('[Claims Criticality] Updating is_critical flags (15-day rule)...');
-      const criticalityResult = await autoReversalService.updateClaimsCriticality();
-      if (criticalityResult.success) {
-        console.log(`[Claims Criticality] Completed! Affected rows: ${criticalityResult.data.affected_rows}.`);
-      } else {
-        console.log(`[Claims Criticality] Failed: ${criticalityResult.message}`);
-      }
-
-    } catch (err) {
-      console.error('[Daily Maintenance] Scheduled run failed:', err.message);
-    }
-  });
-
-  // Run active orders tracking once immediately on startup, then process RTO inventory
-  (async () => {
-    try {
-      console.log('[Order Tracking] Running initial active orders sync on startup...');
-      await orderTrackingService.syncActiveOrderTracking();
-      console.log('[Order Tracking] Initial active orders sync completed.');
-
-      // Process RTO inventory AFTER order tracking sync completes
-      // This ensures we have the latest delivered orders in rto_tracking table
-      try {
-        console.log('[RTO Inventory] Running RTO inventory processing after order sync...');
-        const result = await rtoInventoryService.processDeliveredRTOOrders();
-        if (result.success) {
-          console.log(`[RTO Inventory] Post-sync processing completed. Processed: ${result.processedCount}`);
-        } else {
-          console.log(`[RTO Inventory] Post-sync processing: ${result.message}`);
-        }
-      } catch (rtoErr) {
-        console.error('[RTO Inventory] Post-sync processing failed:', rtoErr.message);
-      }
-
-      // Update RTO days_since_initiated and is_focus on startup
-      // This ensures data is current immediately after deployment
-      try {
-        console.log('[RTO Tracking] Running days_since_initiated and is_focus update on startup...');
-        const rtoResult = await database.updateRTODaysAndFocus();
-        console.log(`[RTO Tracking] Startup update completed. Days updated: ${rtoResult.daysUpdated}, Focus updated: ${rtoResult.focusUpdated}`);
-      } catch (rtoUpdateErr) {
-        console.error('[RTO Tracking] Startup update failed:', rtoUpdateErr.message);
-      }
-    } catch (err) {
-      console.error('[Order Tracking] Initial active orders sync failed:', err.message);
-    }
-  })();
+  // Register scheduled jobs (multi-store sync, carrier sync, tracking, RTO, auto-reversal, ...).
+  // Each job runs on one instance at a time and its runs are recorded in job_runs.
+  const scheduler = require('./services/scheduler');
+  const { registerScheduledJobs } = require('./services/scheduledJobs');
+  registerScheduledJobs();
+  scheduler.start();
+
+  // Startup runs are part of scheduling: an instance with SCHEDULER_ENABLED=false runs none
+  if (scheduler.isEnabled()) {
+    // Run once immediately on startup
+    scheduler.run('multi-store-sync', { trigger: 'startup' });
+    scheduler.run('carrier-sync', { trigger: 'startup' });
+
+    // Run active orders tracking once on startup, then process RTO inventory
+    // so we have the latest delivered orders in rto_tracking, then bring
+    // RTO days_since_initiated and is_focus up to date after the deployment
+    (async () => {
+      await scheduler.run('order-tracking-active', { trigger: 'startup' });
+      await scheduler.run('rto-inventory-processing', { trigger: 'startup' });
+      await scheduler.run('rto-tracking-update', { trigger: 'startup' });
+    })().catch(err => console.error('[Scheduler] Startup runs failed:', err.message));
+  }
 });
 
 module.exports = app; 
@@ -1,4 +1,6 @@
 const database = require('../config/database');
+const shippingPartners = require('./shippingPartners');
+const orderEventService = require('./orderEventService');
 
 /**
  * Auto Manifest Service
@@ -8,45 +10,6 @@ const database = require('../config/database');
 class AutoManifestService {
   constructor() {
     this.isRunning = false;
-    // Store credentials cache: account_code -> auth_token
-    this.storeCredentialsCache = new Map();
-  }
-
-  /**
-   * Get store credentials for a given account_code
-   * @param {string} accountCode - The account_code to get credentials for
-   * @returns {string} The auth_token for the store
-   */
-  async getStoreCredentials(accountCode) {
-    if (!accountCode) {
-      throw new Error('account_code is required for creating manifest');
-    }
-
-    // Check cache first
-    if (this.storeCredentialsCache.has(accountCode)) {
-      return this.storeCredentialsCache.get(accountCode);
-    }
-
-    // Fetch from database
-    await database.waitForMySQLInitialization();
-    const store = await database.getStoreByAccountCode(accountCode);
-    
-    if (!store) {
-      throw new Error(`Store not found for account_code: ${accountCode}`);
-    }
-    
-    if (store.status !== 'active') {
-      throw new Error(`Store is not active: ${accountCode}`);
-    }
-    
-    if (!store.auth_token) {
-      throw new Error(`Store auth_token not found for account_code: ${accountCode}`);
-    }
-
-    // Cache the credentials
-    this.storeCredentialsCache.set(accountCode, store.auth_token);
-    
-    return store.auth_token;
   }
 
   /**
@@ -145,18 +108,7 @@ class AutoManifestService {
             const database = require('../config/database');
             for (const orderId of orderIds) {
               try {
-                // Set is_manifest = 1 in labels table
-                await database.updateManifestStatus(orderId, true);
-                
-                // Update claim status to ready_for_handover for all products in this order
-                const orders = await database.getAllOrders();
-                const orderProducts = orders.filter(order => order.order_id === orderId);
-                
-                for (const product of orderProducts) {
-                  await database.updateOrder(product.unique_id, {
-                    status: 'ready_for_handover'
-                  });
-                }
+                await this.markOrderManifested(orderId, accountCode, manifestResponse.data);
                 
                 successCount++;
                 console.log(`✅ [Auto-Manifest] Successfully created manifest and updated status for order ${orderId}`);
@@ -183,9 +135,10 @@ class AutoManifestService {
         }
 
         // Small delay between batches to be respectful to the API
-        if (i + batchSize < ordersNeedingManifest.length) {
+        if (i + batchSize < storeOrders.length) {
           await new Promise(resolve => setTimeout(resolve, 1000)); // Reduced delay since we're making fewer API calls
         }
+        }
       }
 
       console.log(`✅ [Auto-Manifest] Process completed: ${successCount} success, ${errorCount} errors`);
@@ -230,18 +183,7 @@ class AutoManifestService {
         throw new Error(`Manifest API failed: ${manifestResponse.message}`);
       }
       
-      // Update is_manifest = 1 in database
-      await database.updateManifestStatus(order.order_id, true);
-      
-      // Update claim status to ready_for_handover for all products in this order
-      const orders = await database.getAllOrders();
-      const orderProducts = orders.filter(o => o.order_id === order.order_id);
-      
-      for (const product of orderProducts) {
-        await database.updateOrder(product.unique_id, {
-          status: 'ready_for_handover'
-        });
-      }
+      await this.markOrderManifested(order.order_id, order.account_code, manifestResponse.data);
       
       console.log(`✅ [Auto-Manifest] Successfully created manifest and updated status for order ${order.order_id}`);
       
@@ -262,7 +204,32 @@ class AutoManifestService {
   }
 
   /**
-   * Call Shipway Create Manifest API (Bulk)
+   * Set is_manifest = 1 and move the order's claim rows in the store to ready_for_handover,
+   * recording a READY_FOR_HANDOVER event per row in the same transaction
+   * @param {string} orderId - Order ID
+   * @param {string} accountCode - Store account code
+   * @param {Object} manifestData - Partner response ({ manifest_ids })
+   */
+  async markOrderManifested(orderId, accountCode, manifestData = {}) {
+    const manifestId = (manifestData && manifestData.manifest_ids) || null;
+
+    await database.upsertLabel({
+      order_id: orderId,
+      account_code: accountCode,
+      is_manifest: 1,
+      ...(manifestId ? { manifest_id: manifestId } : {})
+    });
+
+    return database.setOrderReadyForHandover(orderId, accountCode, {
+      event_type: orderEventService.EVENT_TYPES.READY_FOR_HANDOVER,
+      ...orderEventService.systemActor('auto-manifest'),
+      source: 'auto-manifest',
+      details: { manifest_id: manifestId }
+    });
+  }
+
+  /**
+   * Call the store's shipping partner Create Manifest API (Bulk)
    * @param {Array} orderIds - Array of order IDs to manifest in bulk
    * @param {Array} orderDetails - Array of order details with AWB numbers (optional)
    * @param {string} accountCode - The account_code for the store
@@ -276,43 +243,37 @@ class AutoManifestService {
       console.log(`🔄 [Auto-Manifest] Calling Shipway Create Manifest API (Bulk) for store: ${accountCode}`);
       console.log(`📦 [Auto-Manifest] Processing ${orderIds.length} orders: ${orderIds.join(', ')}`);
       
-      // Get store-specific credentials
-      const basicAuthHeader = await this.getStoreCredentials(accountCode);
-
-      const requestBody = {
-        order_ids: orderIds
-      };
+      // Get the store's shipping partner adapter (store must be active)
+      const adapter = await shippingPartners.getAdapter(accountCode, { requireActive: true });
 
       // If we have order details with AWB numbers, include them in the request
+      let awbNumbers = [];
       if (orderDetails && orderDetails.length > 0) {
-        const awbNumbers = orderDetails
+        awbNumbers = orderDetails
           .filter(order => order.awb && order.awb.trim() !== '')
           .map(order => order.awb);
         
         if (awbNumbers.length > 0) {
-          requestBody.awb_numbers = awbNumbers;
           console.log(`📦 [Auto-Manifest] Including AWB numbers: ${awbNumbers.join(', ')}`);
         }
       }
 
-      console.log('📤 [Auto-Manifest] Bulk Manifest API Request:', requestBody);
+      console.log(`📤 [Auto-Manifest] Bulk Manifest API Request (${adapter.partnerName}):`, { order_ids: orderIds, awb_numbers: awbNumbers });
 
-      const response = await fetch('https://app.shipway.com/api/Createmanifest/', {
-        method: 'POST',
-        headers: {
-          'Authorization': basicAuthHeader,
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody),
-        timeout: 30000
-      });
-
-      const data = await response.json();
+      let data;
+      try {
+        data = await adapter.createManifest(orderIds, { awbNumbers, timeout: 30000 });
+      } catch (apiError) {
+        if (apiError.response) {
+          throw new Error(`${adapter.partnerName} Create Manifest API error: ${apiError.response.data?.message || apiError.response.statusText}`);
+        }
+        throw apiError;
+      }
 
       console.log('📦 [Auto-Manifest] Manifest API Response:', data);
 
-      if (!response.ok || data.success !== 1) {
-        throw new Error(`Shipway Create Manifest API error: ${data.message || response.statusText}`);
+      if (data.success !== 1) {
+        throw new Error(`${adapter.partnerName} Create Manifest API error: ${data.message || 'Unknown error'}`);
       }
 
       console.log(`✅ [Auto-Manifest] Shipway Create Manifest API call successful for ${orderIds.length} orders`);
@@ -1,11 +1,83 @@
 /**
  * Auto-Reversal Service
- * 
+ *
  * This service handles the automatic reversal of orders that have been claimed
- * for more than 24 hours without label download.
+ * for too long without label download, the warnings sent to vendors before that
+ * happens, and the criticality flag on unclaimed orders.
+ *
+ * The limits come from each store's policy (auto_reversal_policies); stores without
+ * a policy use DEFAULT_POLICY. Weekend days and holidays excluded by a policy do not
+ * count towards the claim expiry.
  */
 
 const database = require('../config/database');
+const orderEventService = require('./orderEventService');
+const webhookService = require('./webhookService');
+
+const DEFAULT_POLICY = {
+  auto_reversal_enabled: true,
+  claim_expiry_hours: 24,
+  warning_hours: 4,
+  criticality_days: 15,
+  exclude_weekends: false,
+  holidays: [],
+  exempt_vendors: []
+};
+
+// Claim ages are measured on the IST calendar (weekends and holidays are IST days)
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_DAYS_SCANNED = 400;
+
+/**
+ * Whether a policy excludes the IST day starting at dayStart (IST-shifted epoch ms)
+ */
+function isExcludedDay(dayStart, policy) {
+  const day = new Date(dayStart);
+  const weekday = day.getUTCDay();
+  if (policy.exclude_weekends && (weekday === 0 || weekday === 6)) return true;
+  return policy.holidays.includes(day.toISOString().slice(0, 10));
+}
+
+/**
+ * Minutes between two IST-shifted timestamps that count towards the claim expiry
+ */
+function countedMinutesBetween(start, end, policy) {
+  if (!policy.exclude_weekends && policy.holidays.length === 0) {
+    return (end - start) / 60000;
+  }
+
+  let counted = 0;
+  let cursor = start;
+  for (let i = 0; cursor < end && i < MAX_DAYS_SCANNED; i++) {
+    const dayEnd = Math.floor(cursor / DAY_MS) * DAY_MS + DAY_MS;
+    const sliceEnd = Math.min(dayEnd, end);
+    if (!isExcludedDay(cursor, policy)) {
+      counted += sliceEnd - cursor;
+    }
+    cursor = sliceEnd;
+  }
+  return counted / 60000;
+}
+
+/**
+ * IST-shifted timestamp at which `minutes` more counted minutes have passed after `from`
+ */
+function addCountedMinutes(from, minutes, policy) {
+  let remaining = minutes * 60000;
+  let cursor = from;
+  for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+    const dayEnd = Math.floor(cursor / DAY_MS) * DAY_MS + DAY_MS;
+    if (!isExcludedDay(cursor, policy)) {
+      if (remaining <= dayEnd - cursor) return cursor + remaining;
+      remaining -= dayEnd - cursor;
+    }
+    cursor = dayEnd;
+  }
+  return cursor;
+}
+
+const roundHours = (minutes) => Math.round((minutes / 60) * 10) / 10;
 
 class AutoReversalService {
   constructor() {
@@ -15,6 +87,112 @@ class AutoReversalService {
     this.totalRuns = 0;
   }
 
+  /**
+   * Policy used for stores without a stored policy
+   * @returns {Object}
+   */
+  getDefaultPolicy() {
+    return { ...DEFAULT_POLICY, holidays: [], exempt_vendors: [] };
+  }
+
+  /**
+   * Effective policies of all stores that have one, keyed by account_code
+   * @returns {Promise<Map<string, Object>>}
+   */
+  async loadPolicies() {
+    const policies = new Map();
+    for (const row of await database.getAutoReversalPolicies()) {
+      policies.set(row.account_code, { ...this.getDefaultPolicy(), ...row });
+    }
+    return policies;
+  }
+
+  /**
+   * Evaluate held claims against their store's policy
+   * @param {Object} filters - { account_code, claimed_by }
+   * @returns {Promise<Array>} Claims with hours_counted, expires_at, hours_left and
+   *   state: 'expired' | 'warning' | 'active' | 'exempt'
+   */
+  async evaluateOpenClaims(filters = {}) {
+    await database.waitForMySQLInitialization();
+
+    if (!database.isMySQLAvailable()) {
+      throw new Error('Database connection not available');
+    }
+
+    const [policies, claims] = await Promise.all([
+      this.loadPolicies(),
+      database.getOpenClaimsForExpiry(filters)
+    ]);
+    const nowIst = Date.now() + IST_OFFSET_MS;
+
+    return claims.map(claim => {
+      const policy = policies.get(claim.account_code) || this.getDefaultPolicy();
+      const minutesClaimed = Math.max(0, Number(claim.minutes_claimed) || 0);
+      const countedMinutes = countedMinutesBetween(nowIst - minutesClaimed * 60000, nowIst, policy);
+      const remainingMinutes = policy.claim_expiry_hours * 60 - countedMinutes;
+
+      let state = 'active';
+      if (!policy.auto_reversal_enabled || policy.exempt_vendors.includes(claim.claimed_by)) {
+        state = 'exempt';
+      } else if (remainingMinutes <= 0) {
+        state = 'expired';
+      } else if (policy.warning_hours > 0 && remainingMinutes <= policy.warning_hours * 60) {
+        state = 'warning';
+      }
+
+      return {
+        order_unique_id: claim.order_unique_id,
+        order_id: claim.order_id,
+        account_code: claim.account_code,
+        claimed_by: claim.claimed_by,
+        claimed_at: claim.claimed_at,
+        minutes_claimed: minutesClaimed,
+        hours_claimed: roundHours(minutesClaimed),
+        hours_counted: roundHours(countedMinutes),
+        hours_left: state === 'exempt' ? null : roundHours(Math.max(0, remainingMinutes)),
+        expires_at: state === 'exempt' || remainingMinutes <= 0
+          ? null
+          : new Date(addCountedMinutes(nowIst, remainingMinutes, policy) - IST_OFFSET_MS),
+        claim_expiry_hours: policy.claim_expiry_hours,
+        expiry_warned: claim.expiry_warned,
+        state
+      };
+    });
+  }
+
+  /**
+   * Dry run: which claims would be auto-reversed or warned right now
+   * @param {Object} filters - { account_code, claimed_by }
+   * @returns {Promise<Object>} Preview result (nothing is changed)
+   */
+  async previewAutoReversal(filters = {}) {
+    try {
+      const claims = await this.evaluateOpenClaims(filters);
+      const reversals = claims.filter(claim => claim.state === 'expired');
+      const warnings = claims.filter(claim => claim.state === 'warning');
+
+      return {
+        success: true,
+        message: `${reversals.length} claim(s) would be auto-reversed, ${warnings.length} are within the warning window`,
+        data: {
+          total_checked: claims.length,
+          would_reverse: reversals.length,
+          exempt: claims.filter(claim => claim.state === 'exempt').length,
+          reversals,
+          warnings
+        }
+      };
+    } catch (error) {
+      console.error('❌ AUTO-REVERSE PREVIEW ERROR:', error);
+      return {
+        success: false,
+        message: 'Failed to preview auto-reversal',
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Execute auto-reversal for expired orders
    * @returns {Promise<Object>} Result of the auto-reversal operation
@@ -30,36 +208,21 @@ class AutoReversalService {
     console.log(`[${startTime.toISOString()}] 🔄 Starting auto-reversal process...`);
 
     try {
-      // Wait for database initialization
-      await database.waitForMySQLInitialization();
-      
-      if (!database.isMySQLAvailable()) {
-        throw new Error('Database connection not available');
-      }
+      const claims = await this.evaluateOpenClaims();
+      const expiredOrders = claims.filter(claim => claim.state === 'expired');
 
-      // Find orders that meet the auto-reversal criteria
-      const expiredOrdersQuery = `
-        SELECT order_unique_id, order_id, claimed_by, claimed_at, last_claimed_by, last_claimed_at
-        FROM claims 
-        WHERE status = 'claimed' 
-          AND label_downloaded = 0 
-          AND claimed_at < DATE_SUB(NOW(), INTERVAL 24 HOUR)
-      `;
-
-      const [expiredOrders] = await database.mysqlConnection.execute(expiredOrdersQuery);
-      
-      console.log(`🔍 Found ${expiredOrders.length} orders eligible for auto-reversal`);
+      console.log(`🔍 Checked ${claims.length} held claims, ${expiredOrders.length} eligible for auto-reversal`);
 
       if (expiredOrders.length === 0) {
         this.isRunning = false;
         this.lastRun = new Date();
         this.totalRuns++;
-        
+
         return {
           success: true,
           message: 'No orders found for auto-reversal',
           data: {
-            total_checked: 0,
+            total_checked: claims.length,
             auto_reversed: 0,
             details: [],
             execution_time_ms: Date.now() - startTime.getTime()
@@ -67,40 +230,37 @@ class AutoReversalService {
         };
       }
 
-      // Log details of orders to be auto-reversed
-      const details = expiredOrders.map(order => ({
-        order_unique_id: order.order_unique_id,
-        order_id: order.order_id,
-        claimed_by: order.claimed_by,
-        claimed_at: order.claimed_at,
-        hours_claimed: Math.round((new Date() - new Date(order.claimed_at)) / (1000 * 60 * 60))
-      }));
-
-      console.log('📋 Orders to be auto-reversed:');
-      details.forEach(detail => {
-        console.log(`  - ${detail.order_id} (${detail.order_unique_id}) - claimed by ${detail.claimed_by} for ${detail.hours_claimed} hours`);
-      });
-
-      // Auto-reverse the expired orders
-      const updateQuery = `
-        UPDATE claims SET 
-          status = 'unclaimed',
-          claimed_by = NULL,
-          claimed_at = NULL
-        WHERE status = 'claimed' 
-          AND label_downloaded = 0 
-          AND claimed_at < DATE_SUB(NOW(), INTERVAL 24 HOUR)
-      `;
-
-      const [updateResult] = await database.mysqlConnection.execute(updateQuery);
-      const affectedRows = updateResult.affectedRows;
+      // Reverse one claim at a time so a claim that was labelled or re-claimed meanwhile is left alone
+      const reversed = [];
+      for (const order of expiredOrders) {
+        if (await database.autoReverseClaim(order.order_unique_id, order.claimed_by, order.minutes_claimed)) {
+          reversed.push(order);
+          console.log(`  - ${order.order_id} (${order.order_unique_id}) - claimed by ${order.claimed_by} for ${order.hours_claimed} hours (${order.hours_counted} counted, limit ${order.claim_expiry_hours})`);
+        }
+      }
+      const affectedRows = reversed.length;
 
       console.log(`✅ AUTO-REVERSAL COMPLETE`);
       console.log(`  - Orders auto-reversed: ${affectedRows}`);
 
+      await orderEventService.recordMany(reversed.map(order => ({
+        order: { unique_id: order.order_unique_id, order_id: order.order_id, account_code: order.account_code },
+        eventType: orderEventService.EVENT_TYPES.AUTO_REVERSED,
+        actor: orderEventService.systemActor('autoReversalService'),
+        from_status: 'claimed',
+        to_status: 'unclaimed',
+        source: 'auto-reversal',
+        details: {
+          previous_claimed_by: order.claimed_by,
+          claimed_at: order.claimed_at,
+          hours_counted: order.hours_counted,
+          rule: `no label download within ${order.claim_expiry_hours} hours`
+        }
+      })));
+
       // Log the auto-reversal event
       const timestamp = new Date().toISOString();
-      console.log(`[${timestamp}] AUTO-REVERSAL: ${affectedRows} orders auto-reversed due to 24+ hour claim without label download`);
+      console.log(`[${timestamp}] AUTO-REVERSAL: ${affectedRows} orders auto-reversed due to expired claims without label download`);
 
       // Update service statistics
       this.isRunning = false;
@@ -112,9 +272,10 @@ class AutoReversalService {
         success: true,
         message: `Successfully auto-reversed ${affectedRows} expired orders`,
         data: {
-          total_checked: expiredOrders.length,
+          total_checked: claims.length,
           auto_reversed: affectedRows,
-          details: details,
+          skipped: expiredOrders.length - affectedRows,
+          details: reversed,
           reversed_at: timestamp,
           execution_time_ms: Date.now() - startTime.getTime()
         }
@@ -127,7 +288,7 @@ class AutoReversalService {
       this.isRunning = false;
       this.lastRun = new Date();
       this.totalRuns++;
-      
+
       return {
         success: false,
         message: 'Failed to auto-reverse expired orders',
@@ -138,9 +299,79 @@ class AutoReversalService {
   }
 
   /**
-   * Update is_critical flag on claims based on the 15-day rule:
-   *  - Critical (1): unclaimed orders with order_date older than 15 days
-   *  - Normal (0): everything else (claimed, or newer than 15 days)
+   * Warn vendors about claims that enter their store's warning window.
+   * Warnings are posted to the ClaimExpiryWebhookUrl utility; a claim is marked as warned
+   * (and the warning written to the order history) only once the webhook accepted it, so
+   * undelivered warnings are retried on the next run.
+   * @returns {Promise<Object>} Result with data.warned
+   */
+  async sendExpiryWarnings() {
+    try {
+      const claims = await this.evaluateOpenClaims();
+      const pending = claims.filter(claim => claim.state === 'warning' && !claim.expiry_warned);
+
+      if (pending.length === 0) {
+        return { success: true, message: 'No claims to warn about', data: { warned: 0 } };
+      }
+
+      const delivery = await webhookService.sendExpiryWarningWebhook(pending);
+      if (delivery.skipped) {
+        console.log(`⏰ Expiry warnings: ${pending.length} claim(s) not warned, ${delivery.message}`);
+        return {
+          success: true,
+          message: `${delivery.message}; ${pending.length} claim(s) not warned`,
+          data: { warned: 0, undelivered: pending.length }
+        };
+      }
+      if (!delivery.success) {
+        throw new Error(delivery.message);
+      }
+
+      await database.markClaimsExpiryWarned(pending.map(claim => claim.order_unique_id));
+
+      await orderEventService.recordMany(pending.map(claim => ({
+        order: { unique_id: claim.order_unique_id, order_id: claim.order_id, account_code: claim.account_code },
+        eventType: orderEventService.EVENT_TYPES.EXPIRY_WARNING,
+        actor: orderEventService.systemActor('autoReversalService'),
+        claimed_by: claim.claimed_by,
+        source: 'auto-reversal',
+        details: { expires_at: claim.expires_at, hours_left: claim.hours_left }
+      })));
+
+      const vendors = new Set(pending.map(claim => claim.claimed_by));
+      console.log(`⏰ Expiry warnings: ${pending.length} claim(s) across ${vendors.size} vendor(s)`);
+
+      return {
+        success: true,
+        message: `Warned ${vendors.size} vendor(s) about ${pending.length} claim(s)`,
+        data: { warned: pending.length, vendors: vendors.size }
+      };
+    } catch (error) {
+      console.error('❌ Expiry warning error:', error.message);
+      return {
+        success: false,
+        message: error.message,
+        data: { warned: 0 }
+      };
+    }
+  }
+
+  /**
+   * A vendor's claims that are in the warning window or already expired
+   * @param {string} warehouseId - Vendor warehouse ID
+   * @returns {Promise<Array>} Evaluated claims, soonest expiry first
+   */
+  async getExpiringClaimsForVendor(warehouseId) {
+    const claims = await this.evaluateOpenClaims({ claimed_by: warehouseId });
+    return claims
+      .filter(claim => claim.state === 'warning' || claim.state === 'expired')
+      .sort((a, b) => a.hours_left - b.hours_left);
+  }
+
+  /**
+   * Update is_critical flag on claims based on each store's criticality_days:
+   *  - Critical (1): unclaimed orders with order_date older than criticality_days
+   *  - Normal (0): everything else (claimed, or newer than criticality_days)
    * @returns {Promise<Object>} Result of the criticality update
    */
   async updateClaimsCriticality() {
@@ -167,19 +398,20 @@ class AutoReversalService {
       // Reset all to non-critical first
       await db.execute(`UPDATE claims SET is_critical = 0 WHERE is_critical = 1`);
 
-      // Mark unclaimed orders older than 15 days as critical
+      // Mark unclaimed orders older than the store's criticality_days as critical
       // Only consider visible orders (is_in_new_order=1 OR label_downloaded=1)
       // and within the number_of_day_of_order_include window
       const [result] = await db.execute(`
         UPDATE claims c
         JOIN orders o ON c.order_unique_id = o.unique_id
+        LEFT JOIN auto_reversal_policies p ON p.account_code = c.account_code
         SET c.is_critical = 1
         WHERE c.status = 'unclaimed'
           AND c.label_downloaded = 0
           AND o.is_in_new_order = 1
           AND o.order_date >= DATE_SUB(NOW(), INTERVAL ? DAY)
-          AND o.order_date < DATE_SUB(NOW(), INTERVAL 15 DAY)
-      `, [numberOfDays]);
+          AND o.order_date < DATE_SUB(NOW(), INTERVAL COALESCE(p.criticality_days, ?) DAY)
+      `, [numberOfDays, DEFAULT_POLICY.criticality_days]);
 
       return {
         success: true,
@@ -1,88 +1,130 @@
 require('dotenv').config();
-const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
 const database = require('../config/database');
+const shippingPartners = require('./shippingPartners');
+const pincodeRiskService = require('./pincodeRiskService');
+
+// Serviceability cache: hours an answer stays fresh unless the ServiceabilityCacheTtlHours utility says otherwise
+const DEFAULT_CACHE_TTL_HOURS = 24;
+// Background refresh: pincodes requested in the last 7 days that expire within 2 hours, 200 per run
+const HOT_PINCODE_DAYS = 7;
+const REFRESH_AHEAD_HOURS = 2;
+const REFRESH_BATCH_SIZE = 200;
+// Entries nobody asked for in this many days are deleted by the refresh job
+const UNUSED_ENTRY_DAYS = 30;
 
 class CarrierServiceabilityService {
   constructor() {
-    this.serviceabilityApiUrl = 'https://app.shipway.com/api/pincodeserviceable';
-    // Store credentials cache: account_code -> auth_token
-    this.storeCredentialsCache = new Map();
+    // Lookups in flight per store/pincode, so a bulk claim asks the partner once per pincode
+    this.inFlightLookups = new Map();
+    this.cacheStats = this.emptyCacheStats();
+  }
+
+  emptyCacheStats() {
+    return {
+      since: new Date().toISOString(),
+      hits: 0,
+      misses: 0,
+      refreshed: 0,
+      stale_fallbacks: 0,
+      errors: 0
+    };
   }
 
   /**
-   * Get store credentials for a given account_code
-   * @param {string} accountCode - The account_code to get credentials for
-   * @returns {string} The auth_token for the store
+   * Hours a cached serviceability answer stays fresh (ServiceabilityCacheTtlHours utility)
    */
-  async getStoreCredentials(accountCode) {
+  async getCacheTtlHours() {
+    const value = parseFloat(await database.getUtilityValue('ServiceabilityCacheTtlHours').catch(() => null));
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_CACHE_TTL_HOURS;
+  }
+
+  /**
+   * Check serviceability for a specific pincode, served from pincode_serviceability_cache while
+   * the entry is fresh. An expired or missing entry is fetched from the shipping partner; if that
+   * call fails, the last-known answer is returned instead of failing the claim.
+   * @param {string} pincode - The pincode to check
+   * @param {string} accountCode - The account_code for the store (REQUIRED)
+   * @param {Object} options - { forceRefresh } skips a fresh cache entry
+   * @returns {Promise<Array>} Array of serviceable carriers
+   */
+  async checkServiceability(pincode, accountCode, options = {}) {
     if (!accountCode) {
       throw new Error('account_code is required for checking serviceability');
     }
 
-    // Check cache first
-    if (this.storeCredentialsCache.has(accountCode)) {
-      return this.storeCredentialsCache.get(accountCode);
+    const pincodeKey = String(pincode || '').trim();
+    const key = `${accountCode}:${pincodeKey}`;
+    if (this.inFlightLookups.has(key)) {
+      return this.inFlightLookups.get(key);
     }
 
-    // Fetch from database
-    await database.waitForMySQLInitialization();
-    const store = await database.getStoreByAccountCode(accountCode);
-    
-    if (!store) {
-      throw new Error(`Store not found for account_code: ${accountCode}`);
-    }
-    
-    if (store.status !== 'active') {
-      throw new Error(`Store is not active: ${accountCode}`);
+    const lookup = this.lookupServiceability(pincodeKey, accountCode, options)
+      .finally(() => this.inFlightLookups.delete(key));
+    this.inFlightLookups.set(key, lookup);
+    return lookup;
+  }
+
+  async lookupServiceability(pincode, accountCode, { forceRefresh = false } = {}) {
+    let cached = null;
+    try {
+      cached = await database.getServiceabilityCacheEntry(accountCode, pincode);
+    } catch (error) {
+      console.error('⚠️ CARRIER SERVICEABILITY: Cache unavailable, asking the shipping partner:', error.message);
     }
-    
-    if (!store.auth_token) {
-      throw new Error(`Store auth_token not found for account_code: ${accountCode}`);
+
+    if (cached && !cached.is_expired && !forceRefresh) {
+      this.cacheStats.hits++;
+      database.markServiceabilityCacheHit(cached.id).catch(() => {});
+      console.log(`✅ CARRIER SERVICEABILITY: Cache hit for pincode ${pincode} (store: ${accountCode}), ${cached.carriers.length} carriers`);
+      return cached.carriers;
     }
 
-    // Cache the credentials
-    this.storeCredentialsCache.set(accountCode, store.auth_token);
-    
-    return store.auth_token;
+    this.cacheStats.misses++;
+
+    try {
+      const carriers = await this.fetchServiceability(pincode, accountCode);
+      const ttlHours = await this.getCacheTtlHours();
+      await database.saveServiceabilityCacheEntry(accountCode, pincode, carriers, ttlHours)
+        .catch(error => console.error('⚠️ CARRIER SERVICEABILITY: Could not cache serviceability:', error.message));
+      return carriers;
+    } catch (error) {
+      this.cacheStats.errors++;
+      if (!cached) {
+        throw error;
+      }
+
+      this.cacheStats.stale_fallbacks++;
+      database.recordServiceabilityCacheError(cached.id, error.message).catch(() => {});
+      console.log(`⚠️ CARRIER SERVICEABILITY: Using last-known serviceability for pincode ${pincode} (fetched ${cached.fetched_at})`);
+      return cached.carriers;
+    }
   }
 
   /**
-   * Check serviceability for a specific pincode
+   * Ask the store's shipping partner which carriers service a pincode (no cache)
    * @param {string} pincode - The pincode to check
    * @param {string} accountCode - The account_code for the store (REQUIRED)
    * @returns {Promise<Array>} Array of serviceable carriers
    */
-  async checkServiceability(pincode, accountCode) {
+  async fetchServiceability(pincode, accountCode) {
     try {
-      if (!accountCode) {
-        throw new Error('account_code is required for checking serviceability');
-      }
-
       console.log(`🔵 CARRIER SERVICEABILITY: Checking serviceability for pincode ${pincode} (store: ${accountCode})...`);
       
-      // Get store-specific credentials
-      const basicAuthHeader = await this.getStoreCredentials(accountCode);
-      
-      const response = await axios.get(`${this.serviceabilityApiUrl}?pincode=${pincode}`, {
-        timeout: 30000, // 30 seconds timeout
-        headers: {
-          'Authorization': basicAuthHeader,
-          'Content-Type': 'application/json',
-          'User-Agent': 'Clamio-Carrier-Service/1.0'
-        }
-      });
+      // Get the store's shipping partner adapter (store must be active)
+      const adapter = await shippingPartners.getAdapter(accountCode, { requireActive: true });
+
+      const data = await adapter.checkServiceability(pincode);
 
-      console.log('✅ CARRIER SERVICEABILITY: API response received');
-      console.log('  - Status:', response.status);
-      console.log('  - Success:', response.data.success);
+      console.log(`✅ CARRIER SERVICEABILITY: ${adapter.partnerName} API response received`);
+      console.log('  - Success:', data.success);
 
-      if (response.data.success !== 1) {
-        throw new Error(`Serviceability check failed: ${response.data.error || 'Unknown error'}`);
+      if (data.success !== 1) {
+        throw new Error(`Serviceability check failed: ${data.error || 'Unknown error'}`);
       }
 
-      const serviceableCarriers = response.data.message || [];
+      const serviceableCarriers = data.message || [];
       console.log(`  - Serviceable carriers found: ${serviceableCarriers.length}`);
 
       return serviceableCarriers;
@@ -778,10 +820,11 @@ class CarrierServiceabilityService {
         return JSON.stringify([]);
       }
       
-      // Sort by priority (ascending: 1, 2, 3...) and take top 3
+      // Sort by priority (ascending: 1, 2, 3...) and take top 3; equal priorities are ordered by
+      // the carrier's delivery score at this pincode (pincodeRiskService)
       // This automatically skips non-serviceable carriers and picks the next available ones
-      const top3Carriers = validCarriers
-        .sort((a, b) => a.priority - b.priority)
+      const rankedCarriers = await pincodeRiskService.rankCarriers(validCarriers, order.pincode);
+      const top3Carriers = rankedCarriers
         .slice(0, 3)
         .map(carrier => carrier.carrier_id);
       
@@ -804,6 +847,52 @@ class CarrierServiceabilityService {
     }
   }
 
+  /**
+   * Refresh hot cache entries (requested recently, expired or about to expire) before claims need
+   * them, and drop entries nobody has asked for in a month
+   * @returns {Promise<Object>} { candidates, refreshed, failed, removed }
+   */
+  async refreshHotPincodes() {
+    const candidates = await database.getServiceabilityCacheRefreshCandidates({
+      activeDays: HOT_PINCODE_DAYS,
+      refreshWithinHours: REFRESH_AHEAD_HOURS,
+      limit: REFRESH_BATCH_SIZE
+    });
+
+    const ttlHours = await this.getCacheTtlHours();
+    let refreshed = 0;
+    let failed = 0;
+    for (const entry of candidates) {
+      try {
+        const carriers = await this.fetchServiceability(entry.pincode, entry.account_code);
+        await database.saveServiceabilityCacheEntry(entry.account_code, entry.pincode, carriers, ttlHours, false);
+        refreshed++;
+      } catch (error) {
+        failed++;
+        await database.recordServiceabilityCacheError(entry.id, error.message).catch(() => {});
+      }
+    }
+    this.cacheStats.refreshed += refreshed;
+
+    const removed = await database.deleteUnusedServiceabilityCacheEntries(UNUSED_ENTRY_DAYS);
+
+    return { candidates: candidates.length, refreshed, failed, removed };
+  }
+
+  /**
+   * Serviceability cache statistics: hits/misses since this instance started and the cache size
+   * @returns {Promise<Object>}
+   */
+  async getCacheStatistics() {
+    const lookups = this.cacheStats.hits + this.cacheStats.misses;
+    return {
+      ...this.cacheStats,
+      hit_rate: lookups > 0 ? ((this.cacheStats.hits / lookups) * 100).toFixed(2) + '%' : null,
+      ttl_hours: await this.getCacheTtlHours(),
+      cache: await database.getServiceabilityCacheSummary().catch(error => ({ error: error.message }))
+    };
+  }
+
   /**
    * Get statistics about the assignment process
    * @returns {Promise<Object>} Statistics about orders and carriers
@@ -0,0 +1,254 @@
+/**
+ * Persistent Job Queue (MySQL-backed)
+ *
+ * Replaces the in-memory task store for async label/manifest/refresh operations.
+ * Jobs live in the `jobs` table, so they survive restarts and deploys and are
+ * visible to every instance:
+ *
+ *  - Workers claim queued jobs with a conditional UPDATE and hold a lease (locked_until)
+ *    that is extended by a heartbeat while the handler runs
+ *  - Jobs whose worker dies are re-queued once the lease expires (or failed when out of attempts)
+ *  - Failed attempts are retried with backoff up to max_attempts; handlers mark
+ *    business failures as non-retryable by throwing an error with retryable = false
+ *  - Handlers report progress through ctx.reportProgress(), which also surfaces cancellation
+ *  - Files a job produces are stored with ctx.saveFile() (job_files), not in the result
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const database = require('../config/database');
+
+const POLL_INTERVAL_MS = 2000;
+const LEASE_SECONDS = 120;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const RETENTION_HOURS = 24;
+const MAINTENANCE_INTERVAL_MS = 10 * 60 * 1000;
+
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.JOB_QUEUE_CONCURRENCY, 10) || 2;
+    this.activeJobs = 0;
+    this.pollTimer = null;
+    this.maintenanceTimer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type (e.g. 'download-label')
+   * @param {Function} handler - async (payload, ctx) => result
+   * @param {Object} options - { maxAttempts }
+   */
+  registerHandler(type, handler, { maxAttempts = 1 } = {}) {
+    this.handlers.set(type, { handler, maxAttempts });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Registered job type
+   * @param {Object} payload - JSON-serialisable job input
+   * @param {Object} options - { userId, maxAttempts }
+   * @returns {Promise<Object>} Created job
+   */
+  async enqueue(type, payload, { userId = null, maxAttempts = null } = {}) {
+    const registration = this.handlers.get(type);
+    if (!registration) {
+      throw new Error(`No job handler registered for type: ${type}`);
+    }
+
+    const job = await database.createJob({
+      id: crypto.randomUUID(),
+      type,
+      user_id: userId,
+      payload,
+      max_attempts: maxAttempts || registration.maxAttempts
+    });
+
+    console.log(`📋 Job [${job.id}] queued: type=${type}, user=${userId || 'system'}`);
+
+    // Pick it up right away instead of waiting for the next poll
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  /**
+   * Start polling for jobs (called once on server startup)
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    this.maintenanceTimer = setInterval(() => this.runMaintenance(), MAINTENANCE_INTERVAL_MS);
+    this.runMaintenance();
+
+    console.log(`✅ Job queue worker started (${this.workerId}, concurrency ${this.concurrency})`);
+  }
+
+  /**
+   * Stop polling. Running jobs keep their lease and are recovered by another worker if this process exits.
+   */
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.maintenanceTimer);
+    this.pollTimer = null;
+    this.maintenanceTimer = null;
+  }
+
+  /**
+   * Claim and start jobs until the concurrency limit is reached
+   */
+  async poll() {
+    if (this.isPolling || !database.isMySQLAvailable()) return;
+    this.isPolling = true;
+
+    try {
+      while (this.activeJobs < this.concurrency) {
+        const job = await database.claimNextJob(this.workerId, [...this.handlers.keys()], LEASE_SECONDS);
+        if (!job) break;
+
+        this.activeJobs++;
+        this.runJob(job).finally(() => {
+          this.activeJobs--;
+        });
+      }
+    } catch (error) {
+      console.error('❌ Job queue poll failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Run one claimed job and record its outcome
+   * @param {Object} job - Claimed job row
+   */
+  async runJob(job) {
+    const { handler } = this.handlers.get(job.type);
+    let cancelRequested = job.cancel_requested;
+    let lostLease = false;
+
+    const heartbeat = async (progress = null) => {
+      const state = await database.heartbeatJob(job.id, this.workerId, LEASE_SECONDS, progress);
+      if (!state) {
+        lostLease = true;
+        return;
+      }
+      cancelRequested = state.cancel_requested;
+    };
+
+    const heartbeatTimer = setInterval(() => {
+      heartbeat().catch(error => console.error(`⚠️ Job [${job.id}] heartbeat failed:`, error.message));
+    }, HEARTBEAT_INTERVAL_MS);
+
+    const ctx = {
+      job,
+      userId: job.user_id,
+      attempt: job.attempts,
+      /**
+       * Report progress (0-100). Throws when the job was cancelled, so handlers stop at the next checkpoint.
+       */
+      reportProgress: async (progress, message = null) => {
+        await heartbeat({ progress, message });
+        if (cancelRequested || lostLease) {
+          const error = new Error('Job cancelled');
+          error.cancelled = true;
+          throw error;
+        }
+      },
+      isCancelled: () => cancelRequested || lostLease,
+      /**
+       * Store a file the job produced (e.g. a PDF) in job_files and return the reference to put
+       * in the result; the client downloads it from GET /api/tasks/:taskId/file
+       */
+      saveFile: async (data, { contentType = 'application/octet-stream', filename = null } = {}) => {
+        const size = await database.saveJobFile(job.id, { data, content_type: contentType, filename });
+        return { url: `/api/tasks/${job.id}/file`, contentType, filename, size };
+      }
+    };
+
+    console.log(`🚀 Job [${job.id}] started: type=${job.type}, attempt ${job.attempts}/${job.max_attempts}`);
+
+    try {
+      const result = await handler(job.payload || {}, ctx);
+
+      // A cancel request that arrives after the last checkpoint does not undo the work:
+      // the handler finished and its result (and files) are stored
+      await database.finishJob(job.id, this.workerId, { status: 'completed', result: result === undefined ? null : result });
+      console.log(`✅ Job [${job.id}] completed${cancelRequested ? ' (cancel requested too late)' : ''}`);
+    } catch (error) {
+      await this.handleJobError(job, error, cancelRequested);
+    } finally {
+      clearInterval(heartbeatTimer);
+    }
+  }
+
+  /**
+   * Record a failed attempt: cancel, retry with backoff, or fail permanently
+   */
+  async handleJobError(job, error, cancelRequested) {
+    try {
+      if (error.cancelled || cancelRequested) {
+        await database.finishJob(job.id, this.workerId, { status: 'cancelled', error: 'Cancelled by user' });
+        console.log(`🛑 Job [${job.id}] cancelled`);
+        return;
+      }
+
+      const canRetry = error.retryable !== false && job.attempts < job.max_attempts;
+      if (canRetry) {
+        const delaySeconds = Math.min(15 * Math.pow(2, job.attempts - 1), 600);
+        await database.retryJob(job.id, this.workerId, error.message, delaySeconds);
+        console.log(`🔁 Job [${job.id}] attempt ${job.attempts} failed, retrying in ${delaySeconds}s: ${error.message}`);
+        return;
+      }
+
+      await database.finishJob(job.id, this.workerId, {
+        status: 'failed',
+        result: error.result || null,
+        error: error.message
+      });
+      console.log(`❌ Job [${job.id}] failed: ${error.message}`);
+    } catch (dbError) {
+      // Lease expiry will recover the job if its state could not be recorded
+      console.error(`❌ Job [${job.id}] could not record failure:`, dbError.message);
+    }
+  }
+
+  /**
+   * Recover jobs from dead workers and drop old finished jobs
+   */
+  async runMaintenance() {
+    if (!database.isMySQLAvailable()) return;
+
+    try {
+      const recovered = await database.recoverExpiredJobs();
+      if (recovered.requeued > 0 || recovered.failed > 0) {
+        console.log(`🧹 Job queue: ${recovered.requeued} expired job(s) re-queued, ${recovered.failed} closed`);
+      }
+
+      const deleted = await database.deleteFinishedJobsOlderThan(RETENTION_HOURS);
+      if (deleted > 0) {
+        console.log(`🧹 Job queue cleanup: removed ${deleted} finished job(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Job queue maintenance failed:', error.message);
+    }
+  }
+
+  /**
+   * Build an error that fails the job without further retries
+   * @param {string} message
+   * @param {Object} result - Optional result payload to keep on the failed job
+   * @returns {Error}
+   */
+  permanentError(message, result = null) {
+    const error = new Error(message);
+    error.retryable = false;
+    error.result = result;
+    return error;
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,485 @@
+/**
+ * Label Render Service
+ * Lays courier labels (4x6 PDFs) out on pages according to a label template
+ * (config/labelTemplates.js, label_templates table): grid, margins, rotation and an
+ * optional packing-slip panel with the order's SKU/size/qty and the store's brand logo.
+ */
+
+const fetch = require('node-fetch');
+const { PDFDocument, StandardFonts, rgb, degrees } = require('pdf-lib');
+const database = require('../config/database');
+const { BUILTIN_TEMPLATES, normalizeLayout } = require('../config/labelTemplates');
+
+const LOGO_CACHE_TTL_MS = 10 * 60 * 1000;
+const SLIP_PADDING = 6;
+const SLIP_GAP = 4;
+
+const SAMPLE_ITEMS = [
+  { product_code: 'SAMPLE-TSHIRT-M', product_name: 'Sample T-Shirt', size: 'M', quantity: 2 },
+  { product_code: 'SAMPLE-JERSEY-L', product_name: 'Sample Jersey', size: 'L', quantity: 1 }
+];
+
+/**
+ * Standard PDF fonts only encode WinAnsi; replace anything else
+ */
+const printable = (value) => String(value === null || value === undefined ? '' : value).replace(/[^\x20-\x7E]/g, '?');
+
+/**
+ * Shorten text with "..." until it fits maxWidth
+ */
+function fitText(text, font, size, maxWidth) {
+  let value = printable(text);
+  if (font.widthOfTextAtSize(value, size) <= maxWidth) return value;
+  while (value.length > 1 && font.widthOfTextAtSize(`${value}...`, size) > maxWidth) {
+    value = value.slice(0, -1);
+  }
+  return `${value}...`;
+}
+
+/**
+ * Identifies a label within one render (order IDs are unique per store)
+ */
+const labelKey = (label) => `${label.account_code || ''}|${label.order_id}`;
+
+/**
+ * Grid cells of a layout, row by row from the top-left
+ * @returns {Array<Object>} [{ x, y, width, height }]
+ */
+function layoutCells(layout) {
+  const { page, columns, rows, margins, gap } = layout;
+  const width = (page.width - margins.left - margins.right - gap.x * (columns - 1)) / columns;
+  const height = (page.height - margins.top - margins.bottom - gap.y * (rows - 1)) / rows;
+
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      cells.push({
+        x: margins.left + column * (width + gap.x),
+        y: page.height - margins.top - (row + 1) * height - row * gap.y,
+        width,
+        height
+      });
+    }
+  }
+  return cells;
+}
+
+/**
+ * Split a cell into the label area and the packing-slip area
+ */
+function splitCell(cell, slip) {
+  if (!slip.enabled) return { labelArea: cell, slipArea: null };
+
+  if (slip.position === 'bottom') {
+    return {
+      labelArea: { x: cell.x, y: cell.y + slip.size + SLIP_GAP, width: cell.width, height: cell.height - slip.size - SLIP_GAP },
+      slipArea: { x: cell.x, y: cell.y, width: cell.width, height: slip.size }
+    };
+  }
+  return {
+    labelArea: { x: cell.x, y: cell.y, width: cell.width - slip.size - SLIP_GAP, height: cell.height },
+    slipArea: { x: cell.x + cell.width - slip.size, y: cell.y, width: slip.size, height: cell.height }
+  };
+}
+
+/**
+ * Draw an embedded label page centered in an area, scaled and rotated per the layout
+ */
+function drawLabel(page, embedded, area, layout) {
+  const sideways = layout.rotation % 180 !== 0;
+  let width = layout.scale === 'actual' ? layout.label_size.width : embedded.width;
+  let height = layout.scale === 'actual' ? layout.label_size.height : embedded.height;
+
+  const footprintWidth = sideways ? height : width;
+  const footprintHeight = sideways ? width : height;
+  let scale = Math.min(area.width / footprintWidth, area.height / footprintHeight);
+  if (layout.scale === 'actual') scale = Math.min(1, scale);
+
+  width *= scale;
+  height *= scale;
+  const drawnWidth = footprintWidth * scale;
+  const drawnHeight = footprintHeight * scale;
+  const left = area.x + (area.width - drawnWidth) / 2;
+  const bottom = area.y + (area.height - drawnHeight) / 2;
+
+  // pdf-lib rotates counter-clockwise around the drawing origin
+  const origins = {
+    0: [left, bottom],
+    90: [left + drawnWidth, bottom],
+    180: [left + drawnWidth, bottom + drawnHeight],
+    270: [left, bottom + drawnHeight]
+  };
+  const [x, y] = origins[layout.rotation];
+
+  page.drawPage(embedded, { x, y, width, height, rotate: degrees(layout.rotation) });
+}
+
+class LabelRenderService {
+  constructor() {
+    this.logoCache = new Map();
+  }
+
+  /**
+   * Template for a label format code: the store's template, else a global one, else built-in
+   * @param {string} code - Template code (the label `format`)
+   * @param {string} accountCode - Store account code
+   * @returns {Promise<Object|null>} { code, name, source, layout } or null if unknown
+   */
+  async resolveTemplate(code, accountCode = null) {
+    try {
+      const stored = await database.getLabelTemplateByCode(code, accountCode);
+      if (stored) {
+        return {
+          id: stored.id,
+          code,
+          name: stored.name,
+          source: stored.account_code ? 'store' : 'global',
+          layout: normalizeLayout(stored.layout)
+        };
+      }
+    } catch (error) {
+      console.error(`⚠️ [Labels] Could not load template ${code}, using built-in:`, error.message);
+    }
+
+    const builtin = BUILTIN_TEMPLATES[code];
+    return builtin
+      ? { id: null, code, name: builtin.name, source: 'builtin', layout: normalizeLayout(builtin.layout) }
+      : null;
+  }
+
+  /**
+   * Label formats available to a store (built-in, global and store templates; the most specific wins)
+   * @param {string} accountCode - Optional store account code
+   * @returns {Promise<Array>} [{ id, code, name, source, account_code, layout }]
+   */
+  async listTemplates(accountCode = null) {
+    const templates = new Map();
+    for (const [code, builtin] of Object.entries(BUILTIN_TEMPLATES)) {
+      templates.set(code, { id: null, code, name: builtin.name, source: 'builtin', account_code: null, layout: normalizeLayout(builtin.layout) });
+    }
+
+    const stored = await database.getLabelTemplates(accountCode);
+    // Store templates come after global ones for the same code
+    for (const row of stored) {
+      const entry = {
+        id: row.id,
+        code: row.code,
+        name: row.name,
+        source: row.account_code ? 'store' : 'global',
+        account_code: row.account_code,
+        layout: normalizeLayout(row.layout)
+      };
+      // Without a store, list every store's templates next to the global ones
+      templates.set(row.account_code && !accountCode ? `${row.code}|${row.account_code}` : row.code, entry);
+    }
+    return [...templates.values()];
+  }
+
+  /**
+   * Download label PDFs in parallel
+   * @param {Array} labels - [{ order_id, shipping_url }]
+   * @returns {Promise<Array>} The labels, with pdfBuffer if they downloaded or error if not
+   */
+  async downloadLabels(labels) {
+    console.log(`⚡ Downloading ${labels.length} PDFs in parallel...`);
+
+    return Promise.all(labels.map(async (label) => {
+      if (label.pdfBuffer) return label;
+      try {
+        const response = await fetch(label.shipping_url);
+        if (!response.ok) {
+          console.log(`    ⚠️ Failed to fetch label for order ${label.order_id}:`, response.status);
+          return { ...label, error: `HTTP ${response.status}` };
+        }
+        const pdfBuffer = await response.arrayBuffer();
+        console.log(`    ✅ Downloaded label for order ${label.order_id} (${pdfBuffer.byteLength} bytes)`);
+        return { ...label, pdfBuffer };
+      } catch (error) {
+        console.log(`    ❌ Error downloading label for order ${label.order_id}:`, error.message);
+        return { ...label, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Brand logo bytes of a store (cached; null if none or unreadable)
+   * @param {string} url - store_info.brand_logo_url
+   * @returns {Promise<Object|null>} { bytes, type: 'png'|'jpg' }
+   */
+  async getLogo(url) {
+    if (!url) return null;
+
+    const cached = this.logoCache.get(url);
+    if (cached && cached.expiresAt > Date.now()) return cached.logo;
+
+    let logo = null;
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const bytes = Buffer.from(await response.arrayBuffer());
+      if (bytes[0] === 0x89 && bytes[1] === 0x50) logo = { bytes, type: 'png' };
+      else if (bytes[0] === 0xFF && bytes[1] === 0xD8) logo = { bytes, type: 'jpg' };
+      else throw new Error('not a PNG or JPEG image');
+    } catch (error) {
+      console.log(`⚠️ [Labels] Brand logo ${url} not usable: ${error.message}`);
+    }
+
+    this.logoCache.set(url, { logo, expiresAt: Date.now() + LOGO_CACHE_TTL_MS });
+    return logo;
+  }
+
+  /**
+   * Render labels into one PDF using the template of each label's store
+   * @param {Array} labels - [{ order_id, account_code, awb, shipping_url | pdfBuffer, items? }]
+   * @param {string} format - Template code
+   * @param {Object} options - { fillPage } repeats a single label over every cell of the page
+   * @returns {Promise<Object>} { pdf: Buffer, rendered, skipped: [{ order_id, account_code, reason }] }
+   * @throws {Error} If none of the labels could be drawn
+   */
+  async render(labels, format, options = {}) {
+    const templatesByStore = new Map();
+    for (const accountCode of new Set(labels.map(label => label.account_code || null))) {
+      let template = await this.resolveTemplate(format, accountCode);
+      if (!template) {
+        console.log(`⚠️ [Labels] Unknown label format "${format}" for ${accountCode || 'store'}, using thermal`);
+        template = await this.resolveTemplate('thermal', accountCode);
+      }
+      templatesByStore.set(accountCode, template);
+    }
+
+    const downloads = await this.downloadLabels(labels);
+    const downloaded = downloads.filter(label => label.pdfBuffer);
+    const needsSlip = [...templatesByStore.values()].some(template => !template.layout.passthrough && template.layout.packing_slip.enabled);
+    const entries = needsSlip ? await this.withPackingSlipData(downloaded) : downloaded;
+
+    const doc = await PDFDocument.create();
+
+    // Labels sharing a template share pages; groups keep the order of first appearance
+    const groups = new Map();
+    for (const entry of entries) {
+      const template = templatesByStore.get(entry.account_code || null);
+      const key = template.id || `builtin:${template.code}`;
+      if (!groups.has(key)) groups.set(key, { template, entries: [] });
+      groups.get(key).entries.push(entry);
+    }
+
+    const drawn = new Set();
+    for (const { template, entries: groupEntries } of groups.values()) {
+      const groupDrawn = await this.renderGroup(doc, groupEntries, template.layout, options);
+      groupDrawn.forEach(entry => drawn.add(labelKey(entry)));
+    }
+
+    const skipped = downloads
+      .filter(label => !drawn.has(labelKey(label)))
+      .map(label => ({
+        order_id: label.order_id,
+        account_code: label.account_code || null,
+        reason: label.error || 'Label PDF could not be read'
+      }));
+
+    if (drawn.size === 0) {
+      const reasons = skipped.map(label => `${label.order_id}: ${label.reason}`).join('; ');
+      throw new Error(`No label could be rendered${reasons ? ` (${reasons})` : ''}`);
+    }
+
+    console.log(`✅ Rendered ${drawn.size} label(s) in ${format} format${skipped.length > 0 ? `, skipped ${skipped.length}` : ''}`);
+    return { pdf: Buffer.from(await doc.save()), rendered: drawn.size, skipped };
+  }
+
+  /**
+   * Add packing-slip data (items, store name, logo) to downloaded labels
+   */
+  async withPackingSlipData(entries) {
+    const missingItems = entries.filter(entry => !entry.items).map(entry => entry.order_id);
+    const itemRows = missingItems.length > 0 ? await database.getOrderItemsForLabels(missingItems) : [];
+
+    const stores = new Map();
+    for (const accountCode of new Set(entries.map(entry => entry.account_code).filter(Boolean))) {
+      try {
+        stores.set(accountCode, await database.getStoreByAccountCode(accountCode));
+      } catch (error) {
+        console.log(`⚠️ [Labels] Could not load store ${accountCode}: ${error.message}`);
+      }
+    }
+
+    return Promise.all(entries.map(async (entry) => {
+      const store = stores.get(entry.account_code) || null;
+      return {
+        ...entry,
+        items: entry.items || itemRows.filter(row =>
+          row.order_id === entry.order_id && (!entry.account_code || row.account_code === entry.account_code)),
+        store_name: store ? store.store_name : null,
+        logo: store ? await this.getLogo(store.brand_logo_url) : null
+      };
+    }));
+  }
+
+  /**
+   * Render labels that share a layout into doc
+   * @returns {Promise<Array>} The entries that were drawn (unreadable label PDFs are left out)
+   */
+  async renderGroup(doc, entries, layout, options = {}) {
+    // Load every label first, so an unreadable one leaves neither an empty cell nor a blank page
+    const loaded = [];
+    for (const entry of entries) {
+      try {
+        loaded.push({ entry, source: await PDFDocument.load(entry.pdfBuffer) });
+      } catch (error) {
+        console.log(`    ❌ Error processing label for order ${entry.order_id}:`, error.message);
+      }
+    }
+
+    if (layout.passthrough) {
+      for (const { source } of loaded) {
+        const pages = await doc.copyPages(source, source.getPageIndices());
+        pages.forEach(page => doc.addPage(page));
+      }
+      return loaded.map(({ entry }) => entry);
+    }
+
+    const cells = layoutCells(layout);
+    const slip = layout.packing_slip;
+    const fonts = slip.enabled && loaded.length > 0
+      ? { regular: await doc.embedFont(StandardFonts.Helvetica), bold: await doc.embedFont(StandardFonts.HelveticaBold) }
+      : null;
+    const logos = new Map();
+    const drawn = new Set();
+
+    const queue = options.fillPage && loaded.length === 1 ? cells.map(() => loaded[0]) : loaded;
+
+    for (let i = 0; i < queue.length; i += cells.length) {
+      const page = doc.addPage([layout.page.width, layout.page.height]);
+      const batch = queue.slice(i, i + cells.length);
+
+      for (let j = 0; j < batch.length; j++) {
+        const { entry, source } = batch[j];
+        const { labelArea, slipArea } = splitCell(cells[j], slip);
+
+        try {
+          const [embedded] = await doc.embedPages([source.getPage(0)]);
+          drawLabel(page, embedded, labelArea, layout);
+          drawn.add(entry);
+
+          if (slipArea) {
+            let logo = null;
+            if (slip.show_logo && entry.logo) {
+              if (!logos.has(entry.logo)) {
+                logos.set(entry.logo, entry.logo.type === 'png' ? await doc.embedPng(entry.logo.bytes) : await doc.embedJpg(entry.logo.bytes));
+              }
+              logo = logos.get(entry.logo);
+            }
+            this.drawPackingSlip(page, slipArea, entry, slip, fonts, logo);
+          }
+        } catch (error) {
+          console.log(`    ❌ Error processing label for order ${entry.order_id}:`, error.message);
+        }
+      }
+    }
+
+    return [...drawn];
+  }
+
+  /**
+   * Draw the packing-slip panel: logo, store, order, AWB and one line per item
+   */
+  drawPackingSlip(page, area, entry, slip, fonts, logo) {
+    const size = slip.font_size;
+    const lineHeight = size * 1.35;
+    const innerWidth = area.width - 2 * SLIP_PADDING;
+    const minY = area.y + SLIP_PADDING;
+    let y = area.y + area.height - SLIP_PADDING;
+
+    page.drawRectangle({
+      x: area.x, y: area.y, width: area.width, height: area.height,
+      borderColor: rgb(0, 0, 0), borderWidth: 0.75
+    });
+
+    if (logo) {
+      const maxHeight = Math.min(40, area.height / 4);
+      const scale = Math.min(innerWidth / logo.width, maxHeight / logo.height, 1);
+      const width = logo.width * scale;
+      const height = logo.height * scale;
+      page.drawImage(logo, { x: area.x + (area.width - width) / 2, y: y - height, width, height });
+      y -= height + SLIP_GAP;
+    }
+
+    const line = (text, font = fonts.regular) => {
+      y -= lineHeight;
+      page.drawText(fitText(text, font, size, innerWidth), { x: area.x + SLIP_PADDING, y, size, font });
+    };
+
+    if (entry.store_name) line(entry.store_name, fonts.bold);
+    line(`Order: ${entry.order_id}`);
+    if (entry.awb) line(`AWB: ${entry.awb}`);
+    y -= lineHeight / 2;
+    line('SKU / Size / Qty', fonts.bold);
+
+    const items = entry.items || [];
+    for (let i = 0; i < items.length; i++) {
+      const remaining = items.length - i;
+      // Keep the last line for "+N more" when the items don't fit
+      if (y - 2 * lineHeight < minY && remaining > 1) {
+        line(`+${remaining} more item(s)`, fonts.bold);
+        break;
+      }
+      if (y - lineHeight < minY) break;
+
+      const item = items[i];
+      const suffix = ` ${item.size || '-'} x ${item.quantity || 1}`;
+      const suffixWidth = fonts.regular.widthOfTextAtSize(printable(suffix), size);
+      y -= lineHeight;
+      page.drawText(fitText(item.product_code || item.product_name, fonts.regular, size, innerWidth - suffixWidth), {
+        x: area.x + SLIP_PADDING, y, size, font: fonts.regular
+      });
+      page.drawText(printable(suffix), {
+        x: area.x + area.width - SLIP_PADDING - suffixWidth, y, size, font: fonts.regular
+      });
+    }
+  }
+
+  /**
+   * Sample 4x6 label used for previews
+   * @returns {Promise<Buffer>}
+   */
+  async createSampleLabel(orderId) {
+    const doc = await PDFDocument.create();
+    const page = doc.addPage([288, 432]);
+    const font = await doc.embedFont(StandardFonts.HelveticaBold);
+
+    page.drawRectangle({ x: 6, y: 6, width: 276, height: 420, borderColor: rgb(0, 0, 0), borderWidth: 2 });
+    page.drawText('SAMPLE LABEL', { x: 60, y: 300, size: 24, font });
+    page.drawText(printable(orderId), { x: 60, y: 260, size: 14, font });
+    page.drawRectangle({ x: 40, y: 60, width: 208, height: 80, color: rgb(0.85, 0.85, 0.85) });
+    return Buffer.from(await doc.save());
+  }
+
+  /**
+   * Preview a layout with sample labels (one page)
+   * @param {Object} layout - Template layout (partial layouts are filled with defaults)
+   * @param {string} accountCode - Optional store, for its brand logo and name
+   * @returns {Promise<Buffer>} PDF
+   */
+  async renderPreview(layout, accountCode = null) {
+    const fullLayout = normalizeLayout(layout);
+    const count = fullLayout.passthrough ? 1 : fullLayout.columns * fullLayout.rows;
+
+    const labels = [];
+    for (let i = 1; i <= count; i++) {
+      const orderId = `SAMPLE-${1000 + i}`;
+      labels.push({
+        order_id: orderId,
+        account_code: accountCode,
+        awb: `AWB${100000 + i}`,
+        items: SAMPLE_ITEMS,
+        pdfBuffer: await this.createSampleLabel(orderId)
+      });
+    }
+
+    const entries = fullLayout.packing_slip.enabled ? await this.withPackingSlipData(labels) : labels;
+    const doc = await PDFDocument.create();
+    await this.renderGroup(doc, entries, fullLayout);
+    return Buffer.from(await doc.save());
+  }
+}
+
+module.exports = new LabelRenderService();
@@ -0,0 +1,312 @@
+/**
+ * NDR Service
+ * Non-delivery report (NDR) workflow: tracking sync opens a case when a shipment
+ * fails delivery, counts further failed attempts and closes the case on delivery or RTO.
+ * Ops act on open cases (re-attempt, new address or phone, RTO) through the store's
+ * shipping partner, and customers are contacted through the NDR webhook.
+ */
+
+const database = require('../config/database');
+const shippingPartners = require('./shippingPartners');
+const orderEventService = require('./orderEventService');
+
+const ACTIONS = {
+  RE_ATTEMPT: 're_attempt',
+  CHANGE_ADDRESS: 'change_address',
+  CHANGE_PHONE: 'change_phone',
+  RTO: 'rto'
+};
+
+// Normalized statuses (ShipmentStatusMapping "renamed") that mean a failed delivery attempt
+const NDR_STATUSES = ['undelivered', 'delivery attempted', 'delivery reattempt', 'consignee unavailable', 'consignee refused'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const PHONE_PATTERN = /^[6-9]\d{9}$/;
+const PINCODE_PATTERN = /^\d{6}$/;
+
+const isRTOStatus = (status) => String(status || '').toLowerCase().includes('rto');
+
+/**
+ * Latest dated tracking activity ({ date, activity, location }), ignoring placeholder dates
+ */
+function latestActivity(activities) {
+  const valid = (activities || []).filter(activity =>
+    activity && activity.date && activity.date.trim() && activity.date !== '1970-01-01 05:30:00');
+  if (valid.length === 0) return null;
+  return valid.reduce((latest, activity) => (new Date(activity.date) > new Date(latest.date) ? activity : latest));
+}
+
+// Courier activity dates are already 'YYYY-MM-DD HH:MM:SS' (IST); keep them as they are
+const toDateTime = (date) => (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(date)
+  ? date
+  : new Date(date).toISOString().slice(0, 19).replace('T', ' '));
+
+class NdrService {
+  constructor() {
+    this.ACTIONS = ACTIONS;
+  }
+
+  /**
+   * Whether a tracking status is a non-delivery report
+   * @param {string} rawStatus - Status code from the shipping partner (e.g. SHNDR16)
+   * @param {string} normalizedStatus - Status after ShipmentStatusMapping
+   * @returns {boolean}
+   */
+  isNdrStatus(rawStatus, normalizedStatus) {
+    if (isRTOStatus(rawStatus) || isRTOStatus(normalizedStatus)) return false;
+    return /ndr/i.test(rawStatus || '') || NDR_STATUSES.includes(String(normalizedStatus || '').trim().toLowerCase());
+  }
+
+  /**
+   * NDR reason for order_tracking.ndr_reason: the courier's latest activity text, else the status
+   * @returns {string|null} Reason, or null when the status is not an NDR
+   */
+  getNdrReason(rawStatus, normalizedStatus, activities) {
+    if (!this.isNdrStatus(rawStatus, normalizedStatus)) return null;
+    const activity = latestActivity(activities);
+    return String((activity && activity.activity) || normalizedStatus || rawStatus).slice(0, 255);
+  }
+
+  /**
+   * Open, update or close the NDR case of a shipment from its latest tracking status.
+   * A new failed attempt is counted when the status moves into an NDR status or the
+   * courier reports an NDR activity newer than the last one recorded.
+   * @param {Object} update - { orderId, accountCode, awb, rawStatus, normalizedStatus, oldStatus, activities }
+   * @returns {Promise<Object>} { raised, closed, ndrCase }
+   */
+  async handleTrackingUpdate({ orderId, accountCode, awb, rawStatus, normalizedStatus, oldStatus, activities }) {
+    const ndrCase = await database.getNdrCaseByAwb(accountCode, awb);
+
+    if (this.isNdrStatus(rawStatus, normalizedStatus)) {
+      const activity = latestActivity(activities);
+      const ndrAt = activity ? toDateTime(activity.date) : toDateTime(Date.now());
+      const ndr = {
+        order_id: orderId,
+        account_code: accountCode,
+        awb,
+        ndr_reason: this.getNdrReason(rawStatus, normalizedStatus, activities),
+        shipment_status: normalizedStatus,
+        ndr_at: ndrAt
+      };
+
+      if (!ndrCase) {
+        const created = await database.createNdrCase(ndr);
+        await this.recordEvent(created, orderEventService.EVENT_TYPES.NDR_RAISED, {
+          from_status: oldStatus,
+          to_status: normalizedStatus,
+          details: { awb, reason: created.ndr_reason, attempts: created.attempts }
+        });
+        console.log(`📭 [NDR] Case opened for order ${orderId} (AWB ${awb}): ${created.ndr_reason}`);
+        return { raised: true, closed: false, ndrCase: created };
+      }
+
+      // RTO already requested: the courier may report failed attempts until the return starts
+      if (ndrCase.resolution === 'rto_requested') {
+        await database.updateNdrCaseShipmentStatus(ndrCase.id, normalizedStatus);
+        return { raised: false, closed: false, ndrCase };
+      }
+
+      const newActivity = activity && new Date(ndrAt) > new Date(ndrCase.last_ndr_at);
+      const enteredNdr = oldStatus !== normalizedStatus && !this.isNdrStatus(null, oldStatus);
+      if (newActivity || enteredNdr || ndrCase.status === 'closed') {
+        const updated = await database.recordNdrAttempt(ndrCase.id, ndr);
+        await this.recordEvent(updated, orderEventService.EVENT_TYPES.NDR_RAISED, {
+          from_status: oldStatus,
+          to_status: normalizedStatus,
+          details: { awb, reason: updated.ndr_reason, attempts: updated.attempts }
+        });
+        console.log(`📭 [NDR] Attempt ${updated.attempts} failed for order ${orderId} (AWB ${awb}): ${updated.ndr_reason}`);
+        return { raised: true, closed: false, ndrCase: updated };
+      }
+
+      await database.updateNdrCaseShipmentStatus(ndrCase.id, normalizedStatus);
+      return { raised: false, closed: false, ndrCase };
+    }
+
+    if (!ndrCase || ndrCase.status === 'closed') {
+      return { raised: false, closed: false, ndrCase };
+    }
+
+    const resolution = String(normalizedStatus).toLowerCase() === 'delivered'
+      ? 'delivered'
+      : (isRTOStatus(normalizedStatus) ? 'rto' : null);
+
+    if (!resolution) {
+      // Back in transit or out for delivery after an action; keep the case until it resolves
+      await database.updateNdrCaseShipmentStatus(ndrCase.id, normalizedStatus);
+      return { raised: false, closed: false, ndrCase };
+    }
+
+    await database.closeNdrCase(ndrCase.id, resolution, normalizedStatus);
+    await this.recordEvent(ndrCase, orderEventService.EVENT_TYPES.NDR_CLOSED, {
+      from_status: oldStatus,
+      to_status: normalizedStatus,
+      details: { awb, resolution, attempts: ndrCase.attempts }
+    });
+    console.log(`📬 [NDR] Case closed for order ${orderId} (AWB ${awb}): ${resolution}`);
+    return { raised: false, closed: true, ndrCase: { ...ndrCase, status: 'closed', resolution } };
+  }
+
+  /**
+   * Validate an action request and keep only the fields the action uses
+   * @param {string} action - One of ACTIONS
+   * @param {Object} body - Request body
+   * @returns {{ error: string|null, details: Object }}
+   */
+  validateAction(action, body = {}) {
+    const details = {};
+    if (body.remarks !== undefined) details.remarks = String(body.remarks).slice(0, 500);
+
+    switch (action) {
+      case ACTIONS.RE_ATTEMPT:
+        if (body.re_attempt_date !== undefined) {
+          if (!DATE_PATTERN.test(body.re_attempt_date) || isNaN(Date.parse(body.re_attempt_date))) {
+            return { error: 're_attempt_date must be a date (YYYY-MM-DD)', details };
+          }
+          details.re_attempt_date = body.re_attempt_date;
+        }
+        break;
+      case ACTIONS.CHANGE_ADDRESS:
+        if (!body.address || typeof body.address !== 'string' || !body.address.trim()) {
+          return { error: 'address is required', details };
+        }
+        if (body.pincode !== undefined && !PINCODE_PATTERN.test(String(body.pincode))) {
+          return { error: 'pincode must be 6 digits', details };
+        }
+        details.address = body.address.trim();
+        ['address2', 'city', 'state'].forEach(field => {
+          if (body[field]) details[field] = String(body[field]).trim();
+        });
+        if (body.pincode !== undefined) details.pincode = String(body.pincode);
+        if (body.phone !== undefined) {
+          if (!PHONE_PATTERN.test(String(body.phone))) {
+            return { error: 'phone must be a 10-digit mobile number', details };
+          }
+          details.phone = String(body.phone);
+        }
+        break;
+      case ACTIONS.CHANGE_PHONE:
+        if (!PHONE_PATTERN.test(String(body.phone || ''))) {
+          return { error: 'phone must be a 10-digit mobile number', details };
+        }
+        details.phone = String(body.phone);
+        break;
+      case ACTIONS.RTO:
+        break;
+      default:
+        return { error: `action must be one of: ${Object.values(ACTIONS).join(', ')}`, details };
+    }
+
+    return { error: null, details };
+  }
+
+  /**
+   * Push an action for an open NDR case to the store's shipping partner and record it
+   * @param {number} caseId - NDR case ID
+   * @param {string} action - One of ACTIONS
+   * @param {Object} details - validateAction() details
+   * @param {Object} user - req.user
+   * @returns {Promise<Object>} Updated case and the partner response
+   */
+  async takeAction(caseId, action, details, user) {
+    const ndrCase = await database.getNdrCaseById(caseId);
+    if (!ndrCase) {
+      const notFound = new Error('NDR case not found');
+      notFound.statusCode = 404;
+      throw notFound;
+    }
+    if (ndrCase.status === 'closed') {
+      const closed = new Error(`NDR case is closed (${ndrCase.resolution || 'resolved'})`);
+      closed.statusCode = 409;
+      throw closed;
+    }
+
+    const adapter = await shippingPartners.getAdapter(ndrCase.account_code);
+
+    let partnerResponse;
+    try {
+      partnerResponse = await adapter.submitNdrAction(ndrCase.awb, action, details);
+    } catch (error) {
+      const message = error.response?.data?.message || error.message;
+      console.error(`❌ [NDR] ${adapter.partnerName} rejected ${action} for AWB ${ndrCase.awb}:`, message);
+      const partnerError = new Error(`${adapter.partnerName} NDR action failed: ${message}`);
+      partnerError.statusCode = 502;
+      throw partnerError;
+    }
+
+    // Shipway-style bodies report failures with success: 0/false
+    if (partnerResponse && (partnerResponse.success === 0 || partnerResponse.success === false || partnerResponse.success === '0')) {
+      const rejected = new Error(`${adapter.partnerName} NDR action failed: ${partnerResponse.message || 'rejected'}`);
+      rejected.statusCode = 502;
+      throw rejected;
+    }
+
+    const updated = await database.recordNdrAction(ndrCase.id, {
+      action,
+      details,
+      user_id: user ? user.id : null,
+      status: action === ACTIONS.RTO ? 'closed' : 'action_requested',
+      resolution: action === ACTIONS.RTO ? 'rto_requested' : null
+    });
+
+    await this.recordEvent(updated, orderEventService.EVENT_TYPES.NDR_ACTION, {
+      actor: orderEventService.actorFromUser(user),
+      to_status: updated.status,
+      source: 'ndr-queue',
+      details: { awb: updated.awb, action, ...details }
+    });
+
+    console.log(`📮 [NDR] ${action} pushed for order ${updated.order_id} (AWB ${updated.awb}) by ${user ? user.email : 'system'}`);
+
+    // Tell the customer what happens next (new delivery date, address confirmation, ...)
+    await this.sendOutreach([updated], 'ndr_action');
+
+    return { ndrCase: updated, partnerResponse };
+  }
+
+  /**
+   * Send NDR cases to the customer-outreach webhook and mark them as contacted
+   * @param {Array} ndrCases - ndr_cases rows
+   * @param {string} event - 'ndr_raised' or 'ndr_action'
+   * @returns {Promise<Object>} Webhook result
+   */
+  async sendOutreach(ndrCases, event = 'ndr_raised') {
+    if (!ndrCases || ndrCases.length === 0) {
+      return { success: true, message: 'No NDR cases to send', sent: 0 };
+    }
+
+    try {
+      const webhookService = require('./webhookService');
+      const result = await webhookService.sendNdrWebhook(ndrCases, event);
+      if (result.success) {
+        await database.markNdrOutreachSent(ndrCases.map(ndrCase => ndrCase.id));
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ [NDR] Customer outreach failed:', error.message);
+      return { success: false, message: error.message, sent: 0 };
+    }
+  }
+
+  /**
+   * Open NDR cases (or other statuses) with attempts, reason, age and customer contact
+   * @param {Object} filters - { status, account_code, min_attempts, search, page, limit }
+   * @returns {Promise<Object>} { cases, total }
+   */
+  async getQueue(filters = {}) {
+    return database.getNdrQueue(filters);
+  }
+
+  /**
+   * Add an NDR event to the order history
+   */
+  async recordEvent(ndrCase, eventType, options) {
+    await orderEventService.record(
+      { order_id: ndrCase.order_id, account_code: ndrCase.account_code },
+      eventType,
+      { actor: orderEventService.systemActor('ndrService'), source: 'tracking', ...options }
+    );
+  }
+}
+
+module.exports = new NdrService();
@@ -0,0 +1,102 @@
+/**
+ * Order Event Service
+ * Writes the order_events audit trail: who moved an order row between claim states, and when.
+ * Recording an event never throws - a failed audit write is logged and the caller carries on.
+ */
+
+const database = require('../config/database');
+
+const EVENT_TYPES = {
+  CLAIMED: 'claimed',
+  AUTO_ALLOCATED: 'auto_allocated',
+  ASSIGNED: 'assigned',
+  UNASSIGNED: 'unassigned',
+  READY_FOR_HANDOVER: 'ready_for_handover',
+  REVERSED: 'reversed',
+  AUTO_REVERSED: 'auto_reversed',
+  EXPIRY_WARNING: 'expiry_warning',
+  CLONED: 'cloned',
+  TRACKING_UPDATED: 'tracking_updated',
+  NDR_RAISED: 'ndr_raised',
+  NDR_ACTION: 'ndr_action',
+  NDR_CLOSED: 'ndr_closed'
+};
+
+class OrderEventService {
+  constructor() {
+    this.EVENT_TYPES = EVENT_TYPES;
+  }
+
+  /**
+   * Actor fields for an authenticated user
+   * @param {Object} user - req.user
+   * @returns {Object} { actor_type, actor_id, actor_name }
+   */
+  actorFromUser(user) {
+    if (!user) return this.systemActor();
+    return {
+      actor_type: ['vendor', 'admin', 'superadmin'].includes(user.role) ? user.role : 'admin',
+      actor_id: user.id || null,
+      actor_name: user.name || user.email || null
+    };
+  }
+
+  /**
+   * Actor fields for background services
+   * @param {string} name - Service name shown in the history
+   * @returns {Object} { actor_type, actor_id, actor_name }
+   */
+  systemActor(name = 'system') {
+    return { actor_type: 'system', actor_id: null, actor_name: name };
+  }
+
+  /**
+   * Record one event for an order row
+   * @param {Object} order - Order row ({ unique_id, order_id, account_code }); omit unique_id for order-level events
+   * @param {string} eventType - One of EVENT_TYPES
+   * @param {Object} options - { actor, from_status, to_status, claimed_by, source, details }
+   */
+  async record(order, eventType, options = {}) {
+    await this.recordMany([{ order, eventType, ...options }]);
+  }
+
+  /**
+   * Record several events in one insert
+   * @param {Array<Object>} events - [{ order, eventType, actor, from_status, to_status, claimed_by, source, details }]
+   */
+  async recordMany(events) {
+    const rows = events
+      .filter(event => event.order && event.order.order_id)
+      .map(({ order, eventType, actor, from_status, to_status, claimed_by, source, details }) => ({
+        order_unique_id: order.unique_id || null,
+        order_id: order.order_id,
+        account_code: order.account_code || null,
+        event_type: eventType,
+        from_status,
+        to_status,
+        claimed_by,
+        source,
+        details,
+        ...(actor || this.systemActor())
+      }));
+
+    if (rows.length === 0) return;
+
+    try {
+      await database.createOrderEvents(rows);
+    } catch (error) {
+      console.error(`⚠️ [Order Events] Could not record ${rows.length} event(s):`, error.message);
+    }
+  }
+
+  /**
+   * Event history of an order row
+   * @param {Object} order - Order row ({ unique_id, order_id, account_code })
+   * @returns {Promise<Array>}
+   */
+  async getHistory(order) {
+    return database.getOrderEvents(order.unique_id, order.order_id, order.account_code);
+  }
+}
+
+module.exports = new OrderEventService();
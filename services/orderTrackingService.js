@@ -1,9 +1,15 @@
-const axios = require('axios');
+const crypto = require('crypto');
 const database = require('../config/database');
+const shippingPartners = require('./shippingPartners');
+const orderEventService = require('./orderEventService');
+const ndrService = require('./ndrService');
+
+// Scan times are stored as IST wall-clock time, like the courier dates and the MySQL session time zone
+const IST_OFFSET_MS = 330 * 60 * 1000;
 
 /**
  * Order Tracking Service
- * Handles fetching and storing order tracking data from Shipway API
+ * Handles fetching and storing order tracking data from the store's shipping partner (Shipway by default)
  * Supports dual cron logic: active orders (hourly) and inactive orders (daily)
  * Now supports multi-store via account_code from orders
  */
@@ -11,9 +17,6 @@ class OrderTrackingService {
   constructor() {
     this.isActiveSyncRunning = false;
     this.isInactiveSyncRunning = false;
-    this.shipwayApiUrl = 'https://app.shipway.com/api/tracking';
-    // Store credentials cache: account_code -> auth_token
-    this.storeCredentialsCache = new Map();
   }
 
   /**
@@ -58,6 +61,7 @@ class OrderTrackingService {
       let successCount = 0;
       let errorCount = 0;
       const statusChangedOrders = []; // Track orders with status changes
+      const ndrRaisedCases = []; // NDR cases opened or re-attempted during this sync
 
       // Group orders by account_code (each store has different auth_token)
       const ordersByStore = new Map();
@@ -100,6 +104,7 @@ class OrderTrackingService {
             results.forEach((result, index) => {
               if (result.status === 'fulfilled') {
                 successCount++;
+                if (result.value.ndrRaised) ndrRaisedCases.push(result.value.ndrRaised);
                 // Collect orders with status changes
                 if (result.value.statusChanged) {
                   statusChangedOrders.push({
@@ -157,6 +162,8 @@ class OrderTrackingService {
         console.log('📤 [Webhook] No status changes detected, skipping webhook');
       }
 
+      await this.sendNdrOutreach(ndrRaisedCases);
+
       return {
         success: true,
         message: 'Active tracking sync completed (batch mode)',
@@ -179,7 +186,7 @@ class OrderTrackingService {
   }
 
   /**
-   * Sync tracking data for INACTIVE orders (called daily at 2 AM)
+   * Sync tracking data for INACTIVE orders (called daily at 00:10)
    * Target: Orders with label_downloaded = 1
    * Note: Active/inactive determined by latest shipment_status from Shipway API
    * OPTIMIZED: Uses batch AWB fetching (50 AWBs per API call)
@@ -219,6 +226,7 @@ class OrderTrackingService {
 
       let successCount = 0;
       let errorCount = 0;
+      const ndrRaisedCases = []; // NDR cases opened or re-attempted during this sync
 
       // Group orders by account_code (each store has different auth_token)
       const ordersByStore = new Map();
@@ -261,6 +269,7 @@ class OrderTrackingService {
             results.forEach((result, index) => {
               if (result.status === 'fulfilled') {
                 successCount++;
+                if (result.value.ndrRaised) ndrRaisedCases.push(result.value.ndrRaised);
               } else {
                 errorCount++;
                 console.error(`❌ [Inactive Tracking] Failed to process order ${batch[index].order_id}:`, result.reason?.message);
@@ -284,6 +293,8 @@ class OrderTrackingService {
 
       console.log(`✅ [Inactive Tracking] Sync completed: ${successCount} success, ${errorCount} errors`);
 
+      await this.sendNdrOutreach(ndrRaisedCases);
+
       return {
         success: true,
         message: 'Inactive tracking sync completed (batch mode)',
@@ -324,30 +335,15 @@ class OrderTrackingService {
         return trackingDataMap;
       }
 
-      // Get store-specific credentials
-      const basicAuthHeader = await this.getStoreCredentials(accountCode);
-
-      // Build the API URL with comma-separated AWBs
-      const awbString = awbs.join(',');
-      const apiUrl = `${this.shipwayApiUrl}?awb_numbers=${awbString}&tracking_history=1`;
+      // Get the store's shipping partner adapter
+      const adapter = await shippingPartners.getAdapter(accountCode);
 
-      console.log(`📡 [API] Calling Shipway Tracking API for ${awbs.length} AWBs (store: ${accountCode})`);
-
-      const response = await axios.get(apiUrl, {
-        headers: {
-          'Authorization': basicAuthHeader,
-          'Content-Type': 'application/json'
-        },
-        timeout: 60000 // 60 second timeout for batch requests
-      });
-
-      if (response.status !== 200) {
-        throw new Error(`Shipway API returned status ${response.status}`);
-      }
+      console.log(`📡 [API] Calling ${adapter.partnerName} Tracking API for ${awbs.length} AWBs (store: ${accountCode})`);
 
-      const data = response.data;
+      // 60 second timeout for batch requests
+      const data = await adapter.fetchTracking(awbs, { timeout: 60000 });
 
-      if (!Array.isArray(data) || data.length === 0) {
+      if (data.length === 0) {
         console.log(`⚠️ [API] No tracking data returned for batch`);
         return trackingDataMap;
       }
@@ -379,7 +375,8 @@ class OrderTrackingService {
             }
           ],
           shipment_details: shipmentDetails,
-          shipment_track_activities: shipmentTrackActivities
+          shipment_track_activities: shipmentTrackActivities,
+          track_url: trackingDetails.track_url || null
         };
 
         trackingDataMap.set(awb, normalizedData);
@@ -450,6 +447,13 @@ class OrderTrackingService {
       // Determine actual order type based on latest status
       const actualOrderType = this.determineOrderType({ ...trackingData, shipment_status_history: normalizedTrackingEvents });
 
+      // Keep the courier's reason on the latest event when it is a failed delivery (order_tracking.ndr_reason)
+      const latestEvent = normalizedTrackingEvents[normalizedTrackingEvents.length - 1];
+      const ndrReason = ndrService.getNdrReason(latestStatus.name, latestEvent.name, trackingData.shipment_track_activities);
+      if (ndrReason) {
+        latestEvent.ndr_reason = ndrReason;
+      }
+
       // Store tracking data with normalized statuses
       const database = require('../config/database');
       await database.storeOrderTracking(orderId, actualOrderType, normalizedTrackingEvents, accountCode);
@@ -487,6 +491,9 @@ class OrderTrackingService {
       const statusChanged = oldStatus && oldStatus !== normalizedLatestStatus;
 
       await database.updateLabelsShipmentStatus(orderId, accountCode, normalizedLatestStatus, isHandover, handoverTimestamp);
+      await this.recordStatusChange(orderId, accountCode, oldStatus, normalizedLatestStatus, { orderType, awb, isHandover });
+      const ndr = await this.syncNdrCase(orderId, accountCode, awb, latestStatus.name, normalizedLatestStatus, oldStatus, trackingData.shipment_track_activities);
+      await this.recordShipmentScans(orderId, accountCode, awb, latestStatus.name, normalizedLatestStatus, oldStatus, trackingData);
 
       // Check if status is RTO-related and store in RTO tracking table
       if (this.isRTOStatus(normalizedLatestStatus)) {
@@ -530,6 +537,7 @@ class OrderTrackingService {
         isHandover: isHandover,
         statusChanged: statusChanged,
         oldStatus: oldStatus,
+        ndrRaised: ndr.raised ? ndr.ndrCase : null,
         order_id: orderId,
         account_code: accountCode
       };
@@ -598,6 +606,13 @@ class OrderTrackingService {
       // Determine actual order type based on latest status (using normalized status)
       const actualOrderType = this.determineOrderType({ ...trackingData, shipment_status_history: normalizedTrackingEvents });
 
+      // Keep the courier's reason on the latest event when it is a failed delivery (order_tracking.ndr_reason)
+      const latestEvent = normalizedTrackingEvents[normalizedTrackingEvents.length - 1];
+      const ndrReason = ndrService.getNdrReason(latestStatus.name, latestEvent.name, trackingData.shipment_track_activities);
+      if (ndrReason) {
+        latestEvent.ndr_reason = ndrReason;
+      }
+
       // Store tracking data with normalized statuses
       const database = require('../config/database');
       await database.storeOrderTracking(orderId, actualOrderType, normalizedTrackingEvents, accountCode);
@@ -625,7 +640,16 @@ class OrderTrackingService {
         }
       }
 
+      const [currentLabel] = await database.mysqlConnection.execute(
+        'SELECT current_shipment_status FROM labels WHERE order_id = ? AND account_code = ?',
+        [orderId, accountCode]
+      );
+      const oldStatus = currentLabel.length > 0 ? currentLabel[0].current_shipment_status : null;
+
       await database.updateLabelsShipmentStatus(orderId, accountCode, normalizedLatestStatus, isHandover, handoverTimestamp);
+      await this.recordStatusChange(orderId, accountCode, oldStatus, normalizedLatestStatus, { orderType, awb, isHandover });
+      const ndr = await this.syncNdrCase(orderId, accountCode, awb, latestStatus.name, normalizedLatestStatus, oldStatus, trackingData.shipment_track_activities);
+      await this.recordShipmentScans(orderId, accountCode, awb, latestStatus.name, normalizedLatestStatus, oldStatus, trackingData);
 
       // Check if status is RTO-related and store in RTO tracking table
       if (this.isRTOStatus(normalizedLatestStatus)) {
@@ -675,7 +699,8 @@ class OrderTrackingService {
         eventsCount: normalizedTrackingEvents.length,
         orderType: actualOrderType,
         currentStatus: normalizedLatestStatus,
-        isHandover: isHandover
+        isHandover: isHandover,
+        ndrRaised: ndr.raised ? ndr.ndrCase : null
       };
 
     } catch (error) {
@@ -684,6 +709,197 @@ class OrderTrackingService {
     }
   }
 
+  /**
+   * Add a tracking_updated event to the order history when the shipment status changed
+   */
+  async recordStatusChange(orderId, accountCode, oldStatus, newStatus, { orderType, awb, isHandover }) {
+    if (oldStatus === newStatus) return;
+
+    await orderEventService.record({ order_id: orderId, account_code: accountCode }, orderEventService.EVENT_TYPES.TRACKING_UPDATED, {
+      actor: orderEventService.systemActor('orderTrackingService'),
+      from_status: oldStatus,
+      to_status: newStatus,
+      source: `tracking-${orderType}`,
+      details: { awb, is_handover: isHandover }
+    });
+  }
+
+  /**
+   * Open, count or close the shipment's NDR case; failures are logged and never fail tracking
+   */
+  async syncNdrCase(orderId, accountCode, awb, rawStatus, normalizedStatus, oldStatus, activities) {
+    try {
+      return await ndrService.handleTrackingUpdate({ orderId, accountCode, awb, rawStatus, normalizedStatus, oldStatus, activities });
+    } catch (error) {
+      console.error(`⚠️ [NDR] Failed to sync NDR case for order ${orderId}:`, error.message);
+      return { raised: false, closed: false, ndrCase: null };
+    }
+  }
+
+  /**
+   * Send NDR cases raised during a sync to the customer-outreach webhook
+   */
+  async sendNdrOutreach(ndrCases) {
+    if (ndrCases.length === 0) return;
+
+    console.log(`📤 [NDR] Sending ${ndrCases.length} new NDR case(s) for customer outreach...`);
+    const result = await ndrService.sendOutreach(ndrCases, 'ndr_raised');
+    console.log(`${result.success ? '✅' : '❌'} [NDR] Outreach: ${result.message}`);
+  }
+
+  /**
+   * Store the courier's scan history for an AWB in shipment_scans (deduplicated) and keep the
+   * expected delivery date and courier tracking link on the label. Failures are logged and never fail tracking.
+   */
+  async recordShipmentScans(orderId, accountCode, awb, rawStatus, normalizedStatus, oldStatus, trackingData) {
+    try {
+      const scans = [];
+
+      for (const activity of trackingData.shipment_track_activities || []) {
+        if (!activity || !activity.date || !String(activity.date).trim() || activity.date === '1970-01-01 05:30:00') continue;
+
+        // One bad date must not drop the other scans of the AWB
+        const scanTime = this.toScanTime(activity.date);
+        if (!scanTime) {
+          console.log(`⚠️ [Scans] Skipping scan with unparseable date "${activity.date}" for order ${orderId} (AWB ${awb})`);
+          continue;
+        }
+
+        // Shipway activities carry the scan text; some accounts also return the status code
+        const scanRawStatus = activity.status || activity.status_code || null;
+        const scanStatus = scanRawStatus ? await this.normalizeShipmentStatus(scanRawStatus) : null;
+        scans.push(this.buildScan(orderId, accountCode, awb, {
+          scan_time: scanTime,
+          status: scanStatus,
+          raw_status: scanRawStatus,
+          location: activity.location,
+          activity: activity.activity,
+          ndr_code: scanRawStatus && ndrService.isNdrStatus(scanRawStatus, scanStatus) ? scanRawStatus : null,
+          source: 'activity'
+        }));
+      }
+
+      // The current status is a snapshot; store it once per status change unless the latest scan already has it
+      const latestScan = scans.reduce((latest, scan) => (!latest || scan.scan_time > latest.scan_time ? scan : latest), null);
+      if (oldStatus !== normalizedStatus && !(latestScan && latestScan.raw_status === rawStatus)) {
+        scans.push(this.buildScan(orderId, accountCode, awb, {
+          scan_time: latestScan ? latestScan.scan_time : this.toScanTime(new Date()),
+          status: normalizedStatus,
+          raw_status: rawStatus,
+          location: latestScan ? latestScan.location : null,
+          activity: null,
+          ndr_code: ndrService.isNdrStatus(rawStatus, normalizedStatus) ? rawStatus : null,
+          source: 'status'
+        }));
+      }
+
+      const inserted = await database.insertShipmentScans(scans);
+      if (inserted > 0) {
+        console.log(`🛰️ [Scans] Stored ${inserted} new scan(s) for order ${orderId} (AWB ${awb})`);
+      }
+
+      const expectedDeliveryDate = this.getExpectedDeliveryDate(trackingData.shipment_details);
+      if (expectedDeliveryDate || trackingData.track_url) {
+        await database.updateLabelTrackingInfo(orderId, accountCode, {
+          expected_delivery_date: expectedDeliveryDate,
+          tracking_url: trackingData.track_url
+        });
+      }
+    } catch (error) {
+      console.error(`⚠️ [Scans] Failed to store scans for order ${orderId}:`, error.message);
+    }
+  }
+
+  /**
+   * shipment_scans row with its dedupe key (same time, status, text and location = same scan)
+   */
+  buildScan(orderId, accountCode, awb, scan) {
+    const scanKey = crypto
+      .createHash('sha1')
+      .update([scan.source, scan.scan_time, scan.raw_status || '', scan.status || '', scan.activity || '', scan.location || ''].join('|'))
+      .digest('hex');
+
+    return {
+      ...scan,
+      account_code: accountCode,
+      awb: String(awb),
+      order_id: orderId,
+      location: scan.location ? String(scan.location).slice(0, 255) : null,
+      activity: scan.activity ? String(scan.activity).slice(0, 500) : null,
+      scan_key: scanKey
+    };
+  }
+
+  /**
+   * IST 'YYYY-MM-DD HH:MM:SS' for a scan. Courier dates without a zone are already IST and kept;
+   * Dates and zoned strings are converted to IST
+   * @returns {string|null} null when the value is not a valid date
+   */
+  toScanTime(date) {
+    const local = typeof date === 'string' && date.trim().match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})(?::(\d{2}))?$/);
+    if (local) {
+      const scanTime = `${local[1]} ${local[2]}:${local[3] || '00'}`;
+      // Reject out-of-range parts (e.g. Feb 30) rather than let MySQL refuse the batch
+      const parsed = new Date(`${scanTime.replace(' ', 'T')}Z`);
+      return !isNaN(parsed) && parsed.toISOString().slice(0, 19).replace('T', ' ') === scanTime ? scanTime : null;
+    }
+
+    const time = date instanceof Date ? date.getTime() : Date.parse(date);
+    if (isNaN(time)) return null;
+    return new Date(time + IST_OFFSET_MS).toISOString().slice(0, 19).replace('T', ' ');
+  }
+
+  /**
+   * Expected delivery date from the partner's shipment_details, if it sends one
+   * @returns {string|null} 'YYYY-MM-DD HH:MM:SS'
+   */
+  getExpectedDeliveryDate(shipmentDetails) {
+    const details = Array.isArray(shipmentDetails) ? shipmentDetails[0] : shipmentDetails;
+    if (!details) return null;
+
+    const value = details.expected_delivery_date || details.edd || details.promised_delivery_date || null;
+    if (!value || String(value).startsWith('0000') || isNaN(Date.parse(value))) return null;
+
+    return /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())
+      ? `${String(value).trim()} 00:00:00`
+      : this.toScanTime(value);
+  }
+
+  /**
+   * Full tracking timeline of an order: stored scans (oldest first), current status and
+   * expected delivery date
+   * @param {Object} label - labels row (order_id, account_code, awb, carrier_name, current_shipment_status, expected_delivery_date, tracking_url)
+   * @returns {Promise<Object>}
+   */
+  async getShipmentTimeline(label) {
+    const scans = await database.getShipmentScans(label.order_id, label.account_code);
+
+    const timeline = scans.map(scan => ({
+      time: scan.scan_time,
+      status: scan.status,
+      raw_status: scan.raw_status,
+      activity: scan.activity || scan.status,
+      location: scan.location,
+      ndr_code: scan.ndr_code,
+      awb: scan.awb,
+      source: scan.source
+    }));
+
+    const deliveredScan = timeline.find(scan => scan.status === 'Delivered');
+
+    return {
+      order_id: label.order_id,
+      account_code: label.account_code,
+      awb: label.awb,
+      carrier_name: label.carrier_name,
+      current_status: label.current_shipment_status,
+      expected_delivery_date: label.expected_delivery_date,
+      tracking_url: label.tracking_url || null,
+      delivered_at: deliveredScan ? deliveredScan.time : null,
+      timeline
+    };
+  }
+
   /**
    * Normalize shipment status using database mapping
    * Returns status as-is (trimmed) if not found in database mapping
@@ -746,40 +962,7 @@ class OrderTrackingService {
   }
 
   /**
-   * Get store credentials for a given account_code
-   * @param {string} accountCode - The account_code to get credentials for
-   * @returns {string} The auth_token for the store
-   */
-  async getStoreCredentials(accountCode) {
-    if (!accountCode) {
-      throw new Error('account_code is required for fetching tracking data');
-    }
-
-    // Check cache first
-    if (this.storeCredentialsCache.has(accountCode)) {
-      return this.storeCredentialsCache.get(accountCode);
-    }
-
-    // Fetch from database
-    await database.waitForMySQLInitialization();
-    const store = await database.getStoreByAccountCode(accountCode);
-
-    if (!store) {
-      throw new Error(`Store not found for account_code: ${accountCode}`);
-    }
-
-    if (!store.auth_token) {
-      throw new Error(`Store auth_token not found for account_code: ${accountCode}`);
-    }
-
-    // Cache the credentials
-    this.storeCredentialsCache.set(accountCode, store.auth_token);
-
-    return store.auth_token;
-  }
-
-  /**
-   * Fetch tracking data from Shipway API using the new GET /api/tracking endpoint
+   * Fetch tracking data for a single AWB from the store's shipping partner
    * @param {string} awb - The AWB number to fetch tracking for
    * @param {string} accountCode - The account_code for the store
    */
@@ -793,29 +976,14 @@ class OrderTrackingService {
         throw new Error('AWB number is required for fetching tracking data');
       }
 
-      // Get store-specific credentials
-      const basicAuthHeader = await this.getStoreCredentials(accountCode);
-
-      // Build the API URL with query parameters (tracking_history=1 to get shipment_track_activities)
-      const apiUrl = `${this.shipwayApiUrl}?awb_numbers=${awb}&tracking_history=1`;
+      // Get the store's shipping partner adapter
+      const adapter = await shippingPartners.getAdapter(accountCode);
 
-      console.log(`📡 [API] Calling Shipway Tracking API for AWB ${awb} (store: ${accountCode})`);
-
-      const response = await axios.get(apiUrl, {
-        headers: {
-          'Authorization': basicAuthHeader,
-          'Content-Type': 'application/json'
-        },
-        timeout: 30000 // 30 second timeout
-      });
-
-      if (response.status !== 200) {
-        throw new Error(`Shipway API returned status ${response.status}`);
-      }
+      console.log(`📡 [API] Calling ${adapter.partnerName} Tracking API for AWB ${awb} (store: ${accountCode})`);
 
-      const data = response.data;
+      const data = await adapter.fetchTracking([awb], { timeout: 30000 });
 
-      // The new API returns an array of tracking results
+      // The Shipway API returns an array of tracking results
       // Example response with tracking_history=1:
       // [
       //   {
@@ -876,7 +1044,8 @@ class OrderTrackingService {
         success: "1",
         shipment_status_history: shipmentStatusHistory,
         shipment_details: shipmentDetails,
-        shipment_track_activities: shipmentTrackActivities // Include for RTO warehouse extraction from latest activity
+        shipment_track_activities: shipmentTrackActivities, // Include for RTO warehouse extraction from latest activity
+        track_url: trackingDetails.track_url || null
       };
 
     } catch (error) {
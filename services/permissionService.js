@@ -0,0 +1,91 @@
+/**
+ * Permission Service
+ * Resolves a user's permissions from their role's permission set in MySQL.
+ * Permission sets are cached per role for a short time; the roles API invalidates
+ * the cache on every change, other instances pick the change up when it expires.
+ */
+
+const database = require('../config/database');
+const { ALL_PERMISSIONS, SUPERADMIN_ROLE, SYSTEM_ROLES } = require('../config/permissions');
+
+const CACHE_TTL_MS = 60 * 1000;
+
+class PermissionService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /**
+   * Role whose permission set applies to a user (access_role overrides role)
+   * @param {Object} user - User row
+   * @returns {string}
+   */
+  getEffectiveRole(user) {
+    return (user && (user.access_role || user.role)) || null;
+  }
+
+  /**
+   * Permission set of a role
+   * @param {string} roleName
+   * @returns {Promise<Set<string>>}
+   */
+  async getRolePermissions(roleName) {
+    if (!roleName) return new Set();
+    if (roleName === SUPERADMIN_ROLE) return new Set(ALL_PERMISSIONS);
+
+    const cached = this.cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.permissions;
+    }
+
+    let permissions;
+    try {
+      permissions = new Set(await database.getRolePermissions(roleName));
+    } catch (error) {
+      // Fall back to the defaults for system roles so a database hiccup doesn't lock admins out
+      console.error(`❌ Could not load permissions for role ${roleName}:`, error.message);
+      const systemRole = SYSTEM_ROLES[roleName];
+      return new Set(systemRole ? systemRole.permissions : []);
+    }
+
+    this.cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+  }
+
+  /**
+   * Permission set of a user
+   * @param {Object} user - User row
+   * @returns {Promise<Set<string>>}
+   */
+  async getPermissionsForUser(user) {
+    if (user && user.role === SUPERADMIN_ROLE) {
+      return new Set(ALL_PERMISSIONS);
+    }
+    return this.getRolePermissions(this.getEffectiveRole(user));
+  }
+
+  /**
+   * Whether a user has every one of the given permissions
+   * @param {Object} user - User row
+   * @param {...string} permissions
+   * @returns {Promise<boolean>}
+   */
+  async hasPermission(user, ...permissions) {
+    const granted = await this.getPermissionsForUser(user);
+    return permissions.every(permission => granted.has(permission));
+  }
+
+  /**
+   * Drop cached permission sets (one role, or all)
+   * @param {string} roleName
+   */
+  invalidate(roleName = null) {
+    if (roleName) {
+      this.cache.delete(roleName);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,375 @@
+/**
+ * Pick List Service
+ * Builds pick lists (claimed units grouped by product and size across a vendor's orders)
+ * and per-order packing slips, as PDF or CSV, so warehouse staff can batch-pick before packing.
+ */
+
+const fetch = require('node-fetch');
+const PDFDocument = require('pdfkit');
+const database = require('../config/database');
+const { compareSizes } = require('../utils/sizeOrder');
+
+const IMAGE_FETCH_TIMEOUT_MS = 8000;
+const IMAGE_FETCH_CONCURRENCY = 8;
+
+/**
+ * Render a pdfkit document into a buffer
+ * @param {Object} options - PDFDocument options
+ * @param {Function} draw - (doc) => void
+ * @returns {Promise<Buffer>}
+ */
+function renderDocument(options, draw) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument(options);
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      draw(doc);
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+}
+
+/**
+ * Draw an image buffer, leaving the box empty if it is missing or not PNG/JPEG
+ */
+function drawImage(doc, buffer, x, y, size) {
+  doc.rect(x, y, size, size).lineWidth(0.5).strokeColor('#cccccc').stroke();
+  if (!buffer) return;
+  try {
+    doc.image(buffer, x + 1, y + 1, { fit: [size - 2, size - 2], align: 'center', valign: 'center' });
+  } catch (error) {
+    // Unsupported format (e.g. WebP); keep the empty box
+  }
+}
+
+const escapeCSV = (value) => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }) : '');
+
+class PickListService {
+  /**
+   * Product rows of a vendor's claimed orders that are not yet manifested
+   * @param {string} warehouseId - Vendor warehouse ID
+   * @param {Array<string>} orderIds - Optional. Only these orders
+   * @returns {Promise<Array>} Order rows (orders + product image + claim + label)
+   */
+  async getClaimedOrderRows(warehouseId, orderIds = null) {
+    const rows = await database.getMyOrders(warehouseId);
+    const wanted = orderIds && orderIds.length > 0 ? new Set(orderIds.map(String)) : null;
+    return rows.filter(row => !wanted || wanted.has(String(row.order_id)));
+  }
+
+  /**
+   * Group order rows by product and size
+   * @param {Array} rows - getClaimedOrderRows() rows
+   * @returns {Object} { summary: { orders, lines, units }, items: [{ account_code, product_code,
+   *   product_name, size, image, quantity, order_count, order_ids }] }
+   */
+  buildPickList(rows) {
+    const groups = new Map();
+
+    for (const row of rows) {
+      const productCode = row.normalized_product_code || row.product_code || '';
+      const key = `${row.account_code}|${productCode}|${row.size || ''}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, {
+          account_code: row.account_code,
+          product_code: productCode,
+          product_name: row.product_name || productCode,
+          size: row.size || '',
+          image: row.product_image || null,
+          quantity: 0,
+          order_ids: new Set()
+        });
+      }
+
+      const group = groups.get(key);
+      group.quantity += parseInt(row.quantity) || 1;
+      group.order_ids.add(row.order_id);
+    }
+
+    const items = [...groups.values()]
+      .map(group => ({
+        ...group,
+        order_count: group.order_ids.size,
+        order_ids: [...group.order_ids].sort()
+      }))
+      .sort((a, b) =>
+        a.product_name.localeCompare(b.product_name)
+        || a.product_code.localeCompare(b.product_code)
+        || compareSizes(a.size, b.size)
+        || a.size.localeCompare(b.size));
+
+    return {
+      summary: {
+        orders: new Set(rows.map(row => row.order_id)).size,
+        lines: items.length,
+        units: items.reduce((sum, item) => sum + item.quantity, 0)
+      },
+      items
+    };
+  }
+
+  /**
+   * Pick list as CSV
+   * @param {Object} pickList - buildPickList() result
+   * @returns {string}
+   */
+  toCSV(pickList) {
+    const headers = ['Product Code', 'Product Name', 'Size', 'Quantity', 'Orders', 'Order IDs', 'Store', 'Image URL'];
+    const rows = pickList.items.map(item => [
+      item.product_code,
+      item.product_name,
+      item.size,
+      item.quantity,
+      item.order_count,
+      item.order_ids.join(' '),
+      item.account_code,
+      item.image || ''
+    ]);
+
+    return [headers, ...rows].map(row => row.map(escapeCSV).join(',')).join('\n');
+  }
+
+  /**
+   * Download images (product images, store logos); failures map to null
+   * @param {Array<string>} urls
+   * @returns {Promise<Map<string, Buffer|null>>}
+   */
+  async fetchImages(urls) {
+    const unique = [...new Set(urls.filter(Boolean))];
+    const images = new Map();
+
+    for (let i = 0; i < unique.length; i += IMAGE_FETCH_CONCURRENCY) {
+      await Promise.all(unique.slice(i, i + IMAGE_FETCH_CONCURRENCY).map(async (url) => {
+        try {
+          const response = await fetch(url, { timeout: IMAGE_FETCH_TIMEOUT_MS });
+          images.set(url, response.ok ? Buffer.from(await response.arrayBuffer()) : null);
+        } catch (error) {
+          console.log(`⚠️ [PickList] Could not fetch image ${url}: ${error.message}`);
+          images.set(url, null);
+        }
+      }));
+    }
+
+    return images;
+  }
+
+  /**
+   * Pick list PDF (A4): one row per product and size with image and a "picked" box
+   * @param {Object} pickList - buildPickList() result
+   * @param {Object} vendor - { warehouseId }
+   * @returns {Promise<Buffer>}
+   */
+  async renderPickListPDF(pickList, vendor) {
+    const images = await this.fetchImages(pickList.items.map(item => item.image));
+    const margin = 40;
+    const rowHeight = 46;
+    const columns = { image: margin, product: margin + 52, size: 380, qty: 430, orders: 470, picked: 525 };
+
+    return renderDocument({ size: 'A4', margin, info: { Title: 'Pick List', Author: 'Clamio Vendor System' } }, (doc) => {
+      const bottom = doc.page.height - margin;
+
+      const drawTableHeader = () => {
+        doc.fontSize(9).font('Helvetica-Bold').fillColor('#000000');
+        const y = doc.y;
+        doc.text('Image', columns.image, y);
+        doc.text('Product', columns.product, y);
+        doc.text('Size', columns.size, y);
+        doc.text('Qty', columns.qty, y);
+        doc.text('Orders', columns.orders, y);
+        doc.text('Picked', columns.picked - 6, y);
+        doc.moveTo(margin, y + 14).lineTo(doc.page.width - margin, y + 14).lineWidth(1).strokeColor('#000000').stroke();
+        doc.y = y + 20;
+      };
+
+      doc.fontSize(16).font('Helvetica-Bold').fillColor('#000000').text('Pick List', margin, margin);
+      doc.moveDown(0.3);
+      doc.fontSize(9).font('Helvetica');
+      doc.text(`Generated On: ${new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
+      doc.text(`Warehouse ID: ${vendor.warehouseId}`);
+      doc.text(`${pickList.summary.orders} orders | ${pickList.summary.lines} lines | ${pickList.summary.units} units`);
+      doc.moveDown(1);
+      drawTableHeader();
+
+      for (const item of pickList.items) {
+        if (doc.y + rowHeight > bottom) {
+          doc.addPage();
+          drawTableHeader();
+        }
+
+        const y = doc.y;
+        drawImage(doc, images.get(item.image), columns.image, y, 40);
+
+        doc.fontSize(9).font('Helvetica-Bold').fillColor('#000000');
+        doc.text(item.product_name, columns.product, y + 2, { width: columns.size - columns.product - 10, height: 22, ellipsis: true });
+        doc.fontSize(8).font('Helvetica').fillColor('#555555');
+        doc.text(item.product_code, columns.product, y + 26, { width: columns.size - columns.product - 10, height: 10, ellipsis: true });
+
+        doc.fontSize(11).font('Helvetica-Bold').fillColor('#000000');
+        doc.text(item.size || '-', columns.size, y + 14, { width: 45 });
+        doc.text(String(item.quantity), columns.qty, y + 14, { width: 35 });
+        doc.fontSize(9).font('Helvetica');
+        doc.text(String(item.order_count), columns.orders, y + 15, { width: 40 });
+        doc.rect(columns.picked, y + 12, 14, 14).lineWidth(1).strokeColor('#000000').stroke();
+
+        doc.moveTo(margin, y + rowHeight - 3).lineTo(doc.page.width - margin, y + rowHeight - 3).lineWidth(0.5).strokeColor('#dddddd').stroke();
+        doc.y = y + rowHeight;
+      }
+    });
+  }
+
+  /**
+   * Packing slips: one per order with ship-to address and items sorted by size
+   * @param {Array} rows - getClaimedOrderRows() rows
+   * @returns {Promise<Array>} [{ order_id, account_code, order_date, awb, carrier_name, ship_to, items }]
+   */
+  async buildPackingSlips(rows) {
+    const slips = new Map();
+    for (const row of rows) {
+      const key = `${row.order_id}|${row.account_code}`;
+      if (!slips.has(key)) {
+        slips.set(key, {
+          order_id: row.order_id,
+          account_code: row.account_code,
+          order_date: row.order_date,
+          awb: row.awb || null,
+          carrier_name: row.carrier_name || null,
+          ship_to: null,
+          items: []
+        });
+      }
+      slips.get(key).items.push({
+        product_code: row.product_code,
+        product_name: row.product_name || row.product_code,
+        size: row.size || '',
+        quantity: parseInt(row.quantity) || 1,
+        image: row.product_image || null
+      });
+    }
+
+    const orderIds = [...new Set(rows.map(row => row.order_id))];
+    const customers = await database.getCustomerInfoByOrderIds(orderIds);
+    const customerMap = new Map(customers.map(customer => [`${customer.order_id}|${customer.account_code}`, customer]));
+
+    return [...slips.values()].map(slip => {
+      const customer = customerMap.get(`${slip.order_id}|${slip.account_code}`)
+        || customers.find(c => c.order_id === slip.order_id);
+      return {
+        ...slip,
+        ship_to: customer ? {
+          name: [customer.shipping_firstname, customer.shipping_lastname].filter(Boolean).join(' '),
+          address: [customer.shipping_address, customer.shipping_address2].filter(Boolean).join(', '),
+          city: customer.shipping_city,
+          state: customer.shipping_state,
+          pincode: customer.shipping_zipcode
+        } : null,
+        items: slip.items.sort((a, b) =>
+          a.product_name.localeCompare(b.product_name) || compareSizes(a.size, b.size))
+      };
+    }).sort((a, b) => String(a.order_id).localeCompare(String(b.order_id)));
+  }
+
+  /**
+   * Packing slips PDF (A5, one order per page) with the store's name and brand logo
+   * @param {Array} slips - buildPackingSlips() result
+   * @returns {Promise<Buffer>}
+   */
+  async renderPackingSlipsPDF(slips) {
+    const stores = new Map();
+    for (const accountCode of new Set(slips.map(slip => slip.account_code))) {
+      stores.set(accountCode, await database.getStoreByAccountCode(accountCode));
+    }
+    const images = await this.fetchImages([
+      ...[...stores.values()].map(store => store && store.brand_logo_url),
+      ...slips.flatMap(slip => slip.items.map(item => item.image))
+    ]);
+
+    const margin = 30;
+    const rowHeight = 38;
+
+    return renderDocument({ size: 'A5', margin, autoFirstPage: false, info: { Title: 'Packing Slips', Author: 'Clamio Vendor System' } }, (doc) => {
+      for (const slip of slips) {
+        doc.addPage();
+        const width = doc.page.width - 2 * margin;
+        const bottom = doc.page.height - margin;
+        const store = stores.get(slip.account_code);
+        const logo = store && images.get(store.brand_logo_url);
+
+        // Header: logo and store name
+        let headerX = margin;
+        if (logo) {
+          try {
+            doc.image(logo, margin, margin, { fit: [40, 40] });
+            headerX = margin + 48;
+          } catch (error) {
+            // Unsupported logo format; store name only
+          }
+        }
+        doc.fontSize(14).font('Helvetica-Bold').fillColor('#000000');
+        doc.text(store?.store_name || slip.account_code, headerX, margin + 4, { width: width - (headerX - margin), height: 18, ellipsis: true });
+        doc.fontSize(9).font('Helvetica').fillColor('#555555').text('Packing Slip', headerX, doc.y);
+
+        doc.y = margin + 52;
+        doc.fontSize(9).font('Helvetica').fillColor('#000000');
+        doc.text(`Order: ${slip.order_id}    Date: ${formatDate(slip.order_date)}`, margin, doc.y, { width });
+        if (slip.awb) {
+          doc.text(`AWB: ${slip.awb}${slip.carrier_name ? ` (${slip.carrier_name})` : ''}`, { width });
+        }
+
+        if (slip.ship_to) {
+          doc.moveDown(0.5);
+          doc.font('Helvetica-Bold').text('Ship To:', { width });
+          doc.font('Helvetica').text(slip.ship_to.name || '-', { width });
+          if (slip.ship_to.address) doc.text(slip.ship_to.address, { width });
+          doc.text([slip.ship_to.city, slip.ship_to.state, slip.ship_to.pincode].filter(Boolean).join(', '), { width });
+        }
+
+        doc.moveDown(1);
+        const drawItemsHeader = () => {
+          const y = doc.y;
+          doc.fontSize(8).font('Helvetica-Bold').fillColor('#000000');
+          doc.text('Item', margin + 40, y);
+          doc.text('Size', margin + width - 80, y);
+          doc.text('Qty', margin + width - 30, y);
+          doc.moveTo(margin, y + 12).lineTo(margin + width, y + 12).lineWidth(1).strokeColor('#000000').stroke();
+          doc.y = y + 16;
+        };
+        drawItemsHeader();
+
+        for (const item of slip.items) {
+          if (doc.y + rowHeight > bottom - 20) {
+            doc.addPage();
+            doc.fontSize(9).font('Helvetica').fillColor('#555555').text(`Order ${slip.order_id} (continued)`, margin, margin);
+            doc.moveDown(0.5);
+            drawItemsHeader();
+          }
+
+          const y = doc.y;
+          drawImage(doc, images.get(item.image), margin, y, 32);
+          doc.fontSize(8).font('Helvetica-Bold').fillColor('#000000');
+          doc.text(item.product_name, margin + 40, y + 2, { width: width - 130, height: 20, ellipsis: true });
+          doc.fontSize(7).font('Helvetica').fillColor('#555555');
+          doc.text(item.product_code || '', margin + 40, y + 22, { width: width - 130, height: 9, ellipsis: true });
+          doc.fontSize(10).font('Helvetica-Bold').fillColor('#000000');
+          doc.text(item.size || '-', margin + width - 80, y + 10, { width: 45 });
+          doc.text(String(item.quantity), margin + width - 30, y + 10, { width: 30 });
+          doc.y = y + rowHeight;
+        }
+
+        const units = slip.items.reduce((sum, item) => sum + item.quantity, 0);
+        doc.moveTo(margin, doc.y).lineTo(margin + width, doc.y).lineWidth(0.5).strokeColor('#000000').stroke();
+        doc.fontSize(9).font('Helvetica-Bold').text(`Total units: ${units}`, margin, doc.y + 6, { width, align: 'right' });
+      }
+    });
+  }
+}
+
+module.exports = new PickListService();
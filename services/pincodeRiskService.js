@@ -0,0 +1,198 @@
+/**
+ * Pincode Risk Service
+ * Delivery performance per pincode and carrier, rebuilt daily from delivered vs. RTO outcomes
+ * (labels / rto_tracking) and delivery times (order_tracking). Scores are smoothed towards the
+ * overall rate so a pincode with a handful of shipments does not swing carrier choice; the
+ * pincode-wide row carries the COD-risk level shown to admins.
+ */
+
+const database = require('../config/database');
+
+// Shipments of weight given to the overall rate when smoothing a pincode/carrier rate
+const SMOOTHING_SHIPMENTS = 10;
+
+const DEFAULT_LOOKBACK_DAYS = 180;
+
+// Smoothed COD RTO rate at or above which a pincode is medium / high risk
+const DEFAULT_COD_RISK_THRESHOLDS = { medium: 0.25, high: 0.4 };
+
+/**
+ * (part + weight * prior) / (total + weight), rounded to the score column's precision
+ */
+const smoothedRate = (part, total, prior) =>
+  parseFloat(((part + SMOOTHING_SHIPMENTS * prior) / (total + SMOOTHING_SHIPMENTS)).toFixed(4));
+
+/**
+ * Rate between 0 and 1 from a utility value, or the default
+ */
+function toRate(value, defaultValue) {
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) && rate >= 0 && rate <= 1 ? rate : defaultValue;
+}
+
+class PincodeRiskService {
+  /**
+   * COD-risk thresholds from the CodRiskMediumRtoRate / CodRiskHighRtoRate utility values (0-1)
+   * @returns {Promise<Object>} { medium, high }
+   */
+  async getCodRiskThresholds() {
+    const [medium, high] = await Promise.all([
+      database.getUtilityValue('CodRiskMediumRtoRate').catch(() => null),
+      database.getUtilityValue('CodRiskHighRtoRate').catch(() => null)
+    ]);
+    return {
+      medium: toRate(medium, DEFAULT_COD_RISK_THRESHOLDS.medium),
+      high: toRate(high, DEFAULT_COD_RISK_THRESHOLDS.high)
+    };
+  }
+
+  /**
+   * Risk level for a smoothed COD RTO rate
+   */
+  codRiskLevel(codRtoRate, thresholds) {
+    if (codRtoRate >= thresholds.high) return 'high';
+    if (codRtoRate >= thresholds.medium) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Build score rows from outcome counts: one row per pincode/carrier plus a pincode-wide row
+   * (carrier_id '') with the COD-risk level
+   * @param {Array} outcomes - Rows from database.getPincodeCarrierOutcomes
+   * @param {Object} thresholds - { medium, high }
+   * @returns {Array}
+   */
+  buildScores(outcomes, thresholds) {
+    const totals = outcomes.reduce((sum, row) => ({
+      shipments: sum.shipments + row.shipments,
+      delivered: sum.delivered + row.delivered,
+      cod_shipments: sum.cod_shipments + row.cod_shipments,
+      cod_rto: sum.cod_rto + row.cod_rto
+    }), { shipments: 0, delivered: 0, cod_shipments: 0, cod_rto: 0 });
+
+    const deliveryPrior = totals.shipments > 0 ? totals.delivered / totals.shipments : 1;
+    const codRtoPrior = totals.cod_shipments > 0 ? totals.cod_rto / totals.cod_shipments : 0;
+
+    const pincodes = new Map();
+    const scores = outcomes.map(row => {
+      const pincode = pincodes.get(row.pincode) || {
+        pincode: row.pincode, shipments: 0, delivered: 0, rto: 0, cod_shipments: 0, cod_rto: 0,
+        delivery_hours_total: 0, delivery_hours_count: 0
+      };
+      pincode.shipments += row.shipments;
+      pincode.delivered += row.delivered;
+      pincode.rto += row.rto;
+      pincode.cod_shipments += row.cod_shipments;
+      pincode.cod_rto += row.cod_rto;
+      if (row.avg_delivery_hours !== null) {
+        pincode.delivery_hours_total += row.avg_delivery_hours * row.delivered;
+        pincode.delivery_hours_count += row.delivered;
+      }
+      pincodes.set(row.pincode, pincode);
+
+      return {
+        ...row,
+        avg_delivery_hours: row.avg_delivery_hours !== null ? parseFloat(row.avg_delivery_hours.toFixed(1)) : null,
+        delivery_score: smoothedRate(row.delivered, row.shipments, deliveryPrior),
+        cod_rto_rate: null,
+        cod_risk: null
+      };
+    });
+
+    pincodes.forEach(({ delivery_hours_total, delivery_hours_count, ...pincode }) => {
+      // No COD history at the pincode: no rate to flag on
+      const codRtoRate = pincode.cod_shipments > 0
+        ? smoothedRate(pincode.cod_rto, pincode.cod_shipments, codRtoPrior)
+        : null;
+      scores.push({
+        ...pincode,
+        carrier_id: '',
+        carrier_name: null,
+        avg_delivery_hours: delivery_hours_count > 0
+          ? parseFloat((delivery_hours_total / delivery_hours_count).toFixed(1))
+          : null,
+        delivery_score: smoothedRate(pincode.delivered, pincode.shipments, deliveryPrior),
+        cod_rto_rate: codRtoRate,
+        cod_risk: codRtoRate !== null ? this.codRiskLevel(codRtoRate, thresholds) : null
+      });
+    });
+
+    return scores;
+  }
+
+  /**
+   * Recompute every pincode/carrier score (daily job)
+   * @param {number} lookbackDays - Shipments handed over within this many days count
+   * @returns {Promise<Object>} { pincodes, carrier_rows, removed }
+   */
+  async recomputeScores(lookbackDays = DEFAULT_LOOKBACK_DAYS) {
+    const computedAt = new Date();
+    const [outcomes, thresholds] = await Promise.all([
+      database.getPincodeCarrierOutcomes(lookbackDays),
+      this.getCodRiskThresholds()
+    ]);
+
+    const scores = this.buildScores(outcomes, thresholds);
+    const { removed } = await database.replacePincodeCarrierScores(scores, computedAt);
+
+    return {
+      pincodes: scores.filter(score => score.carrier_id === '').length,
+      carrier_rows: outcomes.length,
+      removed
+    };
+  }
+
+  /**
+   * Order carriers by priority, breaking ties on the pincode/carrier score (higher delivery score,
+   * then faster delivery). Carriers without history at this pincode take the pincode-wide score.
+   * Falls back to priority order alone when scores cannot be read.
+   * @param {Array} carriers - [{ carrier_id, priority, ... }]
+   * @param {string} pincode
+   * @returns {Promise<Array>} Sorted copy of carriers
+   */
+  async rankCarriers(carriers, pincode) {
+    let scores = [];
+    try {
+      scores = await database.getPincodeCarrierScores(pincode);
+    } catch (error) {
+      console.error(`⚠️ Pincode scores unavailable for ${pincode}, using priority only:`, error.message);
+    }
+
+    const pincodeScore = scores.find(score => score.carrier_id === '');
+    const byCarrier = new Map(scores.map(score => [String(score.carrier_id), score]));
+    const scoreFor = (carrier) => byCarrier.get(String(carrier.carrier_id)) || pincodeScore || null;
+
+    return [...carriers].sort((a, b) => {
+      if (a.priority !== b.priority) return a.priority - b.priority;
+
+      const scoreA = scoreFor(a);
+      const scoreB = scoreFor(b);
+      const deliveryA = scoreA ? scoreA.delivery_score : 0;
+      const deliveryB = scoreB ? scoreB.delivery_score : 0;
+      if (deliveryA !== deliveryB) return deliveryB - deliveryA;
+
+      const hoursA = scoreA?.avg_delivery_hours ?? Infinity;
+      const hoursB = scoreB?.avg_delivery_hours ?? Infinity;
+      return hoursA === hoursB ? 0 : (hoursA < hoursB ? -1 : 1);
+    });
+  }
+
+  /**
+   * COD-risk flag for an order row joined with its pincode score (null for prepaid orders and
+   * pincodes without history)
+   * @param {Object} order - { payment_type, cod_risk, cod_rto_rate, pincode_cod_shipments }
+   * @returns {Object|null} { level, rto_rate, cod_shipments }
+   */
+  codRiskFlag(order) {
+    if (order.payment_type !== 'C' || !order.cod_risk) {
+      return null;
+    }
+    return {
+      level: order.cod_risk,
+      rto_rate: parseFloat((parseFloat(order.cod_rto_rate) * 100).toFixed(1)),
+      cod_shipments: order.pincode_cod_shipments
+    };
+  }
+}
+
+module.exports = new PincodeRiskService();
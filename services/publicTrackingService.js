@@ -0,0 +1,93 @@
+/**
+ * Public Tracking Service
+ * Order lookup for the customer-facing tracking page. A customer proves the order is theirs
+ * with the order ID and the phone number or pincode on the order (customer_info); the
+ * response carries only the brand, shipment status, scan timeline and courier link.
+ */
+
+const database = require('../config/database');
+const orderTrackingService = require('./orderTrackingService');
+
+/**
+ * Last 10 digits of a phone number (drops +91 / 0 prefixes and formatting)
+ */
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+const normalizePincode = (pincode) => String(pincode || '').replace(/\s/g, '');
+
+class PublicTrackingService {
+  /**
+   * Find the order a customer is asking about
+   * @param {Object} lookup - { order_id, phone?, pincode? } (at least one of phone/pincode)
+   * @returns {Promise<Object|null>} Public tracking data, or null when nothing matches
+   */
+  async lookup({ order_id, phone, pincode }) {
+    const candidates = await database.getPublicTrackingCandidates(String(order_id).trim());
+
+    const phoneDigits = phone ? normalizePhone(phone) : null;
+    const pincodeValue = pincode ? normalizePincode(pincode) : null;
+
+    const match = candidates.find(candidate => {
+      if (phoneDigits) {
+        const phones = [candidate.shipping_phone, candidate.billing_phone].map(normalizePhone);
+        return phoneDigits.length === 10 && phones.includes(phoneDigits);
+      }
+      return !!pincodeValue && normalizePincode(candidate.shipping_zipcode) === pincodeValue;
+    });
+
+    if (!match) {
+      return null;
+    }
+
+    return this.toPublicView(match);
+  }
+
+  /**
+   * Customer-safe view of a matched order: no phone, address, AWB internals or raw courier codes
+   */
+  async toPublicView(order) {
+    const brand = {
+      name: order.brand_name || null,
+      logo_url: order.brand_logo_url || null
+    };
+
+    if (!order.awb) {
+      return {
+        order_id: order.order_id,
+        brand,
+        status: 'Order Placed',
+        shipped: false,
+        ship_to: { city: order.shipping_city || null, state: order.shipping_state || null },
+        courier: null,
+        expected_delivery_date: null,
+        delivered_at: null,
+        timeline: []
+      };
+    }
+
+    const tracking = await orderTrackingService.getShipmentTimeline(order);
+
+    return {
+      order_id: order.order_id,
+      brand,
+      status: tracking.current_status || 'Shipped',
+      shipped: true,
+      ship_to: { city: order.shipping_city || null, state: order.shipping_state || null },
+      courier: {
+        name: tracking.carrier_name || null,
+        awb: tracking.awb,
+        tracking_url: tracking.tracking_url
+      },
+      expected_delivery_date: tracking.expected_delivery_date,
+      delivered_at: tracking.delivered_at,
+      timeline: tracking.timeline.map(scan => ({
+        time: scan.time,
+        status: scan.status,
+        activity: scan.activity,
+        location: scan.location
+      }))
+    };
+  }
+}
+
+module.exports = new PublicTrackingService();
@@ -0,0 +1,236 @@
+/**
+ * RTO Analytics Service
+ * Return-to-origin rates by pincode, courier, product, vendor and payment type, aging of open
+ * RTOs, lost-in-transit candidates and the freight lost on RTO shipments. Built on rto_tracking,
+ * labels and orders; rates are RTO shipments / shipments handed over to the courier.
+ */
+
+const database = require('../config/database');
+
+// group_by values and their CSV column headers
+const DIMENSIONS = {
+  pincode: 'Pincode',
+  courier: 'Courier',
+  product: 'Product Code',
+  vendor: 'Vendor',
+  payment_type: 'Payment Type',
+  store: 'Store'
+};
+
+const AGING_BUCKETS = ['0-7', '8-15', '16-30', '31-60', '60+'];
+
+const escapeCSV = (value) => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' }) : '');
+
+/**
+ * Percentage with one decimal, 0 when there is nothing to divide by
+ */
+const percent = (part, total) => (total > 0 ? parseFloat(((part / total) * 100).toFixed(1)) : 0);
+
+/**
+ * Non-negative number from a query/utility value, or null
+ */
+function toAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : null;
+}
+
+/**
+ * Non-negative whole number from a query value, or the default
+ */
+function toCount(value, defaultValue) {
+  const count = parseInt(value, 10);
+  return Number.isInteger(count) && count >= 0 ? count : defaultValue;
+}
+
+class RtoAnalyticsService {
+  constructor() {
+    this.DIMENSIONS = Object.keys(DIMENSIONS);
+  }
+
+  /**
+   * Freight rates per shipment: query overrides, else the RtoForwardFreightPerShipment /
+   * RtoReverseFreightPerShipment utility values. A rate that is not configured stays null.
+   * @param {Object} overrides - { forward_rate?, reverse_rate? }
+   * @returns {Promise<Object>} { forward, reverse }
+   */
+  async getFreightRates(overrides = {}) {
+    const [forward, reverse] = await Promise.all([
+      toAmount(overrides.forward_rate) ?? database.getUtilityValue('RtoForwardFreightPerShipment').catch(() => null),
+      toAmount(overrides.reverse_rate) ?? database.getUtilityValue('RtoReverseFreightPerShipment').catch(() => null)
+    ]);
+    return { forward: toAmount(forward), reverse: toAmount(reverse) };
+  }
+
+  /**
+   * Forward + reverse freight spent on RTO shipments (null parts when a rate is not configured)
+   * @param {number} rtoShipments
+   * @param {Object} rates - { forward, reverse }
+   */
+  estimateFreight(rtoShipments, rates) {
+    const forward = rates.forward !== null ? rtoShipments * rates.forward : null;
+    const reverse = rates.reverse !== null ? rtoShipments * rates.reverse : null;
+    return {
+      forward,
+      reverse,
+      total: forward === null && reverse === null ? null : (forward || 0) + (reverse || 0)
+    };
+  }
+
+  /**
+   * Add rto_rate and the freight estimate to a breakdown row
+   */
+  withRates(row, rates) {
+    return {
+      ...row,
+      rto_rate: percent(row.rto_shipments, row.shipments),
+      freight_estimate: this.estimateFreight(row.rto_shipments, rates)
+    };
+  }
+
+  /**
+   * Normalize the report query: filters shared by all sections plus section options
+   * @param {Object} query - Request query
+   * @returns {Object} { filters, groupBy, breakdownOptions, lostFilters, rateOverrides }
+   */
+  parseQuery(query = {}) {
+    const filters = {
+      dateFrom: query.dateFrom || null,
+      dateTo: query.dateTo || null,
+      store: query.store || null,
+      vendorId: query.vendorId || null
+    };
+
+    return {
+      filters,
+      groupBy: query.group_by || 'pincode',
+      breakdownOptions: {
+        minShipments: toCount(query.min_shipments, 1),
+        limit: query.limit
+      },
+      lostFilters: {
+        ...filters,
+        lostAfterDays: toCount(query.lost_after_days, 30),
+        staleDays: toCount(query.stale_days, 10),
+        limit: query.limit
+      },
+      rateOverrides: {
+        forward_rate: query.forward_rate,
+        reverse_rate: query.reverse_rate
+      }
+    };
+  }
+
+  /**
+   * Full RTO report: overview, breakdown by one dimension, aging and lost-in-transit candidates
+   * @param {Object} query - Request query (see parseQuery)
+   * @returns {Promise<Object>}
+   */
+  async getReport(query = {}) {
+    const { filters, groupBy, breakdownOptions, lostFilters, rateOverrides } = this.parseQuery(query);
+
+    const [rates, overallRows, breakdownRows, agingRows, lostInTransit] = await Promise.all([
+      this.getFreightRates(rateOverrides),
+      database.getRTOAnalyticsBreakdown(null, filters),
+      database.getRTOAnalyticsBreakdown(groupBy, { ...filters, ...breakdownOptions }),
+      database.getRTOAgingBuckets(filters),
+      database.getRTOLostInTransitCandidates(lostFilters)
+    ]);
+
+    const overall = overallRows[0] || { shipments: 0, rto_shipments: 0, rto_delivered: 0, rto_order_value: 0 };
+    const { value, label, ...overview } = this.withRates(overall, rates);
+
+    return {
+      overview: {
+        ...overview,
+        rto_open: overall.rto_shipments - overall.rto_delivered,
+        lost_in_transit_candidates: lostInTransit.length
+      },
+      freight_rates: rates,
+      breakdown: {
+        group_by: groupBy,
+        rows: breakdownRows.map(row => this.withRates(row, rates))
+      },
+      aging: this.fillAgingBuckets(agingRows),
+      lost_in_transit: {
+        lost_after_days: lostFilters.lostAfterDays,
+        stale_days: lostFilters.staleDays,
+        shipments: lostInTransit
+      }
+    };
+  }
+
+  /**
+   * Every aging bucket in order, zero when there are no shipments in it
+   */
+  fillAgingBuckets(rows) {
+    return AGING_BUCKETS.map(bucket => {
+      const row = rows.find(agingRow => agingRow.bucket === bucket);
+      return {
+        bucket,
+        shipments: row ? row.shipments : 0,
+        order_value: row ? row.order_value : 0
+      };
+    });
+  }
+
+  /**
+   * One report section as CSV
+   * @param {string} report - 'breakdown' | 'aging' | 'lost_in_transit'
+   * @param {Object} query - Request query (see parseQuery)
+   * @returns {Promise<string>}
+   */
+  async exportCSV(report, query = {}) {
+    const { filters, groupBy, breakdownOptions, lostFilters, rateOverrides } = this.parseQuery(query);
+    let headers;
+    let rows;
+
+    if (report === 'aging') {
+      headers = ['Days Since RTO', 'Open RTO Shipments', 'Order Value'];
+      rows = this.fillAgingBuckets(await database.getRTOAgingBuckets(filters))
+        .map(row => [row.bucket, row.shipments, row.order_value.toFixed(2)]);
+    } else if (report === 'lost_in_transit') {
+      headers = ['Order ID', 'Store', 'AWB', 'Courier', 'Vendor', 'Payment Type', 'Latest RTO Status', 'RTO Warehouse',
+        'RTO Started', 'Last Activity', 'Days Since RTO', 'Days Without Movement', 'Order Value'];
+      rows = (await database.getRTOLostInTransitCandidates(lostFilters)).map(row => [
+        row.order_id,
+        row.account_code,
+        row.awb,
+        row.carrier_name,
+        row.vendor,
+        row.payment_type,
+        row.latest_status,
+        row.rto_wh,
+        formatDate(row.initiated_at),
+        formatDate(row.last_activity_at),
+        row.days_since_initiated,
+        row.days_since_last_activity,
+        row.order_value.toFixed(2)
+      ]);
+    } else {
+      const rates = await this.getFreightRates(rateOverrides);
+      headers = [DIMENSIONS[groupBy], 'Name', 'Shipments', 'RTO Shipments', 'RTO Rate (%)', 'RTO Delivered', 'RTO Order Value',
+        'Forward Freight', 'Reverse Freight', 'Total Freight'];
+      rows = (await database.getRTOAnalyticsBreakdown(groupBy, { ...filters, ...breakdownOptions }))
+        .map(row => this.withRates(row, rates))
+        .map(row => [
+          row.value,
+          row.label,
+          row.shipments,
+          row.rto_shipments,
+          row.rto_rate,
+          row.rto_delivered,
+          row.rto_order_value.toFixed(2),
+          row.freight_estimate.forward ?? '',
+          row.freight_estimate.reverse ?? '',
+          row.freight_estimate.total ?? ''
+        ]);
+    }
+
+    return [headers, ...rows].map(row => row.map(escapeCSV).join(',')).join('\n');
+  }
+}
+
+module.exports = new RtoAnalyticsService();
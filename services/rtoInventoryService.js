@@ -1,4 +1,5 @@
 const database = require('../config/database');
+const { httpError } = require('../utils/serviceHelpers');
 
 /**
  * RTO Inventory Service
@@ -93,6 +94,132 @@ class RTOInventoryService {
         }
     }
 
+    /**
+     * Reserve RTO units for an unclaimed order line, so it can ship from returned stock
+     * @param {string} orderUniqueId - orders.unique_id
+     * @param {Object} options - { rto_inventory_id? } (default: the location with the most available units)
+     * @param {Object|null} user - User making the reservation
+     * @returns {Promise<Object>} The reservation
+     */
+    async reserveForOrder(orderUniqueId, { rto_inventory_id } = {}, user = null) {
+        const line = await database.getOrderLineForRTOReservation(orderUniqueId);
+        if (!line) {
+            throw httpError(404, 'Order not found');
+        }
+        if (line.claims_status && line.claims_status !== 'unclaimed') {
+            throw httpError(409, `Only unclaimed orders can be reserved (order is ${line.claims_status})`);
+        }
+        if (!line.base_sku) {
+            throw httpError(409, `Order ${line.order_id} has no resolved product code`);
+        }
+
+        const quantity = parseInt(line.quantity) || 1;
+        const item = [line.base_sku, line.size].filter(Boolean).join(' ');
+        let stock;
+
+        if (rto_inventory_id) {
+            stock = await database.getRTOInventoryById(rto_inventory_id);
+            if (!stock) {
+                throw httpError(404, 'RTO inventory row not found');
+            }
+            const sameSize = String(stock.size || '').toUpperCase() === String(line.size || '').toUpperCase();
+            if (stock.account_code !== line.account_code || stock.product_code !== line.base_sku || !sameSize) {
+                throw httpError(400, `RTO stock ${stock.id} is not ${item} of store ${line.account_code}`);
+            }
+        } else {
+            const candidates = await database.getAvailableRTOStock(line.account_code, line.base_sku, line.size);
+            stock = candidates.find(candidate => candidate.available_quantity >= quantity);
+        }
+
+        if (!stock || stock.available_quantity < quantity) {
+            throw httpError(409, `Not enough RTO stock of ${item} for ${quantity} unit(s)`);
+        }
+
+        const { reservation, reason } = await database.reserveRTOInventory({
+            rto_inventory_id: stock.id,
+            account_code: line.account_code,
+            order_unique_id: line.unique_id,
+            order_id: line.order_id,
+            quantity,
+            reserved_by: user?.id || null
+        });
+
+        if (!reservation) {
+            throw httpError(409, reason === 'already_reserved'
+                ? 'Order already has an active RTO reservation'
+                : `Not enough RTO stock of ${item} for ${quantity} unit(s)`);
+        }
+
+        console.log(`✅ [RTO Inventory Service] Reserved ${quantity} unit(s) of RTO stock ${stock.id} for ${line.unique_id}`);
+        return reservation;
+    }
+
+    /**
+     * Release an active reservation back to available RTO stock
+     * @param {number} reservationId
+     * @param {Object|null} user
+     * @param {string|null} reason
+     * @returns {Promise<Object>} The released reservation
+     */
+    async releaseReservation(reservationId, user = null, reason = null) {
+        const existing = await database.getRTOReservationById(reservationId);
+        if (!existing) {
+            throw httpError(404, 'RTO reservation not found');
+        }
+
+        const reservation = await database.closeRTOReservation(reservationId, 'released', {
+            created_by: user?.id || null,
+            reason
+        });
+        if (!reservation) {
+            throw httpError(409, `RTO reservation is already ${existing.status}`);
+        }
+
+        return reservation;
+    }
+
+    /**
+     * Settle reservations: units of handed-over orders leave RTO stock ('shipped'),
+     * reservations of order lines that no longer exist are released
+     * @returns {Promise<Object>} { shipped, released, failed }
+     */
+    async syncReservations() {
+        await database.waitForMySQLInitialization();
+
+        if (!database.isMySQLAvailable()) {
+            throw new Error('Database connection not available');
+        }
+
+        let shipped = 0;
+        let released = 0;
+        let failed = 0;
+
+        for (const reservation of await database.getRTOReservationsToShip()) {
+            try {
+                if (await database.closeRTOReservation(reservation.id, 'shipped', { source: 'handover' })) {
+                    shipped++;
+                }
+            } catch (error) {
+                console.error(`❌ [RTO Inventory Service] Failed to ship reservation ${reservation.id}:`, error.message);
+                failed++;
+            }
+        }
+
+        for (const reservation of await database.getOrphanedRTOReservations()) {
+            try {
+                if (await database.closeRTOReservation(reservation.id, 'released', { source: 'sync', reason: 'Order line no longer exists' })) {
+                    released++;
+                }
+            } catch (error) {
+                console.error(`❌ [RTO Inventory Service] Failed to release reservation ${reservation.id}:`, error.message);
+                failed++;
+            }
+        }
+
+        console.log(`✅ [RTO Inventory Service] Reservation sync: ${shipped} shipped, ${released} released, ${failed} failed`);
+        return { shipped, released, failed };
+    }
+
     /**
      * Get processing status
      * @returns {Object} Current processing status
@@ -0,0 +1,367 @@
+/**
+ * Scheduled Jobs
+ * Registers the recurring background jobs with the scheduler (services/scheduler.js).
+ * Each handler returns a run summary: { processed, succeeded, failed, message, skipped, ... }
+ */
+
+const database = require('../config/database');
+const scheduler = require('./scheduler');
+const { fetchAndSaveShopifyProducts } = require('./shopifyProductFetcher');
+const multiStoreSyncService = require('./multiStoreSyncService');
+const carrierSyncService = require('./carrierSyncService');
+const carrierServiceabilityService = require('./carrierServiceabilityService');
+const orderTrackingService = require('./orderTrackingService');
+const productMonitorService = require('./productMonitorService');
+const rtoInventoryService = require('./rtoInventoryService');
+const pincodeRiskService = require('./pincodeRiskService');
+const autoReversalService = require('./autoReversalService');
+const vendorPenaltyService = require('./vendorPenaltyService');
+const vendorCapacityService = require('./vendorCapacityService');
+const userSessionService = require('./userSessionService');
+
+/**
+ * Summary for orderTrackingService sync results ({ success, processed, successCount, errorCount })
+ */
+function trackingSummary(result) {
+  return {
+    success: result.success,
+    message: result.message,
+    processed: result.processed,
+    succeeded: result.successCount,
+    failed: result.errorCount
+  };
+}
+
+async function runMultiStoreSync() {
+  const result = await multiStoreSyncService.syncAllStores();
+  return {
+    success: result.success,
+    message: `${result.successfulStores}/${result.totalStores} stores synced, ${result.totalOrders} orders`,
+    processed: result.totalStores,
+    succeeded: result.successfulStores,
+    failed: (result.totalStores || 0) - (result.successfulStores || 0),
+    totalOrders: result.totalOrders,
+    failedStores: (result.failed || []).map(store => ({ accountCode: store.accountCode, error: store.error }))
+  };
+}
+
+async function runCarrierSync() {
+  const result = await carrierSyncService.startCarrierSync();
+  const storeResults = result.storeResults || [];
+  return {
+    success: result.success,
+    message: result.message,
+    processed: storeResults.length,
+    succeeded: storeResults.filter(store => store.success).length,
+    failed: storeResults.filter(store => !store.success).length,
+    totalCarriers: result.totalCarriers,
+    storeResults
+  };
+}
+
+async function runActiveOrderTracking() {
+  return trackingSummary(await orderTrackingService.syncActiveOrderTracking());
+}
+
+async function runInactiveOrderTracking() {
+  return trackingSummary(await orderTrackingService.syncInactiveOrderTracking());
+}
+
+async function runTrackingCleanup() {
+  const result = await orderTrackingService.cleanupOldTrackingData();
+  return {
+    success: result.success,
+    message: result.message,
+    processed: result.deletedCount
+  };
+}
+
+async function runProductRefresh() {
+  await database.waitForMySQLInitialization();
+
+  const shopifyUrl = process.env.SHOPIFY_PRODUCTS_API_URL || 'https://seq5t1-mz.myshopify.com/admin/api/2025-07/graphql.json';
+  const shopifyToken = process.env.SHOPIFY_ACCESS_TOKEN;
+
+  // Get store from database using Shopify credentials
+  const store = await database.getStoreByShopifyCredentials(shopifyUrl, shopifyToken);
+
+  if (!store) {
+    console.log('[Product Sync] ⚠️ Store not found in database for configured Shopify credentials');
+    return { skipped: true, message: 'Store not found for configured Shopify credentials' };
+  }
+
+  if (store.status !== 'active') {
+    console.log(`[Product Sync] ⚠️ Store "${store.store_name}" (${store.account_code}) is inactive`);
+    return { skipped: true, message: `Store ${store.account_code} is inactive` };
+  }
+
+  console.log(`[Product Sync] Store "${store.store_name}" (${store.account_code}) is active, proceeding with sync...`);
+
+  await fetchAndSaveShopifyProducts(
+    shopifyUrl,
+    {
+      'X-Shopify-Access-Token': shopifyToken,
+      'Content-Type': 'application/json',
+    },
+    true // forceNew = true to ensure fresh data
+  );
+  return { success: true, message: `Products refreshed for ${store.account_code}` };
+}
+
+async function runProductMonitor() {
+  const result = await productMonitorService.checkNewProducts();
+  if (result.skipped) {
+    return { skipped: true, message: 'Check already in progress' };
+  }
+  return {
+    success: result.success,
+    message: `Found ${result.count} new product(s)`,
+    processed: result.count
+  };
+}
+
+async function runRTOTrackingUpdate() {
+  const result = await database.updateRTODaysAndFocus();
+  return {
+    success: true,
+    message: `Days updated: ${result.daysUpdated}, Focus updated: ${result.focusUpdated}`,
+    ...result
+  };
+}
+
+async function runRTOInventoryProcessing() {
+  const result = await rtoInventoryService.processDeliveredRTOOrders();
+  return {
+    success: result.success,
+    message: result.message || `Processed: ${result.processedCount}, Errors: ${result.errorCount || 0}`,
+    processed: result.processedCount,
+    failed: result.errorCount
+  };
+}
+
+async function runRTOInventoryCleanup() {
+  const result = await database.cleanupZeroQuantityRTOInventory();
+  return {
+    success: true,
+    message: result.message,
+    processed: result.deletedCount
+  };
+}
+
+async function runRTOReservationSync() {
+  const result = await rtoInventoryService.syncReservations();
+  return {
+    success: result.failed === 0,
+    message: `Shipped: ${result.shipped}, Released: ${result.released}, Failed: ${result.failed}`,
+    processed: result.shipped + result.released,
+    failed: result.failed
+  };
+}
+
+async function runServiceabilityCacheRefresh() {
+  const result = await carrierServiceabilityService.refreshHotPincodes();
+  return {
+    success: result.failed === 0,
+    message: `Refreshed ${result.refreshed} of ${result.candidates} hot pincodes, ${result.failed} failed, removed ${result.removed} unused entries`,
+    processed: result.candidates,
+    succeeded: result.refreshed,
+    failed: result.failed
+  };
+}
+
+async function runPincodeRiskScoring() {
+  const result = await pincodeRiskService.recomputeScores();
+  return {
+    success: true,
+    message: `Scored ${result.pincodes} pincodes (${result.carrier_rows} pincode/carrier rows), removed ${result.removed} stale rows`,
+    processed: result.pincodes
+  };
+}
+
+async function runClaimExpiry() {
+  console.log('[Auto-Reversal] Processing expired claims...');
+  const reversalResult = await autoReversalService.executeAutoReversal();
+
+  console.log('[Auto-Reversal] Warning vendors about expiring claims...');
+  const warningResult = await autoReversalService.sendExpiryWarnings();
+
+  const failures = [reversalResult, warningResult].filter(result => !result.success);
+  return {
+    success: failures.length === 0,
+    message: failures.length > 0
+      ? failures.map(result => result.message).join('; ')
+      : `Auto-reversed: ${reversalResult.data.auto_reversed}, warned: ${warningResult.data.warned}`,
+    processed: reversalResult.success ? reversalResult.data.total_checked : null,
+    succeeded: reversalResult.success ? reversalResult.data.auto_reversed : null,
+    autoReversal: reversalResult.success ? reversalResult.data : { message: reversalResult.message },
+    warnings: warningResult.data
+  };
+}
+
+async function runVendorPenalties() {
+  const result = await vendorPenaltyService.evaluatePenalties();
+  const created = Object.values(result.created).reduce((sum, count) => sum + count, 0);
+  return {
+    success: true,
+    message: `Charged ${created} penalties (₹${result.amount}) from ${result.checked} candidate events`,
+    processed: result.checked,
+    succeeded: created,
+    created: result.created
+  };
+}
+
+async function runVendorAutoAllocation() {
+  const result = await vendorCapacityService.allocateOrders();
+  return {
+    success: result.failed === 0,
+    message: `Allocated ${result.allocated} of ${result.checked} waiting orders (${result.unallocated} without an eligible vendor, ${result.failed} failed)`,
+    processed: result.checked,
+    succeeded: result.allocated,
+    failed: result.failed,
+    by_vendor: result.by_vendor
+  };
+}
+
+async function runDailyMaintenance() {
+  console.log('[Claims Criticality] Updating is_critical flags (per-store criticality_days)...');
+  const criticalityResult = await autoReversalService.updateClaimsCriticality();
+
+  return {
+    success: criticalityResult.success,
+    message: criticalityResult.message,
+    processed: criticalityResult.data.affected_rows,
+    criticality: criticalityResult.data
+  };
+}
+
+async function runUserSessionCleanup() {
+  const deleted = await userSessionService.cleanupStaleSessions();
+  return {
+    success: true,
+    message: `Deleted ${deleted} expired or revoked session(s)`,
+    processed: deleted
+  };
+}
+
+/**
+ * Register all scheduled jobs (called once on server startup, before scheduler.start())
+ *
+ * Daily jobs are staggered so they do not start together or on the hour, when multi-store-sync
+ * and order-tracking-active run: the long inactive tracking refresh (2-hour lease) starts at
+ * 00:10 and the other nightly jobs follow from 02:10. rto-tracking-update runs before
+ * rto-inventory-processing and product-refresh before product-monitor.
+ */
+function registerScheduledJobs() {
+  scheduler.register('multi-store-sync', {
+    schedule: '0 * * * *',
+    description: 'Sync orders for all active stores',
+    handler: runMultiStoreSync
+  });
+
+  scheduler.register('carrier-sync', {
+    schedule: '0 */6 * * *',
+    description: 'Sync carriers from the shipping partner for all active stores',
+    handler: runCarrierSync
+  });
+
+  scheduler.register('order-tracking-active', {
+    schedule: '0 * * * *',
+    description: 'Refresh tracking for active orders',
+    handler: runActiveOrderTracking
+  });
+
+  scheduler.register('order-tracking-inactive', {
+    schedule: '10 0 * * *',
+    description: 'Refresh tracking for inactive orders',
+    handler: runInactiveOrderTracking,
+    leaseSeconds: 2 * 60 * 60
+  });
+
+  scheduler.register('order-tracking-cleanup', {
+    schedule: '0 3 * * 0',
+    description: 'Delete old tracking data (weekly)',
+    handler: runTrackingCleanup
+  });
+
+  scheduler.register('product-refresh', {
+    schedule: '25 2 * * *',
+    description: 'Refresh products from Shopify',
+    handler: runProductRefresh
+  });
+
+  scheduler.register('product-monitor', {
+    schedule: '0 3 * * *',
+    description: 'Check for new products',
+    handler: runProductMonitor
+  });
+
+  scheduler.register('rto-tracking-update', {
+    schedule: '40 2 * * *',
+    description: 'Update RTO days_since_initiated and is_focus',
+    handler: runRTOTrackingUpdate
+  });
+
+  scheduler.register('rto-inventory-processing', {
+    schedule: '0 4 * * *',
+    description: 'Add delivered RTO orders to RTO inventory',
+    handler: runRTOInventoryProcessing
+  });
+
+  scheduler.register('rto-inventory-cleanup', {
+    schedule: '0 6 * * *',
+    description: 'Delete zero-quantity RTO inventory older than 48 hours',
+    handler: runRTOInventoryCleanup
+  });
+
+  scheduler.register('rto-reservation-sync', {
+    schedule: '45 * * * *',
+    description: 'Take shipped RTO reservations out of RTO inventory and release orphaned ones',
+    handler: runRTOReservationSync
+  });
+
+  scheduler.register('serviceability-cache-refresh', {
+    schedule: '20 * * * *',
+    description: 'Refresh pincode serviceability for recently requested pincodes before it expires',
+    handler: runServiceabilityCacheRefresh
+  });
+
+  scheduler.register('pincode-risk-scoring', {
+    schedule: '30 4 * * *',
+    description: 'Recompute pincode/carrier delivery scores and COD-risk levels',
+    handler: runPincodeRiskScoring
+  });
+
+  scheduler.register('claim-expiry', {
+    schedule: '30 * * * *',
+    description: 'Auto-reverse expired claims and warn vendors about expiring ones (per-store policies)',
+    handler: runClaimExpiry
+  });
+
+  scheduler.register('vendor-penalties', {
+    schedule: '45 * * * *',
+    description: 'Charge vendor penalties for auto-reversed claims, quality RTOs and late handovers',
+    handler: runVendorPenalties
+  });
+
+  scheduler.register('vendor-auto-allocation', {
+    schedule: '*/15 * * * *',
+    description: 'Allocate orders nobody claimed to opted-in vendors by capacity, proximity and fulfillment rate',
+    handler: runVendorAutoAllocation
+  });
+
+  scheduler.register('daily-maintenance', {
+    schedule: '10 2 * * *',
+    description: 'Update claim criticality',
+    handler: runDailyMaintenance
+  });
+
+  scheduler.register('user-session-cleanup', {
+    schedule: '15 5 * * *',
+    description: 'Delete expired and revoked login sessions',
+    handler: runUserSessionCleanup
+  });
+}
+
+module.exports = {
+  registerScheduledJobs
+};
@@ -0,0 +1,267 @@
+/**
+ * Scheduler Service
+ *
+ * Runs the recurring background jobs (order sync, carrier sync, tracking, RTO, auto-reversal, ...).
+ * Every instance schedules every job with node-cron, but a job only runs on the instance
+ * that takes its lease in the scheduler_locks table, so deploys with several instances
+ * do not run the same job more than once. Each run is recorded in job_runs.
+ *
+ * Job handlers return a summary object; these keys are stored in their own columns:
+ *   { processed, succeeded, failed, message, skipped }
+ * The whole object is kept as the run summary. Returning success: false (the convention
+ * of the existing services) or throwing marks the run as failed.
+ */
+
+const os = require('os');
+const cron = require('node-cron');
+const database = require('../config/database');
+
+const DEFAULT_LEASE_SECONDS = 60 * 60;
+const RUN_HISTORY_RETENTION_DAYS = 30;
+
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.tasks = [];
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.started = false;
+  }
+
+  /**
+   * Register a scheduled job
+   * @param {string} name - Unique job name (e.g. 'multi-store-sync')
+   * @param {Object} options
+   * @param {string} options.schedule - Cron expression
+   * @param {string} options.description - Shown in the admin job list
+   * @param {Function} options.handler - async () => summary
+   * @param {number} options.leaseSeconds - Lease length; renewed while the job runs
+   */
+  register(name, { schedule, description = '', handler, leaseSeconds = DEFAULT_LEASE_SECONDS }) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Scheduled job already registered: ${name}`);
+    }
+    if (!cron.validate(schedule)) {
+      throw new Error(`Invalid cron expression for ${name}: ${schedule}`);
+    }
+
+    this.jobs.set(name, { name, schedule, description, handler, leaseSeconds, running: false });
+  }
+
+  /**
+   * Whether this instance runs scheduled jobs.
+   * Set SCHEDULER_ENABLED=false to keep an instance from running scheduled jobs.
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return process.env.SCHEDULER_ENABLED !== 'false';
+  }
+
+  /**
+   * Start cron schedules for all registered jobs (called once on server startup)
+   */
+  start() {
+    if (this.started) return;
+
+    if (!this.isEnabled()) {
+      console.log('ℹ️ Scheduler disabled (SCHEDULER_ENABLED=false)');
+      return;
+    }
+
+    for (const job of this.jobs.values()) {
+      const task = cron.schedule(job.schedule, () => {
+        this.run(job.name, { trigger: 'schedule', slot: this.currentSlot() });
+      }, { name: job.name });
+      this.tasks.push(task);
+    }
+
+    // Keep job_runs from growing forever
+    this.tasks.push(cron.schedule('30 5 * * *', () => this.cleanupHistory(), { name: 'scheduler-history-cleanup' }));
+
+    this.started = true;
+    console.log(`✅ Scheduler started (${this.instanceId}): ${this.jobs.size} job(s)`);
+  }
+
+  /**
+   * Stop all cron schedules
+   */
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+    this.started = false;
+  }
+
+  /**
+   * Cron slot for the current minute, identical on every instance firing the same schedule
+   * @returns {string} e.g. '2025-01-31T02:00'
+   */
+  currentSlot() {
+    return new Date().toISOString().substring(0, 16);
+  }
+
+  /**
+   * Registered jobs (without handlers)
+   * @returns {Array} [{ name, schedule, description, running }]
+   */
+  listJobs() {
+    return [...this.jobs.values()].map(({ name, schedule, description, running }) => ({
+      name,
+      schedule,
+      description,
+      running_here: running
+    }));
+  }
+
+  /**
+   * Whether a job with this name is registered
+   * @param {string} name
+   * @returns {boolean}
+   */
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+
+  /**
+   * Run a job now if its lease is free and wait for it to finish
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger: 'schedule'|'startup'|'manual', triggeredBy, slot }
+   * @returns {Promise<Object>} { started, runId, status, reason }
+   */
+  async run(name, options = {}) {
+    const started = await this.startRun(name, options);
+    if (!started.started) {
+      return started;
+    }
+    const status = await started.completion;
+    return { started: true, runId: started.runId, status };
+  }
+
+  /**
+   * Take the lease and start a job without waiting for it to finish (used by the admin trigger)
+   * @param {string} name - Job name
+   * @param {Object} options - { trigger, triggeredBy, slot }
+   * @returns {Promise<Object>} { started, runId, completion, reason }
+   */
+  async startRun(name, { trigger = 'schedule', triggeredBy = null, slot = null } = {}) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown scheduled job: ${name}`);
+    }
+
+    let runId;
+    try {
+      await database.waitForMySQLInitialization();
+      if (!database.isMySQLAvailable()) {
+        console.error(`❌ [Scheduler] ${name}: database not available, skipping ${trigger} run`);
+        return { started: false, reason: 'Database not available' };
+      }
+
+      const acquired = await database.acquireSchedulerLock(name, this.instanceId, job.leaseSeconds, slot);
+      if (!acquired) {
+        console.log(`⏭️ [Scheduler] ${name}: already running or handled by another instance, skipping ${trigger} run`);
+        return { started: false, reason: 'Job is already running or this slot was handled by another instance' };
+      }
+
+      runId = await database.createJobRun({
+        job_name: name,
+        trigger_type: trigger,
+        triggered_by: triggeredBy,
+        instance_id: this.instanceId
+      });
+    } catch (error) {
+      console.error(`❌ [Scheduler] ${name}: could not start run:`, error.message);
+      await this.releaseLock(name);
+      return { started: false, reason: error.message };
+    }
+
+    console.log(`\n🕒 [Scheduler] ${name}: run #${runId} started (${trigger})`);
+    const completion = this.execute(job, runId);
+    return { started: true, runId, completion };
+  }
+
+  /**
+   * Run the handler while renewing the lease, then record the outcome and release the lease
+   * @returns {Promise<string>} Final run status
+   */
+  async execute(job, runId) {
+    job.running = true;
+    const renewEveryMs = Math.max(job.leaseSeconds * 1000 / 3, 10 * 1000);
+    const renewTimer = setInterval(() => {
+      database.extendSchedulerLock(job.name, this.instanceId, job.leaseSeconds)
+        .then(held => {
+          if (!held) console.warn(`⚠️ [Scheduler] ${job.name}: lease lost during run #${runId}`);
+        })
+        .catch(error => console.error(`⚠️ [Scheduler] ${job.name}: lease renewal failed:`, error.message));
+    }, renewEveryMs);
+
+    let outcome;
+    try {
+      const summary = (await job.handler()) || {};
+      outcome = this.buildOutcome(summary);
+    } catch (error) {
+      outcome = { status: 'failed', error: error.message, message: error.message };
+    } finally {
+      clearInterval(renewTimer);
+      job.running = false;
+    }
+
+    try {
+      await database.finishJobRun(runId, outcome);
+    } catch (error) {
+      console.error(`❌ [Scheduler] ${job.name}: could not record run #${runId}:`, error.message);
+    }
+    await this.releaseLock(job.name);
+
+    const icon = outcome.status === 'failed' ? '❌' : outcome.status === 'skipped' ? '⏭️' : '✅';
+    console.log(`${icon} [Scheduler] ${job.name}: run #${runId} ${outcome.status}${outcome.message ? ` - ${outcome.message}` : ''}`);
+    return outcome.status;
+  }
+
+  /**
+   * Map a handler summary to job_runs columns
+   * @param {Object} summary
+   * @returns {Object} finishJobRun outcome
+   */
+  buildOutcome(summary) {
+    let status = 'success';
+    if (summary.skipped) {
+      status = 'skipped';
+    } else if (summary.success === false) {
+      status = 'failed';
+    }
+
+    return {
+      status,
+      processed_count: Number.isFinite(summary.processed) ? summary.processed : null,
+      success_count: Number.isFinite(summary.succeeded) ? summary.succeeded : null,
+      error_count: Number.isFinite(summary.failed) ? summary.failed : null,
+      message: summary.message || null,
+      summary,
+      error: status === 'failed' ? (summary.error || summary.message || 'Job reported failure') : null
+    };
+  }
+
+  async releaseLock(name) {
+    try {
+      await database.releaseSchedulerLock(name, this.instanceId);
+    } catch (error) {
+      // The lease expires on its own
+      console.error(`⚠️ [Scheduler] ${name}: could not release lease:`, error.message);
+    }
+  }
+
+  /**
+   * Delete old run history
+   */
+  async cleanupHistory() {
+    try {
+      const deleted = await database.deleteJobRunsOlderThan(RUN_HISTORY_RETENTION_DAYS);
+      if (deleted > 0) {
+        console.log(`🧹 [Scheduler] Removed ${deleted} job run(s) older than ${RUN_HISTORY_RETENTION_DAYS} days`);
+      }
+    } catch (error) {
+      console.error('❌ [Scheduler] Job run cleanup failed:', error.message);
+    }
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,669 @@
+/**
+ * Settlement Service
+ *
+ * Payment lifecycle of vendor settlements on top of the vendor ledger (vendorLedgerService):
+ *
+ *  - pending → approved → partially_paid → paid, or pending → rejected
+ *  - Every payment is a settlement_payments row and a 'settlement' ledger debit, so one
+ *    settlement can be paid in several parts (each with its own transaction ID and proof)
+ *  - Payout batches collect the outstanding amount of many vendors' settlements as pending
+ *    payments; completing the batch marks each payment paid (ledger debit written) or failed
+ *  - Reconciliation matches each settlement's payments against its ledger entries
+ */
+
+const crypto = require('crypto');
+const vendorLedgerService = require('./vendorLedgerService');
+const { httpError, withTransaction } = require('../utils/serviceHelpers');
+
+// Settlements that can receive payments
+const PAYABLE_STATUSES = ['approved', 'partially_paid'];
+
+// Bank bulk-upload files for UPI payouts (vendors are paid to the UPI ID on their settlement).
+// rows: [{ reference, vendorName, upiId, amount, narration }]
+const BANK_FORMATS = {
+  upi_bulk: {
+    label: 'UPI bulk payout (with header)',
+    headers: ['Payment Mode', 'Beneficiary Name', 'Beneficiary VPA', 'Amount', 'Payment Reference', 'Narration'],
+    row: (row) => ['UPI', row.vendorName, row.upiId, row.amount.toFixed(2), row.reference, row.narration]
+  },
+  upi_bulk_noheader: {
+    label: 'UPI bulk payout (no header, for host-to-host uploads)',
+    headers: null,
+    row: (row) => ['UPI', row.upiId, row.amount.toFixed(2), row.vendorName, row.reference, row.narration]
+  }
+};
+
+const roundAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const escapeCSV = (value) => `"${String(value === null || value === undefined ? '' : value).replace(/"/g, '""')}"`;
+
+class SettlementService {
+  constructor() {
+    this.PAYABLE_STATUSES = PAYABLE_STATUSES;
+    this.BANK_FORMATS = Object.keys(BANK_FORMATS);
+  }
+
+  async lockSettlement(connection, settlementId) {
+    const [rows] = await connection.execute('SELECT * FROM settlements WHERE id = ? FOR UPDATE', [settlementId]);
+    if (rows.length === 0) {
+      throw httpError(404, 'Settlement not found');
+    }
+    return rows[0];
+  }
+
+  async getSettlement(settlementId) {
+    const [rows] = await vendorLedgerService.getDb().execute('SELECT * FROM settlements WHERE id = ?', [settlementId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Amount that can still be paid on a settlement: requested - paid - pending batch payments
+   * @param {Object} connection
+   * @param {Object} settlement - Settlement row
+   * @param {number|null} excludePaymentId - Pending payment being completed (not counted as pending)
+   */
+  async getPayableAmount(connection, settlement, excludePaymentId = null) {
+    const [rows] = await connection.execute(
+      `SELECT COALESCE(SUM(amount), 0) AS pending
+       FROM settlement_payments
+       WHERE settlement_id = ? AND status = 'pending' AND id != ?`,
+      [settlement.id, excludePaymentId || 0]
+    );
+    return roundAmount(parseFloat(settlement.amount) - parseFloat(settlement.amountPaid || 0) - parseFloat(rows[0].pending));
+  }
+
+  /**
+   * Pay part or all of a locked settlement: ledger debit, payment row (new or a pending batch
+   * payment), then the settlement's amountPaid and status
+   * @param {Object} connection - Open transaction
+   * @param {Object} settlement - Settlement row locked FOR UPDATE
+   * @param {Object} payment - { amount, transactionId, proofPath?, notes?, recordedBy, paymentId? }
+   * @returns {Promise<Object>} { paymentId, ledgerEntryId, amountPaid, status }
+   */
+  async applyPayment(connection, settlement, payment) {
+    const amount = roundAmount(payment.amount);
+    const description = `Settlement payment for settlement ${settlement.id}. Transaction ID: ${payment.transactionId}` +
+      (payment.proofPath ? `. Payment proof: ${payment.proofPath}` : '');
+    const entry = await vendorLedgerService.recordSettlementPayout(settlement, amount, description, connection);
+
+    let paymentId = payment.paymentId;
+    if (paymentId) {
+      await connection.execute(
+        `UPDATE settlement_payments
+         SET status = 'paid', transaction_id = ?, ledger_entry_id = ?, recorded_by = ?, paid_at = NOW(),
+             notes = COALESCE(?, notes)
+         WHERE id = ?`,
+        [payment.transactionId, entry.id, payment.recordedBy, payment.notes || null, paymentId]
+      );
+    } else {
+      const [result] = await connection.execute(
+        `INSERT INTO settlement_payments
+           (settlement_id, vendor_id, amount, status, transaction_id, payment_proof_path, ledger_entry_id, notes, recorded_by, paid_at)
+         VALUES (?, ?, ?, 'paid', ?, ?, ?, ?, ?, NOW())`,
+        [settlement.id, settlement.vendorId, amount, payment.transactionId, payment.proofPath || null,
+          entry.id, payment.notes || null, payment.recordedBy]
+      );
+      paymentId = result.insertId;
+    }
+
+    const amountPaid = roundAmount(parseFloat(settlement.amountPaid || 0) + amount);
+    const fullyPaid = amountPaid >= roundAmount(settlement.amount);
+    const status = fullyPaid ? 'paid' : 'partially_paid';
+
+    await connection.execute(
+      `UPDATE settlements
+       SET amountPaid = ?, status = ?, paymentStatus = ?, transactionId = ?,
+           paymentProofPath = COALESCE(?, paymentProofPath)
+       WHERE id = ?`,
+      [amountPaid, status, fullyPaid ? 'settled_fully' : 'settled_partially', payment.transactionId,
+        payment.proofPath || null, settlement.id]
+    );
+
+    return { paymentId, ledgerEntryId: entry.id, amountPaid, status };
+  }
+
+  /**
+   * Approve a pending settlement, optionally paying (part of) it right away
+   * @param {string} settlementId
+   * @param {Object} admin - User row (id)
+   * @param {Object|null} payment - { amount, transactionId, proofPath?, notes? }
+   * @returns {Promise<Object>} { settlement, payment }
+   */
+  async approveSettlement(settlementId, admin, payment = null) {
+    const paymentResult = await withTransaction(async (connection) => {
+      const settlement = await this.lockSettlement(connection, settlementId);
+      if (settlement.status !== 'pending') {
+        throw httpError(400, 'Settlement is not in pending status');
+      }
+
+      await connection.execute(
+        `UPDATE settlements SET status = 'approved', approvedBy = ?, approvedAt = NOW() WHERE id = ?`,
+        [admin.id, settlementId]
+      );
+
+      if (!payment) {
+        return null;
+      }
+      if (roundAmount(payment.amount) > roundAmount(settlement.amount)) {
+        throw httpError(400, 'Amount paid cannot exceed requested amount');
+      }
+      return this.applyPayment(connection, { ...settlement, status: 'approved' }, { ...payment, recordedBy: admin.id });
+    });
+
+    return {
+      settlement: await this.getSettlement(settlementId),
+      payment: paymentResult ? await this.getPayment(paymentResult.paymentId) : null
+    };
+  }
+
+  /**
+   * Record a payment against an approved or partially paid settlement
+   * @param {string} settlementId
+   * @param {Object} payment - { amount, transactionId, proofPath?, notes? }
+   * @param {Object} admin - User row (id)
+   * @returns {Promise<Object>} { settlement, payment }
+   */
+  async recordPayment(settlementId, payment, admin) {
+    const result = await withTransaction(async (connection) => {
+      const settlement = await this.lockSettlement(connection, settlementId);
+      if (!PAYABLE_STATUSES.includes(settlement.status)) {
+        throw httpError(400, `Payments can only be recorded on ${PAYABLE_STATUSES.join(' or ')} settlements`);
+      }
+
+      const payable = await this.getPayableAmount(connection, settlement);
+      if (roundAmount(payment.amount) > payable) {
+        throw httpError(400, `Amount exceeds the payable amount of ${payable.toFixed(2)} (requested - paid - pending batch payments)`);
+      }
+
+      return this.applyPayment(connection, settlement, { ...payment, recordedBy: admin.id });
+    });
+
+    return {
+      settlement: await this.getSettlement(settlementId),
+      payment: await this.getPayment(result.paymentId)
+    };
+  }
+
+  async getPayment(paymentId) {
+    const [rows] = await vendorLedgerService.getDb().execute('SELECT * FROM settlement_payments WHERE id = ?', [paymentId]);
+    return rows[0] || null;
+  }
+
+  /**
+   * Payments of a settlement, oldest first
+   */
+  async getSettlementPayments(settlementId) {
+    const [rows] = await vendorLedgerService.getDb().execute(
+      'SELECT * FROM settlement_payments WHERE settlement_id = ? ORDER BY created_at ASC, id ASC',
+      [settlementId]
+    );
+    return rows;
+  }
+
+  /**
+   * Create a payout batch with one pending payment per settlement for its payable amount.
+   * Without settlement_ids every payable settlement (optionally of one vendor) is included.
+   * @param {Object} options - { settlement_ids?, vendor_id?, notes? }
+   * @param {Object} admin - User row (id)
+   * @returns {Promise<Object>} { batch, skipped: [{ settlement_id, reason }] }
+   */
+  async createPayoutBatch({ settlement_ids, vendor_id, notes } = {}, admin) {
+    const db = vendorLedgerService.getDb();
+    let settlementIds = settlement_ids;
+
+    if (!settlementIds || settlementIds.length === 0) {
+      const params = [...PAYABLE_STATUSES];
+      let vendorCondition = '';
+      if (vendor_id) {
+        vendorCondition = 'AND vendorId = ?';
+        params.push(vendor_id);
+      }
+      const [rows] = await db.execute(
+        `SELECT id FROM settlements
+         WHERE status IN (${PAYABLE_STATUSES.map(() => '?').join(', ')}) ${vendorCondition}
+         ORDER BY createdAt ASC`,
+        params
+      );
+      settlementIds = rows.map(row => row.id);
+    }
+
+    const created = await withTransaction(async (connection) => {
+      const skipped = [];
+      const payments = [];
+
+      for (const settlementId of [...new Set(settlementIds)]) {
+        const [rows] = await connection.execute('SELECT * FROM settlements WHERE id = ? FOR UPDATE', [settlementId]);
+        const settlement = rows[0];
+        if (!settlement) {
+          skipped.push({ settlement_id: settlementId, reason: 'not_found' });
+          continue;
+        }
+        if (!PAYABLE_STATUSES.includes(settlement.status)) {
+          skipped.push({ settlement_id: settlementId, reason: `status_${settlement.status}` });
+          continue;
+        }
+        const payable = await this.getPayableAmount(connection, settlement);
+        if (payable <= 0) {
+          skipped.push({ settlement_id: settlementId, reason: 'nothing_payable' });
+          continue;
+        }
+        payments.push({ settlement, amount: payable });
+      }
+
+      if (payments.length === 0) {
+        throw Object.assign(httpError(400, 'No payable settlements for the batch'), { skipped });
+      }
+
+      const datePart = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+      const reference = `PB-${datePart}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+      const totalAmount = roundAmount(payments.reduce((sum, payment) => sum + payment.amount, 0));
+
+      const [batchResult] = await connection.execute(
+        `INSERT INTO payout_batches (reference, status, payment_count, total_amount, notes, created_by)
+         VALUES (?, 'open', ?, ?, ?, ?)`,
+        [reference, payments.length, totalAmount, notes || null, admin.id]
+      );
+
+      for (const { settlement, amount } of payments) {
+        await connection.execute(
+          `INSERT INTO settlement_payments (settlement_id, vendor_id, payout_batch_id, amount, status, recorded_by)
+           VALUES (?, ?, ?, ?, 'pending', ?)`,
+          [settlement.id, settlement.vendorId, batchResult.insertId, amount, admin.id]
+        );
+      }
+
+      console.log(`💸 [Payouts] Batch ${reference} created: ${payments.length} settlement(s) = ₹${totalAmount}`);
+      return { id: batchResult.insertId, skipped };
+    });
+
+    return { batch: await this.getPayoutBatch(created.id), skipped: created.skipped };
+  }
+
+  /**
+   * Payout batches, newest first
+   * @param {Object} filters - { status?, page?, limit? }
+   * @returns {Promise<Object>} { batches, total }
+   */
+  async getPayoutBatches(filters = {}) {
+    const db = vendorLedgerService.getDb();
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+    const where = filters.status && filters.status !== 'all' ? 'WHERE status = ?' : '';
+    const params = where ? [filters.status] : [];
+
+    const [batches] = await db.query(
+      `SELECT * FROM payout_batches ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, (page - 1) * limit]
+    );
+    const [countRows] = await db.query(`SELECT COUNT(*) AS total FROM payout_batches ${where}`, params);
+
+    return { batches, total: countRows[0].total };
+  }
+
+  /**
+   * Batch with its payments (vendor name and UPI ID from the settlement)
+   * @param {number} batchId
+   * @returns {Promise<Object|null>}
+   */
+  async getPayoutBatch(batchId) {
+    const db = vendorLedgerService.getDb();
+    const [batches] = await db.execute('SELECT * FROM payout_batches WHERE id = ?', [batchId]);
+    if (batches.length === 0) {
+      return null;
+    }
+
+    const [payments] = await db.execute(
+      `SELECT p.*, s.vendorName AS vendor_name, s.upiId AS upi_id, s.amount AS settlement_amount,
+              s.status AS settlement_status
+       FROM settlement_payments p
+       JOIN settlements s ON s.id = p.settlement_id
+       WHERE p.payout_batch_id = ?
+       ORDER BY p.id ASC`,
+      [batchId]
+    );
+
+    return { ...batches[0], payments };
+  }
+
+  /**
+   * Record the bank's result for a batch: listed payments become paid (ledger debit written) or
+   * failed. Payments not listed stay pending; the batch completes when none are pending.
+   * @param {number} batchId
+   * @param {Object} result - { payments: [{ id, status: 'paid'|'failed', transaction_id?, failure_reason? }], transaction_id? }
+   * @param {Object} admin - User row (id)
+   * @returns {Promise<Object>} { batch, paid, failed, errors: [{ id, error }] }
+   */
+  async completePayoutBatch(batchId, { payments = [], transaction_id } = {}, admin) {
+    const batch = await this.getPayoutBatch(batchId);
+    if (!batch) {
+      throw httpError(404, 'Payout batch not found');
+    }
+    if (!['open', 'processing'].includes(batch.status)) {
+      throw httpError(409, `Payout batch is ${batch.status}`);
+    }
+
+    let paid = 0;
+    let failed = 0;
+    const errors = [];
+
+    for (const update of payments) {
+      try {
+        await withTransaction(async (connection) => {
+          const [rows] = await connection.execute(
+            'SELECT * FROM settlement_payments WHERE id = ? AND payout_batch_id = ? FOR UPDATE',
+            [update.id, batchId]
+          );
+          const payment = rows[0];
+          if (!payment) {
+            throw httpError(404, 'Payment is not part of this batch');
+          }
+          if (payment.status !== 'pending') {
+            throw httpError(409, `Payment is already ${payment.status}`);
+          }
+
+          if (update.status === 'failed') {
+            await connection.execute(
+              `UPDATE settlement_payments SET status = 'failed', failure_reason = ?, recorded_by = ? WHERE id = ?`,
+              [update.failure_reason || null, admin.id, payment.id]
+            );
+            return;
+          }
+
+          const transactionId = update.transaction_id || transaction_id;
+          if (!transactionId) {
+            throw httpError(400, 'transaction_id is required for a paid payment');
+          }
+
+          const settlement = await this.lockSettlement(connection, payment.settlement_id);
+          if (!PAYABLE_STATUSES.includes(settlement.status)) {
+            throw httpError(409, `Settlement is ${settlement.status}`);
+          }
+          const payable = await this.getPayableAmount(connection, settlement, payment.id);
+          if (roundAmount(payment.amount) > payable) {
+            throw httpError(409, `Payment exceeds the settlement's payable amount of ${payable.toFixed(2)}`);
+          }
+
+          await this.applyPayment(connection, settlement, {
+            amount: payment.amount,
+            transactionId,
+            notes: `Payout batch ${batch.reference}`,
+            recordedBy: admin.id,
+            paymentId: payment.id
+          });
+        });
+
+        if (update.status === 'failed') {
+          failed++;
+        } else {
+          paid++;
+        }
+      } catch (error) {
+        if (!error.statusCode) {
+          console.error(`❌ [Payouts] Failed to complete payment ${update.id} of batch ${batch.reference}:`, error.message);
+        }
+        errors.push({ id: update.id, error: error.message });
+      }
+    }
+
+    await this.refreshBatchStatus(batchId);
+
+    return { batch: await this.getPayoutBatch(batchId), paid, failed, errors };
+  }
+
+  /**
+   * processing while payments are pending, completed once none are
+   */
+  async refreshBatchStatus(batchId) {
+    await vendorLedgerService.getDb().execute(
+      `UPDATE payout_batches b
+       SET b.status = IF(
+             EXISTS (SELECT 1 FROM settlement_payments p WHERE p.payout_batch_id = b.id AND p.status = 'pending'),
+             'processing', 'completed'),
+           b.completed_at = IF(
+             EXISTS (SELECT 1 FROM settlement_payments p WHERE p.payout_batch_id = b.id AND p.status = 'pending'),
+             NULL, NOW())
+       WHERE b.id = ? AND b.status IN ('open', 'processing')`,
+      [batchId]
+    );
+  }
+
+  /**
+   * Cancel a batch that has no paid payments; its pending payments are cancelled so the
+   * settlements become payable again
+   * @param {number} batchId
+   * @returns {Promise<Object>} Batch
+   */
+  async cancelPayoutBatch(batchId) {
+    await withTransaction(async (connection) => {
+      const [batches] = await connection.execute('SELECT * FROM payout_batches WHERE id = ? FOR UPDATE', [batchId]);
+      const batch = batches[0];
+      if (!batch) {
+        throw httpError(404, 'Payout batch not found');
+      }
+      if (!['open', 'processing'].includes(batch.status)) {
+        throw httpError(409, `Payout batch is ${batch.status}`);
+      }
+
+      const [paidRows] = await connection.execute(
+        `SELECT COUNT(*) AS paid FROM settlement_payments WHERE payout_batch_id = ? AND status = 'paid'`,
+        [batchId]
+      );
+      if (paidRows[0].paid > 0) {
+        throw httpError(409, 'Payout batch already has paid payments; mark the remaining ones failed instead');
+      }
+
+      await connection.execute(
+        `UPDATE settlement_payments SET status = 'cancelled' WHERE payout_batch_id = ? AND status = 'pending'`,
+        [batchId]
+      );
+      await connection.execute(`UPDATE payout_batches SET status = 'cancelled' WHERE id = ?`, [batchId]);
+    });
+
+    return this.getPayoutBatch(batchId);
+  }
+
+  /**
+   * Bank upload file for a batch's pending payments (sets exported_at)
+   * @param {number} batchId
+   * @param {string} format - Key of BANK_FORMATS
+   * @returns {Promise<Object>} { filename, content }
+   */
+  async exportPayoutBatch(batchId, format) {
+    const batch = await this.getPayoutBatch(batchId);
+    if (!batch) {
+      throw httpError(404, 'Payout batch not found');
+    }
+
+    const rows = batch.payments
+      .filter(payment => payment.status === 'pending')
+      .map(payment => ({
+        reference: `${batch.reference}-${payment.id}`,
+        vendorName: payment.vendor_name,
+        upiId: payment.upi_id,
+        amount: roundAmount(payment.amount),
+        narration: `Settlement ${payment.settlement_id}`
+      }));
+
+    await vendorLedgerService.getDb().execute(
+      'UPDATE payout_batches SET exported_at = NOW() WHERE id = ?',
+      [batchId]
+    );
+
+    return {
+      filename: `${batch.reference}_${format}.csv`,
+      content: this.buildBankFile(format, rows)
+    };
+  }
+
+  /**
+   * Payable amount of every approved / partially paid settlement as bank upload rows
+   * @returns {Promise<Array>} [{ reference, vendorName, upiId, amount, narration }]
+   */
+  async getPayableSettlementRows() {
+    const [rows] = await vendorLedgerService.getDb().execute(
+      `SELECT s.id, s.vendorName, s.upiId,
+              s.amount - s.amountPaid - COALESCE(SUM(CASE WHEN p.status = 'pending' THEN p.amount END), 0) AS payable
+       FROM settlements s
+       LEFT JOIN settlement_payments p ON p.settlement_id = s.id
+       WHERE s.status IN (${PAYABLE_STATUSES.map(() => '?').join(', ')})
+       GROUP BY s.id, s.vendorName, s.upiId, s.amount, s.amountPaid
+       HAVING payable > 0
+       ORDER BY s.createdAt ASC`,
+      PAYABLE_STATUSES
+    );
+
+    return rows.map(row => ({
+      reference: row.id,
+      vendorName: row.vendorName,
+      upiId: row.upiId,
+      amount: roundAmount(row.payable),
+      narration: `Settlement ${row.id}`
+    }));
+  }
+
+  /**
+   * CSV content in one of the bank upload formats
+   * @param {string} format - Key of BANK_FORMATS
+   * @param {Array} rows - [{ reference, vendorName, upiId, amount, narration }]
+   */
+  buildBankFile(format, rows) {
+    const bankFormat = BANK_FORMATS[format];
+    if (!bankFormat) {
+      throw httpError(400, `format must be one of: ${['standard', ...this.BANK_FORMATS].join(', ')}`);
+    }
+
+    const lines = rows.map(bankFormat.row);
+    if (bankFormat.headers) {
+      lines.unshift(bankFormat.headers);
+    }
+    return lines.map(line => line.map(escapeCSV).join(',')).join('\n');
+  }
+
+  /**
+   * Match each settlement's payments against its ledger entries.
+   * reserved_amount: net of the entries the settlement reserved (should equal amount);
+   * ledger_paid: payout debits written after the settlement was created; payments_paid: paid
+   * settlement_payments. A settlement is matched when all three agree with amountPaid and every
+   * paid payment has its ledger debit (and vice versa).
+   * @param {Object} filters - { vendorId?, status?, dateFrom?, dateTo?, mismatchesOnly?, page?, limit? }
+   * @returns {Promise<Object>} { settlements, summary, total }
+   */
+  async getReconciliation(filters = {}) {
+    const db = vendorLedgerService.getDb();
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(parseInt(filters.limit) || 50, 200);
+
+    const conditions = [`s.status != 'rejected'`];
+    const params = [];
+    if (filters.vendorId) {
+      conditions.push('s.vendorId = ?');
+      params.push(filters.vendorId);
+    }
+    if (filters.status && filters.status !== 'all') {
+      conditions.push('s.status = ?');
+      params.push(filters.status);
+    }
+    if (filters.dateFrom) {
+      conditions.push('s.createdAt >= ?');
+      params.push(filters.dateFrom);
+    }
+    if (filters.dateTo) {
+      conditions.push('s.createdAt < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(filters.dateTo);
+    }
+
+    const [rows] = await db.query(
+      `SELECT
+         s.id, s.vendorId, s.vendorName, s.status, s.amount, s.amountPaid, s.createdAt,
+         COALESCE(le.reserved_amount, 0) AS reserved_amount,
+         COALESCE(le.ledger_paid, 0) AS ledger_paid,
+         COALESCE(le.ledger_payout_count, 0) AS ledger_payout_count,
+         COALESCE(sp.payments_paid, 0) AS payments_paid,
+         COALESCE(sp.payment_count, 0) AS payment_count,
+         COALESCE(sp.pending_amount, 0) AS pending_amount,
+         COALESCE(sp.payments_without_entry, 0) AS payments_without_entry,
+         COALESCE(le.entries_without_payment, 0) AS entries_without_payment
+       FROM settlements s
+       LEFT JOIN (
+         SELECT
+           t.settlement_id,
+           SUM(CASE WHEN t.type = 'settlement' AND t.createdAt >= st.createdAt THEN 0
+                    WHEN t.direction = 'debit' THEN -t.amount ELSE t.amount END) AS reserved_amount,
+           SUM(CASE WHEN t.type = 'settlement' AND t.createdAt >= st.createdAt THEN t.amount ELSE 0 END) AS ledger_paid,
+           SUM(t.type = 'settlement' AND t.createdAt >= st.createdAt) AS ledger_payout_count,
+           SUM(t.type = 'settlement' AND t.createdAt >= st.createdAt AND NOT EXISTS (
+             SELECT 1 FROM settlement_payments p WHERE p.ledger_entry_id = t.id
+           )) AS entries_without_payment
+         FROM transactions t
+         JOIN settlements st ON st.id = t.settlement_id
+         GROUP BY t.settlement_id
+       ) le ON le.settlement_id = s.id
+       LEFT JOIN (
+         SELECT
+           p.settlement_id,
+           SUM(CASE WHEN p.status = 'paid' THEN p.amount ELSE 0 END) AS payments_paid,
+           SUM(p.status = 'paid') AS payment_count,
+           SUM(CASE WHEN p.status = 'pending' THEN p.amount ELSE 0 END) AS pending_amount,
+           SUM(p.status = 'paid' AND NOT EXISTS (
+             SELECT 1 FROM transactions t WHERE t.id = p.ledger_entry_id
+           )) AS payments_without_entry
+         FROM settlement_payments p
+         GROUP BY p.settlement_id
+       ) sp ON sp.settlement_id = s.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY s.createdAt DESC`,
+      params
+    );
+
+    const settlements = rows.map(row => {
+      const amount = roundAmount(row.amount);
+      const amountPaid = roundAmount(row.amountPaid);
+      const reconciled = {
+        settlement_id: row.id,
+        vendor_id: row.vendorId,
+        vendor_name: row.vendorName,
+        status: row.status,
+        created_at: row.createdAt,
+        amount,
+        amount_paid: amountPaid,
+        reserved_amount: roundAmount(row.reserved_amount),
+        ledger_paid: roundAmount(row.ledger_paid),
+        payments_paid: roundAmount(row.payments_paid),
+        pending_amount: roundAmount(row.pending_amount),
+        outstanding: roundAmount(amount - amountPaid),
+        ledger_payout_count: parseInt(row.ledger_payout_count),
+        payment_count: parseInt(row.payment_count)
+      };
+
+      const issues = [];
+      if (reconciled.reserved_amount !== amount) issues.push('reserved_amount_mismatch');
+      if (reconciled.payments_paid !== amountPaid) issues.push('payments_do_not_match_amount_paid');
+      if (reconciled.ledger_paid !== reconciled.payments_paid) issues.push('ledger_does_not_match_payments');
+      if (parseInt(row.payments_without_entry) > 0) issues.push('payment_without_ledger_entry');
+      if (parseInt(row.entries_without_payment) > 0) issues.push('ledger_entry_without_payment');
+      if (amountPaid > amount) issues.push('overpaid');
+
+      return { ...reconciled, matched: issues.length === 0, issues };
+    });
+
+    const filtered = filters.mismatchesOnly ? settlements.filter(settlement => !settlement.matched) : settlements;
+    const sum = (key) => roundAmount(filtered.reduce((total, settlement) => total + settlement[key], 0));
+
+    return {
+      settlements: filtered.slice((page - 1) * limit, page * limit),
+      total: filtered.length,
+      summary: {
+        settlements: filtered.length,
+        matched: filtered.filter(settlement => settlement.matched).length,
+        mismatched: filtered.filter(settlement => !settlement.matched).length,
+        amount: sum('amount'),
+        amount_paid: sum('amount_paid'),
+        ledger_paid: sum('ledger_paid'),
+        pending_amount: sum('pending_amount'),
+        outstanding: sum('outstanding')
+      }
+    };
+  }
+}
+
+module.exports = new SettlementService();
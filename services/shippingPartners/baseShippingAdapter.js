@@ -0,0 +1,128 @@
+/**
+ * Base Shipping Partner Adapter
+ * Defines the interface every shipping partner (courier aggregator) adapter implements.
+ *
+ * The rest of the backend was written against Shipway's API, so request and response
+ * bodies follow Shipway's formats. Adapters for other partners translate their own
+ * API to and from those formats, which keeps order sync, label generation, manifests,
+ * tracking and serviceability code unchanged when a store switches partner.
+ */
+class BaseShippingAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.accountCode - Store account_code (null in legacy env mode)
+   * @param {string} options.authHeader - Authorization header value for the partner API
+   */
+  constructor({ accountCode = null, authHeader = null } = {}) {
+    this.accountCode = accountCode;
+    this.authHeader = authHeader;
+  }
+
+  /**
+   * Partner name as stored in store_info.shipping_partner
+   * @returns {string}
+   */
+  get partnerName() {
+    return 'base';
+  }
+
+  /**
+   * Whether the adapter has the credentials it needs to call the partner API
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!this.authHeader;
+  }
+
+  notImplemented(method) {
+    return new Error(`Shipping partner "${this.partnerName}" does not support ${method}`);
+  }
+
+  /**
+   * Fetch one page of orders (Shipway getorders format)
+   * @param {Object} params - { status, page, orderId, timeout }
+   * @returns {Promise<Object|Array>} Raw response body
+   */
+  async fetchOrders(params = {}) {
+    throw this.notImplemented('fetchOrders');
+  }
+
+  /**
+   * Fetch warehouse details (Shipway getwarehouses format)
+   * @param {string} warehouseId
+   * @returns {Promise<Object>} Raw response body
+   */
+  async fetchWarehouse(warehouseId) {
+    throw this.notImplemented('fetchWarehouse');
+  }
+
+  /**
+   * Fetch the carriers available to the store (Shipway getcarrier format)
+   * @returns {Promise<Object|Array>} Raw response body
+   */
+  async fetchCarriers() {
+    throw this.notImplemented('fetchCarriers');
+  }
+
+  /**
+   * Push (create/edit) an order. When requestBody.generate_label is true the partner
+   * also assigns an AWB and returns the label in awb_response (Shipway v2orders format).
+   * @param {Object} requestBody
+   * @param {Object} options - { timeout }
+   * @returns {Promise<Object>} Raw response body
+   */
+  async pushOrder(requestBody, options = {}) {
+    throw this.notImplemented('pushOrder');
+  }
+
+  /**
+   * Create a manifest for shipped orders (Shipway Createmanifest format)
+   * @param {Array<string>} orderIds
+   * @param {Object} options - { awbNumbers, timeout }
+   * @returns {Promise<Object>} Raw response body with manifest_ids
+   */
+  async createManifest(orderIds, options = {}) {
+    throw this.notImplemented('createManifest');
+  }
+
+  /**
+   * Fetch tracking for one or more AWBs
+   * @param {Array<string>} awbs
+   * @param {Object} options - { timeout }
+   * @returns {Promise<Array>} [{ awb, tracking_details: { shipment_status, shipment_details, shipment_track_activities } }]
+   */
+  async fetchTracking(awbs, options = {}) {
+    throw this.notImplemented('fetchTracking');
+  }
+
+  /**
+   * Cancel shipments by AWB
+   * @param {Array<string>} awbNumbers
+   * @returns {Promise<Object>} Raw response body
+   */
+  async cancelShipment(awbNumbers) {
+    throw this.notImplemented('cancelShipment');
+  }
+
+  /**
+   * Act on a non-delivery report (NDR)
+   * @param {string} awb - AWB number
+   * @param {string} action - 're_attempt', 'change_address', 'change_phone' or 'rto'
+   * @param {Object} details - { remarks, re_attempt_date, address, address2, city, state, pincode, phone }
+   * @returns {Promise<Object>} Raw response body
+   */
+  async submitNdrAction(awb, action, details = {}) {
+    throw this.notImplemented('submitNdrAction');
+  }
+
+  /**
+   * Check which carriers service a pincode (Shipway pincodeserviceable format)
+   * @param {string} pincode
+   * @returns {Promise<Object>} Raw response body ({ success: 1, message: [carriers] })
+   */
+  async checkServiceability(pincode) {
+    throw this.notImplemented('checkServiceability');
+  }
+}
+
+module.exports = BaseShippingAdapter;
@@ -0,0 +1,241 @@
+const BaseShippingAdapter = require('./baseShippingAdapter');
+
+/**
+ * Fake Shipping Adapter
+ * In-memory shipping partner for local development and tests. Select it per store
+ * with store_info.shipping_partner = 'Fake'. No network calls are made.
+ *
+ * State is shared by all instances (keyed by account_code) so a test can seed
+ * orders, generate a label through the normal code path and then assert on the
+ * shipments, manifests and cancellations the fake recorded.
+ * Label URLs point at a non-routable host; label PDF download is not simulated.
+ */
+
+const DEFAULT_CARRIERS = [
+  { carrier_id: '1001', name: 'Fake Express (0.5kg)' },
+  { carrier_id: '1002', name: 'Fake Surface (1kg)' },
+  { carrier_id: '1003', name: 'Fake Economy (2kg)' }
+];
+
+const PAGE_SIZE = 100;
+
+function createState() {
+  return {
+    orders: new Map(),       // account_code -> [order]
+    shipments: new Map(),    // awb -> { awb, order_id, account_code, carrier_id, status, activities, cancelled }
+    manifests: [],           // [{ manifest_id, account_code, order_ids }]
+    ndrActions: [],          // [{ awb, account_code, action, details }]
+    carriers: DEFAULT_CARRIERS.map(carrier => ({ ...carrier })),
+    unserviceablePincodes: new Set(),
+    sequence: 0
+  };
+}
+
+let state = createState();
+
+class FakeShippingAdapter extends BaseShippingAdapter {
+  get partnerName() {
+    return 'Fake';
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  get storeKey() {
+    return this.accountCode || 'GLOBAL';
+  }
+
+  nextSequence() {
+    state.sequence += 1;
+    return state.sequence;
+  }
+
+  async fetchOrders({ status, page = 1, orderId } = {}) {
+    let orders = state.orders.get(this.storeKey) || [];
+
+    if (orderId) {
+      orders = orders.filter(order => String(order.order_id) === String(orderId));
+    } else if (status) {
+      orders = orders.filter(order => !order.order_status || order.order_status === status);
+    }
+
+    const pageOrders = orders.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE);
+    if (pageOrders.length === 0) {
+      return { success: 0, message: 'No orders found' };
+    }
+
+    return { success: 1, message: pageOrders.map(order => ({ ...order })) };
+  }
+
+  async fetchWarehouse(warehouseId) {
+    return {
+      success: 1,
+      message: {
+        warehouse_id: String(warehouseId),
+        title: `Fake Warehouse ${warehouseId}`,
+        address_1: 'Fake Street 1',
+        city: 'New Delhi',
+        state: 'Delhi',
+        country: 'India',
+        pincode: '110001',
+        contact_person_name: 'Fake Contact',
+        phone: '9999999999',
+        email: 'warehouse@fake-shipping.test',
+        status: '1'
+      }
+    };
+  }
+
+  async fetchCarriers() {
+    return { success: 1, message: state.carriers.map(carrier => ({ ...carrier })) };
+  }
+
+  async pushOrder(requestBody) {
+    const shipwayOrderId = `FAKE-ORD-${this.nextSequence()}`;
+
+    if (!requestBody.generate_label) {
+      return { success: true, message: 'Order updated', data: { shipway_order_id: shipwayOrderId } };
+    }
+
+    const awb = `FAKE${String(this.nextSequence()).padStart(10, '0')}`;
+    state.shipments.set(awb, {
+      awb,
+      order_id: requestBody.order_id,
+      account_code: this.storeKey,
+      carrier_id: requestBody.carrier_id || null,
+      status: 'Shipment Booked',
+      activities: [],
+      cancelled: false
+    });
+
+    return {
+      success: true,
+      message: 'Order pushed and label generated',
+      data: { shipway_order_id: shipwayOrderId },
+      awb_response: {
+        success: true,
+        AWB: awb,
+        carrier_id: requestBody.carrier_id || null,
+        shipping_url: `https://labels.fake-shipping.test/${awb}.pdf`
+      }
+    };
+  }
+
+  async createManifest(orderIds) {
+    const manifestId = String(this.nextSequence());
+    state.manifests.push({ manifest_id: manifestId, account_code: this.storeKey, order_ids: [...orderIds] });
+    return { success: 1, message: 'Manifest created', manifest_ids: manifestId };
+  }
+
+  async fetchTracking(awbs) {
+    return awbs
+      .map(awb => state.shipments.get(String(awb)))
+      .filter(Boolean)
+      .map(shipment => ({
+        awb: shipment.awb,
+        tracking_details: {
+          shipment_status: shipment.status,
+          shipment_details: [],
+          shipment_track_activities: shipment.activities
+        }
+      }));
+  }
+
+  async cancelShipment(awbNumbers) {
+    for (const awb of awbNumbers) {
+      const shipment = state.shipments.get(String(awb));
+      if (shipment) {
+        shipment.cancelled = true;
+        shipment.status = 'CANCELLED';
+      }
+    }
+    return { success: 1, message: 'Shipment cancelled' };
+  }
+
+  async submitNdrAction(awb, action, details = {}) {
+    const shipment = state.shipments.get(String(awb));
+    if (!shipment) {
+      return { success: 0, message: `Shipment not found: ${awb}` };
+    }
+
+    state.ndrActions.push({ awb: String(awb), account_code: this.storeKey, action, details: { ...details } });
+    if (action === 'rto') {
+      shipment.status = 'RTO_INITIATED';
+    }
+    return { success: 1, message: 'NDR action submitted' };
+  }
+
+  async checkServiceability(pincode) {
+    if (state.unserviceablePincodes.has(String(pincode))) {
+      return { success: 1, message: [] };
+    }
+    return { success: 1, message: state.carriers.map(carrier => ({ ...carrier })) };
+  }
+
+  // ---- Test helpers ----
+
+  /**
+   * Clear all fake partner state
+   */
+  static reset() {
+    state = createState();
+  }
+
+  /**
+   * Seed orders returned by fetchOrders for a store (Shipway getorders order shape)
+   * @param {string} accountCode
+   * @param {Array} orders
+   */
+  static seedOrders(accountCode, orders) {
+    state.orders.set(accountCode || 'GLOBAL', orders.map(order => ({ ...order })));
+  }
+
+  /**
+   * Move a shipment to a new status, appending a tracking activity
+   * @param {string} awb
+   * @param {string} status
+   * @param {string} location
+   */
+  static setShipmentStatus(awb, status, location = 'Fake Hub') {
+    const shipment = state.shipments.get(String(awb));
+    if (!shipment) {
+      throw new Error(`Fake shipment not found: ${awb}`);
+    }
+    shipment.status = status;
+    shipment.activities.unshift({
+      date: new Date().toISOString().slice(0, 19).replace('T', ' '),
+      activity: status,
+      location
+    });
+  }
+
+  /**
+   * Replace the carriers returned by fetchCarriers/checkServiceability
+   * @param {Array} carriers - [{ carrier_id, name }]
+   */
+  static setCarriers(carriers) {
+    state.carriers = carriers.map(carrier => ({ ...carrier }));
+  }
+
+  /**
+   * Mark a pincode as not serviceable by any carrier
+   * @param {string} pincode
+   */
+  static setUnserviceablePincode(pincode) {
+    state.unserviceablePincodes.add(String(pincode));
+  }
+
+  /**
+   * Read-only view of recorded shipments and manifests
+   */
+  static getState() {
+    return {
+      shipments: [...state.shipments.values()].map(shipment => ({ ...shipment })),
+      manifests: state.manifests.map(manifest => ({ ...manifest })),
+      ndrActions: state.ndrActions.map(ndrAction => ({ ...ndrAction }))
+    };
+  }
+}
+
+module.exports = FakeShippingAdapter;
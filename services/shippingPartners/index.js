@@ -0,0 +1,135 @@
+const database = require('../../config/database');
+const BaseShippingAdapter = require('./baseShippingAdapter');
+const ShipwayAdapter = require('./shipwayAdapter');
+const FakeShippingAdapter = require('./fakeShippingAdapter');
+
+/**
+ * Shipping Partner Registry
+ * Picks the adapter for a store from store_info.shipping_partner.
+ * Adapters are cached per account_code; call clearCache() when store credentials change.
+ * The in-memory 'Fake' partner is only registered under NODE_ENV=test or with
+ * ENABLE_FAKE_SHIPPING_PARTNER=true, so a production store cannot be pointed at it.
+ */
+class ShippingPartnerRegistry {
+  constructor() {
+    // normalized partner name -> adapter class
+    this.adapters = new Map();
+    // account_code -> { adapter, store }
+    this.cache = new Map();
+
+    this.register('Shipway', ShipwayAdapter);
+    if (process.env.NODE_ENV === 'test' || process.env.ENABLE_FAKE_SHIPPING_PARTNER === 'true') {
+      this.register('Fake', FakeShippingAdapter);
+    }
+  }
+
+  normalizeName(partnerName) {
+    return String(partnerName || '').trim().toLowerCase();
+  }
+
+  /**
+   * Register an adapter class under a shipping_partner name
+   * @param {string} partnerName - Value stored in store_info.shipping_partner
+   * @param {Function} AdapterClass - Subclass of BaseShippingAdapter
+   */
+  register(partnerName, AdapterClass) {
+    if (!(AdapterClass.prototype instanceof BaseShippingAdapter)) {
+      throw new Error(`Adapter for "${partnerName}" must extend BaseShippingAdapter`);
+    }
+    this.adapters.set(this.normalizeName(partnerName), AdapterClass);
+  }
+
+  /**
+   * Whether an adapter exists for a shipping partner name
+   * @param {string} partnerName
+   * @returns {boolean}
+   */
+  isSupported(partnerName) {
+    return this.adapters.has(this.normalizeName(partnerName));
+  }
+
+  /**
+   * Build an adapter for a store row
+   * @param {Object} store - store_info row (account_code, shipping_partner, auth_token)
+   * @returns {BaseShippingAdapter}
+   */
+  createAdapter(store) {
+    const AdapterClass = this.adapters.get(this.normalizeName(store.shipping_partner));
+    if (!AdapterClass) {
+      throw new Error(`Unsupported shipping partner "${store.shipping_partner}" for account_code: ${store.account_code}`);
+    }
+
+    return new AdapterClass({
+      accountCode: store.account_code || null,
+      authHeader: store.auth_token || null
+    });
+  }
+
+  /**
+   * Get the adapter for a store by account_code
+   * @param {string} accountCode
+   * @param {Object} options - { requireActive: reject inactive stores }
+   * @returns {Promise<BaseShippingAdapter>}
+   */
+  async getAdapter(accountCode, { requireActive = false } = {}) {
+    if (!accountCode) {
+      throw new Error('account_code is required to select a shipping partner');
+    }
+
+    let entry = this.cache.get(accountCode);
+
+    if (!entry) {
+      await database.waitForMySQLInitialization();
+      const store = await database.getStoreByAccountCode(accountCode);
+
+      if (!store) {
+        throw new Error(`Store not found for account_code: ${accountCode}`);
+      }
+
+      const adapter = this.createAdapter(store);
+      if (!adapter.isConfigured()) {
+        throw new Error(`Store auth_token not found for account_code: ${accountCode}`);
+      }
+
+      entry = { adapter, store };
+      this.cache.set(accountCode, entry);
+    }
+
+    if (requireActive && entry.store.status !== 'active') {
+      throw new Error(`Store is not active: ${accountCode}`);
+    }
+
+    return entry.adapter;
+  }
+
+  /**
+   * Adapter for legacy single-store mode (SHIPWAY_BASIC_AUTH_HEADER env variable)
+   * @returns {BaseShippingAdapter}
+   */
+  getLegacyAdapter() {
+    return this.createAdapter({
+      account_code: null,
+      shipping_partner: 'Shipway',
+      auth_token: process.env.SHIPWAY_BASIC_AUTH_HEADER
+    });
+  }
+
+  /**
+   * Drop cached adapters (all, or one store's)
+   * @param {string} accountCode - Optional
+   */
+  clearCache(accountCode = null) {
+    if (accountCode) {
+      this.cache.delete(accountCode);
+    } else {
+      this.cache.clear();
+    }
+  }
+}
+
+const registry = new ShippingPartnerRegistry();
+
+module.exports = registry;
+module.exports.BaseShippingAdapter = BaseShippingAdapter;
+module.exports.ShipwayAdapter = ShipwayAdapter;
+module.exports.FakeShippingAdapter = FakeShippingAdapter;
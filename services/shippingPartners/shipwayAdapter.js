@@ -0,0 +1,151 @@
+const axios = require('axios');
+const BaseShippingAdapter = require('./baseShippingAdapter');
+
+/**
+ * Shipway Adapter
+ * Thin HTTP client for app.shipway.com. Response bodies are returned as-is and
+ * axios errors are not wrapped, so callers keep their existing status/code handling.
+ */
+class ShipwayAdapter extends BaseShippingAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.baseURL = options.baseURL || process.env.SHIPWAY_API_BASE_URL || 'https://app.shipway.com/api';
+  }
+
+  get partnerName() {
+    return 'Shipway';
+  }
+
+  getHeaders(extraHeaders = {}) {
+    if (!this.authHeader) {
+      throw new Error('Shipway API configuration error. No auth token available.');
+    }
+
+    return {
+      'Authorization': this.authHeader,
+      'Content-Type': 'application/json',
+      ...extraHeaders
+    };
+  }
+
+  async fetchOrders({ status, page, orderId, timeout = 60000 } = {}) {
+    const params = {};
+    if (orderId) params.orderid = orderId;
+    if (status) params.status = status;
+    if (page) params.page = page;
+
+    const response = await axios.get(`${this.baseURL}/getorders`, {
+      params,
+      headers: this.getHeaders(),
+      timeout
+    });
+
+    return response.data;
+  }
+
+  async fetchWarehouse(warehouseId) {
+    const response = await axios.get(`${this.baseURL}/getwarehouses`, {
+      params: { warehouseid: warehouseId },
+      headers: this.getHeaders(),
+      timeout: 10000
+    });
+
+    return response.data;
+  }
+
+  async fetchCarriers() {
+    const response = await axios.get(`${this.baseURL}/getcarrier`, {
+      headers: this.getHeaders({ 'User-Agent': 'Clamio-Carrier-Service/1.0' }),
+      timeout: 30000
+    });
+
+    return response.data;
+  }
+
+  async pushOrder(requestBody, { timeout = 30000 } = {}) {
+    const response = await axios.post(`${this.baseURL}/v2orders`, requestBody, {
+      headers: this.getHeaders(),
+      timeout
+    });
+
+    return response.data;
+  }
+
+  async createManifest(orderIds, { awbNumbers = null, timeout = 30000 } = {}) {
+    const requestBody = { order_ids: orderIds };
+    if (awbNumbers && awbNumbers.length > 0) {
+      requestBody.awb_numbers = awbNumbers;
+    }
+
+    const response = await axios.post(`${this.baseURL}/Createmanifest/`, requestBody, {
+      headers: this.getHeaders(),
+      timeout
+    });
+
+    return response.data;
+  }
+
+  async fetchTracking(awbs, { timeout = 30000 } = {}) {
+    // AWBs are sent comma-separated and unencoded, as Shipway expects
+    const response = await axios.get(`${this.baseURL}/tracking?awb_numbers=${awbs.join(',')}&tracking_history=1`, {
+      headers: this.getHeaders(),
+      timeout
+    });
+
+    return Array.isArray(response.data) ? response.data : [];
+  }
+
+  async cancelShipment(awbNumbers) {
+    const response = await axios.post(`${this.baseURL}/Cancel`, { awb_number: awbNumbers }, {
+      headers: this.getHeaders(),
+      timeout: 10000
+    });
+
+    return response.data;
+  }
+
+  async submitNdrAction(awb, action, details = {}) {
+    // Shipway NDR action codes; the path can be overridden if the account uses a different NDR endpoint
+    const shipwayActions = {
+      re_attempt: 're-attempt',
+      change_address: 'change_address',
+      change_phone: 'change_phone',
+      rto: 'rto'
+    };
+    const path = process.env.SHIPWAY_NDR_ACTION_PATH || '/ndraction';
+
+    const requestBody = {
+      awb_number: String(awb),
+      action: shipwayActions[action] || action,
+      remarks: details.remarks || ''
+    };
+    if (details.re_attempt_date) requestBody.re_attempt_date = details.re_attempt_date;
+    if (details.phone) requestBody.phone = details.phone;
+    if (details.address) {
+      requestBody.address = details.address;
+      requestBody.address2 = details.address2 || '';
+      requestBody.city = details.city || '';
+      requestBody.state = details.state || '';
+      requestBody.pincode = details.pincode || '';
+    }
+
+    const response = await axios.post(`${this.baseURL}${path}`, requestBody, {
+      headers: this.getHeaders(),
+      timeout: 30000
+    });
+
+    return response.data;
+  }
+
+  async checkServiceability(pincode) {
+    const response = await axios.get(`${this.baseURL}/pincodeserviceable`, {
+      params: { pincode },
+      headers: this.getHeaders({ 'User-Agent': 'Clamio-Carrier-Service/1.0' }),
+      timeout: 30000
+    });
+
+    return response.data;
+  }
+}
+
+module.exports = ShipwayAdapter;
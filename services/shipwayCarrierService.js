@@ -1,13 +1,13 @@
-const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
 const database = require('../config/database');
+const shippingPartners = require('./shippingPartners');
+const { importTable, buildImportReport } = require('../utils/tabularImport');
 
 class ShipwayCarrierService {
   constructor(accountCode = null) {
-    this.apiUrl = 'https://app.shipway.com/api/getcarrier';
     this.accountCode = accountCode;
-    this.basicAuthHeader = null;
+    this.adapter = null;
     this.initialized = false;
   }
 
@@ -33,15 +33,15 @@ class ShipwayCarrierService {
           throw new Error(`Store is not active: ${this.accountCode}`);
         }
         
-        this.basicAuthHeader = store.auth_token;
-        console.log(`✅ ShipwayCarrierService initialized for store: ${this.accountCode}`);
+        this.adapter = shippingPartners.createAdapter(store);
+        console.log(`✅ ShipwayCarrierService initialized for store: ${this.accountCode} (${this.adapter.partnerName})`);
       } else {
         // Legacy mode: use environment variable
-        this.basicAuthHeader = process.env.SHIPWAY_BASIC_AUTH_HEADER;
+        this.adapter = shippingPartners.getLegacyAdapter();
         console.log(`✅ ShipwayCarrierService initialized in legacy mode`);
       }
 
-      if (!this.basicAuthHeader) {
+      if (!this.adapter.isConfigured()) {
         throw new Error('Shipway API configuration error. No auth token available.');
       }
 
@@ -63,24 +63,12 @@ class ShipwayCarrierService {
     try {
       console.log(`🔵 SHIPWAY CARRIER: Fetching carriers from Shipway API${this.accountCode ? ` (${this.accountCode})` : ''}...`);
       
-      if (!this.basicAuthHeader) {
-        throw new Error('Shipway API configuration error. SHIPWAY_BASIC_AUTH_HEADER not found in environment variables.');
-      }
-      
-      const response = await axios.get(this.apiUrl, {
-        timeout: 30000, // 30 seconds timeout
-        headers: {
-          'Authorization': this.basicAuthHeader,
-          'Content-Type': 'application/json',
-          'User-Agent': 'Clamio-Carrier-Service/1.0'
-        }
-      });
+      const data = await this.adapter.fetchCarriers();
 
       console.log('✅ SHIPWAY CARRIER: API response received');
-      console.log('  - Status:', response.status);
-      console.log('  - Data length:', response.data ? Object.keys(response.data).length : 'No data');
+      console.log('  - Data length:', data ? Object.keys(data).length : 'No data');
 
-      return response.data;
+      return data;
     } catch (error) {
       console.error('💥 SHIPWAY CARRIER: Error fetching carriers:', error.message);
       
@@ -436,55 +424,20 @@ class ShipwayCarrierService {
   }
 
   /**
-   * Update carrier priorities from CSV content
-   * @param {string} csvContent - CSV content with carrier_id and priority columns
-   * @returns {Promise<Object>} Result object with success status and message
+   * Update carrier priorities from an uploaded CSV or XLSX file.
+   * Every row is validated first; nothing is written if any row or store fails validation.
+   * @param {Buffer|string} content - File content with account_code, carrier_id, carrier_name, status, weight_in_kg and priority columns
+   * @param {Object} options - { fileName, dryRun } (dryRun validates and reports without updating)
+   * @returns {Promise<Object>} Result object with success status, message and row-level report
    */
-  async updateCarrierPrioritiesFromCSV(csvContent) {
-    try {
-      console.log('🔍 CSV Content received:', csvContent.substring(0, 200) + '...');
-      console.log('🔍 CSV Content length:', csvContent.length);
-      
-      // Normalize line endings and parse CSV content
-      const normalizedContent = csvContent.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-      const lines = normalizedContent.trim().split('\n');
-      console.log('🔍 Number of lines:', lines.length);
-      
-      if (lines.length < 2) {
-        throw new Error('CSV file must contain header and at least one data row');
-      }
-
-      // Parse header - handle quoted values properly
-      const headerLine = lines[0];
-      const header = this.parseCSVLine(headerLine);
-      console.log('🔍 Parsed header:', header);
-      
-      // Validate required columns exist
-      const requiredColumns = ['carrier_id', 'carrier_name', 'status', 'weight_in_kg', 'priority'];
-      const missingColumns = requiredColumns.filter(col => !header.includes(col));
-      
-      if (missingColumns.length > 0) {
-        throw new Error(`CSV is missing required columns: ${missingColumns.join(', ')}. Expected columns: ${requiredColumns.join(', ')}`);
-      }
-
-      // account_code is REQUIRED for multi-store upload
-      const accountCodeIndex = header.indexOf('account_code');
-      if (accountCodeIndex === -1) {
-        throw new Error('CSV must include "account_code" column for multi-store carrier priority upload');
-      }
-
-      const carrierIdIndex = header.indexOf('carrier_id');
-      const priorityIndex = header.indexOf('priority');
-      const statusIndex = header.indexOf('status');
-
-      console.log('🔍 carrier_id index:', carrierIdIndex);
-      console.log('🔍 priority index:', priorityIndex);
-      console.log('🔍 account_code index:', accountCodeIndex);
+  async updateCarrierPrioritiesFromCSV(content, options = {}) {
+    const { fileName = '', dryRun = false } = options;
 
+    try {
       // Read ALL carriers from database (for validation across all stores)
       // Use database directly to get all carriers regardless of accountCode
       const allCarriers = await database.getAllCarriers();
-      
+
       // Group carriers by account_code for validation
       const carriersByStore = new Map();
       allCarriers.forEach(carrier => {
@@ -494,78 +447,114 @@ class ShipwayCarrierService {
         carriersByStore.get(carrier.account_code).push(carrier);
       });
 
-      // Parse data rows and group by store (account_code)
-      const updatesByStore = new Map(); // Map<account_code, Array<update>>
-      
-      for (let i = 1; i < lines.length; i++) {
-        const line = lines[i];
-        if (!line.trim()) continue;
-
-        const values = this.parseCSVLine(line);
-        const carrierId = values[carrierIdIndex];
-        const priority = parseInt(values[priorityIndex]);
-        const statusRaw = values[statusIndex] || '';
-        const statusNormalized = String(statusRaw).trim().toLowerCase();
-        const status = statusNormalized === 'inactive' ? 'inactive' : (statusNormalized === 'active' ? 'active' : statusRaw);
-        const accountCode = values[accountCodeIndex];
+      // Carrier IDs already seen per store, to catch duplicates within the upload
+      const seenByStore = new Map();
+
+      const result = await importTable(content, {
+        fileName,
+        columns: {
+          account_code: { aliases: ['store', 'account code'], required: true },
+          carrier_id: { aliases: ['carrier id'], required: true },
+          carrier_name: { aliases: ['carrier name'], required: true },
+          status: { required: true },
+          weight_in_kg: { aliases: ['weight', 'weight in kg'], required: true },
+          priority: { required: true }
+        },
+        validateRow: (data) => {
+          const errors = [];
+          const { carrier_id: carrierId, account_code: accountCode } = data;
+          const priority = /^\d+$/.test(data.priority) ? parseInt(data.priority, 10) : NaN;
+          const statusNormalized = data.status.toLowerCase();
+          const status = statusNormalized === 'inactive' ? 'inactive' : (statusNormalized === 'active' ? 'active' : data.status);
+
+          if (!accountCode) errors.push('account_code is required');
+          if (!carrierId) errors.push('carrier_id is required');
+          if (!(priority >= 1)) errors.push(`priority must be a whole number of at least 1 (got "${data.priority}")`);
+
+          if (accountCode && carrierId) {
+            // Check if carrier ID exists in current data for THIS STORE
+            const storeCarriers = carriersByStore.get(accountCode) || [];
+            if (!storeCarriers.some(c => String(c.carrier_id) === String(carrierId))) {
+              errors.push(`Carrier ID "${carrierId}" does not exist in the current carrier data for store "${accountCode}"`);
+            }
 
-        console.log(`🔍 Row ${i}: carrier_id="${carrierId}", account_code="${accountCode}", priority="${values[priorityIndex]}" -> ${priority}`);
+            // Check for duplicate carrier IDs in uploaded file (within the same store)
+            if (!seenByStore.has(accountCode)) seenByStore.set(accountCode, new Set());
+            const seen = seenByStore.get(accountCode);
+            if (seen.has(String(carrierId))) {
+              errors.push(`Duplicate carrier ID "${carrierId}" for store "${accountCode}". Each carrier can only appear once per store.`);
+            }
+            seen.add(String(carrierId));
+          }
 
-        if (!carrierId || !accountCode || isNaN(priority) || priority < 1) {
-          throw new Error(`Invalid data in row ${i + 1}: carrier_id="${carrierId}", account_code="${accountCode}", priority="${values[priorityIndex]}"`);
+          return { errors, data: { carrier_id: carrierId, account_code: accountCode, priority, status } };
         }
+      });
 
-        // Initialize store group if not exists
-        if (!updatesByStore.has(accountCode)) {
-          updatesByStore.set(accountCode, []);
+      // Group valid rows by store (account_code)
+      const updatesByStore = new Map(); // Map<account_code, Array<update>>
+      result.valid.forEach(update => {
+        if (!updatesByStore.has(update.account_code)) {
+          updatesByStore.set(update.account_code, []);
         }
+        updatesByStore.get(update.account_code).push(update);
+      });
 
-        // Check if carrier ID exists in current data for THIS STORE
+      console.log('🔍 Updates grouped by store:', Array.from(updatesByStore.entries()).map(([code, updates]) => `${code}: ${updates.length} carriers`));
+
+      // Store-level checks: every existing carrier of the store is present and priorities are unique
+      const storeErrors = [];
+      for (const [accountCode, updates] of updatesByStore.entries()) {
         const storeCarriers = carriersByStore.get(accountCode) || [];
-        const carrierExists = storeCarriers.some(c => String(c.carrier_id) === String(carrierId));
-        
-        if (!carrierExists) {
-          throw new Error(`Carrier ID "${carrierId}" in row ${i + 1} does not exist in the current carrier data for store "${accountCode}"`);
-        }
+        const uploadedCarrierIds = new Set(updates.map(u => String(u.carrier_id)));
 
-        // Check for duplicate carrier IDs in uploaded CSV (within the same store)
-        const storeUpdates = updatesByStore.get(accountCode);
-        const duplicateInStore = storeUpdates.some(u => String(u.carrier_id) === String(carrierId));
-        
-        if (duplicateInStore) {
-          throw new Error(`Duplicate carrier ID "${carrierId}" found in uploaded CSV for store "${accountCode}" (row ${i + 1}). Each carrier can only appear once per store.`);
+        const missingCarrierIds = storeCarriers.map(c => String(c.carrier_id)).filter(id => !uploadedCarrierIds.has(id));
+        if (missingCarrierIds.length > 0) {
+          storeErrors.push({ account_code: accountCode, error: `Missing carrier IDs: ${missingCarrierIds.join(', ')}. All existing carriers for this store must be included.` });
         }
 
-        storeUpdates.push({ carrier_id: carrierId, account_code: accountCode, priority, status });
+        const priorityValues = updates.map(update => update.priority);
+        if (new Set(priorityValues).size !== priorityValues.length) {
+          storeErrors.push({ account_code: accountCode, error: 'Priority values must be unique within the store.' });
+        }
       }
 
-      console.log('🔍 Updates grouped by store:', Array.from(updatesByStore.entries()).map(([code, updates]) => `${code}: ${updates.length} carriers`));
+      const report = { ...buildImportReport(result), storeErrors };
+
+      if (result.summary.invalid > 0 || storeErrors.length > 0) {
+        return {
+          success: false,
+          message: `Carrier priority upload has ${result.summary.invalid} invalid row(s) and ${storeErrors.length} store error(s); nothing was updated`,
+          report
+        };
+      }
 
       if (updatesByStore.size === 0) {
-        throw new Error('No valid data rows found in CSV');
+        return {
+          success: false,
+          message: 'No data rows found in the uploaded file',
+          report
+        };
+      }
+
+      if (dryRun) {
+        return {
+          success: true,
+          dryRun: true,
+          message: `Valid: ${result.summary.valid} carriers across ${updatesByStore.size} store(s)`,
+          updatedCount: 0,
+          totalCarriers: allCarriers.length,
+          storesProcessed: updatesByStore.size,
+          report
+        };
       }
 
-      // Validate and update each store separately
+      // Update each store separately
       const results = [];
       let totalUpdated = 0;
 
       for (const [accountCode, updates] of updatesByStore.entries()) {
         const storeCarriers = carriersByStore.get(accountCode) || [];
-        const existingCarrierIds = new Set(storeCarriers.map(c => String(c.carrier_id)));
-        const uploadedCarrierIds = new Set(updates.map(u => String(u.carrier_id)));
-
-        // Validate that ALL existing carrier IDs for THIS STORE are present in the uploaded CSV
-        const missingCarrierIds = Array.from(existingCarrierIds).filter(id => !uploadedCarrierIds.has(id));
-        if (missingCarrierIds.length > 0) {
-          throw new Error(`Uploaded CSV is missing the following carrier IDs for store "${accountCode}": ${missingCarrierIds.join(', ')}. All existing carriers for this store must be included in the CSV.`);
-        }
-
-        // Validate priority values are unique within this store
-        const priorityValues = updates.map(update => update.priority);
-        const uniquePriorities = new Set(priorityValues);
-        if (uniquePriorities.size !== priorityValues.length) {
-          throw new Error(`Priority values must be unique within store "${accountCode}". Duplicate priority values found in uploaded CSV.`);
-        }
 
         // Update priorities in database for this store (store-specific)
         let storeUpdatedCount = 0;
@@ -617,7 +606,8 @@ class ShipwayCarrierService {
           totalCarriersInCSV: Array.from(updatesByStore.values()).reduce((sum, updates) => sum + updates.length, 0),
           storesUpdated: results.map(r => r.accountCode),
           duplicatePriorities: false
-        }
+        },
+        report
       };
     } catch (error) {
       console.error('Error updating carrier priorities from CSV:', error);
@@ -766,43 +756,6 @@ class ShipwayCarrierService {
       throw error;
     }
   }
-
-  /**
-   * Parse a CSV line properly handling quoted values
-   * @param {string} line - CSV line to parse
-   * @returns {Array} Array of values
-   */
-  parseCSVLine(line) {
-    const result = [];
-    let current = '';
-    let inQuotes = false;
-    
-    for (let i = 0; i < line.length; i++) {
-      const char = line[i];
-      
-      if (char === '"') {
-        if (inQuotes && line[i + 1] === '"') {
-          // Escaped quote
-          current += '"';
-          i++; // Skip next quote
-        } else {
-          // Toggle quote state
-          inQuotes = !inQuotes;
-        }
-      } else if (char === ',' && !inQuotes) {
-        // End of field
-        result.push(current.trim());
-        current = '';
-      } else {
-        current += char;
-      }
-    }
-    
-    // Add the last field
-    result.push(current.trim());
-    
-    return result;
-  }
 }
 
 // Default instance for legacy callers (no account_code context)
@@ -1,9 +1,9 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const orderEnhancementService = require('./orderEnhancementService');
 const database = require('../config/database');
+const shippingPartners = require('./shippingPartners');
 
 /**
  * Generate stable unique_id from order and product data.
@@ -21,14 +21,15 @@ function generateStableUniqueId(orderId, productCode, accountCode = '') {
 
 /**
  * Shipway API Service
- * Handles all interactions with Shipway API
+ * Handles order sync, warehouse lookups and cancellation for a store.
+ * Partner API calls go through the store's shipping partner adapter
+ * (store_info.shipping_partner), Shipway being the default.
  * Now supports multi-store via account_code parameter
  */
 class ShipwayService {
   constructor(accountCode = null) {
-    this.baseURL = process.env.SHIPWAY_API_BASE_URL || 'https://app.shipway.com/api';
     this.accountCode = accountCode;
-    this.basicAuthHeader = null;
+    this.adapter = null;
     this.initialized = false;
   }
 
@@ -54,15 +55,15 @@ class ShipwayService {
           throw new Error(`Store is not active: ${this.accountCode}`);
         }
 
-        this.basicAuthHeader = store.auth_token;
-        console.log(`✅ ShipwayService initialized for store: ${this.accountCode}`);
+        this.adapter = shippingPartners.createAdapter(store);
+        console.log(`✅ ShipwayService initialized for store: ${this.accountCode} (${this.adapter.partnerName})`);
       } else {
         // Legacy mode: use environment variable (backward compatibility)
-        this.basicAuthHeader = process.env.SHIPWAY_BASIC_AUTH_HEADER;
+        this.adapter = shippingPartners.getLegacyAdapter();
         console.log(`✅ ShipwayService initialized in legacy mode (env variables)`);
       }
 
-      if (!this.basicAuthHeader) {
+      if (!this.adapter.isConfigured()) {
         throw new Error('Shipway API configuration error. No auth token available.');
       }
 
@@ -87,42 +88,20 @@ class ShipwayService {
         throw new Error('Warehouse ID is required');
       }
 
-      if (!this.basicAuthHeader) {
-        throw new Error('Shipway API configuration error. Please contact administrator.');
-      }
-
-      const url = `${this.baseURL}/getwarehouses`;
-      const params = { warehouseid: warehouseId };
-
       this.logApiActivity({
         type: 'shipway-request',
         warehouseId,
-        url,
-        params,
+        partner: this.adapter.partnerName,
+        params: { warehouseid: warehouseId },
         headers: { Authorization: '***' },
       });
-      const response = await axios.get(url, {
-        params,
-        headers: {
-          'Authorization': this.basicAuthHeader,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000 // 10 second timeout
-      });
+      const data = await this.adapter.fetchWarehouse(warehouseId);
       this.logApiActivity({
         type: 'shipway-response',
         warehouseId,
-        status: response.status,
-        data: response.data,
+        data,
       });
 
-      // Check if response is successful
-      if (response.status !== 200) {
-        throw new Error(`Shipway API returned status ${response.status}`);
-      }
-
-      const data = response.data;
-
       // Validate response structure
       if (!data || typeof data !== 'object') {
         throw new Error('Invalid response format from Shipway API');
@@ -262,7 +241,9 @@ class ShipwayService {
    */
   async testConnection() {
     try {
-      if (!this.basicAuthHeader) {
+      await this.initialize();
+
+      if (!this.adapter.isConfigured()) {
         return {
           success: false,
           error: 'API credentials not configured'
@@ -672,7 +653,6 @@ class ShipwayService {
 
     const database = require('../config/database');
     const rawDataJsonPath = path.join(__dirname, '../data/raw_shipway_orders.json');
-    const url = `${this.baseURL}/getorders`;
     let shipwayOrders = [];
     let rawApiResponse = null;
 
@@ -692,7 +672,7 @@ class ShipwayService {
 
         this.logApiActivity({
           type: 'shipway-request',
-          url,
+          partner: this.adapter.partnerName,
           params: currentParams,
           headers: { Authorization: '***' },
           page: page
@@ -700,39 +680,33 @@ class ShipwayService {
 
         console.log(`📄 Fetching page ${page}...`);
 
-        const response = await axios.get(url, {
-          params: currentParams,
-          headers: {
-            'Authorization': this.basicAuthHeader,
-            'Content-Type': 'application/json',
-          },
-          timeout: 60000, // Increased to 60 seconds to handle slower API responses
-        });
+        // 60 second timeout to handle slower API responses
+        const responseData = await this.adapter.fetchOrders({ ...currentParams, timeout: 60000 });
 
-        if (response.status !== 200 || !response.data) {
+        if (!responseData) {
           throw new Error('Invalid response from Shipway API');
         }
 
         let currentPageOrders = [];
-        if (Array.isArray(response.data)) {
-          currentPageOrders = response.data;
-        } else if (Array.isArray(response.data.orders)) {
-          currentPageOrders = response.data.orders;
-        } else if (typeof response.data === 'object' && Array.isArray(response.data.message) && response.data.success === 1) {
-          currentPageOrders = response.data.message;
-        } else if (typeof response.data === 'object' && response.data.order_id) {
-          currentPageOrders = [response.data];
-        } else if (typeof response.data === 'object' && response.data.message === 'No orders found') {
+        if (Array.isArray(responseData)) {
+          currentPageOrders = responseData;
+        } else if (Array.isArray(responseData.orders)) {
+          currentPageOrders = responseData.orders;
+        } else if (typeof responseData === 'object' && Array.isArray(responseData.message) && responseData.success === 1) {
+          currentPageOrders = responseData.message;
+        } else if (typeof responseData === 'object' && responseData.order_id) {
+          currentPageOrders = [responseData];
+        } else if (typeof responseData === 'object' && responseData.message === 'No orders found') {
           // Handle "No orders found" response gracefully
           currentPageOrders = [];
           console.log(`  ℹ️ Page ${page}: No orders found, stopping pagination`);
-        } else if (typeof response.data === 'object' && !response.data.order_id && !Array.isArray(response.data.orders) && !Array.isArray(response.data.message)) {
+        } else if (typeof responseData === 'object' && !responseData.order_id && !Array.isArray(responseData.orders) && !Array.isArray(responseData.message)) {
           // Handle empty/unexpected response - treat as no orders instead of erroring
-          this.logApiActivity({ type: 'shipway-empty-or-unexpected-format', data: response.data });
+          this.logApiActivity({ type: 'shipway-empty-or-unexpected-format', data: responseData });
           currentPageOrders = [];
           console.log(`  ⚠️ Page ${page}: Empty or unexpected response, treating as no orders - stopping pagination`);
         } else {
-          this.logApiActivity({ type: 'shipway-unexpected-format', data: response.data });
+          this.logApiActivity({ type: 'shipway-unexpected-format', data: responseData });
           throw new Error('Unexpected Shipway API response format');
         }
 
@@ -1321,7 +1295,7 @@ class ShipwayService {
    * @returns {Promise<Array>} Array of orders from Shipway
    */
   async fetchOrdersFromShipway() {
-    const url = `${this.baseURL}/getorders`;
+    await this.initialize();
 
     try {
       // Fetch all orders using Shipway's page-based pagination
@@ -1339,42 +1313,36 @@ class ShipwayService {
 
         this.logApiActivity({
           type: 'shipway-fetch-orders',
-          url,
+          partner: this.adapter.partnerName,
           params: currentParams,
           page: page
         });
 
         console.log(`📄 Fetching page ${page} for clone verification...`);
 
-        const response = await axios.get(url, {
-          params: currentParams,
-          headers: {
-            'Authorization': this.basicAuthHeader,
-            'Content-Type': 'application/json',
-          },
-          timeout: 10000, // Shorter timeout for clone verification
-        });
+        // Shorter timeout for clone verification
+        const responseData = await this.adapter.fetchOrders({ ...currentParams, timeout: 10000 });
 
-        if (response.status !== 200 || !response.data) {
+        if (!responseData) {
           throw new Error('Invalid response from Shipway API');
         }
 
         let currentPageOrders = [];
-        if (Array.isArray(response.data)) {
-          currentPageOrders = response.data;
-        } else if (Array.isArray(response.data.orders)) {
-          currentPageOrders = response.data.orders;
-        } else if (typeof response.data === 'object' && Array.isArray(response.data.message) && response.data.success === 1) {
-          currentPageOrders = response.data.message;
-        } else if (typeof response.data === 'object' && response.data.order_id) {
-          currentPageOrders = [response.data];
-        } else if (typeof response.data === 'object' && response.data.message === 'No orders found') {
+        if (Array.isArray(responseData)) {
+          currentPageOrders = responseData;
+        } else if (Array.isArray(responseData.orders)) {
+          currentPageOrders = responseData.orders;
+        } else if (typeof responseData === 'object' && Array.isArray(responseData.message) && responseData.success === 1) {
+          currentPageOrders = responseData.message;
+        } else if (typeof responseData === 'object' && responseData.order_id) {
+          currentPageOrders = [responseData];
+        } else if (typeof responseData === 'object' && responseData.message === 'No orders found') {
           // Handle "No orders found" response gracefully
           currentPageOrders = [];
           console.log(`  ℹ️ Page ${page}: No orders found, stopping pagination`);
-        } else if (typeof response.data === 'object' && !response.data.order_id && !Array.isArray(response.data.orders) && !Array.isArray(response.data.message)) {
+        } else if (typeof responseData === 'object' && !responseData.order_id && !Array.isArray(responseData.orders) && !Array.isArray(responseData.message)) {
           // Handle empty/unexpected response - treat as no orders instead of erroring
-          this.logApiActivity({ type: 'shipway-empty-or-unexpected-format', data: response.data });
+          this.logApiActivity({ type: 'shipway-empty-or-unexpected-format', data: responseData });
           currentPageOrders = [];
           console.log(`  ⚠️ Page ${page}: Empty or unexpected response, treating as no orders - stopping pagination`);
         } else {
@@ -1427,7 +1395,6 @@ class ShipwayService {
       throw new Error('Order ID is required');
     }
 
-    const url = `${this.baseURL}/getorders`;
     const params = { orderid: orderId };
 
     try {
@@ -1435,39 +1402,32 @@ class ShipwayService {
         type: 'shipway-get-order',
         orderId,
         accountCode: this.accountCode,
-        url,
+        partner: this.adapter.partnerName,
         params,
         headers: { Authorization: '***' }
       });
 
       console.log(`🔍 Fetching single order from Shipway: ${orderId}`);
 
-      const response = await axios.get(url, {
-        params,
-        headers: {
-          'Authorization': this.basicAuthHeader,
-          'Content-Type': 'application/json',
-        },
-        timeout: 10000, // 10 second timeout
-      });
+      const responseData = await this.adapter.fetchOrders({ orderId, timeout: 10000 });
 
-      if (response.status !== 200 || !response.data) {
+      if (!responseData) {
         throw new Error('Invalid response from Shipway API');
       }
 
       // Handle different response formats
       let order = null;
-      if (Array.isArray(response.data)) {
+      if (Array.isArray(responseData)) {
         // If array, take first order
-        order = response.data.length > 0 ? response.data[0] : null;
-      } else if (response.data.order_id) {
+        order = responseData.length > 0 ? responseData[0] : null;
+      } else if (responseData.order_id) {
         // Single order object
-        order = response.data;
-      } else if (Array.isArray(response.data.orders) && response.data.orders.length > 0) {
-        order = response.data.orders[0];
-      } else if (Array.isArray(response.data.message) && response.data.message.length > 0) {
-        order = response.data.message[0];
-      } else if (typeof response.data === 'object' && response.data.message === 'No orders found') {
+        order = responseData;
+      } else if (Array.isArray(responseData.orders) && responseData.orders.length > 0) {
+        order = responseData.orders[0];
+      } else if (Array.isArray(responseData.message) && responseData.message.length > 0) {
+        order = responseData.message[0];
+      } else if (typeof responseData === 'object' && responseData.message === 'No orders found') {
         // Order not found
         order = null;
       }
@@ -1518,43 +1478,20 @@ class ShipwayService {
         throw new Error('AWB numbers array is required and cannot be empty');
       }
 
-      if (!this.basicAuthHeader) {
-        throw new Error('Shipway API configuration error. Please contact administrator.');
-      }
-
-      const url = `${this.baseURL}/Cancel`;
-      const requestBody = {
-        awb_number: awbNumbers
-      };
-
       this.logApiActivity({
         type: 'shipway-cancel-request',
-        url,
+        partner: this.adapter.partnerName,
         awbNumbers,
         headers: { Authorization: '***' },
       });
 
-      const response = await axios.post(url, requestBody, {
-        headers: {
-          'Authorization': this.basicAuthHeader,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000 // 10 second timeout
-      });
+      const data = await this.adapter.cancelShipment(awbNumbers);
 
       this.logApiActivity({
         type: 'shipway-cancel-response',
-        status: response.status,
-        data: response.data,
+        data,
       });
 
-      // Check if response is successful
-      if (response.status !== 200) {
-        throw new Error(`Shipway API returned status ${response.status}`);
-      }
-
-      const data = response.data;
-
       // Validate response structure
       if (!data || typeof data !== 'object') {
         throw new Error('Invalid response format from Shipway API');
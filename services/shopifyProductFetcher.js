@@ -156,7 +156,7 @@ async function fetchAndSaveShopifyProducts(shopifyGraphqlUrl, headers, forceNew
 
     // Use Bulk Operations API to fetch all products
     const body = {
-      query: `mutation { bulkOperationRunQuery( query: """ { products { edges { node { id title variants(first: 1) { edges { node { sku } } } images(first: 1) { edges { node { src altText } } } } } } } """ ) { bulkOperation { id status } userErrors { field message } } }`
+      query: `mutation { bulkOperationRunQuery( query: """ { products { edges { node { id title productType variants { edges { node { id sku barcode price title inventoryQuantity selectedOptions { name value } } } } images(first: 1) { edges { node { src altText } } } } } } } """ ) { bulkOperation { id status } userErrors { field message } } }`
     };
 
     console.log('[Shopify] Sending bulk operation request to Shopify...');
@@ -298,6 +298,17 @@ async function downloadBulkOperationData(url) {
   }
 }
 
+/**
+ * Size of a Shopify variant: its "Size" option, otherwise parsed from the SKU
+ * @param {Object} variant - Parsed variant ({ sku, selectedOptions })
+ * @returns {string|null}
+ */
+function getVariantSize(variant) {
+  const sizeOption = (variant.selectedOptions || []).find(option => /size/i.test(option.name || ''));
+  const size = sizeOption && sizeOption.value ? sizeOption.value : database.extractSizeFromSku(variant.sku);
+  return size ? String(size).trim().toUpperCase().slice(0, 20) : null;
+}
+
 /**
  * Save products data to MySQL database
  * @param {Array} products - Array of product data
@@ -364,7 +375,8 @@ async function saveToDatabase(products, accountCode) {
         altText: product.images.length > 0 ? product.images[0].altText : null,
         totalImages: product.images.length,
         sku_id: cleanedSku,
-        account_code: accountCode
+        account_code: accountCode,
+        product_type: product.productType
       };
     }).filter(p => typeof p.sku_id === 'string' && p.sku_id.trim().length > 0);
 
@@ -379,7 +391,40 @@ async function saveToDatabase(products, accountCode) {
     console.log(
       `[Shopify] Products saved to database: ${result.inserted} inserted, ${result.updated} updated, ${result.skipped || 0} skipped`
     );
-    return result;
+
+    // Every variant with a SKU, under its product's base SKU
+    const dbVariants = [];
+    for (const product of products) {
+      const firstSku = product.variants.length > 0 ? product.variants[0].sku : null;
+      const baseSku = firstSku ? cleanSkuId(firstSku) : null;
+      if (!baseSku) continue;
+
+      for (const variant of product.variants) {
+        dbVariants.push({
+          account_code: accountCode,
+          sku_id: baseSku,
+          variant_sku: variant.sku.trim(),
+          size: getVariantSize(variant),
+          title: variant.title,
+          barcode: variant.barcode,
+          price: variant.price,
+          inventory_quantity: variant.inventoryQuantity,
+          shopify_variant_id: variant.id ? String(variant.id).split('/').pop() : null,
+          shopify_product_id: String(product.id).split('/').pop()
+        });
+      }
+    }
+
+    const variantResult = await database.bulkUpsertProductVariants(dbVariants);
+    console.log(
+      `[Shopify] Variants saved to database: ${variantResult.inserted} inserted, ${variantResult.updated} updated, ${variantResult.skipped} skipped`
+    );
+
+    // Link order lines to the (new) variants so inventory and RTO joins use them
+    const linkedOrders = await database.resolveOrderVariants(accountCode);
+    console.log(`[Shopify] Linked ${linkedOrders} order line(s) to product variants`);
+
+    return { ...result, variants: variantResult, linkedOrders };
   } catch (error) {
     console.error('[Shopify] Error saving to database:', error);
     throw error;
@@ -405,13 +450,14 @@ function parseShopifyBulkData(jsonlData) {
     try {
       const data = JSON.parse(line);
       
-      if (data.id && data.title) {
-        // This is a product line
+      if (data.id && data.title && !data.__parentId) {
+        // This is a product line (variant lines also have id/title, but always a __parentId)
         const productId = data.id;
         productCount++;
         products.set(productId, {
           id: productId,
           name: data.title,
+          productType: data.productType || null,
           images: [],
           variants: []
         });
@@ -421,7 +467,13 @@ function parseShopifyBulkData(jsonlData) {
         variantCount++;
         if (products.has(productId)) {
           products.get(productId).variants.push({
-            sku: data.sku
+            id: data.id || null,
+            sku: data.sku,
+            title: data.title || null,
+            barcode: data.barcode || null,
+            price: data.price !== undefined ? data.price : null,
+            inventoryQuantity: Number.isInteger(data.inventoryQuantity) ? data.inventoryQuantity : null,
+            selectedOptions: data.selectedOptions || []
           });
         }
         // Debug: Log first 3 variants
@@ -1,5 +1,10 @@
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const database = require('../config/database');
+const { generateToken } = require('../middleware/auth');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS, 10) || 30;
+const STALE_SESSION_RETENTION_DAYS = 30;
 
 // Simple UUID generation function
 function generateUUID() {
@@ -92,7 +97,9 @@ class UserSessionService {
     }
   }
 
-  async loginVendor(warehouseId) {
+  // Legacy vendor token sessions are per user: the vendor's own account and each team member
+  // (users sharing the vendor's warehouse) have their own token and active_session flag
+  async loginVendor(userId) {
     try {
       // Wait for MySQL initialization
       await database.waitForMySQLInitialization();
@@ -102,12 +109,12 @@ class UserSessionService {
         return null;
       }
 
-      const user = await database.getUserByWarehouseId(warehouseId);
+      const user = await database.getUserById(userId);
       if (!user) {
         return null;
       }
 
-      // Set this vendor's session to TRUE
+      // Set this user's session to TRUE
       const updates = { active_session: 'TRUE' };
       
       // Ensure token exists
@@ -124,25 +131,6 @@ class UserSessionService {
     }
   }
 
-  async getActiveVendor() {
-    try {
-      // Wait for MySQL initialization
-      await database.waitForMySQLInitialization();
-      
-      if (!database.isMySQLAvailable()) {
-        console.error('MySQL connection not available for user session service');
-        return null;
-      }
-
-      const users = await database.getAllUsers();
-      const activeUser = users.find(user => user.active_session === 'TRUE');
-      return activeUser ? activeUser.warehouseId : null;
-    } catch (error) {
-      console.error('Error in getActiveVendor:', error);
-      return null;
-    }
-  }
-
   async getVendorByToken(token) {
     try {
       // Wait for MySQL initialization
@@ -164,7 +152,7 @@ class UserSessionService {
     }
   }
 
-  async logoutVendor(warehouseId) {
+  async logoutVendor(userId) {
     try {
       // Wait for MySQL initialization
       await database.waitForMySQLInitialization();
@@ -174,7 +162,7 @@ class UserSessionService {
         return;
       }
 
-      const user = await database.getUserByWarehouseId(warehouseId);
+      const user = await database.getUserById(userId);
       if (user) {
         await database.updateUser(user.id, { active_session: 'FALSE' });
       }
@@ -218,6 +206,193 @@ class UserSessionService {
       return null;
     }
   }
+
+  // ---- Device sessions (access + refresh tokens) ----
+
+  hashRefreshToken(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+
+  /**
+   * Compare two refresh token hashes in constant time
+   */
+  hashesMatch(presentedHash, storedHash) {
+    const presented = Buffer.from(String(presentedHash || ''), 'hex');
+    const stored = Buffer.from(String(storedHash || ''), 'hex');
+    return presented.length > 0 && presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+  }
+
+  refreshExpiryDate() {
+    return new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Build the token pair returned to the client
+   * Refresh tokens are `<session id>.<secret>`; only the secret's hash is stored.
+   */
+  buildTokenResponse(user, sessionId, refreshSecret, refreshExpiresAt) {
+    const accessToken = generateToken(user, sessionId);
+    const { exp } = jwt.decode(accessToken);
+
+    return {
+      accessToken,
+      refreshToken: `${sessionId}.${refreshSecret}`,
+      tokenType: 'Bearer',
+      expiresIn: exp - Math.floor(Date.now() / 1000),
+      refreshExpiresAt: refreshExpiresAt.toISOString(),
+      sessionId
+    };
+  }
+
+  /**
+   * Start a session for a signed-in device
+   * @param {Object} user - Authenticated user
+   * @param {Object} meta - { deviceName, userAgent, ipAddress }
+   * @returns {Promise<Object>} { accessToken, refreshToken, tokenType, expiresIn, refreshExpiresAt, sessionId }
+   */
+  async createSession(user, { deviceName = null, userAgent = null, ipAddress = null } = {}) {
+    const sessionId = generateUUID();
+    const refreshSecret = crypto.randomBytes(32).toString('hex');
+    const refreshExpiresAt = this.refreshExpiryDate();
+
+    await database.createUserSession({
+      id: sessionId,
+      user_id: user.id,
+      refresh_token_hash: this.hashRefreshToken(refreshSecret),
+      refresh_expires_at: refreshExpiresAt,
+      device_name: deviceName,
+      user_agent: userAgent,
+      ip_address: ipAddress
+    });
+
+    return this.buildTokenResponse(user, sessionId, refreshSecret, refreshExpiresAt);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (the refresh token is rotated).
+   * Presenting a refresh token the session already rotated away from revokes the session, since
+   * it means the token leaked. Any other wrong token is just rejected: the session ID is in every
+   * access token, so it must not be enough to sign the session out.
+   * @param {string} refreshToken - `<session id>.<secret>`
+   * @param {Object} meta - { userAgent, ipAddress }
+   * @returns {Promise<Object|null>} { user, tokens } or null if the refresh token is not valid
+   */
+  async refreshSession(refreshToken, { userAgent = null, ipAddress = null } = {}) {
+    const [sessionId, refreshSecret] = String(refreshToken || '').split('.');
+    if (!sessionId || !refreshSecret) {
+      return null;
+    }
+
+    const session = await database.getUserSessionById(sessionId);
+    if (!session || session.revoked_at || new Date(session.refresh_expires_at) <= new Date()) {
+      return null;
+    }
+
+    const presentedHash = this.hashRefreshToken(refreshSecret);
+    if (!this.hashesMatch(presentedHash, session.refresh_token_hash)) {
+      if (await database.isRotatedUserSessionRefreshToken(sessionId, presentedHash)) {
+        await database.revokeUserSession(sessionId, 'refresh_token_reuse');
+        console.warn(`⚠️ Refresh token reuse detected for session ${sessionId}, session revoked`);
+      }
+      return null;
+    }
+
+    const user = await database.getUserById(session.user_id);
+    if (!user || user.status !== 'active') {
+      await database.revokeUserSession(sessionId, 'user_inactive');
+      return null;
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    const refreshExpiresAt = this.refreshExpiryDate();
+    const rotated = await database.rotateUserSessionRefreshToken(
+      sessionId,
+      presentedHash,
+      this.hashRefreshToken(newSecret),
+      refreshExpiresAt,
+      { ip_address: ipAddress, user_agent: userAgent }
+    );
+    if (!rotated) {
+      // Another request rotated the same token first
+      return null;
+    }
+
+    return {
+      user,
+      tokens: this.buildTokenResponse(user, sessionId, newSecret, refreshExpiresAt)
+    };
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout without a valid access token)
+   * @param {string} refreshToken - `<session id>.<secret>`
+   * @param {string} reason
+   * @returns {Promise<boolean>} True if revoked
+   */
+  async revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+    const [sessionId, refreshSecret] = String(refreshToken || '').split('.');
+    if (!sessionId || !refreshSecret) {
+      return false;
+    }
+
+    const session = await database.getUserSessionById(sessionId);
+    if (!session || !this.hashesMatch(this.hashRefreshToken(refreshSecret), session.refresh_token_hash)) {
+      return false;
+    }
+
+    return await database.revokeUserSession(sessionId, reason);
+  }
+
+  /**
+   * Revoke one session of a user
+   * @param {Object} user - Session owner
+   * @param {string} sessionId - Session to revoke
+   * @param {string} reason - e.g. 'logout'
+   * @returns {Promise<boolean>} True if revoked
+   */
+  async revokeSession(user, sessionId, reason = 'logout') {
+    const session = await database.getUserSessionById(sessionId);
+    if (!session || session.user_id !== user.id) {
+      return false;
+    }
+
+    return await database.revokeUserSession(sessionId, reason);
+  }
+
+  /**
+   * Revoke all sessions of a user, e.g. on password change or "log out everywhere"
+   * @param {Object} user - Session owner
+   * @param {string} reason
+   * @param {string|null} exceptSessionId - Session to keep signed in
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAllSessions(user, reason, exceptSessionId = null) {
+    const revoked = await database.revokeUserSessions(user.id, reason, exceptSessionId);
+
+    // Signed out everywhere: the legacy raw vendor token stops working too
+    if (!exceptSessionId && user.role === 'vendor') {
+      await this.logoutVendor(user.id);
+    }
+    return revoked;
+  }
+
+  /**
+   * Active sessions of a user
+   * @param {string} userId
+   * @returns {Promise<Array>}
+   */
+  async listSessions(userId) {
+    return await database.getActiveUserSessions(userId);
+  }
+
+  /**
+   * Delete sessions that expired or were revoked long ago (scheduled daily)
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  async cleanupStaleSessions() {
+    await database.waitForMySQLInitialization();
+    return await database.deleteStaleUserSessions(STALE_SESSION_RETENTION_DAYS);
+  }
 }
 
-module.exports = new UserSessionService(); 
\ No newline at end of file
+module.exports = new UserSessionService();
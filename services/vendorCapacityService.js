@@ -0,0 +1,390 @@
+/**
+ * Vendor Capacity Service
+ *
+ * Per-vendor claim limits and opt-in auto-allocation of unclaimed orders.
+ *
+ * A vendor may hold at most max_open_claims orders in 'claimed' status and claim at most
+ * max_per_sku_per_day rows of one SKU per (IST) day. Limits come from the vendor's
+ * vendor_capacity row, falling back to the VendorMaxOpenClaims / VendorMaxPerSkuPerDay utility
+ * values; a limit left empty everywhere is not enforced. /claim and /bulk-claim check them inside
+ * the claim transaction (database.checkClaimLimits); admin assignment is an override and does not.
+ *
+ * Vendors with auto_allocation on are offered orders that nobody claimed within
+ * AutoAllocationDelayMinutes. Each order goes to the eligible vendor with the best score:
+ * pincode proximity, fulfillment rate of the last FULFILLMENT_WINDOW_DAYS and free capacity,
+ * weighted by ALLOCATION_WEIGHTS. An order is never allocated back to the vendor that last
+ * released it.
+ */
+
+const database = require('../config/database');
+const carrierServiceabilityService = require('./carrierServiceabilityService');
+const orderEventService = require('./orderEventService');
+
+const ALLOCATION_WEIGHTS = { proximity: 0.4, fulfillment: 0.35, capacity: 0.25 };
+
+// Fulfillment rate assumed for vendors without claims in the window
+const DEFAULT_FULFILLMENT_RATE = 0.5;
+
+const FULFILLMENT_WINDOW_DAYS = 30;
+
+const DEFAULT_ALLOCATION_DELAY_MINUTES = 60;
+
+const DEFAULT_ALLOCATION_BATCH = 200;
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MAX_NOTES_LENGTH = 500;
+
+const toSqlDateTime = (date) => date.toISOString().replace('T', ' ').substring(0, 19);
+
+/**
+ * Non-negative integer limit, null when blank, NaN when invalid
+ */
+function toLimit(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 0 ? limit : NaN;
+}
+
+class VendorCapacityService {
+  constructor() {
+    this.ALLOCATION_WEIGHTS = ALLOCATION_WEIGHTS;
+  }
+
+  /**
+   * Default limits from the utility table (null when not configured)
+   * @returns {Promise<Object>} { max_open_claims, max_per_sku_per_day }
+   */
+  async getDefaultLimits() {
+    const [maxOpenClaims, maxPerSkuPerDay] = await Promise.all([
+      database.getUtilityValue('VendorMaxOpenClaims').catch(() => null),
+      database.getUtilityValue('VendorMaxPerSkuPerDay').catch(() => null)
+    ]);
+    const openLimit = toLimit(maxOpenClaims);
+    const skuLimit = toLimit(maxPerSkuPerDay);
+    return {
+      max_open_claims: Number.isNaN(openLimit) ? null : openLimit,
+      max_per_sku_per_day: Number.isNaN(skuLimit) ? null : skuLimit
+    };
+  }
+
+  /**
+   * Effective limits of a vendor: their own value, else the default
+   * @param {Object|null} capacity - vendor_capacity row
+   * @param {Object} defaults - getDefaultLimits()
+   */
+  mergeLimits(capacity, defaults) {
+    return {
+      max_open_claims: capacity && capacity.max_open_claims !== null && capacity.max_open_claims !== undefined
+        ? capacity.max_open_claims
+        : defaults.max_open_claims,
+      max_per_sku_per_day: capacity && capacity.max_per_sku_per_day !== null && capacity.max_per_sku_per_day !== undefined
+        ? capacity.max_per_sku_per_day
+        : defaults.max_per_sku_per_day,
+      auto_allocation: Boolean(capacity && capacity.auto_allocation)
+    };
+  }
+
+  /**
+   * Start of the current IST day on the claims.claimed_at clock (UTC 'YYYY-MM-DD HH:mm:ss')
+   */
+  dayStart(now = new Date()) {
+    const istMidnight = Math.floor((now.getTime() + IST_OFFSET_MS) / DAY_MS) * DAY_MS;
+    return toSqlDateTime(new Date(istMidnight - IST_OFFSET_MS));
+  }
+
+  /**
+   * Limits to pass to database.claimOrderAtomically for a vendor's own claims
+   * @param {Object} vendor - Vendor (owner) user row
+   * @returns {Promise<Object>} { vendorId, maxOpenClaims, maxPerSkuPerDay, dayStart }
+   */
+  async getClaimLimits(vendor) {
+    const [capacity, defaults] = await Promise.all([
+      database.getVendorCapacity(vendor.id),
+      this.getDefaultLimits()
+    ]);
+    const limits = this.mergeLimits(capacity, defaults);
+    return {
+      vendorId: vendor.id,
+      maxOpenClaims: limits.max_open_claims,
+      maxPerSkuPerDay: limits.max_per_sku_per_day,
+      dayStart: this.dayStart()
+    };
+  }
+
+  /**
+   * A vendor's limits and today's usage
+   * @param {Object} vendor - Vendor (owner) user row
+   * @returns {Promise<Object>}
+   */
+  async getVendorCapacity(vendor) {
+    const [capacity, defaults, openCounts, skuCounts] = await Promise.all([
+      database.getVendorCapacity(vendor.id),
+      this.getDefaultLimits(),
+      database.getOpenClaimCountsByVendor(),
+      database.getSkuClaimCountsSince(this.dayStart(), vendor.warehouseId)
+    ]);
+    const limits = this.mergeLimits(capacity, defaults);
+    const openClaims = openCounts[vendor.warehouseId] || 0;
+
+    return {
+      ...limits,
+      open_claims: openClaims,
+      remaining_open_claims: limits.max_open_claims === null ? null : Math.max(0, limits.max_open_claims - openClaims),
+      sku_claims_today: skuCounts.map(row => ({
+        product_code: row.product_code,
+        claimed: row.count,
+        remaining: limits.max_per_sku_per_day === null ? null : Math.max(0, limits.max_per_sku_per_day - row.count)
+      }))
+    };
+  }
+
+  /**
+   * All vendors with their effective limits and open claims
+   * @returns {Promise<Object>} { defaults, vendors }
+   */
+  async getAllCapacities() {
+    const [vendors, defaults, openCounts] = await Promise.all([
+      database.getVendorCapacities(),
+      this.getDefaultLimits(),
+      database.getOpenClaimCountsByVendor()
+    ]);
+
+    return {
+      defaults,
+      vendors: vendors.map(vendor => {
+        const limits = this.mergeLimits(vendor, defaults);
+        const openClaims = openCounts[vendor.warehouseId] || 0;
+        return {
+          ...vendor,
+          effective_max_open_claims: limits.max_open_claims,
+          effective_max_per_sku_per_day: limits.max_per_sku_per_day,
+          open_claims: openClaims,
+          remaining_open_claims: limits.max_open_claims === null ? null : Math.max(0, limits.max_open_claims - openClaims)
+        };
+      })
+    };
+  }
+
+  /**
+   * Validate an admin capacity body
+   * @returns {Object} { error } or { capacity }
+   */
+  validateCapacity(body) {
+    const maxOpenClaims = toLimit(body.max_open_claims);
+    if (Number.isNaN(maxOpenClaims)) {
+      return { error: 'max_open_claims must be a non-negative integer or empty' };
+    }
+    const maxPerSkuPerDay = toLimit(body.max_per_sku_per_day);
+    if (Number.isNaN(maxPerSkuPerDay)) {
+      return { error: 'max_per_sku_per_day must be a non-negative integer or empty' };
+    }
+    if (body.auto_allocation !== undefined && ![true, false, 0, 1, '0', '1', 'true', 'false'].includes(body.auto_allocation)) {
+      return { error: 'auto_allocation must be a boolean' };
+    }
+    if (body.notes && String(body.notes).length > MAX_NOTES_LENGTH) {
+      return { error: `notes must be at most ${MAX_NOTES_LENGTH} characters` };
+    }
+
+    return {
+      capacity: {
+        max_open_claims: maxOpenClaims,
+        max_per_sku_per_day: maxPerSkuPerDay,
+        auto_allocation: [true, 1, '1', 'true'].includes(body.auto_allocation),
+        notes: body.notes ? String(body.notes).trim() : null
+      }
+    };
+  }
+
+  /**
+   * Pincode proximity 0..1: leading digits two pincodes share (same postal circle, region,
+   * sorting district...)
+   */
+  pincodeProximity(a, b) {
+    const left = String(a || '').trim();
+    const right = String(b || '').trim();
+    if (left.length !== 6 || right.length !== 6) return 0;
+
+    let shared = 0;
+    while (shared < 6 && left[shared] === right[shared]) shared++;
+    return shared / 6;
+  }
+
+  /**
+   * Score of a vendor for an order (higher is better)
+   * @param {Object} order - Order row with pincode
+   * @param {Object} entry - Allocation pool entry
+   * @returns {Object} { score, proximity, fulfillment_rate, capacity_share }
+   */
+  scoreVendor(order, entry) {
+    const proximity = this.pincodeProximity(order.pincode, entry.vendor.pincode);
+    const capacityShare = entry.maxOpenClaims === null
+      ? 1
+      : entry.maxOpenClaims > 0 ? Math.max(0, entry.maxOpenClaims - entry.openClaims) / entry.maxOpenClaims : 0;
+    const score = ALLOCATION_WEIGHTS.proximity * proximity
+      + ALLOCATION_WEIGHTS.fulfillment * entry.fulfillmentRate
+      + ALLOCATION_WEIGHTS.capacity * capacityShare;
+
+    return {
+      score: Math.round(score * 1000) / 1000,
+      proximity: Math.round(proximity * 1000) / 1000,
+      fulfillment_rate: entry.fulfillmentRate,
+      capacity_share: Math.round(capacityShare * 1000) / 1000
+    };
+  }
+
+  /**
+   * Whether a pool entry can take one more row of this order's SKU
+   */
+  canTake(entry, order) {
+    if (entry.maxOpenClaims !== null && entry.openClaims >= entry.maxOpenClaims) return false;
+    if (entry.maxPerSkuPerDay !== null && order.product_code
+      && (entry.skuCounts.get(order.product_code) || 0) >= entry.maxPerSkuPerDay) return false;
+    return true;
+  }
+
+  /**
+   * Opted-in active vendors with their limits, usage and fulfillment rate
+   */
+  async buildAllocationPool(dayStart) {
+    const [vendors, defaults, openCounts, skuRows] = await Promise.all([
+      database.getVendorCapacities(),
+      this.getDefaultLimits(),
+      database.getOpenClaimCountsByVendor(),
+      database.getSkuClaimCountsSince(dayStart)
+    ]);
+
+    const dateFrom = new Date(Date.now() - FULFILLMENT_WINDOW_DAYS * DAY_MS).toISOString().split('T')[0];
+    const pool = [];
+
+    for (const vendor of vendors.filter(v => v.auto_allocation && v.status === 'active')) {
+      const limits = this.mergeLimits(vendor, defaults);
+      let fulfillmentRate = DEFAULT_FULFILLMENT_RATE;
+      try {
+        const stats = await database.getVendorFulfillmentStats({ vendorId: vendor.warehouseId, dateFrom });
+        if (stats.totalClaimed > 0) {
+          fulfillmentRate = Math.round(parseFloat(stats.fulfillmentRate)) / 100;
+        }
+      } catch (error) {
+        console.log(`⚠️ [Auto-Allocation] Fulfillment stats failed for ${vendor.warehouseId}: ${error.message}`);
+      }
+
+      pool.push({
+        vendor,
+        maxOpenClaims: limits.max_open_claims,
+        maxPerSkuPerDay: limits.max_per_sku_per_day,
+        openClaims: openCounts[vendor.warehouseId] || 0,
+        skuCounts: new Map(skuRows
+          .filter(row => row.claimed_by === vendor.warehouseId)
+          .map(row => [row.product_code, row.count])),
+        fulfillmentRate
+      });
+    }
+
+    return pool;
+  }
+
+  /**
+   * Allocate unclaimed orders to opted-in vendors (scheduled job and admin trigger)
+   * @param {Object} options - { dryRun, limit, accountCode }
+   * @returns {Promise<Object>} { checked, allocated, unallocated, failed, by_vendor, allocations }
+   */
+  async allocateOrders({ dryRun = false, limit = null, accountCode = null } = {}) {
+    const summary = { checked: 0, allocated: 0, unallocated: 0, failed: 0, by_vendor: {}, allocations: [] };
+
+    const dayStart = this.dayStart();
+    const pool = await this.buildAllocationPool(dayStart);
+    if (pool.length === 0) {
+      return summary;
+    }
+
+    const delay = toLimit(await database.getUtilityValue('AutoAllocationDelayMinutes').catch(() => null));
+    const orders = await database.getAutoAllocationCandidates({
+      minAgeMinutes: delay === null || Number.isNaN(delay) ? DEFAULT_ALLOCATION_DELAY_MINUTES : delay,
+      limit: parseInt(limit, 10) || DEFAULT_ALLOCATION_BATCH,
+      accountCode
+    });
+    summary.checked = orders.length;
+
+    for (const order of orders) {
+      const ranked = pool
+        .filter(entry => entry.vendor.warehouseId !== order.last_claimed_by && this.canTake(entry, order))
+        .map(entry => ({ entry, ...this.scoreVendor(order, entry) }))
+        .sort((a, b) => b.score - a.score || a.entry.openClaims - b.entry.openClaims);
+
+      if (ranked.length === 0) {
+        summary.unallocated++;
+        continue;
+      }
+
+      const { entry, ...score } = ranked[0];
+      const warehouseId = entry.vendor.warehouseId;
+
+      if (!dryRun) {
+        const now = toSqlDateTime(new Date());
+        try {
+          const claimResult = await database.claimOrderAtomically(order.unique_id, warehouseId, now, null, {
+            vendorId: entry.vendor.vendor_id,
+            maxOpenClaims: entry.maxOpenClaims,
+            maxPerSkuPerDay: entry.maxPerSkuPerDay,
+            dayStart
+          });
+
+          if (!claimResult.claimed) {
+            // Counts moved since the pool was built (vendor claims in the meantime)
+            if (claimResult.reason === 'capacity_reached') entry.openClaims = entry.maxOpenClaims;
+            if (claimResult.reason === 'sku_daily_limit') entry.skuCounts.set(order.product_code, entry.maxPerSkuPerDay);
+            summary.unallocated++;
+            continue;
+          }
+
+          await orderEventService.record(order, orderEventService.EVENT_TYPES.AUTO_ALLOCATED, {
+            actor: orderEventService.systemActor('vendorCapacityService'),
+            from_status: order.status,
+            to_status: 'claimed',
+            claimed_by: warehouseId,
+            source: 'auto-allocation',
+            details: score
+          });
+
+          let priorityCarrier = '';
+          try {
+            priorityCarrier = await carrierServiceabilityService.getTop3PriorityCarriers(order);
+          } catch (carrierError) {
+            console.log(`⚠️ [Auto-Allocation] Carrier assignment failed for ${order.order_id}: ${carrierError.message}`);
+          }
+          await database.updateOrder(order.unique_id, { priority_carrier: priorityCarrier });
+        } catch (error) {
+          console.error(`❌ [Auto-Allocation] Failed to allocate ${order.unique_id}:`, error.message);
+          summary.failed++;
+          continue;
+        }
+      }
+
+      entry.openClaims++;
+      if (order.product_code) {
+        entry.skuCounts.set(order.product_code, (entry.skuCounts.get(order.product_code) || 0) + 1);
+      }
+      summary.allocated++;
+      summary.by_vendor[warehouseId] = (summary.by_vendor[warehouseId] || 0) + 1;
+      summary.allocations.push({
+        unique_id: order.unique_id,
+        order_id: order.order_id,
+        account_code: order.account_code,
+        vendor_id: entry.vendor.vendor_id,
+        warehouseId,
+        ...score
+      });
+    }
+
+    if (!dryRun && summary.allocated > 0) {
+      console.log(`📦 [Auto-Allocation] Allocated ${summary.allocated} of ${summary.checked} orders:`, summary.by_vendor);
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new VendorCapacityService();
@@ -0,0 +1,302 @@
+/**
+ * Vendor Ledger Service
+ *
+ * Derives vendor earnings from real claims + labels rows and records them as
+ * immutable credit/debit entries in the transactions table.
+ *
+ *  - Handed-over claims (labels.is_handover = 1) become one 'order_credit' entry each, priced
+ *    by the vendor's rate card (vendorRateCardService) or, without one, at the line's selling value
+ *  - Claimed but not yet handed-over claims are reported as future payment only
+ *  - Settlement requests reserve the unreserved entries (transactions.settlement_id)
+ *  - Each settlement payment writes a 'settlement' debit (payout) linked to the settlement
+ *  - Penalties (vendorPenaltyService) write a 'penalty' debit; waiving one writes a
+ *    'penalty_waiver' credit for the same amount
+ *
+ * Every order credit carries a unique reference_key, so the same order can never
+ * be credited — and therefore never be paid — twice.
+ */
+
+const crypto = require('crypto');
+const database = require('../config/database');
+const vendorRateCardService = require('./vendorRateCardService');
+
+class VendorLedgerService {
+  /**
+   * Build a ledger entry ID in the same format as database.createTransaction
+   * @returns {string}
+   */
+  generateEntryId() {
+    return `txn_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+  }
+
+  /**
+   * Get a DB handle (pool preferred)
+   */
+  getDb() {
+    const db = database.mysqlPool || database.mysqlConnection;
+    if (!db) {
+      throw new Error('MySQL connection not available');
+    }
+    return db;
+  }
+
+  /**
+   * Write credit entries for every handed-over claim of the vendor that is not yet in the ledger.
+   * Idempotent: the reference_key unique index makes re-runs no-ops.
+   * @param {Object} vendor - Vendor user row (id, warehouseId)
+   * @returns {Promise<number>} Number of new credit entries written
+   */
+  async syncVendorLedger(vendor) {
+    if (!vendor || !vendor.id || !vendor.warehouseId) {
+      throw new Error('Vendor with id and warehouseId is required');
+    }
+
+    const db = this.getDb();
+
+    const lines = (await database.getVendorClaimLines(vendor.warehouseId))
+      .filter(line => line.credited_amount === null);
+    const rows = await vendorRateCardService.priceLines(vendor.id, lines);
+
+    let created = 0;
+    for (const row of rows) {
+      const amount = row.amount;
+      if (amount <= 0) continue;
+
+      const [result] = await db.execute(`
+        INSERT IGNORE INTO transactions
+          (id, vendor_id, amount, type, direction, description, order_unique_id, order_id, account_code, reference_key, rate_card_id)
+        VALUES (?, ?, ?, 'order_credit', 'credit', ?, ?, ?, ?, ?, ?)
+      `, [
+        this.generateEntryId(),
+        vendor.id,
+        amount,
+        `Order ${row.order_id} handed over${row.rate_card_id ? ` (rate card ${row.rate_card_id})` : ''}`,
+        row.order_unique_id,
+        row.order_id,
+        row.account_code,
+        `order_credit:${row.account_code}:${row.order_unique_id}`,
+        row.rate_card_id
+      ]);
+      created += result.affectedRows;
+    }
+
+    if (created > 0) {
+      console.log(`📒 [Ledger] ${created} order credit(s) recorded for vendor ${vendor.id}`);
+    }
+
+    return created;
+  }
+
+  /**
+   * Sum of claimed-but-not-handed-over order lines for the vendor (in-pack), priced like their
+   * credits will be (rate card as of today, else selling value)
+   * @param {Object} vendor - Vendor user row (id, warehouseId)
+   * @returns {Promise<number>}
+   */
+  async getFuturePayment(vendor) {
+    const lines = await database.getVendorClaimLines(vendor.warehouseId, { inPack: true });
+    const priced = await vendorRateCardService.priceLines(vendor.id, lines);
+
+    return Math.round(priced.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+  }
+
+  /**
+   * Get the unreserved ledger entries of a vendor (not yet part of any settlement).
+   * Payout debits always carry a settlement_id, except legacy payouts, which are
+   * deliberately included so they are netted against new credits.
+   * @param {string} vendorId
+   * @param {Object} connection - Optional connection (used inside transactions)
+   * @param {boolean} forUpdate - Lock the rows (only valid inside a transaction)
+   * @returns {Promise<Array>}
+   */
+  async getUnreservedEntries(vendorId, connection = null, forUpdate = false) {
+    const db = connection || this.getDb();
+
+    const [rows] = await db.execute(`
+      SELECT id, amount, type, direction, order_unique_id, order_id, account_code
+      FROM transactions
+      WHERE vendor_id = ? AND settlement_id IS NULL
+      ORDER BY createdAt ASC
+      ${forUpdate ? 'FOR UPDATE' : ''}
+    `, [vendorId]);
+
+    return rows;
+  }
+
+  /**
+   * Net amount (credits - debits) of a list of ledger entries
+   * @param {Array} entries
+   * @returns {number}
+   */
+  sumEntries(entries) {
+    const total = entries.reduce((sum, entry) => {
+      const amount = parseFloat(entry.amount) || 0;
+      return entry.direction === 'debit' ? sum - amount : sum + amount;
+    }, 0);
+    return Math.round(total * 100) / 100;
+  }
+
+  /**
+   * Current (payable now) and future (in-pack) amounts for a vendor
+   * @param {Object} vendor - Vendor user row (id, warehouseId)
+   * @returns {Promise<Object>} { currentPayment, futurePayment, handoverOrderIds }
+   */
+  async getVendorPayments(vendor) {
+    await this.syncVendorLedger(vendor);
+
+    const entries = await this.getUnreservedEntries(vendor.id);
+    const futurePayment = await this.getFuturePayment(vendor);
+
+    return {
+      currentPayment: Math.max(0, this.sumEntries(entries)),
+      futurePayment: Math.round(futurePayment * 100) / 100,
+      handoverOrderIds: [...new Set(entries.filter(e => e.type === 'order_credit').map(e => e.order_id))]
+    };
+  }
+
+  /**
+   * Create a settlement that reserves exactly the vendor's unreserved ledger entries.
+   * Runs in a single transaction with the entries locked, so two concurrent requests
+   * can never reserve the same entry.
+   * @param {Object} vendor - Vendor user row (id, name, warehouseId)
+   * @param {string} upiId
+   * @returns {Promise<Object>} { settlementId, amount, entryCount, orderIds }
+   */
+  async createSettlementWithReservation(vendor, upiId) {
+    await this.syncVendorLedger(vendor);
+
+    const db = this.getDb();
+    const connection = await db.getConnection();
+
+    try {
+      await connection.beginTransaction();
+
+      const entries = await this.getUnreservedEntries(vendor.id, connection, true);
+      const amount = this.sumEntries(entries);
+
+      if (entries.length === 0 || amount <= 0) {
+        await connection.rollback();
+        return { settlementId: null, amount: 0, entryCount: 0, orderIds: [] };
+      }
+
+      const settlementId = `settlement_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`;
+      const orderIds = [...new Set(entries.filter(e => e.type === 'order_credit').map(e => e.order_id))];
+
+      await connection.execute(`
+        INSERT INTO settlements (id, vendorId, vendorName, amount, upiId, orderIds, numberOfOrders, currency, status, paymentStatus, amountPaid)
+        VALUES (?, ?, ?, ?, ?, ?, ?, 'INR', 'pending', 'pending', 0)
+      `, [settlementId, vendor.id, vendor.name || null, amount, upiId, orderIds.join(','), orderIds.length]);
+
+      const entryIds = entries.map(e => e.id);
+      const placeholders = entryIds.map(() => '?').join(',');
+      const [reserveResult] = await connection.execute(
+        `UPDATE transactions SET settlement_id = ? WHERE id IN (${placeholders}) AND settlement_id IS NULL`,
+        [settlementId, ...entryIds]
+      );
+
+      if (reserveResult.affectedRows !== entryIds.length) {
+        throw new Error('Ledger entries changed while reserving settlement');
+      }
+
+      await connection.commit();
+      console.log(`📒 [Ledger] Settlement ${settlementId} reserved ${entryIds.length} entr(ies) = ₹${amount}`);
+
+      return { settlementId, amount, entryCount: entryIds.length, orderIds };
+    } catch (error) {
+      await connection.rollback();
+      console.error('❌ [Ledger] Failed to reserve settlement:', error.message);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Release the entries reserved by a settlement (e.g. when it is rejected).
+   * Only pending settlements are released, so no payout entry exists yet.
+   * @param {string} settlementId
+   * @returns {Promise<number>} Number of entries released
+   */
+  async releaseSettlement(settlementId) {
+    const db = this.getDb();
+    const [result] = await db.execute(
+      'UPDATE transactions SET settlement_id = NULL WHERE settlement_id = ?',
+      [settlementId]
+    );
+    console.log(`📒 [Ledger] Released ${result.affectedRows} entr(ies) from settlement ${settlementId}`);
+    return result.affectedRows;
+  }
+
+  /**
+   * Record the payout of a settlement as a debit entry linked to the settlement
+   * @param {Object} settlement - Settlement row
+   * @param {number} amountPaid
+   * @param {string} description
+   * @param {Object} connection - Optional connection (used inside transactions)
+   * @returns {Promise<Object|null>} Created ledger entry ({ id } only when written on a connection)
+   */
+  async recordSettlementPayout(settlement, amountPaid, description, connection = null) {
+    const db = connection || this.getDb();
+    const id = this.generateEntryId();
+
+    await db.execute(`
+      INSERT INTO transactions (id, vendor_id, amount, type, direction, description, settlement_id)
+      VALUES (?, ?, ?, 'settlement', 'debit', ?, ?)
+    `, [id, settlement.vendorId, amountPaid, description, settlement.id]);
+
+    // Not committed yet, so not visible to a read from another connection
+    if (connection) {
+      return { id };
+    }
+
+    return await database.getTransactionById(id);
+  }
+
+  /**
+   * Record a penalty as a debit, or its waiver as a credit. The reference_key ties the entry to
+   * the penalty, so a penalty is never charged or waived twice.
+   * @param {Object} penalty - vendor_penalties row
+   * @param {string} type - 'penalty' | 'penalty_waiver'
+   * @param {string} description
+   * @param {Object} connection - Connection of the open transaction
+   * @returns {Promise<Object>} { id }
+   */
+  async recordPenaltyEntry(penalty, type, description, connection) {
+    const id = this.generateEntryId();
+
+    await connection.execute(`
+      INSERT INTO transactions
+        (id, vendor_id, amount, type, direction, description, order_unique_id, order_id, account_code, reference_key)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      id,
+      penalty.vendor_id,
+      penalty.amount,
+      type,
+      type === 'penalty' ? 'debit' : 'credit',
+      description,
+      penalty.order_unique_id || null,
+      penalty.order_id || null,
+      penalty.account_code || null,
+      `${type}:${penalty.id}`
+    ]);
+
+    return { id };
+  }
+
+  /**
+   * Get the ledger entries reserved by (or paid out against) a settlement
+   * @param {string} settlementId
+   * @returns {Promise<Array>}
+   */
+  async getSettlementEntries(settlementId) {
+    const db = this.getDb();
+    const [rows] = await db.execute(
+      'SELECT * FROM transactions WHERE settlement_id = ? ORDER BY createdAt ASC',
+      [settlementId]
+    );
+    return rows;
+  }
+}
+
+module.exports = new VendorLedgerService();
@@ -0,0 +1,387 @@
+/**
+ * Vendor Penalty Service
+ *
+ * Charges vendors for auto-reversed claims, RTOs with a quality reason and late handovers,
+ * following the active rules in vendor_penalty_rules. The hourly job looks at events from the
+ * last LOOKBACK_DAYS (and never before a rule's effective_from); each event is penalised once
+ * (vendor_penalties.source_key) by the most specific matching rule.
+ *
+ * A penalty is a 'penalty' debit in the vendor ledger, netted against the vendor's credits in
+ * their next settlement. Vendors can dispute a penalty once; admins waive it (a 'penalty_waiver'
+ * credit for the same amount) or reject the dispute.
+ */
+
+const database = require('../config/database');
+const vendorLedgerService = require('./vendorLedgerService');
+const autoReversalService = require('./autoReversalService');
+const { httpError, withTransaction } = require('../utils/serviceHelpers');
+
+const PENALTY_TYPES = ['auto_reversal', 'rto_quality', 'late_handover'];
+
+// NDR reasons that point at the product rather than the customer or courier
+const DEFAULT_QUALITY_KEYWORDS = ['damaged', 'defective', 'wrong product', 'wrong item', 'different product', 'quality'];
+
+const LOOKBACK_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+/**
+ * Non-negative number from a request value, null when blank, NaN when invalid
+ */
+function toAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : NaN;
+}
+
+/**
+ * Lower-case keywords from an array or a comma-separated string
+ */
+function toKeywords(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean))];
+}
+
+class VendorPenaltyService {
+  constructor() {
+    this.PENALTY_TYPES = PENALTY_TYPES;
+    this.DEFAULT_QUALITY_KEYWORDS = DEFAULT_QUALITY_KEYWORDS;
+  }
+
+  /**
+   * Validate a rule from a request body, filling omitted fields from the current rule
+   * @param {Object} body - Request body
+   * @param {Object} current - Rule being updated ({} when creating)
+   * @returns {{ error: string|null, rule: Object }}
+   */
+  validateRule(body, current = {}) {
+    const value = (field) => (body[field] !== undefined ? body[field] : current[field]);
+
+    const rule = {
+      name: String(value('name') || '').trim(),
+      rule_type: value('rule_type'),
+      account_code: value('account_code') ? String(value('account_code')).trim() : null,
+      amount: toAmount(value('amount')),
+      max_amount: toAmount(value('max_amount')),
+      threshold_days: value('threshold_days') ?? null,
+      reason_keywords: value('reason_keywords') ? toKeywords(value('reason_keywords')) : [],
+      is_active: value('is_active') ?? true,
+      effective_from: value('effective_from') ? new Date(value('effective_from')) : new Date()
+    };
+
+    if (!rule.name) {
+      return { error: 'name is required', rule };
+    }
+    if (!PENALTY_TYPES.includes(rule.rule_type)) {
+      return { error: `rule_type must be one of: ${PENALTY_TYPES.join(', ')}`, rule };
+    }
+    if (!rule.amount) {
+      return { error: 'amount must be a positive number', rule };
+    }
+    if (Number.isNaN(rule.max_amount) || (rule.max_amount !== null && rule.max_amount < rule.amount)) {
+      return { error: 'max_amount must be a number not below amount', rule };
+    }
+    if (rule.threshold_days !== null && (!Number.isInteger(rule.threshold_days) || rule.threshold_days < 0)) {
+      return { error: 'threshold_days must be a whole number of days (empty for the store\'s criticality_days)', rule };
+    }
+    if (typeof rule.is_active !== 'boolean' && rule.is_active !== 0 && rule.is_active !== 1) {
+      return { error: 'is_active must be a boolean', rule };
+    }
+    if (isNaN(rule.effective_from.getTime())) {
+      return { error: 'effective_from must be a date', rule };
+    }
+
+    // Only the fields of the rule type are kept
+    if (rule.rule_type !== 'late_handover') rule.threshold_days = null;
+    rule.reason_keywords = rule.rule_type === 'rto_quality' && rule.reason_keywords.length > 0
+      ? rule.reason_keywords.join(',')
+      : null;
+    rule.is_active = rule.is_active ? 1 : 0;
+
+    return { error: null, rule };
+  }
+
+  /**
+   * Keywords a rule matches NDR reasons against
+   */
+  getKeywords(rule) {
+    return rule.reason_keywords ? toKeywords(rule.reason_keywords) : DEFAULT_QUALITY_KEYWORDS;
+  }
+
+  /**
+   * The rule that penalises an event, or null: rules of the event's type in effect at the event,
+   * for its store (a store-specific rule beats an all-store rule, then the later effective_from)
+   * @param {Array} rules - Active rules of the event's type
+   * @param {Object} event - { account_code, event_at, ndr_reasons? }
+   * @returns {Object|null} { rule, keyword } (keyword: the quality keyword an RTO matched)
+   */
+  selectRule(rules, event) {
+    const reasons = String(event.ndr_reasons || '').toLowerCase();
+
+    const matches = rules
+      .filter(rule => new Date(rule.effective_from) <= new Date(event.event_at))
+      .filter(rule => !rule.account_code || rule.account_code === event.account_code)
+      .map(rule => ({
+        rule,
+        keyword: rule.rule_type === 'rto_quality'
+          ? this.getKeywords(rule).find(keyword => reasons.includes(keyword))
+          : null
+      }))
+      .filter(match => match.rule.rule_type !== 'rto_quality' || match.keyword);
+
+    matches.sort((a, b) =>
+      (b.rule.account_code ? 1 : 0) - (a.rule.account_code ? 1 : 0) ||
+      new Date(b.rule.effective_from) - new Date(a.rule.effective_from) ||
+      b.rule.id - a.rule.id
+    );
+
+    return matches[0] || null;
+  }
+
+  /**
+   * Penalty for an event under a rule, or null when a late handover is within its threshold
+   * @param {string} type - Penalty type
+   * @param {Object} event - Candidate row from the database
+   * @param {Object} match - { rule, keyword } from selectRule
+   * @returns {Object|null} vendor_penalties columns
+   */
+  buildPenalty(type, event, match) {
+    const { rule, keyword } = match;
+    let amount = parseFloat(rule.amount);
+    let sourceKey;
+    let description;
+    const details = { rule_name: rule.name, rate: parseFloat(rule.amount) };
+
+    if (type === 'auto_reversal') {
+      sourceKey = `auto_reversal:${event.event_id}`;
+      description = `Penalty: order ${event.order_id} auto-reversed (claim expired without label download)`;
+      details.event_id = event.event_id;
+    } else if (type === 'rto_quality') {
+      sourceKey = `rto_quality:${event.account_code}:${event.order_id}:${event.warehouse_id}`;
+      description = `Penalty: order ${event.order_id} returned to origin (${keyword})`;
+      details.ndr_reasons = event.ndr_reasons;
+      details.matched_keyword = keyword;
+    } else {
+      const thresholdDays = rule.threshold_days ?? event.criticality_days;
+      const daysLate = event.days_to_handover - thresholdDays;
+      if (daysLate <= 0) return null;
+
+      amount *= daysLate;
+      sourceKey = `late_handover:${event.account_code}:${event.order_unique_id}`;
+      description = `Penalty: order ${event.order_id} handed over ${daysLate} day(s) late`;
+      Object.assign(details, { days_to_handover: event.days_to_handover, threshold_days: thresholdDays, days_late: daysLate });
+    }
+
+    if (rule.max_amount !== null && rule.max_amount !== undefined) {
+      amount = Math.min(amount, parseFloat(rule.max_amount));
+    }
+
+    return {
+      rule_id: rule.id,
+      penalty_type: type,
+      vendor_id: event.vendor_id,
+      warehouse_id: event.warehouse_id,
+      order_unique_id: event.order_unique_id || null,
+      order_id: event.order_id,
+      account_code: event.account_code,
+      source_key: sourceKey,
+      event_at: new Date(event.event_at),
+      amount: roundAmount(amount),
+      description,
+      details
+    };
+  }
+
+  /**
+   * Insert a penalty and its ledger debit. A penalty whose source_key already exists is skipped.
+   * @param {Object} penalty - From buildPenalty
+   * @returns {Promise<Object|null>} Created penalty ({ id, ledger_entry_id }), or null when skipped
+   */
+  async applyPenalty(penalty) {
+    return withTransaction(async (connection) => {
+      const [result] = await connection.execute(
+        `INSERT IGNORE INTO vendor_penalties
+           (rule_id, penalty_type, vendor_id, warehouse_id, order_unique_id, order_id, account_code, source_key,
+            event_at, amount, description, details)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [penalty.rule_id, penalty.penalty_type, penalty.vendor_id, penalty.warehouse_id, penalty.order_unique_id,
+          penalty.order_id, penalty.account_code, penalty.source_key, penalty.event_at, penalty.amount,
+          penalty.description, JSON.stringify(penalty.details)]
+      );
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      const created = { ...penalty, id: result.insertId };
+      const entry = await vendorLedgerService.recordPenaltyEntry(created, 'penalty', penalty.description, connection);
+      await connection.execute('UPDATE vendor_penalties SET ledger_entry_id = ? WHERE id = ?', [entry.id, created.id]);
+
+      return { id: created.id, ledger_entry_id: entry.id };
+    });
+  }
+
+  /**
+   * Penalise the events of every active rule (hourly job)
+   * @returns {Promise<Object>} { checked, created: { [type]: count }, amount }
+   */
+  async evaluatePenalties() {
+    const rules = await database.getVendorPenaltyRules({ active_only: true });
+    const lookbackStart = new Date(Date.now() - LOOKBACK_DAYS * DAY_MS);
+    const defaultCriticalityDays = autoReversalService.getDefaultPolicy().criticality_days;
+
+    const summary = { checked: 0, created: {}, amount: 0 };
+
+    for (const type of PENALTY_TYPES) {
+      const typeRules = rules.filter(rule => rule.rule_type === type);
+      summary.created[type] = 0;
+      if (typeRules.length === 0) continue;
+
+      const earliestRule = Math.min(...typeRules.map(rule => new Date(rule.effective_from).getTime()));
+      const since = new Date(Math.max(lookbackStart.getTime(), earliestRule));
+
+      let events;
+      if (type === 'auto_reversal') {
+        events = await database.getAutoReversalPenaltyEvents(since);
+      } else if (type === 'rto_quality') {
+        events = await database.getRTOPenaltyShipments(since);
+      } else {
+        const fixedThresholds = typeRules.filter(rule => rule.threshold_days !== null).map(rule => rule.threshold_days);
+        const minThresholdDays = fixedThresholds.length > 0 ? Math.min(...fixedThresholds) : defaultCriticalityDays;
+        events = await database.getLateHandoverPenaltyLines(since, defaultCriticalityDays, minThresholdDays);
+      }
+      summary.checked += events.length;
+
+      for (const event of events) {
+        const match = this.selectRule(typeRules, event);
+        const penalty = match ? this.buildPenalty(type, event, match) : null;
+        if (!penalty || penalty.amount <= 0) continue;
+
+        if (await this.applyPenalty(penalty)) {
+          summary.created[type]++;
+          summary.amount = roundAmount(summary.amount + penalty.amount);
+          console.log(`⚖️ [Penalties] ${penalty.description} - ₹${penalty.amount} to vendor ${penalty.warehouse_id}`);
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Lock a penalty row inside a transaction
+   */
+  async lockPenalty(connection, penaltyId) {
+    const [rows] = await connection.execute('SELECT * FROM vendor_penalties WHERE id = ? FOR UPDATE', [penaltyId]);
+    if (rows.length === 0) {
+      throw httpError(404, 'Penalty not found');
+    }
+    return rows[0];
+  }
+
+  /**
+   * Vendor disputes one of their penalties (once)
+   * @param {number} penaltyId
+   * @param {Object} vendor - req.vendor (the vendor account the penalty is charged to)
+   * @param {string} reason
+   * @param {Object} user - req.user (the vendor or the team member raising the dispute)
+   * @returns {Promise<Object>} Updated penalty
+   */
+  async disputePenalty(penaltyId, vendor, reason, user = vendor) {
+    await withTransaction(async (connection) => {
+      const penalty = await this.lockPenalty(connection, penaltyId);
+      if (penalty.vendor_id !== vendor.id) {
+        throw httpError(404, 'Penalty not found');
+      }
+      if (penalty.status !== 'applied') {
+        throw httpError(400, `Penalty is already ${penalty.status}`);
+      }
+      if (penalty.disputed_at) {
+        throw httpError(400, 'Penalty has already been disputed once');
+      }
+
+      await connection.execute(
+        `UPDATE vendor_penalties SET status = 'disputed', dispute_reason = ?, disputed_at = NOW() WHERE id = ?`,
+        [reason, penaltyId]
+      );
+    });
+
+    console.log(`⚖️ [Penalties] Penalty ${penaltyId} disputed by ${user.email} for vendor ${vendor.warehouseId}`);
+    return database.getVendorPenaltyById(penaltyId);
+  }
+
+  /**
+   * Admin waives a penalty (applied or disputed): the vendor is credited the penalty amount back
+   * @param {number} penaltyId
+   * @param {string|null} notes
+   * @param {Object} admin - req.user
+   * @returns {Promise<Object>} Updated penalty
+   */
+  async waivePenalty(penaltyId, notes, admin) {
+    await withTransaction(async (connection) => {
+      const penalty = await this.lockPenalty(connection, penaltyId);
+      if (penalty.status === 'waived') {
+        throw httpError(400, 'Penalty is already waived');
+      }
+
+      const description = `Penalty waived: ${penalty.description}` + (notes ? `. ${notes}` : '');
+      const entry = await vendorLedgerService.recordPenaltyEntry(penalty, 'penalty_waiver', description, connection);
+
+      await connection.execute(
+        `UPDATE vendor_penalties
+         SET status = 'waived', waiver_entry_id = ?, resolution_notes = ?, resolved_by = ?, resolved_at = NOW()
+         WHERE id = ?`,
+        [entry.id, notes || null, admin.id, penaltyId]
+      );
+    });
+
+    console.log(`⚖️ [Penalties] Penalty ${penaltyId} waived by ${admin.email}`);
+    return database.getVendorPenaltyById(penaltyId);
+  }
+
+  /**
+   * Admin rejects a vendor's dispute: the penalty stays applied
+   * @param {number} penaltyId
+   * @param {string} notes - Why the dispute was rejected (shown to the vendor)
+   * @param {Object} admin - req.user
+   * @returns {Promise<Object>} Updated penalty
+   */
+  async rejectDispute(penaltyId, notes, admin) {
+    await withTransaction(async (connection) => {
+      const penalty = await this.lockPenalty(connection, penaltyId);
+      if (penalty.status !== 'disputed') {
+        throw httpError(400, 'Only disputed penalties can have their dispute rejected');
+      }
+
+      await connection.execute(
+        `UPDATE vendor_penalties
+         SET status = 'applied', resolution_notes = ?, resolved_by = ?, resolved_at = NOW()
+         WHERE id = ?`,
+        [notes, admin.id, penaltyId]
+      );
+    });
+
+    console.log(`⚖️ [Penalties] Dispute of penalty ${penaltyId} rejected by ${admin.email}`);
+    return database.getVendorPenaltyById(penaltyId);
+  }
+
+  /**
+   * Count and amount of penalties per status
+   * @param {Array} penalties
+   * @returns {Object} { applied: { count, amount }, disputed: {...}, waived: {...} }
+   */
+  summarize(penalties) {
+    const summary = {};
+    ['applied', 'disputed', 'waived'].forEach(status => {
+      const matching = penalties.filter(penalty => penalty.status === status);
+      summary[status] = {
+        count: matching.length,
+        amount: roundAmount(matching.reduce((sum, penalty) => sum + parseFloat(penalty.amount), 0))
+      };
+    });
+    return summary;
+  }
+}
+
+module.exports = new VendorPenaltyService();
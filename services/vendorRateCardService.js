@@ -0,0 +1,227 @@
+/**
+ * Vendor Rate Card Service
+ * Prices a vendor's handed-over order lines from their rate cards (vendor_rate_cards). The most
+ * specific card in effect on the handover date wins: SKU + size, then SKU, then product category,
+ * then vendor-wide; a store-specific card beats an all-store card at the same level. Lines no card
+ * covers are priced at their selling value, as before rate cards existed.
+ */
+
+const database = require('../config/database');
+
+const PRICING_TYPES = ['fixed', 'percentage', 'cost_plus'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundAmount = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+const normalize = (value) => String(value ?? '').trim().toUpperCase();
+
+/**
+ * Calendar date (YYYY-MM-DD) in IST
+ */
+const toISTDate = (value) => new Date(value).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+
+/**
+ * Non-negative number from a request value, null when blank, NaN when invalid
+ */
+function toAmount(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= 0 ? amount : NaN;
+}
+
+/**
+ * Trimmed string or null
+ */
+const toText = (value) => (value === null || value === undefined || String(value).trim() === '' ? null : String(value).trim());
+
+/**
+ * SKU + size 4, SKU 3, category 2, vendor-wide 1
+ */
+function specificity(card) {
+  if (card.sku_id && card.size) return 4;
+  if (card.sku_id) return 3;
+  if (card.product_category) return 2;
+  return 1;
+}
+
+class VendorRateCardService {
+  constructor() {
+    this.PRICING_TYPES = PRICING_TYPES;
+  }
+
+  /**
+   * Validate a rate card from a request body, filling omitted fields from the current card
+   * @param {Object} body - Request body
+   * @param {Object} current - Card being updated ({} when creating)
+   * @returns {{ error: string|null, card: Object }}
+   */
+  validateRateCard(body, current = {}) {
+    const value = (field) => (body[field] !== undefined ? body[field] : current[field]);
+    const dateValue = (field) => {
+      const date = value(field);
+      return date instanceof Date ? toISTDate(date) : toText(date);
+    };
+
+    const card = {
+      vendor_id: toText(value('vendor_id')),
+      account_code: toText(value('account_code')),
+      product_category: toText(value('product_category')),
+      sku_id: toText(value('sku_id')),
+      size: toText(value('size')),
+      pricing_type: value('pricing_type'),
+      fixed_price: toAmount(value('fixed_price')),
+      percentage: toAmount(value('percentage')),
+      unit_cost: toAmount(value('unit_cost')),
+      markup_percent: toAmount(value('markup_percent')),
+      markup_amount: toAmount(value('markup_amount')),
+      effective_from: dateValue('effective_from'),
+      effective_to: dateValue('effective_to'),
+      notes: toText(value('notes'))
+    };
+
+    if (!card.vendor_id) {
+      return { error: 'vendor_id is required', card };
+    }
+    if (!PRICING_TYPES.includes(card.pricing_type)) {
+      return { error: `pricing_type must be one of: ${PRICING_TYPES.join(', ')}`, card };
+    }
+    const amounts = ['fixed_price', 'percentage', 'unit_cost', 'markup_percent', 'markup_amount'];
+    const invalidAmount = amounts.find(field => Number.isNaN(card[field]));
+    if (invalidAmount) {
+      return { error: `${invalidAmount} must be a non-negative number`, card };
+    }
+
+    // Only the fields of the pricing type are kept
+    if (card.pricing_type === 'fixed') {
+      if (card.fixed_price === null) return { error: 'fixed_price is required for fixed pricing', card };
+      Object.assign(card, { percentage: null, unit_cost: null, markup_percent: null, markup_amount: null });
+    } else if (card.pricing_type === 'percentage') {
+      if (card.percentage === null || card.percentage > 100) {
+        return { error: 'percentage (0-100) is required for percentage pricing', card };
+      }
+      Object.assign(card, { fixed_price: null, unit_cost: null, markup_percent: null, markup_amount: null });
+    } else {
+      if (card.unit_cost === null) return { error: 'unit_cost is required for cost_plus pricing', card };
+      if (card.markup_percent === null && card.markup_amount === null) {
+        return { error: 'markup_percent or markup_amount is required for cost_plus pricing', card };
+      }
+      Object.assign(card, { fixed_price: null, percentage: null });
+    }
+
+    if (card.size && !card.sku_id) {
+      return { error: 'size can only be set together with sku_id', card };
+    }
+    if (!card.effective_from || !DATE_PATTERN.test(card.effective_from) || isNaN(Date.parse(card.effective_from))) {
+      return { error: 'effective_from must be a date (YYYY-MM-DD)', card };
+    }
+    if (card.effective_to && (!DATE_PATTERN.test(card.effective_to) || isNaN(Date.parse(card.effective_to)))) {
+      return { error: 'effective_to must be a date (YYYY-MM-DD)', card };
+    }
+    if (card.effective_to && card.effective_to < card.effective_from) {
+      return { error: 'effective_to cannot be before effective_from', card };
+    }
+
+    return { error: null, card };
+  }
+
+  /**
+   * The card that prices a line on a date, or null
+   * @param {Array} cards - The vendor's rate cards
+   * @param {Object} line - { account_code, sku_id, size, product_category }
+   * @param {string} date - YYYY-MM-DD
+   */
+  selectRateCard(cards, line, date) {
+    const matches = cards.filter(card => {
+      const from = toISTDate(card.effective_from);
+      const to = card.effective_to ? toISTDate(card.effective_to) : null;
+      return from <= date && (!to || to >= date) &&
+        (!card.account_code || card.account_code === line.account_code) &&
+        (!card.sku_id || normalize(card.sku_id) === normalize(line.sku_id)) &&
+        (!card.size || normalize(card.size) === normalize(line.size)) &&
+        (!card.product_category || normalize(card.product_category) === normalize(line.product_category));
+    });
+
+    matches.sort((a, b) =>
+      specificity(b) - specificity(a) ||
+      (b.account_code ? 1 : 0) - (a.account_code ? 1 : 0) ||
+      new Date(b.effective_from) - new Date(a.effective_from) ||
+      b.id - a.id
+    );
+
+    return matches[0] || null;
+  }
+
+  /**
+   * What the vendor earns for a line under a card
+   * @param {Object} line - { quantity, line_amount }
+   * @param {Object} card - Rate card
+   */
+  priceLine(line, card) {
+    const quantity = parseInt(line.quantity) || 1;
+    const num = (value) => parseFloat(value) || 0;
+
+    if (card.pricing_type === 'fixed') {
+      return roundAmount(num(card.fixed_price) * quantity);
+    }
+    if (card.pricing_type === 'percentage') {
+      return roundAmount(num(line.line_amount) * num(card.percentage) / 100);
+    }
+    return roundAmount((num(card.unit_cost) * (1 + num(card.markup_percent) / 100) + num(card.markup_amount)) * quantity);
+  }
+
+  /**
+   * Price a vendor's order lines on their handover date (today when not handed over yet)
+   * @param {string} vendorId - users.id
+   * @param {Array} lines - Rows from database.getVendorClaimLines
+   * @returns {Promise<Array>} Lines with amount and rate_card_id (null = priced at selling value)
+   */
+  async priceLines(vendorId, lines) {
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const cards = await database.getVendorRateCards({ vendor_id: vendorId });
+
+    return lines.map(line => {
+      const date = toISTDate(line.handover_at || new Date());
+      const card = cards.length > 0 ? this.selectRateCard(cards, line, date) : null;
+      return {
+        ...line,
+        amount: card ? this.priceLine(line, card) : roundAmount(line.line_amount),
+        rate_card_id: card ? card.id : null
+      };
+    });
+  }
+
+  /**
+   * Vendor payout for handed-over lines in an analytics period: ledger credit where the line is
+   * already credited, otherwise the rate card price it will be credited at
+   * @param {Object} vendor - Vendor user row (id, warehouseId)
+   * @param {Object} filters - { dateFrom?, dateTo?, store? }
+   * @returns {Promise<Object>}
+   */
+  async getVendorEarnings(vendor, filters = {}) {
+    const lines = await database.getVendorClaimLines(vendor.warehouseId, filters);
+    const pendingLines = await this.priceLines(vendor.id, lines.filter(line => line.credited_amount === null));
+
+    const credited = lines.filter(line => line.credited_amount !== null);
+    const creditedAmount = roundAmount(credited.reduce((sum, line) => sum + parseFloat(line.credited_amount), 0));
+    const pendingAmount = roundAmount(pendingLines.reduce((sum, line) => sum + line.amount, 0));
+    const byRateCard = credited.filter(line => line.credited_rate_card_id !== null).length +
+      pendingLines.filter(line => line.rate_card_id !== null).length;
+
+    return {
+      handed_over_lines: lines.length,
+      total_payout: roundAmount(creditedAmount + pendingAmount),
+      credited_amount: creditedAmount,
+      pending_credit_amount: pendingAmount,
+      selling_value: roundAmount(lines.reduce((sum, line) => sum + parseFloat(line.line_amount || 0), 0)),
+      lines_priced_by_rate_card: byRateCard,
+      lines_priced_at_selling_value: lines.length - byRateCard,
+      avg_payout_per_line: lines.length > 0 ? roundAmount((creditedAmount + pendingAmount) / lines.length) : 0
+    };
+  }
+}
+
+module.exports = new VendorRateCardService();
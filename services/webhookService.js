@@ -379,6 +379,228 @@ class WebhookService {
             return { success: false, message: `Cancel webhook preparation failed: ${error.message}`, sent: 0 };
         }
     }
+
+    /**
+     * Send NDR webhook so the customer can be contacted (e.g. WhatsApp/SMS asking to reschedule or confirm address)
+     * @param {Array} ndrCases - ndr_cases rows ({ order_id, account_code, awb, ndr_reason, attempts, last_action, last_action_details })
+     * @param {string} event - 'ndr_raised' (new failed attempt) or 'ndr_action' (action pushed to the courier)
+     * @returns {Promise<Object>} Webhook send result
+     */
+    async sendNdrWebhook(ndrCases, event = 'ndr_raised') {
+        if (!ndrCases || ndrCases.length === 0) {
+            console.log('📤 [NdrWebhook] No NDR cases to send');
+            return { success: true, message: 'No NDR cases to send', sent: 0 };
+        }
+
+        try {
+            const ndrUrl = await database.getUtilityValue('NdrWebhookUrl');
+
+            if (!ndrUrl) {
+                console.log('⚠️ [NdrWebhook] NdrWebhookUrl not configured in utility table, skipping NDR webhook');
+                return { success: false, message: 'NDR webhook URL not configured', sent: 0 };
+            }
+
+            console.log(`📤 [NdrWebhook] Sending ${ndrCases.length} NDR cases (${event}) to ${ndrUrl}`);
+
+            const orderAccountPairs = ndrCases.map(c => ({
+                order_id: c.order_id,
+                account_code: c.account_code
+            }));
+
+            // Bulk fetch customer info
+            const [customerData] = await database.mysqlConnection.execute(`
+        SELECT order_id, account_code, store_code, shipping_phone, shipping_firstname, shipping_lastname,
+               shipping_address, shipping_city, shipping_zipcode
+        FROM customer_info
+        WHERE (order_id, account_code) IN (${orderAccountPairs.map(() => '(?, ?)').join(', ')})
+      `, orderAccountPairs.flatMap(p => [p.order_id, p.account_code]));
+
+            // Bulk fetch brand_name
+            const brandPairsSet = new Set();
+            const brandPairs = [];
+            customerData.forEach(c => {
+                const storeCode = c.store_code || '1';
+                const pairKey = `${c.account_code}|${storeCode}`;
+                if (!brandPairsSet.has(pairKey)) {
+                    brandPairsSet.add(pairKey);
+                    brandPairs.push({ account_code: c.account_code, store_code: storeCode });
+                }
+            });
+
+            let brandMap = new Map();
+            if (brandPairs.length > 0) {
+                const [brandData] = await database.mysqlConnection.execute(`
+          SELECT account_code, store_code, brand_name
+          FROM store_shopify_connections
+          WHERE (account_code, store_code) IN (${brandPairs.map(() => '(?, ?)').join(', ')})
+        `, brandPairs.flatMap(p => [p.account_code, p.store_code]));
+                brandData.forEach(b => brandMap.set(`${b.account_code}|${b.store_code}`, b.brand_name));
+            }
+
+            const customerMap = new Map();
+            customerData.forEach(c => customerMap.set(`${c.order_id}|${c.account_code}`, c));
+
+            // Build payload
+            const orders = ndrCases.map(ndrCase => {
+                const customer = customerMap.get(`${ndrCase.order_id}|${ndrCase.account_code}`);
+                const storeCode = customer?.store_code || '1';
+                const brandName = brandMap.get(`${ndrCase.account_code}|${storeCode}`) || null;
+
+                return {
+                    ndr_case_id: ndrCase.id,
+                    order_id: ndrCase.order_id,
+                    account_code: ndrCase.account_code,
+                    brand_name: brandName,
+                    awb: ndrCase.awb,
+                    ndr_reason: ndrCase.ndr_reason,
+                    attempts: ndrCase.attempts,
+                    action: event === 'ndr_action' ? ndrCase.last_action : null,
+                    action_details: event === 'ndr_action' ? ndrCase.last_action_details : null,
+                    shipping_phone: customer?.shipping_phone || null,
+                    shipping_firstname: customer?.shipping_firstname || null,
+                    shipping_lastname: customer?.shipping_lastname || null,
+                    shipping_address: customer?.shipping_address || null,
+                    shipping_city: customer?.shipping_city || null,
+                    shipping_zipcode: customer?.shipping_zipcode || null
+                };
+            });
+
+            const payload = {
+                timestamp: new Date().toISOString(),
+                event,
+                orders
+            };
+
+            // Retry logic
+            let maxRetries = 3;
+            try {
+                const retryCount = await database.getUtilityValue('WebhookRetryCount');
+                if (retryCount && !isNaN(parseInt(retryCount))) maxRetries = parseInt(retryCount);
+            } catch (e) { /* use default */ }
+
+            let lastError = null;
+            for (let attempt = 1; attempt <= maxRetries; attempt++) {
+                try {
+                    console.log(`📤 [NdrWebhook] Attempt ${attempt}/${maxRetries}...`);
+                    const response = await axios.post(ndrUrl, payload, {
+                        timeout: 30000,
+                        headers: { 'Content-Type': 'application/json', 'User-Agent': 'Claimio-Webhook/1.0' }
+                    });
+                    console.log(`✅ [NdrWebhook] Successfully sent on attempt ${attempt}, status: ${response.status}`);
+                    return { success: true, message: `NDR webhook sent on attempt ${attempt}`, sent: orders.length, attempts: attempt };
+                } catch (attemptError) {
+                    lastError = attemptError;
+                    console.error(`❌ [NdrWebhook] Attempt ${attempt}/${maxRetries} failed:`, attemptError.message);
+                    if (attempt < maxRetries) {
+                        const delayMs = Math.pow(2, attempt - 1) * 1000;
+                        await new Promise(resolve => setTimeout(resolve, delayMs));
+                    }
+                }
+            }
+
+            console.error(`❌ [NdrWebhook] All ${maxRetries} attempts failed.`);
+            return { success: false, message: `NDR webhook failed after ${maxRetries} attempts: ${lastError?.message}`, sent: 0 };
+
+        } catch (error) {
+            console.error('❌ [NdrWebhook] Failed to prepare NDR webhook data:', error.message);
+            return { success: false, message: `NDR webhook preparation failed: ${error.message}`, sent: 0 };
+        }
+    }
+
+    /**
+     * Send claim expiry warnings to vendors, grouped by vendor with the vendor's contact details
+     * @param {Array} claims - Array of {order_id, account_code, claimed_by, claimed_at, expires_at, hours_left}
+     * @returns {Promise<Object>} Webhook send result (skipped: true when the URL is not configured)
+     */
+    async sendExpiryWarningWebhook(claims) {
+        if (!claims || claims.length === 0) {
+            console.log('📤 [ExpiryWebhook] No expiring claims to send');
+            return { success: true, message: 'No claims to send', sent: 0 };
+        }
+
+        try {
+            const expiryUrl = await database.getUtilityValue('ClaimExpiryWebhookUrl');
+
+            if (!expiryUrl) {
+                console.log('⚠️ [ExpiryWebhook] ClaimExpiryWebhookUrl not configured in utility table, skipping expiry warning webhook');
+                return { success: false, skipped: true, message: 'Claim expiry webhook URL not configured', sent: 0 };
+            }
+
+            const warehouseIds = [...new Set(claims.map(claim => claim.claimed_by))];
+            console.log(`📤 [ExpiryWebhook] Sending ${claims.length} expiring claims of ${warehouseIds.length} vendors to ${expiryUrl}`);
+
+            // Bulk fetch vendor (owner) contact details
+            const [vendorData] = await database.mysqlConnection.execute(`
+        SELECT warehouseId, name, email, phone, contactNumber
+        FROM users
+        WHERE role = 'vendor' AND vendor_owner_id IS NULL
+          AND warehouseId IN (${warehouseIds.map(() => '?').join(', ')})
+      `, warehouseIds);
+
+            const vendorMap = new Map();
+            vendorData.forEach(v => vendorMap.set(v.warehouseId, v));
+
+            // Build payload
+            const vendors = warehouseIds.map(warehouseId => {
+                const vendor = vendorMap.get(warehouseId);
+                return {
+                    warehouse_id: warehouseId,
+                    vendor_name: vendor?.name || null,
+                    vendor_email: vendor?.email || null,
+                    vendor_phone: vendor?.phone || vendor?.contactNumber || null,
+                    claims: claims
+                        .filter(claim => claim.claimed_by === warehouseId)
+                        .map(claim => ({
+                            order_id: claim.order_id,
+                            account_code: claim.account_code,
+                            claimed_at: claim.claimed_at,
+                            expires_at: claim.expires_at,
+                            hours_left: claim.hours_left
+                        }))
+                };
+            });
+
+            const payload = {
+                timestamp: new Date().toISOString(),
+                event: 'claim_expiry_warning',
+                vendors
+            };
+
+            // Retry logic
+            let maxRetries = 3;
+            try {
+                const retryCount = await database.getUtilityValue('WebhookRetryCount');
+                if (retryCount && !isNaN(parseInt(retryCount))) maxRetries = parseInt(retryCount);
+            } catch (e) { /* use default */ }
+
+            let lastError = null;
+            for (let attempt = 1; attempt <= maxRetries; attempt++) {
+                try {
+                    console.log(`📤 [ExpiryWebhook] Attempt ${attempt}/${maxRetries}...`);
+                    const response = await axios.post(expiryUrl, payload, {
+                        timeout: 30000,
+                        headers: { 'Content-Type': 'application/json', 'User-Agent': 'Claimio-Webhook/1.0' }
+                    });
+                    console.log(`✅ [ExpiryWebhook] Successfully sent on attempt ${attempt}, status: ${response.status}`);
+                    return { success: true, message: `Expiry warning webhook sent on attempt ${attempt}`, sent: claims.length, attempts: attempt };
+                } catch (attemptError) {
+                    lastError = attemptError;
+                    console.error(`❌ [ExpiryWebhook] Attempt ${attempt}/${maxRetries} failed:`, attemptError.message);
+                    if (attempt < maxRetries) {
+                        const delayMs = Math.pow(2, attempt - 1) * 1000;
+                        await new Promise(resolve => setTimeout(resolve, delayMs));
+                    }
+                }
+            }
+
+            console.error(`❌ [ExpiryWebhook] All ${maxRetries} attempts failed.`);
+            return { success: false, message: `Expiry warning webhook failed after ${maxRetries} attempts: ${lastError?.message}`, sent: 0 };
+
+        } catch (error) {
+            console.error('❌ [ExpiryWebhook] Failed to prepare expiry warning webhook data:', error.message);
+            return { success: false, message: `Expiry warning webhook preparation failed: ${error.message}`, sent: 0 };
+        }
+    }
 }
 
 module.exports = new WebhookService();
@@ -0,0 +1,112 @@
+const database = require('../config/database');
+const shippingPartners = require('../services/shippingPartners');
+const autoManifestService = require('../services/autoManifestService');
+const { createFakePool } = require('./helpers/fakeMysql');
+
+const { FakeShippingAdapter } = shippingPartners;
+
+/**
+ * claims / order_events tables of a fake database with the statements setOrderReadyForHandover runs
+ */
+function createHandoverDb(claims, { failEvents = false } = {}) {
+  const state = { claims: claims.map(claim => ({ ...claim })), events: [] };
+  const pending = new Map();
+
+  const rowsOf = (orderId, accountCode) => state.claims.filter(claim =>
+    claim.order_id === orderId && claim.account_code === accountCode && claim.status !== 'ready_for_handover');
+
+  const pool = createFakePool([
+    [/^SELECT order_unique_id, status, claimed_by FROM claims/, ([orderId, accountCode]) => {
+      return [rowsOf(orderId, accountCode).map(({ order_unique_id, status, claimed_by }) => ({ order_unique_id, status, claimed_by }))];
+    }],
+    [/^UPDATE claims SET status = 'ready_for_handover'/, ([orderId, accountCode]) => {
+      const rows = rowsOf(orderId, accountCode);
+      rows.forEach(claim => pending.set(claim, 'ready_for_handover'));
+      return [{ affectedRows: rows.length }];
+    }],
+    [/^INSERT INTO order_events/, ([rows]) => {
+      if (failEvents) throw new Error('order_events is not writable');
+      state.events.push(...rows);
+      return [{ affectedRows: rows.length }];
+    }]
+  ]);
+
+  // Claim updates only become visible when the transaction commits
+  const getConnection = pool.getConnection;
+  pool.getConnection = async () => {
+    const connection = await getConnection();
+    const commit = connection.commit;
+    connection.commit = async () => {
+      pending.forEach((status, claim) => { claim.status = status; });
+      pending.clear();
+      return commit();
+    };
+    const rollback = connection.rollback;
+    connection.rollback = async () => {
+      pending.clear();
+      return rollback();
+    };
+    return connection;
+  };
+
+  return { pool, state };
+}
+
+describe('auto-manifest handover', () => {
+  const original = { pool: database.mysqlPool, connection: database.mysqlConnection };
+  const order = { order_id: 'O1', account_code: 'STORE1' };
+  let db;
+
+  const useDb = (claims, options) => {
+    db = createHandoverDb(claims, options);
+    database.mysqlPool = db.pool;
+    database.mysqlConnection = db.pool;
+  };
+
+  beforeEach(() => {
+    FakeShippingAdapter.reset();
+    shippingPartners.clearCache();
+    jest.spyOn(database, 'waitForMySQLInitialization').mockResolvedValue(true);
+    jest.spyOn(database, 'getStoreByAccountCode').mockResolvedValue({ account_code: 'STORE1', shipping_partner: 'Fake', status: 'active' });
+    jest.spyOn(database, 'upsertLabel').mockResolvedValue({});
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    database.mysqlPool = original.pool;
+    database.mysqlConnection = original.connection;
+    jest.restoreAllMocks();
+  });
+
+  test('moves the store\'s claim rows to ready_for_handover and records an event per row', async () => {
+    useDb([
+      { order_unique_id: 'U1', order_id: 'O1', account_code: 'STORE1', status: 'claimed', claimed_by: 'WH1' },
+      { order_unique_id: 'U2', order_id: 'O1', account_code: 'STORE1', status: 'claimed', claimed_by: 'WH2' },
+      { order_unique_id: 'U9', order_id: 'O1', account_code: 'STORE2', status: 'claimed', claimed_by: 'WH1' }
+    ]);
+
+    const result = await autoManifestService.processSingleOrderManifest(order);
+
+    expect(result).toMatchObject({ success: true, orderId: 'O1' });
+    const manifestId = FakeShippingAdapter.getState().manifests[0].manifest_id;
+    expect(database.upsertLabel).toHaveBeenCalledWith({ order_id: 'O1', account_code: 'STORE1', is_manifest: 1, manifest_id: manifestId });
+    expect(db.state.claims.map(claim => claim.status)).toEqual(['ready_for_handover', 'ready_for_handover', 'claimed']);
+
+    expect(db.state.events).toHaveLength(2);
+    expect(db.state.events[0]).toEqual([
+      'U1', 'O1', 'STORE1', 'ready_for_handover', 'claimed', 'ready_for_handover', 'WH1',
+      'system', null, 'auto-manifest', 'auto-manifest', JSON.stringify({ manifest_id: manifestId })
+    ]);
+    expect(db.state.events[1]).toEqual(expect.arrayContaining(['U2', 'WH2']));
+  });
+
+  test('keeps the claim rows unchanged when the events cannot be recorded', async () => {
+    useDb([{ order_unique_id: 'U1', order_id: 'O1', account_code: 'STORE1', status: 'claimed', claimed_by: 'WH1' }], { failEvents: true });
+
+    const result = await autoManifestService.processSingleOrderManifest(order);
+
+    expect(result).toMatchObject({ success: false, message: 'Failed to set order ready for handover' });
+    expect(db.state.claims[0].status).toBe('claimed');
+  });
+});
@@ -0,0 +1,56 @@
+const database = require('../config/database');
+const autoReversalService = require('../services/autoReversalService');
+const orderEventService = require('../services/orderEventService');
+const webhookService = require('../services/webhookService');
+
+describe('autoReversalService.sendExpiryWarnings', () => {
+  const claims = [
+    { order_unique_id: 'U1', order_id: 'O1', account_code: 'STORE1', claimed_by: 'WH1', state: 'warning', expiry_warned: 0, hours_left: 2 },
+    { order_unique_id: 'U2', order_id: 'O2', account_code: 'STORE1', claimed_by: 'WH1', state: 'warning', expiry_warned: 1, hours_left: 1 },
+    { order_unique_id: 'U3', order_id: 'O3', account_code: 'STORE1', claimed_by: 'WH2', state: 'active', expiry_warned: 0, hours_left: 20 }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(autoReversalService, 'evaluateOpenClaims').mockResolvedValue(claims);
+    jest.spyOn(database, 'markClaimsExpiryWarned').mockResolvedValue(1);
+    jest.spyOn(orderEventService, 'recordMany').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('marks claims as warned only after the webhook delivered them', async () => {
+    jest.spyOn(webhookService, 'sendExpiryWarningWebhook').mockResolvedValue({ success: true, sent: 1 });
+
+    const result = await autoReversalService.sendExpiryWarnings();
+
+    expect(result).toMatchObject({ success: true, data: { warned: 1, vendors: 1 } });
+    expect(webhookService.sendExpiryWarningWebhook).toHaveBeenCalledWith([claims[0]]);
+    expect(database.markClaimsExpiryWarned).toHaveBeenCalledWith(['U1']);
+    expect(orderEventService.recordMany).toHaveBeenCalledTimes(1);
+  });
+
+  test('leaves claims unwarned when delivery fails, so the next run retries them', async () => {
+    jest.spyOn(webhookService, 'sendExpiryWarningWebhook')
+      .mockResolvedValue({ success: false, message: 'Expiry warning webhook failed after 3 attempts: 503', sent: 0 });
+
+    const result = await autoReversalService.sendExpiryWarnings();
+
+    expect(result).toEqual({ success: false, message: 'Expiry warning webhook failed after 3 attempts: 503', data: { warned: 0 } });
+    expect(database.markClaimsExpiryWarned).not.toHaveBeenCalled();
+    expect(orderEventService.recordMany).not.toHaveBeenCalled();
+  });
+
+  test('leaves claims unwarned without failing the run when no webhook is configured', async () => {
+    jest.spyOn(webhookService, 'sendExpiryWarningWebhook')
+      .mockResolvedValue({ success: false, skipped: true, message: 'Claim expiry webhook URL not configured', sent: 0 });
+
+    const result = await autoReversalService.sendExpiryWarnings();
+
+    expect(result).toMatchObject({ success: true, data: { warned: 0, undelivered: 1 } });
+    expect(database.markClaimsExpiryWarned).not.toHaveBeenCalled();
+  });
+});
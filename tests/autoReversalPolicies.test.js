@@ -0,0 +1,66 @@
+const database = require('../config/database');
+const autoReversalService = require('../services/autoReversalService');
+const orderEventService = require('../services/orderEventService');
+
+describe('auto-reversal store policies', () => {
+  // Monday 2026-10-19 06:00 IST
+  const now = Date.parse('2026-10-19T00:30:00Z');
+  const hours = (value) => value * 60;
+  const claims = [
+    { order_unique_id: 'U1', order_id: 'O1', account_code: 'STORE1', claimed_by: 'WH1', minutes_claimed: hours(48) },
+    { order_unique_id: 'U2', order_id: 'O2', account_code: 'STORE2', claimed_by: 'WH1', minutes_claimed: hours(48) },
+    { order_unique_id: 'U3', order_id: 'O3', account_code: 'STORE1', claimed_by: 'WH2', minutes_claimed: hours(21) },
+    { order_unique_id: 'U4', order_id: 'O4', account_code: 'STORE3', claimed_by: 'WH9', minutes_claimed: hours(100) }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    jest.spyOn(database, 'waitForMySQLInitialization').mockResolvedValue(true);
+    jest.spyOn(database, 'isMySQLAvailable').mockReturnValue(true);
+    jest.spyOn(database, 'getOpenClaimsForExpiry').mockResolvedValue(claims);
+    jest.spyOn(database, 'getAutoReversalPolicies').mockResolvedValue([
+      { account_code: 'STORE2', claim_expiry_hours: 24, exclude_weekends: true, holidays: [], exempt_vendors: [] },
+      { account_code: 'STORE3', claim_expiry_hours: 24, holidays: [], exempt_vendors: ['WH9'] }
+    ]);
+    jest.spyOn(orderEventService, 'recordMany').mockResolvedValue();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts claim time by the store\'s policy, skipping excluded weekends and exempt vendors', async () => {
+    const evaluated = await autoReversalService.evaluateOpenClaims();
+    const byId = Object.fromEntries(evaluated.map(claim => [claim.order_unique_id, claim]));
+
+    expect(byId.U1).toMatchObject({ state: 'expired', hours_counted: 48, hours_left: 0, expires_at: null });
+    // Claimed Saturday 06:00 IST: only Monday's six hours count
+    expect(byId.U2).toMatchObject({ state: 'active', hours_counted: 6, hours_left: 18 });
+    expect(byId.U2.expires_at).toEqual(new Date('2026-10-19T18:30:00Z'));
+    expect(byId.U3).toMatchObject({ state: 'warning', hours_left: 3 });
+    expect(byId.U4).toMatchObject({ state: 'exempt', hours_left: null });
+  });
+
+  test('reverses only expired claims the database still finds held by the same vendor', async () => {
+    jest.spyOn(database, 'autoReverseClaim').mockResolvedValue(true);
+
+    const result = await autoReversalService.executeAutoReversal();
+
+    expect(database.autoReverseClaim).toHaveBeenCalledTimes(1);
+    expect(database.autoReverseClaim).toHaveBeenCalledWith('U1', 'WH1', hours(48));
+    expect(result.data).toMatchObject({ total_checked: 4, auto_reversed: 1, skipped: 0 });
+    expect(orderEventService.recordMany).toHaveBeenCalledWith([
+      expect.objectContaining({ eventType: orderEventService.EVENT_TYPES.AUTO_REVERSED, to_status: 'unclaimed' })
+    ]);
+  });
+
+  test('leaves a claim that was labelled or re-claimed meanwhile', async () => {
+    jest.spyOn(database, 'autoReverseClaim').mockResolvedValue(false);
+
+    const result = await autoReversalService.executeAutoReversal();
+
+    expect(result.data).toMatchObject({ auto_reversed: 0, skipped: 1 });
+    expect(orderEventService.recordMany).toHaveBeenCalledWith([]);
+  });
+});
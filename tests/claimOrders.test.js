@@ -0,0 +1,72 @@
+const database = require('../config/database');
+const { createClaimsDb } = require('./helpers/claimsDb');
+
+describe('database.claimOrderAtomically', () => {
+  const original = { pool: database.mysqlPool, connection: database.mysqlConnection };
+  const claimedAt = '2026-10-19 06:00:00';
+
+  const useDb = (db) => {
+    database.mysqlPool = db.pool;
+    database.mysqlConnection = db.pool;
+    return db;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    database.mysqlPool = original.pool;
+    database.mysqlConnection = original.connection;
+    jest.restoreAllMocks();
+  });
+
+  test('claims an unclaimed row for the vendor and the claiming user', async () => {
+    const { state } = useDb(createClaimsDb({ orders: [{ unique_id: 'U1', product_code: 'SKU1' }] }));
+
+    const result = await database.claimOrderAtomically('U1', 'WH1', claimedAt, 'user_1');
+
+    expect(result).toEqual({ claimed: true, reason: null, status: 'claimed', claimed_by: 'WH1' });
+    expect(state.claims.get('U1')).toMatchObject({
+      status: 'claimed',
+      claimed_by: 'WH1',
+      claimed_by_user_id: 'user_1',
+      claimed_at: claimedAt,
+      last_claimed_by: 'WH1'
+    });
+  });
+
+  test('reports not_found for an unknown row', async () => {
+    useDb(createClaimsDb());
+
+    const result = await database.claimOrderAtomically('missing', 'WH1', claimedAt);
+
+    expect(result).toMatchObject({ claimed: false, reason: 'not_found' });
+  });
+
+  test('refuses a row another vendor already holds', async () => {
+    const { state } = useDb(createClaimsDb({
+      orders: [{ unique_id: 'U1' }],
+      claims: [{ order_unique_id: 'U1', status: 'claimed', claimed_by: 'WH2' }]
+    }));
+
+    const result = await database.claimOrderAtomically('U1', 'WH1', claimedAt);
+
+    expect(result).toEqual({ claimed: false, reason: 'already_claimed', status: 'claimed', claimed_by: 'WH2' });
+    expect(state.claims.get('U1').claimed_by).toBe('WH2');
+  });
+
+  test('lets exactly one of two concurrent vendors win the same row', async () => {
+    const { state } = useDb(createClaimsDb({ orders: [{ unique_id: 'U1' }] }));
+
+    const results = await Promise.all([
+      database.claimOrderAtomically('U1', 'WH1', claimedAt),
+      database.claimOrderAtomically('U1', 'WH2', claimedAt)
+    ]);
+
+    expect(results.filter(result => result.claimed)).toHaveLength(1);
+    expect(results.filter(result => result.reason === 'already_claimed')).toHaveLength(1);
+    const winner = results.find(result => result.claimed).claimed_by;
+    expect(state.claims.get('U1').claimed_by).toBe(winner);
+  });
+});
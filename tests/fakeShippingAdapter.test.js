@@ -0,0 +1,161 @@
+const database = require('../config/database');
+const shippingPartners = require('../services/shippingPartners');
+const orderTrackingService = require('../services/orderTrackingService');
+const autoManifestService = require('../services/autoManifestService');
+
+// encryptionService warns about a missing ENCRYPTION_KEY when storeController loads it
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const storeController = require('../controllers/storeController');
+
+const { FakeShippingAdapter } = shippingPartners;
+
+/**
+ * Minimal Express response double
+ */
+function createResponse() {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+}
+
+describe('shipping partner registry gating', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+  });
+
+  const loadRegistry = () => {
+    let registry;
+    jest.isolateModules(() => {
+      registry = require('../services/shippingPartners');
+    });
+    return registry;
+  };
+
+  test('registers the Fake partner under NODE_ENV=test', () => {
+    expect(shippingPartners.isSupported('Fake')).toBe(true);
+    expect(shippingPartners.isSupported('Shipway')).toBe(true);
+  });
+
+  test('does not register the Fake partner outside tests unless enabled', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.ENABLE_FAKE_SHIPPING_PARTNER;
+    const registry = loadRegistry();
+
+    expect(registry.isSupported('Fake')).toBe(false);
+    expect(() => registry.createAdapter({ account_code: 'STORE1', shipping_partner: 'Fake' }))
+      .toThrow('Unsupported shipping partner "Fake" for account_code: STORE1');
+  });
+
+  test('registers the Fake partner with ENABLE_FAKE_SHIPPING_PARTNER=true', () => {
+    process.env.NODE_ENV = 'development';
+    process.env.ENABLE_FAKE_SHIPPING_PARTNER = 'true';
+
+    expect(loadRegistry().isSupported('Fake')).toBe(true);
+  });
+});
+
+describe('FakeShippingAdapter through the services', () => {
+  let stores;
+
+  beforeEach(() => {
+    FakeShippingAdapter.reset();
+    shippingPartners.clearCache();
+
+    stores = {
+      STORE1: { account_code: 'STORE1', shipping_partner: 'Fake', status: 'active' },
+      STORE2: { account_code: 'STORE2', shipping_partner: 'Fake', status: 'inactive' }
+    };
+    jest.spyOn(database, 'waitForMySQLInitialization').mockResolvedValue(true);
+    jest.spyOn(database, 'getStoreByAccountCode').mockImplementation(async (accountCode) => stores[accountCode] || null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('selects the adapter from the store and caches it per account_code', async () => {
+    const adapter = await shippingPartners.getAdapter('STORE1');
+
+    expect(adapter).toBeInstanceOf(FakeShippingAdapter);
+    expect(adapter.accountCode).toBe('STORE1');
+    expect(await shippingPartners.getAdapter('STORE1')).toBe(adapter);
+    expect(database.getStoreByAccountCode).toHaveBeenCalledTimes(1);
+  });
+
+  test('returns seeded orders page by page', async () => {
+    FakeShippingAdapter.seedOrders('STORE1', [
+      { order_id: 'O1', order_status: 'O' },
+      { order_id: 'O2', order_status: 'C' }
+    ]);
+    const adapter = await shippingPartners.getAdapter('STORE1');
+
+    expect(await adapter.fetchOrders({ status: 'O', page: 1 })).toEqual({ success: 1, message: [{ order_id: 'O1', order_status: 'O' }] });
+    expect(await adapter.fetchOrders({ orderId: 'O2' })).toMatchObject({ success: 1, message: [{ order_id: 'O2' }] });
+    expect(await adapter.fetchOrders({ status: 'O', page: 2 })).toEqual({ success: 0, message: 'No orders found' });
+  });
+
+  test('a generated label books a shipment whose status tracking reports', async () => {
+    const adapter = await shippingPartners.getAdapter('STORE1');
+    const pushed = await adapter.pushOrder({ order_id: 'O1', carrier_id: '1001', generate_label: true });
+    const awb = pushed.awb_response.AWB;
+
+    expect(awb).toMatch(/^FAKE\d{10}$/);
+
+    FakeShippingAdapter.setShipmentStatus(awb, 'In Transit', 'Delhi Hub');
+    const tracking = await orderTrackingService.fetchBatchTrackingFromShipway([awb, 'UNKNOWN'], 'STORE1');
+
+    expect(tracking.size).toBe(1);
+    expect(tracking.get(awb).shipment_status_history[0].name).toBe('In Transit');
+    expect(tracking.get(awb).shipment_track_activities[0]).toMatchObject({ activity: 'In Transit', location: 'Delhi Hub' });
+  });
+
+  test('auto-manifest creates the manifest on the store\'s partner', async () => {
+    const result = await autoManifestService.callShipwayCreateManifestAPI(['O1', 'O2'], [{ awb: 'FAKE0000000001' }], 'STORE1');
+
+    expect(result).toMatchObject({ success: true, orderCount: 2 });
+    expect(FakeShippingAdapter.getState().manifests).toEqual([
+      { manifest_id: result.data.manifest_ids, account_code: 'STORE1', order_ids: ['O1', 'O2'] }
+    ]);
+  });
+
+  test('auto-manifest refuses an inactive store', async () => {
+    await expect(autoManifestService.callShipwayCreateManifestAPI(['O1'], null, 'STORE2'))
+      .resolves.toEqual({ success: false, message: 'Store is not active: STORE2' });
+    expect(FakeShippingAdapter.getState().manifests).toHaveLength(0);
+  });
+
+  test('cancels shipments and answers serviceability checks', async () => {
+    const adapter = await shippingPartners.getAdapter('STORE1');
+    const { awb_response: { AWB: awb } } = await adapter.pushOrder({ order_id: 'O1', generate_label: true });
+
+    await adapter.cancelShipment([awb]);
+    expect(FakeShippingAdapter.getState().shipments[0]).toMatchObject({ awb, status: 'CANCELLED', cancelled: true });
+
+    FakeShippingAdapter.setUnserviceablePincode('560001');
+    expect((await adapter.checkServiceability('110001')).message).toHaveLength(3);
+    expect((await adapter.checkServiceability('560001')).message).toEqual([]);
+  });
+
+  test('test-connection goes through the partner adapter', async () => {
+    const res = createResponse();
+    await storeController.testShipwayConnection({ body: { username: 'user', password: 'secret', shipping_partner: 'Fake' } }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ success: true, message: 'Fake connection successful' });
+
+    const unsupported = createResponse();
+    await storeController.testShipwayConnection({ body: { username: 'user', password: 'secret', shipping_partner: 'Other' } }, unsupported);
+    expect(unsupported.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * claims / orders rows of a fake database with the statements claimOrderAtomically and
+ * checkClaimLimits run
+ */
+
+const { createFakePool } = require('./fakeMysql');
+
+function createClaimsDb({ claims = [], orders = [] } = {}) {
+  const state = {
+    claims: new Map(claims.map(claim => [claim.order_unique_id, { status: 'unclaimed', claimed_by: null, ...claim }])),
+    orders: new Map(orders.map(order => [order.unique_id, order]))
+  };
+
+  const pool = createFakePool([
+    [/^INSERT INTO claims \(order_unique_id, order_id, account_code\) SELECT/, ([uniqueId]) => {
+      if (state.orders.has(uniqueId) && !state.claims.has(uniqueId)) {
+        state.claims.set(uniqueId, { order_unique_id: uniqueId, status: 'unclaimed', claimed_by: null });
+      }
+      return [{ affectedRows: 1 }];
+    }],
+    [/^SELECT status, claimed_by FROM claims WHERE order_unique_id = \? FOR UPDATE$/, async ([uniqueId], ctx) => {
+      await ctx.lock(`claims:${uniqueId}`);
+      const claim = state.claims.get(uniqueId);
+      return [claim ? [{ status: claim.status, claimed_by: claim.claimed_by }] : []];
+    }],
+    [/^SELECT id FROM users WHERE id = \? FOR UPDATE$/, async ([userId], ctx) => {
+      await ctx.lock(`users:${userId}`);
+      return [[{ id: userId }]];
+    }],
+    [/^SELECT COUNT\(\*\) AS count FROM claims WHERE claimed_by = \? AND status = 'claimed'$/, ([warehouseId]) => {
+      const count = [...state.claims.values()].filter(c => c.claimed_by === warehouseId && c.status === 'claimed').length;
+      return [[{ count }]];
+    }],
+    [/^SELECT product_code FROM orders WHERE unique_id = \?$/, ([uniqueId]) => {
+      const order = state.orders.get(uniqueId);
+      return [order ? [{ product_code: order.product_code }] : []];
+    }],
+    [/^SELECT COUNT\(\*\) AS count FROM claims c JOIN orders o/, ([warehouseId, dayStart, productCode]) => {
+      const count = [...state.claims.values()].filter(c => c.claimed_by === warehouseId && c.claimed_at >= dayStart
+        && (state.orders.get(c.order_unique_id) || {}).product_code === productCode).length;
+      return [[{ count }]];
+    }],
+    [/^UPDATE claims SET status = 'claimed'/, ([warehouseId, userId, claimedAt, , , uniqueId]) => {
+      const claim = state.claims.get(uniqueId);
+      if (!claim || claim.status !== 'unclaimed' || claim.claimed_by) {
+        return [{ affectedRows: 0 }];
+      }
+      Object.assign(claim, {
+        status: 'claimed',
+        claimed_by: warehouseId,
+        claimed_by_user_id: userId,
+        claimed_at: claimedAt,
+        last_claimed_by: warehouseId,
+        last_claimed_at: claimedAt
+      });
+      return [{ affectedRows: 1 }];
+    }]
+  ]);
+
+  return { pool, state };
+}
+
+module.exports = { createClaimsDb };
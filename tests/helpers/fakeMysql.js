@@ -0,0 +1,98 @@
+/**
+ * In-memory stand-in for a mysql2 promise pool, for tests of code that runs its own SQL.
+ *
+ * Statements are matched against a list of [RegExp, handler(params, ctx)] pairs; the first match
+ * wins and its return value is what execute() resolves to ([rows] or [result]). Unmatched
+ * statements throw, so a test notices SQL it does not model.
+ *
+ * `SELECT ... FOR UPDATE` takes a lock named by the handler (ctx.lock(key)) that is held by the
+ * connection until commit, rollback or release, which is enough to exercise row-locking code
+ * paths with concurrent callers.
+ */
+
+function createFakePool(handlers) {
+  const locks = new Map(); // key -> { owner, waiters: [] }
+
+  const releaseLocks = (owner) => {
+    for (const [key, lock] of locks) {
+      if (lock.owner !== owner) continue;
+      const next = lock.waiters.shift();
+      if (next) {
+        lock.owner = next.owner;
+        next.resolve();
+      } else {
+        locks.delete(key);
+      }
+    }
+  };
+
+  const acquire = (owner, key) => {
+    const lock = locks.get(key);
+    if (!lock) {
+      locks.set(key, { owner, waiters: [] });
+      return Promise.resolve();
+    }
+    if (lock.owner === owner) return Promise.resolve();
+    return new Promise(resolve => lock.waiters.push({ owner, resolve }));
+  };
+
+  const run = async (owner, sql, params = []) => {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+    const match = handlers.find(([pattern]) => pattern.test(statement));
+    if (!match) {
+      throw new Error(`Unexpected SQL in test: ${statement}`);
+    }
+
+    const ctx = {
+      statement,
+      forUpdate: /FOR UPDATE$/i.test(statement),
+      lock: (key) => (owner ? acquire(owner, key) : Promise.resolve())
+    };
+    return match[1](params, ctx);
+  };
+
+  const pool = {
+    queries: [],
+
+    async execute(sql, params) {
+      pool.queries.push(sql);
+      return run(null, sql, params);
+    },
+
+    async query(sql, params) {
+      return pool.execute(sql, params);
+    },
+
+    async getConnection() {
+      const owner = Symbol('connection');
+      const connection = {
+        committed: false,
+        rolledBack: false,
+        async beginTransaction() {},
+        async execute(sql, params) {
+          pool.queries.push(sql);
+          return run(owner, sql, params);
+        },
+        async query(sql, params) {
+          return connection.execute(sql, params);
+        },
+        async commit() {
+          connection.committed = true;
+          releaseLocks(owner);
+        },
+        async rollback() {
+          connection.rolledBack = true;
+          releaseLocks(owner);
+        },
+        release() {
+          releaseLocks(owner);
+        }
+      };
+      return connection;
+    }
+  };
+
+  return pool;
+}
+
+module.exports = { createFakePool };
@@ -0,0 +1,170 @@
+/**
+ * transactions / settlements / settlement_payments / payout_batches tables of a fake database
+ * with the statements the ledger and settlement services run
+ */
+
+const database = require('../../config/database');
+const { createFakePool } = require('./fakeMysql');
+
+function createLedgerDb() {
+  const state = { transactions: [], settlements: new Map(), payments: [], batches: [], sequence: 0 };
+  const findPayment = (id) => state.payments.find(payment => payment.id === id);
+  const tick = () => ++state.sequence;
+
+  const pool = createFakePool([
+    [/^INSERT IGNORE INTO transactions/, ([id, vendorId, amount, description, uniqueId, orderId, accountCode, referenceKey, rateCardId]) => {
+      if (state.transactions.some(entry => entry.reference_key === referenceKey)) {
+        return [{ affectedRows: 0 }];
+      }
+      state.transactions.push({
+        id, vendor_id: vendorId, amount, type: 'order_credit', direction: 'credit', description,
+        order_unique_id: uniqueId, order_id: orderId, account_code: accountCode, reference_key: referenceKey,
+        rate_card_id: rateCardId, settlement_id: null, createdAt: tick()
+      });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^SELECT id, amount, type, direction, order_unique_id, order_id, account_code FROM transactions WHERE vendor_id = \? AND settlement_id IS NULL/, async ([vendorId], ctx) => {
+      if (ctx.forUpdate) await ctx.lock(`transactions:${vendorId}`);
+      return [state.transactions.filter(entry => entry.vendor_id === vendorId && entry.settlement_id === null)];
+    }],
+    [/^INSERT INTO settlements/, ([id, vendorId, vendorName, amount, upiId, orderIds, numberOfOrders]) => {
+      state.settlements.set(id, {
+        id, vendorId, vendorName, amount, upiId, orderIds, numberOfOrders,
+        status: 'pending', paymentStatus: 'pending', amountPaid: 0
+      });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^UPDATE transactions SET settlement_id = \? WHERE id IN/, ([settlementId, ...ids]) => {
+      const entries = state.transactions.filter(entry => ids.includes(entry.id) && entry.settlement_id === null);
+      entries.forEach(entry => { entry.settlement_id = settlementId; });
+      return [{ affectedRows: entries.length }];
+    }],
+    [/^UPDATE transactions SET settlement_id = NULL WHERE settlement_id = \?$/, ([settlementId]) => {
+      const entries = state.transactions.filter(entry => entry.settlement_id === settlementId);
+      entries.forEach(entry => { entry.settlement_id = null; });
+      return [{ affectedRows: entries.length }];
+    }],
+    [/^SELECT \* FROM settlements WHERE id = \?( FOR UPDATE)?$/, async ([id], ctx) => {
+      if (ctx.forUpdate) await ctx.lock(`settlements:${id}`);
+      const settlement = state.settlements.get(id);
+      return [settlement ? [{ ...settlement }] : []];
+    }],
+    [/^UPDATE settlements SET status = 'approved'/, ([approvedBy, id]) => {
+      Object.assign(state.settlements.get(id), { status: 'approved', approvedBy });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^SELECT COALESCE\(SUM\(amount\), 0\) AS pending FROM settlement_payments/, ([settlementId, excludeId]) => {
+      const pending = state.payments
+        .filter(payment => payment.settlement_id === settlementId && payment.status === 'pending' && payment.id !== excludeId)
+        .reduce((sum, payment) => sum + payment.amount, 0);
+      return [[{ pending }]];
+    }],
+    [/^INSERT INTO transactions \(id, vendor_id, amount, type, direction, description, settlement_id\)/, ([id, vendorId, amount, description, settlementId]) => {
+      state.transactions.push({
+        id, vendor_id: vendorId, amount, type: 'settlement', direction: 'debit', description,
+        settlement_id: settlementId, createdAt: tick()
+      });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^INSERT INTO settlement_payments \(settlement_id, vendor_id, payout_batch_id/, ([settlementId, vendorId, batchId, amount, recordedBy]) => {
+      const payment = {
+        id: state.payments.length + 1, settlement_id: settlementId, vendor_id: vendorId, payout_batch_id: batchId,
+        amount, status: 'pending', recorded_by: recordedBy
+      };
+      state.payments.push(payment);
+      return [{ insertId: payment.id, affectedRows: 1 }];
+    }],
+    [/^INSERT INTO settlement_payments/, ([settlementId, vendorId, amount, transactionId, proofPath, ledgerEntryId, notes, recordedBy]) => {
+      const payment = {
+        id: state.payments.length + 1, settlement_id: settlementId, vendor_id: vendorId, amount, status: 'paid',
+        transaction_id: transactionId, payment_proof_path: proofPath, ledger_entry_id: ledgerEntryId, notes, recorded_by: recordedBy
+      };
+      state.payments.push(payment);
+      return [{ insertId: payment.id, affectedRows: 1 }];
+    }],
+    [/^UPDATE settlements SET amountPaid = \?/, ([amountPaid, status, paymentStatus, transactionId, , id]) => {
+      Object.assign(state.settlements.get(id), { amountPaid, status, paymentStatus, transactionId });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^SELECT \* FROM settlement_payments WHERE id = \?$/, ([id]) => {
+      return [state.payments.filter(payment => payment.id === id)];
+    }],
+    [/^SELECT \* FROM settlement_payments WHERE id = \? AND payout_batch_id = \? FOR UPDATE$/, async ([id, batchId], ctx) => {
+      await ctx.lock(`settlement_payments:${id}`);
+      return [state.payments.filter(payment => payment.id === id && payment.payout_batch_id === batchId).map(payment => ({ ...payment }))];
+    }],
+    [/^UPDATE settlement_payments SET status = 'paid'/, ([transactionId, ledgerEntryId, recordedBy, notes, id]) => {
+      Object.assign(findPayment(id), { status: 'paid', transaction_id: transactionId, ledger_entry_id: ledgerEntryId, recorded_by: recordedBy, notes });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^UPDATE settlement_payments SET status = 'failed'/, ([failureReason, recordedBy, id]) => {
+      Object.assign(findPayment(id), { status: 'failed', failure_reason: failureReason, recorded_by: recordedBy });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^UPDATE settlement_payments SET status = 'cancelled' WHERE payout_batch_id = \?/, ([batchId]) => {
+      const payments = state.payments.filter(payment => payment.payout_batch_id === batchId && payment.status === 'pending');
+      payments.forEach(payment => { payment.status = 'cancelled'; });
+      return [{ affectedRows: payments.length }];
+    }],
+    [/^SELECT COUNT\(\*\) AS paid FROM settlement_payments WHERE payout_batch_id = \?/, ([batchId]) => {
+      const paid = state.payments.filter(payment => payment.payout_batch_id === batchId && payment.status === 'paid').length;
+      return [[{ paid }]];
+    }],
+    [/^SELECT id FROM settlements WHERE status IN/, (params) => {
+      const statuses = params.slice(0, 2);
+      const vendorId = params[2];
+      return [[...state.settlements.values()]
+        .filter(settlement => statuses.includes(settlement.status) && (!vendorId || settlement.vendorId === vendorId))
+        .map(settlement => ({ id: settlement.id }))];
+    }],
+    [/^INSERT INTO payout_batches/, ([reference, paymentCount, totalAmount, notes, createdBy]) => {
+      const batch = {
+        id: state.batches.length + 1, reference, status: 'open', payment_count: paymentCount,
+        total_amount: totalAmount, notes, created_by: createdBy
+      };
+      state.batches.push(batch);
+      return [{ insertId: batch.id, affectedRows: 1 }];
+    }],
+    [/^SELECT \* FROM payout_batches WHERE id = \?( FOR UPDATE)?$/, async ([id], ctx) => {
+      if (ctx.forUpdate) await ctx.lock(`payout_batches:${id}`);
+      return [state.batches.filter(batch => batch.id === id).map(batch => ({ ...batch }))];
+    }],
+    [/^SELECT p\.\*, s\.vendorName AS vendor_name/, ([batchId]) => {
+      return [state.payments.filter(payment => payment.payout_batch_id === batchId).map(payment => ({ ...payment }))];
+    }],
+    [/^UPDATE payout_batches b SET b\.status = IF/, ([batchId]) => {
+      const batch = state.batches.find(row => row.id === batchId);
+      if (['open', 'processing'].includes(batch.status)) {
+        const pending = state.payments.some(payment => payment.payout_batch_id === batchId && payment.status === 'pending');
+        batch.status = pending ? 'processing' : 'completed';
+      }
+      return [{ affectedRows: 1 }];
+    }],
+    [/^UPDATE payout_batches SET status = 'cancelled' WHERE id = \?/, ([batchId]) => {
+      state.batches.find(batch => batch.id === batchId).status = 'cancelled';
+      return [{ affectedRows: 1 }];
+    }]
+  ]);
+
+  return { pool, state };
+}
+
+/**
+ * Serve database.getVendorClaimLines from claim lines ({ warehouseId, line_amount, inPack?, ... }),
+ * with credited_amount taken from the order credits in the fake ledger
+ * @param {Object} db - From createLedgerDb
+ * @param {Function} getLines - () => current claim lines
+ */
+function mockVendorClaimLines(db, getLines) {
+  return jest.spyOn(database, 'getVendorClaimLines').mockImplementation(async (warehouseId, { inPack } = {}) => {
+    return getLines()
+      .filter(line => line.warehouseId === warehouseId && Boolean(line.inPack) === Boolean(inPack))
+      .map(line => {
+        const credit = db.state.transactions.find(entry =>
+          entry.reference_key === `order_credit:${line.account_code}:${line.order_unique_id}`);
+        return { ...line, credited_amount: credit ? credit.amount : null };
+      });
+  });
+}
+
+module.exports = { createLedgerDb, mockVendorClaimLines };
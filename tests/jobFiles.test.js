@@ -0,0 +1,177 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../config/database');
+const jobQueue = require('../services/jobQueue');
+const { invokeRouteHandler } = require('../utils/capturedResponse');
+
+const testUser = { id: 'vendor_1', role: 'vendor' };
+
+jest.mock('../utils/capturedResponse', () => ({ invokeRouteHandler: jest.fn() }));
+jest.mock('../middleware/auth', () => ({
+  ...jest.requireActual('../middleware/auth'),
+  authenticateBasicAuth: (req, res, next) => {
+    req.user = testUser;
+    next();
+  }
+}));
+
+// routes/orders.js registers the job handlers (and starts an interval) when it is loaded
+jest.useFakeTimers();
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+require('../routes/orders');
+const tasksRoutes = require('../routes/tasks');
+jest.useRealTimers();
+
+describe('label and manifest job results', () => {
+  const fileRef = { url: '/api/tasks/job-1/file', contentType: 'application/pdf', filename: 'labels.pdf', size: 4 };
+  let ctx;
+
+  const runHandler = (type, payload = {}) => jobQueue.handlers.get(type).handler(payload, ctx);
+
+  beforeEach(() => {
+    ctx = {
+      job: { id: 'job-1' },
+      userId: testUser.id,
+      reportProgress: jest.fn().mockResolvedValue(),
+      saveFile: jest.fn().mockResolvedValue(fileRef)
+    };
+    jest.spyOn(database, 'waitForMySQLInitialization').mockResolvedValue(true);
+    jest.spyOn(database, 'getUserById').mockResolvedValue(testUser);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    invokeRouteHandler.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  test('label generation jobs are not retried', () => {
+    expect(jobQueue.handlers.get('download-label').maxAttempts).toBe(1);
+    expect(jobQueue.handlers.get('bulk-download-labels').maxAttempts).toBe(1);
+  });
+
+  test('a PDF response is stored as a job file and only its reference is returned', async () => {
+    const pdf = Buffer.from('%PDF');
+    invokeRouteHandler.mockResolvedValue({
+      statusCode: 200,
+      contentType: 'application/pdf',
+      headers: { 'content-disposition': 'attachment; filename="labels.pdf"' },
+      body: pdf
+    });
+
+    const result = await runHandler('bulk-download-labels', { order_ids: ['O1'] });
+
+    expect(ctx.saveFile).toHaveBeenCalledWith(pdf, { contentType: 'application/pdf', filename: 'labels.pdf' });
+    expect(result).toEqual({ success: true, file: fileRef });
+  });
+
+  test('the base64 PDF of a formatted label is moved out of the result', async () => {
+    invokeRouteHandler.mockResolvedValue({
+      statusCode: 200,
+      contentType: 'application/json',
+      headers: {},
+      body: {
+        success: true,
+        message: 'a4 format label generated successfully',
+        data: { order_id: 'O1', awb: 'AWB1', format: 'a4', formatted_pdf: Buffer.from('%PDF').toString('base64') }
+      }
+    });
+
+    const result = await runHandler('download-label', { order_id: 'O1', format: 'a4' });
+
+    expect(ctx.saveFile).toHaveBeenCalledWith(Buffer.from('%PDF'), { contentType: 'application/pdf', filename: 'O1_a4.pdf' });
+    expect(result.data).toEqual({ order_id: 'O1', awb: 'AWB1', format: 'a4', formatted_pdf_file: fileRef });
+  });
+
+  test('ctx.saveFile stores the file in job_files and returns its download URL', async () => {
+    jest.spyOn(database, 'saveJobFile').mockResolvedValue(4);
+    jest.spyOn(database, 'heartbeatJob').mockResolvedValue({ cancel_requested: false });
+    jest.spyOn(database, 'finishJob').mockResolvedValue(true);
+    jobQueue.registerHandler('test-file', async (payload, jobCtx) => ({
+      success: true,
+      file: await jobCtx.saveFile(Buffer.from('%PDF'), { contentType: 'application/pdf', filename: 'x.pdf' })
+    }));
+
+    await jobQueue.runJob({ id: 'job-2', type: 'test-file', attempts: 1, max_attempts: 1, payload: {} });
+
+    expect(database.saveJobFile).toHaveBeenCalledWith('job-2', { data: Buffer.from('%PDF'), content_type: 'application/pdf', filename: 'x.pdf' });
+    expect(database.finishJob).toHaveBeenCalledWith('job-2', expect.any(String), {
+      status: 'completed',
+      result: { success: true, file: { url: '/api/tasks/job-2/file', contentType: 'application/pdf', filename: 'x.pdf', size: 4 } }
+    });
+    jobQueue.handlers.delete('test-file');
+  });
+
+  test('a job whose handler finished after a cancel request is recorded as completed', async () => {
+    jest.spyOn(database, 'saveJobFile').mockResolvedValue(4);
+    jest.spyOn(database, 'finishJob').mockResolvedValue(true);
+    // The handler passes no checkpoint after the cancel request, so it runs to the end
+    jobQueue.registerHandler('test-late-cancel', async (payload, jobCtx) => ({
+      success: true,
+      file: await jobCtx.saveFile(Buffer.from('%PDF'), { contentType: 'application/pdf', filename: 'x.pdf' })
+    }));
+
+    await jobQueue.runJob({ id: 'job-3', type: 'test-late-cancel', attempts: 1, max_attempts: 1, payload: {}, cancel_requested: true });
+
+    expect(database.finishJob).toHaveBeenCalledWith('job-3', expect.any(String), {
+      status: 'completed',
+      result: { success: true, file: expect.objectContaining({ url: '/api/tasks/job-3/file' }) }
+    });
+    jobQueue.handlers.delete('test-late-cancel');
+  });
+
+  test('a job stopped at a checkpoint after a cancel request is recorded as cancelled', async () => {
+    jest.spyOn(database, 'heartbeatJob').mockResolvedValue({ cancel_requested: true });
+    jest.spyOn(database, 'finishJob').mockResolvedValue(true);
+    const finished = jest.fn();
+    jobQueue.registerHandler('test-cancel', async (payload, jobCtx) => {
+      await jobCtx.reportProgress(50);
+      finished();
+    });
+
+    await jobQueue.runJob({ id: 'job-4', type: 'test-cancel', attempts: 1, max_attempts: 1, payload: {} });
+
+    expect(finished).not.toHaveBeenCalled();
+    expect(database.finishJob).toHaveBeenCalledWith('job-4', expect.any(String), { status: 'cancelled', error: 'Cancelled by user' });
+    jobQueue.handlers.delete('test-cancel');
+  });
+});
+
+describe('GET /api/tasks/:taskId/file', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/tasks', tasksRoutes);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('downloads the file of the user\'s task', async () => {
+    jest.spyOn(database, 'getJobById').mockResolvedValue({ id: 'job-1', user_id: testUser.id });
+    jest.spyOn(database, 'getJobFile').mockResolvedValue({
+      job_id: 'job-1', filename: 'labels.pdf', content_type: 'application/pdf', size: 4, data: Buffer.from('%PDF')
+    });
+
+    const res = await request(app).get('/api/tasks/job-1/file');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="labels.pdf"');
+    expect(Buffer.from(res.body).toString()).toBe('%PDF');
+  });
+
+  test('hides tasks of other users', async () => {
+    jest.spyOn(database, 'getJobById').mockResolvedValue({ id: 'job-1', user_id: 'someone_else' });
+    jest.spyOn(database, 'getJobFile');
+
+    const res = await request(app).get('/api/tasks/job-1/file');
+
+    expect(res.status).toBe(404);
+    expect(database.getJobFile).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+const fetch = require('node-fetch');
+const { PDFDocument } = require('pdf-lib');
+const database = require('../config/database');
+const labelRenderService = require('../services/labelRenderService');
+
+jest.mock('node-fetch', () => jest.fn());
+
+/**
+ * Courier label (4x6) as the label URL serves it
+ */
+async function createLabelPdf() {
+  const doc = await PDFDocument.create();
+  doc.addPage([288, 432]).drawRectangle({ x: 6, y: 6, width: 276, height: 420 });
+  return Buffer.from(await doc.save());
+}
+
+describe('labelRenderService.render', () => {
+  let labelPdf;
+
+  // Label URLs ending in /missing answer 404, the rest serve the courier label
+  const serveLabels = () => {
+    fetch.mockImplementation(async (url) => ({
+      ok: !url.endsWith('/missing'),
+      status: url.endsWith('/missing') ? 404 : 200,
+      arrayBuffer: async () => labelPdf
+    }));
+  };
+
+  beforeAll(async () => {
+    labelPdf = await createLabelPdf();
+  });
+
+  beforeEach(() => {
+    serveLabels();
+    jest.spyOn(database, 'getLabelTemplateByCode').mockResolvedValue(null);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+    jest.restoreAllMocks();
+  });
+
+  test('fails a single label whose courier PDF could not be fetched instead of returning a blank page', async () => {
+    await expect(labelRenderService.render([{ order_id: 'O1', shipping_url: 'https://labels/missing' }], 'a4', { fillPage: true }))
+      .rejects.toThrow('No label could be rendered (O1: HTTP 404)');
+  });
+
+  test('fails when a downloaded label is not a readable PDF', async () => {
+    fetch.mockResolvedValue({ ok: true, status: 200, arrayBuffer: async () => Buffer.from('<html>') });
+
+    await expect(labelRenderService.render([{ order_id: 'O1', shipping_url: 'https://labels/O1' }], 'thermal'))
+      .rejects.toThrow('No label could be rendered (O1: Label PDF could not be read)');
+  });
+
+  test('reports the labels a bulk render skipped', async () => {
+    const result = await labelRenderService.render([
+      { order_id: 'O1', account_code: 'STORE1', shipping_url: 'https://labels/O1' },
+      { order_id: 'O2', account_code: 'STORE1', shipping_url: 'https://labels/missing' },
+      { order_id: 'O3', account_code: 'STORE1', shipping_url: 'https://labels/O3' }
+    ], 'thermal');
+
+    expect(result.rendered).toBe(2);
+    expect(result.skipped).toEqual([{ order_id: 'O2', account_code: 'STORE1', reason: 'HTTP 404' }]);
+    expect((await PDFDocument.load(result.pdf)).getPageCount()).toBe(2);
+  });
+
+  test('lays out only the labels that downloaded', async () => {
+    const result = await labelRenderService.render([
+      { order_id: 'O1', shipping_url: 'https://labels/missing' },
+      { order_id: 'O2', shipping_url: 'https://labels/O2' }
+    ], 'four-in-one');
+
+    expect(result).toMatchObject({ rendered: 1, skipped: [{ order_id: 'O1', reason: 'HTTP 404' }] });
+    expect((await PDFDocument.load(result.pdf)).getPageCount()).toBe(1);
+  });
+});
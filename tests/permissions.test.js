@@ -0,0 +1,81 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../config/database');
+const permissionService = require('../services/permissionService');
+
+// middleware/auth warns about the random JWT secret it uses without JWT_SECRET
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const { requirePermission } = require('../middleware/auth');
+
+describe('requirePermission', () => {
+  let roles;
+
+  // Route guarded by the permissions, called as the given user
+  const callAs = (user, ...permissions) => {
+    const app = express();
+    app.get('/guarded', (req, res, next) => {
+      req.user = user;
+      next();
+    }, requirePermission(...permissions), (req, res) => res.json({ success: true }));
+    return request(app).get('/guarded');
+  };
+
+  beforeEach(() => {
+    roles = {
+      admin: ['orders:view_all', 'orders:assign'],
+      dispatcher: ['orders:view_all']
+    };
+    permissionService.invalidate();
+    jest.spyOn(database, 'getRolePermissions').mockImplementation(async (roleName) => roles[roleName] || []);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('lets a user through when their role has every permission', async () => {
+    const res = await callAs({ id: 'u1', role: 'admin' }, 'orders:view_all', 'orders:assign');
+
+    expect(res.status).toBe(200);
+  });
+
+  test('refuses a user missing a permission and names it', async () => {
+    const res = await callAs({ id: 'u1', role: 'admin' }, 'orders:assign', 'stores:manage');
+
+    expect(res.status).toBe(403);
+    expect(res.body).toMatchObject({ success: false, missingPermissions: ['stores:manage'] });
+  });
+
+  test('uses the access role instead of the role when one is set', async () => {
+    const res = await callAs({ id: 'u1', role: 'admin', access_role: 'dispatcher' }, 'orders:assign');
+
+    expect(res.status).toBe(403);
+    expect(res.body.missingPermissions).toEqual(['orders:assign']);
+  });
+
+  test('superadmin has every permission without a stored permission set', async () => {
+    const res = await callAs({ id: 'u1', role: 'superadmin', access_role: 'dispatcher' }, 'roles:manage');
+
+    expect(res.status).toBe(200);
+    expect(database.getRolePermissions).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the system role defaults when the permission set cannot be loaded', async () => {
+    database.getRolePermissions.mockRejectedValue(new Error('connection lost'));
+
+    expect((await callAs({ id: 'u1', role: 'admin' }, 'orders:assign')).status).toBe(200);
+    expect((await callAs({ id: 'u1', role: 'admin' }, 'roles:manage')).status).toBe(403);
+    expect((await callAs({ id: 'u2', role: 'dispatcher' }, 'orders:view_all')).status).toBe(403);
+  });
+
+  test('picks up a changed permission set once the role is invalidated', async () => {
+    expect((await callAs({ id: 'u1', role: 'dispatcher' }, 'orders:assign')).status).toBe(403);
+
+    roles.dispatcher = ['orders:view_all', 'orders:assign'];
+    expect((await callAs({ id: 'u1', role: 'dispatcher' }, 'orders:assign')).status).toBe(403);
+
+    permissionService.invalidate('dispatcher');
+    expect((await callAs({ id: 'u1', role: 'dispatcher' }, 'orders:assign')).status).toBe(200);
+  });
+});
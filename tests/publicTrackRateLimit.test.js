@@ -0,0 +1,81 @@
+const express = require('express');
+const request = require('supertest');
+const publicTrackingService = require('../services/publicTrackingService');
+const publicRoutes = require('../routes/public');
+
+describe('POST /api/public/track rate limit', () => {
+  let app;
+
+  beforeEach(() => {
+    // As server.js with TRUST_PROXY=1 (one proxy hop)
+    app = express();
+    app.set('trust proxy', 1);
+    app.use(express.json());
+    app.use('/api/public', publicRoutes);
+
+    jest.spyOn(publicTrackingService, 'lookup').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const track = (clientIp) => request(app)
+    .post('/api/public/track')
+    .set('X-Forwarded-For', clientIp)
+    .send({ order_id: 'O1', pincode: '110001' });
+
+  test('limits each client IP behind the proxy to 30 lookups per window', async () => {
+    for (let i = 0; i < 30; i++) {
+      const res = await track('203.0.113.10');
+      expect(res.status).toBe(404);
+    }
+
+    const limited = await track('203.0.113.10');
+    expect(limited.status).toBe(429);
+    expect(limited.body).toEqual({ success: false, message: 'Too many requests. Please try again later.' });
+    expect(limited.headers['ratelimit-limit']).toBe('30');
+
+    // Another customer behind the same proxy is not affected
+    const other = await track('203.0.113.20');
+    expect(other.status).toBe(404);
+  });
+});
+
+describe('POST /api/public/track rate limit without a trusted proxy', () => {
+  let app;
+
+  beforeEach(() => {
+    // As server.js with TRUST_PROXY unset; a fresh limiter, so the other suite's counts do not apply
+    app = express();
+    app.set('trust proxy', false);
+    app.use(express.json());
+    jest.isolateModules(() => {
+      jest.spyOn(require('../services/publicTrackingService'), 'lookup').mockResolvedValue(null);
+      app.use('/api/public', require('../routes/public'));
+    });
+
+    // express-rate-limit reports the X-Forwarded-For header it is told not to trust
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a client cannot get a new rate-limit key by spoofing X-Forwarded-For', async () => {
+    for (let i = 0; i < 30; i++) {
+      const res = await request(app)
+        .post('/api/public/track')
+        .set('X-Forwarded-For', `198.51.100.${i}`)
+        .send({ order_id: 'O1', pincode: '110001' });
+      expect(res.status).toBe(404);
+    }
+
+    const limited = await request(app)
+      .post('/api/public/track')
+      .set('X-Forwarded-For', '198.51.100.99')
+      .send({ order_id: 'O1', pincode: '110001' });
+    expect(limited.status).toBe(429);
+  });
+});
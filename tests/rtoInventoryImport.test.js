@@ -0,0 +1,70 @@
+const database = require('../config/database');
+const { createFakePool } = require('./helpers/fakeMysql');
+
+describe('database.upsertRTOInventoryRows', () => {
+  const original = { pool: database.mysqlPool, connection: database.mysqlConnection };
+  const rows = [
+    { account_code: 'STORE1', location: 'Delhi RTO', sku_id: 'SKU1', size: 'M', quantity: 2 },
+    { account_code: 'STORE1', location: 'Delhi RTO', sku_id: 'SKU2', size: 'L', quantity: 1 },
+    { account_code: 'STORE1', location: 'Delhi RTO', sku_id: 'SKU3', size: 'S', quantity: 4 }
+  ];
+  let connections;
+  let movements;
+
+  const useDb = ({ failOnSku = null } = {}) => {
+    const pool = createFakePool([
+      [/^INSERT INTO rto_inventory /, ([, , productCode]) => {
+        if (productCode === failOnSku) throw new Error('Deadlock found when trying to get lock');
+        return [{ insertId: productCode }];
+      }],
+      [/^SELECT \* FROM rto_inventory WHERE id = \?$/, ([id]) => [[{ id, account_code: 'STORE1', rto_wh: 'Delhi RTO', product_code: id, size: 'M', quantity: 1, reserved_quantity: 0 }]]],
+      [/^INSERT INTO rto_inventory_movements/, (params) => {
+        movements.push(params);
+        return [{ affectedRows: 1 }];
+      }]
+    ]);
+
+    const getConnection = pool.getConnection;
+    pool.getConnection = async () => {
+      const connection = await getConnection();
+      connections.push(connection);
+      return connection;
+    };
+
+    database.mysqlPool = pool;
+    database.mysqlConnection = pool;
+  };
+
+  beforeEach(() => {
+    connections = [];
+    movements = [];
+    jest.spyOn(database, 'waitForMySQLInitialization').mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    database.mysqlPool = original.pool;
+    database.mysqlConnection = original.connection;
+    jest.restoreAllMocks();
+  });
+
+  test('saves all rows and their movements in a single transaction', async () => {
+    useDb();
+
+    await expect(database.upsertRTOInventoryRows(rows, { source: 'upload', created_by: 'admin_1' })).resolves.toBe(3);
+
+    expect(connections).toHaveLength(1);
+    expect(connections[0]).toMatchObject({ committed: true, rolledBack: false });
+    expect(movements).toHaveLength(3);
+  });
+
+  test('rolls back every row when one of them fails', async () => {
+    useDb({ failOnSku: 'SKU3' });
+
+    await expect(database.upsertRTOInventoryRows(rows, { source: 'upload' })).rejects.toThrow('Deadlock found');
+
+    expect(connections).toHaveLength(1);
+    expect(connections[0]).toMatchObject({ committed: false, rolledBack: true });
+  });
+});
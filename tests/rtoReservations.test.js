@@ -0,0 +1,50 @@
+const database = require('../config/database');
+const rtoInventoryService = require('../services/rtoInventoryService');
+
+describe('rtoInventoryService.reserveForOrder', () => {
+  const line = {
+    unique_id: 'U1', order_id: 'O1', account_code: 'STORE1', quantity: 2, base_sku: 'SKU1', size: 'M', claims_status: 'unclaimed'
+  };
+  const stock = [
+    { id: 10, account_code: 'STORE1', product_code: 'SKU1', size: 'M', available_quantity: 1 },
+    { id: 11, account_code: 'STORE1', product_code: 'SKU1', size: 'M', available_quantity: 3 }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(database, 'getOrderLineForRTOReservation').mockResolvedValue(line);
+    jest.spyOn(database, 'getAvailableRTOStock').mockResolvedValue(stock);
+    jest.spyOn(database, 'reserveRTOInventory').mockImplementation(async (reservation) => ({ reservation: { id: 1, ...reservation } }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reserves the order\'s units from the first location that has all of them', async () => {
+    const reservation = await rtoInventoryService.reserveForOrder('U1', {}, { id: 'admin_1' });
+
+    expect(reservation).toMatchObject({ rto_inventory_id: 11, account_code: 'STORE1', order_unique_id: 'U1', quantity: 2, reserved_by: 'admin_1' });
+  });
+
+  test('refuses orders a vendor already claimed', async () => {
+    database.getOrderLineForRTOReservation.mockResolvedValue({ ...line, claims_status: 'claimed' });
+
+    await expect(rtoInventoryService.reserveForOrder('U1')).rejects.toMatchObject({ statusCode: 409 });
+    expect(database.reserveRTOInventory).not.toHaveBeenCalled();
+  });
+
+  test('refuses stock of another store or size', async () => {
+    jest.spyOn(database, 'getRTOInventoryById').mockResolvedValue({ ...stock[1], account_code: 'STORE2' });
+
+    await expect(rtoInventoryService.reserveForOrder('U1', { rto_inventory_id: 11 }))
+      .rejects.toMatchObject({ statusCode: 400, message: 'RTO stock 11 is not SKU1 M of store STORE1' });
+  });
+
+  test('reports a reservation that lost the race for the last units', async () => {
+    database.reserveRTOInventory.mockResolvedValue({ reservation: null, reason: 'insufficient_stock' });
+
+    await expect(rtoInventoryService.reserveForOrder('U1'))
+      .rejects.toMatchObject({ statusCode: 409, message: 'Not enough RTO stock of SKU1 M for 2 unit(s)' });
+  });
+});
@@ -0,0 +1,120 @@
+const database = require('../config/database');
+const vendorLedgerService = require('../services/vendorLedgerService');
+const settlementService = require('../services/settlementService');
+const { createLedgerDb, mockVendorClaimLines } = require('./helpers/ledgerDb');
+
+describe('settlement payments', () => {
+  const original = { pool: database.mysqlPool, connection: database.mysqlConnection };
+  const vendor = { id: 'vendor_1', name: 'Vendor One', warehouseId: 'WH1' };
+  const admin = { id: 'admin_1' };
+  let db;
+  let claimLines;
+
+  const ledgerBalance = () => vendorLedgerService.sumEntries(db.state.transactions.filter(entry => entry.vendor_id === vendor.id));
+
+  beforeEach(() => {
+    db = createLedgerDb();
+    database.mysqlPool = db.pool;
+    database.mysqlConnection = db.pool;
+
+    claimLines = [
+      { warehouseId: 'WH1', order_unique_id: 'U1', order_id: 'O1', account_code: 'STORE1', line_amount: 100, handover_at: '2026-10-10 10:00:00' },
+      { warehouseId: 'WH1', order_unique_id: 'U2', order_id: 'O2', account_code: 'STORE1', line_amount: 50.5, handover_at: '2026-10-11 10:00:00' },
+      { warehouseId: 'WH1', order_unique_id: 'U3', order_id: 'O3', account_code: 'STORE1', line_amount: 30, inPack: true },
+      { warehouseId: 'WH2', order_unique_id: 'U9', order_id: 'O9', account_code: 'STORE1', line_amount: 999, handover_at: '2026-10-10 10:00:00' }
+    ];
+    mockVendorClaimLines(db, () => claimLines);
+    jest.spyOn(database, 'getVendorRateCards').mockResolvedValue([]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    database.mysqlPool = original.pool;
+    database.mysqlConnection = original.connection;
+    jest.restoreAllMocks();
+  });
+
+  test('partial and final payments debit the ledger and move the settlement to paid', async () => {
+    const { settlementId } = await vendorLedgerService.createSettlementWithReservation(vendor, 'vendor@upi');
+
+    const approved = await settlementService.approveSettlement(settlementId, admin, { amount: 100, transactionId: 'UTR1' });
+    expect(approved.settlement).toMatchObject({ status: 'partially_paid', paymentStatus: 'settled_partially', amountPaid: 100 });
+    expect(approved.payment).toMatchObject({ settlement_id: settlementId, amount: 100, status: 'paid', transaction_id: 'UTR1' });
+
+    await expect(settlementService.recordPayment(settlementId, { amount: 60, transactionId: 'UTR2' }, admin))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const final = await settlementService.recordPayment(settlementId, { amount: 50.5, transactionId: 'UTR2' }, admin);
+    expect(final.settlement).toMatchObject({ status: 'paid', paymentStatus: 'settled_fully', amountPaid: 150.5 });
+
+    const entries = db.state.transactions.filter(entry => entry.settlement_id === settlementId);
+    expect(entries.filter(entry => entry.direction === 'debit').map(entry => entry.amount)).toEqual([100, 50.5]);
+    expect(ledgerBalance()).toBe(0);
+
+    // Paid entries stay reserved by the settlement, so nothing is payable again
+    const payments = await vendorLedgerService.getVendorPayments(vendor);
+    expect(payments.currentPayment).toBe(0);
+
+    await expect(settlementService.recordPayment(settlementId, { amount: 1, transactionId: 'UTR3' }, admin))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('a settlement cannot be approved twice', async () => {
+    const { settlementId } = await vendorLedgerService.createSettlementWithReservation(vendor, 'vendor@upi');
+    await settlementService.approveSettlement(settlementId, admin);
+
+    await expect(settlementService.approveSettlement(settlementId, admin))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Settlement is not in pending status' });
+  });
+
+  test('a payout batch pays what is left of a settlement, which cannot be paid twice meanwhile', async () => {
+    const { settlementId } = await vendorLedgerService.createSettlementWithReservation(vendor, 'vendor@upi');
+    await settlementService.approveSettlement(settlementId, admin, { amount: 100, transactionId: 'UTR1' });
+
+    const { batch } = await settlementService.createPayoutBatch({}, admin);
+    expect(batch).toMatchObject({ status: 'open', payment_count: 1, total_amount: 50.5 });
+    expect(batch.payments).toEqual([expect.objectContaining({ settlement_id: settlementId, amount: 50.5, status: 'pending' })]);
+
+    // The pending batch payment is not payable a second time by hand
+    await expect(settlementService.recordPayment(settlementId, { amount: 1, transactionId: 'UTR2' }, admin))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    const result = await settlementService.completePayoutBatch(batch.id, {
+      payments: [{ id: batch.payments[0].id, status: 'paid' }],
+      transaction_id: 'BANK1'
+    }, admin);
+
+    expect(result).toMatchObject({ paid: 1, failed: 0, errors: [], batch: { status: 'completed' } });
+    expect(db.state.settlements.get(settlementId)).toMatchObject({ status: 'paid', amountPaid: 150.5 });
+    expect(ledgerBalance()).toBe(0);
+  });
+
+  test('a failed or cancelled batch payment leaves the settlement payable', async () => {
+    const { settlementId } = await vendorLedgerService.createSettlementWithReservation(vendor, 'vendor@upi');
+    await settlementService.approveSettlement(settlementId, admin);
+
+    const first = (await settlementService.createPayoutBatch({ settlement_ids: [settlementId] }, admin)).batch;
+    await settlementService.completePayoutBatch(first.id, {
+      payments: [{ id: first.payments[0].id, status: 'failed', failure_reason: 'Invalid UPI ID' }]
+    }, admin);
+
+    const second = (await settlementService.createPayoutBatch({ settlement_ids: [settlementId] }, admin)).batch;
+    expect(second.total_amount).toBe(150.5);
+    expect((await settlementService.cancelPayoutBatch(second.id)).status).toBe('cancelled');
+
+    const paid = await settlementService.recordPayment(settlementId, { amount: 150.5, transactionId: 'UTR1' }, admin);
+    expect(paid.settlement).toMatchObject({ status: 'paid', amountPaid: 150.5 });
+    expect(db.state.transactions.filter(entry => entry.direction === 'debit')).toHaveLength(1);
+  });
+
+  test('a batch with a paid payment cannot be cancelled', async () => {
+    const { settlementId } = await vendorLedgerService.createSettlementWithReservation(vendor, 'vendor@upi');
+    await settlementService.approveSettlement(settlementId, admin);
+    const { batch } = await settlementService.createPayoutBatch({ settlement_ids: [settlementId, 'missing'] }, admin);
+
+    db.state.payments[0].status = 'paid';
+
+    await expect(settlementService.cancelPayoutBatch(batch.id)).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
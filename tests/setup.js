@@ -0,0 +1,20 @@
+/**
+ * Jest setup: tests never reach a MySQL server.
+ *
+ * config/database.js starts connecting as soon as it is required, and a failed start is rethrown
+ * as an unhandled rejection (the server exits on it). The connection attempt is left pending
+ * instead, so requiring the database neither fails the run nor touches the network; tests install
+ * a pool from tests/helpers/fakeMysql.js on the database instance.
+ */
+
+process.env.DB_HOST = 'test';
+process.env.DB_USER = 'test';
+process.env.DB_PASSWORD = 'test';
+process.env.DB_NAME = 'test';
+
+jest.mock('mysql2/promise', () => ({
+  createConnection: () => new Promise(() => {}),
+  createPool: () => {
+    throw new Error('MySQL is not available in tests');
+  }
+}));
@@ -0,0 +1,56 @@
+const database = require('../config/database');
+const orderTrackingService = require('../services/orderTrackingService');
+
+describe('orderTrackingService.recordShipmentScans', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+    jest.spyOn(database, 'insertShipmentScans').mockImplementation(async (scans) => {
+      stored.push(...scans);
+      return scans.length;
+    });
+    jest.spyOn(database, 'updateLabelTrackingInfo').mockResolvedValue();
+    jest.spyOn(orderTrackingService, 'normalizeShipmentStatus').mockImplementation(async (status) => status);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const record = (activities, { rawStatus = 'In Transit', oldStatus = 'Shipment Booked' } = {}) =>
+    orderTrackingService.recordShipmentScans('O1', 'STORE1', 'AWB1', rawStatus, rawStatus, oldStatus, {
+      shipment_track_activities: activities
+    });
+
+  test('skips a scan with an unparseable date and keeps the others', async () => {
+    await record([
+      { date: '2026-10-19 09:15:00', activity: 'Picked up', location: 'Delhi' },
+      { date: 'yesterday', activity: 'Bagged', location: 'Delhi' },
+      { date: '2026-02-30 10:00:00', activity: 'Connected', location: 'Delhi' },
+      { date: '2026-10-19 14:00:00', activity: 'In Transit', location: 'Jaipur', status: 'In Transit' }
+    ]);
+
+    expect(stored.map(scan => [scan.source, scan.scan_time, scan.activity])).toEqual([
+      ['activity', '2026-10-19 09:15:00', 'Picked up'],
+      ['activity', '2026-10-19 14:00:00', 'In Transit']
+    ]);
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('unparseable date "yesterday"'));
+  });
+
+  test('stores courier and status-derived scan times in IST', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T06:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+    await record([
+      { date: '2026-10-19T08:00:00Z', activity: 'Picked up', location: 'Delhi' }
+    ]);
+    expect(stored[0].scan_time).toBe('2026-10-19 13:30:00');
+
+    stored = [];
+    await record([]);
+    expect(stored).toEqual([expect.objectContaining({ source: 'status', scan_time: '2026-10-19 11:30:00', raw_status: 'In Transit' })]);
+  });
+});
@@ -0,0 +1,119 @@
+const database = require('../config/database');
+const { createFakePool } = require('./helpers/fakeMysql');
+
+// middleware/auth warns about the random JWT secret it uses without JWT_SECRET
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const userSessionService = require('../services/userSessionService');
+const { verifyToken } = require('../middleware/auth');
+
+/**
+ * user_sessions / user_session_rotated_tokens tables of a fake database with the statements
+ * the session service runs
+ */
+function createSessionsDb() {
+  const state = { sessions: new Map(), rotated: new Set() };
+
+  const pool = createFakePool([
+    [/^INSERT INTO user_sessions/, ([id, userId, hash, expiresAt]) => {
+      state.sessions.set(id, {
+        id, user_id: userId, refresh_token_hash: hash, refresh_expires_at: expiresAt, revoked_at: null, revoked_reason: null
+      });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^SELECT \* FROM user_sessions WHERE id = \?$/, ([id]) => {
+      const session = state.sessions.get(id);
+      return [session ? [{ ...session }] : []];
+    }],
+    [/^UPDATE user_sessions SET refresh_token_hash = \?/, ([newHash, expiresAt, , , id, currentHash]) => {
+      const session = state.sessions.get(id);
+      if (!session || session.refresh_token_hash !== currentHash || session.revoked_at) {
+        return [{ affectedRows: 0 }];
+      }
+      Object.assign(session, { refresh_token_hash: newHash, refresh_expires_at: expiresAt });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^INSERT IGNORE INTO user_session_rotated_tokens/, ([id, hash]) => {
+      state.rotated.add(`${id}:${hash}`);
+      return [{ affectedRows: 1 }];
+    }],
+    [/^SELECT 1 FROM user_session_rotated_tokens/, ([id, hash]) => {
+      return [state.rotated.has(`${id}:${hash}`) ? [{ 1: 1 }] : []];
+    }],
+    [/^UPDATE user_sessions SET revoked_at = NOW\(\), revoked_reason = \? WHERE id = \?/, ([reason, id]) => {
+      const session = state.sessions.get(id);
+      if (!session || session.revoked_at) return [{ affectedRows: 0 }];
+      Object.assign(session, { revoked_at: new Date(), revoked_reason: reason });
+      return [{ affectedRows: 1 }];
+    }]
+  ]);
+
+  return { pool, state };
+}
+
+describe('userSessionService refresh token rotation', () => {
+  const original = { pool: database.mysqlPool, connection: database.mysqlConnection };
+  const user = { id: 'vendor_1', email: 'vendor@example.com', role: 'vendor', status: 'active' };
+  let db;
+
+  beforeEach(() => {
+    db = createSessionsDb();
+    database.mysqlPool = db.pool;
+    database.mysqlConnection = db.pool;
+    jest.spyOn(database, 'getUserById').mockResolvedValue(user);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    database.mysqlPool = original.pool;
+    database.mysqlConnection = original.connection;
+    jest.restoreAllMocks();
+  });
+
+  test('issues an access token bound to the session and rotates the refresh token once', async () => {
+    const tokens = await userSessionService.createSession(user);
+    expect(verifyToken(tokens.accessToken)).toMatchObject({ sub: user.id, sid: tokens.sessionId });
+
+    const refreshed = await userSessionService.refreshSession(tokens.refreshToken);
+    expect(refreshed.user).toBe(user);
+    expect(refreshed.tokens.refreshToken).not.toBe(tokens.refreshToken);
+    expect(refreshed.tokens.sessionId).toBe(tokens.sessionId);
+
+    expect(await userSessionService.refreshSession(refreshed.tokens.refreshToken)).not.toBeNull();
+  });
+
+  test('a junk refresh token for a known session is rejected without signing the session out', async () => {
+    const tokens = await userSessionService.createSession(user);
+
+    expect(await userSessionService.refreshSession(`${tokens.sessionId}.forged`)).toBeNull();
+    expect(await userSessionService.refreshSession(`${tokens.sessionId}.${'0'.repeat(64)}`)).toBeNull();
+
+    expect(db.state.sessions.get(tokens.sessionId).revoked_at).toBeNull();
+    expect(await userSessionService.refreshSession(tokens.refreshToken)).not.toBeNull();
+  });
+
+  test('reusing a rotated refresh token revokes the session', async () => {
+    const tokens = await userSessionService.createSession(user);
+    const refreshed = await userSessionService.refreshSession(tokens.refreshToken);
+
+    expect(await userSessionService.refreshSession(tokens.refreshToken)).toBeNull();
+
+    expect(db.state.sessions.get(tokens.sessionId)).toMatchObject({ revoked_reason: 'refresh_token_reuse' });
+    expect(await userSessionService.refreshSession(refreshed.tokens.refreshToken)).toBeNull();
+  });
+
+  test('refuses to refresh the session of a user who is no longer active', async () => {
+    const tokens = await userSessionService.createSession(user);
+    database.getUserById.mockResolvedValue({ ...user, status: 'inactive' });
+
+    expect(await userSessionService.refreshSession(tokens.refreshToken)).toBeNull();
+    expect(db.state.sessions.get(tokens.sessionId).revoked_reason).toBe('user_inactive');
+  });
+
+  test('logout by refresh token only accepts the current token', async () => {
+    const tokens = await userSessionService.createSession(user);
+
+    expect(await userSessionService.revokeSessionByRefreshToken(`${tokens.sessionId}.forged`)).toBe(false);
+    expect(await userSessionService.revokeSessionByRefreshToken(tokens.refreshToken)).toBe(true);
+    expect(db.state.sessions.get(tokens.sessionId).revoked_reason).toBe('logout');
+  });
+});
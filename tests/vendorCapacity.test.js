@@ -0,0 +1,116 @@
+const database = require('../config/database');
+const vendorCapacityService = require('../services/vendorCapacityService');
+const { createClaimsDb } = require('./helpers/claimsDb');
+
+describe('database.claimOrderAtomically with claim limits', () => {
+  const original = { pool: database.mysqlPool, connection: database.mysqlConnection };
+  const claimedAt = '2026-10-19 06:00:00';
+  const dayStart = '2026-10-18 18:30:00';
+
+  const useDb = (db) => {
+    database.mysqlPool = db.pool;
+    database.mysqlConnection = db.pool;
+    return db;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    database.mysqlPool = original.pool;
+    database.mysqlConnection = original.connection;
+    jest.restoreAllMocks();
+  });
+
+  test('refuses the claim once the vendor reaches max open claims', async () => {
+    useDb(createClaimsDb({
+      orders: [{ unique_id: 'U1' }, { unique_id: 'U2' }],
+      claims: [{ order_unique_id: 'U2', status: 'claimed', claimed_by: 'WH1', claimed_at: claimedAt }]
+    }));
+    const limits = { vendorId: 'vendor_1', maxOpenClaims: 1, maxPerSkuPerDay: null, dayStart };
+
+    const result = await database.claimOrderAtomically('U1', 'WH1', claimedAt, null, limits);
+
+    expect(result).toMatchObject({ claimed: false, reason: 'capacity_reached', claimed_by: null });
+  });
+
+  test('refuses the claim once the vendor reaches the daily limit of the SKU', async () => {
+    useDb(createClaimsDb({
+      orders: [{ unique_id: 'U1', product_code: 'SKU1' }, { unique_id: 'U2', product_code: 'SKU1' }, { unique_id: 'U3', product_code: 'SKU2' }],
+      claims: [{ order_unique_id: 'U2', status: 'ready_for_handover', claimed_by: 'WH1', claimed_at: claimedAt }]
+    }));
+    const limits = { vendorId: 'vendor_1', maxOpenClaims: null, maxPerSkuPerDay: 1, dayStart };
+
+    await expect(database.claimOrderAtomically('U1', 'WH1', claimedAt, null, limits))
+      .resolves.toMatchObject({ claimed: false, reason: 'sku_daily_limit' });
+    await expect(database.claimOrderAtomically('U3', 'WH1', claimedAt, null, limits))
+      .resolves.toMatchObject({ claimed: true });
+  });
+
+  test('parallel claims of one vendor cannot overshoot max open claims', async () => {
+    const { state } = useDb(createClaimsDb({
+      orders: [{ unique_id: 'U1' }, { unique_id: 'U2' }, { unique_id: 'U3' }]
+    }));
+    const limits = { vendorId: 'vendor_1', maxOpenClaims: 2, maxPerSkuPerDay: null, dayStart };
+
+    const results = await Promise.all(['U1', 'U2', 'U3'].map(uniqueId =>
+      database.claimOrderAtomically(uniqueId, 'WH1', claimedAt, null, limits)));
+
+    expect(results.filter(result => result.claimed)).toHaveLength(2);
+    expect(results.filter(result => result.reason === 'capacity_reached')).toHaveLength(1);
+    expect([...state.claims.values()].filter(claim => claim.claimed_by === 'WH1')).toHaveLength(2);
+  });
+});
+
+describe('vendorCapacityService', () => {
+  const vendors = [
+    { vendor_id: 'vendor_1', warehouseId: 'WH1', pincode: '560001', status: 'active', auto_allocation: 1, max_open_claims: 1, max_per_sku_per_day: null },
+    { vendor_id: 'vendor_2', warehouseId: 'WH2', pincode: '110001', status: 'active', auto_allocation: 1, max_open_claims: null, max_per_sku_per_day: null },
+    { vendor_id: 'vendor_3', warehouseId: 'WH3', pincode: '560002', status: 'active', auto_allocation: 0, max_open_claims: null, max_per_sku_per_day: null }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(database, 'getUtilityValue').mockResolvedValue(null);
+    jest.spyOn(database, 'getVendorCapacities').mockResolvedValue(vendors);
+    jest.spyOn(database, 'getOpenClaimCountsByVendor').mockResolvedValue({});
+    jest.spyOn(database, 'getSkuClaimCountsSince').mockResolvedValue([]);
+    jest.spyOn(database, 'getVendorFulfillmentStats').mockResolvedValue({ totalClaimed: 0 });
+    jest.spyOn(database, 'claimOrderAtomically');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a vendor\'s own limit beats the default, and unset limits fall back to it', async () => {
+    database.getUtilityValue.mockImplementation(async (name) => (name === 'VendorMaxOpenClaims' ? '20' : '5'));
+    jest.spyOn(database, 'getVendorCapacity').mockResolvedValue({ max_open_claims: 3, max_per_sku_per_day: null });
+
+    const limits = await vendorCapacityService.getClaimLimits({ id: 'vendor_1' });
+
+    expect(limits).toMatchObject({ vendorId: 'vendor_1', maxOpenClaims: 3, maxPerSkuPerDay: 5 });
+  });
+
+  test('the claim day starts at IST midnight', () => {
+    expect(vendorCapacityService.dayStart(new Date('2026-10-19T06:00:00Z'))).toBe('2026-10-18 18:30:00');
+    expect(vendorCapacityService.dayStart(new Date('2026-10-19T20:00:00Z'))).toBe('2026-10-19 18:30:00');
+  });
+
+  test('allocates to opted-in vendors by proximity within their capacity, never back to the releasing vendor', async () => {
+    jest.spyOn(database, 'getAutoAllocationCandidates').mockResolvedValue([
+      { unique_id: 'U1', order_id: 'O1', account_code: 'STORE1', pincode: '560034', last_claimed_by: null },
+      { unique_id: 'U2', order_id: 'O2', account_code: 'STORE1', pincode: '560034', last_claimed_by: null },
+      { unique_id: 'U3', order_id: 'O3', account_code: 'STORE1', pincode: '110020', last_claimed_by: 'WH2' }
+    ]);
+
+    const summary = await vendorCapacityService.allocateOrders({ dryRun: true });
+
+    expect(summary.allocations.map(({ unique_id, warehouseId }) => [unique_id, warehouseId])).toEqual([
+      ['U1', 'WH1'],
+      ['U2', 'WH2']
+    ]);
+    expect(summary).toMatchObject({ checked: 3, allocated: 2, unallocated: 1, by_vendor: { WH1: 1, WH2: 1 } });
+    expect(database.claimOrderAtomically).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,67 @@
+const database = require('../config/database');
+const vendorLedgerService = require('../services/vendorLedgerService');
+const { createLedgerDb, mockVendorClaimLines } = require('./helpers/ledgerDb');
+
+describe('vendor ledger credits and settlement reservations', () => {
+  const original = { pool: database.mysqlPool, connection: database.mysqlConnection };
+  const vendor = { id: 'vendor_1', name: 'Vendor One', warehouseId: 'WH1' };
+  let db;
+  let claimLines;
+
+  beforeEach(() => {
+    db = createLedgerDb();
+    database.mysqlPool = db.pool;
+    database.mysqlConnection = db.pool;
+
+    claimLines = [
+      { warehouseId: 'WH1', order_unique_id: 'U1', order_id: 'O1', account_code: 'STORE1', line_amount: 100, handover_at: '2026-10-10 10:00:00' },
+      { warehouseId: 'WH1', order_unique_id: 'U2', order_id: 'O2', account_code: 'STORE1', line_amount: 50.5, handover_at: '2026-10-11 10:00:00' },
+      { warehouseId: 'WH1', order_unique_id: 'U3', order_id: 'O3', account_code: 'STORE1', line_amount: 30, inPack: true },
+      { warehouseId: 'WH2', order_unique_id: 'U9', order_id: 'O9', account_code: 'STORE1', line_amount: 999, handover_at: '2026-10-10 10:00:00' }
+    ];
+    mockVendorClaimLines(db, () => claimLines);
+    jest.spyOn(database, 'getVendorRateCards').mockResolvedValue([]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    database.mysqlPool = original.pool;
+    database.mysqlConnection = original.connection;
+    jest.restoreAllMocks();
+  });
+
+  test('credits each handed-over order once and reports in-pack orders as future payment', async () => {
+    const payments = await vendorLedgerService.getVendorPayments(vendor);
+
+    expect(payments).toEqual({ currentPayment: 150.5, futurePayment: 30, handoverOrderIds: ['O1', 'O2'] });
+    expect(await vendorLedgerService.syncVendorLedger(vendor)).toBe(0);
+    expect(db.state.transactions).toHaveLength(2);
+  });
+
+  test('a settlement reserves exactly the unreserved entries, and concurrent requests cannot reserve them twice', async () => {
+    const results = await Promise.all([
+      vendorLedgerService.createSettlementWithReservation(vendor, 'vendor@upi'),
+      vendorLedgerService.createSettlementWithReservation(vendor, 'vendor@upi')
+    ]);
+
+    const created = results.filter(result => result.settlementId);
+    expect(created).toHaveLength(1);
+    expect(created[0]).toMatchObject({ amount: 150.5, entryCount: 2, orderIds: ['O1', 'O2'] });
+    expect(results.find(result => !result.settlementId)).toEqual({ settlementId: null, amount: 0, entryCount: 0, orderIds: [] });
+    expect(db.state.settlements.size).toBe(1);
+
+    // Only the order handed over after the first settlement is reserved by the next one
+    claimLines[2] = { ...claimLines[2], inPack: false, handover_at: '2026-10-12 10:00:00' };
+    const next = await vendorLedgerService.createSettlementWithReservation(vendor, 'vendor@upi');
+    expect(next).toMatchObject({ amount: 30, entryCount: 1, orderIds: ['O3'] });
+  });
+
+  test('releasing a rejected settlement makes its entries payable again', async () => {
+    const { settlementId } = await vendorLedgerService.createSettlementWithReservation(vendor, 'vendor@upi');
+
+    expect(await vendorLedgerService.releaseSettlement(settlementId)).toBe(2);
+    const payments = await vendorLedgerService.getVendorPayments(vendor);
+    expect(payments.currentPayment).toBe(150.5);
+  });
+});
@@ -0,0 +1,125 @@
+const database = require('../config/database');
+const vendorPenaltyService = require('../services/vendorPenaltyService');
+const { createFakePool } = require('./helpers/fakeMysql');
+
+/**
+ * vendor_penalties / transactions tables of a fake database with the statements the penalty
+ * service runs
+ */
+function createPenaltiesDb() {
+  const state = { penalties: [], entries: [] };
+  const find = (id) => state.penalties.find(penalty => penalty.id === id);
+
+  const pool = createFakePool([
+    [/^INSERT IGNORE INTO vendor_penalties/, (params) => {
+      const sourceKey = params[7];
+      if (state.penalties.some(penalty => penalty.source_key === sourceKey)) {
+        return [{ affectedRows: 0, insertId: 0 }];
+      }
+      const id = state.penalties.length + 1;
+      state.penalties.push({
+        id, vendor_id: params[2], order_id: params[5], account_code: params[6], source_key: sourceKey,
+        amount: params[9], description: params[10], status: 'applied', disputed_at: null
+      });
+      return [{ affectedRows: 1, insertId: id }];
+    }],
+    [/^INSERT INTO transactions/, ([id, vendorId, amount, type, direction, , , , , referenceKey]) => {
+      state.entries.push({ id, vendor_id: vendorId, amount, type, direction, reference_key: referenceKey });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^UPDATE vendor_penalties SET ledger_entry_id = \?/, ([entryId, id]) => {
+      find(id).ledger_entry_id = entryId;
+      return [{ affectedRows: 1 }];
+    }],
+    [/^SELECT \* FROM vendor_penalties WHERE id = \? FOR UPDATE/, async ([id], ctx) => {
+      await ctx.lock(`penalty:${id}`);
+      const penalty = find(id);
+      return [penalty ? [{ ...penalty }] : []];
+    }],
+    [/^UPDATE vendor_penalties SET status = 'disputed'/, ([reason, id]) => {
+      Object.assign(find(id), { status: 'disputed', dispute_reason: reason, disputed_at: new Date() });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^UPDATE vendor_penalties SET status = 'waived'/, ([entryId, notes, , id]) => {
+      Object.assign(find(id), { status: 'waived', waiver_entry_id: entryId, resolution_notes: notes });
+      return [{ affectedRows: 1 }];
+    }],
+    [/^UPDATE vendor_penalties SET status = 'applied'/, ([notes, , id]) => {
+      Object.assign(find(id), { status: 'applied', resolution_notes: notes });
+      return [{ affectedRows: 1 }];
+    }]
+  ]);
+
+  return { pool, state };
+}
+
+describe('vendorPenaltyService', () => {
+  const original = { pool: database.mysqlPool, connection: database.mysqlConnection };
+  const vendor = { id: 'vendor_1', warehouseId: 'WH1', email: 'vendor@example.com' };
+  const admin = { id: 'admin_1', email: 'admin@example.com' };
+  const lateRule = { id: 3, name: 'Late handover', rule_type: 'late_handover', amount: '50.00', max_amount: '120.00', threshold_days: 2 };
+  const lateEvent = {
+    vendor_id: vendor.id, warehouse_id: 'WH1', order_unique_id: 'U1', order_id: 'O1', account_code: 'STORE1',
+    event_at: '2026-10-01T10:00:00Z', days_to_handover: 6, criticality_days: 3
+  };
+  let db;
+
+  beforeEach(() => {
+    db = createPenaltiesDb();
+    database.mysqlPool = db.pool;
+    database.mysqlConnection = db.pool;
+    jest.spyOn(database, 'getVendorPenaltyById').mockImplementation(async (id) => db.state.penalties.find(penalty => penalty.id === id));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    database.mysqlPool = original.pool;
+    database.mysqlConnection = original.connection;
+    jest.restoreAllMocks();
+  });
+
+  test('charges a late handover per day late, capped at the rule\'s max_amount', () => {
+    expect(vendorPenaltyService.buildPenalty('late_handover', { ...lateEvent, days_to_handover: 3 }, { rule: lateRule }))
+      .toMatchObject({ amount: 50, details: { days_late: 1 } });
+    expect(vendorPenaltyService.buildPenalty('late_handover', lateEvent, { rule: lateRule }))
+      .toMatchObject({ amount: 120, source_key: 'late_handover:STORE1:U1', details: { days_late: 4 } });
+    expect(vendorPenaltyService.buildPenalty('late_handover', { ...lateEvent, days_to_handover: 2 }, { rule: lateRule })).toBeNull();
+  });
+
+  test('debits the vendor once per penalised event', async () => {
+    const penalty = vendorPenaltyService.buildPenalty('late_handover', lateEvent, { rule: lateRule });
+
+    const created = await vendorPenaltyService.applyPenalty(penalty);
+    expect(await vendorPenaltyService.applyPenalty(penalty)).toBeNull();
+
+    expect(db.state.entries).toEqual([
+      { id: created.ledger_entry_id, vendor_id: vendor.id, amount: 120, type: 'penalty', direction: 'debit', reference_key: `penalty:${created.id}` }
+    ]);
+    expect(db.state.penalties[0].ledger_entry_id).toBe(created.ledger_entry_id);
+  });
+
+  test('a vendor can dispute their penalty once; rejecting the dispute keeps it applied', async () => {
+    const { id } = await vendorPenaltyService.applyPenalty(vendorPenaltyService.buildPenalty('late_handover', lateEvent, { rule: lateRule }));
+
+    await expect(vendorPenaltyService.disputePenalty(id, { ...vendor, id: 'vendor_2' }, 'Not mine'))
+      .rejects.toMatchObject({ statusCode: 404 });
+    expect(await vendorPenaltyService.disputePenalty(id, vendor, 'Handed over on time')).toMatchObject({ status: 'disputed' });
+    expect(await vendorPenaltyService.rejectDispute(id, 'Scan shows day 6', admin)).toMatchObject({ status: 'applied' });
+
+    await expect(vendorPenaltyService.disputePenalty(id, vendor, 'Again'))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Penalty has already been disputed once' });
+  });
+
+  test('waiving a penalty credits the amount back once', async () => {
+    const { id } = await vendorPenaltyService.applyPenalty(vendorPenaltyService.buildPenalty('late_handover', lateEvent, { rule: lateRule }));
+
+    expect(await vendorPenaltyService.waivePenalty(id, 'Courier delay', admin)).toMatchObject({ status: 'waived' });
+    await expect(vendorPenaltyService.waivePenalty(id, null, admin))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Penalty is already waived' });
+
+    expect(db.state.entries.map(({ type, direction, amount }) => ({ type, direction, amount }))).toEqual([
+      { type: 'penalty', direction: 'debit', amount: 120 },
+      { type: 'penalty_waiver', direction: 'credit', amount: 120 }
+    ]);
+  });
+});
@@ -0,0 +1,89 @@
+const database = require('../config/database');
+const vendorRateCardService = require('../services/vendorRateCardService');
+const vendorLedgerService = require('../services/vendorLedgerService');
+const { createLedgerDb, mockVendorClaimLines } = require('./helpers/ledgerDb');
+
+describe('vendorRateCardService', () => {
+  const card = (fields) => ({
+    id: 1, vendor_id: 'vendor_1', account_code: null, product_category: null, sku_id: null, size: null,
+    pricing_type: 'fixed', fixed_price: '10.00', effective_from: '2026-10-01', effective_to: null, ...fields
+  });
+  const line = { account_code: 'STORE1', sku_id: 'sku-1', size: 'm', product_category: 'Tops', quantity: 2, line_amount: 400 };
+
+  test('the most specific card in effect wins, a store card beating an all-store card', () => {
+    const cards = [
+      card({ id: 1 }),
+      card({ id: 2, product_category: 'TOPS' }),
+      card({ id: 3, sku_id: 'SKU-1' }),
+      card({ id: 4, sku_id: 'SKU-1', account_code: 'STORE1' }),
+      card({ id: 5, sku_id: 'SKU-1', size: 'M', effective_to: '2026-10-09' })
+    ];
+
+    expect(vendorRateCardService.selectRateCard(cards, line, '2026-10-05').id).toBe(5);
+    expect(vendorRateCardService.selectRateCard(cards, line, '2026-10-10').id).toBe(4);
+    expect(vendorRateCardService.selectRateCard(cards, { ...line, account_code: 'STORE2' }, '2026-10-10').id).toBe(3);
+    expect(vendorRateCardService.selectRateCard(cards, { ...line, sku_id: 'SKU-2' }, '2026-10-10').id).toBe(2);
+    expect(vendorRateCardService.selectRateCard(cards, { ...line, sku_id: 'SKU-2', product_category: null }, '2026-10-10').id).toBe(1);
+    expect(vendorRateCardService.selectRateCard(cards, line, '2026-09-30')).toBeNull();
+  });
+
+  test('prices a line by fixed price per unit, share of the selling value or cost plus markup', () => {
+    expect(vendorRateCardService.priceLine(line, card({ fixed_price: '150.50' }))).toBe(301);
+    expect(vendorRateCardService.priceLine(line, card({ pricing_type: 'percentage', percentage: '62.5' }))).toBe(250);
+    expect(vendorRateCardService.priceLine(line, card({
+      pricing_type: 'cost_plus', unit_cost: '100', markup_percent: '10', markup_amount: '5'
+    }))).toBe(230);
+  });
+
+  test('keeps only the fields of the pricing type and rejects incomplete cards', () => {
+    const { error, card: validated } = vendorRateCardService.validateRateCard({
+      vendor_id: 'vendor_1', pricing_type: 'percentage', percentage: '60', fixed_price: '99', effective_from: '2026-10-01'
+    });
+    expect(error).toBeNull();
+    expect(validated).toMatchObject({ percentage: 60, fixed_price: null });
+
+    const base = { vendor_id: 'vendor_1', pricing_type: 'fixed', fixed_price: 10, effective_from: '2026-10-01' };
+    expect(vendorRateCardService.validateRateCard({ ...base, size: 'M' }).error).toBe('size can only be set together with sku_id');
+    expect(vendorRateCardService.validateRateCard({ ...base, pricing_type: 'percentage', percentage: 120 }).error)
+      .toBe('percentage (0-100) is required for percentage pricing');
+    expect(vendorRateCardService.validateRateCard({ ...base, effective_to: '2026-09-30' }).error)
+      .toBe('effective_to cannot be before effective_from');
+  });
+});
+
+describe('ledger credits priced by rate cards', () => {
+  const original = { pool: database.mysqlPool, connection: database.mysqlConnection };
+  const vendor = { id: 'vendor_1', name: 'Vendor One', warehouseId: 'WH1' };
+  let db;
+
+  beforeEach(() => {
+    db = createLedgerDb();
+    database.mysqlPool = db.pool;
+    database.mysqlConnection = db.pool;
+
+    const lines = [
+      { warehouseId: 'WH1', order_unique_id: 'U1', order_id: 'O1', account_code: 'STORE1', sku_id: 'SKU-1', quantity: 1, line_amount: 400, handover_at: '2026-10-10T05:00:00Z' },
+      { warehouseId: 'WH1', order_unique_id: 'U2', order_id: 'O2', account_code: 'STORE1', sku_id: 'SKU-2', quantity: 1, line_amount: 80, handover_at: '2026-10-10T05:00:00Z' }
+    ];
+    mockVendorClaimLines(db, () => lines);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(database, 'getVendorRateCards').mockResolvedValue([
+      { id: 7, vendor_id: vendor.id, sku_id: 'SKU-1', pricing_type: 'fixed', fixed_price: '250.00', effective_from: '2026-10-01' }
+    ]);
+  });
+
+  afterEach(() => {
+    database.mysqlPool = original.pool;
+    database.mysqlConnection = original.connection;
+    jest.restoreAllMocks();
+  });
+
+  test('credits a line at its rate card price and a line without a card at its selling value', async () => {
+    expect(await vendorLedgerService.syncVendorLedger(vendor)).toBe(2);
+
+    expect(db.state.transactions.map(({ order_id, amount, rate_card_id }) => ({ order_id, amount, rate_card_id }))).toEqual([
+      { order_id: 'O1', amount: 250, rate_card_id: 7 },
+      { order_id: 'O2', amount: 80, rate_card_id: null }
+    ]);
+  });
+});
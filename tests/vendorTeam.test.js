@@ -0,0 +1,62 @@
+const express = require('express');
+const request = require('supertest');
+const database = require('../config/database');
+
+// middleware/auth warns about the random JWT secret it uses without JWT_SECRET
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const { authenticate, requireVendorCapability, generateToken } = require('../middleware/auth');
+
+describe('vendor team accounts', () => {
+  const owner = { id: 'vendor_1', role: 'vendor', status: 'active', warehouseId: 'WH1', vendor_owner_id: null };
+  const packer = { id: 'member_1', role: 'vendor', status: 'active', warehouseId: null, vendor_owner_id: 'vendor_1', vendor_role: 'packer' };
+  const accountant = { ...packer, id: 'member_2', vendor_role: 'accountant' };
+  let users;
+  let app;
+
+  // Bearer header of a signed-in user (session id = user id)
+  const bearer = (user) => `Bearer ${generateToken(user, user.id)}`;
+
+  beforeEach(() => {
+    users = { [owner.id]: owner, [packer.id]: packer, [accountant.id]: accountant };
+    jest.spyOn(database, 'getUserSessionById').mockImplementation(async (id) => ({ id, user_id: id, revoked_at: null }));
+    jest.spyOn(database, 'getUserById').mockImplementation(async (id) => users[id] || null);
+
+    app = express();
+    app.get('/orders', authenticate, requireVendorCapability('orders'), (req, res) => {
+      res.json({ user_id: req.user.id, warehouseId: req.user.warehouseId, vendor_id: req.vendor.id });
+    });
+    app.get('/settlements', authenticate, requireVendorCapability('settlements'), (req, res) => {
+      res.json({ vendor_id: req.vendor.id });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a team member acts for the vendor: the vendor\'s warehouse, attributed to the member', async () => {
+    const res = await request(app).get('/orders').set('Authorization', bearer(packer));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ user_id: 'member_1', warehouseId: 'WH1', vendor_id: 'vendor_1' });
+  });
+
+  test('a team member only reaches the areas of their sub-role', async () => {
+    const denied = await request(app).get('/settlements').set('Authorization', bearer(packer));
+    expect(denied.status).toBe(403);
+    expect(denied.body.message).toBe('Your vendor team role (packer) does not have access to settlements');
+
+    expect((await request(app).get('/settlements').set('Authorization', bearer(accountant))).body).toEqual({ vendor_id: 'vendor_1' });
+    expect((await request(app).get('/orders').set('Authorization', bearer(accountant))).status).toBe(403);
+    expect((await request(app).get('/settlements').set('Authorization', bearer(owner))).status).toBe(200);
+  });
+
+  test('team members are signed out once the vendor account is deactivated', async () => {
+    users[owner.id] = { ...owner, status: 'inactive' };
+
+    const res = await request(app).get('/orders').set('Authorization', bearer(packer));
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Vendor account is inactive');
+  });
+});
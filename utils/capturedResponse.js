@@ -0,0 +1,105 @@
+/**
+ * Captured Response Utility
+ * Runs an Express route handler in-process (e.g. from a background job) and captures
+ * what it sends, instead of re-entering the server over HTTP.
+ *
+ * Supports the subset of the Express response API used by the route handlers:
+ * status(), setHeader()/set(), json(), send(), end() and piping a stream (PDFKit) into it.
+ */
+
+const { Writable } = require('stream');
+
+class CapturedResponse extends Writable {
+  constructor(resolve) {
+    super();
+    this.statusCode = 200;
+    this.headers = {};
+    this.chunks = [];
+    this.resolveResult = resolve;
+    this.finished = false;
+
+    // Piped streams (PDFKit) end the writable, which emits 'finish'
+    this.on('finish', () => this.settle(Buffer.concat(this.chunks)));
+  }
+
+  _write(chunk, encoding, callback) {
+    this.chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+    callback();
+  }
+
+  settle(body) {
+    if (this.finished) return;
+    this.finished = true;
+    this.resolveResult({
+      statusCode: this.statusCode,
+      contentType: this.headers['content-type'] || (Buffer.isBuffer(body) ? 'application/octet-stream' : 'application/json'),
+      headers: this.headers,
+      body
+    });
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  setHeader(name, value) {
+    this.headers[String(name).toLowerCase()] = value;
+    return this;
+  }
+
+  set(name, value) {
+    return this.setHeader(name, value);
+  }
+
+  getHeader(name) {
+    return this.headers[String(name).toLowerCase()];
+  }
+
+  json(payload) {
+    this.setHeader('Content-Type', 'application/json');
+    this.settle(payload);
+    return this;
+  }
+
+  send(payload) {
+    if (payload !== null && typeof payload === 'object' && !Buffer.isBuffer(payload)) {
+      return this.json(payload);
+    }
+    this.settle(Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload ?? '')));
+    return this;
+  }
+
+  end(chunk, encoding, callback) {
+    if (chunk && typeof chunk !== 'function') {
+      this.chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+    }
+    return super.end(typeof chunk === 'function' ? chunk : callback);
+  }
+}
+
+/**
+ * Invoke a route handler with a synthetic request and capture its response
+ * @param {Function} handler - async (req, res) route handler
+ * @param {Object} req - Request fields ({ body, headers, user, params, query })
+ * @returns {Promise<Object>} { statusCode, contentType, headers, body } where body is a JSON payload or a Buffer
+ */
+function invokeRouteHandler(handler, req) {
+  return new Promise((resolve, reject) => {
+    const res = new CapturedResponse(resolve);
+    const request = {
+      params: {},
+      query: {},
+      headers: {},
+      ...req
+    };
+
+    // Streamed responses settle on 'finish', possibly after the handler has returned
+    Promise.resolve(handler(request, res)).catch(reject);
+  });
+}
+
+module.exports = {
+  CapturedResponse,
+  invokeRouteHandler
+};
@@ -0,0 +1,49 @@
+/**
+ * Service Helpers
+ * Shared by services that run their own SQL: errors carrying the HTTP status the controller
+ * should answer with, and running a unit of work in a MySQL transaction
+ */
+
+const database = require('../config/database');
+
+/**
+ * Error with an HTTP status for the controller
+ * @param {number} statusCode - e.g. 400, 404, 409
+ * @param {string} message
+ * @returns {Error} Error with statusCode
+ */
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * Run fn(connection) in a transaction on a pooled connection; rolls back if fn throws
+ * @param {Function} fn - async (connection) => result
+ * @returns {Promise<*>} What fn returned
+ */
+async function withTransaction(fn) {
+  const db = database.mysqlPool || database.mysqlConnection;
+  if (!db) {
+    throw new Error('MySQL connection not available');
+  }
+
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await fn(connection);
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  httpError,
+  withTransaction
+};
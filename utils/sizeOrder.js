@@ -0,0 +1,31 @@
+/**
+ * Size Order Utility
+ * Apparel size ordering shared by inventory aggregation, pick lists and packing slips
+ */
+
+/**
+ * Size order for sorting
+ */
+const SIZE_ORDER = ['S', 'M', 'L', 'XL', '2XL', '3XL', '4XL', '5XL'];
+
+/**
+ * Compare two sizes by SIZE_ORDER; sizes not in SIZE_ORDER go last
+ * @param {string} sizeA
+ * @param {string} sizeB
+ * @returns {number} Negative, zero or positive (Array.prototype.sort comparator)
+ */
+function compareSizes(sizeA, sizeB) {
+  const indexA = SIZE_ORDER.indexOf(String(sizeA || '').trim().toUpperCase());
+  const indexB = SIZE_ORDER.indexOf(String(sizeB || '').trim().toUpperCase());
+
+  if (indexA === -1 && indexB === -1) return 0;
+  if (indexA === -1) return 1;
+  if (indexB === -1) return -1;
+
+  return indexA - indexB;
+}
+
+module.exports = {
+  SIZE_ORDER,
+  compareSizes
+};
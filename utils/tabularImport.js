@@ -0,0 +1,220 @@
+/**
+ * Tabular Import Utility
+ * Reads uploaded CSV or XLSX files into rows keyed by canonical column names and
+ * validates them row by row, so an upload reports every bad row instead of
+ * stopping at the first one.
+ *
+ * Row numbers in reports are spreadsheet row numbers (the header is row 1).
+ */
+
+const XLSX = require('xlsx');
+
+const XLSX_EXTENSIONS = ['.xlsx', '.xls'];
+const XLSX_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel'
+];
+const CSV_MIME_TYPES = ['text/csv', 'application/csv', 'text/plain', 'application/x-csv'];
+
+/**
+ * Whether an uploaded file (multer file object) looks like a CSV or XLSX file
+ * @param {Object} file - { originalname, mimetype }
+ * @returns {boolean}
+ */
+function isSupportedImportFile(file) {
+  const name = (file.originalname || '').toLowerCase();
+  return name.endsWith('.csv')
+    || XLSX_EXTENSIONS.some(ext => name.endsWith(ext))
+    || CSV_MIME_TYPES.includes(file.mimetype)
+    || XLSX_MIME_TYPES.includes(file.mimetype);
+}
+
+/**
+ * Parse CSV text into rows of cells (RFC 4180: quoted cells may contain commas,
+ * escaped quotes and line breaks)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Read the first sheet of an XLSX/XLS file, or a CSV file, into rows of cells
+ * @param {Buffer|string} content - File content
+ * @param {string} fileName - Original file name (decides the format)
+ * @returns {Array<Array<string>>}
+ */
+function readRows(content, fileName = '') {
+  const name = fileName.toLowerCase();
+  const isWorkbook = XLSX_EXTENSIONS.some(ext => name.endsWith(ext))
+    // XLSX files are zip archives ("PK"), whatever they are named
+    || (Buffer.isBuffer(content) && content[0] === 0x50 && content[1] === 0x4B);
+
+  if (!isWorkbook) {
+    return parseCSV(Buffer.isBuffer(content) ? content.toString('utf8') : String(content));
+  }
+
+  const workbook = XLSX.read(content, { type: Buffer.isBuffer(content) ? 'buffer' : 'string' });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) return [];
+  return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true })
+    .map(cells => cells.map(value => (value === null || value === undefined ? '' : String(value))));
+}
+
+/**
+ * Normalize a header for alias matching ("Product Name" -> "product_name")
+ * @param {string} header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Read and validate an uploaded table.
+ *
+ * Missing required columns and unreadable or empty files throw an Error with
+ * statusCode 400; invalid rows are reported, not thrown.
+ *
+ * @param {Buffer|string} content - File content
+ * @param {Object} options
+ * @param {string} options.fileName - Original file name
+ * @param {Object} options.columns - { key: { aliases: [header names], required: boolean } }
+ * @param {Function} options.validateRow - async (data, rowNumber) => ({ errors: [], warnings: [], data })
+ *   where data has one trimmed string per column key ('' when absent); returned data replaces it
+ * @returns {Promise<Object>} { headers, rows: [{ row, data, errors, warnings }], valid: [data],
+ *   summary: { total, valid, invalid, warnings } }
+ */
+async function importTable(content, { fileName = '', columns, validateRow }) {
+  let cells;
+  try {
+    cells = readRows(content, fileName);
+  } catch (error) {
+    const readError = new Error(`Could not read ${fileName || 'file'}: ${error.message}`);
+    readError.statusCode = 400;
+    throw readError;
+  }
+
+  const headerIndex = cells.findIndex(row => row.some(cell => String(cell).trim() !== ''));
+  if (headerIndex === -1) {
+    const emptyError = new Error('File is empty');
+    emptyError.statusCode = 400;
+    throw emptyError;
+  }
+
+  const headers = cells[headerIndex].map(cell => String(cell).trim());
+  const normalizedHeaders = headers.map(normalizeHeader);
+
+  const columnIndexes = {};
+  const missing = [];
+  for (const [key, column] of Object.entries(columns)) {
+    const aliases = [key, ...(column.aliases || [])].map(normalizeHeader);
+    const index = normalizedHeaders.findIndex(header => aliases.includes(header));
+    columnIndexes[key] = index;
+    if (index === -1 && column.required) missing.push(key);
+  }
+
+  if (missing.length > 0) {
+    const columnsError = new Error(`Missing required columns: ${missing.join(', ')}. Found: ${headers.join(', ')}`);
+    columnsError.statusCode = 400;
+    throw columnsError;
+  }
+
+  const rows = [];
+  for (let i = headerIndex + 1; i < cells.length; i++) {
+    const values = cells[i];
+    if (values.every(value => String(value).trim() === '')) continue;
+
+    const data = {};
+    for (const [key, index] of Object.entries(columnIndexes)) {
+      data[key] = index >= 0 && values[index] !== undefined ? String(values[index]).trim() : '';
+    }
+
+    const rowNumber = i + 1;
+    const result = (validateRow ? await validateRow(data, rowNumber) : null) || {};
+    rows.push({
+      row: rowNumber,
+      data: result.data || data,
+      errors: result.errors || [],
+      warnings: result.warnings || []
+    });
+  }
+
+  const valid = rows.filter(row => row.errors.length === 0).map(row => row.data);
+
+  return {
+    headers,
+    rows,
+    valid,
+    summary: {
+      total: rows.length,
+      valid: valid.length,
+      invalid: rows.length - valid.length,
+      warnings: rows.filter(row => row.warnings.length > 0).length
+    }
+  };
+}
+
+/**
+ * Row-level report of an import: only the rows with errors or warnings
+ * @param {Object} result - importTable() result
+ * @returns {Object} { summary, errors: [{ row, errors }], warnings: [{ row, warnings }] }
+ */
+function buildImportReport(result) {
+  return {
+    summary: result.summary,
+    errors: result.rows
+      .filter(row => row.errors.length > 0)
+      .map(row => ({ row: row.row, data: row.data, errors: row.errors })),
+    warnings: result.rows
+      .filter(row => row.warnings.length > 0)
+      .map(row => ({ row: row.row, warnings: row.warnings }))
+  };
+}
+
+module.exports = {
+  isSupportedImportFile,
+  parseCSV,
+  importTable,
+  buildImportReport
+};